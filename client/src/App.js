@@ -1,5 +1,5 @@
 import React, { useEffect } from 'react';
-import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { Provider, useDispatch, useSelector } from 'react-redux';
 import store from './store';
 import { checkAuthStatus } from './store/slices/authSlice';
@@ -9,8 +9,14 @@ import Navbar from './components/Layout/Navbar';
 import Home from './components/Home/Home';
 import Login from './components/Auth/Login';
 import Register from './components/Auth/Register';
+import VerifyEmail from './components/Auth/VerifyEmail';
+import ForgotPassword from './components/Auth/ForgotPassword';
+import ResetPassword from './components/Auth/ResetPassword';
+import AccountSettings from './components/Account/AccountSettings';
 import PracticeList from './components/Practices/PracticeList';
 import PracticeDetail from './components/Practices/PracticeDetail';
+import MethodAnalysis from './components/Methods/MethodAnalysis';
+import InvitationLanding from './components/Invitations/InvitationLanding';
 import TeamList from './components/Teams/TeamList';
 import TeamDetail from './components/Teams/TeamDetail';
 import Dashboard from './components/Dashboard/Dashboard';
@@ -22,6 +28,12 @@ import ToastContainer from './components/Toast/ToastContainer';
 
 import './App.css';
 
+// Send logged in users back to the page that asked them to log in
+function AuthRedirect() {
+  const location = useLocation();
+  return <Navigate to={location.state?.from || '/dashboard'} replace />;
+}
+
 function AppContent() {
   const dispatch = useDispatch();
   const { isAuthenticated, loading } = useSelector((state) => state.auth);
@@ -49,16 +61,21 @@ function AppContent() {
             <Route path="/" element={<Home />} />
             <Route path="/practices" element={<PracticeList />} />
             <Route path="/practices/:id" element={<PracticeDetail />} />
+            <Route path="/methods" element={<MethodAnalysis />} />
+            <Route path="/invitations/:token" element={<InvitationLanding />} />
             
             {/* Auth routes */}
             <Route 
               path="/login" 
-              element={isAuthenticated ? <Navigate to="/dashboard" /> : <Login />} 
+              element={isAuthenticated ? <AuthRedirect /> : <Login />} 
             />
             <Route 
               path="/register" 
-              element={isAuthenticated ? <Navigate to="/dashboard" /> : <Register />} 
+              element={isAuthenticated ? <AuthRedirect /> : <Register />} 
             />
+            <Route path="/verify-email/:token" element={<VerifyEmail />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password/:token" element={<ResetPassword />} />
             
             {/* Protected routes */}
             <Route 
@@ -85,6 +102,14 @@ function AppContent() {
                 </ProtectedRoute>
               } 
             />
+            <Route 
+              path="/account" 
+              element={
+                <ProtectedRoute>
+                  <AccountSettings />
+                </ProtectedRoute>
+              } 
+            />
             <Route 
               path="/personality" 
               element={
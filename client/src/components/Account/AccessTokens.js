@@ -0,0 +1,203 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useDispatch } from 'react-redux';
+import axios from 'axios';
+import { addToast } from '../../store/slices/toastSlice';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
+const TOKENS_URL = `${API_BASE_URL}/api/auth/tokens`;
+
+const EXPIRY_OPTIONS = [7, 30, 90, 180, 365];
+
+const emptyTokenForm = { name: '', scopes: [], expiresInDays: 90 };
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : 'Never');
+
+// Personal access tokens for calling the API from scripts with "Authorization: Bearer <token>"
+const AccessTokens = () => {
+  const dispatch = useDispatch();
+  const [tokens, setTokens] = useState([]);
+  const [scopes, setScopes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [form, setForm] = useState(emptyTokenForm);
+  const [creating, setCreating] = useState(false);
+  const [newToken, setNewToken] = useState(null);
+
+  const loadTokens = useCallback(async () => {
+    try {
+      const response = await axios.get(TOKENS_URL);
+      setTokens(response.data.tokens);
+      setScopes(response.data.scopes);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load access tokens');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTokens();
+  }, [loadTokens]);
+
+  const toggleScope = (scope) => {
+    setForm({
+      ...form,
+      scopes: form.scopes.includes(scope)
+        ? form.scopes.filter((selected) => selected !== scope)
+        : [...form.scopes, scope],
+    });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setCreating(true);
+    try {
+      const response = await axios.post(TOKENS_URL, form);
+      setNewToken(response.data.token);
+      setForm(emptyTokenForm);
+      await loadTokens();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to create access token');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) {
+      return;
+    }
+    try {
+      await axios.delete(`${TOKENS_URL}/${token.id}`);
+      setTokens(tokens.filter((listed) => listed.id !== token.id));
+      dispatch(addToast({ message: `Revoked ${token.name}`, type: 'success', duration: 3000 }));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to revoke access token');
+    }
+  };
+
+  const copyNewToken = async () => {
+    try {
+      await navigator.clipboard.writeText(newToken);
+      dispatch(addToast({ message: 'Token copied to clipboard', type: 'success', duration: 3000 }));
+    } catch (err) {
+      dispatch(addToast({ message: 'Copy failed; select the token and copy it', type: 'error', duration: 3000 }));
+    }
+  };
+
+  return (
+    <section className="account-section">
+      <h2>Personal access tokens</h2>
+      <p className="account-hint">
+        Scripts can call the API with <code>Authorization: Bearer &lt;token&gt;</code>. A token only reaches
+        the routes its scopes open, and never more than your own account can.
+      </p>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      {newToken && (
+        <div className="alert alert-success account-new-token">
+          <strong>Copy your new token now. It will not be shown again.</strong>
+          <code>{newToken}</code>
+          <div className="account-new-token-actions">
+            <button type="button" className="btn btn-outline btn-sm" onClick={copyNewToken}>
+              Copy
+            </button>
+            <button type="button" className="btn btn-outline btn-sm" onClick={() => setNewToken(null)}>
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <p>Loading tokens...</p>
+      ) : tokens.length === 0 ? (
+        <p className="account-hint">You have no access tokens.</p>
+      ) : (
+        <table className="account-tokens">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Scopes</th>
+              <th>Last used</th>
+              <th>Expires</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {tokens.map((token) => (
+              <tr key={token.id} className={token.expired ? 'account-token-expired' : ''}>
+                <td>
+                  {token.name}
+                  <div className="account-token-prefix">{token.tokenPrefix}…</div>
+                </td>
+                <td>{token.scopes.join(', ')}</td>
+                <td>{formatDate(token.lastUsedAt)}</td>
+                <td>{token.expired ? 'Expired' : formatDate(token.expiresAt)}</td>
+                <td>
+                  <button type="button" className="btn btn-outline btn-sm" onClick={() => handleRevoke(token)}>
+                    Revoke
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <form onSubmit={handleCreate} className="account-token-form">
+        <h3>New token</h3>
+        <div className="form-group">
+          <label htmlFor="tokenName" className="form-label">Name</label>
+          <input
+            type="text"
+            id="tokenName"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            className="form-control"
+            maxLength={100}
+            required
+            placeholder="e.g. Sprint report script"
+          />
+        </div>
+        <div className="form-group">
+          <span className="form-label">Scopes</span>
+          {scopes.map((scope) => (
+            <label key={scope.name} className="account-scope">
+              <input
+                type="checkbox"
+                checked={form.scopes.includes(scope.name)}
+                onChange={() => toggleScope(scope.name)}
+              />
+              <strong>{scope.name}</strong> — {scope.description}
+            </label>
+          ))}
+        </div>
+        <div className="form-group">
+          <label htmlFor="tokenExpiry" className="form-label">Expires in</label>
+          <select
+            id="tokenExpiry"
+            value={form.expiresInDays}
+            onChange={(e) => setForm({ ...form, expiresInDays: parseInt(e.target.value) })}
+            className="form-control"
+          >
+            {EXPIRY_OPTIONS.map((days) => (
+              <option key={days} value={days}>{days} days</option>
+            ))}
+          </select>
+        </div>
+        <button
+          type="submit"
+          className="btn btn-primary"
+          disabled={creating || !form.name.trim() || form.scopes.length === 0}
+        >
+          {creating ? 'Creating...' : 'Create token'}
+        </button>
+      </form>
+    </section>
+  );
+};
+
+export default AccessTokens;
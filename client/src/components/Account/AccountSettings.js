@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { changePassword, resendVerification } from '../../store/slices/authSlice';
+import { addToast } from '../../store/slices/toastSlice';
+import AccessTokens from './AccessTokens';
+import './Account.css';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const emptyPasswordForm = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+// Account page: email verification status, password change and personal access tokens
+const AccountSettings = () => {
+  const dispatch = useDispatch();
+  const { user } = useSelector((state) => state.auth);
+
+  const [passwordForm, setPasswordForm] = useState(emptyPasswordForm);
+  const [passwordError, setPasswordError] = useState(null);
+  const [savingPassword, setSavingPassword] = useState(false);
+  const [sendingVerification, setSendingVerification] = useState(false);
+
+  const handlePasswordChange = (e) => {
+    setPasswordForm({
+      ...passwordForm,
+      [e.target.name]: e.target.value,
+    });
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    setPasswordError(null);
+
+    if (passwordForm.newPassword.length < MIN_PASSWORD_LENGTH) {
+      setPasswordError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+      return;
+    }
+    if (passwordForm.newPassword !== passwordForm.confirmPassword) {
+      setPasswordError('Passwords do not match');
+      return;
+    }
+
+    setSavingPassword(true);
+    const result = await dispatch(changePassword(passwordForm));
+    setSavingPassword(false);
+
+    if (changePassword.fulfilled.match(result)) {
+      setPasswordForm(emptyPasswordForm);
+      dispatch(addToast({
+        message: 'Password changed. Your other sessions were logged out.',
+        type: 'success',
+        duration: 5000
+      }));
+    } else {
+      setPasswordError(result.payload);
+    }
+  };
+
+  const handleResendVerification = async () => {
+    setSendingVerification(true);
+    const result = await dispatch(resendVerification());
+    setSendingVerification(false);
+
+    dispatch(addToast({
+      message: resendVerification.fulfilled.match(result)
+        ? `Verification email sent to ${user.email}`
+        : result.payload,
+      type: resendVerification.fulfilled.match(result) ? 'success' : 'error',
+      duration: 5000
+    }));
+  };
+
+  if (!user) {
+    return null;
+  }
+
+  return (
+    <div className="account-container">
+      <h1>Account</h1>
+
+      <section className="account-section">
+        <h2>Email</h2>
+        <p>
+          {user.email}{' '}
+          {user.emailVerifiedAt ? (
+            <span className="account-badge account-badge-verified">Verified</span>
+          ) : (
+            <span className="account-badge account-badge-unverified">Not verified</span>
+          )}
+        </p>
+        {!user.emailVerifiedAt && (
+          <>
+            <p className="account-hint">
+              Verify your address to join the teams that invited you by email.
+            </p>
+            <button
+              className="btn btn-outline btn-sm"
+              onClick={handleResendVerification}
+              disabled={sendingVerification}
+            >
+              {sendingVerification ? 'Sending...' : 'Resend verification email'}
+            </button>
+          </>
+        )}
+      </section>
+
+      {user.ssoLinked && (
+        <section className="account-section">
+          <h2>Single sign-on</h2>
+          <p className="account-hint">
+            This account is linked to your organization's identity provider.
+            {!user.hasPassword && ' You log in through it, so there is no password to manage here.'}
+          </p>
+        </section>
+      )}
+
+      {user.hasPassword && (
+        <section className="account-section">
+          <h2>Change password</h2>
+          {passwordError && <div className="alert alert-error">{passwordError}</div>}
+          <form onSubmit={handlePasswordSubmit}>
+            <div className="form-group">
+              <label htmlFor="currentPassword" className="form-label">Current Password</label>
+              <input
+                type="password"
+                id="currentPassword"
+                name="currentPassword"
+                value={passwordForm.currentPassword}
+                onChange={handlePasswordChange}
+                className="form-control"
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="newPassword" className="form-label">New Password</label>
+              <input
+                type="password"
+                id="newPassword"
+                name="newPassword"
+                value={passwordForm.newPassword}
+                onChange={handlePasswordChange}
+                className="form-control"
+                required
+                placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="confirmPassword" className="form-label">Confirm New Password</label>
+              <input
+                type="password"
+                id="confirmPassword"
+                name="confirmPassword"
+                value={passwordForm.confirmPassword}
+                onChange={handlePasswordChange}
+                className="form-control"
+                required
+              />
+            </div>
+            <button type="submit" className="btn btn-primary" disabled={savingPassword}>
+              {savingPassword ? 'Saving...' : 'Change password'}
+            </button>
+          </form>
+        </section>
+      )}
+
+      <AccessTokens />
+    </div>
+  );
+};
+
+export default AccountSettings;
@@ -0,0 +1,139 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import './Affinity.css';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
+
+const TRAIT_LABELS = {
+  O: 'Openness',
+  C: 'Conscientiousness',
+  E: 'Extraversion',
+  A: 'Agreeableness',
+  N: 'Neuroticism'
+};
+
+const formatContribution = (value) => {
+  const rounded = Math.round(value * 10) / 10;
+  return `${rounded > 0 ? '+' : ''}${rounded}`;
+};
+
+const describeDemand = (direction, trait) => (
+  direction < 0
+    ? `penalises high ${TRAIT_LABELS[trait].toLowerCase()}`
+    : `rewards high ${TRAIT_LABELS[trait].toLowerCase()}`
+);
+
+// "Why this score" panel: base score plus each trait's signed contribution.
+// With a teamId it explains the team's affinity, otherwise the current user's.
+const AffinityExplanation = ({ practiceVersionId, teamId = null }) => {
+  const [explanation, setExplanation] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!practiceVersionId) {
+      return;
+    }
+
+    const url = teamId
+      ? `${API_BASE_URL}/api/dashboard/teams/${teamId}/affinity/${practiceVersionId}/explanation`
+      : `${API_BASE_URL}/api/affinity/practice/${practiceVersionId}/explanation`;
+
+    setLoading(true);
+    setError(null);
+    axios.get(url)
+      .then((response) => setExplanation(response.data.data))
+      .catch((err) => {
+        setError(
+          err.response?.data?.message || err.response?.data?.error || 'Failed to load score explanation'
+        );
+      })
+      .finally(() => setLoading(false));
+  }, [practiceVersionId, teamId]);
+
+  if (loading) {
+    return <div className="affinity-why loading">Loading explanation...</div>;
+  }
+
+  if (error) {
+    return <div className="affinity-why alert alert-error">{error}</div>;
+  }
+
+  if (!explanation) {
+    return null;
+  }
+
+  const rows = teamId
+    ? explanation.traitContributions.map((demand) => ({ ...demand, contribution: demand.averageContribution }))
+    : explanation.contributions;
+  const score = teamId ? explanation.averageScore : explanation.computedScore;
+
+  if (!teamId && !explanation.profileComplete) {
+    return (
+      <div className="affinity-why">
+        <p>Complete your personality profile to see how this score is built.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="affinity-why">
+      <h4>Why this score?</h4>
+
+      <div className="affinity-why-row base">
+        <span className="affinity-why-label">Neutral starting score</span>
+        <span className="affinity-why-value">{explanation.baseScore}</span>
+      </div>
+
+      {rows.length === 0 && (
+        <p className="affinity-why-note">
+          This practice has no personality requirements, so every profile gets the neutral score.
+        </p>
+      )}
+
+      {rows.map((row) => (
+        <div key={row.trait} className="affinity-why-row">
+          <div className="affinity-why-label">
+            <strong>{TRAIT_LABELS[row.trait]}</strong>
+            {' '}— the practice {describeDemand(row.direction, row.trait)}
+            {row.traitScore !== undefined && (
+              <span className="affinity-why-trait"> (your score: {Math.round(row.traitScore * 100)}%)</span>
+            )}
+            {row.rationale && <div className="affinity-why-rationale">{row.rationale}</div>}
+          </div>
+          <span className={`affinity-why-value ${row.contribution >= 0 ? 'positive' : 'negative'}`}>
+            {formatContribution(row.contribution)}
+          </span>
+        </div>
+      ))}
+
+      <div className="affinity-why-row total">
+        <span className="affinity-why-label">
+          {teamId ? 'Team average' : 'Your affinity'} (kept between 0 and 100)
+        </span>
+        <span className="affinity-why-value">{score !== null ? score : '—'}</span>
+      </div>
+
+      {!teamId && explanation.isManualOverride && (
+        <p className="affinity-why-note">
+          Your stored score ({explanation.storedAffinity}) was set manually and differs from the computed one.
+        </p>
+      )}
+
+      {teamId && explanation.members.length > 0 && (
+        <div className="affinity-why-members">
+          {explanation.members.map((member) => (
+            <div key={member.personId} className="affinity-why-row member">
+              <span className="affinity-why-label">{member.memberName}</span>
+              <span className="affinity-why-value">
+                {member.profileComplete ? member.computedScore : 'No profile yet'}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AffinityExplanation;
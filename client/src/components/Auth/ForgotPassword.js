@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useDispatch } from 'react-redux';
+import { requestPasswordReset } from '../../store/slices/authSlice';
+import './Auth.css';
+
+const ForgotPassword = () => {
+  const dispatch = useDispatch();
+  const [email, setEmail] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    const result = await dispatch(requestPasswordReset(email));
+    if (requestPasswordReset.fulfilled.match(result)) {
+      setMessage(result.payload.message);
+    } else {
+      setError(result.payload);
+    }
+    setSubmitting(false);
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <div className="auth-header">
+          <h2>Forgot your password?</h2>
+          <p>Enter your email address and we will send you a link to choose a new one</p>
+        </div>
+
+        {error && <div className="alert alert-error">{error}</div>}
+
+        {message ? (
+          <div className="alert alert-success">{message}</div>
+        ) : (
+          <form onSubmit={handleSubmit} className="auth-form">
+            <div className="form-group">
+              <label htmlFor="email" className="form-label">
+                Email Address
+              </label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="form-control"
+                required
+                placeholder="Enter your email"
+              />
+            </div>
+
+            <button
+              type="submit"
+              className="btn btn-primary btn-lg auth-submit"
+              disabled={submitting}
+            >
+              {submitting ? 'Sending...' : 'Send reset link'}
+            </button>
+          </form>
+        )}
+
+        <div className="auth-footer">
+          <p>
+            <Link to="/login" className="auth-link">Back to login</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
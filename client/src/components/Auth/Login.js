@@ -1,9 +1,12 @@
 import React, { useState, useEffect } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
+import axios from 'axios';
 import { loginUser, clearError } from '../../store/slices/authSlice';
 import './Auth.css';
 
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
+
 const Login = () => {
   const [formData, setFormData] = useState({
     email: '',
@@ -12,13 +15,24 @@ const Login = () => {
 
   const dispatch = useDispatch();
   const navigate = useNavigate();
+  const location = useLocation();
   const { loading, error, isAuthenticated } = useSelector((state) => state.auth);
+  const from = location.state?.from || '/dashboard';
+  const [sso, setSso] = useState(null);
+  // Set by the single sign-on callback when the identity provider login was refused
+  const ssoError = new URLSearchParams(location.search).get('ssoError');
+
+  useEffect(() => {
+    axios.get(`${API_BASE_URL}/api/auth/oidc/config`)
+      .then((response) => setSso(response.data.enabled ? response.data : null))
+      .catch(() => setSso(null));
+  }, []);
 
   useEffect(() => {
     if (isAuthenticated) {
-      navigate('/dashboard');
+      navigate(from);
     }
-  }, [isAuthenticated, navigate]);
+  }, [isAuthenticated, navigate, from]);
 
   useEffect(() => {
     return () => {
@@ -37,7 +51,7 @@ const Login = () => {
     e.preventDefault();
     const result = await dispatch(loginUser(formData));
     if (loginUser.fulfilled.match(result)) {
-      navigate('/dashboard');
+      navigate(from);
     }
   };
 
@@ -49,9 +63,9 @@ const Login = () => {
           <p>Access your personalized agile practice recommendations</p>
         </div>
 
-        {error && (
+        {(error || ssoError) && (
           <div className="alert alert-error">
-            {error}
+            {error || ssoError}
           </div>
         )}
 
@@ -86,6 +100,11 @@ const Login = () => {
               required
               placeholder="Enter your password"
             />
+            <div className="auth-forgot">
+              <Link to="/forgot-password" className="auth-link">
+                Forgot your password?
+              </Link>
+            </div>
           </div>
 
           <button
@@ -97,10 +116,22 @@ const Login = () => {
           </button>
         </form>
 
+        {sso && (
+          <div className="auth-sso">
+            <span className="auth-sso-divider">or</span>
+            <a
+              href={`${API_BASE_URL}/api/auth/oidc/login?returnTo=${encodeURIComponent(from)}`}
+              className="btn btn-outline btn-lg auth-submit"
+            >
+              Log in with {sso.providerName}
+            </a>
+          </div>
+        )}
+
         <div className="auth-footer">
           <p>
             Don't have an account?{' '}
-            <Link to="/register" className="auth-link">
+            <Link to="/register" state={location.state} className="auth-link">
               Register here
             </Link>
           </p>
@@ -1,5 +1,5 @@
 import { useState, useEffect, useRef } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import { registerUser, clearError, clearRegistrationSuccess } from '../../store/slices/authSlice';
 import { addToast } from '../../store/slices/toastSlice';
@@ -17,6 +17,7 @@ const Register = () => {
 
   const dispatch = useDispatch();
   const navigate = useNavigate();
+  const location = useLocation();
   const { loading, error, registrationSuccess } = useSelector((state) => state.auth);
 
   useEffect(() => {
@@ -41,7 +42,7 @@ const Register = () => {
       
       // Show toast notification
       dispatch(addToast({
-        message: 'Account created successfully! You can now login.',
+        message: 'Account created! Check your email for a link to verify your address.',
         type: 'success',
         duration: 5000
       }));
@@ -50,14 +51,14 @@ const Register = () => {
       const timer = setTimeout(() => {
         dispatch(clearRegistrationSuccess());
         toastShownRef.current = false;
-        navigate('/login');
+        navigate('/login', { state: location.state });
       }, 2500);
       
       return () => {
         clearTimeout(timer);
       };
     }
-  }, [registrationSuccess, navigate, dispatch]);
+  }, [registrationSuccess, navigate, dispatch, location.state]);
 
   const handleChange = (e) => {
     setFormData({
@@ -221,7 +222,7 @@ const Register = () => {
         <div className="auth-footer">
           <p>
             Already have an account?{' '}
-            <Link to="/login" className="auth-link">
+            <Link to="/login" state={location.state} className="auth-link">
               Login here
             </Link>
           </p>
@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useDispatch } from 'react-redux';
+import { resetPassword } from '../../store/slices/authSlice';
+import { addToast } from '../../store/slices/toastSlice';
+import './Auth.css';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Page behind the link of a password reset email
+const ResetPassword = () => {
+  const { token } = useParams();
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value,
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (formData.password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+      return;
+    }
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setSubmitting(true);
+    const result = await dispatch(resetPassword({ token, ...formData }));
+    setSubmitting(false);
+
+    if (resetPassword.fulfilled.match(result)) {
+      dispatch(addToast({
+        message: result.payload.message,
+        type: 'success',
+        duration: 5000
+      }));
+      navigate('/login');
+    } else {
+      setError(result.payload);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <div className="auth-header">
+          <h2>Choose a new password</h2>
+          <p>Your other sessions will be logged out</p>
+        </div>
+
+        {error && <div className="alert alert-error">{error}</div>}
+
+        <form onSubmit={handleSubmit} className="auth-form">
+          <div className="form-group">
+            <label htmlFor="password" className="form-label">
+              New Password
+            </label>
+            <input
+              type="password"
+              id="password"
+              name="password"
+              value={formData.password}
+              onChange={handleChange}
+              className="form-control"
+              required
+              placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="confirmPassword" className="form-label">
+              Confirm New Password
+            </label>
+            <input
+              type="password"
+              id="confirmPassword"
+              name="confirmPassword"
+              value={formData.confirmPassword}
+              onChange={handleChange}
+              className="form-control"
+              required
+              placeholder="Confirm your new password"
+            />
+          </div>
+
+          <button
+            type="submit"
+            className="btn btn-primary btn-lg auth-submit"
+            disabled={submitting}
+          >
+            {submitting ? 'Saving...' : 'Reset password'}
+          </button>
+        </form>
+
+        <div className="auth-footer">
+          <p>
+            Link expired?{' '}
+            <Link to="/forgot-password" className="auth-link">Ask for a new one</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,79 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { verifyEmail } from '../../store/slices/authSlice';
+import './Auth.css';
+
+// Page behind the link of a verification email
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const dispatch = useDispatch();
+  const { isAuthenticated } = useSelector((state) => state.auth);
+  const requestedRef = useRef(false);
+
+  const [status, setStatus] = useState('verifying');
+  const [error, setError] = useState(null);
+  const [joinedTeams, setJoinedTeams] = useState([]);
+
+  useEffect(() => {
+    // The link works once, so only send it once even if the effect runs twice
+    if (requestedRef.current) {
+      return;
+    }
+    requestedRef.current = true;
+
+    dispatch(verifyEmail(token)).then((result) => {
+      if (verifyEmail.fulfilled.match(result)) {
+        setJoinedTeams(result.payload.joinedTeams.filter((team) => team.success));
+        setStatus('verified');
+      } else {
+        setError(result.payload);
+        setStatus('failed');
+      }
+    });
+  }, [dispatch, token]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <div className="auth-header">
+          <h2>Email Verification</h2>
+        </div>
+
+        {status === 'verifying' && <p>Verifying your email address...</p>}
+
+        {status === 'verified' && (
+          <div className="alert alert-success">
+            <strong>Your email address is verified.</strong>
+            {joinedTeams.length > 0 && (
+              <p>You joined: {joinedTeams.map((team) => team.teamName).join(', ')}.</p>
+            )}
+          </div>
+        )}
+
+        {status === 'failed' && (
+          <div className="alert alert-error">
+            {error}
+            <p>Log in and ask for a new link from your account page.</p>
+          </div>
+        )}
+
+        {status !== 'verifying' && (
+          <div className="auth-footer">
+            <p>
+              {isAuthenticated ? (
+                <Link to={status === 'verified' ? '/teams' : '/account'} className="auth-link">
+                  {status === 'verified' ? 'Go to your teams' : 'Go to your account'}
+                </Link>
+              ) : (
+                <Link to="/login" className="auth-link">Login</Link>
+              )}
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
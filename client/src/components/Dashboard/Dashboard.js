@@ -3,8 +3,13 @@ import { Link, useSearchParams } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import { fetchDashboardData, fetchRecommendations } from '../../store/slices/dashboardSlice';
 import { fetchUserTeams } from '../../store/slices/teamsSlice';
+import AffinityExplanation from '../Affinity/AffinityExplanation';
 import './Dashboard.css';
 
+// "Timezone Spread 6 Hours (> 4)" for one indicator of a context match
+const describeIndicator = (item) =>
+  `${item.indicator} ${item.teamValue}${item.unit ? ` ${item.unit}` : ''}${item.condition ? ` (${item.condition})` : ''}`;
+
 const Dashboard = () => {
   const [searchParams] = useSearchParams();
   const dispatch = useDispatch();
@@ -15,11 +20,18 @@ const Dashboard = () => {
     oarCoverage, 
     recommendations, 
     affinityScores, 
+    associationWarnings,
+    criteriaCompletion,
     loading, 
     error 
   } = useSelector((state) => state.dashboard);
 
   const [selectedTeamId, setSelectedTeamId] = useState(null);
+  const [explainedPracticeId, setExplainedPracticeId] = useState(null);
+
+  const toggleExplanation = (practiceVersionId) => {
+    setExplainedPracticeId(prev => (prev === practiceVersionId ? null : practiceVersionId));
+  };
 
   useEffect(() => {
     dispatch(fetchUserTeams());
@@ -155,6 +167,27 @@ const Dashboard = () => {
             </div>
           </div>
 
+          {associationWarnings.length > 0 && (
+            <div className="alert alert-warning association-warnings">
+              <strong>Practice dependencies to check</strong>
+              <ul>
+                {associationWarnings.map((warning) => (
+                  <li key={`${warning.associationId}-${warning.type}`}>
+                    {warning.message}
+                    {warning.type === 'missing_requirement' && (
+                      <>
+                        {' '}
+                        <Link to={`/practices/${warning.relatedPracticeId}`}>
+                          View {warning.relatedPracticeName}
+                        </Link>
+                      </>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           <div className="dashboard-grid">
             {/* Active Practices */}
             <section className="dashboard-section">
@@ -188,8 +221,21 @@ const Dashboard = () => {
                           }`}>
                             {Math.round(affinityScores[practice.id] * 100)}%
                           </div>
+                          <button
+                            className="btn btn-outline btn-sm"
+                            onClick={() => toggleExplanation(practice.practiceVersionId || practice.id)}
+                          >
+                            Why?
+                          </button>
                         </div>
                       )}
+
+                      {explainedPracticeId === (practice.practiceVersionId || practice.id) && (
+                        <AffinityExplanation
+                          practiceVersionId={explainedPracticeId}
+                          teamId={selectedTeamId}
+                        />
+                      )}
                     </div>
                   ))}
                   
@@ -252,12 +298,53 @@ const Dashboard = () => {
               )}
             </section>
 
+            {/* Completion criteria met rates */}
+            <section className="dashboard-section">
+              <div className="section-header">
+                <h2>Completion Criteria</h2>
+                <Link to={`/teams/${selectedTeamId}`} className="btn btn-outline btn-sm">
+                  Open Checklist
+                </Link>
+              </div>
+
+              {criteriaCompletion.some((practice) => practice.metRate !== null) ? (
+                <div className="oar-list">
+                  {criteriaCompletion
+                    .filter((practice) => practice.metRate !== null)
+                    .map((practice) => (
+                    <div key={practice.practiceVersionId} className="oar-item">
+                      <div className="oar-info">
+                        <span className="oar-name">{practice.practiceName}</span>
+                        <span className="oar-percentage">{practice.metRate}%</span>
+                      </div>
+                      <div className="oar-progress">
+                        <div
+                          className="oar-progress-bar"
+                          style={{ width: `${practice.metRate}%` }}
+                        ></div>
+                      </div>
+                      <div className="completion-meta">
+                        Met in {practice.iterationsMet} of {practice.iterationsTracked} iterations
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <div className="empty-state">
+                  <p>No checklist ticked yet. Tick off completion criteria per iteration from the team page.</p>
+                </div>
+              )}
+            </section>
+
             {/* Recommendations */}
             <section className="dashboard-section recommendations-section">
               <div className="section-header">
                 <h2>Recommendations</h2>
                 <span className="recommendations-count">
                   {recommendations.length} suggestion{recommendations.length !== 1 ? 's' : ''}
+                  {recommendations[0]?.aggregation && (
+                    <> · {recommendations[0].aggregation.label}</>
+                  )}
                 </span>
               </div>
               
@@ -279,6 +366,39 @@ const Dashboard = () => {
                       <p className="recommendation-reason">
                         {recommendation.reason}
                       </p>
+
+                      {recommendation.ranking?.signals && (
+                        <p className="recommendation-signals">
+                          Ranked by personality match ({Math.round(recommendation.ranking.signals.teamAffinity.weight * 100)}%)
+                          {recommendation.ranking.signals.experienceFeedback.weight > 0 && (
+                            <> and team feedback ({Math.round(recommendation.ranking.signals.experienceFeedback.weight * 100)}%)</>
+                          )}
+                        </p>
+                      )}
+
+                      {recommendation.contextMatch && (
+                        <p className="recommendation-context">
+                          Fits your context "{recommendation.contextMatch.description}":{' '}
+                          {recommendation.contextMatch.matched.map(describeIndicator).join(', ')}
+                          {recommendation.contextMatch.missing.length > 0 && (
+                            <> · not described yet: {recommendation.contextMatch.missing.map((item) => item.indicator).join(', ')}</>
+                          )}
+                        </p>
+                      )}
+
+                      <button
+                        className="btn btn-outline btn-sm"
+                        onClick={() => toggleExplanation(recommendation.id)}
+                      >
+                        {explainedPracticeId === recommendation.id ? 'Hide explanation' : 'Why this score?'}
+                      </button>
+
+                      {explainedPracticeId === recommendation.id && (
+                        <AffinityExplanation
+                          practiceVersionId={recommendation.id}
+                          teamId={selectedTeamId}
+                        />
+                      )}
                       
                       {recommendation.objectives && recommendation.objectives.length > 0 && (
                         <div className="recommendation-objectives">
@@ -1,7 +1,14 @@
 import React, { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
-import { fetchExpertPractices, fetchExpertDashboard, setFilters } from '../../store/slices/expertSlice';
+import {
+  fetchExpertPractices,
+  fetchExpertDashboard,
+  setFilters,
+  importCatalogue,
+  exportCatalogue,
+  clearImport
+} from '../../store/slices/expertSlice';
 import './Expert.css';
 
 const ExpertDashboard = () => {
@@ -96,6 +103,13 @@ const ExpertDashboard = () => {
           <span className="tab-icon">📚</span>
           Content Library
         </button>
+        <button
+          className={`tab-button ${activeView === 'import' ? 'active' : ''}`}
+          onClick={() => setActiveView('import')}
+        >
+          <span className="tab-icon">📥</span>
+          Import / Export
+        </button>
       </div>
 
       {/* Tab Content */}
@@ -117,6 +131,10 @@ const ExpertDashboard = () => {
         {activeView === 'content' && (
           <ContentLibrary dashboardData={dashboardData} />
         )}
+
+        {activeView === 'import' && (
+          <CatalogueImport />
+        )}
       </div>
     </div>
   );
@@ -164,6 +182,14 @@ const DashboardOverview = ({ dashboardData }) => {
             </div>
           </div>
           
+          <div className="stat-card">
+            <div className="stat-icon">🔍</div>
+            <div className="stat-info">
+              <div className="stat-value">{practiceStats?.inReview || 0}</div>
+              <div className="stat-label">Versions In Review</div>
+            </div>
+          </div>
+          
           <div className="stat-card">
             <div className="stat-icon">📊</div>
             <div className="stat-info">
@@ -312,7 +338,8 @@ const PracticesManagement = ({ practices, pagination, filters, onFilterChange, l
             className="form-control"
           >
             <option value="">All Practices</option>
-            <option value="draft">Drafts Only</option>
+            <option value="draft">Unpublished Only</option>
+            <option value="in_review">In Review</option>
             <option value="published">Published Only</option>
           </select>
         </div>
@@ -377,7 +404,7 @@ const PracticesManagement = ({ practices, pagination, filters, onFilterChange, l
               <h3>No practices found</h3>
               <p>
                 {filters.status 
-                  ? `No ${filters.status} practices found. Try adjusting your filters.`
+                  ? `No ${filters.status.replace('_', ' ')} practices found. Try adjusting your filters.`
                   : 'No practices have been created yet. Create your first practice to get started.'
                 }
               </p>
@@ -434,4 +461,185 @@ const ContentLibrary = ({ dashboardData }) => {
   );
 };
 
+// Catalogue Import Component
+const CatalogueImport = () => {
+  const dispatch = useDispatch();
+  const {
+    importReport,
+    importErrors,
+    importError,
+    importing,
+    exporting,
+    exportWarnings
+  } = useSelector((state) => state.expert);
+  const [files, setFiles] = useState([]);
+  const [exportFilters, setExportFilters] = useState({ method: '', type: '', goal: '', universeId: '' });
+
+  const handleFileChange = async (event) => {
+    dispatch(clearImport());
+    const selected = Array.from(event.target.files);
+    const contents = await Promise.all(selected.map((file) => file.text()));
+    setFiles(selected.map((file, index) => ({ name: file.name, content: contents[index] })));
+  };
+
+  const runImport = async (dryRun) => {
+    const result = await dispatch(importCatalogue({ files, dryRun }));
+    if (importCatalogue.fulfilled.match(result) && !dryRun) {
+      dispatch(fetchExpertDashboard());
+    }
+  };
+
+  const runExport = async () => {
+    const result = await dispatch(exportCatalogue(exportFilters));
+    if (exportCatalogue.fulfilled.match(result)) {
+      // Same layout as practices_reference_v2.json, ready to import elsewhere
+      const content = `${JSON.stringify(result.payload.data, null, 2)}\n`;
+      const url = URL.createObjectURL(new Blob([content], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'practices_export.json';
+      link.click();
+      URL.revokeObjectURL(url);
+    }
+  };
+
+  const handleExportFilterChange = (field, value) => {
+    setExportFilters((current) => ({ ...current, [field]: value }));
+  };
+
+  return (
+    <div className="catalogue-import">
+      <div className="content-library-header">
+        <h2>Export Practices Catalogue</h2>
+        <p>
+          Download practices with their latest published version in the reference JSON format.
+          Leave the filters empty to export the whole catalogue.
+        </p>
+      </div>
+
+      <div className="export-filters">
+        <input
+          type="text"
+          placeholder="Method"
+          value={exportFilters.method}
+          onChange={(e) => handleExportFilterChange('method', e.target.value)}
+        />
+        <input
+          type="text"
+          placeholder="Type"
+          value={exportFilters.type}
+          onChange={(e) => handleExportFilterChange('type', e.target.value)}
+        />
+        <input
+          type="text"
+          placeholder="Goal"
+          value={exportFilters.goal}
+          onChange={(e) => handleExportFilterChange('goal', e.target.value)}
+        />
+        <input
+          type="number"
+          min="1"
+          placeholder="Universe ID"
+          value={exportFilters.universeId}
+          onChange={(e) => handleExportFilterChange('universeId', e.target.value)}
+        />
+        <button className="btn btn-outline" disabled={exporting} onClick={runExport}>
+          {exporting ? 'Exporting...' : 'Export'}
+        </button>
+      </div>
+
+      {exportWarnings.map((warning, index) => (
+        <div key={index} className="alert alert-warning">
+          {warning.practice}: {warning.message}
+        </div>
+      ))}
+
+      <div className="content-library-header">
+        <h2>Import Practices Catalogue</h2>
+        <p>
+          Upload practices reference JSON files. Practices are matched by name, so importing
+          the same file again changes nothing. Imported versions are drafts to submit for review;
+          versions already in review or published are left as they are. Check the import first
+          to see what would change.
+        </p>
+      </div>
+
+      <input
+        type="file"
+        accept=".json,application/json"
+        multiple
+        onChange={handleFileChange}
+      />
+
+      <div className="import-actions">
+        <button
+          className="btn btn-outline"
+          disabled={files.length === 0 || importing}
+          onClick={() => runImport(true)}
+        >
+          Check Import
+        </button>
+        <button
+          className="btn btn-primary"
+          disabled={files.length === 0 || importing}
+          onClick={() => runImport(false)}
+        >
+          {importing ? 'Importing...' : 'Import'}
+        </button>
+      </div>
+
+      {importError && (
+        <div className="alert alert-error">{importError}</div>
+      )}
+
+      {importErrors.length > 0 && (
+        <ul className="import-errors">
+          {importErrors.map((error, index) => (
+            <li key={index}>
+              <code>{error.file}:{error.line}:{error.column}</code> {error.message}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {importReport && (
+        <div className="import-report">
+          <p className="import-summary">
+            {importReport.dryRun ? 'Would create' : 'Created'} {importReport.summary.created},{' '}
+            {importReport.dryRun ? 'would update' : 'updated'} {importReport.summary.updated},{' '}
+            {importReport.summary.unchanged} unchanged
+            {importReport.summary.skipped > 0 && `, ${importReport.summary.skipped} skipped`}
+            {importReport.summary.referencesCreated > 0 &&
+              ` · ${importReport.summary.referencesCreated} new activities, roles, goals and other references`}
+          </p>
+
+          {importReport.warnings.map((warning, index) => (
+            <div key={index} className="alert alert-warning">
+              {warning.practice}: {warning.message}
+            </div>
+          ))}
+
+          {importReport.practices
+            .filter((practice) => practice.action !== 'unchanged' && practice.action !== 'skipped')
+            .map((practice) => (
+              <details key={practice.name} className={`import-practice ${practice.action}`}>
+                <summary>
+                  {practice.action === 'created' ? '+' : '~'} {practice.name}
+                  <span className="import-change-count">{practice.changes.length} changes</span>
+                </summary>
+                <ul>
+                  {practice.changes.map((change, index) => (
+                    <li key={index} className={`diff-${change.action === 'updated' ? 'changed' : change.action}`}>
+                      {change.action} {change.entity}: {change.name}
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
 export default ExpertDashboard;
\ No newline at end of file
@@ -13,7 +13,14 @@ import {
   deleteBenefit,
   createPitfall,
   updatePitfall,
-  deletePitfall
+  deletePitfall,
+  createCompletionCriterion,
+  updateCompletionCriterion,
+  deleteCompletionCriterion,
+  fetchVersionLifecycle,
+  changeVersionStatus,
+  fetchVersionDiff,
+  restoreVersion
 } from '../../store/slices/expertSlice';
 import './Expert.css';
 
@@ -21,7 +28,16 @@ const PracticeEditor = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const dispatch = useDispatch();
-  const { currentPractice, editOptions, loading, error } = useSelector((state) => state.expert);
+  const {
+    currentPractice,
+    editOptions,
+    lifecycle,
+    lifecycleError,
+    versionDiff,
+    versionDiffError,
+    loading,
+    error
+  } = useSelector((state) => state.expert);
   const { user } = useSelector((state) => state.auth);
 
   const [activeTab, setActiveTab] = useState('basic');
@@ -44,6 +60,14 @@ const PracticeEditor = () => {
     };
   }, [dispatch, id]);
 
+  // Lifecycle of the version being edited (the latest one)
+  const latestVersionId = currentPractice?.versions?.[0]?.id;
+  useEffect(() => {
+    if (id && latestVersionId) {
+      dispatch(fetchVersionLifecycle({ practiceId: id, versionId: latestVersionId }));
+    }
+  }, [dispatch, id, latestVersionId]);
+
   useEffect(() => {
     if (currentPractice) {
       setPracticeForm({
@@ -149,6 +173,13 @@ const PracticeEditor = () => {
             pitfallData: itemData 
           })).unwrap();
           break;
+        case 'criterion':
+          await dispatch(createCompletionCriterion({
+            practiceId: id,
+            versionId,
+            criterionData: itemData
+          })).unwrap();
+          break;
       }
       setShowAddForm(null);
     } catch (error) {
@@ -168,6 +199,9 @@ const PracticeEditor = () => {
         case 'pitfall':
           await dispatch(updatePitfall({ id: itemId, pitfallData: itemData })).unwrap();
           break;
+        case 'criterion':
+          await dispatch(updateCompletionCriterion({ id: itemId, criterionData: itemData })).unwrap();
+          break;
       }
       setEditingItem(null);
     } catch (error) {
@@ -191,17 +225,61 @@ const PracticeEditor = () => {
         case 'pitfall':
           await dispatch(deletePitfall(itemId)).unwrap();
           break;
+        case 'criterion':
+          await dispatch(deleteCompletionCriterion(itemId)).unwrap();
+          break;
       }
     } catch (error) {
       console.error(`Failed to delete ${type}:`, error);
     }
   };
 
+  const handleTraitProfileSubmit = async (traitProfile) => {
+    try {
+      await dispatch(updatePractice({ id, practiceData: { traitProfile } })).unwrap();
+    } catch (error) {
+      console.error('Failed to update personality profile:', error);
+    }
+  };
+
+  const handleStatusChange = async (status, comment) => {
+    try {
+      await dispatch(changeVersionStatus({
+        practiceId: id,
+        versionId: latestVersionId,
+        status,
+        comment
+      })).unwrap();
+    } catch (error) {
+      console.error('Failed to change version status:', error);
+    }
+  };
+
+  const handleCompareVersions = (fromId, toId) => {
+    dispatch(fetchVersionDiff({ practiceId: id, fromId, toId }));
+  };
+
+  const handleRestoreVersion = async (versionId) => {
+    if (!window.confirm('Copy this version forward as a new draft version?')) {
+      return;
+    }
+
+    try {
+      await dispatch(restoreVersion({ practiceId: id, versionId })).unwrap();
+    } catch (error) {
+      console.error('Failed to restore version:', error);
+    }
+  };
+
   const tabs = [
     { id: 'basic', label: 'Basic Information', icon: '📝' },
+    { id: 'lifecycle', label: 'Review & Publish', icon: '🚦' },
+    { id: 'versions', label: 'Version History', icon: '🕘' },
     { id: 'guidelines', label: 'Guidelines', icon: '📚' },
     { id: 'benefits', label: 'Benefits', icon: '✅' },
     { id: 'pitfalls', label: 'Pitfalls', icon: '⚠️' },
+    { id: 'criteria', label: 'Completion Criteria', icon: '☑️' },
+    { id: 'personality', label: 'Personality Profile', icon: '🧠' },
     { id: 'activities', label: 'Activities', icon: '🔄' },
     { id: 'metrics', label: 'Metrics', icon: '📊' }
   ];
@@ -216,7 +294,14 @@ const PracticeEditor = () => {
             <span className="breadcrumb-separator">›</span>
             <span>Edit Practice</span>
           </nav>
-          <h1>Edit Practice: {currentPractice.name}</h1>
+          <h1>
+            Edit Practice: {currentPractice.name}
+            {lifecycle && (
+              <span className={`status-badge ${lifecycle.status.toLowerCase().replace(' ', '-')}`}>
+                {lifecycle.status}
+              </span>
+            )}
+          </h1>
         </div>
         
         <div className="editor-actions">
@@ -262,6 +347,25 @@ const PracticeEditor = () => {
           />
         )}
 
+        {activeTab === 'lifecycle' && (
+          <LifecycleTab
+            lifecycle={lifecycle}
+            error={lifecycleError}
+            hasVersion={Boolean(latestVersionId)}
+            onStatusChange={handleStatusChange}
+          />
+        )}
+
+        {activeTab === 'versions' && (
+          <VersionHistoryTab
+            versions={currentPractice.versions || []}
+            diff={versionDiff}
+            error={versionDiffError}
+            onCompare={handleCompareVersions}
+            onRestore={handleRestoreVersion}
+          />
+        )}
+
         {activeTab === 'guidelines' && (
           <GuidelinesTab
             guidelines={currentPractice.guidelines || []}
@@ -314,6 +418,31 @@ const PracticeEditor = () => {
           />
         )}
 
+        {activeTab === 'criteria' && (
+          <CompletionCriteriaTab
+            criteria={currentPractice.completionCriteria || []}
+            editingItem={editingItem}
+            showAddForm={showAddForm}
+            onAdd={(data) => handleAddItem('criterion', data)}
+            onUpdate={(id, data) => handleUpdateItem('criterion', id, data)}
+            onDelete={(id) => handleDeleteItem('criterion', id)}
+            onEdit={setEditingItem}
+            onShowAddForm={setShowAddForm}
+            onCancel={() => {
+              setEditingItem(null);
+              setShowAddForm(null);
+            }}
+          />
+        )}
+
+        {activeTab === 'personality' && (
+          <TraitProfileTab
+            traitProfile={currentPractice.traitProfile || []}
+            onSubmit={handleTraitProfileSubmit}
+            loading={loading}
+          />
+        )}
+
         {activeTab === 'activities' && (
           <div className="tab-content">
             <h3>Activities Management</h3>
@@ -332,6 +461,326 @@ const PracticeEditor = () => {
   );
 };
 
+// Button labels for each lifecycle move, by target status
+const TRANSITION_LABELS = {
+  'In Review': 'Submit for Review',
+  'Draft': 'Request Changes',
+  'Published': 'Sign Off & Publish',
+  'Deprecated': 'Deprecate',
+  'Archived': 'Archive'
+};
+
+const READINESS_LABELS = {
+  activities: 'Activities',
+  roles: 'Roles',
+  goals: 'Goals',
+  completionCriteria: 'Completion criteria'
+};
+
+// Review & Publish Tab Component
+const LifecycleTab = ({ lifecycle, error, hasVersion, onStatusChange }) => {
+  const [comment, setComment] = useState('');
+
+  if (!hasVersion) {
+    return (
+      <div className="tab-content">
+        <div className="empty-state">
+          <p>This practice has no version yet.</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!lifecycle) {
+    return (
+      <div className="tab-content">
+        <div className="loading-spinner">Loading lifecycle...</div>
+      </div>
+    );
+  }
+
+  const { version, status, allowedTransitions, readiness, canSignOff, history } = lifecycle;
+
+  const handleTransition = (target) => {
+    onStatusChange(target, comment);
+    setComment('');
+  };
+
+  return (
+    <div className="tab-content">
+      <div className="section-header">
+        <h3>{version.versionName}</h3>
+        <span className={`status-badge ${status.toLowerCase().replace(' ', '-')}`}>{status}</span>
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      <div className="form-section">
+        <h4>Publish Readiness</h4>
+        <ul className="readiness-list">
+          {Object.keys(READINESS_LABELS).map((check) => (
+            <li key={check} className={readiness.missing.includes(check) ? 'missing' : 'ready'}>
+              {readiness.missing.includes(check) ? '✗' : '✓'} {READINESS_LABELS[check]} ({readiness.counts[check]})
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div className="form-section">
+        <h4>Change Status</h4>
+        {status === 'In Review' && !canSignOff && (
+          <p className="lifecycle-note">
+            You submitted this version. Another expert has to sign it off before it is published.
+          </p>
+        )}
+        {allowedTransitions.length > 0 ? (
+          <>
+            <div className="form-group">
+              <label htmlFor="lifecycle-comment">Comment</label>
+              <textarea
+                id="lifecycle-comment"
+                value={comment}
+                onChange={(e) => setComment(e.target.value)}
+                className="form-control"
+                rows="2"
+                placeholder="Optional note for the history"
+              />
+            </div>
+            <div className="form-actions">
+              {allowedTransitions.map((target) => (
+                <button
+                  key={target}
+                  type="button"
+                  className={target === 'Published' || target === 'In Review' ? 'btn btn-primary' : 'btn btn-outline'}
+                  onClick={() => handleTransition(target)}
+                  disabled={
+                    (target === 'Published' && status === 'In Review' && (!canSignOff || !readiness.ready)) ||
+                    (target === 'In Review' && !readiness.ready)
+                  }
+                >
+                  {status === 'Deprecated' && target === 'Published' ? 'Reinstate' : TRANSITION_LABELS[target]}
+                </button>
+              ))}
+            </div>
+          </>
+        ) : (
+          <p>Archived versions can no longer change status.</p>
+        )}
+      </div>
+
+      <div className="form-section">
+        <h4>History</h4>
+        {history.length === 0 ? (
+          <p>No status changes yet.</p>
+        ) : (
+          <ul className="lifecycle-history">
+            {history.map((entry) => (
+              <li key={entry.id}>
+                <strong>{entry.fromStatus} → {entry.toStatus}</strong>
+                {' '}by {entry.personName || 'unknown'} on {new Date(entry.createdAt).toLocaleString()}
+                {entry.comment && <div className="item-content-detail">{entry.comment}</div>}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const ENTITY_LABELS = {
+  activities: 'Activities',
+  roles: 'Roles',
+  workproducts: 'Work Products',
+  guidelines: 'Guidelines',
+  benefits: 'Benefits',
+  pitfalls: 'Pitfalls',
+  completionCriteria: 'Completion Criteria',
+  metrics: 'Metrics',
+  goals: 'Goals'
+};
+
+const formatValue = (value) => (value === null || value === undefined || value === '' ? '—' : String(value));
+
+// One changed, added or removed entity as a row of the side-by-side diff
+const DiffRow = ({ kind, left, right }) => (
+  <div className={`diff-row diff-${kind}`}>
+    <div className="diff-cell">{left}</div>
+    <div className="diff-cell">{right}</div>
+  </div>
+);
+
+// Version History Tab Component
+const VersionHistoryTab = ({ versions, diff, error, onCompare, onRestore }) => {
+  const [fromId, setFromId] = useState('');
+  const [toId, setToId] = useState('');
+
+  useEffect(() => {
+    // Default to comparing the previous version with the latest one
+    if (versions.length > 1) {
+      setFromId(String(versions[1].id));
+      setToId(String(versions[0].id));
+    }
+  }, [versions]);
+
+  const handleCompare = (e) => {
+    e.preventDefault();
+    if (fromId && toId) {
+      onCompare(fromId, toId);
+    }
+  };
+
+  return (
+    <div className="tab-content">
+      <div className="section-header">
+        <h3>Versions</h3>
+      </div>
+
+      <div className="items-list">
+        {versions.map((version, index) => (
+          <div key={version.id} className="item-card">
+            <div className="item-content">
+              <div>
+                <h4>
+                  {version.versionname}
+                  {' '}
+                  <span className={`status-badge ${(version.status || 'draft').toLowerCase().replace(' ', '-')}`}>
+                    {version.status}
+                  </span>
+                </h4>
+                <p>
+                  {version.universename} · {new Date(version.versiontimestamp).toLocaleString()}
+                </p>
+                {version.changedescription && <p>{version.changedescription}</p>}
+              </div>
+            </div>
+            <div className="item-actions">
+              {index > 0 && (
+                <>
+                  <button
+                    className="btn btn-sm btn-outline"
+                    onClick={() => onCompare(version.id, versions[0].id)}
+                  >
+                    Compare with Latest
+                  </button>
+                  <button
+                    className="btn btn-sm btn-outline"
+                    onClick={() => onRestore(version.id)}
+                  >
+                    Restore as New Version
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {versions.length > 1 && (
+        <form onSubmit={handleCompare} className="diff-form">
+          <div className="form-group">
+            <label htmlFor="diff-from">From</label>
+            <select id="diff-from" value={fromId} onChange={(e) => setFromId(e.target.value)} className="form-control">
+              {versions.map((version) => (
+                <option key={version.id} value={version.id}>{version.versionname}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="diff-to">To</label>
+            <select id="diff-to" value={toId} onChange={(e) => setToId(e.target.value)} className="form-control">
+              {versions.map((version) => (
+                <option key={version.id} value={version.id}>{version.versionname}</option>
+              ))}
+            </select>
+          </div>
+          <button type="submit" className="btn btn-primary">Compare</button>
+        </form>
+      )}
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      {diff && (
+        <div className="version-diff">
+          <div className="diff-row diff-header">
+            <div className="diff-cell">{diff.from.versionName}</div>
+            <div className="diff-cell">{diff.to.versionName}</div>
+          </div>
+
+          {diff.summary.identical ? (
+            <div className="empty-state">
+              <p>These versions are identical.</p>
+            </div>
+          ) : (
+            <p className="diff-summary">
+              {diff.summary.added} added · {diff.summary.removed} removed · {diff.summary.changed} changed
+              {diff.summary.fieldsChanged > 0 && ` · ${diff.summary.fieldsChanged} version fields changed`}
+            </p>
+          )}
+
+          {diff.fields.length > 0 && (
+            <div className="diff-section">
+              <h4>Version</h4>
+              {diff.fields.map((change) => (
+                <DiffRow
+                  key={change.field}
+                  kind="changed"
+                  left={<><strong>{change.field}:</strong> {formatValue(change.from)}</>}
+                  right={<><strong>{change.field}:</strong> {formatValue(change.to)}</>}
+                />
+              ))}
+            </div>
+          )}
+
+          {Object.keys(ENTITY_LABELS).map((type) => {
+            const entity = diff.entities[type];
+            if (!entity || entity.added.length + entity.removed.length + entity.changed.length === 0) {
+              return null;
+            }
+
+            return (
+              <div key={type} className="diff-section">
+                <h4>
+                  {ENTITY_LABELS[type]}
+                  {entity.unchanged > 0 && <span className="diff-unchanged"> ({entity.unchanged} unchanged)</span>}
+                </h4>
+                {entity.removed.map((item, index) => (
+                  <DiffRow key={`removed-${index}`} kind="removed" left={`− ${item.name}`} right="" />
+                ))}
+                {entity.changed.map((item) => (
+                  <DiffRow
+                    key={`changed-${item.key}`}
+                    kind="changed"
+                    left={
+                      <>
+                        <strong>{item.from.name}</strong>
+                        {item.changes.map((change) => (
+                          <div key={change.field}>{change.field}: {formatValue(change.from)}</div>
+                        ))}
+                      </>
+                    }
+                    right={
+                      <>
+                        <strong>{item.to.name}</strong>
+                        {item.changes.map((change) => (
+                          <div key={change.field}>{change.field}: {formatValue(change.to)}</div>
+                        ))}
+                      </>
+                    }
+                  />
+                ))}
+                {entity.added.map((item, index) => (
+                  <DiffRow key={`added-${index}`} kind="added" left="" right={`+ ${item.name}`} />
+                ))}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
 // Basic Information Tab Component
 const BasicInformationTab = ({ practiceForm, editOptions, onInputChange, onSubmit, loading }) => (
   <div className="tab-content">
@@ -409,6 +858,138 @@ const BasicInformationTab = ({ practiceForm, editOptions, onInputChange, onSubmi
   </div>
 );
 
+// Big Five trait-demand profile editor
+const TRAITS = [
+  { key: 'O', label: 'Openness' },
+  { key: 'C', label: 'Conscientiousness' },
+  { key: 'E', label: 'Extraversion' },
+  { key: 'A', label: 'Agreeableness' },
+  { key: 'N', label: 'Neuroticism' }
+];
+
+const buildTraitForm = (traitProfile) => TRAITS.reduce((form, { key }) => {
+  const demand = traitProfile.find(d => d.trait === key);
+  form[key] = {
+    enabled: Boolean(demand),
+    weight: demand ? demand.weight : 0.2,
+    direction: demand ? demand.direction : 1,
+    rationale: demand?.rationale || ''
+  };
+  return form;
+}, {});
+
+// Personality Profile Tab Component
+const TraitProfileTab = ({ traitProfile, onSubmit, loading }) => {
+  const [traitForm, setTraitForm] = useState(() => buildTraitForm(traitProfile));
+
+  useEffect(() => {
+    setTraitForm(buildTraitForm(traitProfile));
+  }, [traitProfile]);
+
+  const updateTrait = (key, changes) => {
+    setTraitForm(prev => ({
+      ...prev,
+      [key]: { ...prev[key], ...changes }
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(
+      TRAITS
+        .filter(({ key }) => traitForm[key].enabled)
+        .map(({ key }) => ({
+          trait: key,
+          weight: parseFloat(traitForm[key].weight),
+          direction: parseInt(traitForm[key].direction),
+          rationale: traitForm[key].rationale
+        }))
+    );
+  };
+
+  return (
+    <div className="tab-content">
+      <div className="section-header">
+        <h3>Personality Requirement Profile</h3>
+      </div>
+      <p>
+        Declare which Big Five traits this practice draws on. Each selected trait moves the
+        neutral affinity of 50 by up to weight × 100 points, up for a favourable trait and
+        down for an unfavourable one.
+      </p>
+
+      <form onSubmit={handleSubmit} className="practice-form">
+        {TRAITS.map(({ key, label }) => (
+          <div key={key} className="form-section">
+            <div className="form-group">
+              <label>
+                <input
+                  type="checkbox"
+                  checked={traitForm[key].enabled}
+                  onChange={(e) => updateTrait(key, { enabled: e.target.checked })}
+                />
+                {' '}{label} ({key})
+              </label>
+            </div>
+
+            {traitForm[key].enabled && (
+              <>
+                <div className="form-group">
+                  <label>Weight (0 - 1)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    value={traitForm[key].weight}
+                    onChange={(e) => updateTrait(key, { weight: e.target.value })}
+                    className="form-control"
+                    required
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>Direction</label>
+                  <select
+                    value={traitForm[key].direction}
+                    onChange={(e) => updateTrait(key, { direction: e.target.value })}
+                    className="form-control"
+                  >
+                    <option value={1}>Favours high {label.toLowerCase()}</option>
+                    <option value={-1}>Penalises high {label.toLowerCase()}</option>
+                  </select>
+                </div>
+
+                <div className="form-group">
+                  <label>Rationale</label>
+                  <input
+                    type="text"
+                    maxLength="255"
+                    value={traitForm[key].rationale}
+                    onChange={(e) => updateTrait(key, { rationale: e.target.value })}
+                    className="form-control"
+                    placeholder="Why does this practice demand this trait?"
+                  />
+                </div>
+              </>
+            )}
+          </div>
+        ))}
+
+        <div className="form-actions">
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={loading}
+          >
+            {loading ? 'Saving...' : 'Save Personality Profile'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
 // Guidelines Tab Component
 const GuidelinesTab = ({ 
   guidelines, 
@@ -867,4 +1448,137 @@ const PitfallsTab = ({
   );
 };
 
+// Completion Criteria Tab Component
+const CompletionCriteriaTab = ({
+  criteria,
+  editingItem,
+  showAddForm,
+  onAdd,
+  onUpdate,
+  onDelete,
+  onEdit,
+  onShowAddForm,
+  onCancel
+}) => {
+  const [formData, setFormData] = useState({
+    name: '',
+    description: ''
+  });
+
+  useEffect(() => {
+    if (editingItem) {
+      setFormData({
+        name: editingItem.name || '',
+        description: editingItem.description || ''
+      });
+    } else {
+      setFormData({
+        name: '',
+        description: ''
+      });
+    }
+  }, [editingItem]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (editingItem) {
+      onUpdate(editingItem.id, formData);
+    } else {
+      onAdd(formData);
+    }
+  };
+
+  return (
+    <div className="tab-content">
+      <div className="section-header">
+        <h3>Completion Criteria</h3>
+        <button
+          className="btn btn-primary"
+          onClick={() => onShowAddForm('criterion')}
+          disabled={showAddForm || editingItem}
+        >
+          Add Criterion
+        </button>
+      </div>
+      <p className="tab-hint">
+        Teams tick these off in each iteration to record that they really applied the practice.
+        Editing a criterion keeps the teams' ticks; deleting it removes them.
+      </p>
+
+      {(showAddForm === 'criterion' || editingItem) && (
+        <div className="add-form">
+          <h4>{editingItem ? 'Edit Criterion' : 'Add New Criterion'}</h4>
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label>Name *</label>
+              <input
+                type="text"
+                value={formData.name}
+                onChange={(e) => setFormData(prev => ({ ...prev, name: e.target.value }))}
+                className="form-control"
+                maxLength={255}
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label>Description</label>
+              <textarea
+                value={formData.description}
+                onChange={(e) => setFormData(prev => ({ ...prev, description: e.target.value }))}
+                className="form-control"
+                rows="3"
+                maxLength={255}
+              />
+            </div>
+
+            <div className="form-actions">
+              <button type="button" className="btn btn-outline" onClick={onCancel}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary">
+                {editingItem ? 'Update' : 'Add'} Criterion
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="items-list">
+        {criteria.map((criterion) => (
+          <div key={criterion.id} className="item-card criterion-card">
+            <div className="item-content">
+              <div className="item-icon">☑</div>
+              <div>
+                <h4>{criterion.name}</h4>
+                {criterion.description && <p>{criterion.description}</p>}
+              </div>
+            </div>
+            <div className="item-actions">
+              <button
+                className="btn btn-sm btn-outline"
+                onClick={() => onEdit(criterion)}
+              >
+                Edit
+              </button>
+              <button
+                className="btn btn-sm btn-danger"
+                onClick={() => onDelete(criterion.id)}
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        ))}
+
+        {criteria.length === 0 && (
+          <div className="empty-state">
+            <p>No completion criteria yet. Click "Add Criterion" to get started.</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
 export default PracticeEditor;
\ No newline at end of file
@@ -0,0 +1,128 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import axios from 'axios';
+import './Invitations.css';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
+
+// Page behind the link of an invitation email: accept (after logging in or
+// registering if needed) or decline the invitation
+const InvitationLanding = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { isAuthenticated, user } = useSelector((state) => state.auth);
+
+  const [invitation, setInvitation] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [declined, setDeclined] = useState(false);
+
+  const invitationUrl = `${API_BASE_URL}/api/invitations/${encodeURIComponent(token)}`;
+
+  useEffect(() => {
+    setLoading(true);
+    axios.get(invitationUrl)
+      .then((response) => setInvitation(response.data.data))
+      .catch((err) => setError(err.response?.data?.error || 'Failed to load invitation'))
+      .finally(() => setLoading(false));
+  }, [invitationUrl]);
+
+  const respond = async (action) => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      await axios.post(`${invitationUrl}/${action}`);
+      if (action === 'accept') {
+        navigate(`/teams/${invitation.teamId}`);
+      } else {
+        setDeclined(true);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || `Failed to ${action} invitation`);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="loading-spinner">Loading invitation...</div>
+      </div>
+    );
+  }
+
+  if (!invitation) {
+    return (
+      <div className="invitation-container">
+        <div className="invitation-panel">
+          <h1>Invitation unavailable</h1>
+          <div className="alert alert-error">{error}</div>
+          <p>Ask the team for a new invitation.</p>
+        </div>
+      </div>
+    );
+  }
+
+  const otherAccount = isAuthenticated && invitation.scope === 'email' &&
+    user?.email?.toLowerCase() !== invitation.invitedEmail.toLowerCase();
+  const returnState = { from: `/invitations/${token}` };
+
+  return (
+    <div className="invitation-container">
+      <div className="invitation-panel">
+        <h1>Join {invitation.teamName}</h1>
+        {invitation.inviterName && (
+          <p><strong>{invitation.inviterName}</strong> has invited you to join this team.</p>
+        )}
+        {invitation.teamDescription && <p className="invitation-team-description">{invitation.teamDescription}</p>}
+        <p className="invitation-details">
+          Sent to {invitation.invitedEmail} · expires {new Date(invitation.expiresAt).toLocaleString()}
+        </p>
+
+        {error && <div className="alert alert-error">{error}</div>}
+
+        {declined || invitation.status !== 'pending' ? (
+          <p className="invitation-closed">
+            This invitation has been {declined ? 'declined' : invitation.status}.
+          </p>
+        ) : (
+          <>
+            {!isAuthenticated && (
+              <p>
+                <Link to="/login" state={returnState}>Log in</Link> or{' '}
+                <Link to="/register" state={returnState}>create an account</Link>
+                {invitation.scope === 'email' ? ` with ${invitation.invitedEmail}` : ''} to accept.
+              </p>
+            )}
+            {otherAccount && (
+              <p className="alert alert-error">
+                You are logged in as {user.email}. Log in as {invitation.invitedEmail} to accept this invitation.
+              </p>
+            )}
+            <div className="invitation-actions">
+              <button
+                className="btn btn-primary"
+                onClick={() => respond('accept')}
+                disabled={!isAuthenticated || otherAccount || submitting}
+              >
+                Accept
+              </button>
+              <button
+                className="btn btn-outline"
+                onClick={() => respond('decline')}
+                disabled={submitting}
+              >
+                Decline
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default InvitationLanding;
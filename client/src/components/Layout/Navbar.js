@@ -25,6 +25,9 @@ const Navbar = () => {
           <Link to="/practices" className="navbar-link">
             Browse Practices
           </Link>
+          <Link to="/methods" className="navbar-link">
+            Methods
+          </Link>
           
           {isAuthenticated ? (
             <>
@@ -40,7 +43,7 @@ const Navbar = () => {
                 </Link>
               )}
               <div className="navbar-user">
-                <span className="user-name">Hello, {user?.name}</span>
+                <Link to="/account" className="user-name">Hello, {user?.name}</Link>
                 <button onClick={handleLogout} className="btn btn-outline btn-sm">
                   Logout
                 </button>
@@ -0,0 +1,271 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import axios from 'axios';
+import { fetchUserTeams } from '../../store/slices/teamsSlice';
+import './Methods.css';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
+
+const GAP_LABELS = {
+  unproduced_workproduct: 'Work product never produced',
+  role_without_responsibility: 'Role without responsibility',
+  uncovered_goal: 'Uncovered OAR'
+};
+
+const OVERLAP_LABELS = {
+  goal: 'Same OAR',
+  activity: 'Same activity',
+  practice: 'Same practice'
+};
+
+const practiceNames = (practices) => practices.map((practice) => practice.name).join(', ');
+
+// Pick method versions ("Scrum + XP"), then see what they bring together,
+// where they leave gaps or overlap, and how well one of your teams fits them
+const MethodAnalysis = () => {
+  const dispatch = useDispatch();
+  const { isAuthenticated } = useSelector((state) => state.auth);
+  const { teams } = useSelector((state) => state.teams);
+
+  const [methods, setMethods] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [teamId, setTeamId] = useState('');
+  const [analysis, setAnalysis] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    axios.get(`${API_BASE_URL}/api/methods`)
+      .then((response) => Promise.all(
+        response.data.data.map((method) => axios.get(`${API_BASE_URL}/api/methods/${method.id}`))
+      ))
+      .then((responses) => setMethods(responses.map((response) => response.data.data)))
+      .catch((err) => setError(err.response?.data?.message || 'Failed to fetch methods'));
+  }, []);
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      dispatch(fetchUserTeams());
+    }
+  }, [dispatch, isAuthenticated]);
+
+  const toggleVersion = (versionId) => {
+    setSelected((current) => (
+      current.includes(versionId) ? current.filter((id) => id !== versionId) : [...current, versionId]
+    ));
+  };
+
+  const handleAnalyse = () => {
+    const url = teamId
+      ? `${API_BASE_URL}/api/methods/analysis/teams/${teamId}`
+      : `${API_BASE_URL}/api/methods/analysis`;
+
+    setLoading(true);
+    setError(null);
+    axios.get(url, { params: { versionIds: selected.join(',') } })
+      .then((response) => setAnalysis(response.data.data))
+      .catch((err) => {
+        setAnalysis(null);
+        setError(err.response?.data?.message || 'Failed to analyse methods');
+      })
+      .finally(() => setLoading(false));
+  };
+
+  return (
+    <div className="methods-container">
+      <div className="methods-header">
+        <h1>Method Analysis</h1>
+        <p>Combine method versions to see their coverage, gaps and overlaps before adopting them</p>
+      </div>
+
+      <div className="method-picker card">
+        {methods.length === 0 && !error && <p>No methods available.</p>}
+        {methods.map((method) => (
+          <div key={method.id} className="method-picker-group">
+            <h3>{method.name}</h3>
+            {method.versions.length === 0 ? (
+              <p className="method-muted">No versions yet.</p>
+            ) : (
+              method.versions.map((version) => (
+                <label key={version.id} className="method-version-option">
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(version.id)}
+                    onChange={() => toggleVersion(version.id)}
+                  />
+                  {version.versionName}
+                </label>
+              ))
+            )}
+          </div>
+        ))}
+
+        <div className="method-picker-actions">
+          {isAuthenticated && teams.length > 0 && (
+            <select value={teamId} onChange={(e) => setTeamId(e.target.value)} className="form-input">
+              <option value="">Without team affinity</option>
+              {teams.map((team) => (
+                <option key={team.id} value={team.id}>Affinity for {team.name}</option>
+              ))}
+            </select>
+          )}
+          <button
+            className="btn btn-primary"
+            onClick={handleAnalyse}
+            disabled={selected.length === 0 || loading}
+          >
+            {loading ? 'Analysing...' : 'Analyse'}
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      {analysis && (
+        <div className="method-analysis">
+          <h2>{analysis.methodVersions.map((version) => `${version.methodName} ${version.versionName}`).join(' + ')}</h2>
+
+          <div className="method-stats">
+            <div className="method-stat">
+              <div className="method-stat-value">{analysis.practices.length}</div>
+              <div className="method-stat-label">Practices</div>
+            </div>
+            <div className="method-stat">
+              <div className="method-stat-value">{analysis.goalCoverage.coveragePercentage}%</div>
+              <div className="method-stat-label">
+                OAR Coverage ({analysis.goalCoverage.covered}/{analysis.goalCoverage.total})
+              </div>
+            </div>
+            <div className="method-stat">
+              <div className="method-stat-value">{analysis.gaps.length}</div>
+              <div className="method-stat-label">Gaps</div>
+            </div>
+            <div className="method-stat">
+              <div className="method-stat-value">{analysis.overlaps.length}</div>
+              <div className="method-stat-label">Overlaps</div>
+            </div>
+          </div>
+
+          {analysis.affinity && (
+            <div className={`method-affinity card ${analysis.affinity.recommended ? 'recommended' : ''}`}>
+              <h3>Team Affinity ({analysis.affinity.label})</h3>
+              {analysis.affinity.scoredPractices === 0 ? (
+                <p className="method-muted">No team member has a score for these practices yet.</p>
+              ) : (
+                <>
+                  <p>
+                    <strong>{analysis.affinity.score}%</strong>
+                    {analysis.affinity.vetoed && <span className="method-badge vetoed">Vetoed</span>}
+                    {analysis.affinity.recommended && <span className="method-badge">Good fit</span>}
+                  </p>
+                  {analysis.affinity.weakestPractice && (
+                    <p className="method-muted">
+                      Weakest practice: {analysis.affinity.weakestPractice.name} ({analysis.affinity.weakestPractice.score}%)
+                    </p>
+                  )}
+                </>
+              )}
+              <ul className="method-list">
+                {analysis.affinity.practices.map((practice) => (
+                  <li key={practice.practiceVersionId}>
+                    <Link to={`/practices/${practice.practiceVersionId}`}>{practice.name}</Link>
+                    <span className="method-muted">
+                      {practice.scored ? ` ${practice.aggregation.score}%` : ' not scored'}
+                      {practice.aggregation.vetoed && ' (vetoed)'}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="method-section">
+            <h3>Gaps</h3>
+            {analysis.gaps.length === 0 ? (
+              <p className="method-muted">No gaps found.</p>
+            ) : (
+              <ul className="method-findings">
+                {analysis.gaps.map((gap) => (
+                  <li key={`${gap.type}-${gap.name}`} className="method-finding gap">
+                    <span className="method-finding-type">{GAP_LABELS[gap.type]}</span>
+                    {gap.message}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="method-section">
+            <h3>Overlaps</h3>
+            {analysis.overlaps.length === 0 && analysis.associationWarnings.length === 0 ? (
+              <p className="method-muted">No overlaps found.</p>
+            ) : (
+              <ul className="method-findings">
+                {analysis.overlaps.map((overlap) => (
+                  <li key={`${overlap.type}-${overlap.name}`} className="method-finding overlap">
+                    <span className="method-finding-type">{OVERLAP_LABELS[overlap.type]}</span>
+                    {overlap.message}
+                  </li>
+                ))}
+                {analysis.associationWarnings.map((warning) => (
+                  <li key={`association-${warning.associationId}`} className="method-finding overlap">
+                    <span className="method-finding-type">Association</span>
+                    {warning.message}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="method-columns">
+            <div className="method-section">
+              <h3>Roles</h3>
+              <ul className="method-list">
+                {analysis.roles.map((role) => (
+                  <li key={role.roleId}>
+                    <strong>{role.name}</strong>
+                    <span className="method-muted">
+                      {' '}{role.practices.map((practice) => `${practice.name}${practice.typeName ? ` (${practice.typeName})` : ''}`).join(', ')}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+
+            <div className="method-section">
+              <h3>Work Products</h3>
+              <ul className="method-list">
+                {analysis.workproducts.map((workproduct) => (
+                  <li key={workproduct.workproductId}>
+                    <strong>{workproduct.name}</strong>
+                    {workproduct.producedBy.length > 0 && (
+                      <span className="method-muted"> produced by {practiceNames(workproduct.producedBy)}</span>
+                    )}
+                    {workproduct.consumedBy.length > 0 && (
+                      <span className="method-muted"> used by {practiceNames(workproduct.consumedBy)}</span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+
+            <div className="method-section">
+              <h3>Activities</h3>
+              <ul className="method-list">
+                {analysis.activities.map((activity) => (
+                  <li key={activity.activityId}>
+                    <strong>{activity.name}</strong>
+                    <span className="method-muted"> {practiceNames(activity.practices)}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MethodAnalysis;
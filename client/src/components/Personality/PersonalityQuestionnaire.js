@@ -10,48 +10,58 @@ const PersonalityQuestionnaire = () => {
   const [currentStep, setCurrentStep] = useState(0);
   const [answers, setAnswers] = useState({});
   const [profile, setProfile] = useState(null);
+  const [submitted, setSubmitted] = useState(false);
+  const [recomputation, setRecomputation] = useState(null);
 
-  // Big Five personality questionnaire items
-  const questions = [
-    {
-      id: 1,
-      text: "I prefer clearly defined tasks with specific goals and deadlines",
-      dimension: "Conscientiousness",
-      description: "This helps us understand your preference for structure and organization"
-    },
-    {
-      id: 2,
-      text: "I enjoy brainstorming and collaborating with groups",
-      dimension: "Extraversion",
-      description: "This helps us understand your preference for social interaction"
-    },
-    {
-      id: 3,
-      text: "I am comfortable with changes and adapt easily to new situations",
-      dimension: "Emotional Stability",
-      description: "This helps us understand your comfort with uncertainty"
-    },
-    {
-      id: 4,
-      text: "I like to explore new ideas and creative approaches",
-      dimension: "Openness",
-      description: "This helps us understand your preference for innovation"
-    },
-    {
-      id: 5,
-      text: "I prioritize team harmony and consensus in decision-making",
-      dimension: "Agreeableness",
-      description: "This helps us understand your collaborative style"
+  const [questions, setQuestions] = useState([]);
+
+  // Big Five dimension shown for each scoring key trait
+  const traitLabels = {
+    O: "Openness",
+    C: "Conscientiousness",
+    E: "Extraversion",
+    A: "Agreeableness",
+    N: "Emotional Stability"
+  };
+
+  const likertLabels = {
+    1: "Strongly Disagree",
+    2: "Disagree",
+    3: "Neutral",
+    4: "Agree",
+    5: "Strongly Agree"
+  };
+
+  // Scale options follow each item's Likert range
+  const getScaleOptions = (question) => {
+    const options = [];
+    for (let value = question.scaleMin; value <= question.scaleMax; value++) {
+      const isFivePoint = question.scaleMin === 1 && question.scaleMax === 5;
+      options.push({ value, label: isFivePoint ? likertLabels[value] : '' });
     }
-  ];
+    return options;
+  };
+
+  useEffect(() => {
+    loadSurveyItems();
+  }, []);
 
-  const scaleLabels = [
-    { value: 1, label: "Strongly Disagree" },
-    { value: 2, label: "Disagree" },
-    { value: 3, label: "Neutral" },
-    { value: 4, label: "Agree" },
-    { value: 5, label: "Strongly Agree" }
-  ];
+  const loadSurveyItems = async () => {
+    try {
+      const response = await axios.get('/api/affinity/survey/items');
+      setQuestions((response.data.data || []).map(item => ({
+        id: item.id,
+        text: item.content,
+        dimension: traitLabels[item.trait] || item.trait,
+        description: item.description,
+        scaleMin: item.scaleMin,
+        scaleMax: item.scaleMax
+      })));
+    } catch (error) {
+      console.error('Error loading survey items:', error);
+      setError('Failed to load the questionnaire. Please try again later.');
+    }
+  };
 
   useEffect(() => {
     checkExistingProfile();
@@ -68,6 +78,39 @@ const PersonalityQuestionnaire = () => {
     }
   };
 
+  // Affinities are recomputed by a background job: poll its status after
+  // submitting and only redirect once the dashboard has fresh scores
+  useEffect(() => {
+    if (!submitted) {
+      return undefined;
+    }
+
+    let timer = null;
+    const checkRecomputation = async () => {
+      try {
+        const response = await axios.get('/api/affinity/jobs/status');
+        const status = response.data.data;
+        setRecomputation(status);
+
+        if (status.recomputing) {
+          timer = setTimeout(checkRecomputation, 1000);
+          return;
+        }
+      } catch (error) {
+        console.error('Error checking affinity recalculation:', error);
+        setRecomputation(null);
+      }
+
+      // Show success and redirect after a moment
+      timer = setTimeout(() => {
+        navigate('/dashboard');
+      }, 2000);
+    };
+
+    checkRecomputation();
+    return () => clearTimeout(timer);
+  }, [submitted, navigate]);
+
   const handleAnswerChange = (questionId, value) => {
     setAnswers(prev => ({
       ...prev,
@@ -102,12 +145,8 @@ const PersonalityQuestionnaire = () => {
         surveyAnswers
       });
 
-      setProfile(response.data.bfProfile);
-      
-      // Show success and redirect after a moment
-      setTimeout(() => {
-        navigate('/dashboard');
-      }, 2000);
+      setProfile(response.data.data.bfProfile);
+      setSubmitted(true);
     } catch (error) {
       console.error('Error submitting survey:', error);
       setError(error.response?.data?.error || 'Failed to submit survey. Please try again.');
@@ -115,9 +154,9 @@ const PersonalityQuestionnaire = () => {
     }
   };
 
-  const isCurrentQuestionAnswered = answers[questions[currentStep].id] !== undefined;
+  const isCurrentQuestionAnswered = questions.length > 0 && answers[questions[currentStep].id] !== undefined;
   const allQuestionsAnswered = questions.every(q => answers[q.id] !== undefined);
-  const progress = (Object.keys(answers).length / questions.length) * 100;
+  const progress = questions.length > 0 ? (Object.keys(answers).length / questions.length) * 100 : 0;
 
   if (profile) {
     return (
@@ -126,12 +165,38 @@ const PersonalityQuestionnaire = () => {
           <div className="success-icon">✓</div>
           <h2>Profile Complete!</h2>
           <p>Your personality profile has been successfully created.</p>
-          <p>Redirecting to dashboard...</p>
+          {recomputation && recomputation.recomputing ? (
+            <div className="recomputation-status">
+              <p>Recomputing your affinities… {recomputation.progress}%</p>
+              <div className="progress-bar">
+                <div
+                  className="progress-fill"
+                  style={{ width: `${recomputation.progress}%` }}
+                ></div>
+              </div>
+            </div>
+          ) : submitted && (
+            <p>Redirecting to dashboard...</p>
+          )}
         </div>
       </div>
     );
   }
 
+  if (questions.length === 0) {
+    return (
+      <div className="personality-container">
+        {error ? (
+          <div className="alert alert-error">
+            {error}
+          </div>
+        ) : (
+          <div className="loading-spinner">Loading questionnaire...</div>
+        )}
+      </div>
+    );
+  }
+
   const currentQuestion = questions[currentStep];
 
   return (
@@ -169,7 +234,7 @@ const PersonalityQuestionnaire = () => {
 
           {/* Answer scale */}
           <div className="answer-scale">
-            {scaleLabels.map((option) => (
+            {getScaleOptions(currentQuestion).map((option) => (
               <label 
                 key={option.value} 
                 className={`scale-option ${answers[currentQuestion.id] === option.value ? 'selected' : ''}`}
@@ -238,7 +303,7 @@ const PersonalityQuestionnaire = () => {
                 <div key={q.id} className="summary-item">
                   <div className="summary-dimension">{q.dimension}</div>
                   <div className="summary-score">
-                    {answers[q.id]}/5
+                    {answers[q.id]}/{q.scaleMax}
                   </div>
                 </div>
               )
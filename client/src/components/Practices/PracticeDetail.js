@@ -2,8 +2,26 @@ import React, { useEffect } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import { fetchPracticeById, clearCurrentPractice } from '../../store/slices/practicesSlice';
+import AffinityExplanation from '../Affinity/AffinityExplanation';
 import './Practices.css';
 
+// How a linked practice relates to this one, from either end of the link
+const ASSOCIATION_LABELS = {
+  requires: 'Requires',
+  complements: 'Complements',
+  replaces: 'Replaces',
+  conflicts_with: 'Conflicts with',
+  specializes: 'Specializes'
+};
+
+const INVERSE_ASSOCIATION_LABELS = {
+  requires: 'Required by',
+  complements: 'Complemented by',
+  replaces: 'Replaced by',
+  conflicts_with: 'Conflicts with',
+  specializes: 'Specialized by'
+};
+
 const PracticeDetail = () => {
   const { id } = useParams();
   const dispatch = useDispatch();
@@ -189,6 +207,25 @@ const PracticeDetail = () => {
           </section>
         )}
 
+        {/* Completion Criteria */}
+        {practice.completionCriteria && practice.completionCriteria.length > 0 && (
+          <section className="practice-section">
+            <h2>Completion Criteria</h2>
+            <p className="section-hint">The practice is done in an iteration when all of these hold.</p>
+            <ul className="criteria-list">
+              {practice.completionCriteria.map((criterion, index) => (
+                <li key={criterion.id || index} className="criterion-item">
+                  <span className="criterion-icon">☐</span>
+                  <div className="criterion-content">
+                    <h4>{criterion.name}</h4>
+                    {criterion.description && <p>{criterion.description}</p>}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
         {/* Guidelines */}
         {practice.guidelines && practice.guidelines.length > 0 && (
           <section className="practice-section">
@@ -214,21 +251,27 @@ const PracticeDetail = () => {
           </section>
         )}
 
-        {/* Related Practices */}
-        {practice.relatedPractices && practice.relatedPractices.length > 0 && (
+        {/* Related Practices (typed associations authored by experts) */}
+        {practice.associations && practice.associations.length > 0 && (
           <section className="practice-section">
             <h2>Related Practices</h2>
             <div className="related-practices">
-              {practice.relatedPractices.map((relatedPractice, index) => (
-                <Link 
-                  key={relatedPractice.id || index}
-                  to={`/practices/${relatedPractice.id}`}
-                  className="related-practice-card"
-                >
-                  <h4>{relatedPractice.name}</h4>
-                  <p>{relatedPractice.description}</p>
-                </Link>
-              ))}
+              {practice.associations.map((association) => {
+                const isSource = association.sourcePracticeId === practice.id;
+                const label = isSource
+                  ? ASSOCIATION_LABELS[association.type]
+                  : INVERSE_ASSOCIATION_LABELS[association.type];
+                return (
+                  <Link
+                    key={association.id}
+                    to={`/practices/${isSource ? association.targetPracticeId : association.sourcePracticeId}`}
+                    className="related-practice-card"
+                  >
+                    <p>{label}</p>
+                    <h4>{isSource ? association.targetName : association.sourceName}</h4>
+                  </Link>
+                );
+              })}
             </div>
           </section>
         )}
@@ -254,6 +297,14 @@ const PracticeDetail = () => {
           </section>
         )}
 
+        {/* Personal affinity explanation (if authenticated) */}
+        {isAuthenticated && (practice.versionId || practice.versionid) && (
+          <section className="practice-section">
+            <h2>Your Affinity</h2>
+            <AffinityExplanation practiceVersionId={practice.versionId || practice.versionid} />
+          </section>
+        )}
+
         {/* Experience Feedback */}
         {practice.experienceFeedback && practice.experienceFeedback.length > 0 && (
           <section className="practice-section">
@@ -12,13 +12,15 @@ const PracticeList = () => {
     loading, 
     error, 
     pagination, 
-    filters 
+    filters,
+    facets
   } = useSelector((state) => state.practices);
 
   const [localFilters, setLocalFilters] = useState({
     search: '',
     goal: '',
-    tag: '',
+    type: '',
+    tags: [],
   });
 
   useEffect(() => {
@@ -44,11 +46,30 @@ const PracticeList = () => {
     dispatch(fetchPractices({ ...localFilters, page: 1 }));
   };
 
+  // Tag facets apply immediately and combine with the other filters
+  const handleTagToggle = (tagId) => {
+    const tags = localFilters.tags.includes(tagId)
+      ? localFilters.tags.filter(id => id !== tagId)
+      : [...localFilters.tags, tagId];
+    const updated = { ...localFilters, tags };
+
+    setLocalFilters(updated);
+    dispatch(setFilters(updated));
+    dispatch(fetchPractices({ ...updated, page: 1 }));
+  };
+
+  // Group tag facets by vocabulary; tags without one are free-form
+  const tagGroups = (facets?.tags || []).reduce((groups, tag) => {
+    const group = tag.vocabularyName || 'Free-form';
+    return { ...groups, [group]: [...(groups[group] || []), tag] };
+  }, {});
+
   const handleClearFilters = () => {
     setLocalFilters({
       search: '',
       goal: '',
-      tag: '',
+      type: '',
+      tags: [],
     });
     dispatch(clearFilters());
     dispatch(fetchPractices({ page: 1 }));
@@ -83,7 +104,7 @@ const PracticeList = () => {
                 name="search"
                 value={localFilters.search}
                 onChange={handleFilterChange}
-                placeholder="Search practices by name or description..."
+                placeholder="Search practices, activities, roles, guidelines..."
                 className="form-control search-input"
               />
             </div>
@@ -103,6 +124,22 @@ const PracticeList = () => {
                 ))}
               </select>
             </div>
+
+            <div className="filter-group">
+              <select
+                name="type"
+                value={localFilters.type}
+                onChange={handleFilterChange}
+                className="form-control"
+              >
+                <option value="">All Types</option>
+                {(facets?.types || []).map((type) => (
+                  <option key={type.id} value={type.id}>
+                    {type.name} ({type.count})
+                  </option>
+                ))}
+              </select>
+            </div>
             
             <div className="filter-actions">
               <button type="submit" className="btn btn-primary" disabled={loading}>
@@ -118,6 +155,30 @@ const PracticeList = () => {
             </div>
           </div>
         </form>
+
+        {Object.keys(tagGroups).length > 0 && (
+          <div className="tag-facets">
+            {Object.entries(tagGroups).map(([group, tags]) => (
+              <div key={group} className="tag-facet-group">
+                <span className="tag-facet-label">{group}</span>
+                {tags.map((tag) => (
+                  <label
+                    key={tag.id}
+                    className={`tag-facet ${localFilters.tags.includes(tag.id) ? 'selected' : ''}`}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={localFilters.tags.includes(tag.id)}
+                      onChange={() => handleTagToggle(tag.id)}
+                      disabled={loading}
+                    />
+                    {tag.name} <span className="tag-facet-count">{tag.count}</span>
+                  </label>
+                ))}
+              </div>
+            ))}
+          </div>
+        )}
       </div>
 
       {error && (
@@ -164,7 +225,27 @@ const PracticeList = () => {
                 <p className="practice-description">
                   {practice.description}
                 </p>
+
+                {practice.snippet && practice.snippet.length > 0 && (
+                  <p className="practice-snippet">
+                    {practice.snippet.map((segment, index) => (
+                      segment.highlight
+                        ? <mark key={index}>{segment.text}</mark>
+                        : <span key={index}>{segment.text}</span>
+                    ))}
+                  </p>
+                )}
                 
+                {practice.tags && practice.tags.length > 0 && (
+                  <div className="practice-tags">
+                    {practice.tags.map((tag) => (
+                      <span key={tag.id} className="practice-tag">
+                        {tag.name}
+                      </span>
+                    ))}
+                  </div>
+                )}
+
                 {practice.objectives && practice.objectives.length > 0 && (
                   <div className="practice-objectives">
                     <strong>Objectives:</strong>
@@ -1,8 +1,18 @@
 import React, { useState } from 'react';
 import './Teams.css';
 
+const EXPIRY_OPTIONS = [
+  { hours: 24, label: '1 day' },
+  { hours: 72, label: '3 days' },
+  { hours: 168, label: '1 week' },
+  { hours: 336, label: '2 weeks' },
+  { hours: 720, label: '30 days' },
+];
+
 const InviteMemberModal = ({ onClose, onSubmit, loading }) => {
   const [email, setEmail] = useState('');
+  const [expiresInHours, setExpiresInHours] = useState(168);
+  const [anyoneWithLink, setAnyoneWithLink] = useState(false);
   const [error, setError] = useState('');
 
   const handleChange = (e) => {
@@ -30,7 +40,10 @@ const InviteMemberModal = ({ onClose, onSubmit, loading }) => {
       return;
     }
     
-    onSubmit(email.trim());
+    onSubmit(email.trim(), {
+      expiresInHours,
+      scope: anyoneWithLink ? 'link' : 'email',
+    });
   };
 
   const handleBackdropClick = (e) => {
@@ -55,8 +68,8 @@ const InviteMemberModal = ({ onClose, onSubmit, loading }) => {
         
         <div className="modal-body">
           <p className="invite-description">
-            Send an invitation to join your team. They'll receive an email with 
-            instructions to create an account or join if they already have one.
+            Send an invitation to join your team. They'll receive an email with a 
+            one-time link to accept or decline, creating an account first if they need one.
           </p>
           
           <form onSubmit={handleSubmit} className="modal-form">
@@ -77,6 +90,33 @@ const InviteMemberModal = ({ onClose, onSubmit, loading }) => {
                 <div className="field-error">{error}</div>
               )}
             </div>
+
+            <div className="form-group">
+              <label htmlFor="expiresInHours" className="form-label">
+                Link expires after
+              </label>
+              <select
+                id="expiresInHours"
+                value={expiresInHours}
+                onChange={(e) => setExpiresInHours(parseInt(e.target.value))}
+                className="form-control"
+              >
+                {EXPIRY_OPTIONS.map((option) => (
+                  <option key={option.hours} value={option.hours}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label className="form-label invite-scope">
+                <input
+                  type="checkbox"
+                  checked={anyoneWithLink}
+                  onChange={(e) => setAnyoneWithLink(e.target.checked)}
+                />
+                {' '}Anyone with the link can join, not only this email address
+              </label>
+            </div>
             
             <div className="modal-actions">
               <button 
@@ -1,15 +1,418 @@
 import React, { useEffect, useState } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
-import { fetchTeamDetails, inviteToTeam, resendInvitation } from '../../store/slices/teamsSlice';
+import {
+  fetchTeamDetails,
+  inviteToTeam,
+  resendInvitation,
+  revokeInvitation,
+  updateMemberRole,
+  removeMember,
+  transferOwnership,
+  updateTeam,
+  fetchAggregationStrategies,
+  fetchTeamForks,
+  mergeFork,
+  clearMergePreview,
+  fetchIterations,
+  createIteration,
+  fetchChecklist,
+  setCriterionCheck,
+  fetchTeamContext,
+  updateTeamContext
+} from '../../store/slices/teamsSlice';
 import InviteMemberModal from './InviteMemberModal';
 import './Teams.css';
 
+// Roles the owner can give other members; ownership moves with a transfer
+const ASSIGNABLE_ROLES = ['facilitator', 'member', 'observer'];
+
+const ENTITY_LABELS = {
+  activities: 'Activity',
+  roles: 'Role',
+  workproducts: 'Work product',
+  guidelines: 'Guideline',
+  benefits: 'Benefit',
+  pitfalls: 'Pitfall',
+  completionCriteria: 'Completion criterion',
+  metrics: 'Metric',
+  goals: 'Goal'
+};
+
+// Short text for one side of a merge conflict
+const describeSide = (item) => {
+  if (!item) {
+    return 'Removed';
+  }
+  return item.description || item.raciType || (item.sequence ? `Step ${item.sequence}` : item.name);
+};
+
+const ForkMergePanel = ({ preview, error, onMerge, onCancel }) => {
+  const [resolutions, setResolutions] = useState({});
+
+  const choose = (conflict, side) => {
+    setResolutions({ ...resolutions, [`${conflict.type}:${conflict.key}`]: side });
+  };
+
+  const unresolved = preview.conflicts.filter(
+    (conflict) => !resolutions[`${conflict.type}:${conflict.key}`]
+  ).length;
+
+  return (
+    <div className="fork-merge-panel">
+      <h4>Upstream changes from "{preview.upstream.versionName}"</h4>
+      {error && <div className="alert alert-error">{error}</div>}
+
+      {preview.changes.length > 0 && (
+        <ul className="fork-changes">
+          {preview.changes.map((change) => (
+            <li key={`${change.type}:${change.key}`} className={`fork-change ${change.action}`}>
+              {change.action === 'added' ? '+' : change.action === 'removed' ? '−' : '~'}{' '}
+              {ENTITY_LABELS[change.type]}: {change.name}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {preview.conflicts.length > 0 && (
+        <div className="fork-conflicts">
+          <h5>Conflicts ({preview.conflicts.length})</h5>
+          {preview.conflicts.map((conflict) => {
+            const key = `${conflict.type}:${conflict.key}`;
+            return (
+              <div key={key} className="fork-conflict">
+                <div className="fork-conflict-name">
+                  {ENTITY_LABELS[conflict.type]}: {conflict.name}
+                </div>
+                <label>
+                  <input
+                    type="radio"
+                    name={key}
+                    checked={resolutions[key] === 'fork'}
+                    onChange={() => choose(conflict, 'fork')}
+                  />
+                  Keep ours: {describeSide(conflict.fork)}
+                </label>
+                <label>
+                  <input
+                    type="radio"
+                    name={key}
+                    checked={resolutions[key] === 'upstream'}
+                    onChange={() => choose(conflict, 'upstream')}
+                  />
+                  Take upstream: {describeSide(conflict.upstream)}
+                </label>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <div className="fork-merge-actions">
+        <button
+          onClick={() => onMerge(resolutions)}
+          className="btn btn-primary btn-sm"
+          disabled={unresolved > 0}
+        >
+          Pull Changes
+        </button>
+        <button onClick={onCancel} className="btn btn-outline btn-sm">
+          Cancel
+        </button>
+        {unresolved > 0 && (
+          <span className="fork-unresolved">{unresolved} conflict(s) to resolve</span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const IterationChecklist = ({ teamId, iterations, checklist, error }) => {
+  const dispatch = useDispatch();
+  const [selectedId, setSelectedId] = useState('');
+  const [form, setForm] = useState({ name: '', startDate: '', endDate: '' });
+  const [formError, setFormError] = useState(null);
+
+  // Follow the latest iteration until one is picked
+  const iterationId = selectedId || (iterations.length > 0 ? String(iterations[iterations.length - 1].id) : '');
+
+  useEffect(() => {
+    if (iterationId) {
+      dispatch(fetchChecklist({ teamId, iterationId }));
+    }
+  }, [dispatch, teamId, iterationId]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setFormError(null);
+    const result = await dispatch(createIteration({
+      teamId,
+      name: form.name,
+      startDate: form.startDate || null,
+      endDate: form.endDate || null
+    }));
+    if (createIteration.fulfilled.match(result)) {
+      setForm({ name: '', startDate: '', endDate: '' });
+      setSelectedId(String(result.payload.data.id));
+    } else {
+      setFormError(result.payload);
+    }
+  };
+
+  const handleToggle = (criterionId, checked) => {
+    dispatch(setCriterionCheck({ teamId, iterationId, criterionId, checked }));
+  };
+
+  return (
+    <div className="iteration-checklist">
+      <form className="iteration-form" onSubmit={handleCreate}>
+        <input
+          type="text"
+          placeholder="New iteration, e.g. Sprint 3"
+          value={form.name}
+          maxLength={64}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          required
+        />
+        <input
+          type="date"
+          value={form.startDate}
+          onChange={(e) => setForm({ ...form, startDate: e.target.value })}
+        />
+        <input
+          type="date"
+          value={form.endDate}
+          onChange={(e) => setForm({ ...form, endDate: e.target.value })}
+        />
+        <button type="submit" className="btn btn-outline btn-sm">Add Iteration</button>
+      </form>
+      {formError && <div className="alert alert-error">{formError}</div>}
+
+      {iterations.length === 0 ? (
+        <p className="strategy-help">Add an iteration to start ticking off completion criteria.</p>
+      ) : (
+        <>
+          <select
+            className="strategy-select"
+            value={iterationId}
+            onChange={(e) => setSelectedId(e.target.value)}
+          >
+            {iterations.map((iteration) => (
+              <option key={iteration.id} value={iteration.id}>
+                {iteration.name}
+                {iteration.startDate ? ` (${iteration.startDate} – ${iteration.endDate || '…'})` : ''}
+              </option>
+            ))}
+          </select>
+          {error && <div className="alert alert-error">{error}</div>}
+
+          {checklist && String(checklist.iteration.id) === iterationId && (
+            <>
+              {checklist.practices.length === 0 && (
+                <p className="strategy-help">None of the team's active practices has completion criteria.</p>
+              )}
+              {checklist.practices.map((practice) => (
+                <div key={practice.practiceVersionId} className="checklist-practice">
+                  <div className="checklist-practice-header">
+                    <h4 className="practice-name">
+                      <Link to={`/practices/${practice.practiceId}`}>{practice.practiceName}</Link>
+                    </h4>
+                    <span className={`checklist-status ${practice.met ? 'met' : ''}`}>
+                      {practice.checkedCount}/{practice.criteriaCount} {practice.met ? '· Met' : ''}
+                    </span>
+                  </div>
+                  {practice.criteria.map((criterion) => (
+                    <label key={criterion.id} className="checklist-item">
+                      <input
+                        type="checkbox"
+                        checked={criterion.checked}
+                        onChange={(e) => handleToggle(criterion.id, e.target.checked)}
+                      />
+                      <span>
+                        {criterion.name}
+                        {criterion.description && (
+                          <span className="checklist-item-description"> — {criterion.description}</span>
+                        )}
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              ))}
+
+              {checklist.history.length > 0 && (
+                <details className="checklist-history">
+                  <summary>History ({checklist.history.length})</summary>
+                  <ul>
+                    {checklist.history.map((entry) => (
+                      <li key={entry.id}>
+                        {entry.checked ? '✓' : '✗'} {entry.criterionName}
+                        {entry.personName && <span> · {entry.personName}</span>}
+                        <span className="checklist-history-date">
+                          {' '}{new Date(entry.createdAt).toLocaleString()}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </details>
+              )}
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+const CONTEXT_STATUS_LABELS = {
+  matched: 'Fits',
+  partial: 'Partly described',
+  conflicted: 'Does not fit',
+  unknown: 'Not described'
+};
+
+// One input per indicator definition, typed by its precision
+const ContextIndicatorInput = ({ definition, value, onChange }) => {
+  if (definition.kind === 'boolean') {
+    return (
+      <select value={value} onChange={(e) => onChange(e.target.value)}>
+        <option value="">Not set</option>
+        <option value="Yes">Yes</option>
+        <option value="No">No</option>
+      </select>
+    );
+  }
+
+  if (definition.kind === 'integer' || definition.kind === 'number') {
+    return (
+      <input
+        type="number"
+        step={definition.kind === 'integer' ? 1 : 'any'}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+      />
+    );
+  }
+
+  const listId = `context-options-${definition.name.replace(/\W+/g, '-')}`;
+  return (
+    <>
+      <input
+        type="text"
+        list={listId}
+        maxLength={64}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+      />
+      <datalist id={listId}>
+        {definition.options.map((option) => (
+          <option key={option} value={option} />
+        ))}
+      </datalist>
+    </>
+  );
+};
+
+const TeamContextPanel = ({ teamId, context, error }) => {
+  const dispatch = useDispatch();
+  const [draft, setDraft] = useState({});
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => {
+    setDraft(context ? { ...context.values } : {});
+  }, [context]);
+
+  if (!context) {
+    return null;
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaved(false);
+    // Indicators left empty are cleared
+    const values = {};
+    context.definitions.forEach((definition) => {
+      values[definition.name] = draft[definition.name] ?? null;
+    });
+    const result = await dispatch(updateTeamContext({ teamId, values }));
+    if (updateTeamContext.fulfilled.match(result)) {
+      setSaved(true);
+    }
+  };
+
+  return (
+    <div className="team-context">
+      {context.definitions.length === 0 ? (
+        <p className="strategy-help">No context indicators have been defined yet.</p>
+      ) : (
+        <form className="context-form" onSubmit={handleSave}>
+          {context.definitions.map((definition) => (
+            <label key={definition.name} className="context-field">
+              <span className="context-field-name">
+                {definition.name}
+                {definition.unit && <span className="context-field-unit"> ({definition.unit})</span>}
+              </span>
+              {definition.description && (
+                <span className="context-field-description">{definition.description}</span>
+              )}
+              <ContextIndicatorInput
+                definition={definition}
+                value={draft[definition.name] ?? ''}
+                onChange={(value) => setDraft({ ...draft, [definition.name]: value })}
+              />
+            </label>
+          ))}
+          <div className="context-actions">
+            <button type="submit" className="btn btn-primary btn-sm">Save Context</button>
+            {saved && <span className="context-saved">Saved</span>}
+          </div>
+        </form>
+      )}
+      {error && <div className="alert alert-error">{error}</div>}
+
+      {context.contexts.length > 0 && (
+        <ul className="context-matches">
+          {context.contexts.map((match) => (
+            <li key={match.contextId} className={`context-match ${match.status}`}>
+              <span className="context-match-status">{CONTEXT_STATUS_LABELS[match.status]}</span>
+              <span className="context-match-name">{match.description}</span>
+              {match.matched.length > 0 && (
+                <span className="context-match-detail">
+                  ✓ {match.matched.map((item) => `${item.indicator} ${item.teamValue} (${item.condition || 'any'})`).join(', ')}
+                </span>
+              )}
+              {match.conflicted.length > 0 && (
+                <span className="context-match-detail">
+                  ✗ {match.conflicted.map((item) => `${item.indicator} ${item.teamValue} (expected ${item.condition})`).join(', ')}
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
 const TeamDetail = () => {
   const { id } = useParams();
   const dispatch = useDispatch();
-  const { currentTeam, loading, error } = useSelector((state) => state.teams);
+  const {
+    currentTeam,
+    aggregationStrategies,
+    forks,
+    mergePreview,
+    mergeError,
+    iterations,
+    checklist,
+    checklistError,
+    context,
+    contextError,
+    loading,
+    error
+  } = useSelector((state) => state.teams);
   const [showInviteModal, setShowInviteModal] = useState(false);
+  const [sharedLink, setSharedLink] = useState(null);
+  const [strategyError, setStrategyError] = useState(null);
 
   useEffect(() => {
     if (id) {
@@ -17,15 +420,71 @@ const TeamDetail = () => {
     }
   }, [dispatch, id]);
 
-  const handleInviteMember = async (email) => {
-    const result = await dispatch(inviteToTeam({ teamId: id, email }));
+  useEffect(() => {
+    dispatch(fetchAggregationStrategies());
+  }, [dispatch]);
+
+  useEffect(() => {
+    if (id) {
+      dispatch(fetchTeamForks(id));
+    }
+    return () => {
+      dispatch(clearMergePreview());
+    };
+  }, [dispatch, id]);
+
+  useEffect(() => {
+    if (id) {
+      dispatch(fetchIterations(id));
+      dispatch(fetchTeamContext(id));
+    }
+  }, [dispatch, id]);
+
+  const handlePreviewMerge = (forkId) => {
+    dispatch(mergeFork({ teamId: id, forkId, dryRun: true }));
+  };
+
+  const handleMerge = async (forkId, resolutions) => {
+    const result = await dispatch(mergeFork({ teamId: id, forkId, resolutions }));
+    if (mergeFork.fulfilled.match(result)) {
+      dispatch(fetchTeamForks(id));
+    }
+  };
+
+  const handleStrategyChange = async (aggregationStrategy) => {
+    setStrategyError(null);
+    const result = await dispatch(updateTeam({
+      teamId: id,
+      name: currentTeam.name,
+      description: currentTeam.description,
+      aggregationStrategy
+    }));
+    if (updateTeam.rejected.match(result)) {
+      setStrategyError(result.payload);
+    }
+  };
+
+  const handleInviteMember = async (email, options) => {
+    const result = await dispatch(inviteToTeam({ teamId: id, email, ...options }));
     if (inviteToTeam.fulfilled.match(result)) {
       setShowInviteModal(false);
+      // Link invitations can be passed on by hand as well as by email
+      setSharedLink(result.payload.data.invitationUrl || null);
       // Refresh team details to get updated member list and invitations
       dispatch(fetchTeamDetails(id));
     }
   };
 
+  const handleRevokeInvitation = async (invitation) => {
+    if (!window.confirm(`Revoke the invitation sent to ${invitation.invitedEmail}? Its link will stop working.`)) {
+      return;
+    }
+    const result = await dispatch(revokeInvitation({ teamId: id, invitationId: invitation.id }));
+    if (revokeInvitation.fulfilled.match(result)) {
+      dispatch(fetchTeamDetails(id));
+    }
+  };
+
   const handleResendInvitation = async (invitationId) => {
     const result = await dispatch(resendInvitation({ teamId: id, invitationId }));
     if (resendInvitation.fulfilled.match(result)) {
@@ -34,6 +493,33 @@ const TeamDetail = () => {
     }
   };
 
+  const handleRoleChange = async (member, role) => {
+    const result = await dispatch(updateMemberRole({ teamId: id, personId: member.id, role }));
+    if (updateMemberRole.fulfilled.match(result)) {
+      dispatch(fetchTeamDetails(id));
+    }
+  };
+
+  const handleRemoveMember = async (member) => {
+    if (!window.confirm(`Remove ${member.name} from the team?`)) {
+      return;
+    }
+    const result = await dispatch(removeMember({ teamId: id, personId: member.id }));
+    if (removeMember.fulfilled.match(result)) {
+      dispatch(fetchTeamDetails(id));
+    }
+  };
+
+  const handleTransferOwnership = async (member) => {
+    if (!window.confirm(`Make ${member.name} the owner of this team? You will stay on as a facilitator.`)) {
+      return;
+    }
+    const result = await dispatch(transferOwnership({ teamId: id, personId: member.id }));
+    if (transferOwnership.fulfilled.match(result)) {
+      dispatch(fetchTeamDetails(id));
+    }
+  };
+
   if (loading && !currentTeam) {
     return (
       <div className="loading-container">
@@ -68,6 +554,9 @@ const TeamDetail = () => {
   }
 
   const team = currentTeam;
+  // The server enforces these; the page only hides what the user's team role cannot do
+  const canManage = ['owner', 'facilitator'].includes(team.role);
+  const isOwner = team.role === 'owner';
 
   return (
     <div className="team-detail-container">
@@ -88,12 +577,14 @@ const TeamDetail = () => {
         </div>
         
         <div className="team-actions">
-          <button 
-            onClick={() => setShowInviteModal(true)}
-            className="btn btn-primary"
-          >
-            Invite Member
-          </button>
+          {canManage && (
+            <button 
+              onClick={() => setShowInviteModal(true)}
+              className="btn btn-primary"
+            >
+              Invite Member
+            </button>
+          )}
           <Link 
             to={`/dashboard?team=${team.id}`}
             className="btn btn-outline"
@@ -133,12 +624,14 @@ const TeamDetail = () => {
         <section className="team-section">
           <div className="section-header">
             <h2>Team Members</h2>
-            <button 
-              onClick={() => setShowInviteModal(true)}
-              className="btn btn-outline btn-sm"
-            >
-              Invite Member
-            </button>
+            {canManage && (
+              <button 
+                onClick={() => setShowInviteModal(true)}
+                className="btn btn-outline btn-sm"
+              >
+                Invite Member
+              </button>
+            )}
           </div>
           
           {team.members && team.members.length > 0 ? (
@@ -155,6 +648,30 @@ const TeamDetail = () => {
                       <span className="member-role">{member.role}</span>
                     )}
                   </div>
+                  {isOwner && member.role !== 'owner' && (
+                    <div className="member-actions">
+                      <select
+                        value={member.role}
+                        onChange={(e) => handleRoleChange(member, e.target.value)}
+                      >
+                        {ASSIGNABLE_ROLES.map((role) => (
+                          <option key={role} value={role}>{role}</option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={() => handleTransferOwnership(member)}
+                        className="btn btn-outline btn-sm"
+                      >
+                        Make Owner
+                      </button>
+                      <button
+                        onClick={() => handleRemoveMember(member)}
+                        className="btn btn-outline btn-sm member-remove"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  )}
                   {member.personalityProfile && (
                     <div className="member-personality">
                       <div className="personality-indicator">
@@ -168,12 +685,14 @@ const TeamDetail = () => {
           ) : (
             <div className="no-members">
               <p>No members yet. Invite team members to get started.</p>
-              <button 
-                onClick={() => setShowInviteModal(true)}
-                className="btn btn-primary"
-              >
-                Invite First Member
-              </button>
+              {canManage && (
+                <button 
+                  onClick={() => setShowInviteModal(true)}
+                  className="btn btn-primary"
+                >
+                  Invite First Member
+                </button>
+              )}
             </div>
           )}
         </section>
@@ -188,6 +707,13 @@ const TeamDetail = () => {
               </span>
             </div>
             
+            {sharedLink && (
+              <div className="invitation-link">
+                <span>Invitation link:</span>
+                <input type="text" readOnly value={sharedLink} onFocus={(e) => e.target.select()} />
+              </div>
+            )}
+
             <div className="invitations-list">
               {team.invitations
                 .filter(invitation => invitation.status === 'pending')
@@ -209,17 +735,34 @@ const TeamDetail = () => {
                           (Resent {new Date(invitation.lastSentAt).toLocaleDateString()})
                         </span>
                       )}
+                      {invitation.expiresAt && (
+                        <span className="invitation-expiry">
+                          Expires {new Date(invitation.expiresAt).toLocaleString()}
+                        </span>
+                      )}
+                      {invitation.scope === 'link' && (
+                        <span className="invitation-scope">Anyone with the link</span>
+                      )}
                     </div>
                   </div>
-                  <div className="invitation-actions">
-                    <button
-                      onClick={() => handleResendInvitation(invitation.id)}
-                      className="btn btn-outline btn-sm"
-                      disabled={loading}
-                    >
-                      {loading ? 'Sending...' : 'Resend'}
-                    </button>
-                  </div>
+                  {canManage && (
+                    <div className="invitation-actions">
+                      <button
+                        onClick={() => handleResendInvitation(invitation.id)}
+                        className="btn btn-outline btn-sm"
+                        disabled={loading}
+                      >
+                        {loading ? 'Sending...' : 'Resend'}
+                      </button>
+                      <button
+                        onClick={() => handleRevokeInvitation(invitation)}
+                        className="btn btn-outline btn-sm invitation-revoke"
+                        disabled={loading}
+                      >
+                        Revoke
+                      </button>
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
@@ -258,6 +801,49 @@ const TeamDetail = () => {
           </section>
         )}
 
+        {/* Team context profile */}
+        <section className="team-section">
+          <div className="section-header">
+            <h2>Team Context</h2>
+            <span className="section-subtitle">
+              Describe your situation to get advice that fits it
+            </span>
+          </div>
+          <TeamContextPanel teamId={id} context={context} error={contextError} />
+        </section>
+
+        {/* Recommendation strategy */}
+        {aggregationStrategies.length > 0 && (
+          <section className="team-section">
+            <div className="section-header">
+              <h2>Recommendation Strategy</h2>
+            </div>
+            <p className="strategy-help">
+              How member affinities are combined into one score when ranking practices for this team.
+            </p>
+            {strategyError && (
+              <div className="alert alert-error">{strategyError}</div>
+            )}
+            <select
+              className="strategy-select"
+              value={team.aggregationStrategy || 'average'}
+              onChange={(e) => handleStrategyChange(e.target.value)}
+              disabled={!canManage}
+            >
+              {aggregationStrategies.map((strategy) => (
+                <option key={strategy.name} value={strategy.name}>
+                  {strategy.label}
+                </option>
+              ))}
+            </select>
+            <p className="strategy-description">
+              {aggregationStrategies.find(
+                (strategy) => strategy.name === (team.aggregationStrategy || 'average')
+              )?.description}
+            </p>
+          </section>
+        )}
+
         {/* Active Practices */}
         <section className="team-section">
           <div className="section-header">
@@ -306,6 +892,75 @@ const TeamDetail = () => {
           )}
         </section>
 
+        {/* Completion criteria checklists */}
+        <section className="team-section">
+          <div className="section-header">
+            <h2>Iteration Checklist</h2>
+            <span className="section-subtitle">
+              Completion criteria of the active practices
+            </span>
+          </div>
+          <IterationChecklist
+            teamId={id}
+            iterations={iterations}
+            checklist={checklist}
+            error={checklistError}
+          />
+        </section>
+
+        {/* Practice Forks */}
+        {forks.length > 0 && (
+          <section className="team-section">
+            <div className="section-header">
+              <h2>Tailored Practices</h2>
+              <span className="section-subtitle">
+                Team copies of published practices
+              </span>
+            </div>
+
+            <div className="forks-list">
+              {forks.map((fork) => (
+                <div key={fork.id} className="fork-card">
+                  <div className="fork-info">
+                    <h4 className="practice-name">
+                      <Link to={`/practices/${fork.practiceId}`}>{fork.practiceName}</Link>
+                    </h4>
+                    <div className="fork-meta">
+                      {fork.versionName}
+                      {fork.forkedFromName && <span> · forked from {fork.forkedFromName}</span>}
+                    </div>
+                  </div>
+                  <div className="fork-status">
+                    {fork.behind > 0 ? (
+                      <>
+                        <span className="fork-behind">
+                          Your fork is {fork.behind} {fork.behind === 1 ? 'change' : 'changes'} behind
+                        </span>
+                        <button
+                          onClick={() => handlePreviewMerge(fork.id)}
+                          className="btn btn-outline btn-sm"
+                        >
+                          Review Changes
+                        </button>
+                      </>
+                    ) : (
+                      <span className="fork-up-to-date">Up to date</span>
+                    )}
+                  </div>
+                  {mergePreview && mergePreview.forkId === fork.id && (
+                    <ForkMergePanel
+                      preview={mergePreview}
+                      error={mergeError}
+                      onMerge={(resolutions) => handleMerge(fork.id, resolutions)}
+                      onCancel={() => dispatch(clearMergePreview())}
+                    />
+                  )}
+                </div>
+              ))}
+            </div>
+          </section>
+        )}
+
         {/* OAR Coverage */}
         {team.oarCoverage && team.oarBreakdown && (
           <section className="team-section">
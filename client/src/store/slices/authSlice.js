@@ -69,6 +69,84 @@ export const checkAuthStatus = createAsyncThunk(
   }
 );
 
+export const verifyEmail = createAsyncThunk(
+  'auth/verifyEmail',
+  async (token, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/auth/verify-email`, { token });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error || 'Email verification failed'
+      );
+    }
+  }
+);
+
+export const resendVerification = createAsyncThunk(
+  'auth/resendVerification',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/auth/resend-verification`);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error || 'Failed to send verification email'
+      );
+    }
+  }
+);
+
+export const requestPasswordReset = createAsyncThunk(
+  'auth/requestPasswordReset',
+  async (email, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/auth/forgot-password`, { email });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error || 'Failed to request a password reset'
+      );
+    }
+  }
+);
+
+export const resetPassword = createAsyncThunk(
+  'auth/resetPassword',
+  async ({ token, password, confirmPassword }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/auth/reset-password`, {
+        token,
+        password,
+        confirmPassword,
+      });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error || 'Password reset failed'
+      );
+    }
+  }
+);
+
+export const changePassword = createAsyncThunk(
+  'auth/changePassword',
+  async ({ currentPassword, newPassword, confirmPassword }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/auth/change-password`, {
+        currentPassword,
+        newPassword,
+        confirmPassword,
+      });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error || 'Password change failed'
+      );
+    }
+  }
+);
+
 const authSlice = createSlice({
   name: 'auth',
   initialState: {
@@ -140,6 +218,12 @@ const authSlice = createSlice({
       .addCase(checkAuthStatus.rejected, (state) => {
         state.user = null;
         state.isAuthenticated = false;
+      })
+      // Email verification
+      .addCase(verifyEmail.fulfilled, (state, action) => {
+        if (state.user && state.user.id === action.payload.user.id) {
+          state.user = action.payload.user;
+        }
       });
   },
 });
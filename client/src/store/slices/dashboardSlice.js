@@ -34,7 +34,9 @@ export const fetchRecommendations = createAsyncThunk(
       if (!teamId) {
         return rejectWithValue('No team selected');
       }
-      const response = await axios.get(`${API_BASE_URL}/api/recommendations/${teamId}`);
+      const response = await axios.get(`${API_BASE_URL}/api/recommendations/${teamId}`, {
+        params: { ranking: 'hybrid' }
+      });
       return response.data;
     } catch (error) {
       if (error.response?.status === 401) {
@@ -57,6 +59,8 @@ const dashboardSlice = createSlice({
     oarCoverage: [],
     recommendations: [],
     affinityScores: {},
+    associationWarnings: [],
+    criteriaCompletion: [],
     loading: false,
     error: null,
   },
@@ -69,6 +73,8 @@ const dashboardSlice = createSlice({
       state.oarCoverage = [];
       state.recommendations = [];
       state.affinityScores = {};
+      state.associationWarnings = [];
+      state.criteriaCompletion = [];
     },
   },
   extraReducers: (builder) => {
@@ -84,6 +90,8 @@ const dashboardSlice = createSlice({
         state.activePractices = data.activePractices || [];
         state.oarCoverage = data.oarCoverage?.covered || [];
         state.affinityScores = data.affinityScores || {};
+        state.associationWarnings = data.associationWarnings || [];
+        state.criteriaCompletion = data.criteriaCompletion || [];
       })
       .addCase(fetchDashboardData.rejected, (state, action) => {
         state.loading = false;
@@ -186,6 +186,51 @@ export const deletePitfall = createAsyncThunk(
   }
 );
 
+export const createCompletionCriterion = createAsyncThunk(
+  'expert/createCompletionCriterion',
+  async ({ practiceId, versionId, criterionData }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(
+        `${API_BASE_URL}/api/expert/practices/${practiceId}/versions/${versionId}/completion-criteria`,
+        criterionData
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || 'Failed to create completion criterion'
+      );
+    }
+  }
+);
+
+export const updateCompletionCriterion = createAsyncThunk(
+  'expert/updateCompletionCriterion',
+  async ({ id, criterionData }, { rejectWithValue }) => {
+    try {
+      const response = await axios.put(`${API_BASE_URL}/api/expert/completion-criteria/${id}`, criterionData);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || 'Failed to update completion criterion'
+      );
+    }
+  }
+);
+
+export const deleteCompletionCriterion = createAsyncThunk(
+  'expert/deleteCompletionCriterion',
+  async (id, { rejectWithValue }) => {
+    try {
+      const response = await axios.delete(`${API_BASE_URL}/api/expert/completion-criteria/${id}`);
+      return { id, ...response.data };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || 'Failed to delete completion criterion'
+      );
+    }
+  }
+);
+
 export const fetchExpertDashboard = createAsyncThunk(
   'expert/fetchExpertDashboard',
   async (_, { rejectWithValue }) => {
@@ -200,12 +245,127 @@ export const fetchExpertDashboard = createAsyncThunk(
   }
 );
 
+export const fetchVersionLifecycle = createAsyncThunk(
+  'expert/fetchVersionLifecycle',
+  async ({ practiceId, versionId }, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(
+        `${API_BASE_URL}/api/expert/practices/${practiceId}/versions/${versionId}/lifecycle`
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || 'Failed to fetch version lifecycle'
+      );
+    }
+  }
+);
+
+export const changeVersionStatus = createAsyncThunk(
+  'expert/changeVersionStatus',
+  async ({ practiceId, versionId, status, comment }, { dispatch, rejectWithValue }) => {
+    try {
+      const response = await axios.put(
+        `${API_BASE_URL}/api/expert/practices/${practiceId}/versions/${versionId}/status`,
+        { status, comment }
+      );
+      dispatch(fetchVersionLifecycle({ practiceId, versionId }));
+      return response.data;
+    } catch (error) {
+      // The rule that blocked the move is more useful than the generic message
+      return rejectWithValue(
+        error.response?.data?.error || error.response?.data?.message || 'Failed to change version status'
+      );
+    }
+  }
+);
+
+export const fetchVersionDiff = createAsyncThunk(
+  'expert/fetchVersionDiff',
+  async ({ practiceId, fromId, toId }, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(
+        `${API_BASE_URL}/api/expert/practices/${practiceId}/versions/diff?from=${fromId}&to=${toId}`
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || 'Failed to compare versions'
+      );
+    }
+  }
+);
+
+export const restoreVersion = createAsyncThunk(
+  'expert/restoreVersion',
+  async ({ practiceId, versionId }, { dispatch, rejectWithValue }) => {
+    try {
+      const response = await axios.post(
+        `${API_BASE_URL}/api/expert/practices/${practiceId}/versions/${versionId}/restore`
+      );
+      // The restored version becomes the latest one being edited
+      dispatch(fetchPracticeForEdit(practiceId));
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || 'Failed to restore version'
+      );
+    }
+  }
+);
+
+export const importCatalogue = createAsyncThunk(
+  'expert/importCatalogue',
+  async ({ files, dryRun }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/expert/import/practices`, {
+        files,
+        dryRun,
+      });
+      return response.data;
+    } catch (error) {
+      // Validation errors come back with their file, line and column
+      return rejectWithValue({
+        message: error.response?.data?.error || error.response?.data?.message || 'Failed to import practices',
+        errors: error.response?.data?.errors || [],
+      });
+    }
+  }
+);
+
+export const exportCatalogue = createAsyncThunk(
+  'expert/exportCatalogue',
+  async (filters, { rejectWithValue }) => {
+    try {
+      const params = new URLSearchParams();
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+
+      const response = await axios.get(`${API_BASE_URL}/api/expert/export/practices?${params}`);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to export practices');
+    }
+  }
+);
+
 const expertSlice = createSlice({
   name: 'expert',
   initialState: {
     practices: [],
     currentPractice: null,
     editOptions: null,
+    lifecycle: null,
+    lifecycleError: null,
+    versionDiff: null,
+    versionDiffError: null,
+    importReport: null,
+    importErrors: [],
+    importError: null,
+    importing: false,
+    exporting: false,
+    exportWarnings: [],
     dashboardData: null,
     loading: false,
     error: null,
@@ -230,9 +390,18 @@ const expertSlice = createSlice({
     clearError: (state) => {
       state.error = null;
     },
+    clearImport: (state) => {
+      state.importReport = null;
+      state.importErrors = [];
+      state.importError = null;
+    },
     clearCurrentPractice: (state) => {
       state.currentPractice = null;
       state.editOptions = null;
+      state.lifecycle = null;
+      state.lifecycleError = null;
+      state.versionDiff = null;
+      state.versionDiffError = null;
     },
   },
   extraReducers: (builder) => {
@@ -271,6 +440,45 @@ const expertSlice = createSlice({
           state.currentPractice = { ...state.currentPractice, ...action.payload.data };
         }
       })
+      // Version lifecycle
+      .addCase(fetchVersionLifecycle.fulfilled, (state, action) => {
+        state.lifecycle = action.payload.data;
+      })
+      .addCase(changeVersionStatus.pending, (state) => {
+        state.lifecycleError = null;
+      })
+      .addCase(changeVersionStatus.fulfilled, (state, action) => {
+        const version = action.payload.data;
+        if (state.currentPractice && state.currentPractice.versions) {
+          const index = state.currentPractice.versions.findIndex(v => v.id === version.id);
+          if (index !== -1) {
+            state.currentPractice.versions[index] = {
+              ...state.currentPractice.versions[index],
+              status: version.status
+            };
+          }
+        }
+      })
+      .addCase(changeVersionStatus.rejected, (state, action) => {
+        state.lifecycleError = action.payload;
+      })
+      // Version history
+      .addCase(fetchVersionDiff.pending, (state) => {
+        state.versionDiffError = null;
+      })
+      .addCase(fetchVersionDiff.fulfilled, (state, action) => {
+        state.versionDiff = action.payload.data;
+      })
+      .addCase(fetchVersionDiff.rejected, (state, action) => {
+        state.versionDiff = null;
+        state.versionDiffError = action.payload;
+      })
+      .addCase(restoreVersion.fulfilled, (state) => {
+        state.versionDiff = null;
+      })
+      .addCase(restoreVersion.rejected, (state, action) => {
+        state.versionDiffError = action.payload;
+      })
       // Expert dashboard
       .addCase(fetchExpertDashboard.fulfilled, (state, action) => {
         state.dashboardData = action.payload.data;
@@ -337,9 +545,59 @@ const expertSlice = createSlice({
             p => p.id !== action.payload.id
           );
         }
+      })
+      .addCase(createCompletionCriterion.fulfilled, (state, action) => {
+        if (state.currentPractice && state.currentPractice.completionCriteria) {
+          state.currentPractice.completionCriteria.push(action.payload.data);
+        }
+      })
+      .addCase(updateCompletionCriterion.fulfilled, (state, action) => {
+        if (state.currentPractice && state.currentPractice.completionCriteria) {
+          const index = state.currentPractice.completionCriteria.findIndex(c => c.id === action.payload.data.id);
+          if (index !== -1) {
+            state.currentPractice.completionCriteria[index] = action.payload.data;
+          }
+        }
+      })
+      .addCase(deleteCompletionCriterion.fulfilled, (state, action) => {
+        if (state.currentPractice && state.currentPractice.completionCriteria) {
+          state.currentPractice.completionCriteria = state.currentPractice.completionCriteria.filter(
+            c => c.id !== action.payload.id
+          );
+        }
+      })
+      // Catalogue import
+      .addCase(importCatalogue.pending, (state) => {
+        state.importing = true;
+        state.importReport = null;
+        state.importErrors = [];
+        state.importError = null;
+      })
+      .addCase(importCatalogue.fulfilled, (state, action) => {
+        state.importing = false;
+        state.importReport = action.payload.data;
+      })
+      .addCase(importCatalogue.rejected, (state, action) => {
+        state.importing = false;
+        state.importError = action.payload?.message || 'Failed to import practices';
+        state.importErrors = action.payload?.errors || [];
+      })
+      // Catalogue export
+      .addCase(exportCatalogue.pending, (state) => {
+        state.exporting = true;
+        state.exportWarnings = [];
+        state.importError = null;
+      })
+      .addCase(exportCatalogue.fulfilled, (state, action) => {
+        state.exporting = false;
+        state.exportWarnings = action.payload.warnings;
+      })
+      .addCase(exportCatalogue.rejected, (state, action) => {
+        state.exporting = false;
+        state.importError = action.payload;
       });
   },
 });
 
-export const { setFilters, clearFilters, clearError, clearCurrentPractice } = expertSlice.actions;
+export const { setFilters, clearFilters, clearError, clearImport, clearCurrentPractice } = expertSlice.actions;
 export default expertSlice.reducer;
\ No newline at end of file
@@ -6,12 +6,13 @@ const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
 // Async thunks
 export const fetchPractices = createAsyncThunk(
   'practices/fetchPractices',
-  async ({ search, goal, tag, page = 1, limit = 20 } = {}, { rejectWithValue }) => {
+  async ({ search, goal, type, tags, page = 1, limit = 20 } = {}, { rejectWithValue }) => {
     try {
       const params = new URLSearchParams();
       if (search) params.append('search', search);
-      if (goal) params.append('goal', goal);
-      if (tag) params.append('tag', tag);
+      if (goal) params.append('goalId', goal);
+      if (type) params.append('typeId', type);
+      if (tags && tags.length > 0) params.append('tagIds', tags.join(','));
       params.append('page', page);
       params.append('limit', limit);
 
@@ -59,6 +60,11 @@ const practicesSlice = createSlice({
     practices: [],
     currentPractice: null,
     goals: [],
+    facets: {
+      tags: [],
+      types: [],
+      goals: [],
+    },
     loading: false,
     error: null,
     pagination: {
@@ -70,7 +76,8 @@ const practicesSlice = createSlice({
     filters: {
       search: '',
       goal: '',
-      tag: '',
+      type: '',
+      tags: [],
     },
   },
   reducers: {
@@ -81,7 +88,8 @@ const practicesSlice = createSlice({
       state.filters = {
         search: '',
         goal: '',
-        tag: '',
+        type: '',
+        tags: [],
       };
     },
     clearError: (state) => {
@@ -100,8 +108,11 @@ const practicesSlice = createSlice({
       })
       .addCase(fetchPractices.fulfilled, (state, action) => {
         state.loading = false;
-        state.practices = action.payload.practices;
+        state.practices = action.payload.data;
         state.pagination = action.payload.pagination;
+        if (action.payload.facets) {
+          state.facets = action.payload.facets;
+        }
       })
       .addCase(fetchPractices.rejected, (state, action) => {
         state.loading = false;
@@ -114,7 +125,7 @@ const practicesSlice = createSlice({
       })
       .addCase(fetchPracticeById.fulfilled, (state, action) => {
         state.loading = false;
-        state.currentPractice = action.payload;
+        state.currentPractice = action.payload.data || action.payload;
       })
       .addCase(fetchPracticeById.rejected, (state, action) => {
         state.loading = false;
@@ -37,15 +37,17 @@ export const createTeam = createAsyncThunk(
 
 export const inviteToTeam = createAsyncThunk(
   'teams/inviteToTeam',
-  async ({ teamId, email }, { rejectWithValue }) => {
+  async ({ teamId, email, scope, expiresInHours }, { rejectWithValue }) => {
     try {
       const response = await axios.post(`${API_BASE_URL}/api/teams/${teamId}/invite`, {
         email,
+        scope,
+        expiresInHours,
       });
       return response.data;
     } catch (error) {
       return rejectWithValue(
-        error.response?.data?.message || 'Failed to send invitation'
+        error.response?.data?.error || error.response?.data?.message || 'Failed to send invitation'
       );
     }
   }
@@ -79,11 +81,237 @@ export const resendInvitation = createAsyncThunk(
   }
 );
 
+export const revokeInvitation = createAsyncThunk(
+  'teams/revokeInvitation',
+  async ({ teamId, invitationId }, { rejectWithValue }) => {
+    try {
+      const response = await axios.delete(`${API_BASE_URL}/api/teams/${teamId}/invitations/${invitationId}`);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error || 'Failed to revoke invitation'
+      );
+    }
+  }
+);
+
+export const updateMemberRole = createAsyncThunk(
+  'teams/updateMemberRole',
+  async ({ teamId, personId, role }, { rejectWithValue }) => {
+    try {
+      const response = await axios.put(`${API_BASE_URL}/api/teams/${teamId}/members/${personId}`, { role });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error || 'Failed to update member role'
+      );
+    }
+  }
+);
+
+export const removeMember = createAsyncThunk(
+  'teams/removeMember',
+  async ({ teamId, personId }, { rejectWithValue }) => {
+    try {
+      const response = await axios.delete(`${API_BASE_URL}/api/teams/${teamId}/members/${personId}`);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error || 'Failed to remove member'
+      );
+    }
+  }
+);
+
+export const transferOwnership = createAsyncThunk(
+  'teams/transferOwnership',
+  async ({ teamId, personId }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/teams/${teamId}/transfer-ownership`, { personId });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error || 'Failed to transfer ownership'
+      );
+    }
+  }
+);
+
+export const updateTeam = createAsyncThunk(
+  'teams/updateTeam',
+  async ({ teamId, name, description, aggregationStrategy }, { rejectWithValue }) => {
+    try {
+      const response = await axios.put(`${API_BASE_URL}/api/teams/${teamId}`, {
+        name,
+        description,
+        aggregationStrategy,
+      });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error || error.response?.data?.message || 'Failed to update team'
+      );
+    }
+  }
+);
+
+export const fetchAggregationStrategies = createAsyncThunk(
+  'teams/fetchAggregationStrategies',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/recommendations/strategies`);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || 'Failed to fetch aggregation strategies'
+      );
+    }
+  }
+);
+
+export const fetchTeamForks = createAsyncThunk(
+  'teams/fetchTeamForks',
+  async (teamId, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/teams/${teamId}/forks`);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error || 'Failed to fetch practice forks'
+      );
+    }
+  }
+);
+
+export const mergeFork = createAsyncThunk(
+  'teams/mergeFork',
+  async ({ teamId, forkId, resolutions, dryRun }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/teams/${teamId}/forks/${forkId}/merge`, {
+        resolutions,
+        dryRun,
+      });
+      return response.data;
+    } catch (error) {
+      // Unresolved conflicts come back with the merge preview
+      return rejectWithValue({
+        error: error.response?.data?.error || 'Failed to merge upstream changes',
+        data: error.response?.data?.data || null,
+      });
+    }
+  }
+);
+
+export const fetchIterations = createAsyncThunk(
+  'teams/fetchIterations',
+  async (teamId, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/teams/${teamId}/iterations`);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error || 'Failed to fetch iterations'
+      );
+    }
+  }
+);
+
+export const createIteration = createAsyncThunk(
+  'teams/createIteration',
+  async ({ teamId, name, startDate, endDate }, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/teams/${teamId}/iterations`, {
+        name,
+        startDate,
+        endDate,
+      });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error || 'Failed to create iteration'
+      );
+    }
+  }
+);
+
+export const fetchChecklist = createAsyncThunk(
+  'teams/fetchChecklist',
+  async ({ teamId, iterationId }, { rejectWithValue }) => {
+    try {
+      const [checklist, history] = await Promise.all([
+        axios.get(`${API_BASE_URL}/api/teams/${teamId}/iterations/${iterationId}/checklist`),
+        axios.get(`${API_BASE_URL}/api/teams/${teamId}/iterations/${iterationId}/history`),
+      ]);
+      return { ...checklist.data.data, history: history.data.data };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error || 'Failed to fetch checklist'
+      );
+    }
+  }
+);
+
+export const setCriterionCheck = createAsyncThunk(
+  'teams/setCriterionCheck',
+  async ({ teamId, iterationId, criterionId, checked }, { dispatch, rejectWithValue }) => {
+    try {
+      const response = await axios.put(
+        `${API_BASE_URL}/api/teams/${teamId}/iterations/${iterationId}/criteria/${criterionId}`,
+        { checked }
+      );
+      // Reload so the history shows the new tick
+      dispatch(fetchChecklist({ teamId, iterationId }));
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error || 'Failed to update checklist'
+      );
+    }
+  }
+);
+
+export const fetchTeamContext = createAsyncThunk(
+  'teams/fetchTeamContext',
+  async (teamId, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/teams/${teamId}/context`);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error || 'Failed to fetch team context'
+      );
+    }
+  }
+);
+
+export const updateTeamContext = createAsyncThunk(
+  'teams/updateTeamContext',
+  async ({ teamId, values }, { rejectWithValue }) => {
+    try {
+      const response = await axios.put(`${API_BASE_URL}/api/teams/${teamId}/context`, { values });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error || 'Failed to update team context'
+      );
+    }
+  }
+);
+
 const teamsSlice = createSlice({
   name: 'teams',
   initialState: {
     teams: [],
     currentTeam: null,
+    aggregationStrategies: [],
+    forks: [],
+    mergePreview: null,
+    mergeError: null,
+    iterations: [],
+    checklist: null,
+    checklistError: null,
+    context: null,
+    contextError: null,
     loading: false,
     error: null,
   },
@@ -97,6 +325,10 @@ const teamsSlice = createSlice({
     clearCurrentTeam: (state) => {
       state.currentTeam = null;
     },
+    clearMergePreview: (state) => {
+      state.mergePreview = null;
+      state.mergeError = null;
+    },
   },
   extraReducers: (builder) => {
     builder
@@ -163,9 +395,102 @@ const teamsSlice = createSlice({
       .addCase(resendInvitation.rejected, (state, action) => {
         state.loading = false;
         state.error = action.payload;
+      })
+      // Revoke invitation
+      .addCase(revokeInvitation.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      // Member roles
+      .addCase(updateMemberRole.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(removeMember.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(transferOwnership.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      // Update team
+      .addCase(updateTeam.fulfilled, (state, action) => {
+        const updated = action.payload.data || action.payload;
+        if (state.currentTeam && state.currentTeam.id === updated.id) {
+          state.currentTeam = { ...state.currentTeam, ...updated };
+        }
+      })
+      // Fetch aggregation strategies
+      .addCase(fetchAggregationStrategies.fulfilled, (state, action) => {
+        state.aggregationStrategies = action.payload.data || [];
+      })
+      // Fetch practice forks
+      .addCase(fetchTeamForks.fulfilled, (state, action) => {
+        state.forks = action.payload.data || [];
+      })
+      // Merge upstream changes into a fork
+      .addCase(mergeFork.pending, (state) => {
+        state.mergeError = null;
+      })
+      .addCase(mergeFork.fulfilled, (state, action) => {
+        const outcome = action.payload.data;
+        state.mergePreview = outcome.applied ? null : { ...outcome, forkId: action.meta.arg.forkId };
+      })
+      .addCase(mergeFork.rejected, (state, action) => {
+        state.mergeError = action.payload?.error || 'Failed to merge upstream changes';
+        if (action.payload?.data) {
+          state.mergePreview = { ...action.payload.data, forkId: action.meta.arg.forkId };
+        }
+      })
+      // Fetch iterations
+      .addCase(fetchIterations.fulfilled, (state, action) => {
+        state.iterations = action.payload.data || [];
+      })
+      // Create iteration
+      .addCase(createIteration.fulfilled, (state, action) => {
+        state.iterations.push(action.payload.data);
+      })
+      // Fetch an iteration's checklist and history
+      .addCase(fetchChecklist.pending, (state) => {
+        state.checklistError = null;
+      })
+      .addCase(fetchChecklist.fulfilled, (state, action) => {
+        state.checklist = action.payload;
+      })
+      .addCase(fetchChecklist.rejected, (state, action) => {
+        state.checklist = null;
+        state.checklistError = action.payload;
+      })
+      // Tick or untick a completion criterion
+      .addCase(setCriterionCheck.pending, (state) => {
+        state.checklistError = null;
+      })
+      .addCase(setCriterionCheck.fulfilled, (state, action) => {
+        const { criterionId, checked } = action.payload.data;
+        state.checklist?.practices.forEach((practice) => {
+          const criterion = practice.criteria.find((item) => item.id === criterionId);
+          if (criterion) {
+            criterion.checked = checked;
+            practice.checkedCount = practice.criteria.filter((item) => item.checked).length;
+            practice.met = practice.checkedCount === practice.criteriaCount;
+          }
+        });
+      })
+      .addCase(setCriterionCheck.rejected, (state, action) => {
+        state.checklistError = action.payload;
+      })
+      // Team context profile
+      .addCase(fetchTeamContext.fulfilled, (state, action) => {
+        state.context = action.payload.data;
+      })
+      .addCase(updateTeamContext.pending, (state) => {
+        state.contextError = null;
+      })
+      .addCase(updateTeamContext.fulfilled, (state, action) => {
+        state.context = action.payload.data;
+      })
+      .addCase(updateTeamContext.rejected, (state, action) => {
+        state.contextError = action.payload;
       });
   },
 });
 
-export const { clearError, setCurrentTeam, clearCurrentTeam } = teamsSlice.actions;
+export const { clearError, setCurrentTeam, clearCurrentTeam, clearMergePreview } = teamsSlice.actions;
 export default teamsSlice.reducer;
\ No newline at end of file
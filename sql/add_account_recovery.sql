@@ -0,0 +1,31 @@
+-- Account recovery. People verify their email address before pending team
+-- invitations are accepted for them, and reset a forgotten password with a
+-- single-use, time-limited link. Only the hash of each link's token is kept.
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'person' AND column_name = 'emailverifiedat'
+    ) THEN
+        ALTER TABLE Person ADD COLUMN emailVerifiedAt TIMESTAMP;
+
+        -- Accounts created before verification existed are trusted as they are
+        UPDATE Person SET emailVerifiedAt = COALESCE(createdAt, CURRENT_TIMESTAMP);
+    END IF;
+END $$;
+
+ALTER TABLE Person ADD COLUMN IF NOT EXISTS passwordChangedAt TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS accountToken (
+    id SERIAL PRIMARY KEY,
+    personId INTEGER NOT NULL REFERENCES Person(id) ON DELETE CASCADE,
+    purpose VARCHAR(16) NOT NULL CHECK (purpose IN ('verify_email', 'reset_password')),
+    tokenHash VARCHAR(64) NOT NULL UNIQUE,
+    email VARCHAR(255) NOT NULL,
+    expiresAt TIMESTAMP NOT NULL,
+    usedAt TIMESTAMP,
+    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_accounttoken_person ON accountToken (personId, purpose);
@@ -0,0 +1,29 @@
+-- Persistent queue for background affinity recalculation.
+-- A job recomputes the affinities of one person (all practices) or of one
+-- practice version (all people with a complete profile). At most one job per
+-- target waits in the queue; later requests for the same target reuse it.
+
+CREATE TABLE IF NOT EXISTS affinityJob (
+    id SERIAL PRIMARY KEY,
+    jobType VARCHAR(20) NOT NULL CHECK (jobType IN ('person', 'practice')),
+    targetId INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    maxAttempts INTEGER NOT NULL DEFAULT 3,
+    progress INTEGER NOT NULL DEFAULT 0 CHECK (progress >= 0 AND progress <= 100),
+    processedCount INTEGER NOT NULL DEFAULT 0,
+    totalCount INTEGER,
+    lastError TEXT,
+    requestedById INTEGER REFERENCES Person(id) ON DELETE SET NULL,
+    runAfter TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    startedAt TIMESTAMP,
+    finishedAt TIMESTAMP,
+    updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Dedup: one queued job per person or practice version
+CREATE UNIQUE INDEX IF NOT EXISTS idx_affinityjob_queued_target
+    ON affinityJob (jobType, targetId) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_affinityjob_status_runafter ON affinityJob (status, runAfter);
+CREATE INDEX IF NOT EXISTS idx_affinityjob_target ON affinityJob (jobType, targetId);
@@ -0,0 +1,39 @@
+-- Completion criteria checklists. A team ticks off the completion criteria
+-- of its active practices once per iteration; every tick and untick is kept
+-- in criterionCheckHistory, which also survives the criterion's deletion.
+
+CREATE TABLE IF NOT EXISTS teamIteration (
+    id SERIAL PRIMARY KEY,
+    teamId INTEGER NOT NULL REFERENCES Team(id) ON DELETE CASCADE,
+    name VARCHAR(64) NOT NULL,
+    startDate DATE,
+    endDate DATE,
+    createdById INTEGER REFERENCES Person(id) ON DELETE SET NULL,
+    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (endDate IS NULL OR startDate IS NULL OR endDate >= startDate)
+);
+
+CREATE TABLE IF NOT EXISTS criterionCheck (
+    iterationId INTEGER NOT NULL REFERENCES teamIteration(id) ON DELETE CASCADE,
+    criterionId INTEGER NOT NULL REFERENCES completionCriteria(id) ON DELETE CASCADE,
+    practiceVersionId INTEGER NOT NULL REFERENCES practiceVersion(id) ON DELETE CASCADE,
+    checkedById INTEGER REFERENCES Person(id) ON DELETE SET NULL,
+    checkedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (iterationId, criterionId)
+);
+
+CREATE TABLE IF NOT EXISTS criterionCheckHistory (
+    id SERIAL PRIMARY KEY,
+    iterationId INTEGER NOT NULL REFERENCES teamIteration(id) ON DELETE CASCADE,
+    criterionId INTEGER REFERENCES completionCriteria(id) ON DELETE SET NULL,
+    practiceVersionId INTEGER NOT NULL REFERENCES practiceVersion(id) ON DELETE CASCADE,
+    criterionName VARCHAR(255) NOT NULL,
+    checked BOOLEAN NOT NULL,
+    personId INTEGER REFERENCES Person(id) ON DELETE SET NULL,
+    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_teamiteration_name ON teamIteration (teamId, LOWER(name));
+CREATE INDEX IF NOT EXISTS idx_criterioncheck_version ON criterionCheck (practiceVersionId, iterationId);
+CREATE INDEX IF NOT EXISTS idx_criterioncheckhistory_iteration ON criterionCheckHistory (iterationId, createdAt);
+CREATE INDEX IF NOT EXISTS idx_criterioncheckhistory_version ON criterionCheckHistory (practiceVersionId, iterationId);
@@ -0,0 +1,30 @@
+-- Signed invitation links. Each pending invitation carries the hash of a
+-- one-time token sent by email; the raw token is never stored. Invitations
+-- expire, can be declined by the invitee or revoked by the team.
+
+ALTER TABLE teamInvitation ADD COLUMN IF NOT EXISTS tokenHash VARCHAR(64);
+ALTER TABLE teamInvitation ADD COLUMN IF NOT EXISTS expiresAt TIMESTAMP;
+-- 'email': only the account with the invited email can accept; 'link': whoever holds the link
+ALTER TABLE teamInvitation ADD COLUMN IF NOT EXISTS scope VARCHAR(16) NOT NULL DEFAULT 'email';
+ALTER TABLE teamInvitation ADD COLUMN IF NOT EXISTS respondedAt TIMESTAMP;
+ALTER TABLE teamInvitation ADD COLUMN IF NOT EXISTS revokedById INTEGER REFERENCES Person(id) ON DELETE SET NULL;
+
+ALTER TABLE teamInvitation DROP CONSTRAINT IF EXISTS teaminvitation_status_check;
+ALTER TABLE teamInvitation ADD CONSTRAINT teaminvitation_status_check
+    CHECK (status IN ('pending', 'accepted', 'declined', 'revoked', 'expired'));
+
+ALTER TABLE teamInvitation DROP CONSTRAINT IF EXISTS teaminvitation_scope_check;
+ALTER TABLE teamInvitation ADD CONSTRAINT teaminvitation_scope_check
+    CHECK (scope IN ('email', 'link'));
+
+-- Several declined or expired invitations may exist for the same email; only one may be pending
+ALTER TABLE teamInvitation DROP CONSTRAINT IF EXISTS teaminvitation_teamid_invitedemail_status_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_team_invitation_pending
+    ON teamInvitation(teamId, invitedEmail) WHERE status = 'pending';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_team_invitation_token ON teamInvitation(tokenHash);
+CREATE INDEX IF NOT EXISTS idx_team_invitation_expiry ON teamInvitation(expiresAt) WHERE status = 'pending';
+
+-- Invitations sent before links existed expire after the default week
+UPDATE teamInvitation
+SET expiresAt = COALESCE(lastSentAt, invitedAt, CURRENT_TIMESTAMP) + INTERVAL '7 days'
+WHERE expiresAt IS NULL;
@@ -0,0 +1,16 @@
+-- Method analysis. Each practice states how it uses its work products so a
+-- method can be checked for work products it consumes but never produces.
+
+ALTER TABLE workproductPractice
+    ADD COLUMN IF NOT EXISTS usage VARCHAR(16) NOT NULL DEFAULT 'produces';
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'workproductpractice_usage_check'
+    ) THEN
+        ALTER TABLE workproductPractice
+            ADD CONSTRAINT workproductpractice_usage_check
+            CHECK (usage IN ('produces', 'consumes', 'modifies'));
+    END IF;
+END $$;
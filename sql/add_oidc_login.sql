@@ -0,0 +1,9 @@
+-- Single sign-on through an OpenID Connect provider. A person is linked to
+-- the provider's account by issuer and subject; people provisioned at their
+-- first SSO login have no local password.
+
+ALTER TABLE Person ADD COLUMN IF NOT EXISTS oidcIssuer VARCHAR(255);
+ALTER TABLE Person ADD COLUMN IF NOT EXISTS oidcSubject VARCHAR(255);
+ALTER TABLE Person ALTER COLUMN passwordHash DROP NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_person_oidc ON Person (oidcIssuer, oidcSubject) WHERE oidcSubject IS NOT NULL;
@@ -0,0 +1,18 @@
+-- Personal access tokens. Scripts call the API with "Authorization: Bearer <token>"
+-- instead of a session cookie; each token is limited to its scopes, expires and
+-- remembers when it was last used. Only the hash of a token is kept.
+
+CREATE TABLE IF NOT EXISTS personalAccessToken (
+    id SERIAL PRIMARY KEY,
+    personId INTEGER NOT NULL REFERENCES Person(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    tokenPrefix VARCHAR(16) NOT NULL,
+    tokenHash VARCHAR(64) NOT NULL UNIQUE,
+    scopes TEXT[] NOT NULL,
+    expiresAt TIMESTAMP NOT NULL,
+    lastUsedAt TIMESTAMP,
+    revokedAt TIMESTAMP,
+    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_personalaccesstoken_person ON personalAccessToken (personId);
@@ -0,0 +1,22 @@
+-- Give practice association types a stable code so typed links between
+-- practice versions ("requires", "complements", "replaces", "conflicts_with",
+-- "specializes") can be read and written by code without relying on names.
+
+ALTER TABLE practiceAssociationType ADD COLUMN IF NOT EXISTS code VARCHAR(50) UNIQUE;
+
+UPDATE practiceAssociationType SET code = 'requires' WHERE name = 'Dependency' AND code IS NULL;
+UPDATE practiceAssociationType SET code = 'complements' WHERE name = 'Complementarity' AND code IS NULL;
+UPDATE practiceAssociationType SET code = 'conflicts_with' WHERE name = 'Exclusion' AND code IS NULL;
+
+INSERT INTO practiceAssociationType (name, description, code) VALUES
+('Dependency', 'Une pratique nécessite l''autre pour fonctionner', 'requires'),
+('Complementarity', 'Les pratiques se renforcent mutuellement (ex: TDD et CI)', 'complements'),
+('Replacement', 'Une pratique remplace explicitement l''autre (alternative recommandée)', 'replaces'),
+('Exclusion', 'Pratiques mutuellement exclusives', 'conflicts_with'),
+('Specialization', 'Une pratique est une variante spécialisée de l''autre', 'specializes')
+ON CONFLICT (name) DO NOTHING;
+
+-- One link of a given type between two practice versions
+CREATE UNIQUE INDEX IF NOT EXISTS idx_practiceassociation_unique
+    ON practiceAssociation (sourcePracticeVersionId, targetPracticeVersionId, typeId);
+CREATE INDEX IF NOT EXISTS idx_practiceassociation_target ON practiceAssociation (targetPracticeVersionId);
@@ -0,0 +1,38 @@
+-- Widen text columns so the practices reference catalogue
+-- (practices_reference_v2.json) fits without truncation: practice descriptions
+-- run to several paragraphs, and activity descriptions, completion criteria,
+-- guideline titles, benefits, pitfalls and metric formulas exceed 64 characters.
+-- Columns already wide enough are left alone: the practice search triggers
+-- (add_practice_search.sql) watch some of them, and Postgres refuses to change
+-- the type of a column used in a trigger definition.
+
+DO $$
+DECLARE
+    target RECORD;
+BEGIN
+    FOR target IN
+        SELECT * FROM (VALUES
+            ('practice', 'description', NULL::INTEGER),
+            ('activity', 'description', 255),
+            ('metric', 'formula', 255),
+            ('guideline', 'name', 255),
+            ('guideline', 'description', 255),
+            ('benefit', 'name', 255),
+            ('benefit', 'description', 255),
+            ('pitfall', 'name', 255),
+            ('completioncriteria', 'name', 255),
+            ('completioncriteria', 'description', 255)
+        ) AS widened (tableName, columnName, maxLength)
+    LOOP
+        IF EXISTS (
+            SELECT 1 FROM information_schema.columns c
+            WHERE c.table_name = target.tableName AND c.column_name = target.columnName
+              AND c.data_type <> 'text'
+              AND (target.maxLength IS NULL OR COALESCE(c.character_maximum_length, 0) < target.maxLength)
+        ) THEN
+            EXECUTE format('ALTER TABLE %I ALTER COLUMN %I TYPE %s',
+                target.tableName, target.columnName,
+                CASE WHEN target.maxLength IS NULL THEN 'TEXT' ELSE format('VARCHAR(%s)', target.maxLength) END);
+        END IF;
+    END LOOP;
+END $$;
@@ -0,0 +1,214 @@
+-- Full-text search over practices and the content of their versions.
+-- practiceVersionSearch stores one weighted document per version: the practice
+-- name ranks highest, then objective and description, then activities, work
+-- products and roles, then guidelines, benefits and pitfalls.
+-- practiceSearchWord counts the public (published, not forked) versions using
+-- each word; pg_trgm matches misspelled query terms against it.
+-- Triggers on the practice content keep both tables current, so searches read
+-- indexed rows instead of building documents and word lists per query.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Rebuild the search row of one version; a no-op when nothing it holds changed
+CREATE OR REPLACE FUNCTION refresh_practice_version_search(version_id INTEGER) RETURNS VOID AS $$
+BEGIN
+    INSERT INTO practiceVersionSearch (practiceVersionId, practiceId, document, content, words, isPublic)
+    SELECT pv.id,
+           pv.practiceId,
+           setweight(to_tsvector('english', COALESCE(p.name, '')), 'A') ||
+           setweight(to_tsvector('english', concat_ws(' ', p.objective, p.description)), 'B') ||
+           setweight(to_tsvector('english', COALESCE(c.structure, '')), 'C') ||
+           setweight(to_tsvector('english', COALESCE(c.resources, '')), 'D'),
+           concat_ws(' ', p.objective, p.description, c.structure, c.resources),
+           to_tsvector('simple', concat_ws(' ', p.name, p.objective, p.description, c.structure, c.resources)),
+           pv.status = 'Published' AND pv.forkedFromId IS NULL
+    FROM practiceVersion pv
+    JOIN Practice p ON pv.practiceId = p.id
+    CROSS JOIN LATERAL (
+      SELECT
+        concat_ws(' ',
+          (SELECT string_agg(concat_ws(' ', a.name, a.description), ' ' ORDER BY pva.sequence)
+           FROM practiceVersionActivity pva JOIN Activity a ON pva.activityId = a.id
+           WHERE pva.practiceVersionId = pv.id),
+          (SELECT string_agg(concat_ws(' ', w.name, w.description), ' ')
+           FROM workproductPractice wp JOIN Workproduct w ON wp.workproductId = w.id
+           WHERE wp.practiceVersionId = pv.id),
+          (SELECT string_agg(r.name, ' ')
+           FROM roleUse ru JOIN Role r ON ru.roleId = r.id
+           WHERE ru.practiceVersionId = pv.id)
+        ) AS structure,
+        concat_ws(' ',
+          (SELECT string_agg(concat_ws(' ', g.name, g.description), ' ') FROM Guideline g WHERE g.practiceVersionId = pv.id),
+          (SELECT string_agg(concat_ws(' ', b.name, b.description), ' ') FROM Benefit b WHERE b.practiceVersionId = pv.id),
+          (SELECT string_agg(concat_ws(' ', pf.name, pf.description), ' ') FROM Pitfall pf WHERE pf.practiceVersionId = pv.id)
+        ) AS resources
+    ) c
+    WHERE pv.id = version_id
+    ON CONFLICT (practiceVersionId) DO UPDATE
+    SET practiceId = EXCLUDED.practiceId,
+        document = EXCLUDED.document,
+        content = EXCLUDED.content,
+        words = EXCLUDED.words,
+        isPublic = EXCLUDED.isPublic
+    WHERE (practiceVersionSearch.practiceId, practiceVersionSearch.document, practiceVersionSearch.content,
+           practiceVersionSearch.words, practiceVersionSearch.isPublic)
+          IS DISTINCT FROM
+          (EXCLUDED.practiceId, EXCLUDED.document, EXCLUDED.content, EXCLUDED.words, EXCLUDED.isPublic);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Versions, and the tables holding one version's content
+CREATE OR REPLACE FUNCTION practice_version_search_changed() RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_TABLE_NAME = 'practiceversion' THEN
+        PERFORM refresh_practice_version_search(NEW.id);
+        RETURN NULL;
+    END IF;
+
+    IF TG_OP <> 'INSERT' THEN
+        PERFORM refresh_practice_version_search(OLD.practiceVersionId);
+    END IF;
+    IF TG_OP = 'INSERT' OR (TG_OP = 'UPDATE' AND NEW.practiceVersionId IS DISTINCT FROM OLD.practiceVersionId) THEN
+        PERFORM refresh_practice_version_search(NEW.practiceVersionId);
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Practices and the shared entities whose names appear in many versions
+CREATE OR REPLACE FUNCTION practice_search_entity_changed() RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM refresh_practice_version_search(v.id)
+    FROM (
+        SELECT pv.id FROM practiceVersion pv
+        WHERE TG_TABLE_NAME = 'practice' AND pv.practiceId = NEW.id
+        UNION
+        SELECT pva.practiceVersionId FROM practiceVersionActivity pva
+        WHERE TG_TABLE_NAME = 'activity' AND pva.activityId = NEW.id
+        UNION
+        SELECT wp.practiceVersionId FROM workproductPractice wp
+        WHERE TG_TABLE_NAME = 'workproduct' AND wp.workproductId = NEW.id
+        UNION
+        SELECT ru.practiceVersionId FROM roleUse ru
+        WHERE TG_TABLE_NAME = 'role' AND ru.roleId = NEW.id
+    ) v;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Keep the word counts in step with the public search rows
+CREATE OR REPLACE FUNCTION count_practice_search_words() RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP <> 'INSERT' AND OLD.isPublic THEN
+        UPDATE practiceSearchWord SET ndoc = ndoc - 1
+        WHERE word = ANY(tsvector_to_array(OLD.words));
+        DELETE FROM practiceSearchWord
+        WHERE word = ANY(tsvector_to_array(OLD.words)) AND ndoc <= 0;
+    END IF;
+    IF TG_OP <> 'DELETE' THEN
+        IF NEW.isPublic THEN
+            INSERT INTO practiceSearchWord (word, ndoc)
+            SELECT lexeme, 1 FROM unnest(tsvector_to_array(NEW.words)) AS lexeme
+            ON CONFLICT (word) DO UPDATE SET ndoc = practiceSearchWord.ndoc + 1;
+        END IF;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- The first versions of this migration created both as views, rebuilt on every query
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.views WHERE table_name = 'practicesearchword') THEN
+        DROP VIEW practiceSearchWord;
+    END IF;
+    IF EXISTS (SELECT 1 FROM information_schema.views WHERE table_name = 'practiceversionsearch') THEN
+        DROP VIEW practiceVersionSearch;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.tables WHERE table_name = 'practiceversionsearch'
+    ) THEN
+        CREATE TABLE practiceVersionSearch (
+            practiceVersionId INTEGER PRIMARY KEY REFERENCES practiceVersion(id) ON DELETE CASCADE,
+            practiceId INTEGER NOT NULL,
+            document TSVECTOR NOT NULL,
+            content TEXT NOT NULL,
+            words TSVECTOR NOT NULL,
+            isPublic BOOLEAN NOT NULL DEFAULT FALSE
+        );
+
+        CREATE TABLE practiceSearchWord (
+            word TEXT PRIMARY KEY,
+            ndoc INTEGER NOT NULL
+        );
+
+        -- Index the existing versions once; the triggers below take over from here
+        PERFORM refresh_practice_version_search(pv.id) FROM practiceVersion pv;
+        INSERT INTO practiceSearchWord (word, ndoc)
+        SELECT word, ndoc FROM ts_stat('SELECT words FROM practiceVersionSearch WHERE isPublic');
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_practiceversionsearch_document ON practiceVersionSearch USING GIN (document);
+CREATE INDEX IF NOT EXISTS idx_practicesearchword_word ON practiceSearchWord USING GIN (word gin_trgm_ops);
+
+DROP TRIGGER IF EXISTS practice_search_words ON practiceVersionSearch;
+CREATE TRIGGER practice_search_words
+AFTER INSERT OR UPDATE OR DELETE ON practiceVersionSearch
+FOR EACH ROW EXECUTE FUNCTION count_practice_search_words();
+
+DROP TRIGGER IF EXISTS practice_search_version ON practiceVersion;
+CREATE TRIGGER practice_search_version
+AFTER INSERT OR UPDATE OF practiceId, status, forkedFromId ON practiceVersion
+FOR EACH ROW EXECUTE FUNCTION practice_version_search_changed();
+
+DROP TRIGGER IF EXISTS practice_search_content ON practiceVersionActivity;
+CREATE TRIGGER practice_search_content
+AFTER INSERT OR UPDATE OR DELETE ON practiceVersionActivity
+FOR EACH ROW EXECUTE FUNCTION practice_version_search_changed();
+
+DROP TRIGGER IF EXISTS practice_search_content ON workproductPractice;
+CREATE TRIGGER practice_search_content
+AFTER INSERT OR UPDATE OR DELETE ON workproductPractice
+FOR EACH ROW EXECUTE FUNCTION practice_version_search_changed();
+
+DROP TRIGGER IF EXISTS practice_search_content ON roleUse;
+CREATE TRIGGER practice_search_content
+AFTER INSERT OR UPDATE OR DELETE ON roleUse
+FOR EACH ROW EXECUTE FUNCTION practice_version_search_changed();
+
+DROP TRIGGER IF EXISTS practice_search_content ON Guideline;
+CREATE TRIGGER practice_search_content
+AFTER INSERT OR UPDATE OR DELETE ON Guideline
+FOR EACH ROW EXECUTE FUNCTION practice_version_search_changed();
+
+DROP TRIGGER IF EXISTS practice_search_content ON Benefit;
+CREATE TRIGGER practice_search_content
+AFTER INSERT OR UPDATE OR DELETE ON Benefit
+FOR EACH ROW EXECUTE FUNCTION practice_version_search_changed();
+
+DROP TRIGGER IF EXISTS practice_search_content ON Pitfall;
+CREATE TRIGGER practice_search_content
+AFTER INSERT OR UPDATE OR DELETE ON Pitfall
+FOR EACH ROW EXECUTE FUNCTION practice_version_search_changed();
+
+DROP TRIGGER IF EXISTS practice_search_entity ON Practice;
+CREATE TRIGGER practice_search_entity
+AFTER UPDATE OF name, objective, description ON Practice
+FOR EACH ROW EXECUTE FUNCTION practice_search_entity_changed();
+
+DROP TRIGGER IF EXISTS practice_search_entity ON Activity;
+CREATE TRIGGER practice_search_entity
+AFTER UPDATE OF name, description ON Activity
+FOR EACH ROW EXECUTE FUNCTION practice_search_entity_changed();
+
+DROP TRIGGER IF EXISTS practice_search_entity ON Workproduct;
+CREATE TRIGGER practice_search_entity
+AFTER UPDATE OF name, description ON Workproduct
+FOR EACH ROW EXECUTE FUNCTION practice_search_entity_changed();
+
+DROP TRIGGER IF EXISTS practice_search_entity ON Role;
+CREATE TRIGGER practice_search_entity
+AFTER UPDATE OF name ON Role
+FOR EACH ROW EXECUTE FUNCTION practice_search_entity_changed();
@@ -0,0 +1,40 @@
+-- Practice tags. Tags either belong to an expert-managed vocabulary (curated)
+-- or have no vocabulary (free-form). A tag name or synonym resolves to a
+-- single tag, so "CI" and "Continuous Integration" end up on the same facet.
+
+CREATE TABLE IF NOT EXISTS tagVocabulary (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(64) NOT NULL,
+    description VARCHAR(255),
+    createdById INTEGER REFERENCES Person(id) ON DELETE SET NULL,
+    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS Tag (
+    id SERIAL PRIMARY KEY,
+    vocabularyId INTEGER REFERENCES tagVocabulary(id) ON DELETE SET NULL,
+    name VARCHAR(64) NOT NULL,
+    description VARCHAR(255),
+    createdById INTEGER REFERENCES Person(id) ON DELETE SET NULL,
+    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS tagSynonym (
+    id SERIAL PRIMARY KEY,
+    tagId INTEGER NOT NULL REFERENCES Tag(id) ON DELETE CASCADE,
+    name VARCHAR(64) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS practiceTag (
+    practiceId INTEGER NOT NULL REFERENCES Practice(id) ON DELETE CASCADE,
+    tagId INTEGER NOT NULL REFERENCES Tag(id) ON DELETE CASCADE,
+    taggedById INTEGER REFERENCES Person(id) ON DELETE SET NULL,
+    taggedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (practiceId, tagId)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tagvocabulary_name ON tagVocabulary (LOWER(name));
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tag_name ON Tag (LOWER(name));
+CREATE INDEX IF NOT EXISTS idx_tag_vocabulary ON Tag (vocabularyId);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tagsynonym_name ON tagSynonym (LOWER(name));
+CREATE INDEX IF NOT EXISTS idx_practicetag_tag ON practiceTag (tagId);
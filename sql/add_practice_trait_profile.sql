@@ -0,0 +1,59 @@
+-- Add expert-authored Big Five trait-demand profiles per practice version
+-- Each row states how strongly (weight, 0-1) and in which direction (+1 / -1)
+-- a practice version draws on one personality trait.
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.tables WHERE table_name = 'practicetraitprofile'
+    ) THEN
+        CREATE TABLE practiceTraitProfile (
+            practiceVersionId INTEGER NOT NULL REFERENCES practiceVersion(id) ON DELETE CASCADE,
+            trait CHAR(1) NOT NULL CHECK (trait IN ('O', 'C', 'E', 'A', 'N')),
+            weight FLOAT NOT NULL CHECK (weight >= 0 AND weight <= 1),
+            direction SMALLINT NOT NULL DEFAULT 1 CHECK (direction IN (-1, 1)),
+            rationale VARCHAR(255),
+            lastUpdate TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            lastUpdateById INTEGER REFERENCES Person(id),
+            PRIMARY KEY (practiceVersionId, trait)
+        );
+
+        -- Seed profiles for the practice versions that exist when the table is created,
+        -- from the former type/description heuristics, so that stored affinities do not
+        -- shift. This runs once: later versions and profiles experts cleared are left
+        -- to the experts.
+        INSERT INTO practiceTraitProfile (practiceVersionId, trait, weight, direction, rationale)
+        SELECT pv.id, 'C', 0.30, 1, 'Structured development practice'
+        FROM practiceVersion pv
+        JOIN Practice p ON pv.practiceId = p.id
+        WHERE p.typeId = 1
+          AND NOT EXISTS (SELECT 1 FROM practiceTraitProfile ptp WHERE ptp.practiceVersionId = pv.id)
+        UNION ALL
+        SELECT pv.id, 'E', 0.25, 1, 'Collaborative teamwork practice'
+        FROM practiceVersion pv
+        JOIN Practice p ON pv.practiceId = p.id
+        WHERE p.typeId = 2
+          AND NOT EXISTS (SELECT 1 FROM practiceTraitProfile ptp WHERE ptp.practiceVersionId = pv.id)
+        UNION ALL
+        SELECT pv.id, 'A', 0.20, 1, 'Collaborative teamwork practice'
+        FROM practiceVersion pv
+        JOIN Practice p ON pv.practiceId = p.id
+        WHERE p.typeId = 2
+          AND NOT EXISTS (SELECT 1 FROM practiceTraitProfile ptp WHERE ptp.practiceVersionId = pv.id)
+        UNION ALL
+        SELECT pv.id, 'O', 0.35, 1, 'Calls for creativity and innovation'
+        FROM practiceVersion pv
+        JOIN Practice p ON pv.practiceId = p.id
+        WHERE (p.description ILIKE '%innovation%' OR p.description ILIKE '%creative%')
+          AND NOT EXISTS (SELECT 1 FROM practiceTraitProfile ptp WHERE ptp.practiceVersionId = pv.id)
+        UNION ALL
+        SELECT pv.id, 'N', 0.25, -1, 'Relies on a stable way of working'
+        FROM practiceVersion pv
+        JOIN Practice p ON pv.practiceId = p.id
+        WHERE COALESCE(p.description, '') NOT ILIKE '%change%'
+          AND NOT EXISTS (SELECT 1 FROM practiceTraitProfile ptp WHERE ptp.practiceVersionId = pv.id)
+        ON CONFLICT DO NOTHING;
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_practicetraitprofile_trait ON practiceTraitProfile (trait);
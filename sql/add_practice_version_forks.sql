@@ -0,0 +1,10 @@
+-- Team forks of practice versions. A fork is a copy of a published version in
+-- a team universe; it remembers where it came from and which upstream version
+-- it was last merged with, so upstream changes can be tracked and pulled in.
+
+ALTER TABLE practiceVersion ADD COLUMN IF NOT EXISTS forkedFromId INTEGER
+    REFERENCES practiceVersion(id) ON DELETE SET NULL;
+ALTER TABLE practiceVersion ADD COLUMN IF NOT EXISTS baseVersionId INTEGER
+    REFERENCES practiceVersion(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_practiceversion_forkedfrom ON practiceVersion (forkedFromId);
@@ -0,0 +1,31 @@
+-- Stored lifecycle of practice versions: Draft -> In Review -> Published -> Deprecated -> Archived.
+-- Versions created before the lifecycle existed were all shown publicly, so
+-- they start as Published; new versions start as Draft.
+
+ALTER TABLE practiceVersion ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'Published';
+ALTER TABLE practiceVersion ALTER COLUMN status SET DEFAULT 'Draft';
+
+ALTER TABLE practiceVersion DROP CONSTRAINT IF EXISTS practiceversion_status_check;
+ALTER TABLE practiceVersion ADD CONSTRAINT practiceversion_status_check
+    CHECK (status IN ('Draft', 'In Review', 'Published', 'Deprecated', 'Archived'));
+
+-- Who submitted the version for review, and the second expert who signed it off
+ALTER TABLE practiceVersion ADD COLUMN IF NOT EXISTS submittedById INTEGER REFERENCES Person(id);
+ALTER TABLE practiceVersion ADD COLUMN IF NOT EXISTS submittedAt TIMESTAMP;
+ALTER TABLE practiceVersion ADD COLUMN IF NOT EXISTS reviewedById INTEGER REFERENCES Person(id);
+ALTER TABLE practiceVersion ADD COLUMN IF NOT EXISTS publishedAt TIMESTAMP;
+
+-- History of status changes
+CREATE TABLE IF NOT EXISTS practiceVersionTransition (
+    id SERIAL PRIMARY KEY,
+    practiceVersionId INTEGER NOT NULL REFERENCES practiceVersion(id) ON DELETE CASCADE,
+    fromStatus VARCHAR(20) NOT NULL,
+    toStatus VARCHAR(20) NOT NULL,
+    personId INTEGER REFERENCES Person(id) ON DELETE SET NULL,
+    comment TEXT,
+    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_practiceversion_status ON practiceVersion (status);
+CREATE INDEX IF NOT EXISTS idx_practiceversiontransition_version
+    ON practiceVersionTransition (practiceVersionId, createdAt);
@@ -0,0 +1,23 @@
+-- Add Big Five scoring keys to affinity survey item versions
+-- Each item version declares which trait it measures, whether it is reverse-keyed,
+-- its weight within the trait and the Likert range it was answered on.
+
+ALTER TABLE affinitySurveyVersion ADD COLUMN IF NOT EXISTS trait CHAR(1)
+    CHECK (trait IN ('O', 'C', 'E', 'A', 'N'));
+ALTER TABLE affinitySurveyVersion ADD COLUMN IF NOT EXISTS isReversed BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE affinitySurveyVersion ADD COLUMN IF NOT EXISTS weight FLOAT NOT NULL DEFAULT 1.0
+    CHECK (weight > 0);
+ALTER TABLE affinitySurveyVersion ADD COLUMN IF NOT EXISTS scaleMin INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE affinitySurveyVersion ADD COLUMN IF NOT EXISTS scaleMax INTEGER NOT NULL DEFAULT 5;
+
+CREATE INDEX IF NOT EXISTS idx_affinitysurveyversion_trait ON affinitySurveyVersion (trait);
+
+-- Backfill the keys of the three sample items
+UPDATE affinitySurveyVersion SET trait = 'C'
+WHERE trait IS NULL AND itemId = (SELECT id FROM affinitySurvey WHERE content = 'I prefer clearly defined tasks over ambiguous goals.');
+
+UPDATE affinitySurveyVersion SET trait = 'E'
+WHERE trait IS NULL AND itemId = (SELECT id FROM affinitySurvey WHERE content = 'I enjoy brainstorming new ideas with a group.');
+
+UPDATE affinitySurveyVersion SET trait = 'N', isReversed = TRUE
+WHERE trait IS NULL AND itemId = (SELECT id FROM affinitySurvey WHERE content = 'I am comfortable with frequent changes in priorities.');
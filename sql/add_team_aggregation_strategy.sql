@@ -0,0 +1,5 @@
+-- Team setting: the strategy that turns member affinities into one group score
+-- when ranking practices (average, least_misery, most_pleasure,
+-- average_without_misery, fairness). Valid names are checked by the API.
+
+ALTER TABLE Team ADD COLUMN IF NOT EXISTS aggregationStrategy VARCHAR(50) NOT NULL DEFAULT 'average';
@@ -0,0 +1,30 @@
+-- Team context profiles. A team gives its own value for each context
+-- indicator (team size, distribution, regulatory constraints...), matched
+-- by indicator name against the conditions in contextIndicator.value.
+
+CREATE TABLE IF NOT EXISTS teamContextValue (
+    teamId INTEGER NOT NULL REFERENCES Team(id) ON DELETE CASCADE,
+    indicatorName VARCHAR(64) NOT NULL,
+    value VARCHAR(64) NOT NULL,
+    updatedById INTEGER REFERENCES Person(id) ON DELETE SET NULL,
+    updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (teamId, indicatorName)
+);
+
+-- Indicators of the reference contexts, added once per context
+INSERT INTO contextIndicator (contextId, name, description, attributes, precision, value)
+SELECT c.id, v.name, v.description, v.attributes, v.precision, v.value
+FROM (VALUES
+    ('New Project', 'Codebase Age', 'Âge du code sur lequel l''équipe travaille', 'Years', 'Integer', '< 1'),
+    ('Legacy System Maintenance', 'Codebase Age', 'Âge du code sur lequel l''équipe travaille', 'Years', 'Integer', '>= 5'),
+    ('Legacy System Maintenance', 'Automated Test Coverage', 'Part du code couverte par des tests automatisés', 'Percent', 'Integer', '< 40'),
+    ('Distributed Team', 'Timezone Spread', 'Écart de fuseau horaire max dans l''équipe', 'Hours', 'Integer', '> 4'),
+    ('Distributed Team', 'Team Distribution', 'Répartition géographique de l''équipe', NULL, 'Text', 'Distributed|Hybrid'),
+    ('Distributed Team', 'Team Size', 'Nombre de membres de l''équipe', 'People', 'Integer', '5..12'),
+    ('High-Security Context', 'Regulatory Constraints', 'Contraintes réglementaires ou de conformité', NULL, 'Boolean', 'Yes')
+) AS v(context, name, description, attributes, precision, value)
+JOIN Context c ON c.description LIKE v.context || ' (%'
+WHERE NOT EXISTS (
+    SELECT 1 FROM contextIndicator ci
+    WHERE ci.contextId = c.id AND LOWER(ci.name) = LOWER(v.name)
+);
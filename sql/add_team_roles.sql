@@ -0,0 +1,32 @@
+-- Team roles. Each membership carries the person's role in the team:
+-- owner, facilitator, member or observer, with exactly one owner per team.
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'teammember' AND column_name = 'role'
+    ) THEN
+        ALTER TABLE teamMember
+            ADD COLUMN role VARCHAR(16) NOT NULL DEFAULT 'member'
+            CHECK (role IN ('owner', 'facilitator', 'member', 'observer'));
+
+        -- Existing memberships start from the global role: Scrum Masters
+        -- facilitate and Guests observe
+        UPDATE teamMember tm SET role = CASE p.roleId WHEN 3 THEN 'facilitator' ELSE 'observer' END
+        FROM Person p
+        WHERE p.id = tm.personId AND p.roleId IN (3, 4);
+
+        -- Each team is owned by its most privileged member, the oldest account on ties
+        UPDATE teamMember tm SET role = 'owner'
+        FROM (
+            SELECT DISTINCT ON (m.teamId) m.teamId, m.personId
+            FROM teamMember m
+            JOIN Person p ON p.id = m.personId
+            ORDER BY m.teamId, p.roleId, p.id
+        ) owners
+        WHERE tm.teamId = owners.teamId AND tm.personId = owners.personId;
+    END IF;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_teammember_owner ON teamMember (teamId) WHERE role = 'owner';
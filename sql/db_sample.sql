@@ -28,7 +28,9 @@ DROP TABLE IF EXISTS
     practiceAssociationType, roleUseType, bfProfileStatus, roleType, methodType,
     practiceMethod, practiceVersionActivity, metricPractice, practiceAssociation,
     roleUse, workproductPractice, recommendationGoal, affinityPractice,
-    PracticeVersionUniverse, practiceDifficultyFlag
+    PracticeVersionUniverse, practiceDifficultyFlag, affinityJob, practiceVersionTransition,
+    tagVocabulary, Tag, tagSynonym, practiceTag, teamIteration, criterionCheck, criterionCheckHistory,
+    teamContextValue, accountToken, personalAccessToken
 CASCADE;
 
 /********************************************/
@@ -75,7 +77,8 @@ CREATE TABLE recommendationStatus (
 CREATE TABLE practiceAssociationType (
     id SERIAL PRIMARY KEY,
     name VARCHAR(255) UNIQUE NOT NULL,
-    description TEXT
+    description TEXT,
+    code VARCHAR(50) UNIQUE -- requires, complements, replaces, conflicts_with, specializes
 );
 
 CREATE TABLE roleUseType (
@@ -93,7 +96,8 @@ CREATE TABLE methodType (
 CREATE TABLE Team (
     id SERIAL PRIMARY KEY,
     name VARCHAR(255) NOT NULL,
-    description TEXT
+    description TEXT,
+    aggregationStrategy VARCHAR(50) NOT NULL DEFAULT 'average' -- Agrégation des affinités des membres
 );
 
 CREATE TABLE Goal (
@@ -110,7 +114,7 @@ CREATE TABLE Context (
 CREATE TABLE Activity (
     id SERIAL PRIMARY KEY,
     name VARCHAR(64),
-    description VARCHAR(64),
+    description VARCHAR(255),
     lastUpdate TIMESTAMP,
     lastUpdateById INTEGER -- Sera lié à Person(id) plus tard
 );
@@ -136,7 +140,7 @@ CREATE TABLE Metric (
     name VARCHAR(64),
     unit VARCHAR(64),
     scale VARCHAR(64),
-    formula VARCHAR(64),
+    formula VARCHAR(255),
     lastUpdate TIMESTAMP,
     lastUpdateById INTEGER -- Sera lié à Person(id) plus tard
 );
@@ -157,9 +161,13 @@ CREATE TABLE Person (
     id SERIAL PRIMARY KEY,
     name VARCHAR(255) NOT NULL,
     email VARCHAR(255) UNIQUE NOT NULL,
-    passwordHash VARCHAR(255) NOT NULL,
+    passwordHash VARCHAR(255), -- NULL pour les comptes créés par SSO
     roleId INTEGER REFERENCES roleType(id),
-    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    emailVerifiedAt TIMESTAMP, -- NULL tant que l'adresse n'est pas vérifiée
+    passwordChangedAt TIMESTAMP, -- Les sessions ouvertes avant cette date ne sont plus valides
+    oidcIssuer VARCHAR(255), -- Fournisseur OpenID Connect du compte lié
+    oidcSubject VARCHAR(255) -- Identifiant du compte chez ce fournisseur
 );
 
 -- Ajout des contraintes FK pour les tables de "Core" qui référencent Person
@@ -179,7 +187,7 @@ CREATE TABLE Practice (
     id SERIAL PRIMARY KEY,
     name VARCHAR(64) UNIQUE NOT NULL,
     objective VARCHAR(255),
-    description VARCHAR(255),
+    description TEXT,
     typeId INTEGER REFERENCES practiceType(id)
 );
 
@@ -196,6 +204,11 @@ CREATE TABLE affinitySurveyVersion (
     itemId INTEGER NOT NULL REFERENCES affinitySurvey(id),
     version INTEGER NOT NULL,
     versionNote VARCHAR(255),
+    trait CHAR(1) CHECK (trait IN ('O', 'C', 'E', 'A', 'N')), -- Trait Big Five mesuré par l'item
+    isReversed BOOLEAN NOT NULL DEFAULT FALSE, -- Item à score inversé
+    weight FLOAT NOT NULL DEFAULT 1.0 CHECK (weight > 0),
+    scaleMin INTEGER NOT NULL DEFAULT 1, -- Bornes de l'échelle de Likert
+    scaleMax INTEGER NOT NULL DEFAULT 5,
     UNIQUE(itemId, version)
 );
 
@@ -217,6 +230,7 @@ CREATE TABLE contextIndicator (
 CREATE TABLE teamMember (
     teamId INTEGER NOT NULL REFERENCES Team(id) ON DELETE CASCADE,
     personId INTEGER NOT NULL REFERENCES Person(id) ON DELETE CASCADE,
+    role VARCHAR(16) NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'facilitator', 'member', 'observer')),
     PRIMARY KEY (teamId, personId)
 );
 
@@ -239,7 +253,15 @@ CREATE TABLE practiceVersion (
     versionTimestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     changeDescription TEXT,
     lastUpdate TIMESTAMP,
-    lastUpdateById INTEGER REFERENCES Person(id)
+    lastUpdateById INTEGER REFERENCES Person(id),
+    status VARCHAR(20) NOT NULL DEFAULT 'Draft'
+        CHECK (status IN ('Draft', 'In Review', 'Published', 'Deprecated', 'Archived')), -- Cycle de vie de la version
+    submittedById INTEGER REFERENCES Person(id), -- Expert ayant soumis la version à relecture
+    submittedAt TIMESTAMP,
+    reviewedById INTEGER REFERENCES Person(id), -- Second expert ayant validé la publication
+    publishedAt TIMESTAMP,
+    forkedFromId INTEGER REFERENCES practiceVersion(id) ON DELETE SET NULL, -- Version publiée dont l'équipe a fait une copie
+    baseVersionId INTEGER REFERENCES practiceVersion(id) ON DELETE SET NULL -- Dernière version amont fusionnée dans la copie
 );
 
 CREATE TABLE methodVersion (
@@ -296,6 +318,8 @@ CREATE TABLE roleUse (
 CREATE TABLE workproductPractice (
     practiceVersionId INTEGER NOT NULL REFERENCES practiceVersion(id),
     workproductId INTEGER NOT NULL REFERENCES Workproduct(id),
+    -- Usage du workproduct par la pratique : produit, consommé ou modifié
+    usage VARCHAR(16) NOT NULL DEFAULT 'produces' CHECK (usage IN ('produces', 'consumes', 'modifies')),
     PRIMARY KEY (practiceVersionId, workproductId)
 );
 
@@ -303,8 +327,8 @@ CREATE TABLE Guideline (
     id SERIAL PRIMARY KEY,
     practiceVersionId INTEGER REFERENCES practiceVersion(id),
     methodVersionId INTEGER REFERENCES methodVersion(id),
-    name VARCHAR(64),
-    description VARCHAR(64),
+    name VARCHAR(255),
+    description VARCHAR(255),
     content VARCHAR(255),
     lastUpdate TIMESTAMP,
     lastUpdateById INTEGER REFERENCES Person(id),
@@ -314,7 +338,7 @@ CREATE TABLE Guideline (
 CREATE TABLE Pitfall (
     id SERIAL PRIMARY KEY,
     practiceVersionId INTEGER REFERENCES practiceVersion(id),
-    name VARCHAR(64),
+    name VARCHAR(255),
     description VARCHAR(255),
     content VARCHAR(255),
     lastUpdate TIMESTAMP,
@@ -324,8 +348,8 @@ CREATE TABLE Pitfall (
 CREATE TABLE Benefit (
     id SERIAL PRIMARY KEY,
     practiceVersionId INTEGER REFERENCES practiceVersion(id),
-    name VARCHAR(64),
-    description VARCHAR(64),
+    name VARCHAR(255),
+    description VARCHAR(255),
     content VARCHAR(255),
     lastUpdate TIMESTAMP,
     lastUpdateById INTEGER REFERENCES Person(id)
@@ -334,8 +358,8 @@ CREATE TABLE Benefit (
 CREATE TABLE completionCriteria (
     id SERIAL PRIMARY KEY,
     practiceVersionId INTEGER REFERENCES practiceVersion(id),
-    name VARCHAR(64),
-    description VARCHAR(64),
+    name VARCHAR(255),
+    description VARCHAR(255),
     lastUpdate TIMESTAMP,
     lastUpdateById INTEGER REFERENCES Person(id)
 );
@@ -358,6 +382,70 @@ CREATE TABLE personPracticeAffinity (
     affinity INTEGER NOT NULL
 );
 
+CREATE TABLE practiceTraitProfile (
+    practiceVersionId INTEGER NOT NULL REFERENCES practiceVersion(id) ON DELETE CASCADE,
+    trait CHAR(1) NOT NULL CHECK (trait IN ('O', 'C', 'E', 'A', 'N')), -- Trait Big Five sollicité
+    weight FLOAT NOT NULL CHECK (weight >= 0 AND weight <= 1), -- Intensité de la demande
+    direction SMALLINT NOT NULL DEFAULT 1 CHECK (direction IN (-1, 1)), -- +1 favorise, -1 pénalise
+    rationale VARCHAR(255),
+    lastUpdate TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    lastUpdateById INTEGER REFERENCES Person(id),
+    PRIMARY KEY (practiceVersionId, trait)
+);
+
+CREATE TABLE accountToken (
+    id SERIAL PRIMARY KEY,
+    personId INTEGER NOT NULL REFERENCES Person(id) ON DELETE CASCADE,
+    purpose VARCHAR(16) NOT NULL CHECK (purpose IN ('verify_email', 'reset_password')), -- Vérification d'adresse ou réinitialisation du mot de passe
+    tokenHash VARCHAR(64) NOT NULL UNIQUE, -- Empreinte SHA-256 du jeton envoyé par email
+    email VARCHAR(255) NOT NULL, -- Adresse à laquelle le lien a été envoyé
+    expiresAt TIMESTAMP NOT NULL,
+    usedAt TIMESTAMP, -- Un lien ne sert qu'une fois
+    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE personalAccessToken (
+    id SERIAL PRIMARY KEY,
+    personId INTEGER NOT NULL REFERENCES Person(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL, -- Nom choisi par l'utilisateur (script, outil)
+    tokenPrefix VARCHAR(16) NOT NULL, -- Début du jeton, pour le reconnaître dans la liste
+    tokenHash VARCHAR(64) NOT NULL UNIQUE, -- Empreinte SHA-256 du jeton
+    scopes TEXT[] NOT NULL, -- Portées accordées (practices:read, dashboard:read, feedback:write, expert:write)
+    expiresAt TIMESTAMP NOT NULL,
+    lastUsedAt TIMESTAMP,
+    revokedAt TIMESTAMP,
+    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE affinityJob (
+    id SERIAL PRIMARY KEY,
+    jobType VARCHAR(20) NOT NULL CHECK (jobType IN ('person', 'practice')), -- Recalcul d'une personne ou d'une version de pratique
+    targetId INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    maxAttempts INTEGER NOT NULL DEFAULT 3,
+    progress INTEGER NOT NULL DEFAULT 0 CHECK (progress >= 0 AND progress <= 100), -- Pourcentage d'avancement
+    processedCount INTEGER NOT NULL DEFAULT 0,
+    totalCount INTEGER,
+    lastError TEXT,
+    requestedById INTEGER REFERENCES Person(id) ON DELETE SET NULL,
+    runAfter TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP, -- Report en cas de nouvel essai
+    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    startedAt TIMESTAMP,
+    finishedAt TIMESTAMP,
+    updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE practiceVersionTransition (
+    id SERIAL PRIMARY KEY,
+    practiceVersionId INTEGER NOT NULL REFERENCES practiceVersion(id) ON DELETE CASCADE,
+    fromStatus VARCHAR(20) NOT NULL,
+    toStatus VARCHAR(20) NOT NULL,
+    personId INTEGER REFERENCES Person(id) ON DELETE SET NULL, -- Auteur du changement de statut
+    comment TEXT,
+    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 CREATE TABLE affinityPractice (
     id SERIAL PRIMARY KEY,
     itemId INTEGER NOT NULL REFERENCES affinitySurveyVersion(id),
@@ -399,6 +487,80 @@ CREATE TABLE recommendationGoal (
     PRIMARY KEY (recommendationId, goalId)
 );
 
+-- Tags des pratiques : un tag appartient à un vocabulaire géré par les experts (tag curé)
+-- ou à aucun (tag libre). Les synonymes renvoient vers un seul tag.
+CREATE TABLE tagVocabulary (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(64) NOT NULL,
+    description VARCHAR(255),
+    createdById INTEGER REFERENCES Person(id) ON DELETE SET NULL,
+    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE Tag (
+    id SERIAL PRIMARY KEY,
+    vocabularyId INTEGER REFERENCES tagVocabulary(id) ON DELETE SET NULL, -- NULL = tag libre
+    name VARCHAR(64) NOT NULL,
+    description VARCHAR(255),
+    createdById INTEGER REFERENCES Person(id) ON DELETE SET NULL,
+    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE tagSynonym (
+    id SERIAL PRIMARY KEY,
+    tagId INTEGER NOT NULL REFERENCES Tag(id) ON DELETE CASCADE,
+    name VARCHAR(64) NOT NULL
+);
+
+CREATE TABLE practiceTag (
+    practiceId INTEGER NOT NULL REFERENCES Practice(id) ON DELETE CASCADE,
+    tagId INTEGER NOT NULL REFERENCES Tag(id) ON DELETE CASCADE,
+    taggedById INTEGER REFERENCES Person(id) ON DELETE SET NULL,
+    taggedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (practiceId, tagId)
+);
+
+-- Cases cochées par les équipes, par itération, pour les critères de complétion de leurs pratiques actives
+CREATE TABLE teamIteration (
+    id SERIAL PRIMARY KEY,
+    teamId INTEGER NOT NULL REFERENCES Team(id) ON DELETE CASCADE,
+    name VARCHAR(64) NOT NULL, -- Sprint ou itération, unique par équipe
+    startDate DATE,
+    endDate DATE,
+    createdById INTEGER REFERENCES Person(id) ON DELETE SET NULL,
+    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (endDate IS NULL OR startDate IS NULL OR endDate >= startDate)
+);
+
+CREATE TABLE criterionCheck (
+    iterationId INTEGER NOT NULL REFERENCES teamIteration(id) ON DELETE CASCADE,
+    criterionId INTEGER NOT NULL REFERENCES completionCriteria(id) ON DELETE CASCADE,
+    practiceVersionId INTEGER NOT NULL REFERENCES practiceVersion(id) ON DELETE CASCADE,
+    checkedById INTEGER REFERENCES Person(id) ON DELETE SET NULL,
+    checkedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (iterationId, criterionId)
+);
+
+CREATE TABLE criterionCheckHistory (
+    id SERIAL PRIMARY KEY,
+    iterationId INTEGER NOT NULL REFERENCES teamIteration(id) ON DELETE CASCADE,
+    criterionId INTEGER REFERENCES completionCriteria(id) ON DELETE SET NULL,
+    practiceVersionId INTEGER NOT NULL REFERENCES practiceVersion(id) ON DELETE CASCADE,
+    criterionName VARCHAR(255) NOT NULL, -- Nom du critère au moment de la coche
+    checked BOOLEAN NOT NULL,
+    personId INTEGER REFERENCES Person(id) ON DELETE SET NULL,
+    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE teamContextValue (
+    teamId INTEGER NOT NULL REFERENCES Team(id) ON DELETE CASCADE,
+    indicatorName VARCHAR(64) NOT NULL, -- Nom d'un contextIndicator, comparé sans tenir compte de la casse
+    value VARCHAR(64) NOT NULL,
+    updatedById INTEGER REFERENCES Person(id) ON DELETE SET NULL,
+    updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (teamId, indicatorName)
+);
+
 
 /********************************************/
 /* 6. Création des Indexs additionnels    */
@@ -406,10 +568,205 @@ CREATE TABLE recommendationGoal (
 
 CREATE INDEX idx_practiceversion_practice ON practiceVersion (practiceId);
 CREATE INDEX idx_practiceversion_universe ON practiceVersion (universeId);
+CREATE INDEX idx_practiceversion_status ON practiceVersion (status);
+CREATE INDEX idx_practiceversion_forkedfrom ON practiceVersion (forkedFromId);
 CREATE INDEX idx_recommendation_practice ON Recommendation (practiceVersionId);
 CREATE INDEX idx_recommendation_context ON Recommendation (contextId);
+CREATE UNIQUE INDEX idx_practiceassociation_unique ON practiceAssociation (sourcePracticeVersionId, targetPracticeVersionId, typeId);
+CREATE INDEX idx_practiceassociation_target ON practiceAssociation (targetPracticeVersionId);
 CREATE INDEX idx_personpracticeaffinity_person ON personPracticeAffinity (personId);
 CREATE INDEX idx_personpracticeaffinity_practice ON personPracticeAffinity (practiceVersionId);
+CREATE UNIQUE INDEX idx_affinityjob_queued_target ON affinityJob (jobType, targetId) WHERE status = 'queued';
+CREATE INDEX idx_affinityjob_status_runafter ON affinityJob (status, runAfter);
+CREATE INDEX idx_affinityjob_target ON affinityJob (jobType, targetId);
+CREATE INDEX idx_practiceversiontransition_version ON practiceVersionTransition (practiceVersionId, createdAt);
+CREATE UNIQUE INDEX idx_tagvocabulary_name ON tagVocabulary (LOWER(name));
+CREATE UNIQUE INDEX idx_tag_name ON Tag (LOWER(name));
+CREATE INDEX idx_tag_vocabulary ON Tag (vocabularyId);
+CREATE UNIQUE INDEX idx_tagsynonym_name ON tagSynonym (LOWER(name));
+CREATE INDEX idx_practicetag_tag ON practiceTag (tagId);
+CREATE UNIQUE INDEX idx_teamiteration_name ON teamIteration (teamId, LOWER(name));
+CREATE INDEX idx_criterioncheck_version ON criterionCheck (practiceVersionId, iterationId);
+CREATE INDEX idx_criterioncheckhistory_iteration ON criterionCheckHistory (iterationId, createdAt);
+CREATE INDEX idx_criterioncheckhistory_version ON criterionCheckHistory (practiceVersionId, iterationId);
+CREATE UNIQUE INDEX idx_teammember_owner ON teamMember (teamId) WHERE role = 'owner';
+CREATE INDEX idx_accounttoken_person ON accountToken (personId, purpose);
+CREATE INDEX idx_personalaccesstoken_person ON personalAccessToken (personId);
+CREATE UNIQUE INDEX idx_person_oidc ON Person (oidcIssuer, oidcSubject) WHERE oidcSubject IS NOT NULL;
+
+-- Recherche plein texte : un document pondéré par version (nom, objectif et description,
+-- activités, produits et rôles, puis guides, bénéfices et pièges) et le vocabulaire des
+-- versions publiques (publiées, hors adaptations d'équipe), comparé par trigrammes aux
+-- termes mal orthographiés. Des déclencheurs tiennent les deux tables à jour.
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE TABLE practiceVersionSearch (
+    practiceVersionId INTEGER PRIMARY KEY REFERENCES practiceVersion(id) ON DELETE CASCADE,
+    practiceId INTEGER NOT NULL,
+    document TSVECTOR NOT NULL,
+    content TEXT NOT NULL,
+    words TSVECTOR NOT NULL,
+    isPublic BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+CREATE TABLE practiceSearchWord (
+    word TEXT PRIMARY KEY,
+    ndoc INTEGER NOT NULL
+);
+
+CREATE INDEX idx_practiceversionsearch_document ON practiceVersionSearch USING GIN (document);
+CREATE INDEX idx_practicesearchword_word ON practiceSearchWord USING GIN (word gin_trgm_ops);
+
+CREATE OR REPLACE FUNCTION refresh_practice_version_search(version_id INTEGER) RETURNS VOID AS $$
+BEGIN
+    INSERT INTO practiceVersionSearch (practiceVersionId, practiceId, document, content, words, isPublic)
+    SELECT pv.id,
+           pv.practiceId,
+           setweight(to_tsvector('english', COALESCE(p.name, '')), 'A') ||
+           setweight(to_tsvector('english', concat_ws(' ', p.objective, p.description)), 'B') ||
+           setweight(to_tsvector('english', COALESCE(c.structure, '')), 'C') ||
+           setweight(to_tsvector('english', COALESCE(c.resources, '')), 'D'),
+           concat_ws(' ', p.objective, p.description, c.structure, c.resources),
+           to_tsvector('simple', concat_ws(' ', p.name, p.objective, p.description, c.structure, c.resources)),
+           pv.status = 'Published' AND pv.forkedFromId IS NULL
+    FROM practiceVersion pv
+    JOIN Practice p ON pv.practiceId = p.id
+    CROSS JOIN LATERAL (
+      SELECT
+        concat_ws(' ',
+          (SELECT string_agg(concat_ws(' ', a.name, a.description), ' ' ORDER BY pva.sequence)
+           FROM practiceVersionActivity pva JOIN Activity a ON pva.activityId = a.id
+           WHERE pva.practiceVersionId = pv.id),
+          (SELECT string_agg(concat_ws(' ', w.name, w.description), ' ')
+           FROM workproductPractice wp JOIN Workproduct w ON wp.workproductId = w.id
+           WHERE wp.practiceVersionId = pv.id),
+          (SELECT string_agg(r.name, ' ')
+           FROM roleUse ru JOIN Role r ON ru.roleId = r.id
+           WHERE ru.practiceVersionId = pv.id)
+        ) AS structure,
+        concat_ws(' ',
+          (SELECT string_agg(concat_ws(' ', g.name, g.description), ' ') FROM Guideline g WHERE g.practiceVersionId = pv.id),
+          (SELECT string_agg(concat_ws(' ', b.name, b.description), ' ') FROM Benefit b WHERE b.practiceVersionId = pv.id),
+          (SELECT string_agg(concat_ws(' ', pf.name, pf.description), ' ') FROM Pitfall pf WHERE pf.practiceVersionId = pv.id)
+        ) AS resources
+    ) c
+    WHERE pv.id = version_id
+    ON CONFLICT (practiceVersionId) DO UPDATE
+    SET practiceId = EXCLUDED.practiceId,
+        document = EXCLUDED.document,
+        content = EXCLUDED.content,
+        words = EXCLUDED.words,
+        isPublic = EXCLUDED.isPublic
+    WHERE (practiceVersionSearch.practiceId, practiceVersionSearch.document, practiceVersionSearch.content,
+           practiceVersionSearch.words, practiceVersionSearch.isPublic)
+          IS DISTINCT FROM
+          (EXCLUDED.practiceId, EXCLUDED.document, EXCLUDED.content, EXCLUDED.words, EXCLUDED.isPublic);
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION practice_version_search_changed() RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_TABLE_NAME = 'practiceversion' THEN
+        PERFORM refresh_practice_version_search(NEW.id);
+        RETURN NULL;
+    END IF;
+
+    IF TG_OP <> 'INSERT' THEN
+        PERFORM refresh_practice_version_search(OLD.practiceVersionId);
+    END IF;
+    IF TG_OP = 'INSERT' OR (TG_OP = 'UPDATE' AND NEW.practiceVersionId IS DISTINCT FROM OLD.practiceVersionId) THEN
+        PERFORM refresh_practice_version_search(NEW.practiceVersionId);
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION practice_search_entity_changed() RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM refresh_practice_version_search(v.id)
+    FROM (
+        SELECT pv.id FROM practiceVersion pv
+        WHERE TG_TABLE_NAME = 'practice' AND pv.practiceId = NEW.id
+        UNION
+        SELECT pva.practiceVersionId FROM practiceVersionActivity pva
+        WHERE TG_TABLE_NAME = 'activity' AND pva.activityId = NEW.id
+        UNION
+        SELECT wp.practiceVersionId FROM workproductPractice wp
+        WHERE TG_TABLE_NAME = 'workproduct' AND wp.workproductId = NEW.id
+        UNION
+        SELECT ru.practiceVersionId FROM roleUse ru
+        WHERE TG_TABLE_NAME = 'role' AND ru.roleId = NEW.id
+    ) v;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION count_practice_search_words() RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP <> 'INSERT' AND OLD.isPublic THEN
+        UPDATE practiceSearchWord SET ndoc = ndoc - 1
+        WHERE word = ANY(tsvector_to_array(OLD.words));
+        DELETE FROM practiceSearchWord
+        WHERE word = ANY(tsvector_to_array(OLD.words)) AND ndoc <= 0;
+    END IF;
+    IF TG_OP <> 'DELETE' THEN
+        IF NEW.isPublic THEN
+            INSERT INTO practiceSearchWord (word, ndoc)
+            SELECT lexeme, 1 FROM unnest(tsvector_to_array(NEW.words)) AS lexeme
+            ON CONFLICT (word) DO UPDATE SET ndoc = practiceSearchWord.ndoc + 1;
+        END IF;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER practice_search_words
+AFTER INSERT OR UPDATE OR DELETE ON practiceVersionSearch
+FOR EACH ROW EXECUTE FUNCTION count_practice_search_words();
+
+CREATE TRIGGER practice_search_version
+AFTER INSERT OR UPDATE OF practiceId, status, forkedFromId ON practiceVersion
+FOR EACH ROW EXECUTE FUNCTION practice_version_search_changed();
+
+CREATE TRIGGER practice_search_content
+AFTER INSERT OR UPDATE OR DELETE ON practiceVersionActivity
+FOR EACH ROW EXECUTE FUNCTION practice_version_search_changed();
+
+CREATE TRIGGER practice_search_content
+AFTER INSERT OR UPDATE OR DELETE ON workproductPractice
+FOR EACH ROW EXECUTE FUNCTION practice_version_search_changed();
+
+CREATE TRIGGER practice_search_content
+AFTER INSERT OR UPDATE OR DELETE ON roleUse
+FOR EACH ROW EXECUTE FUNCTION practice_version_search_changed();
+
+CREATE TRIGGER practice_search_content
+AFTER INSERT OR UPDATE OR DELETE ON Guideline
+FOR EACH ROW EXECUTE FUNCTION practice_version_search_changed();
+
+CREATE TRIGGER practice_search_content
+AFTER INSERT OR UPDATE OR DELETE ON Benefit
+FOR EACH ROW EXECUTE FUNCTION practice_version_search_changed();
+
+CREATE TRIGGER practice_search_content
+AFTER INSERT OR UPDATE OR DELETE ON Pitfall
+FOR EACH ROW EXECUTE FUNCTION practice_version_search_changed();
+
+CREATE TRIGGER practice_search_entity
+AFTER UPDATE OF name, objective, description ON Practice
+FOR EACH ROW EXECUTE FUNCTION practice_search_entity_changed();
+
+CREATE TRIGGER practice_search_entity
+AFTER UPDATE OF name, description ON Activity
+FOR EACH ROW EXECUTE FUNCTION practice_search_entity_changed();
+
+CREATE TRIGGER practice_search_entity
+AFTER UPDATE OF name, description ON Workproduct
+FOR EACH ROW EXECUTE FUNCTION practice_search_entity_changed();
+
+CREATE TRIGGER practice_search_entity
+AFTER UPDATE OF name ON Role
+FOR EACH ROW EXECUTE FUNCTION practice_search_entity_changed();
 
 
 --==============================================================
@@ -459,12 +816,14 @@ INSERT INTO recommendationStatus (id, name, description) VALUES
 (DEFAULT, 'Accepted', 'Recommendation validée par un expert ou l''équipe'),
 (DEFAULT, 'Rejected', 'Recommendation refusée');
 
-INSERT INTO practiceAssociationType (id, name, description) VALUES
-(DEFAULT, 'Configuration', 'Une pratique configure ou est une étape de l''autre'),
-(DEFAULT, 'Equivalence', 'Pratiques similaires ou interchangeables (ex: Daily Scrum vs Daily Huddle)'),
-(DEFAULT, 'Dependency', 'Une pratique nécessite l''autre pour fonctionner'),
-(DEFAULT, 'Complementarity', 'Les pratiques se renforcent mutuellement (ex: TDD et CI)'),
-(DEFAULT, 'Exclusion', 'Pratiques mutuellement exclusives');
+INSERT INTO practiceAssociationType (id, name, description, code) VALUES
+(DEFAULT, 'Configuration', 'Une pratique configure ou est une étape de l''autre', NULL),
+(DEFAULT, 'Equivalence', 'Pratiques similaires ou interchangeables (ex: Daily Scrum vs Daily Huddle)', NULL),
+(DEFAULT, 'Dependency', 'Une pratique nécessite l''autre pour fonctionner', 'requires'),
+(DEFAULT, 'Complementarity', 'Les pratiques se renforcent mutuellement (ex: TDD et CI)', 'complements'),
+(DEFAULT, 'Exclusion', 'Pratiques mutuellement exclusives', 'conflicts_with'),
+(DEFAULT, 'Replacement', 'Une pratique remplace explicitement l''autre (alternative recommandée)', 'replaces'),
+(DEFAULT, 'Specialization', 'Une pratique est une variante spécialisée de l''autre', 'specializes');
 
 INSERT INTO roleUseType (id, name, description) VALUES
 (DEFAULT, 'Responsible (R)', 'Personne qui exécute la tâche'),
@@ -529,11 +888,11 @@ INSERT INTO affinitySurvey (id, content, description, comment) VALUES
 /* 2. Tables de Niveau 1                  */
 /********************************************/
 
-INSERT INTO Person (id, name, email, passwordHash, roleId, createdAt) VALUES
-(DEFAULT, 'Alice Expert', 'alice@apr.com', '...hashed_password_placeholder...', 1, '2024-01-10 09:00:00'),
-(DEFAULT, 'Bob Developer', 'bob@apr.com', '...hashed_password_placeholder...', 2, '2024-01-11 10:30:00'),
-(DEFAULT, 'Charlie ScrumMaster', 'charlie@apr.com', '...hashed_password_placeholder...', 3, '2024-01-12 11:00:00'),
-(DEFAULT, 'David Developer', 'david@apr.com', '...hashed_password_placeholder...', 2, '2024-01-13 14:00:00');
+INSERT INTO Person (id, name, email, passwordHash, roleId, createdAt, emailVerifiedAt) VALUES
+(DEFAULT, 'Alice Expert', 'alice@apr.com', '...hashed_password_placeholder...', 1, '2024-01-10 09:00:00', '2024-01-10 09:05:00'),
+(DEFAULT, 'Bob Developer', 'bob@apr.com', '...hashed_password_placeholder...', 2, '2024-01-11 10:30:00', '2024-01-11 10:42:00'),
+(DEFAULT, 'Charlie ScrumMaster', 'charlie@apr.com', '...hashed_password_placeholder...', 3, '2024-01-12 11:00:00', '2024-01-12 11:03:00'),
+(DEFAULT, 'David Developer', 'david@apr.com', '...hashed_password_placeholder...', 2, '2024-01-13 14:00:00', NULL); -- David n'a pas encore vérifié son adresse
 
 -- Mise à jour des FK 'lastUpdateById' maintenant que les Person existent (ex: Alice(1) a créé les items de base)
 UPDATE Activity SET lastUpdateById = 1, lastUpdate = '2024-01-10 09:00:00';
@@ -556,23 +915,30 @@ INSERT INTO Method (id, name, objective, description, typeId) VALUES
 (DEFAULT, 'Scrum', 'Gérer le développement de produits complexes', 'Un cadre de travail (framework) agile basé sur des sprints.', 1),
 (DEFAULT, 'Extreme Programming (XP)', 'Produire du logiciel de haute qualité', 'Ensemble de pratiques de développement logiciel.', 2);
 
-INSERT INTO affinitySurveyVersion (id, itemId, version, versionNote) VALUES
-(DEFAULT, 1, 1, 'Version initiale'),
-(DEFAULT, 2, 1, 'Version initiale'),
-(DEFAULT, 3, 1, 'Version initiale');
+INSERT INTO affinitySurveyVersion (id, itemId, version, versionNote, trait, isReversed, weight, scaleMin, scaleMax) VALUES
+(DEFAULT, 1, 1, 'Version initiale', 'C', FALSE, 1.0, 1, 5),
+(DEFAULT, 2, 1, 'Version initiale', 'E', FALSE, 1.0, 1, 5),
+(DEFAULT, 3, 1, 'Version initiale', 'N', TRUE, 1.0, 1, 5);
 
+-- value : condition que la valeur de l'équipe doit remplir ("> 4", "5..12", "Yes", "Distributed|Hybrid")
 INSERT INTO contextIndicator (id, contextId, name, description, attributes, precision, value) VALUES
-(DEFAULT, 3, 'Timezone Spread', 'Écart de fuseau horaire max dans l''équipe', 'Hours', 'Integer', '> 4');
+(DEFAULT, 3, 'Timezone Spread', 'Écart de fuseau horaire max dans l''équipe', 'Hours', 'Integer', '> 4'),
+(DEFAULT, 1, 'Codebase Age', 'Âge du code sur lequel l''équipe travaille', 'Years', 'Integer', '< 1'),
+(DEFAULT, 2, 'Codebase Age', 'Âge du code sur lequel l''équipe travaille', 'Years', 'Integer', '>= 5'),
+(DEFAULT, 2, 'Automated Test Coverage', 'Part du code couverte par des tests automatisés', 'Percent', 'Integer', '< 40'),
+(DEFAULT, 3, 'Team Distribution', 'Répartition géographique de l''équipe', NULL, 'Text', 'Distributed|Hybrid'),
+(DEFAULT, 3, 'Team Size', 'Nombre de membres de l''équipe', 'People', 'Integer', '5..12'),
+(DEFAULT, 4, 'Regulatory Constraints', 'Contraintes réglementaires ou de conformité', NULL, 'Boolean', 'Yes');
 
 /********************************************/
 /* 3. Tables de Niveau 2                  */
 /********************************************/
 
-INSERT INTO teamMember (teamId, personId) VALUES
-(1, 1), -- Alice est dans l'équipe "Global Reference"
-(2, 2), -- Bob est dans la "Team Phoenix"
-(2, 3), -- Charlie est dans la "Team Phoenix"
-(2, 4); -- David est dans la "Team Phoenix"
+INSERT INTO teamMember (teamId, personId, role) VALUES
+(1, 1, 'owner'), -- Alice possède l'équipe "Global Reference"
+(2, 2, 'owner'), -- Bob possède la "Team Phoenix"
+(2, 3, 'facilitator'), -- Charlie anime la "Team Phoenix"
+(2, 4, 'member'); -- David est dans la "Team Phoenix"
 
 INSERT INTO bfProfile (id, personId, statusId, o, c, e, a, n) VALUES
 (DEFAULT, 1, 3, 0.85, 0.70, 0.60, 0.75, 0.30), -- Alice (Expert) : Ouverte, Consciencieuse, peu Névrosée
@@ -580,12 +946,12 @@ INSERT INTO bfProfile (id, personId, statusId, o, c, e, a, n) VALUES
 (DEFAULT, 3, 3, 0.75, 0.65, 0.85, 0.80, 0.20), -- Charlie (SM) : Très Extraverti, Agréable, stable
 (DEFAULT, 4, 1, null, null, null, null, null); -- David (Developer) : Profil en attente
 
-INSERT INTO practiceVersion (id, practiceId, universeId, versionName, changeDescription, lastUpdateById) VALUES
-(DEFAULT, 1, 1, 'v1.0 - Standard', 'Version initiale globale', 1), -- PV 1: Daily Stand-up (Global)
-(DEFAULT, 2, 1, 'v1.0 - Standard', 'Version initiale globale', 1), -- PV 2: TDD (Global)
-(DEFAULT, 3, 1, 'v1.0 - Standard', 'Version initiale globale', 1), -- PV 3: Retrospective (Global)
-(DEFAULT, 4, 1, 'v1.0 - Standard', 'Version initiale globale', 1), -- PV 4: Pair Programming (Global)
-(DEFAULT, 1, 2, 'v1.1 - Phoenix Adapt.', 'Adaptation pour l''équipe Phoenix (virtuel)', 3); -- PV 5: Daily Stand-up (Team Phoenix)
+INSERT INTO practiceVersion (id, practiceId, universeId, versionName, changeDescription, lastUpdateById, status, publishedAt) VALUES
+(DEFAULT, 1, 1, 'v1.0 - Standard', 'Version initiale globale', 1, 'Published', CURRENT_TIMESTAMP), -- PV 1: Daily Stand-up (Global)
+(DEFAULT, 2, 1, 'v1.0 - Standard', 'Version initiale globale', 1, 'Published', CURRENT_TIMESTAMP), -- PV 2: TDD (Global)
+(DEFAULT, 3, 1, 'v1.0 - Standard', 'Version initiale globale', 1, 'Published', CURRENT_TIMESTAMP), -- PV 3: Retrospective (Global)
+(DEFAULT, 4, 1, 'v1.0 - Standard', 'Version initiale globale', 1, 'Published', CURRENT_TIMESTAMP), -- PV 4: Pair Programming (Global)
+(DEFAULT, 1, 2, 'v1.1 - Phoenix Adapt.', 'Adaptation pour l''équipe Phoenix (virtuel)', 3, 'Published', CURRENT_TIMESTAMP); -- PV 5: Daily Stand-up (Team Phoenix)
 
 INSERT INTO methodVersion (id, methodId, universeId, versionName, changeDescription, lastUpdateById) VALUES
 (DEFAULT, 1, 1, 'Scrum Guide 2020', 'Version globale basée sur le guide officiel', 1), -- MV 1: Scrum (Global)
@@ -634,11 +1000,12 @@ INSERT INTO roleUse (practiceVersionId, roleId, typeId) VALUES
 (1, 4, 2), -- Daily (PV 1) -> Scrum Master (Role 4) -> Accountable (A)
 (1, 1, 4); -- Daily (PV 1) -> Product Owner (Role 1) -> Informed (I)
 
--- Workproducts pour TDD (PV 2)
-INSERT INTO workproductPractice (practiceVersionId, workproductId) VALUES
-(2, 2), -- TDD (PV 2) -> Source Code (WP 2)
-(2, 3), -- TDD (PV 2) -> Test Case (WP 3)
-(2, 5); -- TDD (PV 2) -> Definition of Done (WP 5)
+-- Workproducts pour TDD (PV 2) et Daily (PV 1)
+INSERT INTO workproductPractice (practiceVersionId, workproductId, usage) VALUES
+(2, 2, 'produces'), -- TDD (PV 2) -> Source Code (WP 2)
+(2, 3, 'produces'), -- TDD (PV 2) -> Test Case (WP 3)
+(2, 5, 'consumes'), -- TDD (PV 2) -> Definition of Done (WP 5)
+(1, 4, 'modifies'); -- Daily (PV 1) -> Sprint Backlog (WP 4)
 
 -- Guidelines, Pitfalls, Benefits
 INSERT INTO Guideline (id, practiceVersionId, name, description, content, lastUpdateById, typeId) VALUES
@@ -651,7 +1018,9 @@ INSERT INTO Benefit (id, practiceVersionId, name, description, content, lastUpda
 (DEFAULT, 2, 'Reduced Bug Count', 'Moins de régressions', 'Les tests couvrent le code avant son écriture.', 1);
 
 INSERT INTO completionCriteria (id, practiceVersionId, name, description, lastUpdateById) VALUES
-(DEFAULT, 1, '15 min max', 'Le daily ne doit pas dépasser 15 minutes', 1);
+(DEFAULT, 1, '15 min max', 'Le daily ne doit pas dépasser 15 minutes', 1),
+(DEFAULT, 2, 'Tests first', 'Chaque nouvelle fonctionnalité commence par un test qui échoue', 1),
+(DEFAULT, 3, 'Action items', 'La rétrospective produit au moins une action d''amélioration', 1);
 
 -- Recommandations
 INSERT INTO Recommendation (id, practiceVersionId, contextId, description, typeId, statusId, lastUpdateById) VALUES
@@ -663,6 +1032,23 @@ INSERT INTO personPracticeAffinity (id, personId, practiceVersionId, affinity) V
 (DEFAULT, 2, 4, 25), -- Bob (Person 2) a une faible affinité (25/100) avec Pair Programming (PV 4)
 (DEFAULT, 3, 4, 90); -- Charlie (Person 3) a une forte affinité (90/100) avec Pair Programming (PV 4)
 
+-- Profils de demande en traits de personnalité (rédigés par les experts)
+INSERT INTO practiceTraitProfile (practiceVersionId, trait, weight, direction, rationale, lastUpdateById) VALUES
+(1, 'E', 0.25, 1, 'Prise de parole quotidienne devant l''équipe', 1), -- Daily (PV 1)
+(1, 'A', 0.20, 1, 'Entraide pour lever les obstacles', 1),
+(1, 'N', 0.25, -1, 'Exposition quotidienne des difficultés', 1),
+(2, 'C', 0.30, 1, 'Discipline du cycle Red-Green-Refactor', 1), -- TDD (PV 2)
+(2, 'N', 0.25, -1, 'Rythme de travail stable et prévisible', 1),
+(3, 'E', 0.25, 1, 'Discussion ouverte en groupe', 1), -- Rétrospective (PV 3)
+(3, 'A', 0.20, 1, 'Feedback bienveillant entre pairs', 1),
+(3, 'O', 0.20, 1, 'Recherche de nouvelles façons de travailler', 1),
+(4, 'E', 0.25, 1, 'Collaboration continue à deux', 1), -- Pair Programming (PV 4)
+(4, 'A', 0.20, 1, 'Partage du clavier et des décisions', 1),
+(4, 'C', 0.15, 1, 'Respect des standards de code', 1),
+(5, 'E', 0.25, 1, 'Prise de parole quotidienne devant l''équipe', 3), -- Daily Phoenix (PV 5)
+(5, 'A', 0.20, 1, 'Entraide pour lever les obstacles', 3),
+(5, 'C', 0.15, 1, 'Discipline de mise à jour du tableau virtuel', 3);
+
 -- Lien entre Items de questionnaire et Pratiques
 INSERT INTO affinityPractice (id, itemId, practiceVersionId) VALUES
 (DEFAULT, 1, 2), -- Item 1 (tâches claires) -> TDD (PV 2)
@@ -687,7 +1073,49 @@ INSERT INTO PracticeVersionUniverse (practiceVersionId, universeId, isActive) VA
 -- Associations entre pratiques
 INSERT INTO practiceAssociation (id, sourcePracticeVersionId, targetPracticeVersionId, typeId) VALUES
 (DEFAULT, 2, 4, 4), -- TDD (PV 2) est 'Complémentaire' (Type 4) avec Pair Programming (PV 4)
-(DEFAULT, 1, 3, 3); -- Daily Stand-up (PV 1) a une 'Dépendance' (Type 3) sur la Retrospective (PV 3) (pour s'améliorer)
+(DEFAULT, 1, 3, 3), -- Daily Stand-up (PV 1) a une 'Dépendance' (Type 3) sur la Retrospective (PV 3) (pour s'améliorer)
+(DEFAULT, 5, 1, 7); -- Daily Phoenix (PV 5) est une 'Spécialisation' (Type 7) du Daily Stand-up (PV 1)
+
+-- Vocabulaire de tags et tags des pratiques
+INSERT INTO tagVocabulary (id, name, description) VALUES
+(DEFAULT, 'Practice Area', 'Domaine de la pratique');
+
+INSERT INTO Tag (id, vocabularyId, name, description) VALUES
+(DEFAULT, 1, 'Ceremony', 'Événement récurrent de l''équipe'),
+(DEFAULT, 1, 'Engineering', 'Pratique technique de développement'),
+(DEFAULT, NULL, 'Remote Friendly', NULL); -- Tag libre
+
+INSERT INTO tagSynonym (id, tagId, name) VALUES
+(DEFAULT, 1, 'Meeting'),
+(DEFAULT, 2, 'Technical Practice');
+
+INSERT INTO practiceTag (practiceId, tagId) VALUES
+(1, 1), -- Daily Stand-up : Ceremony
+(1, 3), -- Daily Stand-up : Remote Friendly
+(2, 2), -- TDD : Engineering
+(3, 1), -- Retrospective : Ceremony
+(4, 2); -- Pair Programming : Engineering
+
+-- Itérations de l'équipe Phoenix et critères cochés
+INSERT INTO teamIteration (id, teamId, name, startDate, endDate, createdById) VALUES
+(DEFAULT, 2, 'Sprint 1', '2024-01-08', '2024-01-19', 1),
+(DEFAULT, 2, 'Sprint 2', '2024-01-22', '2024-02-02', 1);
+
+INSERT INTO criterionCheck (iterationId, criterionId, practiceVersionId, checkedById) VALUES
+(1, 2, 2, 1), -- Sprint 1 : TDD a respecté "Tests first"
+(1, 3, 3, 1), -- Sprint 1 : la rétro a produit des actions
+(2, 3, 3, 1); -- Sprint 2 : la rétro a produit des actions, TDD non
+
+INSERT INTO criterionCheckHistory (iterationId, criterionId, practiceVersionId, criterionName, checked, personId) VALUES
+(1, 2, 2, 'Tests first', true, 1),
+(1, 3, 3, 'Action items', true, 1),
+(2, 3, 3, 'Action items', true, 1);
+
+-- Contexte de l'équipe Phoenix : répartie sur plusieurs fuseaux, sans contrainte réglementaire
+INSERT INTO teamContextValue (teamId, indicatorName, value, updatedById) VALUES
+(2, 'Team Distribution', 'Distributed', 2),
+(2, 'Timezone Spread', '6', 2),
+(2, 'Regulatory Constraints', 'No', 2);
 
 -- Lier les Recommandations aux Objectifs (Goals)
 INSERT INTO recommendationGoal (recommendationId, goalId) VALUES
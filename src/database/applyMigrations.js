@@ -30,6 +30,166 @@ async function applyMigrations() {
       }
     }
     
+    // Apply survey scoring keys migration
+    const scoringKeysMigration = fs.readFileSync(
+      path.join(__dirname, '../../sql/add_survey_scoring_keys.sql'),
+      'utf8'
+    );
+
+    await pool.query(scoringKeysMigration);
+    console.log('✓ affinitySurveyVersion scoring keys migration applied');
+
+    // Apply practice trait profile migration
+    const traitProfileMigration = fs.readFileSync(
+      path.join(__dirname, '../../sql/add_practice_trait_profile.sql'),
+      'utf8'
+    );
+
+    await pool.query(traitProfileMigration);
+    console.log('✓ practiceTraitProfile table migration applied');
+
+    // Apply practice association types migration
+    const associationTypesMigration = fs.readFileSync(
+      path.join(__dirname, '../../sql/add_practice_association_types.sql'),
+      'utf8'
+    );
+
+    await pool.query(associationTypesMigration);
+    console.log('✓ practiceAssociationType codes migration applied');
+
+    // Apply affinity job queue migration
+    const affinityJobMigration = fs.readFileSync(
+      path.join(__dirname, '../../sql/add_affinity_job_queue.sql'),
+      'utf8'
+    );
+
+    await pool.query(affinityJobMigration);
+    console.log('✓ affinityJob table migration applied');
+
+    // Apply team aggregation strategy migration
+    const aggregationStrategyMigration = fs.readFileSync(
+      path.join(__dirname, '../../sql/add_team_aggregation_strategy.sql'),
+      'utf8'
+    );
+
+    await pool.query(aggregationStrategyMigration);
+    console.log('✓ Team aggregationStrategy migration applied');
+
+    // Apply practice version lifecycle migration
+    const lifecycleMigration = fs.readFileSync(
+      path.join(__dirname, '../../sql/add_practice_version_lifecycle.sql'),
+      'utf8'
+    );
+
+    await pool.query(lifecycleMigration);
+    console.log('✓ practiceVersion lifecycle migration applied');
+
+    // Apply practice version forks migration
+    const forksMigration = fs.readFileSync(
+      path.join(__dirname, '../../sql/add_practice_version_forks.sql'),
+      'utf8'
+    );
+
+    await pool.query(forksMigration);
+    console.log('✓ practiceVersion forks migration applied');
+
+    // Apply practice catalogue import migration
+    const catalogueImportMigration = fs.readFileSync(
+      path.join(__dirname, '../../sql/add_practice_catalogue_import.sql'),
+      'utf8'
+    );
+
+    await pool.query(catalogueImportMigration);
+    console.log('✓ practice catalogue column sizes migration applied');
+
+    const practiceTagsMigration = fs.readFileSync(
+      path.join(__dirname, '../../sql/add_practice_tags.sql'),
+      'utf8'
+    );
+
+    await pool.query(practiceTagsMigration);
+    console.log('✓ practice tags migration applied');
+
+    const practiceSearchMigration = fs.readFileSync(
+      path.join(__dirname, '../../sql/add_practice_search.sql'),
+      'utf8'
+    );
+
+    await pool.query(practiceSearchMigration);
+    console.log('✓ practice search migration applied');
+
+    const completionTrackingMigration = fs.readFileSync(
+      path.join(__dirname, '../../sql/add_completion_tracking.sql'),
+      'utf8'
+    );
+
+    await pool.query(completionTrackingMigration);
+    console.log('✓ completion tracking migration applied');
+
+    const teamContextMigration = fs.readFileSync(
+      path.join(__dirname, '../../sql/add_team_context.sql'),
+      'utf8'
+    );
+
+    await pool.query(teamContextMigration);
+    console.log('✓ team context profile migration applied');
+
+    const methodAnalysisMigration = fs.readFileSync(
+      path.join(__dirname, '../../sql/add_method_analysis.sql'),
+      'utf8'
+    );
+
+    await pool.query(methodAnalysisMigration);
+    console.log('✓ method analysis migration applied');
+
+    const teamInvitationsMigration = fs.readFileSync(
+      path.join(__dirname, '../../sql/add_team_invitations.sql'),
+      'utf8'
+    );
+
+    await pool.query(teamInvitationsMigration);
+    console.log('✓ team invitations migration applied');
+
+    const invitationTokensMigration = fs.readFileSync(
+      path.join(__dirname, '../../sql/add_invitation_tokens.sql'),
+      'utf8'
+    );
+
+    await pool.query(invitationTokensMigration);
+    console.log('✓ invitation tokens migration applied');
+
+    const teamRolesMigration = fs.readFileSync(
+      path.join(__dirname, '../../sql/add_team_roles.sql'),
+      'utf8'
+    );
+
+    await pool.query(teamRolesMigration);
+    console.log('✓ team roles migration applied');
+
+    const accountRecoveryMigration = fs.readFileSync(
+      path.join(__dirname, '../../sql/add_account_recovery.sql'),
+      'utf8'
+    );
+
+    await pool.query(accountRecoveryMigration);
+    console.log('✓ account recovery migration applied');
+
+    const personalAccessTokensMigration = fs.readFileSync(
+      path.join(__dirname, '../../sql/add_personal_access_tokens.sql'),
+      'utf8'
+    );
+
+    await pool.query(personalAccessTokensMigration);
+    console.log('✓ personal access tokens migration applied');
+
+    const oidcLoginMigration = fs.readFileSync(
+      path.join(__dirname, '../../sql/add_oidc_login.sql'),
+      'utf8'
+    );
+
+    await pool.query(oidcLoginMigration);
+    console.log('✓ OIDC login migration applied');
+
     // Apply performance indexes
     try {
       const performanceIndexes = fs.readFileSync(
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const PracticeCatalogueService = require('../services/practiceCatalogueService');
+
+// Usage: node src/database/exportPractices.js [--output=practices.json] [--method=Scrum]
+//        [--type="Planning Practice"] [--goal=Transparency] [--universe=1]
+function parseArguments(argv) {
+  const options = { filters: {} };
+
+  argv.forEach(argument => {
+    const [flag, value] = argument.split(/=(.*)/s);
+    if (flag === '--output') {
+      options.output = path.resolve(value);
+    } else if (flag === '--method') {
+      options.filters.method = value;
+    } else if (flag === '--type') {
+      options.filters.type = value;
+    } else if (flag === '--goal') {
+      options.filters.goal = value;
+    } else if (flag === '--universe') {
+      options.filters.universeId = parseInt(value);
+    } else {
+      throw new Error(`Unknown option ${flag}`);
+    }
+  });
+
+  return options;
+}
+
+async function exportPractices(options) {
+  const { practices, warnings } = await PracticeCatalogueService.exportPractices(options.filters);
+  const content = PracticeCatalogueService.formatCatalogue(practices);
+
+  warnings.forEach(warning => console.warn(`! ${warning.practice}: ${warning.message}`));
+  if (options.output) {
+    fs.writeFileSync(options.output, content);
+    console.log(`Exported ${practices.length} practices to ${options.output}`);
+  } else {
+    process.stdout.write(content);
+  }
+
+  return practices;
+}
+
+// Run export if called directly
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArguments(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  exportPractices(options)
+    .then(() => {
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Export failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { exportPractices, parseArguments };
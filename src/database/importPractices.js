@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const PracticeCatalogueService = require('../services/practiceCatalogueService');
+
+const DEFAULT_FILES = [
+  path.join(__dirname, '../../practices_reference_v2.json'),
+  path.join(__dirname, '../../extra_practices_reference_v2.json')
+];
+
+// Usage: node src/database/importPractices.js [files...] [--dry-run] [--universe=1]
+//        [--version-name="Reference v2"] [--status=Published] [--person=1]
+// Run by the operator to load the reference catalogue, so versions are published and kept in sync
+function parseArguments(argv) {
+  const options = { files: [], dryRun: false, status: 'Published', updateReviewed: true };
+
+  argv.forEach(argument => {
+    const [flag, value] = argument.split(/=(.*)/s);
+    if (flag === '--dry-run') {
+      options.dryRun = true;
+    } else if (flag === '--universe') {
+      options.universeId = parseInt(value);
+    } else if (flag === '--version-name') {
+      options.versionName = value;
+    } else if (flag === '--status') {
+      options.status = value;
+    } else if (flag === '--person') {
+      options.personId = parseInt(value);
+    } else if (flag.startsWith('--')) {
+      throw new Error(`Unknown option ${flag}`);
+    } else {
+      options.files.push(path.resolve(argument));
+    }
+  });
+
+  if (options.files.length === 0) {
+    options.files = DEFAULT_FILES;
+  }
+
+  return options;
+}
+
+async function importPractices(options) {
+  const files = options.files.map(file => ({
+    name: path.basename(file),
+    content: fs.readFileSync(file, 'utf8')
+  }));
+
+  const { practices, errors } = PracticeCatalogueService.parseFiles(files);
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(PracticeCatalogueService.formatError(error)));
+    throw new Error(`${errors.length} validation error(s); nothing was imported`);
+  }
+
+  console.log(`${options.dryRun ? 'Dry run: checking' : 'Importing'} ${practices.length} practices...`);
+  const report = await PracticeCatalogueService.importPractices(practices, options);
+
+  report.practices
+    .filter(practice => practice.action !== 'unchanged')
+    .forEach(practice => {
+      console.log(`${practice.action === 'created' ? '+' : '~'} ${practice.name}`);
+      if (options.dryRun) {
+        practice.changes.forEach(change => {
+          console.log(`    ${change.action} ${change.entity}: ${change.name}`);
+        });
+      }
+    });
+  report.warnings.forEach(warning => console.warn(`! ${warning.practice}: ${warning.message}`));
+
+  const { summary } = report;
+  console.log(`${summary.created} created, ${summary.updated} updated, ${summary.unchanged} unchanged; ` +
+    `${summary.referencesCreated} reference rows created, ${summary.referencesUpdated} filled in`);
+  if (options.dryRun) {
+    console.log('Dry run: no changes were saved');
+  }
+
+  return report;
+}
+
+// Run import if called directly
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArguments(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  importPractices(options)
+    .then(() => {
+      console.log('Import script completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Import failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { importPractices, parseArguments };
@@ -1,10 +1,55 @@
 const Person = require('../models/Person');
+const Team = require('../models/Team');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
 
 /**
- * Middleware to check if user is authenticated
+ * Authenticate a request carrying "Authorization: Bearer <personal access token>"
+ * The token's scopes must open the route; the person's roles are checked as usual
+ */
+const authenticateToken = async (token, req, res, next) => {
+  const accessToken = await PersonalAccessToken.authenticate(token);
+  if (!accessToken) {
+    return res.status(401).json({ 
+      success: false, 
+      error: 'Invalid access token',
+      message: 'The access token is unknown, revoked or expired'
+    });
+  }
+
+  const path = (req.originalUrl || req.url).split('?')[0];
+  if (!PersonalAccessToken.allows(accessToken.scopes, req.method, path)) {
+    return res.status(403).json({ 
+      success: false, 
+      error: 'Insufficient token scope',
+      current: accessToken.scopes,
+      required: PersonalAccessToken.scopesFor(req.method, path)
+    });
+  }
+
+  const user = await Person.findById(accessToken.personId);
+  if (!user) {
+    return res.status(401).json({ 
+      success: false, 
+      error: 'User not found',
+      message: 'Token user no longer exists'
+    });
+  }
+
+  req.user = user;
+  req.accessToken = accessToken;
+  next();
+};
+
+/**
+ * Middleware to check if user is authenticated, by session or personal access token
  */
 const requireAuth = async (req, res, next) => {
   try {
+    const bearer = /^Bearer\s+(\S+)$/i.exec((req.headers && req.headers.authorization) || '');
+    if (bearer) {
+      return await authenticateToken(bearer[1], req, res, next);
+    }
+
     // Check if session exists and has userId
     if (!req.session || !req.session.userId) {
       return res.status(401).json({ 
@@ -26,6 +71,16 @@ const requireAuth = async (req, res, next) => {
       });
     }
 
+    // Sessions opened before the last password change are logged out
+    if (!user.isSessionCurrent(req.session.authenticatedAt)) {
+      req.session.destroy();
+      return res.status(401).json({ 
+        success: false, 
+        error: 'Session expired',
+        message: 'Password was changed; please log in again'
+      });
+    }
+
     // Verify session role matches current user role
     if (req.session.userRole && req.session.userRole !== user.roleId) {
       // Update session with current role
@@ -146,11 +201,60 @@ const requireTeamManager = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to check the user's role in the team of the :teamId route parameter
+ * Team roles: owner > facilitator > member > observer (see Team.PERMISSIONS)
+ * Attaches the team to req.team and the user's role in it to req.teamRole
+ * @param {string} permission - Key of Team.PERMISSIONS (view, contribute, manage, manageMembers)
+ */
+const requireTeamPermission = (permission) => {
+  if (!Team.PERMISSIONS[permission]) {
+    throw new Error(`Unknown team permission: ${permission}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+      }
+
+      const teamId = parseInt(req.params.teamId);
+      const team = Number.isInteger(teamId) ? await Team.findById(teamId) : null;
+      if (!team) {
+        return res.status(404).json({ success: false, error: 'Team not found' });
+      }
+
+      const teamRole = await team.getRole(req.user.id);
+      if (!teamRole) {
+        return res.status(403).json({ success: false, error: 'Access denied - not a team member' });
+      }
+
+      if (!Team.can(teamRole, permission)) {
+        return res.status(403).json({ 
+          success: false, 
+          error: 'Insufficient team permissions',
+          current: teamRole,
+          required: Team.PERMISSIONS[permission].join(' or ')
+        });
+      }
+
+      team.role = teamRole;
+      req.team = team;
+      req.teamRole = teamRole;
+      next();
+    } catch (error) {
+      console.error('Team permission middleware error:', error);
+      res.status(500).json({ success: false, error: 'Authorization failed' });
+    }
+  };
+};
+
 module.exports = {
   requireAuth,
   requireRole,
   requireExpert,
   requireTeamMember,
   requireTeamManager,
+  requireTeamPermission,
   getRoleName
 };
\ No newline at end of file
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+
+const PURPOSES = ['verify_email', 'reset_password'];
+
+/**
+ * Single-use tokens sent by email to verify an address or reset a password.
+ * Only the SHA-256 hash of a token is stored; the token itself only exists
+ * in the link that was sent.
+ */
+class AccountToken {
+  constructor(data) {
+    this.id = data.id;
+    this.personId = data.personid || data.personId;
+    this.purpose = data.purpose;
+    this.tokenHash = data.tokenhash || data.tokenHash;
+    this.email = data.email;
+    this.expiresAt = data.expiresat || data.expiresAt;
+    this.usedAt = data.usedat || data.usedAt || null;
+    this.createdAt = data.createdat || data.createdAt;
+  }
+
+  /**
+   * Hash of a token as stored in the database
+   * @param {string} token - Token from an emailed link
+   * @returns {string} SHA-256 hex digest
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Create a token for a person, replacing the unused ones they had for the same purpose
+   * @param {Object} params - {personId, purpose, email, expiresAt}
+   * @returns {Object} {token, accountToken}; the token goes in the emailed link
+   */
+  static async create({ personId, purpose, email, expiresAt }) {
+    if (!PURPOSES.includes(purpose)) {
+      throw new Error(`Invalid token purpose: ${purpose}`);
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        `UPDATE accountToken SET usedAt = CURRENT_TIMESTAMP
+         WHERE personId = $1 AND purpose = $2 AND usedAt IS NULL`,
+        [personId, purpose]
+      );
+
+      const result = await client.query(
+        `INSERT INTO accountToken (personId, purpose, tokenHash, email, expiresAt)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [personId, purpose, this.hashToken(token), email, expiresAt]
+      );
+
+      await client.query('COMMIT');
+      return { token, accountToken: new AccountToken(result.rows[0]) };
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Use a token: it must exist for this purpose, be unused and unexpired
+   * @param {string} token - Token from an emailed link
+   * @param {string} purpose - verify_email or reset_password
+   * @returns {AccountToken|null} The used token, or null if it cannot be used
+   */
+  static async consume(token, purpose) {
+    if (!token) {
+      return null;
+    }
+
+    const result = await pool.query(
+      `UPDATE accountToken SET usedAt = CURRENT_TIMESTAMP
+       WHERE tokenHash = $1 AND purpose = $2 AND usedAt IS NULL AND expiresAt > CURRENT_TIMESTAMP
+       RETURNING *`,
+      [this.hashToken(token), purpose]
+    );
+
+    return result.rows.length > 0 ? new AccountToken(result.rows[0]) : null;
+  }
+
+  /**
+   * Void a person's unused tokens for a purpose
+   * @param {number} personId - The person ID
+   * @param {string} purpose - verify_email or reset_password
+   * @returns {number} Number of tokens voided
+   */
+  static async invalidate(personId, purpose) {
+    const result = await pool.query(
+      `UPDATE accountToken SET usedAt = CURRENT_TIMESTAMP
+       WHERE personId = $1 AND purpose = $2 AND usedAt IS NULL`,
+      [personId, purpose]
+    );
+
+    return result.rowCount;
+  }
+}
+
+AccountToken.PURPOSES = PURPOSES;
+
+module.exports = AccountToken;
@@ -0,0 +1,236 @@
+const pool = require('../config/database');
+
+const JOB_TYPES = ['person', 'practice'];
+
+class AffinityJob {
+  constructor(data) {
+    this.id = data.id;
+    this.jobType = data.jobtype || data.jobType;
+    this.targetId = data.targetid || data.targetId;
+    this.status = data.status;
+    this.attempts = data.attempts;
+    this.maxAttempts = data.maxattempts || data.maxAttempts;
+    this.progress = data.progress;
+    this.processedCount = data.processedcount || data.processedCount || 0;
+    this.totalCount = data.totalcount || data.totalCount || null;
+    this.lastError = data.lasterror || data.lastError || null;
+    this.requestedById = data.requestedbyid || data.requestedById || null;
+    this.runAfter = data.runafter || data.runAfter;
+    this.createdAt = data.createdat || data.createdAt;
+    this.startedAt = data.startedat || data.startedAt || null;
+    this.finishedAt = data.finishedat || data.finishedAt || null;
+    this.updatedAt = data.updatedat || data.updatedAt;
+  }
+
+  // Queue a job, or return the job already waiting for the same target
+  static async enqueue(jobType, targetId, requestedById = null) {
+    if (!JOB_TYPES.includes(jobType)) {
+      throw new Error(`Job type must be one of ${JOB_TYPES.join(', ')}`);
+    }
+    if (!targetId) {
+      throw new Error('Target ID is required');
+    }
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO affinityJob (jobType, targetId, requestedById)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (jobType, targetId) WHERE status = 'queued'
+         DO UPDATE SET updatedAt = CURRENT_TIMESTAMP,
+                       requestedById = COALESCE(EXCLUDED.requestedById, affinityJob.requestedById)
+         RETURNING *`,
+        [jobType, targetId, requestedById]
+      );
+
+      return new AffinityJob(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23503') { // Foreign key constraint violation
+        throw new Error('Invalid requester ID');
+      }
+      throw error;
+    }
+  }
+
+  // Claim the oldest due job whose target is not already being recalculated.
+  // SKIP LOCKED lets several workers poll the same queue.
+  static async claimNext() {
+    const result = await pool.query(
+      `UPDATE affinityJob
+       SET status = 'running', attempts = attempts + 1, startedAt = CURRENT_TIMESTAMP,
+           updatedAt = CURRENT_TIMESTAMP, lastError = NULL
+       WHERE id = (
+         SELECT j.id FROM affinityJob j
+         WHERE j.status = 'queued' AND j.runAfter <= CURRENT_TIMESTAMP
+           AND NOT EXISTS (
+             SELECT 1 FROM affinityJob r
+             WHERE r.status = 'running' AND r.jobType = j.jobType AND r.targetId = j.targetId
+           )
+         ORDER BY j.runAfter, j.id
+         FOR UPDATE SKIP LOCKED
+         LIMIT 1
+       )
+       RETURNING *`
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new AffinityJob(result.rows[0]);
+  }
+
+  // Put jobs left running by a stopped worker back in the queue; drop them
+  // instead when a newer job for the same target is already waiting
+  static async requeueStale(staleMinutes = 15) {
+    const result = await pool.query(
+      `UPDATE affinityJob j
+       SET status = CASE WHEN q.id IS NULL THEN 'queued' ELSE 'failed' END,
+           lastError = CASE WHEN q.id IS NULL THEN j.lastError ELSE 'Superseded by a queued job' END,
+           updatedAt = CURRENT_TIMESTAMP
+       FROM affinityJob s
+       LEFT JOIN affinityJob q
+         ON q.status = 'queued' AND q.jobType = s.jobType AND q.targetId = s.targetId
+       WHERE j.id = s.id
+         AND j.status = 'running'
+         AND j.updatedAt < CURRENT_TIMESTAMP - ($1 || ' minutes')::interval`,
+      [staleMinutes]
+    );
+
+    return result.rowCount;
+  }
+
+  static async findById(id) {
+    const result = await pool.query(
+      'SELECT * FROM affinityJob WHERE id = $1',
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new AffinityJob(result.rows[0]);
+  }
+
+  // Pending work that changes a person's affinities: their own jobs, plus
+  // practice jobs that rescore every complete profile
+  static async findActiveForPerson(personId) {
+    const result = await pool.query(
+      `SELECT * FROM affinityJob
+       WHERE status IN ('queued', 'running')
+         AND ((jobType = 'person' AND targetId = $1) OR jobType = 'practice')
+       ORDER BY createdAt, id`,
+      [personId]
+    );
+
+    return result.rows.map(row => new AffinityJob(row));
+  }
+
+  // Most recent job of any status for a person
+  static async findLatestForPerson(personId) {
+    const result = await pool.query(
+      `SELECT * FROM affinityJob
+       WHERE jobType = 'person' AND targetId = $1
+       ORDER BY createdAt DESC, id DESC
+       LIMIT 1`,
+      [personId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new AffinityJob(result.rows[0]);
+  }
+
+  async reportProgress(processedCount, totalCount) {
+    const progress = totalCount > 0
+      ? Math.min(100, Math.floor((processedCount / totalCount) * 100))
+      : 0;
+
+    await pool.query(
+      `UPDATE affinityJob
+       SET processedCount = $1, totalCount = $2, progress = $3, updatedAt = CURRENT_TIMESTAMP
+       WHERE id = $4`,
+      [processedCount, totalCount, progress, this.id]
+    );
+
+    Object.assign(this, { processedCount, totalCount, progress });
+    return this;
+  }
+
+  async complete() {
+    const result = await pool.query(
+      `UPDATE affinityJob
+       SET status = 'completed', progress = 100, finishedAt = CURRENT_TIMESTAMP, updatedAt = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [this.id]
+    );
+
+    Object.assign(this, new AffinityJob(result.rows[0]));
+    return this;
+  }
+
+  // Record a failed attempt: requeue after retryDelayMs while attempts remain,
+  // otherwise mark the job failed
+  async fail(error, retryDelayMs) {
+    const message = (error && error.message) || String(error);
+    const willRetry = this.attempts < this.maxAttempts;
+
+    try {
+      const result = await pool.query(
+        `UPDATE affinityJob
+         SET status = $1, lastError = $2, updatedAt = CURRENT_TIMESTAMP,
+             runAfter = CURRENT_TIMESTAMP + ($3 || ' milliseconds')::interval,
+             finishedAt = CASE WHEN $4 THEN NULL ELSE CURRENT_TIMESTAMP END
+         WHERE id = $5
+         RETURNING *`,
+        [willRetry ? 'queued' : 'failed', message, retryDelayMs || 0, willRetry, this.id]
+      );
+
+      Object.assign(this, new AffinityJob(result.rows[0]));
+    } catch (updateError) {
+      if (updateError.code !== '23505') {
+        throw updateError;
+      }
+
+      // A newer job for the same target is already queued and will redo the work
+      const result = await pool.query(
+        `UPDATE affinityJob
+         SET status = 'failed', lastError = $1, finishedAt = CURRENT_TIMESTAMP, updatedAt = CURRENT_TIMESTAMP
+         WHERE id = $2
+         RETURNING *`,
+        [`${message} (superseded by a queued job)`, this.id]
+      );
+
+      Object.assign(this, new AffinityJob(result.rows[0]));
+    }
+
+    return this;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      jobType: this.jobType,
+      targetId: this.targetId,
+      status: this.status,
+      attempts: this.attempts,
+      maxAttempts: this.maxAttempts,
+      progress: this.progress,
+      processedCount: this.processedCount,
+      totalCount: this.totalCount,
+      lastError: this.lastError,
+      requestedById: this.requestedById,
+      runAfter: this.runAfter,
+      createdAt: this.createdAt,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt
+    };
+  }
+}
+
+AffinityJob.TYPES = JOB_TYPES;
+
+module.exports = AffinityJob;
@@ -1,5 +1,27 @@
 const pool = require('../config/database');
 
+const DEFAULT_SCALE = { scaleMin: 1, scaleMax: 5 };
+
+// Load the Likert range of each referenced survey item version
+async function loadScaleRanges(db, itemIds) {
+  const result = await db.query(
+    'SELECT id, scaleMin, scaleMax FROM affinitySurveyVersion WHERE id = ANY($1::int[])',
+    [itemIds]
+  );
+
+  const ranges = new Map();
+  result.rows.forEach(row => {
+    ranges.set(row.id, { scaleMin: row.scalemin, scaleMax: row.scalemax });
+  });
+  return ranges;
+}
+
+function validateResult(result, range = DEFAULT_SCALE) {
+  if (result < range.scaleMin || result > range.scaleMax) {
+    throw new Error(`Result must be between ${range.scaleMin} and ${range.scaleMax}`);
+  }
+}
+
 class AffinitySurveyResults {
   constructor(data) {
     this.id = data.id;
@@ -13,10 +35,9 @@ class AffinitySurveyResults {
       throw new Error('Person ID, item ID, and result are required');
     }
 
-    // Validate result is within expected range (1-5 for Likert scale)
-    if (result < 1 || result > 5) {
-      throw new Error('Result must be between 1 and 5');
-    }
+    // Validate result is within the item's Likert range
+    const ranges = await loadScaleRanges(pool, [itemId]);
+    validateResult(result, ranges.get(Number(itemId)));
 
     try {
       const result_query = await pool.query(
@@ -34,7 +55,8 @@ class AffinitySurveyResults {
 
   static async findByPersonId(personId) {
     const result = await pool.query(
-      `SELECT asr.*, asv.itemId as surveyItemId, asv.version, asu.content, asu.description 
+      `SELECT asr.*, asv.itemId as surveyItemId, asv.version, asv.trait, asv.isReversed, 
+              asv.weight, asv.scaleMin, asv.scaleMax, asu.content, asu.description 
        FROM affinitySurveyResults asr 
        JOIN affinitySurveyVersion asv ON asr.itemId = asv.id 
        JOIN affinitySurvey asu ON asv.itemId = asu.id 
@@ -48,7 +70,12 @@ class AffinitySurveyResults {
       surveyItemId: row.surveyitemid,
       version: row.version,
       content: row.content,
-      description: row.description
+      description: row.description,
+      trait: row.trait,
+      isReversed: row.isreversed,
+      weight: row.weight,
+      scaleMin: row.scalemin,
+      scaleMax: row.scalemax
     }));
   }
 
@@ -79,10 +106,9 @@ class AffinitySurveyResults {
       return this;
     }
 
-    // Validate result is within expected range
-    if (result < 1 || result > 5) {
-      throw new Error('Result must be between 1 and 5');
-    }
+    // Validate result is within the item's Likert range
+    const ranges = await loadScaleRanges(pool, [this.itemId]);
+    validateResult(result, ranges.get(Number(this.itemId)));
 
     const query_result = await pool.query(
       `UPDATE affinitySurveyResults SET result = $1 WHERE id = $2 RETURNING *`,
@@ -106,6 +132,11 @@ class AffinitySurveyResults {
     try {
       await client.query('BEGIN');
       
+      const ranges = await loadScaleRanges(
+        client,
+        results.map(resultData => Number(resultData.itemId)).filter(Number.isInteger)
+      );
+
       const createdResults = [];
       for (const resultData of results) {
         const { itemId, result } = resultData;
@@ -114,9 +145,7 @@ class AffinitySurveyResults {
           throw new Error('Each result must have itemId and result');
         }
         
-        if (result < 1 || result > 5) {
-          throw new Error('Result must be between 1 and 5');
-        }
+        validateResult(result, ranges.get(Number(itemId)));
 
         const query_result = await client.query(
           `INSERT INTO affinitySurveyResults (personId, itemId, result) 
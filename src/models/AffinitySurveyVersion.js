@@ -1,24 +1,59 @@
 const pool = require('../config/database');
 
+const TRAITS = ['O', 'C', 'E', 'A', 'N'];
+
 class AffinitySurveyVersion {
   constructor(data) {
     this.id = data.id;
     this.itemId = data.itemid || data.itemId;
     this.version = data.version;
     this.versionNote = data.versionnote || data.versionNote;
+    this.trait = data.trait || null;
+    this.isReversed = Boolean(data.isreversed || data.isReversed);
+    this.weight = data.weight || 1.0;
+    // A scale may legitimately start at 0, so only fall back when the key is absent
+    this.scaleMin = data.scalemin !== undefined ? data.scalemin
+      : (data.scaleMin !== undefined ? data.scaleMin : 1);
+    this.scaleMax = data.scalemax || data.scaleMax || 5;
   }
 
-  static async create({ itemId, version, versionNote = null }) {
+  // Validate a Big Five scoring key (trait, reverse flag, weight, Likert range)
+  static validateScoringKey({ trait, weight, scaleMin, scaleMax }) {
+    if (trait !== undefined && trait !== null && !TRAITS.includes(trait)) {
+      throw new Error(`Trait must be one of ${TRAITS.join(', ')}`);
+    }
+
+    if (weight !== undefined && weight !== null && !(Number(weight) > 0)) {
+      throw new Error('Weight must be a positive number');
+    }
+
+    if (scaleMin !== undefined && scaleMax !== undefined && Number(scaleMin) >= Number(scaleMax)) {
+      throw new Error('Scale minimum must be lower than scale maximum');
+    }
+  }
+
+  static async create({
+    itemId,
+    version,
+    versionNote = null,
+    trait = null,
+    isReversed = false,
+    weight = 1.0,
+    scaleMin = 1,
+    scaleMax = 5
+  }) {
     if (!itemId || !version) {
       throw new Error('Item ID and version are required');
     }
 
+    AffinitySurveyVersion.validateScoringKey({ trait, weight, scaleMin, scaleMax });
+
     try {
       const result = await pool.query(
-        `INSERT INTO affinitySurveyVersion (itemId, version, versionNote) 
-         VALUES ($1, $2, $3) 
+        `INSERT INTO affinitySurveyVersion (itemId, version, versionNote, trait, isReversed, weight, scaleMin, scaleMax) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
          RETURNING *`,
-        [itemId, version, versionNote]
+        [itemId, version, versionNote, trait, isReversed, weight, scaleMin, scaleMax]
       );
 
       return new AffinitySurveyVersion(result.rows[0]);
@@ -81,14 +116,50 @@ class AffinitySurveyVersion {
     }));
   }
 
-  async update({ versionNote }) {
-    if (versionNote === undefined) {
+  // Latest version of every survey item, i.e. the questionnaire currently presented
+  static async findCurrent() {
+    const result = await pool.query(
+      `SELECT DISTINCT ON (asv.itemId) asv.*, asu.content, asu.description 
+       FROM affinitySurveyVersion asv 
+       JOIN affinitySurvey asu ON asv.itemId = asu.id 
+       ORDER BY asv.itemId, asv.version DESC`
+    );
+
+    return result.rows.map(row => ({
+      ...new AffinitySurveyVersion(row).toJSON(),
+      content: row.content,
+      description: row.description
+    }));
+  }
+
+  async update({ versionNote, trait, isReversed, weight, scaleMin, scaleMax }) {
+    const fields = { versionNote, trait, isReversed, weight, scaleMin, scaleMax };
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    AffinitySurveyVersion.validateScoringKey({
+      trait,
+      weight,
+      scaleMin: scaleMin !== undefined ? scaleMin : this.scaleMin,
+      scaleMax: scaleMax !== undefined ? scaleMax : this.scaleMax
+    });
+
+    Object.entries(fields).forEach(([column, value]) => {
+      if (value !== undefined) {
+        updates.push(`${column} = $${paramCount++}`);
+        values.push(value);
+      }
+    });
+
+    if (updates.length === 0) {
       return this;
     }
 
+    values.push(this.id);
     const result = await pool.query(
-      `UPDATE affinitySurveyVersion SET versionNote = $1 WHERE id = $2 RETURNING *`,
-      [versionNote, this.id]
+      `UPDATE affinitySurveyVersion SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+      values
     );
 
     return new AffinitySurveyVersion(result.rows[0]);
@@ -103,9 +174,16 @@ class AffinitySurveyVersion {
       id: this.id,
       itemId: this.itemId,
       version: this.version,
-      versionNote: this.versionNote
+      versionNote: this.versionNote,
+      trait: this.trait,
+      isReversed: this.isReversed,
+      weight: this.weight,
+      scaleMin: this.scaleMin,
+      scaleMax: this.scaleMax
     };
   }
 }
 
+AffinitySurveyVersion.TRAITS = TRAITS;
+
 module.exports = AffinitySurveyVersion;
\ No newline at end of file
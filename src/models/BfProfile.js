@@ -57,6 +57,17 @@ class BfProfile {
     return new BfProfile(result.rows[0]);
   }
 
+  // All profiles with the five traits filled in
+  static async findComplete() {
+    const result = await pool.query(
+      `SELECT * FROM bfProfile 
+       WHERE o IS NOT NULL AND c IS NOT NULL AND e IS NOT NULL AND a IS NOT NULL AND n IS NOT NULL 
+       ORDER BY personId`
+    );
+
+    return result.rows.map(row => new BfProfile(row));
+  }
+
   async update({ statusId, o, c, e, a, n }) {
     const updates = [];
     const values = [];
@@ -102,53 +113,25 @@ class BfProfile {
     // Trigger automatic recalculation of affinities if profile is now complete
     if (updatedProfile.isComplete()) {
       // Import here to avoid circular dependency
-      const PersonalityService = require('../services/personalityService');
+      const AffinityJobService = require('../services/affinityJobService');
       
-      // Recalculate affinities asynchronously (don't wait for completion)
-      setImmediate(async () => {
-        try {
-          await PersonalityService.recalculateAffinities(updatedProfile.personId);
-        } catch (error) {
-          console.error('Error auto-recalculating affinities:', error);
-        }
-      });
+      // Queue the recalculation; it runs in the background (don't wait for completion)
+      try {
+        await AffinityJobService.enqueuePerson(updatedProfile.personId);
+      } catch (error) {
+        console.error('Error queueing affinity recalculation:', error);
+      }
     }
 
     return updatedProfile;
   }
 
-  // Calculate Big Five scores from survey results
+  // Calculate Big Five scores from keyed survey results
+  // (each result carries trait, isReversed, weight, scaleMin and scaleMax)
   static calculateBigFiveScores(surveyResults) {
-    // This is a simplified calculation - in reality, this would be more complex
-    // and based on validated psychological instruments
-    const scores = { o: 0, c: 0, e: 0, a: 0, n: 0 };
-    
-    if (!surveyResults || surveyResults.length === 0) {
-      return scores;
-    }
-
-    // Simple averaging approach - in practice, this would use proper scoring algorithms
-    surveyResults.forEach(result => {
-      // Map survey items to Big Five dimensions based on content
-      // This is a simplified mapping for demonstration
-      if (result.itemId === 1) { // "I prefer clearly defined tasks" -> Conscientiousness
-        scores.c += result.result / 5.0; // Normalize to 0-1 scale
-      } else if (result.itemId === 2) { // "I enjoy brainstorming with groups" -> Extraversion
-        scores.e += result.result / 5.0;
-      } else if (result.itemId === 3) { // "I am comfortable with changes" -> low Neuroticism
-        scores.n += (6 - result.result) / 5.0; // Reverse score for neuroticism
-      }
-    });
-
-    // Normalize scores (this is simplified - real instruments have complex scoring)
-    const itemCount = surveyResults.length;
-    if (itemCount > 0) {
-      Object.keys(scores).forEach(key => {
-        scores[key] = Math.min(1.0, Math.max(0.0, scores[key] / itemCount));
-      });
-    }
-
-    return scores;
+    // Import here to avoid circular dependency
+    const PersonalityService = require('../services/personalityService');
+    return PersonalityService.scoreBigFive(surveyResults);
   }
 
   isComplete() {
@@ -0,0 +1,101 @@
+const pool = require('../config/database');
+
+// A condition a practice version must meet for a team to count it as done in an iteration
+class CompletionCriterion {
+  constructor(data) {
+    this.id = data.id;
+    this.practiceVersionId = data.practiceversionid || data.practiceVersionId;
+    this.name = data.name;
+    this.description = data.description;
+    this.lastUpdate = data.lastupdate || data.lastUpdate;
+    this.lastUpdateById = data.lastupdatebyid || data.lastUpdateById;
+  }
+
+  static async create({ practiceVersionId, name, description, lastUpdateById }) {
+    if (!practiceVersionId || !name || !lastUpdateById) {
+      throw new Error('Practice version ID, name, and last update by ID are required');
+    }
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO completionCriteria (practiceVersionId, name, description, lastUpdate, lastUpdateById)
+         VALUES ($1, $2, $3, CURRENT_TIMESTAMP, $4)
+         RETURNING id, practiceVersionId, name, description, lastUpdate, lastUpdateById`,
+        [practiceVersionId, name, description || null, lastUpdateById]
+      );
+
+      return new CompletionCriterion(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23503') { // Foreign key constraint violation
+        throw new Error('Invalid practice version ID or user ID');
+      }
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    const result = await pool.query(
+      'SELECT * FROM completionCriteria WHERE id = $1',
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new CompletionCriterion(result.rows[0]);
+  }
+
+  // Criteria keep the order in which they were written
+  static async findByPracticeVersionId(practiceVersionId) {
+    const result = await pool.query(
+      'SELECT * FROM completionCriteria WHERE practiceVersionId = $1 ORDER BY id',
+      [practiceVersionId]
+    );
+    return result.rows.map(row => new CompletionCriterion(row));
+  }
+
+  async update({ name, description, lastUpdateById }) {
+    const result = await pool.query(
+      `UPDATE completionCriteria
+       SET name = COALESCE($1, name),
+           description = COALESCE($2, description),
+           lastUpdate = CURRENT_TIMESTAMP,
+           lastUpdateById = COALESCE($3, lastUpdateById)
+       WHERE id = $4
+       RETURNING id, practiceVersionId, name, description, lastUpdate, lastUpdateById`,
+      [name, description, lastUpdateById, this.id]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Completion criterion not found');
+    }
+
+    const updated = new CompletionCriterion(result.rows[0]);
+    Object.assign(this, updated);
+    return this;
+  }
+
+  // Teams' ticks of the criterion go with it; their history keeps the criterion's name
+  async delete() {
+    const result = await pool.query(
+      'DELETE FROM completionCriteria WHERE id = $1',
+      [this.id]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      practiceVersionId: this.practiceVersionId,
+      name: this.name,
+      description: this.description,
+      lastUpdate: this.lastUpdate,
+      lastUpdateById: this.lastUpdateById
+    };
+  }
+}
+
+module.exports = CompletionCriterion;
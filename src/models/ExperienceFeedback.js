@@ -155,6 +155,36 @@ class ExperienceFeedback {
     };
   }
 
+  // Validated ratings of many practice versions at once, keyed by practice version ID
+  static async findValidatedRatings(practiceVersionIds) {
+    const ratings = new Map();
+    if (!Array.isArray(practiceVersionIds) || practiceVersionIds.length === 0) {
+      return ratings;
+    }
+
+    const result = await pool.query(
+      `SELECT practiceVersionId, rating, projectContext
+       FROM ExperienceFeedback
+       WHERE practiceVersionId = ANY($1::int[])
+         AND isValidated = true
+         AND rating IS NOT NULL
+       ORDER BY practiceVersionId, createdAt DESC`,
+      [practiceVersionIds]
+    );
+
+    result.rows.forEach(row => {
+      if (!ratings.has(row.practiceversionid)) {
+        ratings.set(row.practiceversionid, []);
+      }
+      ratings.get(row.practiceversionid).push({
+        rating: row.rating,
+        projectContext: row.projectcontext
+      });
+    });
+
+    return ratings;
+  }
+
   async validate(validatedBy) {
     if (!validatedBy) {
       throw new Error('Validator ID is required');
@@ -1,6 +1,9 @@
 const pool = require('../config/database');
 const bcrypt = require('bcrypt');
 
+const SALT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 8;
+
 class Person {
   constructor(data) {
     this.id = data.id;
@@ -9,6 +12,10 @@ class Person {
     this.passwordHash = data.passwordhash || data.passwordHash;
     this.roleId = data.roleid || data.roleId;
     this.createdAt = data.createdat || data.createdAt;
+    this.emailVerifiedAt = data.emailverifiedat || data.emailVerifiedAt || null;
+    this.passwordChangedAt = data.passwordchangedat || data.passwordChangedAt || null;
+    this.oidcIssuer = data.oidcissuer || data.oidcIssuer || null;
+    this.oidcSubject = data.oidcsubject || data.oidcSubject || null;
   }
 
   static async create({ name, email, password, roleId = 2 }) {
@@ -24,14 +31,13 @@ class Person {
     }
 
     // Hash password
-    const saltRounds = 12;
-    const passwordHash = await bcrypt.hash(password, saltRounds);
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
 
     try {
       const result = await pool.query(
         `INSERT INTO Person (name, email, passwordHash, roleId, createdAt) 
          VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP) 
-         RETURNING id, name, email, roleId, createdAt`,
+         RETURNING id, name, email, passwordHash, roleId, createdAt, emailVerifiedAt`,
         [name, email, passwordHash, roleId]
       );
 
@@ -57,6 +63,46 @@ class Person {
     return new Person(result.rows[0]);
   }
 
+  /**
+   * Create a person at their first single sign-on; they have no local password
+   * @param {Object} params - {name, email, roleId, issuer, subject}
+   * @returns {Person} The new person
+   */
+  static async createFromOidc({ name, email, roleId = 2, issuer, subject }) {
+    if (!email || !issuer || !subject) {
+      throw new Error('Email, issuer and subject are required');
+    }
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO Person (name, email, passwordHash, roleId, createdAt, oidcIssuer, oidcSubject) 
+         VALUES ($1, $2, NULL, $3, CURRENT_TIMESTAMP, $4, $5) 
+         RETURNING *`,
+        [name || email, email, roleId, issuer, subject]
+      );
+
+      return new Person(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') { // Unique constraint violation
+        throw new Error('Email already exists');
+      }
+      throw error;
+    }
+  }
+
+  static async findByOidcSubject(issuer, subject) {
+    const result = await pool.query(
+      'SELECT * FROM Person WHERE oidcIssuer = $1 AND oidcSubject = $2',
+      [issuer, subject]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new Person(result.rows[0]);
+  }
+
   static async findById(id) {
     const result = await pool.query(
       'SELECT * FROM Person WHERE id = $1',
@@ -71,14 +117,105 @@ class Person {
   }
 
   async validatePassword(password) {
+    // Accounts created by single sign-on have no local password
+    if (!this.passwordHash || typeof password !== 'string') {
+      return false;
+    }
     return bcrypt.compare(password, this.passwordHash);
   }
 
+  /**
+   * Check a new password against the password rules
+   * @param {string} password - The new password
+   * @returns {string|null} Why the password is refused, or null if it is acceptable
+   */
+  static passwordError(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+    }
+    return null;
+  }
+
+  /**
+   * Replace the password; sessions opened before the change stop working
+   * @param {string} password - The new password
+   */
+  async setPassword(password) {
+    const error = Person.passwordError(password);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+    const result = await pool.query(
+      `UPDATE Person SET passwordHash = $1, passwordChangedAt = $2
+       WHERE id = $3
+       RETURNING passwordHash, passwordChangedAt`,
+      [passwordHash, new Date(), this.id]
+    );
+
+    this.passwordHash = result.rows[0].passwordhash;
+    this.passwordChangedAt = result.rows[0].passwordchangedat;
+    return this;
+  }
+
+  /**
+   * Link the person to their account at an OpenID Connect provider
+   * @param {string} issuer - The provider's issuer URL
+   * @param {string} subject - The account's subject at the provider
+   */
+  async linkOidc(issuer, subject) {
+    await pool.query(
+      'UPDATE Person SET oidcIssuer = $1, oidcSubject = $2 WHERE id = $3',
+      [issuer, subject, this.id]
+    );
+
+    this.oidcIssuer = issuer;
+    this.oidcSubject = subject;
+    return this;
+  }
+
+  async setRole(roleId) {
+    await pool.query('UPDATE Person SET roleId = $1 WHERE id = $2', [roleId, this.id]);
+    this.roleId = roleId;
+    return this;
+  }
+
+  isEmailVerified() {
+    return Boolean(this.emailVerifiedAt);
+  }
+
+  async markEmailVerified() {
+    const result = await pool.query(
+      `UPDATE Person SET emailVerifiedAt = COALESCE(emailVerifiedAt, CURRENT_TIMESTAMP)
+       WHERE id = $1
+       RETURNING emailVerifiedAt`,
+      [this.id]
+    );
+
+    this.emailVerifiedAt = result.rows[0].emailverifiedat;
+    return this;
+  }
+
+  /**
+   * Whether a session authenticated at the given time is still valid
+   * @param {number} authenticatedAt - When the session logged in (ms since epoch; absent for older sessions)
+   * @returns {boolean} False if the password changed since
+   */
+  isSessionCurrent(authenticatedAt) {
+    if (!this.passwordChangedAt) {
+      return true;
+    }
+    return Boolean(authenticatedAt) && authenticatedAt >= new Date(this.passwordChangedAt).getTime();
+  }
+
   toJSON() {
-    // Don't expose password hash
-    const { passwordHash, ...publicData } = this;
-    return publicData;
+    // Don't expose password hash or the provider account
+    const { passwordHash, oidcIssuer, oidcSubject, ...publicData } = this;
+    return { ...publicData, hasPassword: Boolean(passwordHash), ssoLinked: Boolean(oidcSubject) };
   }
 }
 
+Person.MIN_PASSWORD_LENGTH = MIN_PASSWORD_LENGTH;
+
 module.exports = Person;
\ No newline at end of file
@@ -1,4 +1,10 @@
 const pool = require('../config/database');
+const PracticeTraitProfile = require('./PracticeTraitProfile');
+
+// Neutral score of a practice that makes no personality demands
+const BASE_AFFINITY = 50;
+// Points a fully expressed trait is worth at weight 1
+const TRAIT_POINTS = 100;
 
 class PersonPracticeAffinity {
   constructor(data) {
@@ -115,36 +121,51 @@ class PersonPracticeAffinity {
     await pool.query('DELETE FROM personPracticeAffinity WHERE id = $1', [this.id]);
   }
 
-  // Calculate affinity based on Big Five profile and practice characteristics
-  static calculateAffinity(bfProfile, practiceCharacteristics) {
-    if (!bfProfile || !bfProfile.isComplete()) {
-      return 0;
-    }
-
-    // This is a simplified affinity calculation algorithm
-    // In practice, this would be more sophisticated and based on research
-    let affinityScore = 50; // Base score
-
-    // Example calculations based on practice characteristics
-    if (practiceCharacteristics.requiresStructure) {
-      affinityScore += (bfProfile.c * 30); // High conscientiousness likes structure
-    }
+  // Break an affinity down into the base score and each trait demand's signed contribution.
+  // Each demand moves the neutral base score by direction * weight * trait score * 100,
+  // so a weight of 0.3 on a fully expressed trait is worth 30 points.
+  static explainAffinity(bfProfile, traitProfile) {
+    const contributions = [];
+    let rawScore = BASE_AFFINITY;
+
+    (traitProfile || []).forEach(demand => {
+      const trait = String(demand.trait).toUpperCase();
+      const traitScore = bfProfile ? bfProfile[trait.toLowerCase()] : undefined;
+      if (typeof traitScore !== 'number') {
+        return;
+      }
 
-    if (practiceCharacteristics.requiresCollaboration) {
-      affinityScore += (bfProfile.e * 25); // High extraversion likes collaboration
-      affinityScore += (bfProfile.a * 20); // High agreeableness likes collaboration
-    }
+      const weight = Number(demand.weight);
+      const direction = demand.direction !== undefined && demand.direction !== null ? Number(demand.direction) : 1;
+      const contribution = direction * weight * traitScore * TRAIT_POINTS;
+
+      contributions.push({
+        trait,
+        traitScore,
+        weight,
+        direction,
+        rationale: demand.rationale || null,
+        contribution: Math.round(contribution * 100) / 100
+      });
+      rawScore += contribution;
+    });
 
-    if (practiceCharacteristics.requiresCreativity) {
-      affinityScore += (bfProfile.o * 35); // High openness likes creativity
-    }
+    return {
+      baseScore: BASE_AFFINITY,
+      contributions,
+      rawScore: Math.round(rawScore * 100) / 100,
+      // Ensure score is within 0-100 range
+      score: Math.max(0, Math.min(100, Math.round(rawScore)))
+    };
+  }
 
-    if (practiceCharacteristics.requiresStability) {
-      affinityScore -= (bfProfile.n * 25); // High neuroticism dislikes instability
+  // Calculate affinity based on Big Five profile and the practice version's trait-demand profile
+  static calculateAffinity(bfProfile, traitProfile) {
+    if (!bfProfile || !bfProfile.isComplete()) {
+      return 0;
     }
 
-    // Ensure score is within 0-100 range
-    return Math.max(0, Math.min(100, Math.round(affinityScore)));
+    return PersonPracticeAffinity.explainAffinity(bfProfile, traitProfile).score;
   }
 
   // Batch calculate affinities for a person across multiple practices
@@ -156,55 +177,51 @@ class PersonPracticeAffinity {
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
-      
+
+      // The person may have been deleted since the recalculation started; the lock keeps them until commit
+      const person = await client.query('SELECT id FROM Person WHERE id = $1 FOR KEY SHARE', [personId]);
+      if (person.rows.length === 0) {
+        await client.query('COMMIT');
+        return [];
+      }
+
+      // Only score practice versions that still exist
+      const existingResult = await client.query(
+        'SELECT id FROM practiceVersion WHERE id = ANY($1::int[])',
+        [practiceVersionIds]
+      );
+      const existing = new Set(existingResult.rows.map(row => row.id));
+      const existingIds = practiceVersionIds.map(Number).filter(id => existing.has(id));
+      const traitProfiles = await PracticeTraitProfile.findByPracticeVersionIds(existingIds, client);
+
       const affinities = [];
-      for (const practiceVersionId of practiceVersionIds) {
-        // Get practice characteristics (simplified - in practice would be more complex)
-        const practiceResult = await client.query(
-          `SELECT p.name, p.description, p.typeId 
-           FROM practiceVersion pv 
-           JOIN Practice p ON pv.practiceId = p.id 
-           WHERE pv.id = $1`,
-          [practiceVersionId]
+      for (const practiceVersionId of existingIds) {
+        const affinityScore = PersonPracticeAffinity.calculateAffinity(
+          bfProfile,
+          traitProfiles.get(practiceVersionId) || []
         );
 
-        if (practiceResult.rows.length > 0) {
-          const practice = practiceResult.rows[0];
-          
-          // Simple characteristic mapping based on practice type and description
-          const description = practice.description || '';
-          const characteristics = {
-            requiresStructure: practice.typeid === 1, // Development practices need structure
-            requiresCollaboration: practice.typeid === 2, // Teamwork practices need collaboration
-            requiresCreativity: description.toLowerCase().includes('innovation') || 
-                              description.toLowerCase().includes('creative'),
-            requiresStability: !description.toLowerCase().includes('change')
-          };
-
-          const affinityScore = PersonPracticeAffinity.calculateAffinity(bfProfile, characteristics);
-
-          // Check if affinity already exists
-          const existingResult = await client.query(
-            'SELECT id FROM personPracticeAffinity WHERE personId = $1 AND practiceVersionId = $2',
-            [personId, practiceVersionId]
-          );
+        // Check if affinity already exists
+        const existingAffinity = await client.query(
+          'SELECT id FROM personPracticeAffinity WHERE personId = $1 AND practiceVersionId = $2',
+          [personId, practiceVersionId]
+        );
 
-          if (existingResult.rows.length > 0) {
-            // Update existing
-            const updateResult = await client.query(
-              `UPDATE personPracticeAffinity SET affinity = $1 WHERE personId = $2 AND practiceVersionId = $3 RETURNING *`,
-              [affinityScore, personId, practiceVersionId]
-            );
-            affinities.push(new PersonPracticeAffinity(updateResult.rows[0]));
-          } else {
-            // Create new
-            const insertResult = await client.query(
-              `INSERT INTO personPracticeAffinity (personId, practiceVersionId, affinity) 
-               VALUES ($1, $2, $3) RETURNING *`,
-              [personId, practiceVersionId, affinityScore]
-            );
-            affinities.push(new PersonPracticeAffinity(insertResult.rows[0]));
-          }
+        if (existingAffinity.rows.length > 0) {
+          // Update existing
+          const updateResult = await client.query(
+            `UPDATE personPracticeAffinity SET affinity = $1 WHERE personId = $2 AND practiceVersionId = $3 RETURNING *`,
+            [affinityScore, personId, practiceVersionId]
+          );
+          affinities.push(new PersonPracticeAffinity(updateResult.rows[0]));
+        } else {
+          // Create new
+          const insertResult = await client.query(
+            `INSERT INTO personPracticeAffinity (personId, practiceVersionId, affinity) 
+             VALUES ($1, $2, $3) RETURNING *`,
+            [personId, practiceVersionId, affinityScore]
+          );
+          affinities.push(new PersonPracticeAffinity(insertResult.rows[0]));
         }
       }
 
@@ -228,4 +245,6 @@ class PersonPracticeAffinity {
   }
 }
 
+PersonPracticeAffinity.BASE_AFFINITY = BASE_AFFINITY;
+
 module.exports = PersonPracticeAffinity;
\ No newline at end of file
@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+
+const TOKEN_PREFIX = 'apr_';
+const DEFAULT_TTL_DAYS = 90;
+const MAX_TTL_DAYS = 365;
+const MAX_NAME_LENGTH = 100;
+
+const READ = ['GET', 'HEAD'];
+const ANY = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// What each scope lets a token reach, as methods on API path patterns.
+// Scopes only open routes; the routes still check the person's roles.
+const SCOPES = {
+  'practices:read': {
+    description: 'Read practices, methods, activities and practice cards',
+    rules: [
+      { methods: READ, path: /^\/api\/(practices|methods|activities|visualization)(\/|$)/ },
+      { methods: READ, path: /^\/api\/affinity\/practice\// }
+    ]
+  },
+  'dashboard:read': {
+    description: 'Read teams, team dashboards, affinities and recommendations',
+    rules: [
+      { methods: READ, path: /^\/api\/(teams|dashboard|recommendations)(\/|$)/ },
+      { methods: READ, path: /^\/api\/affinity\/(team|scores|user-affinities|profile)(\/|$)/ },
+      { methods: READ, path: /^\/api\/methods\/analysis\/teams\// },
+      // Simulations are posted but change nothing
+      { methods: ['POST'], path: /^\/api\/affinity\/team\/\d+\/simulate$/ }
+    ]
+  },
+  'feedback:write': {
+    description: 'Read, post, edit and delete experience feedback',
+    rules: [
+      { methods: ANY, path: /^\/api\/feedback(\/|$)/ }
+    ]
+  },
+  'expert:write': {
+    description: 'Author practices, methods and reference data (experts only)',
+    rules: [
+      { methods: ANY, path: /^\/api\/expert(\/|$)/ },
+      { methods: ANY, path: /^\/api\/(practices|methods|activities)(\/|$)/ },
+      { methods: ANY, path: /^\/api\/affinity\/practice\// }
+    ]
+  }
+};
+
+// Routes every token may call whatever its scopes
+const ALWAYS_ALLOWED = [
+  { methods: READ, path: /^\/api\/auth\/me$/ }
+];
+
+const matches = (rules, method, path) =>
+  rules.some(rule => rule.methods.includes(method) && rule.path.test(path));
+
+/**
+ * Personal access tokens let scripts call the API with a bearer token instead
+ * of a session. Only the SHA-256 hash of a token is stored; the token itself
+ * is shown once, when it is created.
+ */
+class PersonalAccessToken {
+  constructor(data) {
+    this.id = data.id;
+    this.personId = data.personid || data.personId;
+    this.name = data.name;
+    this.tokenPrefix = data.tokenprefix || data.tokenPrefix;
+    this.tokenHash = data.tokenhash || data.tokenHash;
+    this.scopes = data.scopes || [];
+    this.expiresAt = data.expiresat || data.expiresAt;
+    this.lastUsedAt = data.lastusedat || data.lastUsedAt || null;
+    this.revokedAt = data.revokedat || data.revokedAt || null;
+    this.createdAt = data.createdat || data.createdAt;
+  }
+
+  /**
+   * Hash of a token as stored in the database
+   * @param {string} token - Bearer token
+   * @returns {string} SHA-256 hex digest
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Check the fields of a new token
+   * @param {Object} params - {name, scopes, expiresInDays}
+   * @returns {string|null} Why the token is refused, or null if it is acceptable
+   */
+  static validationError({ name, scopes, expiresInDays = DEFAULT_TTL_DAYS }) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return 'Token name is required';
+    }
+    if (name.trim().length > MAX_NAME_LENGTH) {
+      return `Token name must be at most ${MAX_NAME_LENGTH} characters`;
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return 'At least one scope is required';
+    }
+    const unknown = scopes.find(scope => !SCOPES[scope]);
+    if (unknown !== undefined) {
+      return `Unknown scope: ${unknown}`;
+    }
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_TTL_DAYS) {
+      return `Expiry must be between 1 and ${MAX_TTL_DAYS} days`;
+    }
+    return null;
+  }
+
+  /**
+   * Whether a token with these scopes may call a route
+   * @param {Array} scopes - The token's scopes
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path, without the query string
+   * @returns {boolean} True if the route is always allowed or one of the token's scopes opens it
+   */
+  static allows(scopes, method, path) {
+    return matches(ALWAYS_ALLOWED, method, path) ||
+      scopes.some(scope => SCOPES[scope] && matches(SCOPES[scope].rules, method, path));
+  }
+
+  /**
+   * Scopes that open a route, to tell a refused caller what is missing
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path, without the query string
+   * @returns {Array} Scope names
+   */
+  static scopesFor(method, path) {
+    return Object.keys(SCOPES).filter(scope => matches(SCOPES[scope].rules, method, path));
+  }
+
+  /**
+   * Create a token for a person
+   * @param {Object} params - {personId, name, scopes, expiresInDays}
+   * @returns {Object} {token, accessToken}; the token is not stored and cannot be shown again
+   */
+  static async create({ personId, name, scopes, expiresInDays = DEFAULT_TTL_DAYS }) {
+    const error = this.validationError({ name, scopes, expiresInDays });
+    if (error) {
+      throw new Error(error);
+    }
+
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+
+    const result = await pool.query(
+      `INSERT INTO personalAccessToken (personId, name, tokenPrefix, tokenHash, scopes, expiresAt)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [personId, name.trim(), token.slice(0, 12), this.hashToken(token), [...new Set(scopes)], expiresAt]
+    );
+
+    return { token, accessToken: new PersonalAccessToken(result.rows[0]) };
+  }
+
+  /**
+   * Find the live token for a bearer token and record that it was used
+   * @param {string} token - Bearer token
+   * @returns {PersonalAccessToken|null} The token, or null if unknown, revoked or expired
+   */
+  static async authenticate(token) {
+    if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) {
+      return null;
+    }
+
+    const result = await pool.query(
+      `UPDATE personalAccessToken SET lastUsedAt = CURRENT_TIMESTAMP
+       WHERE tokenHash = $1 AND revokedAt IS NULL AND expiresAt > CURRENT_TIMESTAMP
+       RETURNING *`,
+      [this.hashToken(token)]
+    );
+
+    return result.rows.length > 0 ? new PersonalAccessToken(result.rows[0]) : null;
+  }
+
+  static async findByPerson(personId) {
+    const result = await pool.query(
+      `SELECT * FROM personalAccessToken
+       WHERE personId = $1 AND revokedAt IS NULL
+       ORDER BY createdAt DESC, id DESC`,
+      [personId]
+    );
+
+    return result.rows.map(row => new PersonalAccessToken(row));
+  }
+
+  /**
+   * Revoke one of a person's tokens
+   * @param {number} id - The token ID
+   * @param {number} personId - The owner of the token
+   * @returns {boolean} False if the person has no such live token
+   */
+  static async revoke(id, personId) {
+    const result = await pool.query(
+      `UPDATE personalAccessToken SET revokedAt = CURRENT_TIMESTAMP
+       WHERE id = $1 AND personId = $2 AND revokedAt IS NULL`,
+      [id, personId]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Revoke every live token of a person
+   * @param {number} personId - The owner of the tokens
+   * @returns {number} How many tokens were revoked
+   */
+  static async revokeAllForPerson(personId) {
+    const result = await pool.query(
+      `UPDATE personalAccessToken SET revokedAt = CURRENT_TIMESTAMP
+       WHERE personId = $1 AND revokedAt IS NULL`,
+      [personId]
+    );
+
+    return result.rowCount;
+  }
+
+  isExpired(now = new Date()) {
+    return new Date(this.expiresAt) <= now;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      tokenPrefix: this.tokenPrefix,
+      scopes: this.scopes,
+      expiresAt: this.expiresAt,
+      lastUsedAt: this.lastUsedAt,
+      createdAt: this.createdAt,
+      expired: this.isExpired()
+    };
+  }
+}
+
+PersonalAccessToken.SCOPES = SCOPES;
+PersonalAccessToken.DEFAULT_TTL_DAYS = DEFAULT_TTL_DAYS;
+PersonalAccessToken.MAX_TTL_DAYS = MAX_TTL_DAYS;
+
+module.exports = PersonalAccessToken;
@@ -1,4 +1,11 @@
 const pool = require('../config/database');
+const PracticeSearchService = require('../services/practiceSearchService');
+
+// Public listings only show practices with at least one published version (team forks excluded)
+const HAS_PUBLISHED_VERSION = `EXISTS (
+  SELECT 1 FROM practiceVersion pv
+  WHERE pv.practiceId = p.id AND pv.status = 'Published' AND pv.forkedFromId IS NULL
+)`;
 
 class Practice {
   constructor(data) {
@@ -77,109 +84,25 @@ class Practice {
     return result.rows.map(row => new Practice(row));
   }
 
+  // Published practices matching the filters; search ranks by relevance (see PracticeSearchService)
   static async findAllWithFilters({ typeId, goalId, search, category, limit = 50, offset = 0 } = {}) {
-    // For now, return all practices to get the frontend working
-    // TODO: Implement proper filtering
-    const result = await pool.query(
-      `SELECT p.*, pt.name as typeName 
-       FROM Practice p 
-       LEFT JOIN practiceType pt ON p.typeId = pt.id 
-       ORDER BY p.name 
-       LIMIT $1 OFFSET $2`,
-      [limit, offset]
-    );
-    
-    return result.rows.map(row => {
-      const practice = new Practice(row);
-      practice.typeName = row.typename;
-      return practice;
-    });
+    const { practices } = await PracticeSearchService.search({ query: search, typeId, goalId, category, limit, offset });
+    return practices.map(row => Practice.fromSearchResult(row));
   }
 
-  static async findAllWithFiltersOld({ typeId, goalId, search, category, limit = 50, offset = 0 } = {}) {
-    let query = `
-      SELECT DISTINCT p.*, pt.name as typeName
-      FROM Practice p
-      LEFT JOIN practiceType pt ON p.typeId = pt.id
-    `;
-    
-    const conditions = [];
-    const params = [];
-    let paramCount = 0;
-
-    // Filter by type
-    if (typeId) {
-      paramCount++;
-      conditions.push(`p.typeId = $${paramCount}`);
-      params.push(typeId);
-    }
-
-    // Filter by goal (through recommendations)
-    if (goalId) {
-      query += `
-        LEFT JOIN practiceVersion pv ON p.id = pv.practiceId
-        LEFT JOIN Recommendation r ON pv.id = r.practiceVersionId
-        LEFT JOIN recommendationGoal rg ON r.id = rg.recommendationId
-      `;
-      paramCount++;
-      conditions.push(`rg.goalId = $${paramCount}`);
-      params.push(goalId);
-    }
-
-    // Search in name and description
-    if (search) {
-      paramCount++;
-      conditions.push(`(LOWER(p.name) LIKE LOWER($${paramCount}) OR LOWER(p.description) LIKE LOWER($${paramCount}))`);
-      params.push(`%${search}%`);
-    }
-
-    // Filter by category (using typeId as category for now)
-    if (category) {
-      paramCount++;
-      conditions.push(`pt.name = $${paramCount}`);
-      params.push(category);
-    }
-
-    if (conditions.length > 0) {
-      query += ' WHERE ' + conditions.join(' AND ');
-    }
-
-    query += ` ORDER BY p.name LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
-    params.push(limit, offset);
-
-    const result = await pool.query(query, params);
-    return result.rows.map(row => {
-      const practice = new Practice(row);
-      practice.typeName = row.typename;
-      return practice;
-    });
+  static async search(searchTerm, { limit = 50, offset = 0, ...filters } = {}) {
+    const { practices } = await PracticeSearchService.search(Object.assign({}, filters, { query: searchTerm, limit, offset }));
+    return practices.map(row => Practice.fromSearchResult(row));
   }
 
-  static async search(searchTerm, { limit = 50, offset = 0 } = {}) {
-    const query = `
-      SELECT p.*, pt.name as typeName
-      FROM Practice p
-      LEFT JOIN practiceType pt ON p.typeId = pt.id
-      WHERE LOWER(p.name) LIKE LOWER($1) OR LOWER(p.description) LIKE LOWER($1)
-      ORDER BY 
-        CASE 
-          WHEN LOWER(p.name) LIKE LOWER($2) THEN 1
-          WHEN LOWER(p.name) LIKE LOWER($1) THEN 2
-          ELSE 3
-        END,
-        p.name
-      LIMIT $3 OFFSET $4
-    `;
-    
-    const exactMatch = `%${searchTerm}%`;
-    const startsWith = `${searchTerm}%`;
-    
-    const result = await pool.query(query, [exactMatch, startsWith, limit, offset]);
-    return result.rows.map(row => {
-      const practice = new Practice(row);
-      practice.typeName = row.typename;
-      return practice;
-    });
+  static fromSearchResult(row) {
+    const practice = new Practice(row);
+    practice.typeName = row.typename;
+    if (row.snippet) {
+      practice.rank = row.rank;
+      practice.snippet = row.snippet;
+    }
+    return practice;
   }
 
   static async getByCategories() {
@@ -198,7 +121,7 @@ class Practice {
           ) ORDER BY p.name
         ) as practices
       FROM practiceType pt
-      LEFT JOIN Practice p ON pt.id = p.typeId
+      LEFT JOIN Practice p ON pt.id = p.typeId AND ${HAS_PUBLISHED_VERSION}
       GROUP BY pt.id, pt.name, pt.description
       ORDER BY pt.name
     `;
@@ -265,7 +188,7 @@ class Practice {
       const result = await pool.query(
         `INSERT INTO practiceVersion (practiceId, universeId, versionName, changeDescription, lastUpdate, lastUpdateById) 
          VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, $5) 
-         RETURNING id, practiceId, universeId, versionName, versionTimestamp, changeDescription, lastUpdate, lastUpdateById`,
+         RETURNING id, practiceId, universeId, versionName, versionTimestamp, changeDescription, lastUpdate, lastUpdateById, status`,
         [this.id, universeId, versionName, changeDescription || null, lastUpdateById]
       );
 
@@ -298,6 +221,7 @@ class Practice {
       guidelines: [],
       benefits: [],
       pitfalls: [],
+      completionCriteria: [],
       activities: [],
       roles: [],
       workproducts: [],
@@ -305,7 +229,9 @@ class Practice {
       recommendations: [],
       goals: [],
       feedback: [],
-      feedbackStats: null
+      feedbackStats: null,
+      traitProfile: [],
+      associations: []
     };
 
     if (versions.length > 0) {
@@ -336,6 +262,13 @@ class Practice {
       );
       associatedData.pitfalls = pitfallsResult.rows;
 
+      // Get Completion Criteria (in the order they were written)
+      const completionCriteriaResult = await pool.query(
+        'SELECT * FROM completionCriteria WHERE practiceVersionId = $1 ORDER BY id',
+        [latestVersionId]
+      );
+      associatedData.completionCriteria = completionCriteriaResult.rows;
+
       // Get Activities (ordered by sequence)
       const activitiesResult = await pool.query(
         `SELECT a.*, pva.sequence
@@ -361,7 +294,7 @@ class Practice {
 
       // Get Workproducts
       const workproductsResult = await pool.query(
-        `SELECT w.*
+        `SELECT w.*, wp.usage
          FROM Workproduct w
          JOIN workproductPractice wp ON w.id = wp.workproductId
          WHERE wp.practiceVersionId = $1
@@ -451,6 +384,21 @@ class Practice {
           ratedFeedback: parseInt(stats.ratedfeedback)
         };
       }
+
+      // Get Big Five trait-demand profile
+      const traitProfileResult = await pool.query(
+        `SELECT trait, weight, direction, rationale 
+         FROM practiceTraitProfile 
+         WHERE practiceVersionId = $1 
+         ORDER BY trait`,
+        [latestVersionId]
+      );
+      associatedData.traitProfile = traitProfileResult.rows;
+
+      // Get typed links to other practices (requires, replaces, ...)
+      const PracticeAssociation = require('./PracticeAssociation');
+      associatedData.associations = (await PracticeAssociation.findAll({ practiceVersionId: latestVersionId }))
+        .map(association => association.toJSON());
     }
 
     return {
@@ -472,10 +420,7 @@ class Practice {
     };
   }
   static async countWithFilters({ typeId, goalId, search, category } = {}) {
-    // For now, return total count of all practices
-    // TODO: Implement proper filtering
-    const result = await pool.query('SELECT COUNT(*) as total FROM Practice');
-    return parseInt(result.rows[0].total) || 0;
+    return PracticeSearchService.count({ query: search, typeId, goalId, category });
   }
 }
 
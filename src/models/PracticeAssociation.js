@@ -0,0 +1,198 @@
+const pool = require('../config/database');
+
+// Typed links between practice versions, read as "source <type> target"
+const ASSOCIATION_TYPES = ['requires', 'complements', 'replaces', 'conflicts_with', 'specializes'];
+
+const SELECT_ASSOCIATIONS = `
+  SELECT pa.*, pat.code AS typeCode, pat.name AS typeName,
+         spv.practiceId AS sourcePracticeId, sp.name AS sourceName,
+         tpv.practiceId AS targetPracticeId, tp.name AS targetName
+  FROM practiceAssociation pa
+  JOIN practiceAssociationType pat ON pa.typeId = pat.id
+  JOIN practiceVersion spv ON pa.sourcePracticeVersionId = spv.id
+  JOIN Practice sp ON spv.practiceId = sp.id
+  JOIN practiceVersion tpv ON pa.targetPracticeVersionId = tpv.id
+  JOIN Practice tp ON tpv.practiceId = tp.id`;
+
+class PracticeAssociation {
+  constructor(data) {
+    this.id = data.id;
+    this.sourcePracticeVersionId = data.sourcepracticeversionid || data.sourcePracticeVersionId;
+    this.targetPracticeVersionId = data.targetpracticeversionid || data.targetPracticeVersionId;
+    this.typeId = data.typeid || data.typeId;
+    this.type = data.typecode || data.typeCode || data.type;
+    this.typeName = data.typename || data.typeName;
+    this.sourcePracticeId = data.sourcepracticeid || data.sourcePracticeId;
+    this.sourceName = data.sourcename || data.sourceName;
+    this.targetPracticeId = data.targetpracticeid || data.targetPracticeId;
+    this.targetName = data.targetname || data.targetName;
+  }
+
+  static async findTypes() {
+    const result = await pool.query(
+      `SELECT id, code, name, description FROM practiceAssociationType
+       WHERE code IS NOT NULL
+       ORDER BY id`
+    );
+    return result.rows;
+  }
+
+  // Resolve a type code to its practiceAssociationType ID
+  static async resolveTypeId(type) {
+    if (!ASSOCIATION_TYPES.includes(type)) {
+      throw new Error(`Association type must be one of ${ASSOCIATION_TYPES.join(', ')}`);
+    }
+
+    const result = await pool.query(
+      'SELECT id FROM practiceAssociationType WHERE code = $1',
+      [type]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`Association type ${type} is not configured`);
+    }
+
+    return result.rows[0].id;
+  }
+
+  static async create({ sourcePracticeVersionId, targetPracticeVersionId, type }) {
+    if (!sourcePracticeVersionId || !targetPracticeVersionId || !type) {
+      throw new Error('Source practice version ID, target practice version ID, and type are required');
+    }
+    if (parseInt(sourcePracticeVersionId) === parseInt(targetPracticeVersionId)) {
+      throw new Error('A practice version cannot be associated with itself');
+    }
+
+    const typeId = await PracticeAssociation.resolveTypeId(type);
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO practiceAssociation (sourcePracticeVersionId, targetPracticeVersionId, typeId)
+         VALUES ($1, $2, $3)
+         RETURNING id`,
+        [sourcePracticeVersionId, targetPracticeVersionId, typeId]
+      );
+
+      return PracticeAssociation.findById(result.rows[0].id);
+    } catch (error) {
+      if (error.code === '23503') { // Foreign key constraint violation
+        throw new Error('Invalid practice version ID');
+      }
+      if (error.code === '23505') { // Unique constraint violation
+        throw new Error('Association already exists');
+      }
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    const result = await pool.query(
+      `${SELECT_ASSOCIATIONS} WHERE pa.id = $1`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new PracticeAssociation(result.rows[0]);
+  }
+
+  static async findAll({ practiceVersionId, type } = {}) {
+    let query = `${SELECT_ASSOCIATIONS} WHERE pat.code IS NOT NULL`;
+    const params = [];
+
+    if (practiceVersionId) {
+      params.push(practiceVersionId);
+      query += ` AND (pa.sourcePracticeVersionId = $${params.length} OR pa.targetPracticeVersionId = $${params.length})`;
+    }
+
+    if (type) {
+      params.push(type);
+      query += ` AND pat.code = $${params.length}`;
+    }
+
+    query += ' ORDER BY pa.id';
+
+    const result = await pool.query(query, params);
+    return result.rows.map(row => new PracticeAssociation(row));
+  }
+
+  // Links touching any of the given practice versions, on either side
+  static async findForPracticeVersions(practiceVersionIds) {
+    if (!Array.isArray(practiceVersionIds) || practiceVersionIds.length === 0) {
+      return [];
+    }
+
+    const result = await pool.query(
+      `${SELECT_ASSOCIATIONS}
+       WHERE pat.code IS NOT NULL
+         AND (pa.sourcePracticeVersionId = ANY($1::int[]) OR pa.targetPracticeVersionId = ANY($1::int[]))
+       ORDER BY pa.id`,
+      [practiceVersionIds]
+    );
+    return result.rows.map(row => new PracticeAssociation(row));
+  }
+
+  async update({ sourcePracticeVersionId, targetPracticeVersionId, type }) {
+    const source = sourcePracticeVersionId || this.sourcePracticeVersionId;
+    const target = targetPracticeVersionId || this.targetPracticeVersionId;
+    if (parseInt(source) === parseInt(target)) {
+      throw new Error('A practice version cannot be associated with itself');
+    }
+
+    const typeId = type ? await PracticeAssociation.resolveTypeId(type) : this.typeId;
+
+    try {
+      const result = await pool.query(
+        `UPDATE practiceAssociation
+         SET sourcePracticeVersionId = $1, targetPracticeVersionId = $2, typeId = $3
+         WHERE id = $4`,
+        [source, target, typeId, this.id]
+      );
+
+      if (result.rowCount === 0) {
+        throw new Error('Association not found');
+      }
+    } catch (error) {
+      if (error.code === '23503') {
+        throw new Error('Invalid practice version ID');
+      }
+      if (error.code === '23505') {
+        throw new Error('Association already exists');
+      }
+      throw error;
+    }
+
+    const updated = await PracticeAssociation.findById(this.id);
+    Object.assign(this, updated);
+    return this;
+  }
+
+  async delete() {
+    const result = await pool.query(
+      'DELETE FROM practiceAssociation WHERE id = $1',
+      [this.id]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      sourcePracticeVersionId: this.sourcePracticeVersionId,
+      sourcePracticeId: this.sourcePracticeId,
+      sourceName: this.sourceName,
+      targetPracticeVersionId: this.targetPracticeVersionId,
+      targetPracticeId: this.targetPracticeId,
+      targetName: this.targetName,
+      type: this.type,
+      typeName: this.typeName
+    };
+  }
+}
+
+PracticeAssociation.TYPES = ASSOCIATION_TYPES;
+
+module.exports = PracticeAssociation;
@@ -0,0 +1,138 @@
+const pool = require('../config/database');
+
+const TRAITS = ['O', 'C', 'E', 'A', 'N'];
+
+class PracticeTraitProfile {
+  constructor(data) {
+    this.practiceVersionId = data.practiceversionid || data.practiceVersionId;
+    this.trait = data.trait;
+    this.weight = data.weight;
+    this.direction = data.direction;
+    this.rationale = data.rationale;
+    this.lastUpdate = data.lastupdate || data.lastUpdate;
+    this.lastUpdateById = data.lastupdatebyid || data.lastUpdateById;
+  }
+
+  // Validate a list of trait demands ({trait, weight, direction, rationale})
+  static validate(demands) {
+    if (!Array.isArray(demands)) {
+      throw new Error('Trait profile must be an array');
+    }
+
+    const seen = new Set();
+    demands.forEach(demand => {
+      if (!TRAITS.includes(demand.trait)) {
+        throw new Error(`Trait must be one of ${TRAITS.join(', ')}`);
+      }
+      if (seen.has(demand.trait)) {
+        throw new Error(`Trait ${demand.trait} is listed more than once`);
+      }
+      seen.add(demand.trait);
+
+      const weight = Number(demand.weight);
+      if (isNaN(weight) || weight < 0 || weight > 1) {
+        throw new Error('Trait weight must be between 0 and 1');
+      }
+
+      if (demand.direction !== undefined && ![1, -1].includes(Number(demand.direction))) {
+        throw new Error('Trait direction must be 1 or -1');
+      }
+    });
+  }
+
+  static async findByPracticeVersionId(practiceVersionId) {
+    const result = await pool.query(
+      `SELECT * FROM practiceTraitProfile
+       WHERE practiceVersionId = $1
+       ORDER BY trait`,
+      [practiceVersionId]
+    );
+
+    return result.rows.map(row => new PracticeTraitProfile(row));
+  }
+
+  // Load the profiles of many practice versions at once, keyed by practice version ID
+  static async findByPracticeVersionIds(practiceVersionIds, db = pool) {
+    const profiles = new Map();
+    if (!Array.isArray(practiceVersionIds) || practiceVersionIds.length === 0) {
+      return profiles;
+    }
+
+    const result = await db.query(
+      `SELECT * FROM practiceTraitProfile
+       WHERE practiceVersionId = ANY($1::int[])
+       ORDER BY practiceVersionId, trait`,
+      [practiceVersionIds]
+    );
+
+    result.rows.forEach(row => {
+      const demand = new PracticeTraitProfile(row);
+      if (!profiles.has(demand.practiceVersionId)) {
+        profiles.set(demand.practiceVersionId, []);
+      }
+      profiles.get(demand.practiceVersionId).push(demand);
+    });
+
+    return profiles;
+  }
+
+  // Replace the whole trait profile of a practice version
+  static async replaceForPracticeVersion(practiceVersionId, demands, lastUpdateById = null) {
+    PracticeTraitProfile.validate(demands);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        'DELETE FROM practiceTraitProfile WHERE practiceVersionId = $1',
+        [practiceVersionId]
+      );
+
+      const profile = [];
+      for (const demand of demands) {
+        const result = await client.query(
+          `INSERT INTO practiceTraitProfile (practiceVersionId, trait, weight, direction, rationale, lastUpdateById)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING *`,
+          [
+            practiceVersionId,
+            demand.trait,
+            Number(demand.weight),
+            demand.direction !== undefined ? Number(demand.direction) : 1,
+            demand.rationale || null,
+            lastUpdateById
+          ]
+        );
+        profile.push(new PracticeTraitProfile(result.rows[0]));
+      }
+
+      await client.query('COMMIT');
+      return profile;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.code === '23503') {
+        throw new Error('Invalid practice version ID');
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  toJSON() {
+    return {
+      practiceVersionId: this.practiceVersionId,
+      trait: this.trait,
+      weight: this.weight,
+      direction: this.direction,
+      rationale: this.rationale,
+      lastUpdate: this.lastUpdate,
+      lastUpdateById: this.lastUpdateById
+    };
+  }
+}
+
+PracticeTraitProfile.TRAITS = TRAITS;
+
+module.exports = PracticeTraitProfile;
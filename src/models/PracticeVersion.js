@@ -1,5 +1,26 @@
 const pool = require('../config/database');
 
+// Lifecycle of a practice version and the moves allowed between statuses
+const STATUSES = ['Draft', 'In Review', 'Published', 'Deprecated', 'Archived'];
+const TRANSITIONS = {
+  'Draft': ['In Review', 'Archived'],
+  'In Review': ['Draft', 'Published'],
+  'Published': ['Deprecated', 'Archived'],
+  'Deprecated': ['Published', 'Archived'],
+  'Archived': []
+};
+
+// Content a version needs before it can be reviewed or published
+const READINESS_CHECKS = ['activities', 'roles', 'goals', 'completionCriteria'];
+
+// IDs of the latest shared published version of each practice: the candidates of
+// recommendations, portfolios and simulations (drafts and team forks stay out)
+const RECOMMENDABLE_VERSION_IDS = `
+  SELECT DISTINCT ON (rv.practiceId) rv.id
+  FROM practiceVersion rv
+  WHERE rv.status = 'Published' AND rv.forkedFromId IS NULL
+  ORDER BY rv.practiceId, rv.publishedAt DESC NULLS LAST, rv.id DESC`;
+
 class PracticeVersion {
   constructor(data) {
     this.id = data.id;
@@ -11,6 +32,12 @@ class PracticeVersion {
     this.lastUpdate = data.lastupdate || data.lastUpdate;
     this.lastUpdateById = data.lastupdatebyid || data.lastUpdateById;
     this.status = data.status || 'Draft'; // Default status
+    this.submittedById = data.submittedbyid || data.submittedById || null;
+    this.submittedAt = data.submittedat || data.submittedAt || null;
+    this.reviewedById = data.reviewedbyid || data.reviewedById || null;
+    this.publishedAt = data.publishedat || data.publishedAt || null;
+    this.forkedFromId = data.forkedfromid || data.forkedFromId || null;
+    this.baseVersionId = data.baseversionid || data.baseVersionId || null;
   }
 
   static async create({ practiceId, universeId, versionName, changeDescription, lastUpdateById, status = 'Draft' }) {
@@ -18,18 +45,19 @@ class PracticeVersion {
     if (!practiceId || !universeId || !versionName || !lastUpdateById) {
       throw new Error('Practice ID, universe ID, version name, and last update by ID are required');
     }
+    if (!STATUSES.includes(status)) {
+      throw new Error(`Status must be one of ${STATUSES.join(', ')}`);
+    }
 
     try {
       const result = await pool.query(
-        `INSERT INTO practiceVersion (practiceId, universeId, versionName, changeDescription, lastUpdate, lastUpdateById) 
-         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, $5) 
-         RETURNING id, practiceId, universeId, versionName, versionTimestamp, changeDescription, lastUpdate, lastUpdateById`,
-        [practiceId, universeId, versionName, changeDescription || null, lastUpdateById]
+        `INSERT INTO practiceVersion (practiceId, universeId, versionName, changeDescription, lastUpdate, lastUpdateById, status) 
+         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, $5, $6) 
+         RETURNING *`,
+        [practiceId, universeId, versionName, changeDescription || null, lastUpdateById, status]
       );
 
-      const practiceVersion = new PracticeVersion(result.rows[0]);
-      practiceVersion.status = status;
-      return practiceVersion;
+      return new PracticeVersion(result.rows[0]);
     } catch (error) {
       if (error.code === '23503') { // Foreign key constraint violation
         throw new Error('Invalid practice ID, universe ID, or user ID');
@@ -80,12 +108,11 @@ class PracticeVersion {
   }
 
   static async findPublished({ limit = 50, offset = 0 } = {}) {
-    // For now, we'll consider all practice versions as potentially published
-    // In a real implementation, you might add a status column to track draft vs published
     const result = await pool.query(
       `SELECT pv.*, p.name as practiceName, p.objective, p.description as practiceDescription
        FROM practiceVersion pv
        JOIN Practice p ON pv.practiceId = p.id
+       WHERE pv.status = 'Published' AND pv.forkedFromId IS NULL
        ORDER BY pv.versionTimestamp DESC
        LIMIT $1 OFFSET $2`,
       [limit, offset]
@@ -100,6 +127,42 @@ class PracticeVersion {
     });
   }
 
+  static async findRecommendable() {
+    const result = await pool.query(
+      `SELECT pv.*, p.name as practiceName, p.objective, p.description as practiceDescription
+       FROM practiceVersion pv
+       JOIN Practice p ON pv.practiceId = p.id
+       WHERE pv.id IN (${RECOMMENDABLE_VERSION_IDS})
+       ORDER BY pv.versionTimestamp DESC`
+    );
+
+    return result.rows.map(row => {
+      const pv = new PracticeVersion(row);
+      pv.practiceName = row.practicename;
+      pv.practiceObjective = row.objective;
+      pv.practiceDescription = row.practicedescription;
+      return pv;
+    });
+  }
+
+  // Versions a person's affinities are kept for: the recommendable ones and
+  // those active in the universes of the person's teams, forks included
+  static async findAffinityTargetIds(personId) {
+    const result = await pool.query(
+      `SELECT id FROM (${RECOMMENDABLE_VERSION_IDS}) recommendable
+       UNION
+       SELECT pvu.practiceVersionId
+       FROM PracticeVersionUniverse pvu
+       JOIN Universe u ON pvu.universeId = u.id
+       JOIN teamMember tm ON tm.teamId = u.teamId
+       WHERE tm.personId = $1 AND pvu.isActive = true
+       ORDER BY 1`,
+      [personId]
+    );
+
+    return result.rows.map(row => row.id);
+  }
+
   async update({ versionName, changeDescription, lastUpdateById }) {
     const result = await pool.query(
       `UPDATE practiceVersion 
@@ -108,7 +171,7 @@ class PracticeVersion {
            lastUpdate = CURRENT_TIMESTAMP,
            lastUpdateById = COALESCE($3, lastUpdateById)
        WHERE id = $4
-       RETURNING id, practiceId, universeId, versionName, versionTimestamp, changeDescription, lastUpdate, lastUpdateById`,
+       RETURNING *`,
       [versionName, changeDescription, lastUpdateById, this.id]
     );
 
@@ -130,10 +193,156 @@ class PracticeVersion {
     return result.rowCount > 0;
   }
 
-  async publish() {
-    // Change status to Published
-    this.status = 'Published';
-    return this;
+  // Statuses reachable from a status
+  static allowedTransitions(status) {
+    return TRANSITIONS[status] || [];
+  }
+
+  // Which readiness checks pass, from counts of the version's content
+  static checkReadiness(counts = {}) {
+    const missing = READINESS_CHECKS.filter(check => !(parseInt(counts[check]) > 0));
+
+    return {
+      ready: missing.length === 0,
+      missing,
+      counts: READINESS_CHECKS.reduce((result, check) => {
+        result[check] = parseInt(counts[check]) || 0;
+        return result;
+      }, {})
+    };
+  }
+
+  // Check a status change against the lifecycle rules; throws on the first broken rule
+  static validateTransition({ from, to, personId, submittedById, readiness }) {
+    if (!STATUSES.includes(to)) {
+      throw new Error(`Status must be one of ${STATUSES.join(', ')}`);
+    }
+    if (!PracticeVersion.allowedTransitions(from).includes(to)) {
+      throw new Error(`Cannot move practice version from ${from} to ${to}`);
+    }
+
+    // Review and publication need complete content
+    if ((to === 'In Review' || (from === 'In Review' && to === 'Published')) && readiness && !readiness.ready) {
+      throw new Error(`Practice version is not ready: missing ${readiness.missing.join(', ')}`);
+    }
+
+    // Publishing from review is the sign-off of a second expert
+    if (from === 'In Review' && to === 'Published' && submittedById && parseInt(personId) === parseInt(submittedById)) {
+      throw new Error('Publishing requires sign-off by an expert other than the one who submitted the version');
+    }
+  }
+
+  async getReadiness() {
+    const result = await pool.query(
+      `SELECT
+         (SELECT COUNT(*) FROM practiceVersionActivity WHERE practiceVersionId = $1) as activities,
+         (SELECT COUNT(*) FROM roleUse WHERE practiceVersionId = $1) as roles,
+         (SELECT COUNT(*) FROM (
+            SELECT goalId FROM practiceGoal WHERE practiceVersionId = $1
+            UNION
+            SELECT rg.goalId FROM recommendationGoal rg
+            JOIN Recommendation r ON rg.recommendationId = r.id
+            WHERE r.practiceVersionId = $1
+          ) goals) as goals,
+         (SELECT COUNT(*) FROM completionCriteria WHERE practiceVersionId = $1) as completionCriteria`,
+      [this.id]
+    );
+
+    const row = result.rows[0];
+    return PracticeVersion.checkReadiness({
+      activities: row.activities,
+      roles: row.roles,
+      goals: row.goals,
+      completionCriteria: row.completioncriteria
+    });
+  }
+
+  async transition(toStatus, personId, comment = null) {
+    if (!personId) {
+      throw new Error('Person ID is required to change the status');
+    }
+
+    const readiness = await this.getReadiness();
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Lock the row so two experts cannot move the same version at once
+      const current = await client.query(
+        'SELECT status, submittedById FROM practiceVersion WHERE id = $1 FOR UPDATE',
+        [this.id]
+      );
+      if (current.rows.length === 0) {
+        throw new Error('Practice version not found');
+      }
+      const from = current.rows[0].status;
+
+      PracticeVersion.validateTransition({
+        from,
+        to: toStatus,
+        personId,
+        submittedById: current.rows[0].submittedbyid,
+        readiness
+      });
+
+      const result = await client.query(
+        `UPDATE practiceVersion
+         SET status = $1::varchar,
+             submittedById = CASE WHEN $1::varchar = 'In Review' THEN $2::integer ELSE submittedById END,
+             submittedAt = CASE WHEN $1::varchar = 'In Review' THEN CURRENT_TIMESTAMP ELSE submittedAt END,
+             reviewedById = CASE WHEN $1::varchar = 'Published' AND $3::varchar = 'In Review' THEN $2::integer ELSE reviewedById END,
+             publishedAt = CASE WHEN $1::varchar = 'Published' THEN CURRENT_TIMESTAMP ELSE publishedAt END
+         WHERE id = $4
+         RETURNING *`,
+        [toStatus, personId, from, this.id]
+      );
+
+      await client.query(
+        `INSERT INTO practiceVersionTransition (practiceVersionId, fromStatus, toStatus, personId, comment)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [this.id, from, toStatus, personId, comment || null]
+      );
+
+      await client.query('COMMIT');
+
+      Object.assign(this, new PracticeVersion(result.rows[0]));
+      return this;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async submitForReview(personId, comment = null) {
+    return this.transition('In Review', personId, comment);
+  }
+
+  async publish(personId, comment = null) {
+    return this.transition('Published', personId, comment);
+  }
+
+  async getHistory() {
+    const result = await pool.query(
+      `SELECT t.*, p.name as personName
+       FROM practiceVersionTransition t
+       LEFT JOIN Person p ON t.personId = p.id
+       WHERE t.practiceVersionId = $1
+       ORDER BY t.createdAt, t.id`,
+      [this.id]
+    );
+
+    return result.rows.map(row => ({
+      id: row.id,
+      fromStatus: row.fromstatus,
+      toStatus: row.tostatus,
+      personId: row.personid,
+      personName: row.personname,
+      comment: row.comment,
+      createdAt: row.createdat
+    }));
   }
 
   async getActivities() {
@@ -213,9 +422,19 @@ class PracticeVersion {
       changeDescription: this.changeDescription,
       lastUpdate: this.lastUpdate,
       lastUpdateById: this.lastUpdateById,
-      status: this.status
+      status: this.status,
+      submittedById: this.submittedById,
+      submittedAt: this.submittedAt,
+      reviewedById: this.reviewedById,
+      publishedAt: this.publishedAt,
+      forkedFromId: this.forkedFromId,
+      baseVersionId: this.baseVersionId
     };
   }
 }
 
+PracticeVersion.STATUSES = STATUSES;
+PracticeVersion.READINESS_CHECKS = READINESS_CHECKS;
+PracticeVersion.RECOMMENDABLE_VERSION_IDS = RECOMMENDABLE_VERSION_IDS;
+
 module.exports = PracticeVersion;
\ No newline at end of file
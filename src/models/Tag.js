@@ -0,0 +1,318 @@
+const pool = require('../config/database');
+
+// Tags with their vocabulary, synonyms and number of tagged practices
+const SELECT_TAGS = `
+  SELECT t.*, tv.name AS vocabularyName,
+         COALESCE((SELECT json_agg(json_build_object('id', ts.id, 'name', ts.name) ORDER BY ts.name)
+                   FROM tagSynonym ts WHERE ts.tagId = t.id), '[]') AS synonyms,
+         (SELECT COUNT(*) FROM practiceTag pt WHERE pt.tagId = t.id) AS practiceCount
+  FROM Tag t
+  LEFT JOIN tagVocabulary tv ON t.vocabularyId = tv.id`;
+
+class Tag {
+  constructor(data) {
+    this.id = data.id;
+    this.vocabularyId = data.vocabularyid || data.vocabularyId || null;
+    this.vocabularyName = data.vocabularyname || data.vocabularyName || null;
+    this.name = data.name;
+    this.description = data.description;
+    this.synonyms = data.synonyms || [];
+    this.practiceCount = data.practicecount !== undefined ? parseInt(data.practicecount) : (data.practiceCount || 0);
+    this.createdById = data.createdbyid || data.createdById;
+    this.createdAt = data.createdat || data.createdAt;
+  }
+
+  get isCurated() {
+    return this.vocabularyId !== null;
+  }
+
+  static validateName(name, label = 'Tag name') {
+    if (!name || !name.trim()) {
+      throw new Error(`${label} is required`);
+    }
+    if (name.trim().length > 64) {
+      throw new Error(`${label} must be at most 64 characters`);
+    }
+    return name.trim();
+  }
+
+  /**
+   * Check that a name is free to use as a tag name or synonym
+   * @param {string} name - Candidate name
+   * @param {number} ownTagId - Tag allowed to already hold the name (when renaming)
+   * @param {Object} client - Pool or transaction client
+   */
+  static async ensureNameAvailable(name, ownTagId = null, client = pool) {
+    const result = await client.query(
+      `SELECT t.id, t.name, 'tag' AS kind FROM Tag t WHERE LOWER(t.name) = LOWER($1)
+       UNION ALL
+       SELECT t.id, t.name, 'synonym' AS kind FROM tagSynonym ts JOIN Tag t ON ts.tagId = t.id
+       WHERE LOWER(ts.name) = LOWER($1)`,
+      [name]
+    );
+
+    const conflict = result.rows.find(row => row.kind === 'synonym' || row.id !== ownTagId);
+    if (conflict) {
+      throw new Error(conflict.kind === 'tag'
+        ? `Tag "${conflict.name}" already exists`
+        : `"${name}" is already a synonym of tag "${conflict.name}"`);
+    }
+  }
+
+  static async create({ name, description, vocabularyId, createdById }) {
+    const tagName = Tag.validateName(name);
+    await Tag.ensureNameAvailable(tagName);
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO Tag (vocabularyId, name, description, createdById)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id`,
+        [vocabularyId || null, tagName, description || null, createdById || null]
+      );
+
+      return Tag.findById(result.rows[0].id);
+    } catch (error) {
+      if (error.code === '23503') { // Foreign key constraint violation
+        throw new Error('Vocabulary not found');
+      }
+      if (error.code === '23505') { // Unique constraint violation
+        throw new Error(`Tag "${tagName}" already exists`);
+      }
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    const result = await pool.query(
+      `${SELECT_TAGS} WHERE t.id = $1`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new Tag(result.rows[0]);
+  }
+
+  // Find the tag a name refers to, either directly or through a synonym
+  static async findByName(name) {
+    const result = await pool.query(
+      `${SELECT_TAGS}
+       WHERE LOWER(t.name) = LOWER($1)
+          OR EXISTS (SELECT 1 FROM tagSynonym ts WHERE ts.tagId = t.id AND LOWER(ts.name) = LOWER($1))`,
+      [name.trim()]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new Tag(result.rows[0]);
+  }
+
+  /**
+   * List tags
+   * @param {Object} options - vocabularyId, freeForm (only tags without vocabulary), search (name or synonym prefix)
+   */
+  static async findAll({ vocabularyId, freeForm, search } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (vocabularyId) {
+      params.push(vocabularyId);
+      conditions.push(`t.vocabularyId = $${params.length}`);
+    }
+    if (freeForm) {
+      conditions.push('t.vocabularyId IS NULL');
+    }
+    if (search && search.trim()) {
+      params.push(`${search.trim()}%`);
+      conditions.push(`(LOWER(t.name) LIKE LOWER($${params.length})
+        OR EXISTS (SELECT 1 FROM tagSynonym ts WHERE ts.tagId = t.id AND LOWER(ts.name) LIKE LOWER($${params.length})))`);
+    }
+
+    const result = await pool.query(
+      `${SELECT_TAGS}
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY tv.name NULLS LAST, t.name`,
+      params
+    );
+    return result.rows.map(row => new Tag(row));
+  }
+
+  static async findForPractice(practiceId) {
+    const result = await pool.query(
+      `${SELECT_TAGS}
+       JOIN practiceTag ptg ON ptg.tagId = t.id
+       WHERE ptg.practiceId = $1
+       ORDER BY t.name`,
+      [practiceId]
+    );
+    return result.rows.map(row => new Tag(row));
+  }
+
+  /**
+   * Tag a practice by name. The name resolves through tag names and synonyms;
+   * an unknown name becomes a new free-form tag.
+   * @returns {Tag} The tag now on the practice
+   */
+  static async tagPractice(practiceId, name, personId) {
+    const tagName = Tag.validateName(name);
+    let tag = await Tag.findByName(tagName);
+    if (!tag) {
+      tag = await Tag.create({ name: tagName, createdById: personId });
+    }
+
+    try {
+      await pool.query(
+        `INSERT INTO practiceTag (practiceId, tagId, taggedById)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (practiceId, tagId) DO NOTHING`,
+        [practiceId, tag.id, personId || null]
+      );
+    } catch (error) {
+      if (error.code === '23503') {
+        throw new Error('Practice not found');
+      }
+      throw error;
+    }
+
+    return tag;
+  }
+
+  // Remove a tag from a practice; with taggedById, only when that person added it
+  static async untagPractice(practiceId, tagId, { taggedById } = {}) {
+    const result = await pool.query(
+      `DELETE FROM practiceTag
+       WHERE practiceId = $1 AND tagId = $2 AND ($3::int IS NULL OR taggedById = $3)`,
+      [practiceId, tagId, taggedById || null]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  async update({ name, description, vocabularyId }) {
+    const tagName = name !== undefined ? Tag.validateName(name) : this.name;
+    if (tagName.toLowerCase() !== this.name.toLowerCase()) {
+      await Tag.ensureNameAvailable(tagName, this.id);
+    }
+
+    try {
+      await pool.query(
+        `UPDATE Tag
+         SET name = $1, description = $2, vocabularyId = $3
+         WHERE id = $4`,
+        [
+          tagName,
+          description !== undefined ? description : this.description,
+          vocabularyId !== undefined ? (vocabularyId || null) : this.vocabularyId,
+          this.id
+        ]
+      );
+    } catch (error) {
+      if (error.code === '23503') {
+        throw new Error('Vocabulary not found');
+      }
+      throw error;
+    }
+
+    Object.assign(this, await Tag.findById(this.id));
+    return this;
+  }
+
+  async delete() {
+    const result = await pool.query(
+      'DELETE FROM Tag WHERE id = $1',
+      [this.id]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  async addSynonym(name) {
+    const synonym = Tag.validateName(name, 'Synonym');
+    await Tag.ensureNameAvailable(synonym);
+
+    await pool.query(
+      'INSERT INTO tagSynonym (tagId, name) VALUES ($1, $2)',
+      [this.id, synonym]
+    );
+
+    Object.assign(this, await Tag.findById(this.id));
+    return this;
+  }
+
+  async removeSynonym(synonymId) {
+    const result = await pool.query(
+      'DELETE FROM tagSynonym WHERE id = $1 AND tagId = $2',
+      [synonymId, this.id]
+    );
+
+    if (result.rowCount === 0) {
+      throw new Error('Synonym not found');
+    }
+
+    Object.assign(this, await Tag.findById(this.id));
+    return this;
+  }
+
+  /**
+   * Merge this tag into another one: its practices and synonyms move to the
+   * target, its name becomes a synonym of the target and the tag is deleted
+   * @param {number} targetTagId - Tag that remains
+   * @returns {Tag} The target tag after the merge
+   */
+  async mergeInto(targetTagId) {
+    if (parseInt(targetTagId) === this.id) {
+      throw new Error('A tag cannot be merged into itself');
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const target = await client.query('SELECT id FROM Tag WHERE id = $1 FOR UPDATE', [targetTagId]);
+      if (target.rows.length === 0) {
+        throw new Error('Target tag not found');
+      }
+
+      await client.query(
+        `INSERT INTO practiceTag (practiceId, tagId, taggedById, taggedAt)
+         SELECT practiceId, $2, taggedById, taggedAt FROM practiceTag WHERE tagId = $1
+         ON CONFLICT (practiceId, tagId) DO NOTHING`,
+        [this.id, targetTagId]
+      );
+      await client.query('UPDATE tagSynonym SET tagId = $2 WHERE tagId = $1', [this.id, targetTagId]);
+      await client.query('DELETE FROM Tag WHERE id = $1', [this.id]);
+      await client.query('INSERT INTO tagSynonym (tagId, name) VALUES ($1, $2)', [targetTagId, this.name]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return Tag.findById(targetTagId);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      vocabularyId: this.vocabularyId,
+      vocabularyName: this.vocabularyName,
+      name: this.name,
+      description: this.description,
+      isCurated: this.isCurated,
+      synonyms: this.synonyms,
+      practiceCount: this.practiceCount,
+      createdById: this.createdById,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = Tag;
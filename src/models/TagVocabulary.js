@@ -0,0 +1,116 @@
+const pool = require('../config/database');
+
+// Expert-managed list of curated tags
+class TagVocabulary {
+  constructor(data) {
+    this.id = data.id;
+    this.name = data.name;
+    this.description = data.description;
+    this.createdById = data.createdbyid || data.createdById;
+    this.createdAt = data.createdat || data.createdAt;
+    this.tagCount = data.tagcount !== undefined ? parseInt(data.tagcount) : data.tagCount;
+  }
+
+  static validateName(name) {
+    if (!name || !name.trim()) {
+      throw new Error('Vocabulary name is required');
+    }
+    if (name.trim().length > 64) {
+      throw new Error('Vocabulary name must be at most 64 characters');
+    }
+    return name.trim();
+  }
+
+  static async create({ name, description, createdById }) {
+    const vocabularyName = TagVocabulary.validateName(name);
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO tagVocabulary (name, description, createdById)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [vocabularyName, description || null, createdById || null]
+      );
+
+      return new TagVocabulary(Object.assign(result.rows[0], { tagCount: 0 }));
+    } catch (error) {
+      if (error.code === '23505') { // Unique constraint violation
+        throw new Error('Vocabulary already exists');
+      }
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    const result = await pool.query(
+      `SELECT tv.*, (SELECT COUNT(*) FROM Tag t WHERE t.vocabularyId = tv.id) as tagCount
+       FROM tagVocabulary tv
+       WHERE tv.id = $1`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new TagVocabulary(result.rows[0]);
+  }
+
+  static async findAll() {
+    const result = await pool.query(
+      `SELECT tv.*, (SELECT COUNT(*) FROM Tag t WHERE t.vocabularyId = tv.id) as tagCount
+       FROM tagVocabulary tv
+       ORDER BY tv.name`
+    );
+    return result.rows.map(row => new TagVocabulary(row));
+  }
+
+  async update({ name, description }) {
+    const vocabularyName = name !== undefined ? TagVocabulary.validateName(name) : this.name;
+
+    try {
+      const result = await pool.query(
+        `UPDATE tagVocabulary
+         SET name = $1, description = $2
+         WHERE id = $3
+         RETURNING *`,
+        [vocabularyName, description !== undefined ? description : this.description, this.id]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Vocabulary not found');
+      }
+
+      Object.assign(this, new TagVocabulary(Object.assign(result.rows[0], { tagCount: this.tagCount })));
+      return this;
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error('Vocabulary already exists');
+      }
+      throw error;
+    }
+  }
+
+  // Tags of a deleted vocabulary stay on their practices as free-form tags
+  async delete() {
+    const result = await pool.query(
+      'DELETE FROM tagVocabulary WHERE id = $1',
+      [this.id]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      createdById: this.createdById,
+      createdAt: this.createdAt,
+      tagCount: this.tagCount
+    };
+  }
+}
+
+module.exports = TagVocabulary;
@@ -1,10 +1,36 @@
 const pool = require('../config/database');
 
+// Roles a person can hold in a team, most privileged first
+const ROLES = ['owner', 'facilitator', 'member', 'observer'];
+
+// Team roles allowed to perform each team-scoped action
+const PERMISSIONS = {
+  view: ['owner', 'facilitator', 'member', 'observer'],
+  contribute: ['owner', 'facilitator', 'member'],
+  manage: ['owner', 'facilitator'],
+  manageMembers: ['owner']
+};
+
 class Team {
   constructor(data) {
     this.id = data.id;
     this.name = data.name;
     this.description = data.description;
+    this.aggregationStrategy = data.aggregationstrategy || data.aggregationStrategy || 'average';
+    this.role = data.role;
+  }
+
+  /**
+   * Check whether a team role grants a permission
+   * @param {string} role - Team role (owner, facilitator, member or observer)
+   * @param {string} permission - Key of Team.PERMISSIONS
+   * @returns {boolean} True if the role grants the permission
+   */
+  static can(role, permission) {
+    if (!PERMISSIONS[permission]) {
+      throw new Error(`Unknown team permission: ${permission}`);
+    }
+    return PERMISSIONS[permission].includes(role);
   }
 
   static async create({ name, description, creatorId }) {
@@ -22,18 +48,19 @@ class Team {
       const teamResult = await client.query(
         `INSERT INTO Team (name, description) 
          VALUES ($1, $2) 
-         RETURNING id, name, description`,
+         RETURNING id, name, description, aggregationStrategy`,
         [name, description || null]
       );
 
       const team = new Team(teamResult.rows[0]);
 
-      // Add creator as team member
+      // The creator owns the team
       await client.query(
-        `INSERT INTO teamMember (teamId, personId) 
-         VALUES ($1, $2)`,
+        `INSERT INTO teamMember (teamId, personId, role) 
+         VALUES ($1, $2, 'owner')`,
         [team.id, creatorId]
       );
+      team.role = 'owner';
 
       await client.query('COMMIT');
       return team;
@@ -74,7 +101,7 @@ class Team {
 
   async getMembers() {
     const result = await pool.query(
-      `SELECT p.id, p.name, p.email, p.roleId, p.createdAt
+      `SELECT p.id, p.name, p.email, p.roleId, p.createdAt, tm.role
        FROM Person p
        JOIN teamMember tm ON p.id = tm.personId
        WHERE tm.teamId = $1
@@ -85,20 +112,34 @@ class Team {
     return result.rows;
   }
 
-  async addMember(personId) {
+  async addMember(personId, role = 'member') {
+    if (!ROLES.includes(role) || role === 'owner') {
+      throw new Error(`Invalid team role: ${role}`);
+    }
+
     try {
       await pool.query(
-        `INSERT INTO teamMember (teamId, personId) 
-         VALUES ($1, $2)`,
-        [this.id, personId]
+        `INSERT INTO teamMember (teamId, personId, role) 
+         VALUES ($1, $2, $3)`,
+        [this.id, personId, role]
       );
-      return true;
     } catch (error) {
       if (error.code === '23505') { // Unique constraint violation
         throw new Error('Person is already a team member');
       }
       throw error;
     }
+
+    // Make sure the new member's affinities are ready for the team's aggregates
+    // Import here to avoid circular dependency
+    const AffinityJobService = require('../services/affinityJobService');
+    try {
+      await AffinityJobService.enqueuePerson(personId);
+    } catch (error) {
+      console.error('Error queueing affinity recalculation:', error);
+    }
+
+    return true;
   }
 
   async removeMember(personId) {
@@ -112,24 +153,91 @@ class Team {
   }
 
   async isMember(personId) {
+    return (await this.getRole(personId)) !== null;
+  }
+
+  /**
+   * Get a person's role in the team
+   * @param {number} personId - The person ID
+   * @returns {string|null} The team role, or null if the person is not a member
+   */
+  async getRole(personId) {
     const result = await pool.query(
-      `SELECT 1 FROM teamMember 
+      `SELECT role FROM teamMember 
        WHERE teamId = $1 AND personId = $2`,
       [this.id, personId]
     );
 
-    return result.rows.length > 0;
+    return result.rows.length > 0 ? result.rows[0].role : null;
+  }
+
+  /**
+   * Change a member's role; ownership only moves with transferOwnership
+   * @param {number} personId - The member's person ID
+   * @param {string} role - facilitator, member or observer
+   * @returns {boolean} True if the member's role was changed
+   */
+  async setRole(personId, role) {
+    if (!ROLES.includes(role) || role === 'owner') {
+      throw new Error(`Invalid team role: ${role}`);
+    }
+
+    const result = await pool.query(
+      `UPDATE teamMember SET role = $3
+       WHERE teamId = $1 AND personId = $2 AND role <> 'owner'`,
+      [this.id, personId, role]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Hand the team over to another member; the previous owner stays on as facilitator
+   * @param {number} ownerId - The current owner's person ID
+   * @param {number} personId - The new owner's person ID
+   */
+  async transferOwnership(ownerId, personId) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const demoted = await client.query(
+        `UPDATE teamMember SET role = 'facilitator'
+         WHERE teamId = $1 AND personId = $2 AND role = 'owner'`,
+        [this.id, ownerId]
+      );
+      if (demoted.rowCount === 0) {
+        throw new Error('Only the team owner can transfer ownership');
+      }
+
+      const promoted = await client.query(
+        `UPDATE teamMember SET role = 'owner'
+         WHERE teamId = $1 AND personId = $2`,
+        [this.id, personId]
+      );
+      if (promoted.rowCount === 0) {
+        throw new Error('New owner must be a team member');
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
   }
 
   static async getTeamsForPerson(personId) {
     const result = await pool.query(
-      `SELECT t.id, t.name, t.description, 
+      `SELECT t.id, t.name, t.description, t.aggregationStrategy, tm.role,
               COUNT(tm2.personId) as memberCount
        FROM Team t
        JOIN teamMember tm ON t.id = tm.teamId
        LEFT JOIN teamMember tm2 ON t.id = tm2.teamId
        WHERE tm.personId = $1
-       GROUP BY t.id, t.name, t.description
+       GROUP BY t.id, t.name, t.description, t.aggregationStrategy, tm.role
        ORDER BY t.name`,
       [personId]
     );
@@ -141,12 +249,30 @@ class Team {
     });
   }
 
-  async update({ name, description }) {
+  /**
+   * Check whether two people are members of at least one common team
+   * @param {number} personId - The first person's ID
+   * @param {number} otherPersonId - The second person's ID
+   * @returns {boolean} True if they share a team
+   */
+  static async shareTeam(personId, otherPersonId) {
     const result = await pool.query(
-      `UPDATE Team SET name = $1, description = $2 
-       WHERE id = $3 
-       RETURNING id, name, description`,
-      [name, description || null, this.id]
+      `SELECT 1 FROM teamMember tm
+       JOIN teamMember other ON other.teamId = tm.teamId
+       WHERE tm.personId = $1 AND other.personId = $2
+       LIMIT 1`,
+      [personId, otherPersonId]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  async update({ name, description, aggregationStrategy }) {
+    const result = await pool.query(
+      `UPDATE Team SET name = $1, description = $2, aggregationStrategy = COALESCE($3, aggregationStrategy)
+       WHERE id = $4 
+       RETURNING id, name, description, aggregationStrategy`,
+      [name, description || null, aggregationStrategy || null, this.id]
     );
 
     if (result.rows.length === 0) {
@@ -156,6 +282,7 @@ class Team {
     // Update current instance
     this.name = result.rows[0].name;
     this.description = result.rows[0].description;
+    this.aggregationStrategy = result.rows[0].aggregationstrategy;
 
     return this;
   }
@@ -165,9 +292,14 @@ class Team {
       id: this.id,
       name: this.name,
       description: this.description,
-      memberCount: this.memberCount
+      aggregationStrategy: this.aggregationStrategy,
+      memberCount: this.memberCount,
+      role: this.role
     };
   }
 }
 
+Team.ROLES = ROLES;
+Team.PERMISSIONS = PERMISSIONS;
+
 module.exports = Team;
\ No newline at end of file
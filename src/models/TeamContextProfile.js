@@ -0,0 +1,107 @@
+const pool = require('../config/database');
+const ContextMatchingService = require('../services/contextMatchingService');
+
+// A team's description of its own situation: one value per context indicator name
+class TeamContextProfile {
+  constructor(teamId, rows = []) {
+    this.teamId = teamId;
+    this.values = {};
+    this.updatedAt = null;
+    this.updatedById = null;
+
+    rows.forEach(row => {
+      this.values[row.indicatorname] = row.value;
+      if (!this.updatedAt || row.updatedat > this.updatedAt) {
+        this.updatedAt = row.updatedat;
+        this.updatedById = row.updatedbyid;
+      }
+    });
+  }
+
+  static async findByTeamId(teamId) {
+    const result = await pool.query(
+      'SELECT * FROM teamContextValue WHERE teamId = $1 ORDER BY indicatorName',
+      [teamId]
+    );
+    return new TeamContextProfile(teamId, result.rows);
+  }
+
+  /**
+   * Set some of the team's indicator values; others are kept
+   * @param {number} teamId - The team ID
+   * @param {Object} values - Values keyed by indicator name; null or '' clears one
+   * @param {number} personId - Person making the change
+   * @returns {TeamContextProfile} The whole profile after the change
+   */
+  static async save(teamId, values, personId) {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      throw new Error('Context values must be an object keyed by indicator name');
+    }
+
+    const definitions = await ContextMatchingService.getDefinitions();
+    const changes = Object.entries(values).map(([name, value]) => {
+      const definition = definitions.find(item => item.name.toLowerCase() === String(name).trim().toLowerCase());
+      if (!definition) {
+        throw new Error(`Unknown context indicator "${name}"`);
+      }
+      return { name: definition.name, value: ContextMatchingService.normalizeValue(definition, value) };
+    });
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      for (const change of changes) {
+        if (change.value === null) {
+          await client.query(
+            'DELETE FROM teamContextValue WHERE teamId = $1 AND indicatorName = $2',
+            [teamId, change.name]
+          );
+        } else {
+          await client.query(
+            `INSERT INTO teamContextValue (teamId, indicatorName, value, updatedById, updatedAt)
+             VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+             ON CONFLICT (teamId, indicatorName)
+             DO UPDATE SET value = $3, updatedById = $4, updatedAt = CURRENT_TIMESTAMP`,
+            [teamId, change.name, change.value, personId]
+          );
+        }
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return TeamContextProfile.findByTeamId(teamId);
+  }
+
+  isEmpty() {
+    return Object.keys(this.values).length === 0;
+  }
+
+  /**
+   * Every context with how well it fits the team
+   * @returns {Array} Contexts that apply first, best scores first
+   */
+  async matchContexts() {
+    const matches = await ContextMatchingService.matchContexts(this.values);
+    return Array.from(matches.values()).sort((a, b) =>
+      Number(b.applies) - Number(a.applies) || b.score - a.score || a.contextId - b.contextId
+    );
+  }
+
+  toJSON() {
+    return {
+      teamId: this.teamId,
+      values: this.values,
+      updatedAt: this.updatedAt,
+      updatedById: this.updatedById
+    };
+  }
+}
+
+module.exports = TeamContextProfile;
@@ -1,5 +1,8 @@
 const pool = require('../config/database');
 
+// Who may accept: the account with the invited email, or whoever holds the link
+const SCOPES = ['email', 'link'];
+
 class TeamInvitation {
   constructor(data) {
     this.id = data.id;
@@ -11,21 +14,33 @@ class TeamInvitation {
     this.status = data.status;
     this.acceptedAt = data.acceptedat || data.acceptedAt;
     this.acceptedByPersonId = data.acceptedbypersonid || data.acceptedByPersonId;
+    this.tokenHash = data.tokenhash || data.tokenHash || null;
+    this.expiresAt = data.expiresat || data.expiresAt || null;
+    this.scope = data.scope || 'email';
+    this.respondedAt = data.respondedat || data.respondedAt || null;
+    this.revokedById = data.revokedbyid || data.revokedById || null;
   }
 
-  static async create({ teamId, inviterPersonId, invitedEmail }) {
+  static async create({ teamId, inviterPersonId, invitedEmail, scope = 'email' }) {
+    if (!SCOPES.includes(scope)) {
+      throw new Error(`Invitation scope must be one of ${SCOPES.join(', ')}`);
+    }
+
     // First check if there's already a pending invitation
     const existing = await this.findPendingByTeamAndEmail(teamId, invitedEmail);
-    if (existing) {
+    if (existing && !existing.isOverdue()) {
       // Update the last sent timestamp
       return await existing.updateLastSent();
     }
+    if (existing) {
+      await existing.setStatus('expired');
+    }
 
     const result = await pool.query(
-      `INSERT INTO teamInvitation (teamId, inviterPersonId, invitedEmail) 
-       VALUES ($1, $2, $3) 
+      `INSERT INTO teamInvitation (teamId, inviterPersonId, invitedEmail, scope) 
+       VALUES ($1, $2, $3, $4) 
        RETURNING *`,
-      [teamId, inviterPersonId, invitedEmail]
+      [teamId, inviterPersonId, invitedEmail, scope]
     );
 
     return new TeamInvitation(result.rows[0]);
@@ -69,7 +84,7 @@ class TeamInvitation {
     );
 
     return result.rows.map(row => ({
-      ...new TeamInvitation(row),
+      ...new TeamInvitation(row).toJSON(),
       inviterName: row.invitername
     }));
   }
@@ -81,12 +96,13 @@ class TeamInvitation {
        JOIN Team t ON ti.teamId = t.id
        JOIN Person p ON ti.inviterPersonId = p.id
        WHERE ti.invitedEmail = $1 AND ti.status = 'pending'
+         AND (ti.expiresAt IS NULL OR ti.expiresAt > CURRENT_TIMESTAMP)
        ORDER BY ti.invitedAt DESC`,
       [email]
     );
 
     return result.rows.map(row => ({
-      ...new TeamInvitation(row),
+      ...new TeamInvitation(row).toJSON(),
       teamName: row.teamname,
       inviterName: row.invitername
     }));
@@ -110,19 +126,108 @@ class TeamInvitation {
     return this;
   }
 
+  /**
+   * Mark pending invitations past their expiry as expired
+   * @returns {number} Number of invitations expired
+   */
+  static async expireOverdue() {
+    const result = await pool.query(
+      `UPDATE teamInvitation
+       SET status = 'expired', respondedAt = CURRENT_TIMESTAMP
+       WHERE status = 'pending' AND expiresAt <= CURRENT_TIMESTAMP`
+    );
+
+    return result.rowCount;
+  }
+
+  isOverdue(now = new Date()) {
+    return Boolean(this.expiresAt) && new Date(this.expiresAt) <= now;
+  }
+
+  /**
+   * Why a person cannot accept this invitation
+   * @param {Object} person - The person accepting ({id, email})
+   * @param {Date} now - Current time
+   * @returns {string|null} Error message, or null when the person may accept
+   */
+  acceptanceError(person, now = new Date()) {
+    if (this.status !== 'pending') {
+      return `This invitation has already been ${this.status}`;
+    }
+    if (this.isOverdue(now)) {
+      return 'This invitation has expired';
+    }
+    if (this.scope === 'email' && String(person.email || '').trim().toLowerCase() !== String(this.invitedEmail).trim().toLowerCase()) {
+      return 'This invitation was sent to another email address';
+    }
+    return null;
+  }
+
+  /**
+   * Store the hash of a new link token, replacing the previous one
+   * @param {string} tokenHash - SHA-256 hash of the token
+   * @param {Date} expiresAt - When the link stops working
+   */
+  async setToken(tokenHash, expiresAt) {
+    const result = await pool.query(
+      `UPDATE teamInvitation
+       SET tokenHash = $1, expiresAt = $2, lastSentAt = CURRENT_TIMESTAMP
+       WHERE id = $3 AND status = 'pending'
+       RETURNING *`,
+      [tokenHash, expiresAt, this.id]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Invitation is no longer pending');
+    }
+
+    Object.assign(this, new TeamInvitation(result.rows[0]));
+    return this;
+  }
+
+  /**
+   * Close a pending invitation
+   * @param {string} status - 'declined', 'revoked' or 'expired'
+   * @param {number|null} personId - Who revoked it (revocations only)
+   * @returns {boolean} False when the invitation was no longer pending
+   */
+  async setStatus(status, personId = null) {
+    if (!['declined', 'revoked', 'expired'].includes(status)) {
+      throw new Error('Invitation status must be declined, revoked or expired');
+    }
+
+    const result = await pool.query(
+      `UPDATE teamInvitation
+       SET status = $1, respondedAt = CURRENT_TIMESTAMP, revokedById = $2
+       WHERE id = $3 AND status = 'pending'
+       RETURNING *`,
+      [status, status === 'revoked' ? personId : null, this.id]
+    );
+
+    if (result.rows.length === 0) {
+      return false;
+    }
+
+    Object.assign(this, new TeamInvitation(result.rows[0]));
+    return true;
+  }
+
   async accept(personId) {
     const client = await pool.connect();
     
     try {
       await client.query('BEGIN');
 
-      // Update invitation status
-      await client.query(
+      // Update invitation status; a link only works once
+      const updated = await client.query(
         `UPDATE teamInvitation 
-         SET status = 'accepted', acceptedAt = CURRENT_TIMESTAMP, acceptedByPersonId = $1 
-         WHERE id = $2`,
+         SET status = 'accepted', acceptedAt = CURRENT_TIMESTAMP, acceptedByPersonId = $1, respondedAt = CURRENT_TIMESTAMP 
+         WHERE id = $2 AND status = 'pending'`,
         [personId, this.id]
       );
+      if (updated.rowCount === 0) {
+        throw new Error('Invitation is no longer pending');
+      }
 
       // Add person to team
       await client.query(
@@ -186,9 +291,15 @@ class TeamInvitation {
       lastSentAt: this.lastSentAt,
       status: this.status,
       acceptedAt: this.acceptedAt,
-      acceptedByPersonId: this.acceptedByPersonId
+      acceptedByPersonId: this.acceptedByPersonId,
+      expiresAt: this.expiresAt,
+      scope: this.scope,
+      respondedAt: this.respondedAt,
+      revokedById: this.revokedById
     };
   }
 }
 
+TeamInvitation.SCOPES = SCOPES;
+
 module.exports = TeamInvitation;
\ No newline at end of file
@@ -0,0 +1,397 @@
+const pool = require('../config/database');
+
+// Practice versions active in any of the team's universes ($1 is the team ID)
+const TEAM_ACTIVE_VERSIONS = `
+  SELECT pvu.practiceVersionId
+  FROM PracticeVersionUniverse pvu
+  JOIN Universe u ON pvu.universeId = u.id
+  WHERE u.teamId = $1 AND pvu.isActive = true`;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A team's sprint or iteration, in which it ticks off the completion criteria of its active practices
+class TeamIteration {
+  constructor(data) {
+    this.id = data.id;
+    this.teamId = data.teamid || data.teamId;
+    this.name = data.name;
+    this.startDate = data.startdate || data.startDate || null;
+    this.endDate = data.enddate || data.endDate || null;
+    this.createdById = data.createdbyid || data.createdById;
+    this.createdAt = data.createdat || data.createdAt;
+  }
+
+  /**
+   * Validate iteration fields
+   * @param {Object} fields - name, startDate and endDate (YYYY-MM-DD, optional)
+   * @returns {Object} Trimmed name and dates, null when not given
+   */
+  static validate({ name, startDate, endDate }) {
+    if (!name || !String(name).trim()) {
+      throw new Error('Iteration name is required');
+    }
+    if (String(name).trim().length > 64) {
+      throw new Error('Iteration name must be at most 64 characters');
+    }
+
+    const dates = {};
+    [['startDate', startDate], ['endDate', endDate]].forEach(([field, value]) => {
+      if (value === undefined || value === null || value === '') {
+        dates[field] = null;
+        return;
+      }
+      if (!DATE_PATTERN.test(value) || isNaN(Date.parse(value))) {
+        throw new Error(`Invalid ${field}, expected YYYY-MM-DD`);
+      }
+      dates[field] = value;
+    });
+
+    if (dates.startDate && dates.endDate && dates.endDate < dates.startDate) {
+      throw new Error('Iteration cannot end before it starts');
+    }
+
+    return { name: String(name).trim(), startDate: dates.startDate, endDate: dates.endDate };
+  }
+
+  static async create({ teamId, name, startDate, endDate, createdById }) {
+    const fields = TeamIteration.validate({ name, startDate, endDate });
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO teamIteration (teamId, name, startDate, endDate, createdById)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [teamId, fields.name, fields.startDate, fields.endDate, createdById || null]
+      );
+
+      return new TeamIteration(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') { // Unique constraint violation
+        throw new Error(`Iteration "${fields.name}" already exists`);
+      }
+      if (error.code === '23503') { // Foreign key constraint violation
+        throw new Error('Team not found');
+      }
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    const result = await pool.query(
+      'SELECT * FROM teamIteration WHERE id = $1',
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new TeamIteration(result.rows[0]);
+  }
+
+  // Oldest first
+  static async findByTeamId(teamId) {
+    const result = await pool.query(
+      `SELECT * FROM teamIteration
+       WHERE teamId = $1
+       ORDER BY COALESCE(startDate, createdAt::date), id`,
+      [teamId]
+    );
+    return result.rows.map(row => new TeamIteration(row));
+  }
+
+  async update({ name, startDate, endDate }) {
+    const fields = TeamIteration.validate({
+      name: name !== undefined ? name : this.name,
+      startDate: startDate !== undefined ? startDate : TeamIteration.formatDate(this.startDate),
+      endDate: endDate !== undefined ? endDate : TeamIteration.formatDate(this.endDate)
+    });
+
+    try {
+      const result = await pool.query(
+        `UPDATE teamIteration
+         SET name = $1, startDate = $2, endDate = $3
+         WHERE id = $4
+         RETURNING *`,
+        [fields.name, fields.startDate, fields.endDate, this.id]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Iteration not found');
+      }
+
+      Object.assign(this, new TeamIteration(result.rows[0]));
+      return this;
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error(`Iteration "${fields.name}" already exists`);
+      }
+      throw error;
+    }
+  }
+
+  // Ticks and their history go with the iteration
+  async delete() {
+    const result = await pool.query(
+      'DELETE FROM teamIteration WHERE id = $1',
+      [this.id]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  static formatDate(value) {
+    if (!value) {
+      return null;
+    }
+    if (value instanceof Date) {
+      const month = String(value.getMonth() + 1).padStart(2, '0');
+      const day = String(value.getDate()).padStart(2, '0');
+      return `${value.getFullYear()}-${month}-${day}`;
+    }
+    return String(value).slice(0, 10);
+  }
+
+  /**
+   * The team's active practices with their completion criteria, ticked or not in this iteration
+   * @returns {Array} {practiceVersionId, practiceId, practiceName, versionName, criteria, checkedCount, criteriaCount, met}
+   */
+  async getChecklist() {
+    const practices = await pool.query(
+      `SELECT pv.id as practiceVersionId, pv.versionName, p.id as practiceId, p.name as practiceName
+       FROM practiceVersion pv
+       JOIN Practice p ON pv.practiceId = p.id
+       WHERE pv.id IN (${TEAM_ACTIVE_VERSIONS})
+       ORDER BY p.name, pv.id`,
+      [this.teamId]
+    );
+
+    const criteria = await pool.query(
+      `SELECT cc.id, cc.practiceVersionId, cc.name, cc.description,
+              ck.checkedById, ck.checkedAt, per.name as checkedByName
+       FROM completionCriteria cc
+       LEFT JOIN criterionCheck ck ON ck.criterionId = cc.id AND ck.iterationId = $2
+       LEFT JOIN Person per ON ck.checkedById = per.id
+       WHERE cc.practiceVersionId IN (${TEAM_ACTIVE_VERSIONS})
+       ORDER BY cc.id`,
+      [this.teamId, this.id]
+    );
+
+    return practices.rows.map(practice => {
+      const items = criteria.rows
+        .filter(criterion => criterion.practiceversionid === practice.practiceversionid)
+        .map(criterion => ({
+          id: criterion.id,
+          name: criterion.name,
+          description: criterion.description,
+          checked: Boolean(criterion.checkedat),
+          checkedById: criterion.checkedbyid,
+          checkedByName: criterion.checkedbyname,
+          checkedAt: criterion.checkedat
+        }));
+      const checkedCount = items.filter(item => item.checked).length;
+
+      return {
+        practiceVersionId: practice.practiceversionid,
+        practiceId: practice.practiceid,
+        practiceName: practice.practicename,
+        versionName: practice.versionname,
+        criteria: items,
+        checkedCount,
+        criteriaCount: items.length,
+        met: items.length > 0 && checkedCount === items.length
+      };
+    });
+  }
+
+  /**
+   * Tick or untick a completion criterion for this iteration. Every change is recorded in the history.
+   * @param {number} criterionId - Criterion of one of the team's active practices
+   * @param {boolean} checked - New state
+   * @param {number} personId - Team member making the change
+   * @returns {Object} {criterionId, practiceVersionId, checked, changed}
+   */
+  async setCheck(criterionId, checked, personId) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const criterion = await client.query(
+        `SELECT cc.id, cc.name, cc.practiceVersionId
+         FROM completionCriteria cc
+         WHERE cc.id = $2 AND cc.practiceVersionId IN (${TEAM_ACTIVE_VERSIONS})`,
+        [this.teamId, criterionId]
+      );
+      if (criterion.rows.length === 0) {
+        throw new Error('Completion criterion is not part of an active practice of this team');
+      }
+      const { name, practiceversionid: practiceVersionId } = criterion.rows[0];
+
+      const change = checked
+        ? await client.query(
+          `INSERT INTO criterionCheck (iterationId, criterionId, practiceVersionId, checkedById)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (iterationId, criterionId) DO NOTHING`,
+          [this.id, criterionId, practiceVersionId, personId]
+        )
+        : await client.query(
+          'DELETE FROM criterionCheck WHERE iterationId = $1 AND criterionId = $2',
+          [this.id, criterionId]
+        );
+
+      const changed = change.rowCount > 0;
+      if (changed) {
+        await client.query(
+          `INSERT INTO criterionCheckHistory (iterationId, criterionId, practiceVersionId, criterionName, checked, personId)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [this.id, criterionId, practiceVersionId, name, checked, personId]
+        );
+      }
+
+      await client.query('COMMIT');
+      return { criterionId: parseInt(criterionId), practiceVersionId, checked, changed };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Ticks and unticks made in this iteration, newest first
+   * @param {Object} options - practiceVersionId to narrow to one practice
+   */
+  async getHistory({ practiceVersionId } = {}) {
+    const params = [this.id];
+    let where = 'h.iterationId = $1';
+    if (practiceVersionId) {
+      params.push(practiceVersionId);
+      where += ` AND h.practiceVersionId = $${params.length}`;
+    }
+
+    const result = await pool.query(
+      `SELECT h.id, h.criterionId, h.practiceVersionId, h.criterionName, h.checked,
+              h.personId, per.name as personName, h.createdAt
+       FROM criterionCheckHistory h
+       LEFT JOIN Person per ON h.personId = per.id
+       WHERE ${where}
+       ORDER BY h.createdAt DESC, h.id DESC`,
+      params
+    );
+
+    return result.rows.map(row => ({
+      id: row.id,
+      criterionId: row.criterionid,
+      practiceVersionId: row.practiceversionid,
+      criterionName: row.criterionname,
+      checked: row.checked,
+      personId: row.personid,
+      personName: row.personname,
+      createdAt: row.createdat
+    }));
+  }
+
+  /**
+   * How often a practice met its completion criteria. Iterations count from the
+   * first one in which the team ticked or unticked any of its criteria.
+   * @param {Array} iterations - Team iterations, oldest first ({id, name})
+   * @param {Object} practice - criteriaCount, checked (ticked criteria per iteration ID)
+   *   and tracked (IDs of iterations with history for the practice)
+   * @returns {Object} {criteriaCount, iterationsTracked, iterationsMet, metRate, iterations}; metRate is null when nothing was tracked
+   */
+  static summarizeCompletion(iterations, { criteriaCount, checked = {}, tracked = [] }) {
+    const trackedIds = new Set(tracked.map(id => parseInt(id)));
+    const first = iterations.findIndex(iteration => trackedIds.has(iteration.id));
+    const counted = first === -1 || criteriaCount === 0 ? [] : iterations.slice(first);
+
+    const results = counted.map(iteration => {
+      const checkedCount = Math.min(checked[iteration.id] || 0, criteriaCount);
+      return {
+        iterationId: iteration.id,
+        name: iteration.name,
+        checkedCount,
+        met: checkedCount === criteriaCount
+      };
+    });
+    const iterationsMet = results.filter(result => result.met).length;
+
+    return {
+      criteriaCount,
+      iterationsTracked: results.length,
+      iterationsMet,
+      metRate: results.length > 0 ? Math.round((iterationsMet / results.length) * 100) : null,
+      iterations: results
+    };
+  }
+
+  /**
+   * Completion criteria met rate of each of the team's active practices
+   * @param {number} teamId - The team ID
+   * @returns {Array} {practiceVersionId, practiceName, versionName} with the summary of summarizeCompletion
+   */
+  static async getCompletionRates(teamId) {
+    const [practices, iterations, checks, tracked] = await Promise.all([
+      pool.query(
+        `SELECT pv.id as practiceVersionId, pv.versionName, p.name as practiceName,
+                (SELECT COUNT(*) FROM completionCriteria cc WHERE cc.practiceVersionId = pv.id) as criteriaCount
+         FROM practiceVersion pv
+         JOIN Practice p ON pv.practiceId = p.id
+         WHERE pv.id IN (${TEAM_ACTIVE_VERSIONS})
+         ORDER BY p.name, pv.id`,
+        [teamId]
+      ),
+      TeamIteration.findByTeamId(teamId),
+      pool.query(
+        `SELECT ck.iterationId, ck.practiceVersionId, COUNT(*) as checked
+         FROM criterionCheck ck
+         JOIN teamIteration ti ON ck.iterationId = ti.id
+         WHERE ti.teamId = $1
+         GROUP BY ck.iterationId, ck.practiceVersionId`,
+        [teamId]
+      ),
+      pool.query(
+        `SELECT DISTINCT h.iterationId, h.practiceVersionId
+         FROM criterionCheckHistory h
+         JOIN teamIteration ti ON h.iterationId = ti.id
+         WHERE ti.teamId = $1`,
+        [teamId]
+      )
+    ]);
+
+    return practices.rows.map(practice => {
+      const checked = {};
+      checks.rows
+        .filter(row => row.practiceversionid === practice.practiceversionid)
+        .forEach(row => {
+          checked[row.iterationid] = parseInt(row.checked);
+        });
+
+      return Object.assign({
+        practiceVersionId: practice.practiceversionid,
+        practiceName: practice.practicename,
+        versionName: practice.versionname
+      }, TeamIteration.summarizeCompletion(iterations, {
+        criteriaCount: parseInt(practice.criteriacount) || 0,
+        checked,
+        tracked: tracked.rows
+          .filter(row => row.practiceversionid === practice.practiceversionid)
+          .map(row => row.iterationid)
+      }));
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      teamId: this.teamId,
+      name: this.name,
+      startDate: TeamIteration.formatDate(this.startDate),
+      endDate: TeamIteration.formatDate(this.endDate),
+      createdById: this.createdById,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = TeamIteration;
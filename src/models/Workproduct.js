@@ -1,5 +1,8 @@
 const pool = require('../config/database');
 
+// How a practice uses each of its work products; "modifies" needs the work product to exist already
+const USAGES = ['produces', 'consumes', 'modifies'];
+
 class Workproduct {
   constructor(data) {
     this.id = data.id;
@@ -82,10 +85,13 @@ class Workproduct {
     return result.rowCount > 0;
   }
 
-  async linkToPracticeVersions(practiceVersionIds) {
+  async linkToPracticeVersions(practiceVersionIds, usage = 'produces') {
     if (!Array.isArray(practiceVersionIds) || practiceVersionIds.length === 0) {
       return;
     }
+    if (!USAGES.includes(usage)) {
+      throw new Error(`Work product usage must be one of ${USAGES.join(', ')}`);
+    }
 
     // First, remove existing links
     await pool.query(
@@ -95,11 +101,24 @@ class Workproduct {
 
     // Then add new links
     const values = practiceVersionIds.map((practiceVersionId, index) => 
-      `($${index + 2}, $1)`
+      `($${index + 3}, $1, $2)`
     ).join(', ');
 
-    const query = `INSERT INTO workproductPractice (practiceVersionId, workproductId) VALUES ${values}`;
-    await pool.query(query, [this.id, ...practiceVersionIds]);
+    const query = `INSERT INTO workproductPractice (practiceVersionId, workproductId, usage) VALUES ${values}`;
+    await pool.query(query, [this.id, usage, ...practiceVersionIds]);
+  }
+
+  async setUsage(practiceVersionId, usage) {
+    if (!USAGES.includes(usage)) {
+      throw new Error(`Work product usage must be one of ${USAGES.join(', ')}`);
+    }
+
+    const result = await pool.query(
+      'UPDATE workproductPractice SET usage = $1 WHERE practiceVersionId = $2 AND workproductId = $3',
+      [usage, practiceVersionId, this.id]
+    );
+
+    return result.rowCount > 0;
   }
 
   async unlinkFromPracticeVersion(practiceVersionId) {
@@ -113,7 +132,7 @@ class Workproduct {
 
   async getPracticeVersions() {
     const result = await pool.query(
-      `SELECT pv.*, p.name as practiceName
+      `SELECT pv.*, p.name as practiceName, wp.usage
        FROM practiceVersion pv
        JOIN Practice p ON pv.practiceId = p.id
        JOIN workproductPractice wp ON pv.id = wp.practiceVersionId
@@ -135,4 +154,6 @@ class Workproduct {
   }
 }
 
+Workproduct.USAGES = USAGES;
+
 module.exports = Workproduct;
\ No newline at end of file
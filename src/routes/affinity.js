@@ -1,10 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const PersonalityService = require('../services/personalityService');
+const AffinityJobService = require('../services/affinityJobService');
+const TeamAggregationService = require('../services/teamAggregationService');
+const TeamSimulationService = require('../services/teamSimulationService');
+const AffinityJob = require('../models/AffinityJob');
 const PersonPracticeAffinity = require('../models/PersonPracticeAffinity');
+const PracticeVersion = require('../models/PracticeVersion');
 const BfProfile = require('../models/BfProfile');
 const AffinitySurveyResults = require('../models/AffinitySurveyResults');
-const { requireAuth } = require('../middleware/auth');
+const AffinitySurveyVersion = require('../models/AffinitySurveyVersion');
+const { requireAuth, requireTeamPermission } = require('../middleware/auth');
 
 // Get personality profile for current user
 router.get('/profile', requireAuth, async (req, res) => {
@@ -28,6 +34,17 @@ router.get('/personality', requireAuth, async (req, res) => {
   }
 });
 
+// Get the current survey items with their scoring keys
+router.get('/survey/items', requireAuth, async (req, res) => {
+  try {
+    const items = await AffinitySurveyVersion.findCurrent();
+    res.json({ success: true, data: items.filter(item => item.trait) });
+  } catch (error) {
+    console.error('Error fetching survey items:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch survey items' });
+  }
+});
+
 // Submit Big Five survey results
 router.post('/survey', requireAuth, async (req, res) => {
   try {
@@ -128,97 +145,160 @@ router.post('/practice', requireAuth, async (req, res) => {
   }
 });
 
-// Recalculate affinities for current user
+// Queue a recalculation of the current user's affinities
 router.post('/recalculate', requireAuth, async (req, res) => {
   try {
-    const affinities = await PersonalityService.recalculateAffinities(req.user.id);
-    res.json({ 
+    const job = await AffinityJobService.enqueuePerson(req.user.id, req.user.id);
+    res.status(202).json({ 
       success: true,
-      message: 'Affinities recalculated successfully',
-      data: {
-        count: affinities.length,
-        affinities 
-      }
+      message: 'Affinity recalculation queued',
+      data: { job }
     });
   } catch (error) {
-    console.error('Error recalculating affinities:', error);
-    res.status(500).json({ success: false, error: 'Failed to recalculate affinities' });
+    console.error('Error queueing affinity recalculation:', error);
+    res.status(500).json({ success: false, error: 'Failed to queue affinity recalculation' });
   }
 });
 
-// Get team affinity for a specific practice
-router.get('/team/:teamId/practice/:practiceVersionId', requireAuth, async (req, res) => {
+// Recalculation status for the current user, polled while affinities are recomputed
+router.get('/jobs/status', requireAuth, async (req, res) => {
   try {
-    const { teamId, practiceVersionId } = req.params;
-    
-    // Get team member IDs
-    const Team = require('../models/Team');
-    const team = await Team.findById(teamId);
+    const status = await AffinityJobService.getPersonStatus(req.user.id);
+    res.json({ success: true, data: status });
+  } catch (error) {
+    console.error('Error fetching affinity job status:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch affinity job status' });
+  }
+});
+
+// Get a single recalculation job
+router.get('/jobs/:jobId(\\d+)', requireAuth, async (req, res) => {
+  try {
+    const job = await AffinityJob.findById(req.params.jobId);
     
-    if (!team) {
-      return res.status(404).json({ error: 'Team not found' });
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
     }
 
+    // Experts see every job; others only the jobs they requested or that target them
+    const ownsJob = job.requestedById === req.user.id ||
+      (job.jobType === 'person' && job.targetId === req.user.id);
+    if (req.user.roleId !== 1 && !ownsJob) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    res.json({ success: true, data: job });
+  } catch (error) {
+    console.error('Error fetching affinity job:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch affinity job' });
+  }
+});
+
+// Get team affinity for a specific practice
+router.get('/team/:teamId/practice/:practiceVersionId', requireAuth, requireTeamPermission('view'), async (req, res) => {
+  try {
+    const { practiceVersionId } = req.params;
+    const team = req.team;
+
+    // Get team member IDs
+    const strategy = TeamAggregationService.resolve(req.query.strategy, team);
     const members = await team.getMembers();
     const memberIds = members.map(member => member.id);
 
     const teamAffinity = await PersonalityService.calculateTeamAffinity(memberIds, practiceVersionId);
-    res.json(teamAffinity);
+    res.json({
+      ...teamAffinity,
+      aggregation: {
+        ...TeamAggregationService.score(teamAffinity, strategy),
+        label: TeamAggregationService.get(strategy).label
+      }
+    });
   } catch (error) {
+    if (error.message.includes('Aggregation strategy')) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error calculating team affinity:', error);
     res.status(500).json({ error: 'Failed to calculate team affinity' });
   }
 });
 
 // Get practice recommendations for a team
-router.get('/team/:teamId/recommendations', requireAuth, async (req, res) => {
+router.get('/team/:teamId/recommendations', requireAuth, requireTeamPermission('view'), async (req, res) => {
   try {
-    const { teamId } = req.params;
     const { minThreshold = 60 } = req.query;
-    
-    // Get team member IDs
-    const Team = require('../models/Team');
-    const team = await Team.findById(teamId);
-    
-    if (!team) {
-      return res.status(404).json({ error: 'Team not found' });
-    }
+    const team = req.team;
 
+    // Get team member IDs
+    const strategy = TeamAggregationService.resolve(req.query.strategy, team);
     const members = await team.getMembers();
     const memberIds = members.map(member => member.id);
 
     const recommendations = await PersonalityService.getTeamPracticeRecommendations(
       memberIds, 
-      parseInt(minThreshold)
+      parseInt(minThreshold),
+      null,
+      strategy
     );
     
     res.json(recommendations);
   } catch (error) {
+    if (error.message.includes('Aggregation strategy')) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error getting team recommendations:', error);
     res.status(500).json({ error: 'Failed to get team recommendations' });
   }
 });
 
-// Recalculate affinities for all team members
-router.post('/team/:teamId/recalculate', requireAuth, async (req, res) => {
+// Queue a recalculation for all team members
+router.post('/team/:teamId/recalculate', requireAuth, requireTeamPermission('contribute'), async (req, res) => {
   try {
-    const { teamId } = req.params;
-    
-    const results = await PersonalityService.recalculateTeamAffinities(teamId);
+    const jobs = await AffinityJobService.enqueueTeam(req.team.id, req.user.id);
     
-    const successCount = results.filter(r => r.success).length;
-    const errorCount = results.filter(r => !r.success).length;
-    
-    res.json({
-      message: 'Team affinity recalculation completed',
-      totalMembers: results.length,
-      successful: successCount,
-      errors: errorCount,
-      results
+    res.status(202).json({
+      message: 'Team affinity recalculation queued',
+      totalMembers: jobs.length,
+      jobs
     });
   } catch (error) {
-    console.error('Error recalculating team affinities:', error);
-    res.status(500).json({ error: 'Failed to recalculate team affinities' });
+    if (error.message === 'Team not found') {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+    console.error('Error queueing team affinity recalculation:', error);
+    res.status(500).json({ error: 'Failed to queue team affinity recalculation' });
+  }
+});
+
+// Simulate adding or removing team members; nothing is persisted
+router.post('/team/:teamId/simulate', requireAuth, requireTeamPermission('view'), async (req, res) => {
+  try {
+    const { add = [], remove = [], strategy, minThreshold = 60 } = req.body;
+    const team = req.team;
+
+    const minAffinityThreshold = parseFloat(minThreshold);
+    if (isNaN(minAffinityThreshold) || minAffinityThreshold < 0 || minAffinityThreshold > 100) {
+      return res.status(400).json({ error: 'minThreshold must be between 0 and 100' });
+    }
+
+    const simulation = await TeamSimulationService.simulateTeamChange(team.id, {
+      add,
+      remove,
+      strategy,
+      minAffinityThreshold
+    }, { personId: req.user.id, teamRole: req.teamRole });
+
+    res.json({ success: true, data: simulation });
+  } catch (error) {
+    if (error.message.includes('Aggregation strategy') ||
+        error.message.includes('team member') ||
+        error.message.includes('Candidate profile') ||
+        error.message.includes('Person') ||
+        error.message.includes('removal') ||
+        error.message.includes('changes')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error simulating team change:', error);
+    res.status(500).json({ error: 'Failed to simulate team change' });
   }
 });
 
@@ -242,6 +322,24 @@ router.get('/practice/:practiceVersionId', requireAuth, async (req, res) => {
   }
 });
 
+// Explain the current user's affinity score for a specific practice
+router.get('/practice/:practiceVersionId/explanation', requireAuth, async (req, res) => {
+  try {
+    const practiceVersionId = parseInt(req.params.practiceVersionId);
+    const practiceVersion = Number.isInteger(practiceVersionId) ? await PracticeVersion.findById(practiceVersionId) : null;
+    if (!practiceVersion) {
+      return res.status(404).json({ success: false, error: 'Practice version not found' });
+    }
+
+    const explanation = await PersonalityService.explainAffinity(req.user.id, practiceVersion.id);
+
+    res.json({ success: true, data: explanation });
+  } catch (error) {
+    console.error('Error explaining practice affinity:', error);
+    res.status(500).json({ success: false, error: 'Failed to explain practice affinity' });
+  }
+});
+
 // Update affinity score for a specific practice (manual override)
 router.put('/practice/:practiceVersionId', requireAuth, async (req, res) => {
   try {
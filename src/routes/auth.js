@@ -1,8 +1,9 @@
 const express = require('express');
 const Person = require('../models/Person');
-const TeamInvitation = require('../models/TeamInvitation');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
 const { requireAuth, requireExpert, requireTeamMember } = require('../middleware/auth');
-const emailService = require('../services/emailService');
+const AccountRecoveryService = require('../services/accountRecoveryService');
+const OidcService = require('../services/oidcService');
 
 const router = express.Router();
 
@@ -22,31 +23,21 @@ router.post('/register', async (req, res) => {
     // Create new user
     const person = await Person.create({ name, email, password });
 
-    // Check for pending team invitations and auto-accept them
-    let joinedTeams = [];
+    // Pending team invitations are accepted once the email is verified
+    let verificationSent = false;
     try {
-      joinedTeams = await TeamInvitation.acceptAllPendingForEmail(email, person.id);
+      await AccountRecoveryService.sendVerification(person);
+      verificationSent = true;
     } catch (error) {
-      console.error('Failed to process pending invitations:', error);
-      // Don't fail registration if invitation processing fails
-    }
-
-    // Send welcome email (non-blocking)
-    try {
-      await emailService.sendWelcomeEmail({
-        recipientEmail: email,
-        userName: name
-      });
-    } catch (error) {
-      console.error('Failed to send welcome email:', error);
-      // Don't fail registration if email fails
+      console.error('Failed to send verification email:', error);
+      // Don't fail registration if email fails; the user can ask for a new link
     }
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully. Check your email to verify your address.',
       user: person.toJSON(),
-      joinedTeams: joinedTeams
+      verificationSent: verificationSent
     });
 
   } catch (error) {
@@ -96,6 +87,7 @@ router.post('/login', async (req, res) => {
     req.session.userId = person.id;
     req.session.userEmail = person.email;
     req.session.userRole = person.roleId;
+    req.session.authenticatedAt = Date.now();
 
     // Save session explicitly and ensure it's persisted
     return new Promise((resolve, reject) => {
@@ -119,6 +111,70 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Whether single sign-on is configured, for the login page
+router.get('/oidc/config', (req, res) => {
+  res.json({
+    success: true,
+    enabled: OidcService.isEnabled(),
+    providerName: OidcService.isEnabled() ? OidcService.config().providerName : null
+  });
+});
+
+// Start a single sign-on login: redirect to the identity provider
+router.get('/oidc/login', async (req, res) => {
+  if (!OidcService.isEnabled()) {
+    return res.status(404).json({ success: false, error: 'Single sign-on is not configured' });
+  }
+
+  try {
+    const { url, pending } = await OidcService.beginLogin(req.query.returnTo);
+    req.session.oidc = pending;
+
+    req.session.save((err) => {
+      if (err) {
+        console.error('Session save error:', err);
+        return res.status(500).json({ success: false, error: 'Session creation failed' });
+      }
+      res.redirect(url);
+    });
+  } catch (error) {
+    console.error('OIDC login error:', error);
+    res.status(502).json({ success: false, error: 'Identity provider is unavailable' });
+  }
+});
+
+// Identity provider redirect: log the person in and go back to the client
+router.get('/oidc/callback', async (req, res) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3001';
+  const pending = req.session.oidc;
+  delete req.session.oidc;
+
+  try {
+    const { person, returnTo } = await OidcService.completeLogin(pending, req.query);
+
+    req.session.userId = person.id;
+    req.session.userEmail = person.email;
+    req.session.userRole = person.roleId;
+    req.session.authenticatedAt = Date.now();
+
+    req.session.save((err) => {
+      if (err) {
+        console.error('Session save error:', err);
+        return res.redirect(`${frontendUrl}/login?ssoError=${encodeURIComponent('Session creation failed')}`);
+      }
+      res.redirect(`${frontendUrl}${returnTo}`);
+    });
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    const message = Object.values(OidcService.LOGIN_ERRORS).includes(error.message)
+      ? error.message
+      : 'Single sign-on failed';
+    req.session.save(() => {
+      res.redirect(`${frontendUrl}/login?ssoError=${encodeURIComponent(message)}`);
+    });
+  }
+});
+
 // Logout endpoint
 router.post('/logout', (req, res) => {
   req.session.destroy((err) => {
@@ -132,6 +188,182 @@ router.post('/logout', (req, res) => {
   });
 });
 
+// Verify an email address from the link sent at registration
+router.post('/verify-email', async (req, res) => {
+  try {
+    const result = await AccountRecoveryService.verifyEmail(req.body.token);
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        error: 'This verification link is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      user: result.person.toJSON(),
+      joinedTeams: result.joinedTeams
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ success: false, error: 'Failed to verify email' });
+  }
+});
+
+// Send a new verification link to the logged-in user
+router.post('/resend-verification', requireAuth, async (req, res) => {
+  try {
+    if (req.user.isEmailVerified()) {
+      return res.status(409).json({ success: false, error: 'Email is already verified' });
+    }
+
+    await AccountRecoveryService.sendVerification(req.user);
+    res.json({ success: true, message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ success: false, error: 'Failed to send verification email' });
+  }
+});
+
+// Ask for a password reset link; the answer is the same whether or not the email has an account
+router.post('/forgot-password', async (req, res) => {
+  try {
+    await AccountRecoveryService.requestPasswordReset(req.body.email);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+  }
+
+  res.json({
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent'
+  });
+});
+
+// Choose a new password from a reset link
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password, confirmPassword } = req.body;
+
+    if (password !== confirmPassword) {
+      return res.status(400).json({ success: false, error: 'Passwords do not match' });
+    }
+
+    const person = await AccountRecoveryService.resetPassword(token, password);
+    if (!person) {
+      return res.status(400).json({
+        success: false,
+        error: 'This password reset link is invalid or has expired'
+      });
+    }
+
+    res.json({ success: true, message: 'Password has been reset. You can now log in.' });
+  } catch (error) {
+    if (error.message.startsWith('Password must')) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    console.error('Reset password error:', error);
+    res.status(500).json({ success: false, error: 'Failed to reset password' });
+  }
+});
+
+// Change the password of the logged-in user; their other sessions are logged out
+router.post('/change-password', requireAuth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword, confirmPassword } = req.body;
+
+    if (newPassword !== confirmPassword) {
+      return res.status(400).json({ success: false, error: 'Passwords do not match' });
+    }
+
+    const person = await AccountRecoveryService.changePassword(req.user, currentPassword, newPassword);
+
+    // Keep this session valid past the change
+    req.session.authenticatedAt = new Date(person.passwordChangedAt).getTime();
+    await new Promise((resolve) => {
+      req.session.save(() => resolve());
+    });
+
+    res.json({ success: true, message: 'Password changed successfully' });
+  } catch (error) {
+    if (error.message === 'Current password is incorrect') {
+      return res.status(401).json({ success: false, error: error.message });
+    }
+    if (error.message.startsWith('Password must') || error.message.startsWith('New password must')) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    console.error('Change password error:', error);
+    res.status(500).json({ success: false, error: 'Failed to change password' });
+  }
+});
+
+// List the current user's personal access tokens and the scopes a token can have
+router.get('/tokens', requireAuth, async (req, res) => {
+  try {
+    const tokens = await PersonalAccessToken.findByPerson(req.user.id);
+    res.json({
+      success: true,
+      tokens: tokens.map(token => token.toJSON()),
+      scopes: Object.entries(PersonalAccessToken.SCOPES).map(([name, scope]) => ({
+        name,
+        description: scope.description
+      })),
+      maxExpiresInDays: PersonalAccessToken.MAX_TTL_DAYS
+    });
+  } catch (error) {
+    console.error('List tokens error:', error);
+    res.status(500).json({ success: false, error: 'Failed to list access tokens' });
+  }
+});
+
+// Create a personal access token; the token is only returned in this response
+router.post('/tokens', requireAuth, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays = PersonalAccessToken.DEFAULT_TTL_DAYS } = req.body;
+    const days = parseInt(expiresInDays);
+
+    const validationError = PersonalAccessToken.validationError({ name, scopes, expiresInDays: days });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const { token, accessToken } = await PersonalAccessToken.create({
+      personId: req.user.id,
+      name,
+      scopes,
+      expiresInDays: days
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Copy the token now; it will not be shown again',
+      token: token,
+      accessToken: accessToken.toJSON()
+    });
+  } catch (error) {
+    console.error('Create token error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create access token' });
+  }
+});
+
+// Revoke one of the current user's personal access tokens
+router.delete('/tokens/:tokenId', requireAuth, async (req, res) => {
+  try {
+    const tokenId = parseInt(req.params.tokenId);
+    const revoked = Number.isInteger(tokenId) && await PersonalAccessToken.revoke(tokenId, req.user.id);
+    if (!revoked) {
+      return res.status(404).json({ success: false, error: 'Access token not found' });
+    }
+
+    res.json({ success: true, message: 'Access token revoked' });
+  } catch (error) {
+    console.error('Revoke token error:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke access token' });
+  }
+});
+
 // Get current user
 router.get('/me', requireAuth, async (req, res) => {
   try {
@@ -5,13 +5,16 @@ const Universe = require('../models/Universe');
 const Practice = require('../models/Practice');
 const PracticeVersion = require('../models/PracticeVersion');
 const Goal = require('../models/Goal');
+const TeamIteration = require('../models/TeamIteration');
 const PersonPracticeAffinity = require('../models/PersonPracticeAffinity');
-const { requireAuth, requireTeamMember } = require('../middleware/auth');
+const PersonalityService = require('../services/personalityService');
+const RecommendationService = require('../services/recommendationService');
+const { requireAuth, requireTeamPermission } = require('../middleware/auth');
 const cacheService = require('../services/cacheService');
 const QueryOptimizationService = require('../services/queryOptimizationService');
 
 // GET /api/dashboard/teams/:teamId - Get team dashboard with active practices and OAR coverage (optimized)
-router.get('/teams/:teamId', requireAuth, requireTeamMember, async (req, res) => {
+router.get('/teams/:teamId', requireAuth, requireTeamPermission('view'), async (req, res) => {
   try {
     const { teamId } = req.params;
     const teamIdInt = parseInt(teamId);
@@ -20,23 +23,6 @@ router.get('/teams/:teamId', requireAuth, requireTeamMember, async (req, res) =>
     let dashboardData = await cacheService.getCachedTeamDashboard(teamIdInt);
     
     if (!dashboardData) {
-      // Verify team exists and user is a member
-      const team = await Team.findById(teamIdInt);
-      if (!team) {
-        return res.status(404).json({ 
-          success: false, 
-          message: 'Team not found' 
-        });
-      }
-
-      const isMember = await team.isMember(req.user.id);
-      if (!isMember) {
-        return res.status(403).json({ 
-          success: false, 
-          message: 'Access denied - not a team member' 
-        });
-      }
-
       // Use optimized single-query dashboard fetch
       dashboardData = await QueryOptimizationService.getTeamDashboardOptimized(teamIdInt);
       
@@ -72,6 +58,12 @@ router.get('/teams/:teamId', requireAuth, requireTeamMember, async (req, res) =>
       // Get all available goals for coverage analysis
       const allGoals = await Goal.findAll();
       const uncoveredGoals = allGoals.filter(goal => !oarCoverage.has(goal.id));
+
+      // Missing required practices, conflicts and redundant replacements
+      const associationWarnings = await RecommendationService.getTeamAssociationWarnings(teamIdInt);
+
+      // How often each active practice met its completion criteria over the team's iterations
+      const criteriaCompletion = await TeamIteration.getCompletionRates(teamIdInt);
       
       // Format response data
       const responseData = {
@@ -95,7 +87,9 @@ router.get('/teams/:teamId', requireAuth, requireTeamMember, async (req, res) =>
             : 0,
           lowAffinityPractices: activePractices.filter(p => p.hasLowAffinity).length,
           totalPractices: activePractices.length
-        }
+        },
+        associationWarnings,
+        criteriaCompletion
       };
 
       // Cache the processed data
@@ -119,7 +113,7 @@ router.get('/teams/:teamId', requireAuth, requireTeamMember, async (req, res) =>
 });
 
 // POST /api/dashboard/teams/:teamId/practices - Add practice to team universe
-router.post('/teams/:teamId/practices', requireAuth, requireTeamMember, async (req, res) => {
+router.post('/teams/:teamId/practices', requireAuth, requireTeamPermission('manage'), async (req, res) => {
   try {
     const { teamId } = req.params;
     const { practiceVersionId, universeId } = req.body;
@@ -131,23 +125,6 @@ router.post('/teams/:teamId/practices', requireAuth, requireTeamMember, async (r
       });
     }
 
-    // Verify team exists and user is a member
-    const team = await Team.findById(teamId);
-    if (!team) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Team not found' 
-      });
-    }
-
-    const isMember = await team.isMember(req.user.id);
-    if (!isMember) {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'Access denied - not a team member' 
-      });
-    }
-
     // Verify universe belongs to team
     const universe = await Universe.findById(universeId);
     if (!universe || universe.teamId !== parseInt(teamId)) {
@@ -171,6 +148,10 @@ router.post('/teams/:teamId/practices', requireAuth, requireTeamMember, async (r
 
     // Get practice details for response
     const practice = await Practice.findById(practiceVersion.practiceId);
+
+    // Warn about what the newly added practice requires or conflicts with
+    const associationWarnings = (await RecommendationService.getTeamAssociationWarnings(parseInt(teamId)))
+      .filter(warning => [warning.practiceVersionId, warning.relatedPracticeVersionId].includes(parseInt(practiceVersionId)));
     
     res.status(201).json({
       success: true,
@@ -178,7 +159,8 @@ router.post('/teams/:teamId/practices', requireAuth, requireTeamMember, async (r
       data: {
         practiceVersionId,
         universeId,
-        practiceName: practice ? practice.name : 'Unknown Practice'
+        practiceName: practice ? practice.name : 'Unknown Practice',
+        associationWarnings
       }
     });
 
@@ -193,7 +175,7 @@ router.post('/teams/:teamId/practices', requireAuth, requireTeamMember, async (r
 });
 
 // DELETE /api/dashboard/teams/:teamId/practices/:practiceVersionId - Remove practice from team universe
-router.delete('/teams/:teamId/practices/:practiceVersionId', requireAuth, requireTeamMember, async (req, res) => {
+router.delete('/teams/:teamId/practices/:practiceVersionId', requireAuth, requireTeamPermission('manage'), async (req, res) => {
   try {
     const { teamId, practiceVersionId } = req.params;
     const { universeId } = req.query;
@@ -205,23 +187,6 @@ router.delete('/teams/:teamId/practices/:practiceVersionId', requireAuth, requir
       });
     }
 
-    // Verify team exists and user is a member
-    const team = await Team.findById(teamId);
-    if (!team) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Team not found' 
-      });
-    }
-
-    const isMember = await team.isMember(req.user.id);
-    if (!isMember) {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'Access denied - not a team member' 
-      });
-    }
-
     // Verify universe belongs to team
     const universe = await Universe.findById(universeId);
     if (!universe || universe.teamId !== parseInt(teamId)) {
@@ -257,27 +222,10 @@ router.delete('/teams/:teamId/practices/:practiceVersionId', requireAuth, requir
 });
 
 // GET /api/dashboard/teams/:teamId/affinity/:practiceVersionId - Get detailed affinity breakdown for a practice
-router.get('/teams/:teamId/affinity/:practiceVersionId', requireAuth, requireTeamMember, async (req, res) => {
+router.get('/teams/:teamId/affinity/:practiceVersionId', requireAuth, requireTeamPermission('view'), async (req, res) => {
   try {
     const { teamId, practiceVersionId } = req.params;
 
-    // Verify team exists and user is a member
-    const team = await Team.findById(teamId);
-    if (!team) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Team not found' 
-      });
-    }
-
-    const isMember = await team.isMember(req.user.id);
-    if (!isMember) {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'Access denied - not a team member' 
-      });
-    }
-
     // Get detailed team affinity breakdown
     const affinityBreakdown = await getDetailedTeamAffinity(teamId, practiceVersionId);
     
@@ -296,6 +244,29 @@ router.get('/teams/:teamId/affinity/:practiceVersionId', requireAuth, requireTea
   }
 });
 
+// GET /api/dashboard/teams/:teamId/affinity/:practiceVersionId/explanation - Explain why the team scores a practice as it does
+router.get('/teams/:teamId/affinity/:practiceVersionId/explanation', requireAuth, requireTeamPermission('view'), async (req, res) => {
+  try {
+    const { practiceVersionId } = req.params;
+
+    const members = await req.team.getMembers();
+    const explanation = await PersonalityService.explainTeamAffinity(members, practiceVersionId);
+
+    res.json({
+      success: true,
+      data: explanation
+    });
+
+  } catch (error) {
+    console.error('Error explaining practice affinity:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to explain practice affinity',
+      error: error.message
+    });
+  }
+});
+
 // Helper function to calculate team affinity for a practice
 async function calculateTeamAffinity(teamId, practiceVersionId) {
   try {
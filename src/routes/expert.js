@@ -7,10 +7,21 @@ const Activity = require('../models/Activity');
 const Guideline = require('../models/Guideline');
 const Benefit = require('../models/Benefit');
 const Pitfall = require('../models/Pitfall');
+const CompletionCriterion = require('../models/CompletionCriterion');
 const Recommendation = require('../models/Recommendation');
 const Metric = require('../models/Metric');
 const Role = require('../models/Role');
 const Workproduct = require('../models/Workproduct');
+const PracticeTraitProfile = require('../models/PracticeTraitProfile');
+const AffinitySurvey = require('../models/AffinitySurvey');
+const AffinitySurveyVersion = require('../models/AffinitySurveyVersion');
+const PracticeAssociation = require('../models/PracticeAssociation');
+const Tag = require('../models/Tag');
+const TagVocabulary = require('../models/TagVocabulary');
+const AffinityJobService = require('../services/affinityJobService');
+const cacheService = require('../services/cacheService');
+const PracticeVersionDiffService = require('../services/practiceVersionDiffService');
+const PracticeCatalogueService = require('../services/practiceCatalogueService');
 
 // All expert routes require authentication and expert role
 router.use(requireAuth, requireExpert);
@@ -24,13 +35,18 @@ router.get('/practices', async (req, res) => {
   try {
     const { status, limit = 50, offset = 0 } = req.query;
     
+    // A practice shows the most advanced status among its versions
     let query = `
       SELECT p.*, 
              COUNT(pv.id) as versionCount,
              MAX(pv.lastUpdate) as lastVersionUpdate,
              CASE 
                WHEN COUNT(pv.id) = 0 THEN 'No Versions'
-               ELSE 'Has Versions'
+               WHEN BOOL_OR(pv.status = 'Published') THEN 'Published'
+               WHEN BOOL_OR(pv.status = 'In Review') THEN 'In Review'
+               WHEN BOOL_OR(pv.status = 'Draft') THEN 'Draft'
+               WHEN BOOL_OR(pv.status = 'Deprecated') THEN 'Deprecated'
+               ELSE 'Archived'
              END as status
       FROM Practice p
       LEFT JOIN practiceVersion pv ON p.id = pv.practiceId
@@ -41,12 +57,17 @@ router.get('/practices', async (req, res) => {
     if (status === 'draft') {
       query += ` WHERE NOT EXISTS (
         SELECT 1 FROM practiceVersion pv2 
-        WHERE pv2.practiceId = p.id
+        WHERE pv2.practiceId = p.id AND pv2.status = 'Published'
       )`;
     } else if (status === 'published') {
       query += ` WHERE EXISTS (
         SELECT 1 FROM practiceVersion pv2 
-        WHERE pv2.practiceId = p.id
+        WHERE pv2.practiceId = p.id AND pv2.status = 'Published'
+      )`;
+    } else if (status === 'in_review') {
+      query += ` WHERE EXISTS (
+        SELECT 1 FROM practiceVersion pv2 
+        WHERE pv2.practiceId = p.id AND pv2.status = 'In Review'
       )`;
     }
     
@@ -170,7 +191,26 @@ router.put('/practices/:id', async (req, res) => {
       });
     }
 
-    const { name, objective, description, typeId } = req.body;
+    const { name, objective, description, typeId, traitProfile, versionId } = req.body;
+
+    // Resolve the version whose trait-demand profile is edited (latest by default)
+    let targetVersionId = null;
+    if (traitProfile !== undefined) {
+      PracticeTraitProfile.validate(traitProfile);
+
+      const versions = await practice.getVersions();
+      const targetVersion = versionId
+        ? versions.find(version => version.id === parseInt(versionId))
+        : versions[0];
+
+      if (!targetVersion) {
+        return res.status(404).json({
+          success: false,
+          message: 'Practice version not found'
+        });
+      }
+      targetVersionId = targetVersion.id;
+    }
     
     await practice.update({
       name,
@@ -178,10 +218,26 @@ router.put('/practices/:id', async (req, res) => {
       description,
       typeId
     });
+
+    let updatedTraitProfile;
+    if (targetVersionId) {
+      updatedTraitProfile = await PracticeTraitProfile.replaceForPracticeVersion(
+        targetVersionId,
+        traitProfile,
+        req.user.id
+      );
+
+      // Stored affinities depend on the profile, refresh them in the background
+      try {
+        await AffinityJobService.enqueuePractice(targetVersionId, req.user.id);
+      } catch (error) {
+        console.error('Error queueing practice affinity recalculation:', error);
+      }
+    }
     
     res.json({
       success: true,
-      data: practice,
+      data: updatedTraitProfile ? { ...practice.toJSON(), traitProfile: updatedTraitProfile } : practice,
       message: 'Practice updated successfully'
     });
   } catch (error) {
@@ -705,6 +761,113 @@ router.delete('/pitfalls/:id', async (req, res) => {
   }
 });
 
+// POST /api/expert/practices/:id/versions/:versionId/completion-criteria - Add completion criterion
+router.post('/practices/:id/versions/:versionId/completion-criteria', async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Completion criterion name is required'
+      });
+    }
+    
+    const criterion = await CompletionCriterion.create({
+      practiceVersionId: req.params.versionId,
+      name,
+      description,
+      lastUpdateById: req.user.id
+    });
+    await cacheService.invalidatePracticeCache(req.params.id);
+    
+    res.status(201).json({
+      success: true,
+      data: criterion,
+      message: 'Completion criterion created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating completion criterion:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to create completion criterion',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/expert/completion-criteria/:id - Update completion criterion (teams keep their ticks)
+router.put('/completion-criteria/:id', async (req, res) => {
+  try {
+    const criterion = await CompletionCriterion.findById(req.params.id);
+    
+    if (!criterion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Completion criterion not found'
+      });
+    }
+
+    const { name, description } = req.body;
+    
+    await criterion.update({
+      name,
+      description,
+      lastUpdateById: req.user.id
+    });
+    await cacheService.invalidatePracticeCache('*');
+    
+    res.json({
+      success: true,
+      data: criterion,
+      message: 'Completion criterion updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating completion criterion:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to update completion criterion',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/expert/completion-criteria/:id - Delete completion criterion
+router.delete('/completion-criteria/:id', async (req, res) => {
+  try {
+    const criterion = await CompletionCriterion.findById(req.params.id);
+    
+    if (!criterion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Completion criterion not found'
+      });
+    }
+
+    const deleted = await criterion.delete();
+    
+    if (!deleted) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete completion criterion'
+      });
+    }
+    await cacheService.invalidatePracticeCache('*');
+    
+    res.json({
+      success: true,
+      message: 'Completion criterion deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting completion criterion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete completion criterion',
+      error: error.message
+    });
+  }
+});
+
 // POST /api/expert/practices/:id/versions/:versionId/recommendations - Add recommendation
 router.post('/practices/:id/versions/:versionId/recommendations', async (req, res) => {
   try {
@@ -1395,7 +1558,7 @@ router.post('/workproducts/:id/practices', async (req, res) => {
       });
     }
 
-    const { practiceVersionIds } = req.body;
+    const { practiceVersionIds, usage = 'produces' } = req.body;
     
     if (!Array.isArray(practiceVersionIds)) {
       return res.status(400).json({
@@ -1403,8 +1566,15 @@ router.post('/workproducts/:id/practices', async (req, res) => {
         message: 'Practice version IDs must be an array'
       });
     }
+
+    if (!Workproduct.USAGES.includes(usage)) {
+      return res.status(400).json({
+        success: false,
+        message: `Usage must be one of ${Workproduct.USAGES.join(', ')}`
+      });
+    }
     
-    await workproduct.linkToPracticeVersions(practiceVersionIds);
+    await workproduct.linkToPracticeVersions(practiceVersionIds, usage);
     
     res.json({
       success: true,
@@ -1420,6 +1590,50 @@ router.post('/workproducts/:id/practices', async (req, res) => {
   }
 });
 
+// PUT /api/expert/workproducts/:id/practices/:practiceVersionId - Change how a practice version uses the workproduct
+router.put('/workproducts/:id/practices/:practiceVersionId', async (req, res) => {
+  try {
+    const workproduct = await Workproduct.findById(req.params.id);
+
+    if (!workproduct) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workproduct not found'
+      });
+    }
+
+    const { usage } = req.body;
+
+    if (!Workproduct.USAGES.includes(usage)) {
+      return res.status(400).json({
+        success: false,
+        message: `Usage must be one of ${Workproduct.USAGES.join(', ')}`
+      });
+    }
+
+    const updated = await workproduct.setUsage(req.params.practiceVersionId, usage);
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workproduct is not associated with this practice version'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Workproduct usage updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating workproduct usage:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update workproduct usage',
+      error: error.message
+    });
+  }
+});
+
 // GET /api/expert/workproducts/:id/practices - Get practice versions associated with workproduct
 router.get('/workproducts/:id/practices', async (req, res) => {
   try {
@@ -1449,42 +1663,893 @@ router.get('/workproducts/:id/practices', async (req, res) => {
 });
 
 // ============================================================================
-// PRACTICE STATUS MANAGEMENT
+// AFFINITY SURVEY SCORING KEYS
 // ============================================================================
 
-// PUT /api/expert/practices/:id/versions/:versionId/publish - Publish practice version
-router.put('/practices/:id/versions/:versionId/publish', async (req, res) => {
+// GET /api/expert/survey-items - Get all survey item versions with their scoring keys
+router.get('/survey-items', async (req, res) => {
   try {
-    const practiceVersion = await PracticeVersion.findById(req.params.versionId);
-    
-    if (!practiceVersion) {
+    const items = await AffinitySurveyVersion.findAll();
+
+    res.json({
+      success: true,
+      data: items
+    });
+  } catch (error) {
+    console.error('Error fetching survey items:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch survey items',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/expert/survey-items - Create survey item with its first keyed version
+router.post('/survey-items', async (req, res) => {
+  try {
+    const { content, description, comment, trait, isReversed, weight, scaleMin, scaleMax } = req.body;
+
+    if (!content || !trait) {
+      return res.status(400).json({
+        success: false,
+        message: 'Item content and trait are required'
+      });
+    }
+
+    AffinitySurveyVersion.validateScoringKey({ trait, weight, scaleMin, scaleMax });
+
+    const item = await AffinitySurvey.create({ content, description, comment });
+    const version = await AffinitySurveyVersion.create({
+      itemId: item.id,
+      version: 1,
+      versionNote: 'Initial version',
+      trait,
+      isReversed,
+      weight,
+      scaleMin,
+      scaleMax
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { ...item.toJSON(), version },
+      message: 'Survey item created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating survey item:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to create survey item',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/expert/survey-items/:id/versions - Create new keyed version of a survey item
+router.post('/survey-items/:id/versions', async (req, res) => {
+  try {
+    const item = await AffinitySurvey.findById(req.params.id);
+
+    if (!item) {
       return res.status(404).json({
         success: false,
-        message: 'Practice version not found'
+        message: 'Survey item not found'
       });
     }
 
-    // Validate that all required fields are completed before publishing
-    const practice = await Practice.findById(req.params.id);
-    if (!practice.name || !practice.description) {
-      return res.status(400).json({
+    const { versionNote, trait, isReversed, weight, scaleMin, scaleMax } = req.body;
+    const latest = await AffinitySurveyVersion.findLatestByItemId(item.id);
+
+    const version = await AffinitySurveyVersion.create({
+      itemId: item.id,
+      version: latest ? latest.version + 1 : 1,
+      versionNote,
+      trait,
+      isReversed,
+      weight,
+      scaleMin,
+      scaleMax
+    });
+
+    res.status(201).json({
+      success: true,
+      data: version,
+      message: 'Survey item version created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating survey item version:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to create survey item version',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/expert/survey-items/versions/:versionId - Update scoring key of a survey item version
+router.put('/survey-items/versions/:versionId', async (req, res) => {
+  try {
+    const version = await AffinitySurveyVersion.findById(req.params.versionId);
+
+    if (!version) {
+      return res.status(404).json({
         success: false,
-        message: 'Practice must have name and description before publishing'
+        message: 'Survey item version not found'
       });
     }
 
-    await practiceVersion.publish();
-    
+    const { versionNote, trait, isReversed, weight, scaleMin, scaleMax } = req.body;
+    const updated = await version.update({ versionNote, trait, isReversed, weight, scaleMin, scaleMax });
+
     res.json({
       success: true,
-      data: practiceVersion,
-      message: 'Practice version published successfully'
+      data: updated,
+      message: 'Survey item version updated successfully'
     });
   } catch (error) {
-    console.error('Error publishing practice version:', error);
+    console.error('Error updating survey item version:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Failed to update survey item version',
+      error: error.message
+    });
+  }
+});
+
+// ============================================================================
+// PRACTICE ASSOCIATIONS
+// ============================================================================
+
+// GET /api/expert/associations/types - Get the typed links available between practices
+router.get('/associations/types', async (req, res) => {
+  try {
+    const types = await PracticeAssociation.findTypes();
+
+    res.json({
+      success: true,
+      data: types
+    });
+  } catch (error) {
+    console.error('Error fetching association types:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to publish practice version',
+      message: 'Failed to fetch association types',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/expert/associations - Get practice associations, optionally for one practice version or type
+router.get('/associations', async (req, res) => {
+  try {
+    const { practiceVersionId, type } = req.query;
+    const associations = await PracticeAssociation.findAll({
+      practiceVersionId: practiceVersionId ? parseInt(practiceVersionId) : null,
+      type
+    });
+
+    res.json({
+      success: true,
+      data: associations
+    });
+  } catch (error) {
+    console.error('Error fetching practice associations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch practice associations',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/expert/associations - Link two practice versions ("source <type> target")
+router.post('/associations', async (req, res) => {
+  try {
+    const { sourcePracticeVersionId, targetPracticeVersionId, type } = req.body;
+
+    if (!sourcePracticeVersionId || !targetPracticeVersionId || !type) {
+      return res.status(400).json({
+        success: false,
+        message: 'Source practice version ID, target practice version ID, and type are required'
+      });
+    }
+
+    const association = await PracticeAssociation.create({
+      sourcePracticeVersionId,
+      targetPracticeVersionId,
+      type
+    });
+
+    res.status(201).json({
+      success: true,
+      data: association,
+      message: 'Practice association created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating practice association:', error);
+    res.status(error.message === 'Association already exists' ? 409 : 400).json({
+      success: false,
+      message: 'Failed to create practice association',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/expert/associations/:id - Update a practice association
+router.put('/associations/:id', async (req, res) => {
+  try {
+    const association = await PracticeAssociation.findById(req.params.id);
+
+    if (!association) {
+      return res.status(404).json({
+        success: false,
+        message: 'Practice association not found'
+      });
+    }
+
+    const { sourcePracticeVersionId, targetPracticeVersionId, type } = req.body;
+    await association.update({ sourcePracticeVersionId, targetPracticeVersionId, type });
+
+    res.json({
+      success: true,
+      data: association,
+      message: 'Practice association updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating practice association:', error);
+    res.status(error.message === 'Association already exists' ? 409 : 400).json({
+      success: false,
+      message: 'Failed to update practice association',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/expert/associations/:id - Delete a practice association
+router.delete('/associations/:id', async (req, res) => {
+  try {
+    const association = await PracticeAssociation.findById(req.params.id);
+
+    if (!association) {
+      return res.status(404).json({
+        success: false,
+        message: 'Practice association not found'
+      });
+    }
+
+    await association.delete();
+
+    res.json({
+      success: true,
+      message: 'Practice association deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting practice association:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete practice association',
+      error: error.message
+    });
+  }
+});
+
+// ============================================================================
+// PRACTICE TAGS
+// ============================================================================
+
+// Map tag and vocabulary errors to HTTP status codes
+const tagErrorStatus = (error) => {
+  if (error.message.includes('already')) {
+    return 409;
+  }
+  if (error.message.includes('not found')) {
+    return 404;
+  }
+  return 400;
+};
+
+// GET /api/expert/tag-vocabularies - Get curated tag vocabularies
+router.get('/tag-vocabularies', async (req, res) => {
+  try {
+    const vocabularies = await TagVocabulary.findAll();
+
+    res.json({
+      success: true,
+      data: vocabularies
+    });
+  } catch (error) {
+    console.error('Error fetching tag vocabularies:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tag vocabularies',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/expert/tag-vocabularies - Create a tag vocabulary
+router.post('/tag-vocabularies', async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    const vocabulary = await TagVocabulary.create({ name, description, createdById: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      data: vocabulary,
+      message: 'Tag vocabulary created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating tag vocabulary:', error);
+    res.status(tagErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to create tag vocabulary',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/expert/tag-vocabularies/:id - Rename or describe a tag vocabulary
+router.put('/tag-vocabularies/:id', async (req, res) => {
+  try {
+    const vocabulary = await TagVocabulary.findById(req.params.id);
+
+    if (!vocabulary) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag vocabulary not found'
+      });
+    }
+
+    const { name, description } = req.body;
+    await vocabulary.update({ name, description });
+
+    res.json({
+      success: true,
+      data: vocabulary,
+      message: 'Tag vocabulary updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating tag vocabulary:', error);
+    res.status(tagErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to update tag vocabulary',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/expert/tag-vocabularies/:id - Delete a vocabulary; its tags become free-form
+router.delete('/tag-vocabularies/:id', async (req, res) => {
+  try {
+    const vocabulary = await TagVocabulary.findById(req.params.id);
+
+    if (!vocabulary) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag vocabulary not found'
+      });
+    }
+
+    await vocabulary.delete();
+    await cacheService.invalidatePracticeCache('*');
+
+    res.json({
+      success: true,
+      message: 'Tag vocabulary deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting tag vocabulary:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete tag vocabulary',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/expert/tags - Create a curated (vocabularyId) or free-form tag
+router.post('/tags', async (req, res) => {
+  try {
+    const { name, description, vocabularyId } = req.body;
+    const tag = await Tag.create({ name, description, vocabularyId, createdById: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      data: tag,
+      message: 'Tag created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating tag:', error);
+    res.status(tagErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to create tag',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/expert/tags/:id - Rename a tag or move it to another vocabulary (null for free-form)
+router.put('/tags/:id', async (req, res) => {
+  try {
+    const tag = await Tag.findById(req.params.id);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    const { name, description, vocabularyId } = req.body;
+    await tag.update({ name, description, vocabularyId });
+    await cacheService.invalidatePracticeCache('*');
+
+    res.json({
+      success: true,
+      data: tag,
+      message: 'Tag updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating tag:', error);
+    res.status(tagErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to update tag',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/expert/tags/:id - Delete a tag and remove it from all practices
+router.delete('/tags/:id', async (req, res) => {
+  try {
+    const tag = await Tag.findById(req.params.id);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    await tag.delete();
+    await cacheService.invalidatePracticeCache('*');
+
+    res.json({
+      success: true,
+      message: 'Tag deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete tag',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/expert/tags/:id/synonyms - Add a synonym that resolves to the tag
+router.post('/tags/:id/synonyms', async (req, res) => {
+  try {
+    const tag = await Tag.findById(req.params.id);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    await tag.addSynonym(req.body.name);
+
+    res.status(201).json({
+      success: true,
+      data: tag,
+      message: 'Synonym added successfully'
+    });
+  } catch (error) {
+    console.error('Error adding tag synonym:', error);
+    res.status(tagErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to add synonym',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/expert/tags/:id/synonyms/:synonymId - Remove a synonym
+router.delete('/tags/:id/synonyms/:synonymId', async (req, res) => {
+  try {
+    const tag = await Tag.findById(req.params.id);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    await tag.removeSynonym(parseInt(req.params.synonymId));
+
+    res.json({
+      success: true,
+      data: tag,
+      message: 'Synonym removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing tag synonym:', error);
+    res.status(tagErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to remove synonym',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/expert/tags/:id/merge - Merge the tag into targetTagId; its name becomes a synonym of the target
+router.post('/tags/:id/merge', async (req, res) => {
+  try {
+    const tag = await Tag.findById(req.params.id);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    if (!req.body.targetTagId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Target tag ID is required'
+      });
+    }
+
+    const target = await tag.mergeInto(parseInt(req.body.targetTagId));
+    await cacheService.invalidatePracticeCache('*');
+
+    res.json({
+      success: true,
+      data: target,
+      message: `Tag "${tag.name}" merged into "${target.name}"`
+    });
+  } catch (error) {
+    console.error('Error merging tags:', error);
+    res.status(tagErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to merge tags',
+      error: error.message
+    });
+  }
+});
+
+// ============================================================================
+// PRACTICE STATUS MANAGEMENT
+// ============================================================================
+
+// Lifecycle rule violations are client errors
+const isLifecycleError = (error) => error.message.includes('Cannot move') ||
+  error.message.includes('not ready') || error.message.includes('sign-off') ||
+  error.message.includes('Status must be one of');
+
+// GET /api/expert/reviews - Get practice versions waiting for a second expert's sign-off
+router.get('/reviews', async (req, res) => {
+  try {
+    const pool = require('../config/database');
+    const result = await pool.query(
+      `SELECT pv.*, p.name as practiceName, s.name as submittedByName
+       FROM practiceVersion pv
+       JOIN Practice p ON pv.practiceId = p.id
+       LEFT JOIN Person s ON pv.submittedById = s.id
+       WHERE pv.status = 'In Review'
+       ORDER BY pv.submittedAt`
+    );
+
+    res.json({
+      success: true,
+      data: result.rows.map(row => ({
+        ...new PracticeVersion(row).toJSON(),
+        practiceName: row.practicename,
+        submittedByName: row.submittedbyname,
+        canSignOff: row.submittedbyid !== req.user.id
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching practice versions in review:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch practice versions in review',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/expert/practices/:id/versions/:versionId/lifecycle - Get a version's status, allowed moves, readiness and history
+router.get('/practices/:id/versions/:versionId/lifecycle', async (req, res) => {
+  try {
+    const practiceVersion = await PracticeVersion.findById(req.params.versionId);
+
+    if (!practiceVersion || practiceVersion.practiceId !== parseInt(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Practice version not found'
+      });
+    }
+
+    const readiness = await practiceVersion.getReadiness();
+    const history = await practiceVersion.getHistory();
+
+    res.json({
+      success: true,
+      data: {
+        version: practiceVersion,
+        status: practiceVersion.status,
+        allowedTransitions: PracticeVersion.allowedTransitions(practiceVersion.status),
+        readiness,
+        canSignOff: practiceVersion.status === 'In Review' && practiceVersion.submittedById !== req.user.id,
+        history
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching practice version lifecycle:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch practice version lifecycle',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/expert/practices/:id/versions/:versionId/status - Move a version through its lifecycle
+router.put('/practices/:id/versions/:versionId/status', async (req, res) => {
+  try {
+    const { status, comment } = req.body;
+
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status is required'
+      });
+    }
+
+    const practiceVersion = await PracticeVersion.findById(req.params.versionId);
+
+    if (!practiceVersion || practiceVersion.practiceId !== parseInt(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Practice version not found'
+      });
+    }
+
+    await practiceVersion.transition(status, req.user.id, comment);
+
+    await cacheService.invalidatePracticeCache(practiceVersion.practiceId);
+
+    res.json({
+      success: true,
+      data: practiceVersion,
+      message: `Practice version moved to ${practiceVersion.status}`
+    });
+  } catch (error) {
+    console.error('Error changing practice version status:', error);
+    res.status(isLifecycleError(error) ? 400 : 500).json({
+      success: false,
+      message: 'Failed to change practice version status',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/expert/practices/:id/versions/:versionId/publish - Sign off a version in review and publish it
+router.put('/practices/:id/versions/:versionId/publish', async (req, res) => {
+  try {
+    const practiceVersion = await PracticeVersion.findById(req.params.versionId);
+    
+    if (!practiceVersion || practiceVersion.practiceId !== parseInt(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Practice version not found'
+      });
+    }
+
+    // Validate that all required fields are completed before publishing
+    const practice = await Practice.findById(req.params.id);
+    if (!practice.name || !practice.description) {
+      return res.status(400).json({
+        success: false,
+        message: 'Practice must have name and description before publishing'
+      });
+    }
+
+    await practiceVersion.publish(req.user.id, req.body.comment);
+
+    await cacheService.invalidatePracticeCache(practiceVersion.practiceId);
+    
+    res.json({
+      success: true,
+      data: practiceVersion,
+      message: 'Practice version published successfully'
+    });
+  } catch (error) {
+    console.error('Error publishing practice version:', error);
+    res.status(isLifecycleError(error) ? 400 : 500).json({
+      success: false,
+      message: 'Failed to publish practice version',
+      error: error.message
+    });
+  }
+});
+
+// ============================================================================
+// PRACTICE VERSION HISTORY
+// ============================================================================
+
+// GET /api/expert/practices/:id/versions/diff?from=&to= - Compare two versions field by field and entity by entity
+router.get('/practices/:id/versions/diff', async (req, res) => {
+  try {
+    const fromId = parseInt(req.query.from);
+    const toId = parseInt(req.query.to);
+
+    if (isNaN(fromId) || isNaN(toId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to version IDs are required'
+      });
+    }
+
+    const changeset = await PracticeVersionDiffService.compareVersions(fromId, toId);
+
+    if (!changeset || changeset.practiceId !== parseInt(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Practice version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: changeset
+    });
+  } catch (error) {
+    console.error('Error comparing practice versions:', error);
+    res.status(error.message === 'Versions belong to different practices' ? 400 : 500).json({
+      success: false,
+      message: 'Failed to compare practice versions',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/expert/practices/:id/versions/:versionId/restore - Copy an older version forward as a new draft
+router.post('/practices/:id/versions/:versionId/restore', async (req, res) => {
+  try {
+    const practiceVersion = await PracticeVersion.findById(req.params.versionId);
+
+    if (!practiceVersion || practiceVersion.practiceId !== parseInt(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Practice version not found'
+      });
+    }
+
+    const { versionName, changeDescription } = req.body;
+    const restored = await PracticeVersionDiffService.restoreAsNewVersion(practiceVersion.id, req.user.id, {
+      versionName,
+      changeDescription
+    });
+
+    // The copied trait profile gives the new version its own affinities
+    await AffinityJobService.enqueuePractice(restored.id, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: restored,
+      message: 'Practice version restored as a new draft'
+    });
+  } catch (error) {
+    console.error('Error restoring practice version:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore practice version',
+      error: error.message
+    });
+  }
+});
+
+// ============================================================================
+// PRACTICE CATALOGUE IMPORT AND EXPORT
+// ============================================================================
+
+// POST /api/expert/import/practices - Import practices reference JSON files (dryRun to get the change report only)
+router.post('/import/practices', async (req, res) => {
+  try {
+    const { files, content, fileName, dryRun, universeId, versionName, status = 'Draft' } = req.body;
+    const uploads = files || (content !== undefined ? [{ name: fileName || 'practices.json', content }] : []);
+
+    if (!PracticeVersion.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of ${PracticeVersion.STATUSES.join(', ')}`
+      });
+    }
+    // Uploaded versions are drafts; they are published through review and a second expert's sign-off
+    if (status !== 'Draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Imported practice versions start as drafts; submit them for review to publish them'
+      });
+    }
+
+    if (uploads.length === 0 || uploads.some(file => typeof file.content !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        message: 'File content is required'
+      });
+    }
+
+    const { practices, errors } = PracticeCatalogueService.parseFiles(uploads.map((file, index) => ({
+      name: file.name || `file ${index + 1}`,
+      content: file.content
+    })));
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${errors.length} validation error(s); nothing was imported`,
+        errors
+      });
+    }
+
+    const report = await PracticeCatalogueService.importPractices(practices, {
+      personId: req.user.id,
+      universeId: universeId ? parseInt(universeId) : undefined,
+      versionName,
+      status,
+      dryRun: dryRun === true
+    });
+
+    if (!report.dryRun) {
+      await cacheService.invalidatePracticeCache('*');
+    }
+
+    res.json({
+      success: true,
+      data: report,
+      message: report.dryRun ? 'Import checked, nothing was saved' : 'Practices imported successfully'
+    });
+  } catch (error) {
+    console.error('Error importing practices:', error);
+    res.status(error.message === 'Universe not found' || error.message.startsWith('Status must be one of') ? 400 : 500).json({
+      success: false,
+      message: 'Failed to import practices',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/expert/export/practices - Export practices in the reference JSON format (filter by method, type, goal or universeId)
+router.get('/export/practices', async (req, res) => {
+  try {
+    const { method, type, goal, universeId } = req.query;
+    const { practices, warnings } = await PracticeCatalogueService.exportPractices({
+      method,
+      type,
+      goal,
+      universeId: universeId ? parseInt(universeId) : undefined
+    });
+
+    res.json({
+      success: true,
+      data: practices,
+      warnings,
+      count: practices.length
+    });
+  } catch (error) {
+    console.error('Error exporting practices:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export practices',
       error: error.message
     });
   }
@@ -1499,8 +2564,9 @@ router.get('/dashboard', async (req, res) => {
     const practiceStatsResult = await pool.query(`
       SELECT 
         COUNT(*) as totalPractices,
-        COUNT(CASE WHEN EXISTS (SELECT 1 FROM practiceVersion pv WHERE pv.practiceId = p.id) THEN 1 END) as publishedPractices,
-        COUNT(CASE WHEN NOT EXISTS (SELECT 1 FROM practiceVersion pv WHERE pv.practiceId = p.id) THEN 1 END) as draftPractices
+        COUNT(CASE WHEN EXISTS (SELECT 1 FROM practiceVersion pv WHERE pv.practiceId = p.id AND pv.status = 'Published') THEN 1 END) as publishedPractices,
+        COUNT(CASE WHEN NOT EXISTS (SELECT 1 FROM practiceVersion pv WHERE pv.practiceId = p.id AND pv.status = 'Published') THEN 1 END) as draftPractices,
+        (SELECT COUNT(*) FROM practiceVersion WHERE status = 'In Review') as inReviewVersions
       FROM Practice p
     `);
     
@@ -1542,7 +2608,8 @@ router.get('/dashboard', async (req, res) => {
         practiceStats: {
           total: parseInt(practiceStats.totalpractices),
           published: parseInt(practiceStats.publishedpractices),
-          draft: parseInt(practiceStats.draftpractices)
+          draft: parseInt(practiceStats.draftpractices),
+          inReview: parseInt(practiceStats.inreviewversions)
         },
         contentStats: {
           activities: parseInt(contentStats.totalactivities),
@@ -10,8 +10,8 @@ router.get('/practice/:practiceVersionId', async (req, res) => {
     const { includeUnvalidated = false, limit = 50, offset = 0 } = req.query;
 
     // Only authenticated experts can see unvalidated feedback
-    const canSeeUnvalidated = req.session.user && 
-      (req.session.user.roleId === 1 || includeUnvalidated === 'true');
+    const canSeeUnvalidated = req.user && 
+      (req.user.roleId === 1 || includeUnvalidated === 'true');
 
     const feedback = await ExperienceFeedback.findByPracticeVersion(
       practiceVersionId, 
@@ -55,7 +55,7 @@ router.get('/practice/:practiceVersionId/stats', async (req, res) => {
 router.post('/', requireAuth, async (req, res) => {
   try {
     const { practiceVersionId, projectContext, feedbackText, rating } = req.body;
-    const personId = req.session.user.id;
+    const personId = req.user.id;
 
     if (!practiceVersionId || !feedbackText) {
       return res.status(400).json({ 
@@ -98,7 +98,7 @@ router.get('/user/:userId', requireAuth, async (req, res) => {
     const { limit = 50, offset = 0 } = req.query;
 
     // Users can only see their own feedback unless they're experts
-    if (req.session.user.id !== parseInt(userId) && req.session.user.roleId !== 1) {
+    if (req.user.id !== parseInt(userId) && req.user.roleId !== 1) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -122,7 +122,7 @@ router.get('/user/:userId', requireAuth, async (req, res) => {
 });
 
 // Get pending feedback for moderation (experts only)
-router.get('/pending', requireRole(1), async (req, res) => {
+router.get('/pending', requireAuth, requireRole(1), async (req, res) => {
   try {
     const { limit = 50, offset = 0 } = req.query;
 
@@ -146,10 +146,10 @@ router.get('/pending', requireRole(1), async (req, res) => {
 });
 
 // Validate feedback (experts only)
-router.post('/:feedbackId/validate', requireRole(1), async (req, res) => {
+router.post('/:feedbackId/validate', requireAuth, requireRole(1), async (req, res) => {
   try {
     const { feedbackId } = req.params;
-    const validatedBy = req.session.user.id;
+    const validatedBy = req.user.id;
 
     const feedback = await ExperienceFeedback.findById(feedbackId);
     if (!feedback) {
@@ -173,7 +173,7 @@ router.post('/:feedbackId/validate', requireRole(1), async (req, res) => {
 });
 
 // Reject feedback (experts only) - this deletes the feedback
-router.delete('/:feedbackId/reject', requireRole(1), async (req, res) => {
+router.delete('/:feedbackId/reject', requireAuth, requireRole(1), async (req, res) => {
   try {
     const { feedbackId } = req.params;
 
@@ -210,7 +210,7 @@ router.put('/:feedbackId', requireAuth, async (req, res) => {
     }
 
     // Users can only update their own feedback, and only if it's not validated
-    if (feedback.personId !== req.session.user.id) {
+    if (feedback.personId !== req.user.id) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -252,13 +252,13 @@ router.delete('/:feedbackId', requireAuth, async (req, res) => {
 
     // Users can only delete their own feedback, and only if it's not validated
     // Experts can delete any feedback
-    const canDelete = feedback.personId === req.session.user.id || req.session.user.roleId === 1;
+    const canDelete = feedback.personId === req.user.id || req.user.roleId === 1;
     
     if (!canDelete) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    if (feedback.isValidated && req.session.user.roleId !== 1) {
+    if (feedback.isValidated && req.user.roleId !== 1) {
       return res.status(400).json({ error: 'Cannot delete validated feedback' });
     }
 
@@ -288,8 +288,8 @@ router.get('/:feedbackId', async (req, res) => {
     // Authenticated users can see their own feedback
     // Experts can see all feedback
     const canView = feedback.isValidated || 
-                   (req.session.user && feedback.personId === req.session.user.id) ||
-                   (req.session.user && req.session.user.roleId === 1);
+                   (req.user && feedback.personId === req.user.id) ||
+                   (req.user && req.user.roleId === 1);
 
     if (!canView) {
       return res.status(404).json({ error: 'Feedback not found' });
@@ -0,0 +1,150 @@
+const express = require('express');
+const Team = require('../models/Team');
+const Person = require('../models/Person');
+const InvitationService = require('../services/invitationService');
+const AffinityJobService = require('../services/affinityJobService');
+const cacheService = require('../services/cacheService');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const TOKEN_ERRORS = {
+  invalid: { status: 404, error: 'Invitation link is invalid or has been replaced' },
+  expired: { status: 410, error: 'Invitation link has expired' }
+};
+
+// Resolve the invitation of the :token parameter, answering the error if it cannot be used
+const loadInvitation = async (req, res) => {
+  const { invitation, error } = await InvitationService.resolve(req.params.token);
+  if (error) {
+    res.status(TOKEN_ERRORS[error].status).json({
+      success: false,
+      error: TOKEN_ERRORS[error].error,
+      status: invitation ? invitation.status : undefined
+    });
+    return null;
+  }
+  return invitation;
+};
+
+// Get the invitation behind a link, for the landing page
+router.get('/:token', async (req, res) => {
+  try {
+    const invitation = await loadInvitation(req, res);
+    if (!invitation) {
+      return;
+    }
+
+    const [team, inviter] = await Promise.all([
+      Team.findById(invitation.teamId),
+      Person.findById(invitation.inviterPersonId)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        teamId: invitation.teamId,
+        teamName: team ? team.name : null,
+        teamDescription: team ? team.description : null,
+        inviterName: inviter ? inviter.name : null,
+        invitedEmail: invitation.invitedEmail,
+        scope: invitation.scope,
+        status: invitation.status,
+        expiresAt: invitation.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get invitation' });
+  }
+});
+
+// Accept an invitation and join its team
+router.post('/:token/accept', requireAuth, async (req, res) => {
+  try {
+    const invitation = await loadInvitation(req, res);
+    if (!invitation) {
+      return;
+    }
+
+    const team = await Team.findById(invitation.teamId);
+    if (!team) {
+      return res.status(404).json({ success: false, error: 'Team not found' });
+    }
+
+    const refusal = invitation.acceptanceError(req.user);
+    if (refusal) {
+      return res.status(invitation.status === 'pending' ? 403 : 409).json({ success: false, error: refusal });
+    }
+
+    if (await team.isMember(req.user.id)) {
+      return res.status(409).json({
+        success: false,
+        error: 'You are already a member of this team'
+      });
+    }
+
+    try {
+      await invitation.accept(req.user.id);
+    } catch (error) {
+      if (error.message === 'Invitation is no longer pending') {
+        return res.status(409).json({ success: false, error: 'This invitation has already been used' });
+      }
+      throw error;
+    }
+
+    // Make sure the new member's affinities are ready for the team's aggregates
+    await cacheService.invalidateTeamCache(team.id);
+    try {
+      await AffinityJobService.enqueuePerson(req.user.id);
+    } catch (error) {
+      console.error('Error queueing affinity recalculation:', error);
+    }
+
+    res.json({
+      success: true,
+      message: 'Successfully joined team',
+      data: {
+        team: team.toJSON(),
+        invitation: invitation.toJSON()
+      }
+    });
+
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ success: false, error: 'Failed to accept invitation' });
+  }
+});
+
+// Decline an invitation; holding the link is enough
+router.post('/:token/decline', async (req, res) => {
+  try {
+    const invitation = await loadInvitation(req, res);
+    if (!invitation) {
+      return;
+    }
+
+    const declined = await invitation.setStatus('declined');
+    if (!declined) {
+      return res.status(409).json({
+        success: false,
+        error: `This invitation has already been ${invitation.status}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation declined',
+      data: {
+        invitation: invitation.toJSON()
+      }
+    });
+
+  } catch (error) {
+    console.error('Decline invitation error:', error);
+    res.status(500).json({ success: false, error: 'Failed to decline invitation' });
+  }
+});
+
+module.exports = router;
@@ -2,7 +2,15 @@ const express = require('express');
 const router = express.Router();
 const Method = require('../models/Method');
 const MethodVersion = require('../models/MethodVersion');
-const { requireAuth } = require('../middleware/auth');
+const MethodAnalysisService = require('../services/methodAnalysisService');
+const TeamAggregationService = require('../services/teamAggregationService');
+const { requireAuth, requireTeamPermission } = require('../middleware/auth');
+
+// Method versions to analyse together, e.g. ?versionIds=1,2 for "Scrum + XP"
+const parseVersionIds = (versionIds) => {
+  const values = Array.isArray(versionIds) ? versionIds : String(versionIds || '').split(',');
+  return Array.from(new Set(values.map(id => parseInt(id)).filter(Number.isInteger)));
+};
 
 // GET /api/methods - List all methods
 router.get('/', async (req, res) => {
@@ -33,6 +41,97 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/methods/analysis - Analyse method versions together: roles, work products, activities, goal coverage, gaps and overlaps
+router.get('/analysis', async (req, res) => {
+  try {
+    const versionIds = parseVersionIds(req.query.versionIds);
+
+    if (versionIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one method version ID is required'
+      });
+    }
+
+    const analysis = await MethodAnalysisService.analyzeMethodVersions(versionIds);
+
+    if (analysis.methodVersions.length !== versionIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Method version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: analysis
+    });
+  } catch (error) {
+    console.error('Error analysing methods:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to analyse methods',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/methods/analysis/teams/:teamId - Analyse method versions together with the team's affinity for them
+router.get('/analysis/teams/:teamId', requireAuth, requireTeamPermission('view'), async (req, res) => {
+  try {
+    const versionIds = parseVersionIds(req.query.versionIds);
+
+    if (versionIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one method version ID is required'
+      });
+    }
+
+    const team = req.team;
+
+    let strategy;
+    try {
+      strategy = TeamAggregationService.resolve(req.query.strategy, team);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const members = await team.getMembers();
+    const analysis = await MethodAnalysisService.analyzeMethodVersions(versionIds, {
+      memberIds: members.map(member => member.id),
+      strategy
+    });
+
+    if (analysis.methodVersions.length !== versionIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Method version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: analysis,
+      meta: {
+        teamId: team.id,
+        teamName: team.name,
+        memberCount: members.length
+      }
+    });
+  } catch (error) {
+    console.error('Error analysing methods for team:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to analyse methods for team',
+      error: error.message
+    });
+  }
+});
+
 // GET /api/methods/:id - Get method by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -227,6 +326,34 @@ router.get('/versions/:versionId/practices', async (req, res) => {
   }
 });
 
+// GET /api/methods/versions/:versionId/analysis - Analyse one method version
+router.get('/versions/:versionId/analysis', async (req, res) => {
+  try {
+    const methodVersion = await MethodVersion.findById(req.params.versionId);
+
+    if (!methodVersion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Method version not found'
+      });
+    }
+
+    const analysis = await MethodAnalysisService.analyzeMethodVersions([methodVersion.id]);
+
+    res.json({
+      success: true,
+      data: analysis
+    });
+  } catch (error) {
+    console.error('Error analysing method version:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to analyse method version',
+      error: error.message
+    });
+  }
+});
+
 // POST /api/methods/versions/:versionId/practices - Add practice to method version
 router.post('/versions/:versionId/practices', requireAuth, async (req, res) => {
   try {
@@ -4,31 +4,43 @@ const Practice = require('../models/Practice');
 const PracticeVersion = require('../models/PracticeVersion');
 const Activity = require('../models/Activity');
 const Goal = require('../models/Goal');
-const { requireAuth } = require('../middleware/auth');
-const { parsePaginationParams, addPaginationHelpers } = require('../middleware/pagination');
+const Tag = require('../models/Tag');
+const { requireAuth, requireExpert } = require('../middleware/auth');
+const { parsePaginationParams, addPaginationHelpers, createPaginatedResponse } = require('../middleware/pagination');
 const cacheService = require('../services/cacheService');
 const QueryOptimizationService = require('../services/queryOptimizationService');
+const PracticeSearchService = require('../services/practiceSearchService');
 
-// GET /api/practices - List all practices with search and filtering (optimized with caching)
+// Parse a comma-separated list of IDs from a query parameter
+const parseIdList = (value) => (value ? String(value).split(',') : [])
+  .map(id => parseInt(id.trim()))
+  .filter(id => !isNaN(id));
+
+// GET /api/practices - List published practices with ranked search, filtering and facet counts (optimized with caching)
 router.get('/', parsePaginationParams, addPaginationHelpers, async (req, res) => {
   try {
     const { typeId, goalId, search, category } = req.query;
+    const tagIds = parseIdList(req.query.tagIds).sort((a, b) => a - b);
     const { page, limit, offset } = req.pagination;
     
     // Check cache first
     const cacheKey = cacheService.generateKey('practices', 'list', JSON.stringify({
-      typeId, goalId, search, category, page, limit
+      typeId, goalId, tagIds, search, category, page, limit
     }));
     
     let cachedResult = await cacheService.get(cacheKey);
     if (cachedResult) {
-      return res.paginate(cachedResult.practices, cachedResult.totalCount);
+      return res.json(Object.assign(
+        createPaginatedResponse(cachedResult.practices, cachedResult.totalCount, req.pagination),
+        { facets: cachedResult.facets }
+      ));
     }
     
     // Use optimized query
     const filters = {
       typeId: typeId ? parseInt(typeId) : undefined,
       goalId: goalId ? parseInt(goalId) : undefined,
+      tagIds,
       search: search || undefined,
       category: category || undefined
     };
@@ -38,11 +50,15 @@ router.get('/', parsePaginationParams, addPaginationHelpers, async (req, res) =>
       filters, 
       { limit, offset }
     );
+    result.facets = await QueryOptimizationService.getPracticeFacets(search, filters);
     
     // Cache the result for 10 minutes
     await cacheService.set(cacheKey, result, 600);
     
-    res.paginate(result.practices, result.totalCount);
+    res.json(Object.assign(
+      createPaginatedResponse(result.practices, result.totalCount, req.pagination),
+      { facets: result.facets }
+    ));
   } catch (error) {
     console.error('Error fetching practices:', error);
     res.status(500).json({
@@ -53,10 +69,10 @@ router.get('/', parsePaginationParams, addPaginationHelpers, async (req, res) =>
   }
 });
 
-// GET /api/practices/search - Search practices by name and description
+// GET /api/practices/search - Ranked search over practices and their latest published version, with snippets
 router.get('/search', async (req, res) => {
   try {
-    const { q, limit = 50, offset = 0 } = req.query;
+    const { q, typeId, goalId, category, limit = 50, offset = 0 } = req.query;
     
     if (!q || q.trim().length === 0) {
       return res.status(400).json({
@@ -65,18 +81,23 @@ router.get('/search', async (req, res) => {
       });
     }
     
-    const practices = await Practice.search(q.trim(), {
+    const result = await PracticeSearchService.search({
+      query: q.trim(),
+      typeId: typeId ? parseInt(typeId) : undefined,
+      goalId: goalId ? parseInt(goalId) : undefined,
+      tagIds: parseIdList(req.query.tagIds),
+      category: category || undefined,
       limit: parseInt(limit),
       offset: parseInt(offset)
     });
     
     res.json({
       success: true,
-      data: practices,
+      data: result.practices,
       pagination: {
         limit: parseInt(limit),
         offset: parseInt(offset),
-        total: practices.length
+        total: result.totalCount
       }
     });
   } catch (error) {
@@ -158,6 +179,30 @@ router.get('/by-goals', parsePaginationParams, addPaginationHelpers, async (req,
   }
 });
 
+// GET /api/practices/tags - List tags with their vocabulary, synonyms and practice counts
+router.get('/tags', async (req, res) => {
+  try {
+    const { vocabularyId, freeForm, q } = req.query;
+    const tags = await Tag.findAll({
+      vocabularyId: vocabularyId ? parseInt(vocabularyId) : undefined,
+      freeForm: freeForm === 'true',
+      search: q
+    });
+    
+    res.json({
+      success: true,
+      data: tags
+    });
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tags',
+      error: error.message
+    });
+  }
+});
+
 // GET /api/practices/categories - Get practices grouped by categories
 router.get('/categories', async (req, res) => {
   try {
@@ -320,6 +365,86 @@ router.delete('/:id', requireAuth, async (req, res) => {
   }
 });
 
+// GET /api/practices/:id/tags - Get the tags of a practice
+router.get('/:id/tags', async (req, res) => {
+  try {
+    const tags = await Tag.findForPractice(parseInt(req.params.id));
+    
+    res.json({
+      success: true,
+      data: tags
+    });
+  } catch (error) {
+    console.error('Error fetching practice tags:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch practice tags',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/practices/:id/tags - Tag a practice by name; unknown names become free-form tags
+router.post('/:id/tags', requireAuth, async (req, res) => {
+  try {
+    const practiceId = parseInt(req.params.id);
+    const tag = await Tag.tagPractice(practiceId, req.body.name, req.user.id);
+    await cacheService.invalidatePracticeCache(practiceId);
+    
+    res.status(201).json({
+      success: true,
+      data: tag,
+      message: 'Practice tagged successfully'
+    });
+  } catch (error) {
+    console.error('Error tagging practice:', error);
+    
+    if (error.message === 'Practice not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(400).json({
+      success: false,
+      message: 'Failed to tag practice',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/practices/:id/tags/:tagId - Remove a tag (experts, or the person who added it)
+router.delete('/:id/tags/:tagId', requireAuth, async (req, res) => {
+  try {
+    const practiceId = parseInt(req.params.id);
+    const removed = await Tag.untagPractice(practiceId, parseInt(req.params.tagId), {
+      taggedById: req.user.roleId === 1 ? undefined : req.user.id
+    });
+    
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found on this practice, or added by someone else'
+      });
+    }
+    
+    await cacheService.invalidatePracticeCache(practiceId);
+    
+    res.json({
+      success: true,
+      message: 'Tag removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing practice tag:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove tag',
+      error: error.message
+    });
+  }
+});
+
 // POST /api/practices/:id/versions - Create new practice version
 router.post('/:id/versions', requireAuth, async (req, res) => {
   try {
@@ -384,8 +509,8 @@ router.get('/versions/published', async (req, res) => {
   }
 });
 
-// PUT /api/practices/versions/:versionId/publish - Publish a practice version
-router.put('/versions/:versionId/publish', requireAuth, async (req, res) => {
+// PUT /api/practices/versions/:versionId/publish - Sign off a version in review and publish it (experts only)
+router.put('/versions/:versionId/publish', requireAuth, requireExpert, async (req, res) => {
   try {
     const practiceVersion = await PracticeVersion.findById(req.params.versionId);
     
@@ -396,7 +521,8 @@ router.put('/versions/:versionId/publish', requireAuth, async (req, res) => {
       });
     }
 
-    await practiceVersion.publish();
+    await practiceVersion.publish(req.user.id, req.body.comment);
+    await cacheService.invalidatePracticeCache(practiceVersion.practiceId);
     
     res.json({
       success: true,
@@ -405,6 +531,16 @@ router.put('/versions/:versionId/publish', requireAuth, async (req, res) => {
     });
   } catch (error) {
     console.error('Error publishing practice version:', error);
+
+    if (error.message.includes('Cannot move') || error.message.includes('not ready') ||
+        error.message.includes('sign-off')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to publish practice version',
+        error: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to publish practice version',
@@ -448,7 +584,9 @@ router.get('/versions/:versionId/activities', async (req, res) => {
   try {
     const practiceVersion = await PracticeVersion.findById(req.params.versionId);
     
-    if (!practiceVersion) {
+    // Unpublished versions are only visible to experts, and team forks to their
+    // team, through their own routes
+    if (!practiceVersion || practiceVersion.status !== 'Published' || practiceVersion.forkedFromId) {
       return res.status(404).json({
         success: false,
         message: 'Practice version not found'
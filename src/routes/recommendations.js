@@ -1,56 +1,104 @@
 const express = require('express');
 const router = express.Router();
 const RecommendationService = require('../services/recommendationService');
+const TeamAggregationService = require('../services/teamAggregationService');
 const Team = require('../models/Team');
-const { requireAuth, requireTeamMember } = require('../middleware/auth');
+const Context = require('../models/Context');
+const TeamContextProfile = require('../models/TeamContextProfile');
+const { requireAuth, requireTeamPermission } = require('../middleware/auth');
+
+// GET /api/recommendations/strategies - List the team aggregation strategies
+router.get('/strategies', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    data: TeamAggregationService.list()
+  });
+});
 
 // GET /api/recommendations/:teamId - Get recommendations for a team
-router.get('/:teamId', requireAuth, requireTeamMember, async (req, res) => {
+// Numeric only, so it does not shadow the named routes below
+router.get('/:teamId(\\d+)', requireAuth, requireTeamPermission('view'), async (req, res) => {
   try {
-    const { teamId } = req.params;
-    const teamIdInt = parseInt(teamId);
-    
-    // Get team and verify it exists
-    const team = await Team.findById(teamIdInt);
-    if (!team) {
-      return res.status(404).json({
+    const team = req.team;
+    const { ranking = 'affinity' } = req.query;
+
+    if (!RecommendationService.RANKING_MODES.includes(ranking)) {
+      return res.status(400).json({
         success: false,
-        message: 'Team not found'
+        message: `Ranking must be one of ${RecommendationService.RANKING_MODES.join(', ')}`
       });
     }
     
+    // Requested strategy, else the team's setting
+    const strategy = TeamAggregationService.resolve(req.query.strategy, team);
+    
     // Get team members
     const members = await team.getMembers();
     if (members.length === 0) {
       return res.json({
         success: true,
         data: [],
+        aggregation: TeamAggregationService.describe(strategy),
         message: 'No team members found - add members to get recommendations'
       });
     }
     
     const memberIds = members.map(member => member.id);
+
+    // Advice scoped to a context is matched against the team's context profile, once it has one
+    const profile = await TeamContextProfile.findByTeamId(team.id);
     
     // Get comprehensive recommendations for the team
-    const recommendations = await RecommendationService.getContextAwareRecommendations(
+    let recommendations = await RecommendationService.getContextAwareRecommendations(
       memberIds,
-      null, // contextId - could be enhanced to use team's context
-      [] // goalIds - could be enhanced to use team's goals
+      null,
+      [], // goalIds - could be enhanced to use team's goals
+      strategy,
+      profile.isEmpty() ? null : profile.values
     );
+
+    // Feedback from projects like the team's (its description by default) counts most
+    if (ranking === 'hybrid') {
+      recommendations = await RecommendationService.applyHybridRanking(
+        recommendations,
+        req.query.projectContext || team.description || null
+      );
+    }
     
     // Format recommendations for dashboard display
-    const formattedRecommendations = recommendations.map(rec => ({
-      id: rec.practiceVersionId,
-      practiceId: rec.practiceId,
-      practiceName: rec.practiceName,
-      affinityScore: rec.teamAffinity / 100, // Convert to 0-1 scale
-      reason: rec.reason || `Recommended based on team personality profile (${Math.round(rec.teamAffinity)}% match)`,
-      objectives: rec.goals ? rec.goals.map(g => g.name) : []
-    }));
+    const { label } = TeamAggregationService.get(strategy);
+    const formattedRecommendations = recommendations.map(rec => {
+      const feedback = rec.ranking ? rec.ranking.signals.experienceFeedback : null;
+      const groupScore = rec.aggregation.score;
+      const affinityReason = rec.aggregation.vetoed
+        ? `Vetoed by ${label.toLowerCase()}: one member's affinity is ${rec.teamAffinity.minimum}%`
+        : `Recommended based on team personality profile (${Math.round(groupScore)}% match)`;
+
+      return {
+        id: rec.practiceVersionId,
+        practiceId: rec.practiceId,
+        practiceName: rec.name,
+        affinityScore: groupScore / 100, // Convert to 0-1 scale
+        teamAffinity: rec.teamAffinity,
+        aggregation: { ...rec.aggregation, label },
+        ranking: rec.ranking || { mode: 'affinity', score: groupScore },
+        reason: rec.reason || (feedback && feedback.weightedRating !== null
+          ? `Teams like yours rated this ${feedback.weightedRating}/5 (${feedback.ratingCount} rating${feedback.ratingCount !== 1 ? 's' : ''}); ${Math.round(groupScore)}% personality match`
+          : affinityReason),
+        contextMatch: rec.contextMatch || null,
+        objectives: rec.goals ? rec.goals.map(g => g.name) : []
+      };
+    });
     
     res.json(formattedRecommendations);
     
   } catch (error) {
+    if (error.message.includes('Aggregation strategy')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error getting team recommendations:', error);
     res.status(500).json({
       success: false,
@@ -60,11 +108,92 @@ router.get('/:teamId', requireAuth, requireTeamMember, async (req, res) => {
   }
 });
 
+// Parse a comma-separated (or repeated) query parameter into integer IDs
+function parseIdList(value) {
+  if (!value) {
+    return [];
+  }
+  const items = Array.isArray(value) ? value : value.split(',');
+  return items.map(id => parseInt(id)).filter(id => !isNaN(id));
+}
+
+// GET /api/recommendations/:teamId/portfolio - Rank practice combinations covering the team's goals
+router.get('/:teamId(\\d+)/portfolio', requireAuth, requireTeamPermission('view'), async (req, res) => {
+  try {
+    const team = req.team;
+    const {
+      maxPractices = 5,
+      minMemberAffinity = 0,
+      limit = 5
+    } = req.query;
+
+    const options = {
+      maxPractices: parseInt(maxPractices),
+      mustKeep: parseIdList(req.query.mustKeep),
+      excluded: parseIdList(req.query.excluded),
+      minMemberAffinity: parseFloat(minMemberAffinity),
+      goalIds: parseIdList(req.query.goalIds),
+      limit: parseInt(limit)
+    };
+
+    if (isNaN(options.maxPractices) || options.maxPractices < 1 || options.maxPractices > 20) {
+      return res.status(400).json({
+        success: false,
+        message: 'maxPractices must be between 1 and 20'
+      });
+    }
+
+    if (isNaN(options.minMemberAffinity) || options.minMemberAffinity < 0 || options.minMemberAffinity > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'minMemberAffinity must be between 0 and 100'
+      });
+    }
+
+    if (isNaN(options.limit) || options.limit < 1 || options.limit > 20) {
+      return res.status(400).json({
+        success: false,
+        message: 'limit must be between 1 and 20'
+      });
+    }
+
+    const members = await team.getMembers();
+    const memberIds = members.map(member => member.id);
+    options.strategy = TeamAggregationService.resolve(req.query.strategy, team);
+
+    const portfolio = await RecommendationService.optimizePracticePortfolio(memberIds, options);
+
+    res.json({
+      success: true,
+      data: {
+        teamId: team.id,
+        ...portfolio
+      }
+    });
+  } catch (error) {
+    if (error.message.includes('Must-keep') ||
+        error.message.includes('both kept and excluded') ||
+        error.message.includes('Aggregation strategy')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error optimizing practice portfolio:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to optimize practice portfolio',
+      error: error.message
+    });
+  }
+});
+
 // GET /api/recommendations/alternatives/:practiceVersionId - Get alternative practices for a problematic practice
 router.get('/alternatives/:practiceVersionId', requireAuth, async (req, res) => {
   try {
     const { practiceVersionId } = req.params;
     const { teamMemberIds, minAffinityImprovement = 10 } = req.query;
+    const strategy = TeamAggregationService.resolve(req.query.strategy);
     
     if (!teamMemberIds) {
       return res.status(400).json({
@@ -80,7 +209,9 @@ router.get('/alternatives/:practiceVersionId', requireAuth, async (req, res) =>
     const alternatives = await RecommendationService.findAlternativePractices(
       parseInt(practiceVersionId),
       memberIds,
-      parseInt(minAffinityImprovement)
+      parseInt(minAffinityImprovement),
+      null,
+      strategy
     );
     
     res.json({
@@ -89,10 +220,17 @@ router.get('/alternatives/:practiceVersionId', requireAuth, async (req, res) =>
       meta: {
         practiceVersionId: parseInt(practiceVersionId),
         teamMemberCount: memberIds.length,
-        alternativeCount: alternatives.length
+        alternativeCount: alternatives.length,
+        aggregation: TeamAggregationService.describe(strategy)
       }
     });
   } catch (error) {
+    if (error.message.includes('Aggregation strategy')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error getting alternative practices:', error);
     res.status(500).json({
       success: false,
@@ -138,29 +276,58 @@ router.post('/flag-difficulty', requireAuth, async (req, res) => {
 });
 
 // GET /api/recommendations/context-aware - Get context-aware recommendations
+// With teamId, the team's members and context profile are used instead of teamMemberIds and contextId
 router.get('/context-aware', requireAuth, async (req, res) => {
   try {
-    const { teamMemberIds, contextId, goalIds } = req.query;
+    const { teamMemberIds, contextId, goalIds, teamId } = req.query;
+    let team = null;
+    let profile = null;
+
+    if (teamId) {
+      team = await Team.findById(parseInt(teamId));
+      if (!team) {
+        return res.status(404).json({
+          success: false,
+          message: 'Team not found'
+        });
+      }
+      if (!(await team.isMember(req.user.id))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied - not a team member'
+        });
+      }
+      profile = await TeamContextProfile.findByTeamId(team.id);
+    }
+
+    const strategy = TeamAggregationService.resolve(req.query.strategy, team);
     
-    if (!teamMemberIds) {
+    if (!teamMemberIds && !team) {
       return res.status(400).json({
         success: false,
         message: 'Team member IDs are required'
       });
     }
     
-    const memberIds = Array.isArray(teamMemberIds) 
-      ? teamMemberIds.map(id => parseInt(id))
-      : teamMemberIds.split(',').map(id => parseInt(id));
+    const memberIds = teamMemberIds
+      ? (Array.isArray(teamMemberIds) 
+        ? teamMemberIds.map(id => parseInt(id))
+        : teamMemberIds.split(',').map(id => parseInt(id)))
+      : (await team.getMembers()).map(member => member.id);
     
     const goals = goalIds 
       ? (Array.isArray(goalIds) ? goalIds.map(id => parseInt(id)) : goalIds.split(',').map(id => parseInt(id)))
       : [];
+
+    // An empty profile says nothing about the team's context yet
+    const contextValues = profile && !profile.isEmpty() ? profile.values : null;
     
     const recommendations = await RecommendationService.getContextAwareRecommendations(
       memberIds,
       contextId ? parseInt(contextId) : null,
-      goals
+      goals,
+      strategy,
+      contextValues
     );
     
     res.json({
@@ -168,12 +335,21 @@ router.get('/context-aware', requireAuth, async (req, res) => {
       data: recommendations,
       meta: {
         teamMemberCount: memberIds.length,
-        contextId: contextId ? parseInt(contextId) : null,
+        contextId: contextValues ? null : (contextId ? parseInt(contextId) : null),
+        contextProfile: contextValues,
+        contexts: contextValues ? await profile.matchContexts() : undefined,
         goalCount: goals.length,
-        recommendationCount: recommendations.length
+        recommendationCount: recommendations.length,
+        aggregation: TeamAggregationService.describe(strategy)
       }
     });
   } catch (error) {
+    if (error.message.includes('Aggregation strategy')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error getting context-aware recommendations:', error);
     res.status(500).json({
       success: false,
@@ -192,8 +368,11 @@ router.get('/comprehensive', requireAuth, async (req, res) => {
       contextId,
       goalIds,
       includeDifficult = true,
-      includeAlternatives = true
+      includeAlternatives = true,
+      ranking = 'affinity',
+      projectContext
     } = req.query;
+    const strategy = TeamAggregationService.resolve(req.query.strategy);
     
     if (!teamMemberIds) {
       return res.status(400).json({
@@ -210,12 +389,29 @@ router.get('/comprehensive', requireAuth, async (req, res) => {
       ? (Array.isArray(goalIds) ? goalIds.map(id => parseInt(id)) : goalIds.split(',').map(id => parseInt(id)))
       : [];
     
+    if (!RecommendationService.RANKING_MODES.includes(ranking)) {
+      return res.status(400).json({
+        success: false,
+        message: `Ranking must be one of ${RecommendationService.RANKING_MODES.join(', ')}`
+      });
+    }
+
+    // Without an explicit project context, compare feedback with the selected context
+    let referenceContext = projectContext || null;
+    if (ranking === 'hybrid' && !referenceContext && contextId) {
+      const context = await Context.findById(parseInt(contextId));
+      referenceContext = context ? context.description : null;
+    }
+
     const options = {
       minAffinityThreshold: parseInt(minAffinityThreshold),
       contextId: contextId ? parseInt(contextId) : null,
       goalIds: goals,
       includeDifficult: includeDifficult === 'true',
-      includeAlternatives: includeAlternatives === 'true'
+      includeAlternatives: includeAlternatives === 'true',
+      ranking,
+      projectContext: referenceContext,
+      strategy
     };
     
     const report = await RecommendationService.getComprehensiveRecommendations(memberIds, options);
@@ -225,6 +421,12 @@ router.get('/comprehensive', requireAuth, async (req, res) => {
       data: report
     });
   } catch (error) {
+    if (error.message.includes('Aggregation strategy')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error getting comprehensive recommendations:', error);
     res.status(500).json({
       success: false,
@@ -250,17 +452,25 @@ router.get('/flagged-practices', requireAuth, async (req, res) => {
       ? teamMemberIds.map(id => parseInt(id))
       : teamMemberIds.split(',').map(id => parseInt(id));
     
-    const flaggedPractices = await RecommendationService.getFlaggedPracticesWithAlternatives(memberIds);
+    const strategy = TeamAggregationService.resolve(req.query.strategy);
+    const flaggedPractices = await RecommendationService.getFlaggedPracticesWithAlternatives(memberIds, strategy);
     
     res.json({
       success: true,
       data: flaggedPractices,
       meta: {
         teamMemberCount: memberIds.length,
-        flaggedPracticeCount: flaggedPractices.length
+        flaggedPracticeCount: flaggedPractices.length,
+        aggregation: TeamAggregationService.describe(strategy)
       }
     });
   } catch (error) {
+    if (error.message.includes('Aggregation strategy')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error getting flagged practices:', error);
     res.status(500).json({
       success: false,
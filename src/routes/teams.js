@@ -4,14 +4,24 @@ const Universe = require('../models/Universe');
 const Person = require('../models/Person');
 const TeamInvitation = require('../models/TeamInvitation');
 const emailService = require('../services/emailService');
-const { requireAuth, requireTeamMember, requireTeamManager } = require('../middleware/auth');
+const InvitationService = require('../services/invitationService');
+const TeamAggregationService = require('../services/teamAggregationService');
+const PracticeForkService = require('../services/practiceForkService');
+const AffinityJobService = require('../services/affinityJobService');
+const cacheService = require('../services/cacheService');
+const Role = require('../models/Role');
+const Guideline = require('../models/Guideline');
+const TeamIteration = require('../models/TeamIteration');
+const TeamContextProfile = require('../models/TeamContextProfile');
+const ContextMatchingService = require('../services/contextMatchingService');
+const { requireAuth, requireTeamManager, requireTeamPermission } = require('../middleware/auth');
 
 const router = express.Router();
 
 // Create a new team - requires team management privileges
 router.post('/', requireAuth, requireTeamManager, async (req, res) => {
   try {
-    const { name, description } = req.body;
+    const { name, description, aggregationStrategy } = req.body;
 
     if (!name) {
       return res.status(400).json({ 
@@ -20,6 +30,13 @@ router.post('/', requireAuth, requireTeamManager, async (req, res) => {
       });
     }
 
+    if (aggregationStrategy && !TeamAggregationService.names().includes(aggregationStrategy)) {
+      return res.status(400).json({
+        success: false,
+        error: `Aggregation strategy must be one of ${TeamAggregationService.names().join(', ')}`
+      });
+    }
+
     // Check if team name already exists
     const existingTeam = await Team.findByName(name);
     if (existingTeam) {
@@ -80,20 +97,9 @@ router.get('/my-teams', requireAuth, async (req, res) => {
 });
 
 // Get team details
-router.get('/:teamId', requireAuth, async (req, res) => {
+router.get('/:teamId', requireAuth, requireTeamPermission('view'), async (req, res) => {
   try {
-    const { teamId } = req.params;
-    
-    const team = await Team.findById(teamId);
-    if (!team) {
-      return res.status(404).json({ success: false, error: 'Team not found' });
-    }
-
-    // Check if user is a member of this team
-    const isMember = await team.isMember(req.user.id);
-    if (!isMember) {
-      return res.status(403).json({ success: false, error: 'Access denied - not a team member' });
-    }
+    const team = req.team;
 
     const members = await team.getMembers();
     const universes = await Universe.findByTeamId(team.id);
@@ -115,11 +121,10 @@ router.get('/:teamId', requireAuth, async (req, res) => {
   }
 });
 
-// Update team - requires team membership and team management privileges
-router.put('/:teamId', requireAuth, requireTeamManager, async (req, res) => {
+// Update team - requires the owner or a facilitator
+router.put('/:teamId', requireAuth, requireTeamPermission('manage'), async (req, res) => {
   try {
-    const { teamId } = req.params;
-    const { name, description } = req.body;
+    const { name, description, aggregationStrategy } = req.body;
 
     if (!name) {
       return res.status(400).json({ 
@@ -128,19 +133,17 @@ router.put('/:teamId', requireAuth, requireTeamManager, async (req, res) => {
       });
     }
 
-    const team = await Team.findById(teamId);
-    if (!team) {
-      return res.status(404).json({ success: false, error: 'Team not found' });
+    if (aggregationStrategy && !TeamAggregationService.names().includes(aggregationStrategy)) {
+      return res.status(400).json({
+        success: false,
+        error: `Aggregation strategy must be one of ${TeamAggregationService.names().join(', ')}`
+      });
     }
 
-    // Check if user is a member of this team
-    const isMember = await team.isMember(req.user.id);
-    if (!isMember) {
-      return res.status(403).json({ success: false, error: 'Access denied - not a team member' });
-    }
+    const team = req.team;
 
     // Update team
-    const updatedTeam = await team.update({ name, description });
+    const updatedTeam = await team.update({ name, description, aggregationStrategy });
 
     res.json({
       success: true,
@@ -154,11 +157,11 @@ router.put('/:teamId', requireAuth, requireTeamManager, async (req, res) => {
   }
 });
 
-// Invite member to team - requires team membership
-router.post('/:teamId/invite', requireAuth, requireTeamMember, async (req, res) => {
+// Invite member to team - requires the owner or a facilitator
+router.post('/:teamId/invite', requireAuth, requireTeamPermission('manage'), async (req, res) => {
   try {
     const { teamId } = req.params;
-    const { email } = req.body;
+    const { email, scope = 'email', expiresInHours } = req.body;
 
     if (!email) {
       return res.status(400).json({ 
@@ -176,63 +179,40 @@ router.post('/:teamId/invite', requireAuth, requireTeamMember, async (req, res)
       });
     }
 
-    const team = await Team.findById(teamId);
-    if (!team) {
-      return res.status(404).json({ success: false, error: 'Team not found' });
+    if (!TeamInvitation.SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invitation scope must be one of ${TeamInvitation.SCOPES.join(', ')}`
+      });
     }
 
-    // Check if current user is a member of this team
-    const isMember = await team.isMember(req.user.id);
-    if (!isMember) {
-      return res.status(403).json({ success: false, error: 'Access denied - not a team member' });
-    }
+    const team = req.team;
 
     // Check if invited person already exists and is already a member
     const invitedPerson = await Person.findByEmail(email);
-    if (invitedPerson) {
-      const isAlreadyMember = await team.isMember(invitedPerson.id);
-      if (isAlreadyMember) {
-        return res.status(409).json({ 
-          success: false,
-          error: 'Person is already a team member' 
-        });
-      }
-      
-      // If user exists but is not a member, add them immediately
-      await team.addMember(invitedPerson.id);
-      
-      // Create invitation record as accepted
-      const invitation = await TeamInvitation.create({
-        teamId: parseInt(teamId),
-        inviterPersonId: req.user.id,
-        invitedEmail: email
-      });
-      await invitation.accept(invitedPerson.id);
-
-      return res.json({
-        success: true,
-        message: 'User added to team immediately (existing account)',
-        data: {
-          invitedEmail: email,
-          teamName: team.name,
-          addedImmediately: true
-        }
+    if (invitedPerson && await team.isMember(invitedPerson.id)) {
+      return res.status(409).json({ 
+        success: false,
+        error: 'Person is already a team member' 
       });
     }
 
-    // Create invitation record
+    // Create invitation record with a fresh one-time link; existing accounts accept it like anyone else
     const invitation = await TeamInvitation.create({
       teamId: parseInt(teamId),
       inviterPersonId: req.user.id,
-      invitedEmail: email
+      invitedEmail: email,
+      scope
     });
+    const { url } = await InvitationService.issue(invitation, expiresInHours);
 
     // Send invitation email
     await emailService.sendTeamInvitation({
       recipientEmail: email,
       teamName: team.name,
       inviterName: req.user.name,
-      teamId: team.id
+      invitationUrl: url,
+      expiresAt: invitation.expiresAt
     });
 
     res.json({
@@ -241,7 +221,9 @@ router.post('/:teamId/invite', requireAuth, requireTeamMember, async (req, res)
       data: {
         invitedEmail: email,
         teamName: team.name,
-        invitation: invitation.toJSON()
+        invitation: invitation.toJSON(),
+        // Link invitations can also be shared by hand
+        invitationUrl: invitation.scope === 'link' ? url : undefined
       }
     });
 
@@ -251,8 +233,8 @@ router.post('/:teamId/invite', requireAuth, requireTeamMember, async (req, res)
   }
 });
 
-// Join team (for invited users)
-router.post('/:teamId/join', requireAuth, async (req, res) => {
+// Leave team
+router.delete('/:teamId/leave', requireAuth, async (req, res) => {
   try {
     const { teamId } = req.params;
 
@@ -261,87 +243,176 @@ router.post('/:teamId/join', requireAuth, async (req, res) => {
       return res.status(404).json({ success: false, error: 'Team not found' });
     }
 
-    // Check if user is already a member
-    const isAlreadyMember = await team.isMember(req.user.id);
-    if (isAlreadyMember) {
-      return res.status(409).json({ 
+    // Check if user is a member
+    const role = await team.getRole(req.user.id);
+    if (!role) {
+      return res.status(404).json({ 
         success: false,
-        error: 'You are already a member of this team' 
+        error: 'You are not a member of this team' 
       });
     }
 
-    // Add user to team
-    await team.addMember(req.user.id);
+    // A team always keeps an owner while it has members
+    if (role === 'owner' && (await team.getMembers()).length > 1) {
+      return res.status(409).json({
+        success: false,
+        error: 'Transfer ownership to another member before leaving the team'
+      });
+    }
+
+    // Remove user from team
+    const removed = await team.removeMember(req.user.id);
+    if (!removed) {
+      return res.status(500).json({ success: false, error: 'Failed to leave team' });
+    }
 
     res.json({
       success: true,
-      message: 'Successfully joined team',
+      message: 'Successfully left team',
       data: {
-        team: team.toJSON()
+        teamName: team.name
       }
     });
 
   } catch (error) {
-    console.error('Join team error:', error);
-    res.status(500).json({ success: false, error: 'Failed to join team' });
+    console.error('Leave team error:', error);
+    res.status(500).json({ success: false, error: 'Failed to leave team' });
   }
 });
 
-// Leave team
-router.delete('/:teamId/leave', requireAuth, async (req, res) => {
+// Change a member's role - requires the owner
+router.put('/:teamId/members/:personId', requireAuth, requireTeamPermission('manageMembers'), async (req, res) => {
   try {
-    const { teamId } = req.params;
+    const { role } = req.body;
+    const personId = parseInt(req.params.personId);
 
-    const team = await Team.findById(teamId);
-    if (!team) {
-      return res.status(404).json({ success: false, error: 'Team not found' });
+    if (role === 'owner') {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Use transfer-ownership to make someone the owner' 
+      });
     }
 
-    // Check if user is a member
-    const isMember = await team.isMember(req.user.id);
-    if (!isMember) {
-      return res.status(404).json({ 
+    if (!Team.ROLES.includes(role)) {
+      return res.status(400).json({
         success: false,
-        error: 'You are not a member of this team' 
+        error: `Team role must be one of ${Team.ROLES.filter(name => name !== 'owner').join(', ')}`
       });
     }
 
-    // Remove user from team
-    const removed = await team.removeMember(req.user.id);
+    const currentRole = await req.team.getRole(personId);
+    if (!currentRole) {
+      return res.status(404).json({ success: false, error: 'Person is not a team member' });
+    }
+    if (currentRole === 'owner') {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Transfer ownership before changing your own role' 
+      });
+    }
+
+    await req.team.setRole(personId, role);
+    await cacheService.invalidateTeamCache(req.team.id);
+
+    res.json({
+      success: true,
+      message: 'Member role updated successfully',
+      data: {
+        personId,
+        role
+      }
+    });
+
+  } catch (error) {
+    console.error('Update member role error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update member role' });
+  }
+});
+
+// Remove a member from the team - requires the owner
+router.delete('/:teamId/members/:personId', requireAuth, requireTeamPermission('manageMembers'), async (req, res) => {
+  try {
+    const personId = parseInt(req.params.personId);
+
+    if (personId === req.user.id) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Owners cannot remove themselves; transfer ownership and leave the team instead' 
+      });
+    }
+
+    const removed = await req.team.removeMember(personId);
     if (!removed) {
-      return res.status(500).json({ success: false, error: 'Failed to leave team' });
+      return res.status(404).json({ success: false, error: 'Person is not a team member' });
     }
 
+    // The team's aggregates no longer include the removed member
+    await cacheService.invalidateTeamCache(req.team.id);
+
     res.json({
       success: true,
-      message: 'Successfully left team',
+      message: 'Member removed successfully',
       data: {
-        teamName: team.name
+        personId
       }
     });
 
   } catch (error) {
-    console.error('Leave team error:', error);
-    res.status(500).json({ success: false, error: 'Failed to leave team' });
+    console.error('Remove member error:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove member' });
   }
 });
 
-// Get team universes
-router.get('/:teamId/universes', requireAuth, async (req, res) => {
+// Hand the team over to another member - requires the owner
+router.post('/:teamId/transfer-ownership', requireAuth, requireTeamPermission('manageMembers'), async (req, res) => {
   try {
-    const { teamId } = req.params;
+    const personId = parseInt(req.body.personId);
 
-    const team = await Team.findById(teamId);
-    if (!team) {
-      return res.status(404).json({ success: false, error: 'Team not found' });
+    if (!personId) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Person ID of the new owner is required' 
+      });
     }
 
-    // Check if user is a member
-    const isMember = await team.isMember(req.user.id);
-    if (!isMember) {
-      return res.status(403).json({ success: false, error: 'Access denied - not a team member' });
+    if (personId === req.user.id) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'You already own this team' 
+      });
     }
 
+    if (!(await req.team.isMember(personId))) {
+      return res.status(404).json({ success: false, error: 'Person is not a team member' });
+    }
+
+    await req.team.transferOwnership(req.user.id, personId);
+
+    res.json({
+      success: true,
+      message: 'Ownership transferred successfully',
+      data: {
+        ownerId: personId,
+        previousOwnerRole: 'facilitator'
+      }
+    });
+
+  } catch (error) {
+    if (error.message === 'New owner must be a team member') {
+      return res.status(404).json({ success: false, error: 'Person is not a team member' });
+    }
+    console.error('Transfer ownership error:', error);
+    res.status(500).json({ success: false, error: 'Failed to transfer ownership' });
+  }
+});
+
+// Get team universes
+router.get('/:teamId/universes', requireAuth, requireTeamPermission('view'), async (req, res) => {
+  try {
+    const { teamId } = req.params;
+
+    const team = req.team;
+
     const universes = await Universe.findByTeamId(teamId);
     res.json({ success: true, data: universes.map(u => u.toJSON()) });
 
@@ -351,21 +422,12 @@ router.get('/:teamId/universes', requireAuth, async (req, res) => {
   }
 });
 
-// Resend invitation
-router.post('/:teamId/invite/:invitationId/resend', requireAuth, requireTeamMember, async (req, res) => {
+// Resend invitation - requires the owner or a facilitator
+router.post('/:teamId/invite/:invitationId/resend', requireAuth, requireTeamPermission('manage'), async (req, res) => {
   try {
     const { teamId, invitationId } = req.params;
 
-    const team = await Team.findById(teamId);
-    if (!team) {
-      return res.status(404).json({ success: false, error: 'Team not found' });
-    }
-
-    // Check if current user is a member of this team
-    const isMember = await team.isMember(req.user.id);
-    if (!isMember) {
-      return res.status(403).json({ success: false, error: 'Access denied - not a team member' });
-    }
+    const team = req.team;
 
     const invitation = await TeamInvitation.findById(invitationId);
     if (!invitation || invitation.teamId !== parseInt(teamId)) {
@@ -379,15 +441,16 @@ router.post('/:teamId/invite/:invitationId/resend', requireAuth, requireTeamMemb
       });
     }
 
-    // Update last sent timestamp
-    await invitation.updateLastSent();
+    // Replace the link: the one sent before stops working
+    const { url } = await InvitationService.issue(invitation, req.body && req.body.expiresInHours);
 
     // Send invitation email
     await emailService.sendTeamInvitation({
       recipientEmail: invitation.invitedEmail,
       teamName: team.name,
       inviterName: req.user.name,
-      teamId: team.id
+      invitationUrl: url,
+      expiresAt: invitation.expiresAt
     });
 
     res.json({
@@ -404,8 +467,42 @@ router.post('/:teamId/invite/:invitationId/resend', requireAuth, requireTeamMemb
   }
 });
 
+// Revoke a pending invitation - requires the owner or a facilitator
+router.delete('/:teamId/invitations/:invitationId', requireAuth, requireTeamPermission('manage'), async (req, res) => {
+  try {
+    const { teamId, invitationId } = req.params;
+
+    const team = req.team;
+
+    const invitation = await TeamInvitation.findById(invitationId);
+    if (!invitation || invitation.teamId !== parseInt(teamId)) {
+      return res.status(404).json({ success: false, error: 'Invitation not found' });
+    }
+
+    const revoked = await invitation.setStatus('revoked', req.user.id);
+    if (!revoked) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Can only revoke pending invitations (this one is ${invitation.status})` 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully',
+      data: {
+        invitation: invitation.toJSON()
+      }
+    });
+
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke invitation' });
+  }
+});
+
 // Create universe for team
-router.post('/:teamId/universes', requireAuth, async (req, res) => {
+router.post('/:teamId/universes', requireAuth, requireTeamPermission('manage'), async (req, res) => {
   try {
     const { teamId } = req.params;
     const { name, description } = req.body;
@@ -417,16 +514,7 @@ router.post('/:teamId/universes', requireAuth, async (req, res) => {
       });
     }
 
-    const team = await Team.findById(teamId);
-    if (!team) {
-      return res.status(404).json({ success: false, error: 'Team not found' });
-    }
-
-    // Check if user is a member
-    const isMember = await team.isMember(req.user.id);
-    if (!isMember) {
-      return res.status(403).json({ success: false, error: 'Access denied - not a team member' });
-    }
+    const team = req.team;
 
     // Check if universe name already exists for this team
     const existingUniverse = await Universe.findByTeamAndName(teamId, name);
@@ -457,4 +545,548 @@ router.post('/:teamId/universes', requireAuth, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// ============================================================================
+// TEAM PRACTICE FORKS
+// ============================================================================
+
+const forkErrorStatus = (error) => {
+  if (error.message === 'Practice version not found') {
+    return 404;
+  }
+  if (error.message === 'Team already has a fork of this practice') {
+    return 409;
+  }
+  if (error.message.includes('forked') || error.message.includes('belong') ||
+      error.message.includes('upstream') || error.message.startsWith('Invalid') ||
+      error.message.includes('already exists')) {
+    return 400;
+  }
+  return 500;
+};
+
+// Load one of the team's forks, answering 404 when it is not the team's
+const loadTeamFork = async (req, res) => {
+  const team = req.team;
+  const fork = await PracticeForkService.findTeamFork(team.id, req.params.forkId);
+  if (!fork) {
+    res.status(404).json({ success: false, error: 'Fork not found' });
+    return null;
+  }
+
+  return { team, fork };
+};
+
+// Forks change the team's active practices; refresh what depends on them
+const refreshFork = async (team, fork, personId) => {
+  await cacheService.invalidatePracticeCache(fork.practiceId);
+  await cacheService.invalidateTeamCache(team.id);
+  await AffinityJobService.enqueuePractice(fork.id, personId);
+};
+
+// GET /api/teams/:teamId/forks - List the team's forks and how far behind upstream each one is
+router.get('/:teamId/forks', requireAuth, requireTeamPermission('view'), async (req, res) => {
+  try {
+    const team = req.team;
+
+    const forks = await PracticeForkService.findTeamForks(team.id);
+    res.json({ success: true, data: forks });
+
+  } catch (error) {
+    console.error('Get forks error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get forks' });
+  }
+});
+
+// POST /api/teams/:teamId/forks - Fork a published practice version into a team universe
+router.post('/:teamId/forks', requireAuth, requireTeamPermission('manage'), async (req, res) => {
+  try {
+    const { practiceVersionId, universeId, versionName } = req.body;
+
+    if (!practiceVersionId) {
+      return res.status(400).json({ success: false, error: 'Practice version ID is required' });
+    }
+
+    const team = req.team;
+
+    const fork = await PracticeForkService.fork(practiceVersionId, team, req.user.id, { universeId, versionName });
+    await refreshFork(team, fork, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Practice forked successfully',
+      data: fork.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Fork practice error:', error);
+    res.status(forkErrorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/teams/:teamId/forks/:forkId/upstream - Changes published upstream since the fork was last merged
+router.get('/:teamId/forks/:forkId/upstream', requireAuth, requireTeamPermission('view'), async (req, res) => {
+  try {
+    const loaded = await loadTeamFork(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const status = await PracticeForkService.upstreamStatus(loaded.fork);
+    res.json({ success: true, data: Object.assign({ fork: loaded.fork.toJSON() }, status) });
+
+  } catch (error) {
+    console.error('Get fork upstream error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get upstream changes' });
+  }
+});
+
+// POST /api/teams/:teamId/forks/:forkId/merge - Pull upstream changes into the fork
+router.post('/:teamId/forks/:forkId/merge', requireAuth, requireTeamPermission('manage'), async (req, res) => {
+  try {
+    const loaded = await loadTeamFork(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { resolutions, dryRun } = req.body;
+    const outcome = await PracticeForkService.merge(loaded.fork, req.user.id, {
+      resolutions: resolutions || {},
+      dryRun: dryRun === true
+    });
+
+    if (!outcome.applied && !dryRun && outcome.unresolved > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Merge has ${outcome.unresolved} unresolved conflict(s)`,
+        data: outcome
+      });
+    }
+
+    if (outcome.applied) {
+      await refreshFork(loaded.team, loaded.fork, req.user.id);
+    }
+
+    res.json({
+      success: true,
+      message: outcome.applied ? 'Upstream changes merged into fork' : 'Merge preview',
+      data: outcome
+    });
+
+  } catch (error) {
+    console.error('Merge fork error:', error);
+    res.status(forkErrorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/teams/:teamId/forks/:forkId/activities - Add an activity to the fork
+router.post('/:teamId/forks/:forkId/activities', requireAuth, requireTeamPermission('manage'), async (req, res) => {
+  try {
+    const loaded = await loadTeamFork(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { activityId, sequence } = req.body;
+    if (!activityId || sequence === undefined) {
+      return res.status(400).json({ success: false, error: 'Activity ID and sequence are required' });
+    }
+
+    await loaded.fork.addActivity(activityId, sequence);
+    await refreshFork(loaded.team, loaded.fork, req.user.id);
+
+    res.status(201).json({ success: true, message: 'Activity added to fork' });
+
+  } catch (error) {
+    console.error('Add fork activity error:', error);
+    res.status(forkErrorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /api/teams/:teamId/forks/:forkId/activities/:activityId - Remove an activity from the fork
+router.delete('/:teamId/forks/:forkId/activities/:activityId', requireAuth, requireTeamPermission('manage'), async (req, res) => {
+  try {
+    const loaded = await loadTeamFork(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const removed = await loaded.fork.removeActivity(req.params.activityId);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Activity not found in fork' });
+    }
+
+    await refreshFork(loaded.team, loaded.fork, req.user.id);
+    res.json({ success: true, message: 'Activity removed from fork' });
+
+  } catch (error) {
+    console.error('Remove fork activity error:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove activity' });
+  }
+});
+
+// PUT /api/teams/:teamId/forks/:forkId/roles/:roleId - Add a role to the fork or change its RACI type
+router.put('/:teamId/forks/:forkId/roles/:roleId', requireAuth, requireTeamPermission('manage'), async (req, res) => {
+  try {
+    const loaded = await loadTeamFork(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const role = await Role.findById(req.params.roleId);
+    if (!role) {
+      return res.status(404).json({ success: false, error: 'Role not found' });
+    }
+
+    const association = await role.linkToPracticeVersion(loaded.fork.id, req.body.typeId);
+    await refreshFork(loaded.team, loaded.fork, req.user.id);
+
+    res.json({ success: true, message: 'Role updated in fork', data: association });
+
+  } catch (error) {
+    console.error('Update fork role error:', error);
+    res.status(forkErrorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /api/teams/:teamId/forks/:forkId/roles/:roleId - Remove a role from the fork
+router.delete('/:teamId/forks/:forkId/roles/:roleId', requireAuth, requireTeamPermission('manage'), async (req, res) => {
+  try {
+    const loaded = await loadTeamFork(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const role = await Role.findById(req.params.roleId);
+    const removed = role ? await role.unlinkFromPracticeVersion(loaded.fork.id) : false;
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Role not found in fork' });
+    }
+
+    await refreshFork(loaded.team, loaded.fork, req.user.id);
+    res.json({ success: true, message: 'Role removed from fork' });
+
+  } catch (error) {
+    console.error('Remove fork role error:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove role' });
+  }
+});
+
+// POST /api/teams/:teamId/forks/:forkId/guidelines - Add a guideline to the fork
+router.post('/:teamId/forks/:forkId/guidelines', requireAuth, requireTeamPermission('manage'), async (req, res) => {
+  try {
+    const loaded = await loadTeamFork(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { name, description, content, typeId } = req.body;
+    if (!name) {
+      return res.status(400).json({ success: false, error: 'Guideline name is required' });
+    }
+
+    const guideline = await Guideline.create({
+      practiceVersionId: loaded.fork.id,
+      name,
+      description,
+      content,
+      typeId,
+      lastUpdateById: req.user.id
+    });
+    await refreshFork(loaded.team, loaded.fork, req.user.id);
+
+    res.status(201).json({ success: true, message: 'Guideline added to fork', data: guideline });
+
+  } catch (error) {
+    console.error('Add fork guideline error:', error);
+    res.status(forkErrorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// PUT /api/teams/:teamId/forks/:forkId/guidelines/:guidelineId - Edit one of the fork's guidelines
+router.put('/:teamId/forks/:forkId/guidelines/:guidelineId', requireAuth, requireTeamPermission('manage'), async (req, res) => {
+  try {
+    const loaded = await loadTeamFork(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const guideline = await Guideline.findById(req.params.guidelineId);
+    if (!guideline || guideline.practiceVersionId !== loaded.fork.id) {
+      return res.status(404).json({ success: false, error: 'Guideline not found in fork' });
+    }
+
+    const { name, description, content, typeId } = req.body;
+    await guideline.update({ name, description, content, typeId, lastUpdateById: req.user.id });
+    await refreshFork(loaded.team, loaded.fork, req.user.id);
+
+    res.json({ success: true, message: 'Guideline updated', data: guideline });
+
+  } catch (error) {
+    console.error('Update fork guideline error:', error);
+    res.status(forkErrorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /api/teams/:teamId/forks/:forkId/guidelines/:guidelineId - Remove one of the fork's guidelines
+router.delete('/:teamId/forks/:forkId/guidelines/:guidelineId', requireAuth, requireTeamPermission('manage'), async (req, res) => {
+  try {
+    const loaded = await loadTeamFork(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const guideline = await Guideline.findById(req.params.guidelineId);
+    if (!guideline || guideline.practiceVersionId !== loaded.fork.id) {
+      return res.status(404).json({ success: false, error: 'Guideline not found in fork' });
+    }
+
+    await guideline.delete();
+    await refreshFork(loaded.team, loaded.fork, req.user.id);
+
+    res.json({ success: true, message: 'Guideline removed from fork' });
+
+  } catch (error) {
+    console.error('Remove fork guideline error:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove guideline' });
+  }
+});
+
+// ============================================================================
+// ITERATIONS AND COMPLETION CRITERIA CHECKLISTS
+// ============================================================================
+
+const iterationErrorStatus = (error) => {
+  if (error.message.includes('already exists')) {
+    return 409;
+  }
+  if (error.message.startsWith('Iteration') || error.message.startsWith('Invalid') ||
+      error.message.includes('not part of an active practice')) {
+    return 400;
+  }
+  return 500;
+};
+
+// Load the team and, when the route names one, one of its iterations; answers 404 when it is not the team's
+const loadTeamIteration = async (req, res) => {
+  const team = req.team;
+  if (!req.params.iterationId) {
+    return { team };
+  }
+
+  const iteration = await TeamIteration.findById(req.params.iterationId);
+  if (!iteration || iteration.teamId !== team.id) {
+    res.status(404).json({ success: false, error: 'Iteration not found' });
+    return null;
+  }
+
+  return { team, iteration };
+};
+
+// GET /api/teams/:teamId/iterations - List the team's iterations, oldest first
+router.get('/:teamId/iterations', requireAuth, requireTeamPermission('view'), async (req, res) => {
+  try {
+    const loaded = await loadTeamIteration(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const iterations = await TeamIteration.findByTeamId(loaded.team.id);
+    res.json({ success: true, data: iterations.map(iteration => iteration.toJSON()) });
+
+  } catch (error) {
+    console.error('Get iterations error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get iterations' });
+  }
+});
+
+// POST /api/teams/:teamId/iterations - Start tracking a new iteration
+router.post('/:teamId/iterations', requireAuth, requireTeamPermission('manage'), async (req, res) => {
+  try {
+    const loaded = await loadTeamIteration(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { name, startDate, endDate } = req.body;
+    const iteration = await TeamIteration.create({
+      teamId: loaded.team.id,
+      name,
+      startDate,
+      endDate,
+      createdById: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Iteration created successfully',
+      data: iteration.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Create iteration error:', error);
+    res.status(iterationErrorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// PUT /api/teams/:teamId/iterations/:iterationId - Rename or re-date an iteration
+router.put('/:teamId/iterations/:iterationId', requireAuth, requireTeamPermission('manage'), async (req, res) => {
+  try {
+    const loaded = await loadTeamIteration(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { name, startDate, endDate } = req.body;
+    await loaded.iteration.update({ name, startDate, endDate });
+
+    res.json({ success: true, message: 'Iteration updated', data: loaded.iteration.toJSON() });
+
+  } catch (error) {
+    console.error('Update iteration error:', error);
+    res.status(iterationErrorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /api/teams/:teamId/iterations/:iterationId - Delete an iteration with its ticks and history
+router.delete('/:teamId/iterations/:iterationId', requireAuth, requireTeamPermission('manage'), async (req, res) => {
+  try {
+    const loaded = await loadTeamIteration(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    await loaded.iteration.delete();
+    await cacheService.invalidateTeamCache(loaded.team.id);
+
+    res.json({ success: true, message: 'Iteration deleted' });
+
+  } catch (error) {
+    console.error('Delete iteration error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete iteration' });
+  }
+});
+
+// GET /api/teams/:teamId/iterations/:iterationId/checklist - Completion criteria of the active practices, ticked or not
+router.get('/:teamId/iterations/:iterationId/checklist', requireAuth, requireTeamPermission('view'), async (req, res) => {
+  try {
+    const loaded = await loadTeamIteration(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const checklist = await loaded.iteration.getChecklist();
+    res.json({ success: true, data: { iteration: loaded.iteration.toJSON(), practices: checklist } });
+
+  } catch (error) {
+    console.error('Get checklist error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get checklist' });
+  }
+});
+
+// PUT /api/teams/:teamId/iterations/:iterationId/criteria/:criterionId - Tick or untick a completion criterion
+router.put('/:teamId/iterations/:iterationId/criteria/:criterionId', requireAuth, requireTeamPermission('contribute'), async (req, res) => {
+  try {
+    const { checked } = req.body;
+    if (typeof checked !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'checked must be true or false' });
+    }
+
+    const loaded = await loadTeamIteration(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const result = await loaded.iteration.setCheck(req.params.criterionId, checked, req.user.id);
+    if (result.changed) {
+      await cacheService.invalidateTeamCache(loaded.team.id);
+    }
+
+    res.json({ success: true, data: result });
+
+  } catch (error) {
+    console.error('Check criterion error:', error);
+    res.status(iterationErrorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/teams/:teamId/iterations/:iterationId/history - Ticks and unticks of the iteration, newest first
+router.get('/:teamId/iterations/:iterationId/history', requireAuth, requireTeamPermission('view'), async (req, res) => {
+  try {
+    const loaded = await loadTeamIteration(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const practiceVersionId = req.query.practiceVersionId ? parseInt(req.query.practiceVersionId) : undefined;
+    const history = await loaded.iteration.getHistory({ practiceVersionId });
+    res.json({ success: true, data: history });
+
+  } catch (error) {
+    console.error('Get checklist history error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get checklist history' });
+  }
+});
+
+// GET /api/teams/:teamId/completion - How often each active practice met its completion criteria
+router.get('/:teamId/completion', requireAuth, requireTeamPermission('view'), async (req, res) => {
+  try {
+    const loaded = await loadTeamIteration(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const rates = await TeamIteration.getCompletionRates(loaded.team.id);
+    res.json({ success: true, data: rates });
+
+  } catch (error) {
+    console.error('Get completion rates error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get completion rates' });
+  }
+});
+
+// ============================================================================
+// TEAM CONTEXT PROFILE
+// ============================================================================
+
+// Indicator definitions, the team's values and how each context fits them
+const describeContextProfile = async (profile) => {
+  const [definitions, contexts] = await Promise.all([
+    ContextMatchingService.getDefinitions(),
+    profile.matchContexts()
+  ]);
+  return { ...profile.toJSON(), definitions, contexts };
+};
+
+// GET /api/teams/:teamId/context - Get the team's context profile
+router.get('/:teamId/context', requireAuth, requireTeamPermission('view'), async (req, res) => {
+  try {
+    const profile = await TeamContextProfile.findByTeamId(req.team.id);
+    res.json({ success: true, data: await describeContextProfile(profile) });
+
+  } catch (error) {
+    console.error('Get team context error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get team context' });
+  }
+});
+
+// PUT /api/teams/:teamId/context - Set indicator values ({ values: { name: value } }; null clears one)
+router.put('/:teamId/context', requireAuth, requireTeamPermission('manage'), async (req, res) => {
+  try {
+    const profile = await TeamContextProfile.save(req.team.id, req.body.values, req.user.id);
+    res.json({
+      success: true,
+      message: 'Team context updated',
+      data: await describeContextProfile(profile)
+    });
+
+  } catch (error) {
+    if (error.message.startsWith('Unknown context indicator') || error.message.startsWith('Invalid value') ||
+        error.message.startsWith('Context values')) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('Update team context error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update team context' });
+  }
+});
+
+module.exports = router;
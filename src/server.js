@@ -7,6 +7,8 @@ require('dotenv').config();
 
 const redisClient = require('./config/redis');
 const pool = require('./config/database');
+const AffinityJobService = require('./services/affinityJobService');
+const InvitationService = require('./services/invitationService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -76,6 +78,7 @@ app.get('/health', async (req, res) => {
 // API routes
 const authRoutes = require('./routes/auth');
 const teamRoutes = require('./routes/teams');
+const invitationRoutes = require('./routes/invitations');
 const practiceRoutes = require('./routes/practices');
 const methodRoutes = require('./routes/methods');
 const activityRoutes = require('./routes/activities');
@@ -89,6 +92,7 @@ const performanceRoutes = require('./routes/performance');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/teams', teamRoutes);
+app.use('/api/invitations', invitationRoutes);
 app.use('/api/practices', practiceRoutes);
 app.use('/api/methods', methodRoutes);
 app.use('/api/activities', activityRoutes);
@@ -109,6 +113,7 @@ app.get('/api', (req, res) => {
       health: '/health',
       auth: '/api/auth',
       teams: '/api/teams',
+      invitations: '/api/invitations',
       practices: '/api/practices',
       methods: '/api/methods',
       activities: '/api/activities',
@@ -158,6 +163,8 @@ process.on('SIGINT', async () => {
   console.log('Shutting down gracefully...');
   
   try {
+    AffinityJobService.stop();
+    InvitationService.stop();
     await pool.end();
     await redisClient.quit();
     console.log('Database and Redis connections closed.');
@@ -174,6 +181,12 @@ if (require.main === module) {
     console.log(`APR Server running on port ${PORT}`);
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   });
+
+  // Process queued affinity recalculations (retries and jobs from other processes)
+  AffinityJobService.start(parseInt(process.env.AFFINITY_JOB_POLL_MS) || undefined);
+
+  // Expire team invitations whose links ran out
+  InvitationService.start(parseInt(process.env.INVITATION_SWEEP_MS) || undefined);
 }
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,204 @@
+const Person = require('../models/Person');
+const AccountToken = require('../models/AccountToken');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const TeamInvitation = require('../models/TeamInvitation');
+const emailService = require('./emailService');
+
+const DEFAULT_VERIFICATION_TTL_HOURS = 48;
+const DEFAULT_RESET_TTL_MINUTES = 60;
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3001';
+
+/**
+ * Email verification, password reset and password change. Links carry a
+ * single-use AccountToken; a verification token is bound to the address it
+ * was sent to, so changing the email invalidates it.
+ */
+class AccountRecoveryService {
+  /**
+   * Lifetime of a verification link in milliseconds (EMAIL_VERIFICATION_TTL_HOURS)
+   * @returns {number} Milliseconds
+   */
+  static verificationTtlMs() {
+    const hours = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || DEFAULT_VERIFICATION_TTL_HOURS;
+    return Math.max(1, hours) * 60 * 60 * 1000;
+  }
+
+  /**
+   * Lifetime of a password reset link in milliseconds (PASSWORD_RESET_TTL_MINUTES)
+   * @returns {number} Milliseconds
+   */
+  static resetTtlMs() {
+    const minutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || DEFAULT_RESET_TTL_MINUTES;
+    return Math.max(1, minutes) * 60 * 1000;
+  }
+
+  /**
+   * Email a person a link to verify their address
+   * @param {Person} person - The person to verify
+   * @returns {Object} {token, expiresAt}
+   */
+  static async sendVerification(person) {
+    const expiresAt = new Date(Date.now() + this.verificationTtlMs());
+    const { token } = await AccountToken.create({
+      personId: person.id,
+      purpose: 'verify_email',
+      email: person.email,
+      expiresAt
+    });
+
+    await emailService.sendEmailVerification({
+      recipientEmail: person.email,
+      userName: person.name,
+      verificationUrl: `${frontendUrl()}/verify-email/${encodeURIComponent(token)}`,
+      expiresAt
+    });
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * Verify an address from a link, then accept the invitations waiting for it
+   * @param {string} token - Token from the verification link
+   * @returns {Object|null} {person, joinedTeams}, or null if the link cannot be used
+   */
+  static async verifyEmail(token) {
+    const accountToken = await AccountToken.consume(token, 'verify_email');
+    if (!accountToken) {
+      return null;
+    }
+
+    const person = await Person.findById(accountToken.personId);
+    if (!person || person.email.toLowerCase() !== accountToken.email.toLowerCase()) {
+      return null;
+    }
+
+    const firstVerification = !person.isEmailVerified();
+    await person.markEmailVerified();
+
+    let joinedTeams = [];
+    try {
+      joinedTeams = await TeamInvitation.acceptAllPendingForEmail(person.email, person.id);
+    } catch (error) {
+      console.error('Failed to process pending invitations:', error);
+      // Don't fail verification if invitation processing fails
+    }
+
+    if (firstVerification) {
+      try {
+        await emailService.sendWelcomeEmail({
+          recipientEmail: person.email,
+          userName: person.name
+        });
+      } catch (error) {
+        console.error('Failed to send welcome email:', error);
+      }
+    }
+
+    return { person, joinedTeams };
+  }
+
+  /**
+   * Email a password reset link; unknown addresses are silently ignored so
+   * the answer does not reveal which emails have an account
+   * @param {string} email - Address entered on the forgot password form
+   * @returns {boolean} Whether a link was sent
+   */
+  static async requestPasswordReset(email) {
+    if (!email || typeof email !== 'string') {
+      return false;
+    }
+
+    // Accounts created by single sign-on have no local password to reset
+    const person = await Person.findByEmail(email.trim());
+    if (!person || !person.passwordHash) {
+      return false;
+    }
+
+    const expiresAt = new Date(Date.now() + this.resetTtlMs());
+    const { token } = await AccountToken.create({
+      personId: person.id,
+      purpose: 'reset_password',
+      email: person.email,
+      expiresAt
+    });
+
+    await emailService.sendPasswordReset({
+      recipientEmail: person.email,
+      userName: person.name,
+      resetUrl: `${frontendUrl()}/reset-password/${encodeURIComponent(token)}`,
+      expiresAt
+    });
+
+    return true;
+  }
+
+  /**
+   * Set a new password from a reset link
+   * @param {string} token - Token from the reset link
+   * @param {string} password - The new password
+   * @returns {Person|null} The person, or null if the link cannot be used
+   */
+  static async resetPassword(token, password) {
+    const error = Person.passwordError(password);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const accountToken = await AccountToken.consume(token, 'reset_password');
+    if (!accountToken) {
+      return null;
+    }
+
+    const person = await Person.findById(accountToken.personId);
+    if (!person) {
+      return null;
+    }
+
+    await person.setPassword(password);
+    await AccountToken.invalidate(person.id, 'reset_password');
+    // Whoever had the old password may also have made access tokens with it
+    await PersonalAccessToken.revokeAllForPerson(person.id);
+
+    // The link was read in the inbox it was sent to, which proves the address
+    if (person.email.toLowerCase() === accountToken.email.toLowerCase()) {
+      await person.markEmailVerified();
+    }
+
+    await emailService.sendPasswordChanged({ recipientEmail: person.email, userName: person.name });
+    return person;
+  }
+
+  /**
+   * Change the password of a logged-in person
+   * @param {Person} person - The logged-in person
+   * @param {string} currentPassword - Their current password
+   * @param {string} newPassword - The new password
+   * @returns {Person} The person with the new password
+   */
+  static async changePassword(person, currentPassword, newPassword) {
+    if (!currentPassword || !(await person.validatePassword(currentPassword))) {
+      throw new Error('Current password is incorrect');
+    }
+
+    const error = Person.passwordError(newPassword);
+    if (error) {
+      throw new Error(error);
+    }
+    if (currentPassword === newPassword) {
+      throw new Error('New password must be different from the current password');
+    }
+
+    await person.setPassword(newPassword);
+    await AccountToken.invalidate(person.id, 'reset_password');
+    // Tokens made with the old password must not outlive it
+    await PersonalAccessToken.revokeAllForPerson(person.id);
+    await emailService.sendPasswordChanged({ recipientEmail: person.email, userName: person.name });
+    return person;
+  }
+}
+
+AccountRecoveryService.DEFAULT_VERIFICATION_TTL_HOURS = DEFAULT_VERIFICATION_TTL_HOURS;
+AccountRecoveryService.DEFAULT_RESET_TTL_MINUTES = DEFAULT_RESET_TTL_MINUTES;
+
+module.exports = AccountRecoveryService;
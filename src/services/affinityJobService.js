@@ -0,0 +1,208 @@
+const AffinityJob = require('../models/AffinityJob');
+const PersonalityService = require('./personalityService');
+
+// Retry backoff: 2s, 4s, 8s ... capped at 5 minutes
+const RETRY_BASE_DELAY_MS = 2000;
+const RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+const STALE_JOB_MINUTES = 15;
+
+let draining = null;
+let pollTimer = null;
+
+class AffinityJobService {
+
+  /**
+   * Delay before retrying a job that failed its given attempt
+   * @param {number} attempt - Number of attempts made so far (1-based)
+   * @returns {number} Delay in milliseconds
+   */
+  static retryDelay(attempt) {
+    const exponent = Math.max(0, (parseInt(attempt) || 1) - 1);
+    return Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * Math.pow(2, exponent));
+  }
+
+  /**
+   * Summarise pending jobs into a single recomputation status
+   * @param {Array} jobs - Queued or running AffinityJob objects
+   * @returns {Object} {recomputing, progress, jobs}
+   */
+  static summarizeJobs(jobs) {
+    const pending = (jobs || []).filter(job => job.status === 'queued' || job.status === 'running');
+
+    if (pending.length === 0) {
+      return { recomputing: false, progress: 100, jobs: [] };
+    }
+
+    const totalProgress = pending.reduce((sum, job) => sum + (job.progress || 0), 0);
+
+    return {
+      recomputing: true,
+      progress: Math.floor(totalProgress / pending.length),
+      jobs: pending
+    };
+  }
+
+  /**
+   * Queue a recalculation of one person's affinities for every practice
+   * @param {number} personId - The person's ID
+   * @param {number} requestedById - Person who triggered the recalculation
+   * @returns {AffinityJob} Queued job
+   */
+  static async enqueuePerson(personId, requestedById = null) {
+    const job = await AffinityJob.enqueue('person', personId, requestedById);
+    this.kick();
+    return job;
+  }
+
+  /**
+   * Queue a recalculation of every person's affinity for one practice version
+   * @param {number} practiceVersionId - The practice version ID
+   * @param {number} requestedById - Person who triggered the recalculation
+   * @returns {AffinityJob} Queued job
+   */
+  static async enqueuePractice(practiceVersionId, requestedById = null) {
+    const job = await AffinityJob.enqueue('practice', practiceVersionId, requestedById);
+    this.kick();
+    return job;
+  }
+
+  /**
+   * Queue a recalculation for each member of a team
+   * @param {number} teamId - The team's ID
+   * @param {number} requestedById - Person who triggered the recalculation
+   * @returns {Array} Queued jobs, one per member
+   */
+  static async enqueueTeam(teamId, requestedById = null) {
+    const Team = require('../models/Team');
+    const team = await Team.findById(teamId);
+
+    if (!team) {
+      throw new Error('Team not found');
+    }
+
+    const members = await team.getMembers();
+    const jobs = [];
+    for (const member of members) {
+      jobs.push(await AffinityJob.enqueue('person', member.id, requestedById));
+    }
+
+    this.kick();
+    return jobs;
+  }
+
+  /**
+   * Recalculation status for a person, as shown while their affinities are recomputed
+   * @param {number} personId - The person's ID
+   * @returns {Object} {recomputing, progress, jobs, lastJob}
+   */
+  static async getPersonStatus(personId) {
+    const [activeJobs, lastJob] = await Promise.all([
+      AffinityJob.findActiveForPerson(personId),
+      AffinityJob.findLatestForPerson(personId)
+    ]);
+
+    return {
+      ...this.summarizeJobs(activeJobs),
+      lastJob
+    };
+  }
+
+  /**
+   * Run one job: recompute its affinities, reporting progress as it goes
+   * @param {AffinityJob} job - A claimed (running) job
+   * @returns {AffinityJob} The finished or requeued job
+   */
+  static async processJob(job) {
+    const onProgress = (processed, total) => job.reportProgress(processed, total);
+
+    try {
+      if (job.jobType === 'person') {
+        await PersonalityService.recalculateAffinities(job.targetId, onProgress);
+      } else {
+        await PersonalityService.recalculatePracticeAffinities(job.targetId, onProgress);
+      }
+      return await job.complete();
+    } catch (error) {
+      console.error(`Affinity job ${job.id} failed (attempt ${job.attempts}):`, error.message);
+      return job.fail(error, this.retryDelay(job.attempts));
+    }
+  }
+
+  /**
+   * Process due jobs until the queue is empty. Concurrent calls share one run.
+   * @returns {Promise<number>} Number of jobs processed
+   */
+  static drain() {
+    if (draining) {
+      return draining;
+    }
+
+    draining = (async () => {
+      let processed = 0;
+      try {
+        let job = await AffinityJob.claimNext();
+        while (job) {
+          await this.processJob(job);
+          processed++;
+          job = await AffinityJob.claimNext();
+        }
+      } finally {
+        draining = null;
+      }
+      return processed;
+    })();
+
+    return draining;
+  }
+
+  /**
+   * Start draining the queue on the next tick without waiting for it. Only the
+   * process running the worker (see start) drains; elsewhere jobs wait for its poll
+   */
+  static kick() {
+    if (!pollTimer) {
+      return;
+    }
+
+    setImmediate(() => {
+      this.drain().catch(error => {
+        console.error('Error processing affinity jobs:', error.message);
+      });
+    });
+  }
+
+  /**
+   * Poll the queue for retries and jobs queued by other processes
+   * @param {number} intervalMs - Polling interval in milliseconds
+   */
+  static start(intervalMs = DEFAULT_POLL_INTERVAL_MS) {
+    if (pollTimer) {
+      return;
+    }
+
+    const poll = async () => {
+      try {
+        await AffinityJob.requeueStale(STALE_JOB_MINUTES);
+        await this.drain();
+      } catch (error) {
+        console.error('Error polling affinity jobs:', error.message);
+      }
+    };
+
+    pollTimer = setInterval(poll, intervalMs);
+    poll();
+  }
+
+  /**
+   * Stop polling; a job already running is left to finish
+   */
+  static stop() {
+    if (pollTimer) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+  }
+}
+
+module.exports = AffinityJobService;
@@ -177,6 +177,7 @@ class CacheService {
     const patterns = [
       this.generateKey('practice', 'details', practiceId),
       this.generateKey('search', 'practices', '*'),
+      this.generateKey('practices', 'list', '*'),
       this.generateKey('recommendations', '*')
     ];
     
@@ -0,0 +1,279 @@
+const pool = require('../config/database');
+
+// contextIndicator.value holds the condition a team must meet, for example
+// "> 4", "<= 10", "5..12", "Yes" or "Distributed|Hybrid"
+const COMPARISON = /^(>=|<=|!=|>|<|=)?\s*(-?\d+(?:\.\d+)?)$/;
+const RANGE = /^(-?\d+(?:\.\d+)?)\s*(?:\.\.|-|–|to)\s*(-?\d+(?:\.\d+)?)$/i;
+const BOOLEANS = { yes: true, true: true, no: false, false: false };
+const ALTERNATIVE_SEPARATOR = /\s*[|,]\s*/;
+
+const MAX_VALUE_LENGTH = 64;
+
+// contextIndicator.precision: how a team's value for the indicator is entered
+const NUMBER_PRECISIONS = ['decimal', 'float', 'number', 'percent'];
+
+const COMPARATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '=': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+const indicatorKey = (name) => String(name).trim().toLowerCase();
+
+/**
+ * Matches team context profiles against the indicators of each Context.
+ * A team gives one value per indicator name; a context applies to the team
+ * when none of its indicators' conditions conflicts with the team's values
+ * and at least one of them is met.
+ */
+class ContextMatchingService {
+  /**
+   * How values of an indicator are entered and compared
+   * @param {string} precision - contextIndicator.precision
+   * @returns {string} 'integer', 'number', 'boolean' or 'text'
+   */
+  static valueKind(precision) {
+    const normalized = String(precision || '').trim().toLowerCase();
+    if (normalized === 'integer') {
+      return 'integer';
+    }
+    if (NUMBER_PRECISIONS.includes(normalized)) {
+      return 'number';
+    }
+    if (normalized === 'boolean') {
+      return 'boolean';
+    }
+    return 'text';
+  }
+
+  /**
+   * Parse an indicator condition
+   * @param {string|null} value - contextIndicator.value
+   * @returns {Object} {type: 'any'|'compare'|'range'|'boolean'|'oneOf', ...}
+   */
+  static parseCondition(value) {
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    if (!text) {
+      return { type: 'any' };
+    }
+
+    const comparison = text.match(COMPARISON);
+    if (comparison) {
+      return { type: 'compare', operator: comparison[1] || '=', value: Number(comparison[2]) };
+    }
+
+    const range = text.match(RANGE);
+    if (range) {
+      const bounds = [Number(range[1]), Number(range[2])].sort((a, b) => a - b);
+      return { type: 'range', min: bounds[0], max: bounds[1] };
+    }
+
+    if (Object.prototype.hasOwnProperty.call(BOOLEANS, text.toLowerCase())) {
+      return { type: 'boolean', value: BOOLEANS[text.toLowerCase()] };
+    }
+
+    const values = text.split(ALTERNATIVE_SEPARATOR)
+      .filter(alternative => alternative.length > 0)
+      .map(alternative => alternative.toLowerCase());
+    return { type: 'oneOf', values };
+  }
+
+  /**
+   * Check and normalize a team's value for an indicator
+   * @param {Object} definition - Indicator definition (see buildDefinitions)
+   * @param {*} value - Value given by the team; empty clears the indicator
+   * @returns {string|null} Value as stored, null when cleared
+   */
+  static normalizeValue(definition, value) {
+    if (value === null || value === undefined || String(value).trim() === '') {
+      return null;
+    }
+
+    const text = String(value).trim();
+    switch (definition.kind) {
+      case 'integer':
+        if (!/^-?\d+$/.test(text)) {
+          throw new Error(`Invalid value for "${definition.name}", expected a whole number`);
+        }
+        return String(parseInt(text, 10));
+      case 'number':
+        if (!/^-?\d+(\.\d+)?$/.test(text)) {
+          throw new Error(`Invalid value for "${definition.name}", expected a number`);
+        }
+        return String(Number(text));
+      case 'boolean':
+        if (!Object.prototype.hasOwnProperty.call(BOOLEANS, text.toLowerCase())) {
+          throw new Error(`Invalid value for "${definition.name}", expected Yes or No`);
+        }
+        return BOOLEANS[text.toLowerCase()] ? 'Yes' : 'No';
+      default:
+        if (text.length > MAX_VALUE_LENGTH) {
+          throw new Error(`Invalid value for "${definition.name}", at most ${MAX_VALUE_LENGTH} characters`);
+        }
+        return text;
+    }
+  }
+
+  /**
+   * Whether a team value meets an indicator's condition
+   * @param {Object} indicator - contextIndicator row ({name, attributes, value})
+   * @param {string|undefined} teamValue - The team's value for the indicator
+   * @returns {Object} {indicator, unit, condition, teamValue, outcome: 'matched'|'conflicted'|'missing'}
+   */
+  static evaluate(indicator, teamValue) {
+    const explanation = {
+      indicator: indicator.name,
+      unit: indicator.attributes || null,
+      condition: indicator.value || null,
+      teamValue: teamValue === undefined ? null : teamValue
+    };
+
+    if (explanation.teamValue === null || String(explanation.teamValue).trim() === '') {
+      return { ...explanation, teamValue: null, outcome: 'missing' };
+    }
+
+    const condition = this.parseCondition(indicator.value);
+    const text = String(teamValue).trim().toLowerCase();
+    const number = /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : NaN;
+    let met;
+
+    switch (condition.type) {
+      case 'any':
+        met = true;
+        break;
+      case 'compare':
+        met = !isNaN(number) && COMPARATORS[condition.operator](number, condition.value);
+        break;
+      case 'range':
+        met = !isNaN(number) && number >= condition.min && number <= condition.max;
+        break;
+      case 'boolean':
+        met = Object.prototype.hasOwnProperty.call(BOOLEANS, text) && BOOLEANS[text] === condition.value;
+        break;
+      default:
+        met = condition.values.includes(text);
+    }
+
+    return { ...explanation, outcome: met ? 'matched' : 'conflicted' };
+  }
+
+  /**
+   * Match a team profile against the indicators of one context
+   * @param {Array} indicators - contextIndicator rows of the context
+   * @param {Object} values - Team values keyed by indicator name (any case)
+   * @returns {Object} {status, applies, score, matched, conflicted, missing}; status is
+   *   'matched', 'partial' (some indicators not given), 'conflicted' or 'unknown' (nothing to compare)
+   */
+  static matchContext(indicators, values = {}) {
+    const lookup = new Map(Object.entries(values || {}).map(([name, value]) => [indicatorKey(name), value]));
+    const results = indicators
+      .filter(indicator => indicator.name)
+      .map(indicator => this.evaluate(indicator, lookup.get(indicatorKey(indicator.name))));
+
+    const byOutcome = (outcome) => results
+      .filter(result => result.outcome === outcome)
+      .map(({ outcome: _outcome, ...explanation }) => explanation);
+    const matched = byOutcome('matched');
+    const conflicted = byOutcome('conflicted');
+    const missing = byOutcome('missing');
+
+    let status = 'unknown';
+    if (conflicted.length > 0) {
+      status = 'conflicted';
+    } else if (matched.length > 0) {
+      status = missing.length > 0 ? 'partial' : 'matched';
+    }
+
+    return {
+      status,
+      applies: status === 'matched' || status === 'partial',
+      score: results.length > 0 ? Math.round((matched.length / results.length) * 100) / 100 : 0,
+      matched,
+      conflicted,
+      missing
+    };
+  }
+
+  /**
+   * Indicator definitions teams fill in, one per indicator name
+   * @param {Array} indicators - contextIndicator rows, oldest first
+   * @returns {Array} {name, description, unit, precision, kind, options}; options lists the
+   *   values text indicators are compared with
+   */
+  static buildDefinitions(indicators) {
+    const definitions = new Map();
+
+    indicators.filter(indicator => indicator.name && indicator.name.trim()).forEach(indicator => {
+      const key = indicatorKey(indicator.name);
+      if (!definitions.has(key)) {
+        definitions.set(key, {
+          name: indicator.name.trim(),
+          description: indicator.description || null,
+          unit: indicator.attributes || null,
+          precision: indicator.precision || null,
+          kind: this.valueKind(indicator.precision),
+          options: []
+        });
+      }
+
+      const definition = definitions.get(key);
+      const condition = this.parseCondition(indicator.value);
+      if (definition.kind === 'text' && condition.type === 'oneOf') {
+        indicator.value.split(ALTERNATIVE_SEPARATOR)
+          .filter(option => option.length > 0)
+          .forEach(option => {
+            if (!definition.options.some(existing => existing.toLowerCase() === option.toLowerCase())) {
+              definition.options.push(option);
+            }
+          });
+      }
+    });
+
+    return Array.from(definitions.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * All indicator definitions
+   * @returns {Array} See buildDefinitions
+   */
+  static async getDefinitions() {
+    const result = await pool.query('SELECT * FROM contextIndicator ORDER BY id');
+    return this.buildDefinitions(result.rows);
+  }
+
+  /**
+   * Match a team profile against contexts
+   * @param {Object} values - Team values keyed by indicator name
+   * @param {Array<number>} contextIds - Contexts to match (all when omitted)
+   * @returns {Map} Context ID → {contextId, description, ...matchContext}
+   */
+  static async matchContexts(values, contextIds = null) {
+    const filter = contextIds ? 'WHERE c.id = ANY($1::int[])' : '';
+    const [contexts, indicators] = await Promise.all([
+      pool.query(`SELECT c.id, c.description FROM Context c ${filter} ORDER BY c.id`, contextIds ? [contextIds] : []),
+      pool.query(
+        `SELECT ci.* FROM contextIndicator ci
+         JOIN Context c ON ci.contextId = c.id
+         ${filter}
+         ORDER BY ci.id`,
+        contextIds ? [contextIds] : []
+      )
+    ]);
+
+    const matches = new Map();
+    contexts.rows.forEach(context => {
+      const contextIndicators = indicators.rows.filter(indicator => indicator.contextid === context.id);
+      matches.set(context.id, {
+        contextId: context.id,
+        description: context.description,
+        ...this.matchContext(contextIndicators, values)
+      });
+    });
+    return matches;
+  }
+}
+
+module.exports = ContextMatchingService;
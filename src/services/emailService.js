@@ -47,19 +47,18 @@ class EmailService {
     }
   }
 
-  async sendTeamInvitation({ recipientEmail, teamName, inviterName, teamId }) {
+  async sendTeamInvitation({ recipientEmail, teamName, inviterName, invitationUrl, expiresAt }) {
     const subject = `Invitation to join team: ${teamName}`;
+    const expiry = new Date(expiresAt).toUTCString();
     const text = `
 Hello,
 
 ${inviterName} has invited you to join the team "${teamName}" in the Agile Practice Repository.
 
-To accept this invitation, please:
-1. Register or log in to the APR system
-2. Navigate to your team management page
-3. Use team ID: ${teamId} to join the team
+To accept or decline this invitation, open this link:
+${invitationUrl}
 
-If you don't have an account yet, you can register at: ${process.env.APP_URL || 'http://localhost:3000'}/register
+The link works once and expires on ${expiry}. If you don't have an account yet, you can register from that page.
 
 Best regards,
 The APR Team
@@ -70,14 +69,9 @@ The APR Team
       <p>Hello,</p>
       <p><strong>${inviterName}</strong> has invited you to join the team "<strong>${teamName}</strong>" in the Agile Practice Repository.</p>
       
-      <h3>To accept this invitation:</h3>
-      <ol>
-        <li>Register or log in to the APR system</li>
-        <li>Navigate to your team management page</li>
-        <li>Use team ID: <strong>${teamId}</strong> to join the team</li>
-      </ol>
+      <p><a href="${invitationUrl}">Accept or decline the invitation</a></p>
       
-      <p>If you don't have an account yet, you can <a href="${process.env.APP_URL || 'http://localhost:3000'}/register">register here</a>.</p>
+      <p>The link works once and expires on ${expiry}. If you don't have an account yet, you can register from that page.</p>
       
       <p>Best regards,<br>The APR Team</p>
     `;
@@ -155,6 +149,141 @@ The APR Team
       return null;
     }
   }
+
+  async sendEmailVerification({ recipientEmail, userName, verificationUrl, expiresAt }) {
+    const subject = 'Verify your email address';
+    const expiry = new Date(expiresAt).toUTCString();
+    const text = `
+Hello ${userName},
+
+Please confirm that ${recipientEmail} is your email address by opening this link:
+${verificationUrl}
+
+The link works once and expires on ${expiry}. Team invitations sent to this address are accepted once it is verified.
+
+If you did not create an account, you can ignore this email.
+
+Best regards,
+The APR Team
+    `.trim();
+
+    const html = `
+      <h2>Verify your email address</h2>
+      <p>Hello <strong>${userName}</strong>,</p>
+      <p>Please confirm that ${recipientEmail} is your email address.</p>
+      
+      <p><a href="${verificationUrl}">Verify my email address</a></p>
+      
+      <p>The link works once and expires on ${expiry}. Team invitations sent to this address are accepted once it is verified.</p>
+      <p>If you did not create an account, you can ignore this email.</p>
+      
+      <p>Best regards,<br>The APR Team</p>
+    `;
+
+    const mailOptions = {
+      from: process.env.FROM_EMAIL || process.env.SMTP_USER || 'noreply@apr.com',
+      to: recipientEmail,
+      subject: subject,
+      text: text,
+      html: html
+    };
+
+    try {
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('Email verification sent:', result.messageId);
+      return result;
+    } catch (error) {
+      console.error('Failed to send email verification:', error);
+      throw new Error('Failed to send verification email');
+    }
+  }
+
+  async sendPasswordReset({ recipientEmail, userName, resetUrl, expiresAt }) {
+    const subject = 'Reset your password';
+    const expiry = new Date(expiresAt).toUTCString();
+    const text = `
+Hello ${userName},
+
+Someone asked to reset the password of your Agile Practice Repository account. To choose a new password, open this link:
+${resetUrl}
+
+The link works once and expires on ${expiry}. If you did not ask for this, you can ignore this email; your password stays the same.
+
+Best regards,
+The APR Team
+    `.trim();
+
+    const html = `
+      <h2>Reset your password</h2>
+      <p>Hello <strong>${userName}</strong>,</p>
+      <p>Someone asked to reset the password of your Agile Practice Repository account.</p>
+      
+      <p><a href="${resetUrl}">Choose a new password</a></p>
+      
+      <p>The link works once and expires on ${expiry}. If you did not ask for this, you can ignore this email; your password stays the same.</p>
+      
+      <p>Best regards,<br>The APR Team</p>
+    `;
+
+    const mailOptions = {
+      from: process.env.FROM_EMAIL || process.env.SMTP_USER || 'noreply@apr.com',
+      to: recipientEmail,
+      subject: subject,
+      text: text,
+      html: html
+    };
+
+    try {
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('Password reset email sent:', result.messageId);
+      return result;
+    } catch (error) {
+      console.error('Failed to send password reset email:', error);
+      throw new Error('Failed to send password reset email');
+    }
+  }
+
+  async sendPasswordChanged({ recipientEmail, userName }) {
+    const subject = 'Your password was changed';
+    const text = `
+Hello ${userName},
+
+The password of your Agile Practice Repository account was just changed and your other sessions were logged out.
+
+If you did not do this, reset your password at: ${process.env.FRONTEND_URL || 'http://localhost:3001'}/forgot-password
+
+Best regards,
+The APR Team
+    `.trim();
+
+    const html = `
+      <h2>Your password was changed</h2>
+      <p>Hello <strong>${userName}</strong>,</p>
+      <p>The password of your Agile Practice Repository account was just changed and your other sessions were logged out.</p>
+      
+      <p>If you did not do this, <a href="${process.env.FRONTEND_URL || 'http://localhost:3001'}/forgot-password">reset your password</a>.</p>
+      
+      <p>Best regards,<br>The APR Team</p>
+    `;
+
+    const mailOptions = {
+      from: process.env.FROM_EMAIL || process.env.SMTP_USER || 'noreply@apr.com',
+      to: recipientEmail,
+      subject: subject,
+      text: text,
+      html: html
+    };
+
+    try {
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('Password change notice sent:', result.messageId);
+      return result;
+    } catch (error) {
+      console.error('Failed to send password change notice:', error);
+      // Don't throw error for the notice - the password is already changed
+      return null;
+    }
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const TeamInvitation = require('../models/TeamInvitation');
+
+const DEFAULT_TTL_HOURS = 7 * 24;
+const MAX_TTL_HOURS = 30 * 24;
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+let sweepTimer = null;
+
+const secret = () =>
+  process.env.INVITATION_SECRET || process.env.SESSION_SECRET || 'your-secret-key-change-in-production';
+
+const sign = (payload) => crypto.createHmac('sha256', secret()).update(payload).digest('base64url');
+
+/**
+ * Invitation links: "<invitationId>.<expiresAt>.<nonce>.<signature>". The
+ * signature makes forged or edited links fail before any lookup, and the
+ * invitation only keeps the token's hash, replaced on every resend, so a
+ * link works once and only while its invitation is pending.
+ */
+class InvitationService {
+  /**
+   * Invitation lifetime in hours: the requested one within bounds, else INVITATION_TTL_HOURS
+   * @param {number|string|null} requested - Hours requested by the inviter (optional)
+   * @returns {number} Lifetime in hours
+   */
+  static ttlHours(requested = null) {
+    const hours = parseInt(requested || process.env.INVITATION_TTL_HOURS) || DEFAULT_TTL_HOURS;
+    return Math.min(MAX_TTL_HOURS, Math.max(1, hours));
+  }
+
+  /**
+   * Create a signed token for an invitation
+   * @param {number} invitationId - The invitation ID
+   * @param {Date} expiresAt - When the link stops working
+   * @returns {string} Token to put in the invitation link
+   */
+  static createToken(invitationId, expiresAt) {
+    const payload = `${invitationId}.${Math.floor(expiresAt.getTime() / 1000)}.${crypto.randomBytes(16).toString('hex')}`;
+    return `${payload}.${sign(payload)}`;
+  }
+
+  /**
+   * Check a token's signature and expiry without touching the database
+   * @param {string} token - Token from an invitation link
+   * @param {Date} now - Current time
+   * @returns {Object} {valid, invitationId, expiresAt, reason}; reason is 'malformed', 'signature' or 'expired'
+   */
+  static verifyToken(token, now = new Date()) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 4 || !/^\d+$/.test(parts[0]) || !/^\d+$/.test(parts[1])) {
+      return { valid: false, reason: 'malformed' };
+    }
+
+    const expected = Buffer.from(sign(parts.slice(0, 3).join('.')));
+    const given = Buffer.from(parts[3]);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      return { valid: false, reason: 'signature' };
+    }
+
+    const invitationId = parseInt(parts[0]);
+    const expiresAt = new Date(parseInt(parts[1]) * 1000);
+    if (expiresAt <= now) {
+      return { valid: false, invitationId, expiresAt, reason: 'expired' };
+    }
+
+    return { valid: true, invitationId, expiresAt };
+  }
+
+  /**
+   * Hash of a token as stored on the invitation
+   * @param {string} token - Token from an invitation link
+   * @returns {string} SHA-256 hex digest
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Link to the client landing page for a token
+   * @param {string} token - Invitation token
+   * @returns {string} Absolute URL
+   */
+  static invitationUrl(token) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:3001'}/invitations/${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Give an invitation a fresh link, invalidating the previous one
+   * @param {TeamInvitation} invitation - A pending invitation
+   * @param {number|null} hours - Lifetime in hours (default: INVITATION_TTL_HOURS)
+   * @returns {Object} {invitation, token, url}
+   */
+  static async issue(invitation, hours = null) {
+    const expiresAt = new Date(Date.now() + this.ttlHours(hours) * 60 * 60 * 1000);
+    const token = this.createToken(invitation.id, expiresAt);
+    await invitation.setToken(this.hashToken(token), expiresAt);
+    return { invitation, token, url: this.invitationUrl(token) };
+  }
+
+  /**
+   * Find the invitation a token belongs to
+   * @param {string} token - Token from an invitation link
+   * @returns {Object} {invitation, error}; error is 'invalid', 'expired' or null
+   */
+  static async resolve(token) {
+    const check = this.verifyToken(token);
+    if (!check.valid && check.reason !== 'expired') {
+      return { invitation: null, error: 'invalid' };
+    }
+
+    const invitation = await TeamInvitation.findById(check.invitationId);
+    if (!invitation || invitation.tokenHash !== this.hashToken(token)) {
+      return { invitation: null, error: 'invalid' };
+    }
+
+    if (!check.valid || invitation.isOverdue()) {
+      if (invitation.status === 'pending') {
+        await invitation.setStatus('expired');
+      }
+      return { invitation, error: 'expired' };
+    }
+
+    return { invitation, error: null };
+  }
+
+  /**
+   * Mark overdue pending invitations as expired
+   * @returns {number} Number of invitations expired
+   */
+  static async sweep() {
+    return TeamInvitation.expireOverdue();
+  }
+
+  /**
+   * Sweep expired invitations periodically
+   * @param {number} intervalMs - Sweep interval in milliseconds
+   */
+  static start(intervalMs = DEFAULT_SWEEP_INTERVAL_MS) {
+    if (sweepTimer) {
+      return;
+    }
+
+    const run = async () => {
+      try {
+        const expired = await this.sweep();
+        if (expired > 0) {
+          console.log(`Expired ${expired} team invitation(s)`);
+        }
+      } catch (error) {
+        console.error('Error sweeping team invitations:', error.message);
+      }
+    };
+
+    sweepTimer = setInterval(run, intervalMs);
+    run();
+  }
+
+  /**
+   * Stop sweeping
+   */
+  static stop() {
+    if (sweepTimer) {
+      clearInterval(sweepTimer);
+      sweepTimer = null;
+    }
+  }
+}
+
+InvitationService.DEFAULT_TTL_HOURS = DEFAULT_TTL_HOURS;
+InvitationService.MAX_TTL_HOURS = MAX_TTL_HOURS;
+
+module.exports = InvitationService;
@@ -0,0 +1,325 @@
+const pool = require('../config/database');
+const PersonalityService = require('./personalityService');
+const RecommendationService = require('./recommendationService');
+const TeamAggregationService = require('./teamAggregationService');
+
+// Work product usages that need the work product to come from another practice
+const CONSUMING_USAGES = ['consumes', 'modifies'];
+
+// roleUseType names carrying a responsibility, e.g. "Responsible (R)" or "Accountable (A)"
+const RESPONSIBILITY_TYPE = /^\s*(responsible|accountable)\b|\((R|A)\)\s*$/i;
+
+/**
+ * Analyses a method, or a composition of methods such as "Scrum + XP", as a
+ * whole: what its practices bring together, what is missing between them,
+ * where they overlap and how well a team would take to them.
+ */
+class MethodAnalysisService {
+  /**
+   * Whether a role use type makes the role responsible for something
+   * @param {string|null} typeName - roleUseType.name
+   * @returns {boolean} True for Responsible and Accountable
+   */
+  static isResponsibility(typeName) {
+    return Boolean(typeName) && RESPONSIBILITY_TYPE.test(typeName);
+  }
+
+  /**
+   * Aggregate the practices of a method and look for gaps and overlaps
+   * @param {Object} composition - Loaded method content
+   * @param {Array} composition.practices - {practiceVersionId, practiceId, name, versionName}
+   * @param {Array} composition.roles - {practiceVersionId, roleId, name, typeName}
+   * @param {Array} composition.workproducts - {practiceVersionId, workproductId, name, usage}
+   * @param {Array} composition.activities - {practiceVersionId, activityId, name, sequence}
+   * @param {Array} composition.goals - {practiceVersionId, goalId, name}
+   * @param {Array} composition.allGoals - Every goal (OAR) a method may cover: {id, name, description}
+   * @returns {Object} {practices, roles, workproducts, activities, goalCoverage, gaps, overlaps}
+   */
+  static analyze({ practices = [], roles = [], workproducts = [], activities = [], goals = [], allGoals = [] }) {
+    const names = new Map(practices.map(practice => [practice.practiceVersionId, practice.name]));
+    const inMethod = link => names.has(link.practiceVersionId);
+    const practiceRef = id => ({ practiceVersionId: id, name: names.get(id) });
+    const listNames = ids => ids.map(id => names.get(id)).join(', ');
+
+    const group = (links, key, init) => {
+      const groups = new Map();
+      links.filter(inMethod).forEach(link => {
+        if (!groups.has(link[key])) {
+          groups.set(link[key], init(link));
+        }
+        groups.get(link[key]).links.push(link);
+      });
+      return Array.from(groups.values());
+    };
+
+    const roleSummaries = group(roles, 'roleId', link => ({ roleId: link.roleId, name: link.name, links: [] }))
+      .map(({ links, ...role }) => {
+        const responsibilities = links.filter(link => this.isResponsibility(link.typeName));
+        return {
+          ...role,
+          responsibilityCount: responsibilities.length,
+          practices: links.map(link => ({ ...practiceRef(link.practiceVersionId), typeName: link.typeName || null }))
+        };
+      });
+
+    const workproductSummaries = group(workproducts, 'workproductId', link => ({ workproductId: link.workproductId, name: link.name, links: [] }))
+      .map(({ links, ...workproduct }) => ({
+        ...workproduct,
+        producedBy: links.filter(link => !CONSUMING_USAGES.includes(link.usage)).map(link => practiceRef(link.practiceVersionId)),
+        consumedBy: links.filter(link => CONSUMING_USAGES.includes(link.usage))
+          .map(link => ({ ...practiceRef(link.practiceVersionId), usage: link.usage }))
+      }));
+
+    const activitySummaries = group(activities, 'activityId', link => ({ activityId: link.activityId, name: link.name, links: [] }))
+      .map(({ links, ...activity }) => ({
+        ...activity,
+        practices: links.map(link => ({ ...practiceRef(link.practiceVersionId), sequence: link.sequence }))
+      }));
+
+    const servedGoals = new Map(group(goals, 'goalId', link => ({ goalId: link.goalId, links: [] }))
+      .map(goal => [goal.goalId, goal.links.map(link => link.practiceVersionId)]));
+    const coverage = allGoals.map(goal => ({
+      goalId: goal.id,
+      name: goal.name,
+      description: goal.description || null,
+      practices: (servedGoals.get(goal.id) || []).map(practiceRef)
+    }));
+    const covered = coverage.filter(goal => goal.practices.length > 0);
+
+    const gaps = [
+      ...workproductSummaries
+        .filter(workproduct => workproduct.consumedBy.length > 0 && workproduct.producedBy.length === 0)
+        .map(workproduct => ({
+          type: 'unproduced_workproduct',
+          workproductId: workproduct.workproductId,
+          name: workproduct.name,
+          practices: workproduct.consumedBy,
+          message: `${workproduct.name} is used by ${listNames(workproduct.consumedBy.map(p => p.practiceVersionId))} but no practice produces it`
+        })),
+      ...roleSummaries
+        .filter(role => role.responsibilityCount === 0)
+        .map(role => ({
+          type: 'role_without_responsibility',
+          roleId: role.roleId,
+          name: role.name,
+          practices: role.practices,
+          message: `${role.name} takes part in ${listNames(role.practices.map(p => p.practiceVersionId))} without being responsible or accountable for anything`
+        })),
+      ...coverage
+        .filter(goal => goal.practices.length === 0)
+        .map(goal => ({
+          type: 'uncovered_goal',
+          goalId: goal.goalId,
+          name: goal.name,
+          practices: [],
+          message: `No practice of the method serves ${goal.name}`
+        }))
+    ];
+
+    const overlaps = [
+      ...covered
+        .filter(goal => goal.practices.length > 1)
+        .map(goal => ({
+          type: 'goal',
+          goalId: goal.goalId,
+          name: goal.name,
+          practices: goal.practices,
+          message: `${listNames(goal.practices.map(p => p.practiceVersionId))} all serve ${goal.name}`
+        })),
+      ...activitySummaries
+        .filter(activity => activity.practices.length > 1)
+        .map(activity => ({
+          type: 'activity',
+          activityId: activity.activityId,
+          name: activity.name,
+          practices: activity.practices.map(({ sequence: _sequence, ...practice }) => practice),
+          message: `${listNames(activity.practices.map(p => p.practiceVersionId))} all include ${activity.name}`
+        })),
+      ...group(practices, 'practiceId', practice => ({ practiceId: practice.practiceId, name: practice.name, links: [] }))
+        .filter(practice => practice.links.length > 1)
+        .map(({ links, ...practice }) => ({
+          type: 'practice',
+          ...practice,
+          practices: links.map(link => ({ ...practiceRef(link.practiceVersionId), versionName: link.versionName })),
+          message: `${links.length} versions of ${practice.name} are part of the method`
+        }))
+    ];
+
+    return {
+      practices,
+      roles: roleSummaries,
+      workproducts: workproductSummaries,
+      activities: activitySummaries,
+      goalCoverage: {
+        covered: covered.length,
+        total: coverage.length,
+        coveragePercentage: coverage.length > 0 ? Math.round((covered.length / coverage.length) * 100) : 0,
+        goals: coverage
+      },
+      gaps,
+      overlaps
+    };
+  }
+
+  /**
+   * Team affinity for a method as a whole
+   * @param {Array} practices - Practices of the method ({practiceVersionId, name})
+   * @param {Map} statsByPractice - Team affinity statistics keyed by practice version ID
+   * @param {string} strategy - Aggregation strategy name
+   * @returns {Object} {strategy, score, vetoed, recommended, scoredPractices, weakestPractice, practices}
+   *   score is the mean group score of the practices some member has a score for
+   */
+  static methodAffinity(practices, statsByPractice, strategy) {
+    const scored = practices.map(practice => {
+      const teamAffinity = statsByPractice.get(practice.practiceVersionId) || null;
+      return {
+        practiceVersionId: practice.practiceVersionId,
+        name: practice.name,
+        teamAffinity,
+        aggregation: TeamAggregationService.score(teamAffinity, strategy),
+        scored: Boolean(teamAffinity && teamAffinity.individualScores && teamAffinity.individualScores.length > 0)
+      };
+    }).sort(TeamAggregationService.compare);
+
+    const withScores = scored.filter(practice => practice.scored);
+    const score = withScores.length > 0
+      ? Math.round((withScores.reduce((sum, practice) => sum + practice.aggregation.score, 0) / withScores.length) * 100) / 100
+      : 0;
+    const vetoed = withScores.some(practice => practice.aggregation.vetoed);
+    const weakest = withScores.reduce((lowest, practice) =>
+      (!lowest || practice.aggregation.score < lowest.aggregation.score ? practice : lowest), null);
+
+    return {
+      ...TeamAggregationService.describe(strategy),
+      score,
+      vetoed,
+      recommended: withScores.length > 0 && !vetoed && score >= 50,
+      scoredPractices: withScores.length,
+      weakestPractice: weakest ? { practiceVersionId: weakest.practiceVersionId, name: weakest.name, score: weakest.aggregation.score } : null,
+      practices: scored
+    };
+  }
+
+  /**
+   * Load the content of one or more method versions
+   * @param {Array<number>} methodVersionIds - Method versions to combine
+   * @returns {Object} Composition for analyze(), with the method versions found
+   */
+  static async loadComposition(methodVersionIds) {
+    const ids = methodVersionIds.map(id => parseInt(id)).filter(Number.isInteger);
+
+    const [versions, practices] = await Promise.all([
+      pool.query(
+        `SELECT mv.id, mv.versionName, m.id AS methodId, m.name AS methodName
+         FROM methodVersion mv
+         JOIN Method m ON mv.methodId = m.id
+         WHERE mv.id = ANY($1::int[])
+         ORDER BY m.name, mv.id`,
+        [ids]
+      ),
+      pool.query(
+        `SELECT pv.id AS practiceVersionId, pv.practiceId, pv.versionName, p.name,
+                ARRAY_AGG(pm.methodVersionId ORDER BY pm.methodVersionId) AS methodVersionIds
+         FROM practiceMethod pm
+         JOIN practiceVersion pv ON pm.practiceVersionId = pv.id
+         JOIN Practice p ON pv.practiceId = p.id
+         WHERE pm.methodVersionId = ANY($1::int[])
+         GROUP BY pv.id, p.name
+         ORDER BY p.name, pv.id`,
+        [ids]
+      )
+    ]);
+
+    const practiceVersionIds = practices.rows.map(row => row.practiceversionid);
+    const [roles, workproducts, activities, goals, allGoals] = await Promise.all([
+      pool.query(
+        `SELECT ru.practiceVersionId, ru.roleId, r.name, rut.name AS typeName
+         FROM roleUse ru
+         JOIN Role r ON ru.roleId = r.id
+         LEFT JOIN roleUseType rut ON ru.typeId = rut.id
+         WHERE ru.practiceVersionId = ANY($1::int[])
+         ORDER BY r.name`,
+        [practiceVersionIds]
+      ),
+      pool.query(
+        `SELECT wp.practiceVersionId, wp.workproductId, w.name, wp.usage
+         FROM workproductPractice wp
+         JOIN Workproduct w ON wp.workproductId = w.id
+         WHERE wp.practiceVersionId = ANY($1::int[])
+         ORDER BY w.name`,
+        [practiceVersionIds]
+      ),
+      pool.query(
+        `SELECT pva.practiceVersionId, pva.activityId, a.name, pva.sequence
+         FROM practiceVersionActivity pva
+         JOIN Activity a ON pva.activityId = a.id
+         WHERE pva.practiceVersionId = ANY($1::int[])
+         ORDER BY a.name`,
+        [practiceVersionIds]
+      ),
+      pool.query(
+        `SELECT pg.practiceVersionId, pg.goalId, g.name
+         FROM practiceGoal pg
+         JOIN Goal g ON pg.goalId = g.id
+         WHERE pg.practiceVersionId = ANY($1::int[])`,
+        [practiceVersionIds]
+      ),
+      pool.query('SELECT id, name, description FROM Goal ORDER BY name')
+    ]);
+
+    return {
+      methodVersions: versions.rows.map(row => ({
+        id: row.id,
+        versionName: row.versionname,
+        methodId: row.methodid,
+        methodName: row.methodname
+      })),
+      practices: practices.rows.map(row => ({
+        practiceVersionId: row.practiceversionid,
+        practiceId: row.practiceid,
+        name: row.name,
+        versionName: row.versionname,
+        methodVersionIds: row.methodversionids
+      })),
+      roles: roles.rows.map(row => ({
+        practiceVersionId: row.practiceversionid, roleId: row.roleid, name: row.name, typeName: row.typename
+      })),
+      workproducts: workproducts.rows.map(row => ({
+        practiceVersionId: row.practiceversionid, workproductId: row.workproductid, name: row.name, usage: row.usage
+      })),
+      activities: activities.rows.map(row => ({
+        practiceVersionId: row.practiceversionid, activityId: row.activityid, name: row.name, sequence: row.sequence
+      })),
+      goals: goals.rows.map(row => ({
+        practiceVersionId: row.practiceversionid, goalId: row.goalid, name: row.name
+      })),
+      allGoals: allGoals.rows
+    };
+  }
+
+  /**
+   * Analyse one or more method versions together
+   * @param {Array<number>} methodVersionIds - Method versions to combine
+   * @param {Object} options - {memberIds, strategy} to add the team's affinity for the method
+   * @returns {Object} {methodVersions, ...analyze(), associationWarnings, affinity}
+   */
+  static async analyzeMethodVersions(methodVersionIds, { memberIds = null, strategy = null } = {}) {
+    const { methodVersions, ...composition } = await this.loadComposition(methodVersionIds);
+    const practiceVersionIds = composition.practices.map(practice => practice.practiceVersionId);
+
+    const analysis = this.analyze(composition);
+    const associationWarnings = await RecommendationService.getAssociationWarnings(practiceVersionIds);
+
+    let affinity = null;
+    if (memberIds) {
+      const statsByPractice = await PersonalityService.calculateTeamAffinityBatch(memberIds, practiceVersionIds);
+      affinity = this.methodAffinity(composition.practices, statsByPractice, strategy || TeamAggregationService.resolve());
+    }
+
+    return { methodVersions, ...analysis, associationWarnings, affinity };
+  }
+}
+
+MethodAnalysisService.CONSUMING_USAGES = CONSUMING_USAGES;
+
+module.exports = MethodAnalysisService;
@@ -0,0 +1,389 @@
+const crypto = require('crypto');
+const Person = require('../models/Person');
+const TeamInvitation = require('../models/TeamInvitation');
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const CLOCK_SKEW_SECONDS = 60;
+const LOGIN_TTL_MS = 10 * 60 * 1000;
+
+// APR roles (roleType) that IdP groups can map to; a lower ID is more privileged
+const ROLE_IDS = {
+  'expert': 1,
+  'team member': 2,
+  'scrum master': 3,
+  'guest': 4
+};
+
+// Reasons a login is refused that are shown to the user
+const LOGIN_ERRORS = {
+  noEmail: 'Your identity provider did not share an email address',
+  unverifiedEmail: 'An account already uses this email address. Verify the address with your identity provider to link it.',
+  otherProvider: 'This APR account is already linked to another single sign-on account'
+};
+
+const SIGNING_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' }
+};
+
+let discoveryCache = null;
+let jwksCache = null;
+
+const base64UrlJson = (part) => JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+const sameString = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Single sign-on with an OpenID Connect provider: authorization code flow
+ * with PKCE. The provider's endpoints and keys come from its discovery
+ * document; ID tokens are verified here with node's crypto, so any provider
+ * signing with RS256 or ES256 works.
+ */
+class OidcService {
+  /**
+   * Provider settings from the environment
+   * @returns {Object} {issuer, clientId, clientSecret, redirectUri, scopes, groupsClaim, roleMapping, defaultRoleId, providerName}
+   */
+  static config() {
+    return {
+      issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+      clientId: process.env.OIDC_CLIENT_ID || '',
+      clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+      redirectUri: process.env.OIDC_REDIRECT_URI || 'http://localhost:3000/api/auth/oidc/callback',
+      scopes: process.env.OIDC_SCOPES || 'openid email profile',
+      groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+      roleMapping: this.parseRoleMapping(process.env.OIDC_ROLE_MAPPING),
+      defaultRoleId: ROLE_IDS[(process.env.OIDC_DEFAULT_ROLE || 'Team Member').toLowerCase()] || ROLE_IDS['team member'],
+      providerName: process.env.OIDC_PROVIDER_NAME || 'Single sign-on'
+    };
+  }
+
+  static isEnabled() {
+    const { issuer, clientId } = this.config();
+    return Boolean(issuer && clientId);
+  }
+
+  /**
+   * Parse OIDC_ROLE_MAPPING, e.g. "apr-experts=Expert,apr-users=Team Member"
+   * @param {string} value - Comma-separated group=role pairs
+   * @returns {Object} Role ID by group
+   */
+  static parseRoleMapping(value) {
+    const mapping = {};
+    (value || '').split(',').forEach(pair => {
+      const separator = pair.lastIndexOf('=');
+      if (separator <= 0) {
+        return;
+      }
+      const group = pair.slice(0, separator).trim();
+      const role = pair.slice(separator + 1).trim().toLowerCase();
+      if (group && ROLE_IDS[role]) {
+        mapping[group] = ROLE_IDS[role];
+      }
+    });
+    return mapping;
+  }
+
+  /**
+   * The APR role given by the groups in the ID token
+   * @param {Object} claims - ID token claims
+   * @param {Object} config - Provider settings (default: from the environment)
+   * @returns {number|null} The most privileged mapped role ID, or null if no group is mapped
+   */
+  static roleFromClaims(claims, config = this.config()) {
+    const value = config.groupsClaim.split('.').reduce((node, key) => (node == null ? undefined : node[key]), claims);
+    const groups = Array.isArray(value) ? value : (typeof value === 'string' ? [value] : []);
+
+    const roleIds = groups.map(group => config.roleMapping[group]).filter(Boolean);
+    return roleIds.length > 0 ? Math.min(...roleIds) : null;
+  }
+
+  /**
+   * PKCE code verifier and its S256 challenge
+   * @returns {Object} {verifier, challenge}
+   */
+  static createPkcePair() {
+    const verifier = randomToken();
+    const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+    return { verifier, challenge };
+  }
+
+  static async fetchJson(url, options = {}) {
+    const response = await fetch(url, { ...options, headers: { Accept: 'application/json', ...options.headers } });
+    const body = await response.json().catch(() => null);
+    if (!response.ok || !body) {
+      const reason = body && (body.error_description || body.error);
+      throw new Error(`OIDC request to ${url} failed with status ${response.status}${reason ? `: ${reason}` : ''}`);
+    }
+    return body;
+  }
+
+  /**
+   * The provider's discovery document, cached for an hour
+   * @returns {Object} OpenID provider metadata
+   */
+  static async discover() {
+    const { issuer } = this.config();
+    if (discoveryCache && discoveryCache.issuer === issuer && discoveryCache.expiresAt > Date.now()) {
+      return discoveryCache.metadata;
+    }
+
+    const metadata = await this.fetchJson(`${issuer}/.well-known/openid-configuration`);
+    if ((metadata.issuer || '').replace(/\/$/, '') !== issuer) {
+      throw new Error('OIDC discovery document is for another issuer');
+    }
+
+    discoveryCache = { issuer, metadata, expiresAt: Date.now() + DISCOVERY_TTL_MS };
+    jwksCache = null;
+    return metadata;
+  }
+
+  /**
+   * Find the provider key that signed a token, refreshing the key set once if the key is unknown
+   * @param {string} kid - Key ID from the token header
+   * @returns {KeyObject} Public key
+   */
+  static async signingKey(kid) {
+    for (const refresh of [false, true]) {
+      if (refresh || !jwksCache) {
+        const metadata = await this.discover();
+        jwksCache = await this.fetchJson(metadata.jwks_uri);
+      }
+
+      const keys = (jwksCache.keys || []).filter(key => !key.use || key.use === 'sig');
+      const jwk = kid ? keys.find(key => key.kid === kid) : (keys.length === 1 ? keys[0] : null);
+      if (jwk) {
+        return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+      }
+    }
+
+    throw new Error('OIDC signing key not found');
+  }
+
+  /**
+   * Start a login: the URL to send the browser to, and what the callback must check
+   * @param {string} returnTo - Client path to come back to after logging in
+   * @returns {Object} {url, pending}; pending goes in the session until the callback
+   */
+  static async beginLogin(returnTo = '/dashboard') {
+    const config = this.config();
+    const metadata = await this.discover();
+    const { verifier, challenge } = this.createPkcePair();
+    const pending = {
+      state: randomToken(),
+      nonce: randomToken(),
+      verifier,
+      returnTo: this.safeReturnPath(returnTo),
+      startedAt: Date.now()
+    };
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: config.clientId,
+      redirect_uri: config.redirectUri,
+      scope: config.scopes,
+      state: pending.state,
+      nonce: pending.nonce,
+      code_challenge: challenge,
+      code_challenge_method: 'S256'
+    });
+
+    const separator = metadata.authorization_endpoint.includes('?') ? '&' : '?';
+    return { url: `${metadata.authorization_endpoint}${separator}${params}`, pending };
+  }
+
+  /**
+   * Only return to paths of the client, never to another site
+   * @param {string} path - Requested return path
+   * @returns {string} A client path
+   */
+  static safeReturnPath(path) {
+    return typeof path === 'string' && /^\/(?![/\\])/.test(path) ? path : '/dashboard';
+  }
+
+  /**
+   * Finish a login from the provider's redirect
+   * @param {Object} pending - What beginLogin stored in the session
+   * @param {Object} query - {code, state, error, error_description} from the callback URL
+   * @returns {Object} {person, claims, returnTo}
+   */
+  static async completeLogin(pending, query) {
+    if (!pending || !pending.state || Date.now() - pending.startedAt > LOGIN_TTL_MS) {
+      throw new Error('No single sign-on login in progress');
+    }
+    if (!query.state || !sameString(query.state, pending.state)) {
+      throw new Error('OIDC state does not match');
+    }
+    if (query.error) {
+      throw new Error(`OIDC provider refused the login: ${query.error_description || query.error}`);
+    }
+    if (!query.code) {
+      throw new Error('OIDC callback has no authorization code');
+    }
+
+    const tokens = await this.exchangeCode(query.code, pending.verifier);
+    const claims = await this.verifyIdToken(tokens.id_token, pending.nonce);
+    const person = await this.resolvePerson(claims);
+
+    return { person, claims, returnTo: pending.returnTo };
+  }
+
+  /**
+   * Trade an authorization code and its PKCE verifier for tokens
+   * @param {string} code - Authorization code
+   * @param {string} verifier - PKCE code verifier
+   * @returns {Object} Token response
+   */
+  static async exchangeCode(code, verifier) {
+    const config = this.config();
+    const metadata = await this.discover();
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: config.redirectUri,
+      client_id: config.clientId,
+      code_verifier: verifier
+    });
+
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    if (config.clientSecret) {
+      const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const tokens = await this.fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: body.toString() });
+    if (!tokens.id_token) {
+      throw new Error('OIDC token response has no ID token');
+    }
+    return tokens;
+  }
+
+  /**
+   * Check an ID token's signature, issuer, audience, lifetime and nonce
+   * @param {string} idToken - Compact JWT
+   * @param {string} nonce - Nonce sent with the authorization request
+   * @param {Date} now - Current time
+   * @returns {Object} The token's claims
+   */
+  static async verifyIdToken(idToken, nonce, now = new Date()) {
+    const config = this.config();
+    const parts = typeof idToken === 'string' ? idToken.split('.') : [];
+    if (parts.length !== 3) {
+      throw new Error('Malformed ID token');
+    }
+
+    let header, claims;
+    try {
+      header = base64UrlJson(parts[0]);
+      claims = base64UrlJson(parts[1]);
+    } catch (error) {
+      throw new Error('Malformed ID token');
+    }
+
+    const algorithm = SIGNING_ALGORITHMS[header.alg];
+    if (!algorithm) {
+      throw new Error(`Unsupported ID token algorithm: ${header.alg}`);
+    }
+
+    const key = await this.signingKey(header.kid);
+    const signed = Buffer.from(`${parts[0]}.${parts[1]}`);
+    const signature = Buffer.from(parts[2], 'base64url');
+    const verifyKey = algorithm.dsaEncoding ? { key, dsaEncoding: algorithm.dsaEncoding } : key;
+    if (!crypto.verify(algorithm.hash, signed, verifyKey, signature)) {
+      throw new Error('ID token signature is invalid');
+    }
+
+    const seconds = Math.floor(now.getTime() / 1000);
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if ((claims.iss || '').replace(/\/$/, '') !== config.issuer) {
+      throw new Error('ID token was issued by another provider');
+    }
+    if (!audiences.includes(config.clientId) || (audiences.length > 1 && claims.azp && claims.azp !== config.clientId)) {
+      throw new Error('ID token was issued for another client');
+    }
+    if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < seconds) {
+      throw new Error('ID token has expired');
+    }
+    if (typeof claims.iat === 'number' && claims.iat - CLOCK_SKEW_SECONDS > seconds) {
+      throw new Error('ID token was issued in the future');
+    }
+    if (!claims.sub) {
+      throw new Error('ID token has no subject');
+    }
+    if (!nonce || !claims.nonce || !sameString(claims.nonce, nonce)) {
+      throw new Error('ID token nonce does not match');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Find, link or provision the person for verified ID token claims
+   * Linked accounts are found by issuer and subject. Otherwise an account with
+   * the same email is linked only if the provider verified the email, and a
+   * new person is created if there is none. Mapped groups set the APR role.
+   * @param {Object} claims - Verified ID token claims
+   * @returns {Person} The person to log in
+   */
+  static async resolvePerson(claims) {
+    const config = this.config();
+    const roleId = this.roleFromClaims(claims, config);
+    const email = typeof claims.email === 'string' ? claims.email.trim() : '';
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+    let person = await Person.findByOidcSubject(config.issuer, claims.sub);
+
+    if (!person && !email) {
+      throw new Error(LOGIN_ERRORS.noEmail);
+    }
+
+    if (!person) {
+      person = await Person.findByEmail(email);
+      if (person && !emailVerified) {
+        throw new Error(LOGIN_ERRORS.unverifiedEmail);
+      }
+      if (person && person.oidcSubject) {
+        throw new Error(LOGIN_ERRORS.otherProvider);
+      }
+      if (person) {
+        await person.linkOidc(config.issuer, claims.sub);
+      }
+    }
+
+    if (!person) {
+      person = await Person.createFromOidc({
+        name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || claims.preferred_username,
+        email,
+        roleId: roleId || config.defaultRoleId,
+        issuer: config.issuer,
+        subject: claims.sub
+      });
+    } else if (roleId && roleId !== person.roleId) {
+      await person.setRole(roleId);
+    }
+
+    // An address the provider verified counts as verified here too, which
+    // accepts the team invitations waiting for it
+    if (emailVerified && !person.isEmailVerified() && person.email.toLowerCase() === email.toLowerCase()) {
+      await person.markEmailVerified();
+      try {
+        await TeamInvitation.acceptAllPendingForEmail(person.email, person.id);
+      } catch (error) {
+        console.error('Failed to process pending invitations:', error);
+      }
+    }
+
+    return person;
+  }
+}
+
+OidcService.ROLE_IDS = ROLE_IDS;
+OidcService.LOGIN_ERRORS = LOGIN_ERRORS;
+
+module.exports = OidcService;
@@ -1,67 +1,61 @@
+const pool = require('../config/database');
 const BfProfile = require('../models/BfProfile');
 const AffinitySurveyResults = require('../models/AffinitySurveyResults');
+const AffinitySurveyVersion = require('../models/AffinitySurveyVersion');
 const PersonPracticeAffinity = require('../models/PersonPracticeAffinity');
 const PracticeVersion = require('../models/PracticeVersion');
+const PracticeTraitProfile = require('../models/PracticeTraitProfile');
+const TeamAggregationService = require('./teamAggregationService');
+
+// Practice versions (or profiles) rescored per transaction during a recalculation
+const RECALCULATION_CHUNK_SIZE = 50;
 
 class PersonalityService {
   
   /**
-   * Calculate Big Five personality scores from survey results
-   * @param {number} personId - The person's ID
-   * @param {Array} surveyResults - Array of survey results with itemId and result
-   * @returns {Object} Big Five scores (o, c, e, a, n)
+   * Score keyed survey responses into Big Five trait scores
+   * Each response carries the scoring key of the item version it answers:
+   * target trait (O/C/E/A/N), reverse-keyed flag, weight and Likert range.
+   * Reverse-keyed answers are mirrored within the item's range, every answer is
+   * normalised over its range (the lowest answer scores 0, the highest 1) and each
+   * trait is the weighted mean of its items.
+   * Responses without a trait key are ignored; traits without items score 0.
+   * @param {Array} responses - Array of {result, trait, isReversed, weight, scaleMin, scaleMax}
+   * @returns {Object} Big Five scores (o, c, e, a, n) in the 0-1 range
    */
-  static async calculateBigFiveScores(personId, surveyResults = null) {
-    // If no survey results provided, fetch from database
-    if (!surveyResults) {
-      surveyResults = await AffinitySurveyResults.findByPersonId(personId);
-    }
-
-    // Initialize scores
+  static scoreBigFive(responses) {
     const scores = { o: 0, c: 0, e: 0, a: 0, n: 0 };
-    const itemCounts = { o: 0, c: 0, e: 0, a: 0, n: 0 };
+    const weights = { o: 0, c: 0, e: 0, a: 0, n: 0 };
 
-    if (!surveyResults || surveyResults.length === 0) {
+    if (!responses || responses.length === 0) {
       return scores;
     }
 
-    // Map survey items to Big Five dimensions
-    // This is a simplified mapping - in practice, this would be based on validated instruments
-    surveyResults.forEach(result => {
-      const normalizedScore = result.result / 5.0; // Normalize to 0-1 scale
-      
-      // Map based on survey item content (simplified approach)
-      if (result.content && result.content.toLowerCase().includes('clearly defined')) {
-        // "I prefer clearly defined tasks" -> Conscientiousness
-        scores.c += normalizedScore;
-        itemCounts.c++;
-      } else if (result.content && result.content.toLowerCase().includes('brainstorming')) {
-        // "I enjoy brainstorming with groups" -> Extraversion
-        scores.e += normalizedScore;
-        itemCounts.e++;
-      } else if (result.content && result.content.toLowerCase().includes('changes')) {
-        // "I am comfortable with changes" -> low Neuroticism (reverse scored)
-        scores.n += (1.0 - normalizedScore);
-        itemCounts.n++;
+    responses.forEach(response => {
+      const dimension = response.trait ? String(response.trait).toLowerCase() : null;
+      if (!Object.prototype.hasOwnProperty.call(scores, dimension)) {
+        return;
       }
-      
-      // Additional mappings based on item ID (from database sample data)
-      if (result.surveyItemId === 1) { // Conscientiousness item
-        scores.c += normalizedScore;
-        itemCounts.c++;
-      } else if (result.surveyItemId === 2) { // Extraversion item
-        scores.e += normalizedScore;
-        itemCounts.e++;
-      } else if (result.surveyItemId === 3) { // Neuroticism item (reverse scored)
-        scores.n += (1.0 - normalizedScore);
-        itemCounts.n++;
+
+      const scaleMin = response.scaleMin !== undefined && response.scaleMin !== null ? Number(response.scaleMin) : 1;
+      const scaleMax = response.scaleMax !== undefined && response.scaleMax !== null ? Number(response.scaleMax) : 5;
+      const weight = response.weight !== undefined && response.weight !== null ? Number(response.weight) : 1;
+      if (!(scaleMax > scaleMin) || !(weight > 0)) {
+        return;
       }
+
+      const keyedResult = response.isReversed
+        ? scaleMin + scaleMax - Number(response.result)
+        : Number(response.result);
+
+      scores[dimension] += weight * ((keyedResult - scaleMin) / (scaleMax - scaleMin));
+      weights[dimension] += weight;
     });
 
-    // Average scores for each dimension
+    // Weighted mean for each dimension
     Object.keys(scores).forEach(dimension => {
-      if (itemCounts[dimension] > 0) {
-        scores[dimension] = scores[dimension] / itemCounts[dimension];
+      if (weights[dimension] > 0) {
+        scores[dimension] = scores[dimension] / weights[dimension];
       }
       // Ensure scores are within 0-1 range
       scores[dimension] = Math.max(0, Math.min(1, scores[dimension]));
@@ -71,10 +65,58 @@ class PersonalityService {
   }
 
   /**
-   * Process survey results and update Big Five profile
+   * Calculate Big Five personality scores from survey results
+   * @param {number} personId - The person's ID
+   * @param {Array} surveyResults - Array of survey results with itemId and result;
+   *   results without scoring keys are keyed from their affinitySurveyVersion
+   * @returns {Object} Big Five scores (o, c, e, a, n)
+   */
+  static async calculateBigFiveScores(personId, surveyResults = null) {
+    // If no survey results provided, fetch from database
+    if (!surveyResults) {
+      surveyResults = await AffinitySurveyResults.findByPersonId(personId);
+    }
+
+    if (!surveyResults || surveyResults.length === 0) {
+      return this.scoreBigFive([]);
+    }
+
+    // Attach the scoring key of each answered item version when missing
+    const unkeyedIds = surveyResults
+      .filter(result => result.trait === undefined)
+      .map(result => result.itemId);
+
+    if (unkeyedIds.length > 0) {
+      const versions = await Promise.all(
+        [...new Set(unkeyedIds)].map(id => AffinitySurveyVersion.findById(id))
+      );
+      const keysById = new Map(versions.filter(Boolean).map(version => [version.id, version]));
+
+      surveyResults = surveyResults.map(result => {
+        if (result.trait !== undefined) {
+          return result;
+        }
+        const key = keysById.get(Number(result.itemId));
+        return key ? {
+          ...result,
+          trait: key.trait,
+          isReversed: key.isReversed,
+          weight: key.weight,
+          scaleMin: key.scaleMin,
+          scaleMax: key.scaleMax
+        } : result;
+      });
+    }
+
+    return this.scoreBigFive(surveyResults);
+  }
+
+  /**
+   * Process survey results and update Big Five profile.
+   * Affinities are recalculated by a queued background job.
    * @param {number} personId - The person's ID
    * @param {Array} surveyAnswers - Array of {itemId, result} objects
-   * @returns {Object} Updated BfProfile
+   * @returns {Object} Updated BfProfile and the queued affinity job (if any)
    */
   static async processSurveyResults(personId, surveyAnswers) {
     if (!personId || !Array.isArray(surveyAnswers)) {
@@ -108,24 +150,29 @@ class PersonalityService {
       });
     }
 
-    // Recalculate affinities for all practices (only if we have a complete profile)
+    // Queue recalculation of affinities for all practices (only if we have a complete profile)
+    let affinityJob = null;
     if (bfProfile.isComplete()) {
-      await this.recalculateAffinities(personId);
+      // Import here to avoid circular dependency
+      const AffinityJobService = require('./affinityJobService');
+      affinityJob = await AffinityJobService.enqueuePerson(personId, personId);
     }
 
     return {
       bfProfile,
       surveyResults: storedResults,
-      bigFiveScores
+      bigFiveScores,
+      affinityJob
     };
   }
 
   /**
    * Recalculate affinity scores for a person across all practices
    * @param {number} personId - The person's ID
+   * @param {Function} onProgress - Optional async callback(processed, total) run after each chunk
    * @returns {Array} Updated affinity scores
    */
-  static async recalculateAffinities(personId) {
+  static async recalculateAffinities(personId, onProgress = null) {
     // Get person's Big Five profile
     const bfProfile = await BfProfile.findByPersonId(personId);
     
@@ -133,16 +180,48 @@ class PersonalityService {
       return [];
     }
 
-    // Get all practice versions
-    const practiceVersions = await PracticeVersion.findAll();
-    const practiceVersionIds = practiceVersions.map(pv => pv.id);
+    const practiceVersionIds = await PracticeVersion.findAffinityTargetIds(personId);
 
-    // Calculate and store affinities
-    const affinities = await PersonPracticeAffinity.calculateAndStoreBatch(
-      personId, 
-      practiceVersionIds, 
-      bfProfile
-    );
+    // Calculate and store affinities, one transaction per chunk
+    const affinities = [];
+    for (let i = 0; i < practiceVersionIds.length; i += RECALCULATION_CHUNK_SIZE) {
+      const chunk = practiceVersionIds.slice(i, i + RECALCULATION_CHUNK_SIZE);
+      const stored = await PersonPracticeAffinity.calculateAndStoreBatch(personId, chunk, bfProfile);
+      affinities.push(...stored);
+
+      if (onProgress) {
+        await onProgress(i + chunk.length, practiceVersionIds.length);
+      }
+    }
+
+    return affinities;
+  }
+
+  /**
+   * Recalculate every person's affinity for one practice version,
+   * e.g. after its trait-demand profile has been edited
+   * @param {number} practiceVersionId - The practice version ID
+   * @param {Function} onProgress - Optional async callback(processed, total) run after each chunk of profiles
+   * @returns {Array} Updated affinity scores
+   */
+  static async recalculatePracticeAffinities(practiceVersionId, onProgress = null) {
+    const bfProfiles = await BfProfile.findComplete();
+    const affinities = [];
+
+    for (let i = 0; i < bfProfiles.length; i++) {
+      const bfProfile = bfProfiles[i];
+      const updated = await PersonPracticeAffinity.calculateAndStoreBatch(
+        bfProfile.personId,
+        [practiceVersionId],
+        bfProfile
+      );
+      affinities.push(...updated);
+
+      const processed = i + 1;
+      if (onProgress && (processed % RECALCULATION_CHUNK_SIZE === 0 || processed === bfProfiles.length)) {
+        await onProgress(processed, bfProfiles.length);
+      }
+    }
 
     return affinities;
   }
@@ -202,79 +281,249 @@ class PersonalityService {
   }
 
   /**
-   * Calculate team affinity score for a practice
-   * @param {Array} teamMemberIds - Array of team member person IDs
+   * Explain a person's affinity for a practice version
+   * @param {number} personId - The person's ID
    * @param {number} practiceVersionId - The practice version ID
-   * @returns {Object} Team affinity statistics
+   * @returns {Object} Base score, signed per-trait contributions and the stored score
    */
-  static async calculateTeamAffinity(teamMemberIds, practiceVersionId) {
-    if (!Array.isArray(teamMemberIds) || teamMemberIds.length === 0) {
-      return { average: 0, minimum: 0, maximum: 0, standardDeviation: 0, memberCount: 0, individualScores: [] };
+  static async explainAffinity(personId, practiceVersionId) {
+    const [bfProfile, traitProfile, storedAffinity] = await Promise.all([
+      BfProfile.findByPersonId(personId),
+      PracticeTraitProfile.findByPracticeVersionId(practiceVersionId),
+      PersonPracticeAffinity.findByPersonAndPractice(personId, practiceVersionId)
+    ]);
+
+    return this.buildAffinityExplanation(personId, practiceVersionId, bfProfile, traitProfile, storedAffinity);
+  }
+
+  /**
+   * Explain the affinity of every team member for a practice version,
+   * with the average contribution of each trait across the team
+   * @param {Array} teamMembers - Array of {id, name} team members
+   * @param {number} practiceVersionId - The practice version ID
+   * @returns {Object} Team-level and per-member explanations
+   */
+  static async explainTeamAffinity(teamMembers, practiceVersionId) {
+    const traitProfile = await PracticeTraitProfile.findByPracticeVersionId(practiceVersionId);
+
+    const members = [];
+    for (const member of teamMembers) {
+      const [bfProfile, storedAffinity] = await Promise.all([
+        BfProfile.findByPersonId(member.id),
+        PersonPracticeAffinity.findByPersonAndPractice(member.id, practiceVersionId)
+      ]);
+
+      members.push({
+        memberName: member.name,
+        ...this.buildAffinityExplanation(member.id, practiceVersionId, bfProfile, traitProfile, storedAffinity)
+      });
     }
 
-    const affinities = [];
-    
-    for (const memberId of teamMemberIds) {
-      const affinity = await PersonPracticeAffinity.findByPersonAndPractice(memberId, practiceVersionId);
-      if (affinity) {
-        affinities.push(affinity.affinity);
+    // Average each trait's contribution over the members with a complete profile
+    const explained = members.filter(member => member.profileComplete);
+    const traitContributions = traitProfile.map(demand => {
+      const values = explained
+        .map(member => member.contributions.find(c => c.trait === demand.trait))
+        .filter(Boolean)
+        .map(c => c.contribution);
+
+      return {
+        trait: demand.trait,
+        weight: demand.weight,
+        direction: demand.direction,
+        rationale: demand.rationale,
+        averageContribution: values.length > 0
+          ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100
+          : 0
+      };
+    });
+
+    return {
+      practiceVersionId: parseInt(practiceVersionId),
+      baseScore: PersonPracticeAffinity.BASE_AFFINITY,
+      traitContributions,
+      averageScore: explained.length > 0
+        ? Math.round(explained.reduce((sum, member) => sum + member.computedScore, 0) / explained.length)
+        : null,
+      membersWithoutProfile: members.length - explained.length,
+      members
+    };
+  }
+
+  /**
+   * Assemble an affinity explanation from already loaded data
+   * @param {number} personId - The person's ID
+   * @param {number} practiceVersionId - The practice version ID
+   * @param {BfProfile|null} bfProfile - The person's Big Five profile
+   * @param {Array} traitProfile - The practice version's trait demands
+   * @param {PersonPracticeAffinity|null} storedAffinity - The stored affinity, if any
+   * @returns {Object} Affinity explanation
+   */
+  static buildAffinityExplanation(personId, practiceVersionId, bfProfile, traitProfile, storedAffinity) {
+    const profileComplete = Boolean(bfProfile && bfProfile.isComplete());
+    const breakdown = PersonPracticeAffinity.explainAffinity(profileComplete ? bfProfile : null, traitProfile);
+    const computedScore = profileComplete ? breakdown.score : null;
+    const stored = storedAffinity ? storedAffinity.affinity : null;
+
+    return {
+      personId: parseInt(personId),
+      practiceVersionId: parseInt(practiceVersionId),
+      profileComplete,
+      baseScore: breakdown.baseScore,
+      contributions: breakdown.contributions,
+      computedScore,
+      storedAffinity: stored,
+      // A stored score that differs from the computed one was overridden manually
+      isManualOverride: stored !== null && computedScore !== null && stored !== computedScore
+    };
+  }
+
+  /**
+   * Team affinity statistics of a practice no member has a score for
+   * @param {number} memberCount - Number of team members
+   * @returns {Object} Zeroed team affinity statistics
+   */
+  static emptyTeamAffinity(memberCount) {
+    return { average: 0, minimum: 0, maximum: 0, standardDeviation: 0, memberCount, individualScores: [] };
+  }
+
+  /**
+   * Calculate team affinity statistics for many practices in one set-based query
+   * @param {Array} teamMemberIds - Array of team member person IDs
+   * @param {Array|null} practiceVersionIds - Practice version IDs to score (all when null)
+   * @returns {Map} Team affinity statistics keyed by practice version ID
+   */
+  static async calculateTeamAffinityBatch(teamMemberIds, practiceVersionIds = null) {
+    const memberIds = Array.isArray(teamMemberIds)
+      ? teamMemberIds.map(id => parseInt(id)).filter(Number.isInteger)
+      : [];
+    const statsByPractice = new Map();
+
+    if (practiceVersionIds) {
+      practiceVersionIds.forEach(id => statsByPractice.set(parseInt(id), this.emptyTeamAffinity(memberIds.length)));
+      if (practiceVersionIds.length === 0) {
+        return statsByPractice;
       }
     }
 
-    if (affinities.length === 0) {
-      return { average: 0, minimum: 0, maximum: 0, standardDeviation: 0, memberCount: teamMemberIds.length, individualScores: [] };
+    if (memberIds.length === 0) {
+      return statsByPractice;
     }
 
-    const average = affinities.reduce((sum, score) => sum + score, 0) / affinities.length;
-    const minimum = Math.min(...affinities);
-    const maximum = Math.max(...affinities);
-    
-    // Calculate standard deviation
-    const variance = affinities.reduce((sum, score) => sum + Math.pow(score - average, 2), 0) / affinities.length;
-    const standardDeviation = Math.sqrt(variance);
+    const params = [memberIds];
+    let practiceFilter = '';
+    if (practiceVersionIds) {
+      params.push([...statsByPractice.keys()]);
+      practiceFilter = 'AND practiceVersionId = ANY($2::int[])';
+    }
 
-    return {
-      average: Math.round(average * 100) / 100,
-      minimum,
-      maximum,
-      standardDeviation: Math.round(standardDeviation * 100) / 100,
-      memberCount: teamMemberIds.length,
-      individualScores: affinities
-    };
+    // One score per member and practice, aggregated per practice in a single pass
+    const result = await pool.query(
+      `WITH scores AS (
+         SELECT DISTINCT ON (personId, practiceVersionId) personId, practiceVersionId, affinity
+         FROM personPracticeAffinity
+         WHERE personId = ANY($1::int[]) ${practiceFilter}
+         ORDER BY personId, practiceVersionId, id
+       )
+       SELECT practiceVersionId,
+              AVG(affinity) AS average,
+              MIN(affinity) AS minimum,
+              MAX(affinity) AS maximum,
+              STDDEV_POP(affinity) AS standardDeviation,
+              ARRAY_AGG(affinity ORDER BY array_position($1::int[], personId)) AS individualScores
+       FROM scores
+       GROUP BY practiceVersionId`,
+      params
+    );
+
+    result.rows.forEach(row => {
+      statsByPractice.set(row.practiceversionid, {
+        average: Math.round(parseFloat(row.average) * 100) / 100,
+        minimum: row.minimum,
+        maximum: row.maximum,
+        standardDeviation: Math.round(parseFloat(row.standarddeviation) * 100) / 100,
+        memberCount: memberIds.length,
+        individualScores: row.individualscores
+      });
+    });
+
+    return statsByPractice;
+  }
+
+  /**
+   * Calculate team affinity score for a practice
+   * @param {Array} teamMemberIds - Array of team member person IDs
+   * @param {number} practiceVersionId - The practice version ID
+   * @returns {Object} Team affinity statistics
+   */
+  static async calculateTeamAffinity(teamMemberIds, practiceVersionId) {
+    const statsByPractice = await this.calculateTeamAffinityBatch(teamMemberIds, [practiceVersionId]);
+    return statsByPractice.get(parseInt(practiceVersionId));
+  }
+
+  /**
+   * Place a practice on either side of the recommendation line for a team
+   * @param {Object} teamAffinity - Team affinity statistics of the practice
+   * @param {number} minAffinityThreshold - Minimum group score to recommend the practice
+   * @param {string} strategy - Aggregation strategy producing the group score
+   * @returns {string|null} 'recommended', 'problematic' or null when neither
+   */
+  static classifyTeamAffinity(teamAffinity, minAffinityThreshold = 60, strategy = TeamAggregationService.DEFAULT_STRATEGY) {
+    const aggregation = TeamAggregationService.score(teamAffinity, strategy);
+
+    if (!aggregation.vetoed && aggregation.score >= minAffinityThreshold) {
+      return 'recommended';
+    }
+    if (aggregation.vetoed || teamAffinity.minimum < TeamAggregationService.MISERY_THRESHOLD) {
+      return 'problematic';
+    }
+    return null;
   }
 
   /**
    * Get practice recommendations based on team affinity
    * @param {Array} teamMemberIds - Array of team member person IDs
-   * @param {number} minAffinityThreshold - Minimum acceptable affinity score (default: 60)
-   * @returns {Array} Recommended practices with team affinity scores
+   * @param {number} minAffinityThreshold - Minimum acceptable group score (default: 60)
+   * @param {Map} affinityMap - Precomputed team affinity statistics (optional)
+   * @param {string} strategy - Aggregation strategy producing the group score (default: average)
+   * @returns {Array} Recommended practices with team affinity and group scores
    */
-  static async getTeamPracticeRecommendations(teamMemberIds, minAffinityThreshold = 60) {
-    const practiceVersions = await PracticeVersion.findAll();
+  static async getTeamPracticeRecommendations(teamMemberIds, minAffinityThreshold = 60, affinityMap = null, strategy = TeamAggregationService.DEFAULT_STRATEGY) {
+    const { label } = TeamAggregationService.get(strategy);
+    const practiceVersions = await PracticeVersion.findRecommendable();
+    const statsByPractice = affinityMap ||
+      await this.calculateTeamAffinityBatch(teamMemberIds, practiceVersions.map(pv => pv.id));
     const recommendations = [];
 
     for (const practice of practiceVersions) {
-      const teamAffinity = await this.calculateTeamAffinity(teamMemberIds, practice.id);
+      const teamAffinity = statsByPractice.get(practice.id) ||
+        this.emptyTeamAffinity(Array.isArray(teamMemberIds) ? teamMemberIds.length : 0);
+      const aggregation = TeamAggregationService.score(teamAffinity, strategy);
+      const status = this.classifyTeamAffinity(teamAffinity, minAffinityThreshold, strategy);
       
-      if (teamAffinity.average >= minAffinityThreshold) {
+      if (status === 'recommended') {
         recommendations.push({
           practice,
           teamAffinity,
+          aggregation,
           recommended: true,
-          reason: `High team affinity (${teamAffinity.average})`
+          reason: strategy === TeamAggregationService.DEFAULT_STRATEGY
+            ? `High team affinity (${aggregation.score})`
+            : `High team affinity by ${label.toLowerCase()} (${aggregation.score})`
         });
-      } else if (teamAffinity.minimum < 30) {
+      } else if (status === 'problematic') {
         recommendations.push({
           practice,
           teamAffinity,
+          aggregation,
           recommended: false,
           reason: `Low individual affinity detected (min: ${teamAffinity.minimum})`
         });
       }
     }
 
-    // Sort by team affinity average (descending)
-    recommendations.sort((a, b) => b.teamAffinity.average - a.teamAffinity.average);
+    // Sort by group score (descending), vetoed practices last
+    recommendations.sort(TeamAggregationService.compare);
 
     return recommendations;
   }
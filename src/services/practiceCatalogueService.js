@@ -0,0 +1,1086 @@
+const Joi = require('joi');
+const pool = require('../config/database');
+const PracticeVersion = require('../models/PracticeVersion');
+const { parseWithLocations } = require('../utils/jsonLocator');
+
+// Association types used by the catalogue that are named differently in practiceAssociationType
+const ASSOCIATION_TYPE_ALIASES = {
+  Prerequisite: 'Dependency',
+  Enabler: 'Complementarity',
+  Support: 'Complementarity'
+};
+const ASSOCIATION_TYPES = ['Dependency', 'Complementarity', 'Configuration', 'Equivalence',
+  'Replacement', 'Exclusion', 'Specialization'];
+
+const RESPONSIBILITIES = ['Responsible', 'Accountable', 'Consulted', 'Informed'];
+const WORK_PRODUCT_USAGES = ['produces', 'consumes', 'modifies'];
+
+const DEFAULT_VERSION_NAME = 'Reference v2';
+
+// Column sizes of the relational model
+const shortText = Joi.string().trim().min(1).max(64);
+const text = Joi.string().trim().min(1).max(255);
+const optionalText = Joi.string().trim().allow('').max(255);
+
+const guidelineSchema = Joi.object({
+  name: text.required(),
+  url: optionalText,
+  type: shortText
+});
+
+const catalogueSchema = Joi.array().items(Joi.object({
+  name: shortText.required(),
+  type: text,
+  objective: optionalText,
+  description: Joi.string().allow(''),
+  practice_goal: Joi.array().items(shortText).unique(),
+  tags: Joi.array().items(shortText).unique(),
+  method: shortText,
+  parent_method: shortText,
+  activities: Joi.array().items(Joi.object({
+    sequence: Joi.number().integer().min(1).required(),
+    name: shortText.required(),
+    description: optionalText
+  })).unique('sequence').unique((a, b) => a.name.toLowerCase() === b.name.toLowerCase()),
+  work_products: Joi.array().items(Joi.object({
+    name: shortText.required(),
+    description: optionalText,
+    usage: Joi.string().valid(...WORK_PRODUCT_USAGES)
+  })).unique((a, b) => a.name.toLowerCase() === b.name.toLowerCase()),
+  completion_criteria: Joi.alternatives().try(text, Joi.array().items(text)),
+  roles: Joi.array().items(Joi.object({
+    role: shortText.required(),
+    responsibility: Joi.string().valid(...RESPONSIBILITIES).required()
+  })).unique((a, b) => a.role.toLowerCase() === b.role.toLowerCase()),
+  metrics: Joi.array().items(Joi.object({
+    name: shortText.required(),
+    unit: Joi.string().trim().allow('').max(64),
+    formula: optionalText
+  })).unique((a, b) => a.name.toLowerCase() === b.name.toLowerCase()),
+  benefits: Joi.array().items(text),
+  pitfalls: Joi.array().items(text),
+  resources: Joi.alternatives().try(
+    Joi.object({
+      guidelines: Joi.array().items(guidelineSchema),
+      benefits: Joi.array().items(text),
+      pitfalls: Joi.array().items(text)
+    }),
+    Joi.array().items(guidelineSchema)
+  ),
+  associated_practices: Joi.array().items(Joi.object({
+    target_practice: shortText.required(),
+    association_type: Joi.string()
+      .valid(...ASSOCIATION_TYPES, ...Object.keys(ASSOCIATION_TYPE_ALIASES))
+      .required()
+  }))
+}).oxor('practice_goal', 'tags').oxor('method', 'parent_method'))
+  .unique((a, b) => a.name.toLowerCase() === b.name.toLowerCase());
+
+// Entities linked to the exported versions, each selected for a list of version IDs ($1)
+const EXPORT_QUERIES = {
+  goals: `SELECT pg.practiceVersionId, g.name FROM practiceGoal pg
+          JOIN Goal g ON pg.goalId = g.id
+          WHERE pg.practiceVersionId = ANY($1) ORDER BY g.name`,
+  methods: `SELECT pm.practiceVersionId, m.name FROM practiceMethod pm
+            JOIN methodVersion mv ON pm.methodVersionId = mv.id
+            JOIN Method m ON mv.methodId = m.id
+            WHERE pm.practiceVersionId = ANY($1) ORDER BY m.name`,
+  activities: `SELECT pva.practiceVersionId, pva.sequence, a.name, a.description FROM practiceVersionActivity pva
+               JOIN Activity a ON pva.activityId = a.id
+               WHERE pva.practiceVersionId = ANY($1) ORDER BY pva.sequence`,
+  workProducts: `SELECT wp.practiceVersionId, w.name, w.description, wp.usage FROM workproductPractice wp
+                 JOIN Workproduct w ON wp.workproductId = w.id
+                 WHERE wp.practiceVersionId = ANY($1) ORDER BY w.name`,
+  roles: `SELECT ru.practiceVersionId, r.name, rut.name as responsibility FROM roleUse ru
+          JOIN Role r ON ru.roleId = r.id
+          LEFT JOIN roleUseType rut ON ru.typeId = rut.id
+          WHERE ru.practiceVersionId = ANY($1) ORDER BY r.name`,
+  metrics: `SELECT mp.practiceVersionId, m.name, m.unit, m.formula FROM metricPractice mp
+            JOIN Metric m ON mp.metricId = m.id
+            WHERE mp.practiceVersionId = ANY($1) ORDER BY m.name`,
+  guidelines: `SELECT g.practiceVersionId, g.name, g.content, gt.name as typeName FROM Guideline g
+               LEFT JOIN guidelineType gt ON g.typeId = gt.id
+               WHERE g.practiceVersionId = ANY($1) ORDER BY g.id`,
+  benefits: 'SELECT practiceVersionId, name FROM Benefit WHERE practiceVersionId = ANY($1) ORDER BY id',
+  pitfalls: 'SELECT practiceVersionId, name FROM Pitfall WHERE practiceVersionId = ANY($1) ORDER BY id',
+  completionCriteria: 'SELECT practiceVersionId, name FROM completionCriteria WHERE practiceVersionId = ANY($1) ORDER BY id',
+  associations: `SELECT pa.sourcePracticeVersionId as practiceVersionId, p.name as target, pat.name as type
+                 FROM practiceAssociation pa
+                 JOIN practiceAssociationType pat ON pa.typeId = pat.id
+                 JOIN practiceVersion pv ON pa.targetPracticeVersionId = pv.id
+                 JOIN Practice p ON pv.practiceId = p.id
+                 WHERE pa.sourcePracticeVersionId = ANY($1) ORDER BY p.name, pat.name`
+};
+
+const byName = (a, b) => a.toLowerCase() === b.toLowerCase();
+const uniqueNames = (names) => names.filter((name, index) => names.findIndex(other => byName(other, name)) === index);
+const blankToNull = (value) => (value === undefined || value === '' ? null : value);
+const withoutNulls = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== null));
+
+class PracticeCatalogueService {
+
+  /**
+   * Parse and validate catalogue file content
+   * @param {string} content - Content of a practices reference JSON file
+   * @param {string} fileName - Name reported with errors
+   * @returns {Object} {practices, errors, locate}; errors carry file, line, column, path and message
+   */
+  static parse(content, fileName = 'catalogue') {
+    let parsed;
+    try {
+      parsed = parseWithLocations(content);
+    } catch (error) {
+      return {
+        practices: [],
+        errors: [{ file: fileName, line: error.line || 1, column: error.column || 1, path: '', message: error.message.replace(/ at line \d+, column \d+$/, '') }]
+      };
+    }
+
+    const { value, error } = catalogueSchema.validate(parsed.value, { abortEarly: false });
+    if (error) {
+      return {
+        practices: [],
+        errors: error.details.map(detail => Object.assign({ file: fileName, path: detail.path.join('.'), message: detail.message },
+          parsed.locate(detail.path)))
+      };
+    }
+
+    return { practices: value.map(entry => this.normalizePractice(entry)), errors: [], locate: parsed.locate };
+  }
+
+  /**
+   * Parse and validate several catalogue files imported together
+   * @param {Array} files - {name, content} of each file
+   * @returns {Object} {practices, errors}; a practice named in more than one file is an error
+   */
+  static parseFiles(files) {
+    const practices = [];
+    const errors = [];
+    const seen = new Map();
+
+    files.forEach(file => {
+      const parsed = this.parse(file.content, file.name);
+      errors.push(...parsed.errors);
+
+      parsed.practices.forEach((practice, index) => {
+        const key = practice.name.toLowerCase();
+        if (seen.has(key)) {
+          errors.push(Object.assign({
+            file: file.name,
+            path: `${index}.name`,
+            message: `"${practice.name}" is already defined in ${seen.get(key)}`
+          }, parsed.locate([index, 'name'])));
+          return;
+        }
+        seen.set(key, file.name);
+        practices.push(practice);
+      });
+    });
+
+    return { practices: errors.length > 0 ? [] : practices, errors };
+  }
+
+  /**
+   * Format a validation error as "file:line:column message"
+   * @param {Object} error - Error returned by parse
+   * @returns {string} Formatted error
+   */
+  static formatError(error) {
+    return `${error.file}:${error.line}:${error.column} ${error.message}`;
+  }
+
+  /**
+   * Bring both catalogue layouts (practice_goal/method/resources object, or
+   * tags/parent_method/top-level benefits and pitfalls) to one shape
+   * @param {Object} entry - A validated catalogue entry
+   * @returns {Object} Normalized practice
+   */
+  static normalizePractice(entry) {
+    const resources = Array.isArray(entry.resources)
+      ? { guidelines: entry.resources }
+      : (entry.resources || {});
+
+    return {
+      name: entry.name,
+      type: blankToNull(entry.type),
+      objective: blankToNull(entry.objective),
+      description: blankToNull(entry.description),
+      goals: uniqueNames(entry.practice_goal || entry.tags || []),
+      method: blankToNull(entry.method || entry.parent_method),
+      activities: (entry.activities || [])
+        .slice()
+        .sort((a, b) => a.sequence - b.sequence)
+        .map(activity => ({ sequence: activity.sequence, name: activity.name, description: blankToNull(activity.description) })),
+      workProducts: (entry.work_products || []).map(workProduct => ({
+        name: workProduct.name,
+        description: blankToNull(workProduct.description),
+        usage: workProduct.usage || 'produces'
+      })),
+      completionCriteria: uniqueNames([].concat(entry.completion_criteria || [])),
+      roles: (entry.roles || []).map(role => ({ name: role.role, responsibility: role.responsibility })),
+      metrics: (entry.metrics || []).map(metric => ({
+        name: metric.name,
+        unit: blankToNull(metric.unit),
+        formula: blankToNull(metric.formula)
+      })),
+      guidelines: (resources.guidelines || [])
+        .filter((guideline, index, all) => all.findIndex(other => byName(other.name, guideline.name)) === index)
+        .map(guideline => ({
+          name: guideline.name,
+          url: blankToNull(guideline.url),
+          type: blankToNull(guideline.type)
+        })),
+      benefits: uniqueNames([...(entry.benefits || []), ...(resources.benefits || [])]),
+      pitfalls: uniqueNames([...(entry.pitfalls || []), ...(resources.pitfalls || [])]),
+      associations: (entry.associated_practices || []).map(association => ({
+        target: association.target_practice,
+        type: ASSOCIATION_TYPE_ALIASES[association.association_type] || association.association_type
+      }))
+    };
+  }
+
+  /**
+   * Compare current and desired rows keyed by natural key
+   * @param {Map} current - Current values by key
+   * @param {Map} desired - Desired values by key
+   * @returns {Object} {added, removed, updated} lists of keys
+   */
+  static diffKeyed(current, desired) {
+    const added = [];
+    const removed = [];
+    const updated = [];
+
+    desired.forEach((value, key) => {
+      if (!current.has(key)) {
+        added.push(key);
+      } else if (JSON.stringify(current.get(key)) !== JSON.stringify(value)) {
+        updated.push(key);
+      }
+    });
+    current.forEach((value, key) => {
+      if (!desired.has(key)) {
+        removed.push(key);
+      }
+    });
+
+    return { added, removed, updated };
+  }
+
+  /**
+   * Upsert practices into the relational model, matching existing rows by natural key.
+   * Everything runs in one transaction; a dry run reports the same changes and rolls back.
+   * @param {Array} practices - Normalized practices (from parse)
+   * @param {Object} options - personId, universeId (default 1), versionName, status (default Draft), dryRun,
+   *   updateReviewed (let the import change versions past Draft and published practices; default false)
+   * @returns {Object} {dryRun, practices, references, warnings, summary}
+   */
+  static async importPractices(practices, options = {}) {
+    if (options.status && !PracticeVersion.STATUSES.includes(options.status)) {
+      throw new Error(`Status must be one of ${PracticeVersion.STATUSES.join(', ')}`);
+    }
+
+    const run = new CatalogueImport(options);
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      run.client = client;
+
+      const universe = await client.query('SELECT id FROM Universe WHERE id = $1', [run.universeId]);
+      if (universe.rows.length === 0) {
+        throw new Error('Universe not found');
+      }
+
+      for (const practice of practices) {
+        await run.importPractice(practice);
+      }
+      for (const practice of practices) {
+        await run.importAssociations(practice);
+      }
+
+      await client.query(options.dryRun ? 'ROLLBACK' : 'COMMIT');
+      return run.report();
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Turn a normalized practice back into a catalogue entry in the layout of
+   * practices_reference_v2.json; normalizePractice of the entry gives the practice back
+   * @param {Object} practice - Normalized practice
+   * @returns {Object} Catalogue entry
+   */
+  static toCatalogueEntry(practice) {
+    const entry = withoutNulls({
+      name: practice.name,
+      type: practice.type,
+      objective: practice.objective,
+      description: practice.description
+    });
+
+    if (practice.goals.length > 0) {
+      entry.practice_goal = practice.goals;
+    }
+    if (practice.method) {
+      entry.method = practice.method;
+    }
+    if (practice.activities.length > 0) {
+      entry.activities = practice.activities.map(withoutNulls);
+    }
+    if (practice.workProducts.length > 0) {
+      // Work products are produced unless the entry says otherwise
+      entry.work_products = practice.workProducts.map(workProduct => withoutNulls({
+        ...workProduct,
+        usage: workProduct.usage === 'produces' ? null : workProduct.usage
+      }));
+    }
+    if (practice.completionCriteria.length > 0) {
+      // The reference files hold a single criterion as a plain string
+      entry.completion_criteria = practice.completionCriteria.length === 1
+        ? practice.completionCriteria[0]
+        : practice.completionCriteria;
+    }
+    if (practice.roles.length > 0) {
+      entry.roles = practice.roles.map(role => ({ role: role.name, responsibility: role.responsibility }));
+    }
+    if (practice.metrics.length > 0) {
+      entry.metrics = practice.metrics.map(withoutNulls);
+    }
+
+    const resources = {};
+    if (practice.guidelines.length > 0) {
+      resources.guidelines = practice.guidelines.map(withoutNulls);
+    }
+    if (practice.pitfalls.length > 0) {
+      resources.pitfalls = practice.pitfalls;
+    }
+    if (practice.benefits.length > 0) {
+      resources.benefits = practice.benefits;
+    }
+    if (Object.keys(resources).length > 0) {
+      entry.resources = resources;
+    }
+
+    if (practice.associations.length > 0) {
+      entry.associated_practices = practice.associations.map(association => ({
+        target_practice: association.target,
+        association_type: association.type
+      }));
+    }
+
+    return entry;
+  }
+
+  /**
+   * Serialize catalogue entries the way the reference files are written
+   * @param {Array} entries - Catalogue entries
+   * @returns {string} JSON file content
+   */
+  static formatCatalogue(entries) {
+    return `${JSON.stringify(entries, null, 2)}\n`;
+  }
+
+  /**
+   * Export practices with their latest published version and all linked entities as catalogue entries.
+   * Without a universe, team forks are left out so the export holds the shared catalogue.
+   * @param {Object} filters - method, type and goal names, universeId
+   * @returns {Object} {practices, warnings}; practices can be imported back with importPractices
+   */
+  static async exportPractices(filters = {}) {
+    const params = [];
+    let latestWhere = "pv.status = 'Published'";
+    if (filters.universeId) {
+      params.push(filters.universeId);
+      latestWhere += ` AND pv.universeId = $${params.length}`;
+    } else {
+      latestWhere += ' AND pv.forkedFromId IS NULL';
+    }
+
+    let where = 'TRUE';
+    if (filters.type) {
+      params.push(filters.type);
+      where += ` AND LOWER(pt.name) = LOWER($${params.length})`;
+    }
+    if (filters.goal) {
+      params.push(filters.goal);
+      where += ` AND EXISTS (
+        SELECT 1 FROM practiceGoal pg JOIN Goal g ON pg.goalId = g.id
+        WHERE pg.practiceVersionId = latest.id AND LOWER(g.name) = LOWER($${params.length})
+      )`;
+    }
+    if (filters.method) {
+      params.push(filters.method);
+      where += ` AND EXISTS (
+        SELECT 1 FROM practiceMethod pm
+        JOIN methodVersion mv ON pm.methodVersionId = mv.id
+        JOIN Method m ON mv.methodId = m.id
+        WHERE pm.practiceVersionId = latest.id AND LOWER(m.name) = LOWER($${params.length})
+      )`;
+    }
+
+    // Filters apply to the latest version, not to an older one that happened to match
+    const versions = await pool.query(
+      `WITH latest AS (
+         SELECT DISTINCT ON (pv.practiceId) pv.id, pv.practiceId
+         FROM practiceVersion pv
+         WHERE ${latestWhere}
+         ORDER BY pv.practiceId, pv.publishedAt DESC NULLS LAST, pv.id DESC
+       )
+       SELECT latest.id, p.name, p.objective, p.description, pt.name as typeName
+       FROM latest
+       JOIN Practice p ON latest.practiceId = p.id
+       LEFT JOIN practiceType pt ON p.typeId = pt.id
+       WHERE ${where}
+       ORDER BY p.name`,
+      params
+    );
+
+    const versionIds = versions.rows.map(row => row.id);
+    const linked = {};
+    for (const [entity, sql] of Object.entries(EXPORT_QUERIES)) {
+      const result = versionIds.length > 0 ? await pool.query(sql, [versionIds]) : { rows: [] };
+      linked[entity] = new Map();
+      result.rows.forEach(row => {
+        if (!linked[entity].has(row.practiceversionid)) {
+          linked[entity].set(row.practiceversionid, []);
+        }
+        linked[entity].get(row.practiceversionid).push(row);
+      });
+    }
+    const rowsOf = (entity, versionId) => linked[entity].get(versionId) || [];
+
+    const warnings = [];
+    const practices = versions.rows.map(row => {
+      const methods = rowsOf('methods', row.id);
+      if (methods.length > 1) {
+        warnings.push({ practice: row.name, message: `Linked to ${methods.length} methods; only ${methods[0].name} is exported` });
+      }
+
+      const roles = [];
+      rowsOf('roles', row.id).forEach(role => {
+        const responsibility = RESPONSIBILITIES.find(name => role.responsibility &&
+          (role.responsibility === name || role.responsibility.startsWith(`${name} (`)));
+        if (responsibility) {
+          roles.push({ name: role.name, responsibility });
+        } else {
+          warnings.push({ practice: row.name, message: `Role "${role.name}" has no RACI responsibility and is not exported` });
+        }
+      });
+
+      const practice = {
+        name: row.name,
+        type: blankToNull(row.typename),
+        objective: blankToNull(row.objective),
+        description: blankToNull(row.description),
+        goals: rowsOf('goals', row.id).map(goal => goal.name),
+        method: methods.length > 0 ? methods[0].name : null,
+        activities: rowsOf('activities', row.id).map(activity => ({
+          sequence: activity.sequence,
+          name: activity.name,
+          description: blankToNull(activity.description)
+        })),
+        workProducts: rowsOf('workProducts', row.id).map(workProduct => ({
+          name: workProduct.name,
+          description: blankToNull(workProduct.description),
+          usage: workProduct.usage
+        })),
+        completionCriteria: rowsOf('completionCriteria', row.id).map(criterion => criterion.name),
+        roles,
+        metrics: rowsOf('metrics', row.id).map(metric => ({
+          name: metric.name,
+          unit: blankToNull(metric.unit),
+          formula: blankToNull(metric.formula)
+        })),
+        guidelines: rowsOf('guidelines', row.id).map(guideline => ({
+          name: guideline.name,
+          url: blankToNull(guideline.content),
+          type: blankToNull(guideline.typename)
+        })),
+        benefits: rowsOf('benefits', row.id).map(benefit => benefit.name),
+        pitfalls: rowsOf('pitfalls', row.id).map(pitfall => pitfall.name),
+        associations: rowsOf('associations', row.id).map(association => ({
+          target: association.target,
+          type: association.type
+        }))
+      };
+
+      return this.toCatalogueEntry(practice);
+    });
+
+    return { practices, warnings };
+  }
+}
+
+// State of one import run: resolved reference IDs and the change report
+class CatalogueImport {
+  constructor({ personId, universeId, versionName, status, dryRun, updateReviewed }) {
+    this.personId = personId || null;
+    this.universeId = universeId || 1;
+    this.versionName = versionName || DEFAULT_VERSION_NAME;
+    this.status = status || 'Draft';
+    this.dryRun = dryRun === true;
+    this.updateReviewed = updateReviewed === true;
+    this.client = null;
+    this.ids = new Map();
+    this.versions = new Map();
+    this.createdVersions = new Set();
+    this.results = new Map();
+    this.references = { created: [], updated: [] };
+    this.warnings = [];
+  }
+
+  query(sql, params) {
+    return this.client.query(sql, params);
+  }
+
+  record(practiceName, entity, name, action) {
+    this.results.get(practiceName).changes.push({ entity, name, action });
+  }
+
+  /**
+   * Find a shared reference row by name (case-insensitive) or create it. Existing rows
+   * only get empty columns filled, so curated text is never overwritten and
+   * practices sharing an activity or metric do not undo each other on re-import.
+   */
+  async ensureNamed(table, name, values = {}) {
+    const cacheKey = `${table}:${name.toLowerCase()}`;
+    if (this.ids.has(cacheKey)) {
+      return this.ids.get(cacheKey);
+    }
+
+    const columns = Object.keys(values);
+    const existing = await this.query(
+      `SELECT id${columns.map(column => `, ${column}`).join('')} FROM ${table}
+       WHERE LOWER(name) = LOWER($1) ORDER BY id LIMIT 1`,
+      [name]
+    );
+
+    let id;
+    if (existing.rows.length > 0) {
+      id = existing.rows[0].id;
+      const missing = columns.filter(column => values[column] !== null &&
+        (existing.rows[0][column.toLowerCase()] === null || existing.rows[0][column.toLowerCase()] === ''));
+      if (missing.length > 0) {
+        await this.query(
+          `UPDATE ${table} SET ${missing.map((column, index) => `${column} = $${index + 2}`).join(', ')} WHERE id = $1`,
+          [id, ...missing.map(column => values[column])]
+        );
+        this.references.updated.push({ entity: table, name, fields: missing });
+      }
+    } else {
+      const inserted = await this.query(
+        `INSERT INTO ${table} (name${columns.map(column => `, ${column}`).join('')})
+         VALUES ($1${columns.map((column, index) => `, $${index + 2}`).join('')})
+         RETURNING id`,
+        [name, ...columns.map(column => values[column])]
+      );
+      id = inserted.rows[0].id;
+      this.references.created.push({ entity: table, name });
+    }
+
+    this.ids.set(cacheKey, id);
+    return id;
+  }
+
+  async roleUseTypeId(responsibility) {
+    const cacheKey = `roleUseType:${responsibility}`;
+    if (!this.ids.has(cacheKey)) {
+      const result = await this.query(
+        `SELECT id FROM roleUseType WHERE name = $1 OR name LIKE $1 || ' (%' ORDER BY id LIMIT 1`,
+        [responsibility]
+      );
+      this.ids.set(cacheKey, result.rows.length > 0
+        ? result.rows[0].id
+        : await this.ensureNamed('roleUseType', `${responsibility} (${responsibility.charAt(0)})`));
+    }
+    return this.ids.get(cacheKey);
+  }
+
+  /**
+   * Status of the practice's imported version when it is past Draft, which an
+   * import may only confirm: its content changes through review and sign-off.
+   * Versions created by this run are still being filled in and are never reviewed
+   */
+  async reviewedStatus(practiceName) {
+    if (this.updateReviewed) {
+      return null;
+    }
+    const version = await this.query(
+      `SELECT pv.id, pv.status FROM practiceVersion pv JOIN Practice p ON pv.practiceId = p.id
+       WHERE LOWER(p.name) = LOWER($1) AND pv.universeId = $2 AND pv.versionName = $3
+       ORDER BY pv.id LIMIT 1`,
+      [practiceName, this.universeId, this.versionName]
+    );
+    if (version.rows.length === 0 || this.createdVersions.has(version.rows[0].id)) {
+      return null;
+    }
+    return version.rows[0].status !== 'Draft' ? version.rows[0].status : null;
+  }
+
+  // Run an import step on a reviewed version, undoing it when it would change anything
+  async guardReviewed(practice, status, step) {
+    const result = this.results.get(practice.name);
+    const changeCount = result.changes.length;
+    const ids = new Map(this.ids);
+    const references = { created: this.references.created.length, updated: this.references.updated.length };
+
+    await this.query('SAVEPOINT reviewed_version');
+    await step();
+    if (result.changes.length === changeCount) {
+      await this.query('RELEASE SAVEPOINT reviewed_version');
+      return;
+    }
+
+    await this.query('ROLLBACK TO SAVEPOINT reviewed_version');
+    result.changes.length = changeCount;
+    this.ids = ids;
+    this.references.created.length = references.created;
+    this.references.updated.length = references.updated;
+    result.action = 'skipped';
+    this.warnings.push({
+      practice: practice.name,
+      message: `Version "${this.versionName}" is ${status}; import under another version name to propose changes`
+    });
+  }
+
+  async importPractice(practice) {
+    this.results.set(practice.name, { name: practice.name, action: 'unchanged', changes: [] });
+
+    const status = await this.reviewedStatus(practice.name);
+    if (status) {
+      await this.guardReviewed(practice, status, () => this.applyPractice(practice));
+      return;
+    }
+    await this.applyPractice(practice);
+  }
+
+  async applyPractice(practice) {
+    const result = this.results.get(practice.name);
+
+    const typeId = practice.type ? await this.ensureNamed('practiceType', practice.type) : null;
+
+    // Practice, by name
+    const existing = await this.query('SELECT * FROM Practice WHERE LOWER(name) = LOWER($1)', [practice.name]);
+    let practiceId;
+    if (existing.rows.length === 0) {
+      const inserted = await this.query(
+        'INSERT INTO Practice (name, objective, description, typeId) VALUES ($1, $2, $3, $4) RETURNING id',
+        [practice.name, practice.objective, practice.description, typeId]
+      );
+      practiceId = inserted.rows[0].id;
+      result.action = 'created';
+    } else {
+      const row = existing.rows[0];
+      practiceId = row.id;
+      const desired = { objective: practice.objective, description: practice.description, typeId };
+      const changed = Object.keys(desired).filter(field => desired[field] !== null &&
+        String(row[field.toLowerCase()]) !== String(desired[field]));
+      // The public description of a published practice changes through review as well
+      const published = changed.length > 0 && !this.updateReviewed && (await this.query(
+        "SELECT 1 FROM practiceVersion WHERE practiceId = $1 AND status = 'Published' LIMIT 1",
+        [practiceId]
+      )).rows.length > 0;
+      if (published) {
+        this.warnings.push({
+          practice: practice.name,
+          message: `Kept the published ${changed.join(', ')} of the practice; they change through review`
+        });
+      } else if (changed.length > 0) {
+        await this.query(
+          `UPDATE Practice SET ${changed.map((field, index) => `${field} = $${index + 2}`).join(', ')} WHERE id = $1`,
+          [practiceId, ...changed.map(field => desired[field])]
+        );
+        changed.forEach(field => this.record(practice.name, 'practice', field, 'updated'));
+      }
+    }
+
+    // Reference version, by practice, universe and version name
+    const version = await this.query(
+      'SELECT id FROM practiceVersion WHERE practiceId = $1 AND universeId = $2 AND versionName = $3 ORDER BY id LIMIT 1',
+      [practiceId, this.universeId, this.versionName]
+    );
+    let versionId;
+    if (version.rows.length > 0) {
+      versionId = version.rows[0].id;
+    } else {
+      const inserted = await this.query(
+        `INSERT INTO practiceVersion (practiceId, universeId, versionName, changeDescription, lastUpdate, lastUpdateById, status, publishedAt)
+         VALUES ($1, $2, $3, 'Imported from the practices reference catalogue', CURRENT_TIMESTAMP, $4, $5,
+                 CASE WHEN $6 THEN CURRENT_TIMESTAMP END)
+         RETURNING id`,
+        [practiceId, this.universeId, this.versionName, this.personId, this.status, this.status === 'Published']
+      );
+      versionId = inserted.rows[0].id;
+      this.createdVersions.add(versionId);
+      this.record(practice.name, 'version', this.versionName, 'added');
+    }
+    this.versions.set(practice.name.toLowerCase(), versionId);
+
+    await this.syncGoals(practice, versionId);
+    await this.syncMethod(practice, versionId);
+    await this.syncActivities(practice, versionId);
+    await this.syncWorkProducts(practice, versionId);
+    await this.syncRoles(practice, versionId);
+    await this.syncMetrics(practice, versionId);
+    await this.syncOwned(practice, versionId, 'guidelines', 'Guideline', await this.desiredGuidelines(practice));
+    await this.syncOwned(practice, versionId, 'benefits', 'Benefit', new Map(practice.benefits.map(name => [name, {}])));
+    await this.syncOwned(practice, versionId, 'pitfalls', 'Pitfall', new Map(practice.pitfalls.map(name => [name, {}])));
+    await this.syncOwned(practice, versionId, 'completionCriteria', 'completionCriteria',
+      new Map(practice.completionCriteria.map(name => [name, {}])));
+
+    if (result.action === 'unchanged' && result.changes.length > 0) {
+      result.action = 'updated';
+    }
+  }
+
+  // Replace a link table's rows for the version when they differ from the catalogue
+  async syncLinks(practice, entity, { current, desired, names, clear, insert }) {
+    const diff = PracticeCatalogueService.diffKeyed(current, desired);
+    if (diff.added.length + diff.removed.length + diff.updated.length === 0) {
+      return;
+    }
+
+    await this.query(clear.sql, clear.params);
+    for (const [key, value] of desired) {
+      await this.query(insert.sql, insert.params(key, value));
+    }
+
+    diff.added.forEach(key => this.record(practice.name, entity, names.get(key), 'added'));
+    diff.removed.forEach(key => this.record(practice.name, entity, names.get(key), 'removed'));
+    diff.updated.forEach(key => this.record(practice.name, entity, names.get(key), 'updated'));
+  }
+
+  async syncGoals(practice, versionId) {
+    const desired = new Map();
+    const names = new Map();
+    for (const goal of practice.goals) {
+      const id = await this.ensureNamed('Goal', goal);
+      desired.set(id, true);
+      names.set(id, goal);
+    }
+
+    const current = await this.query(
+      'SELECT pg.goalId, g.name FROM practiceGoal pg JOIN Goal g ON pg.goalId = g.id WHERE pg.practiceVersionId = $1',
+      [versionId]
+    );
+    current.rows.forEach(row => names.set(row.goalid, row.name));
+
+    await this.syncLinks(practice, 'goals', {
+      current: new Map(current.rows.map(row => [row.goalid, true])),
+      desired,
+      names,
+      clear: { sql: 'DELETE FROM practiceGoal WHERE practiceVersionId = $1', params: [versionId] },
+      insert: { sql: 'INSERT INTO practiceGoal (practiceVersionId, goalId) VALUES ($1, $2)', params: key => [versionId, key] }
+    });
+  }
+
+  async syncMethod(practice, versionId) {
+    const desired = new Map();
+    const names = new Map();
+    if (practice.method) {
+      const methodId = await this.ensureNamed('Method', practice.method);
+      const methodVersion = await this.query(
+        'SELECT id FROM methodVersion WHERE methodId = $1 AND universeId = $2 ORDER BY versionTimestamp DESC, id DESC LIMIT 1',
+        [methodId, this.universeId]
+      );
+      let methodVersionId;
+      if (methodVersion.rows.length > 0) {
+        methodVersionId = methodVersion.rows[0].id;
+      } else {
+        const inserted = await this.query(
+          `INSERT INTO methodVersion (methodId, universeId, versionName, changeDescription, lastUpdate, lastUpdateById)
+           VALUES ($1, $2, $3, 'Imported from the practices reference catalogue', CURRENT_TIMESTAMP, $4)
+           RETURNING id`,
+          [methodId, this.universeId, this.versionName, this.personId]
+        );
+        methodVersionId = inserted.rows[0].id;
+        this.references.created.push({ entity: 'methodVersion', name: `${practice.method} ${this.versionName}` });
+      }
+      desired.set(methodVersionId, true);
+      names.set(methodVersionId, practice.method);
+    }
+
+    const current = await this.query(
+      `SELECT pm.methodVersionId, m.name FROM practiceMethod pm
+       JOIN methodVersion mv ON pm.methodVersionId = mv.id
+       JOIN Method m ON mv.methodId = m.id
+       WHERE pm.practiceVersionId = $1`,
+      [versionId]
+    );
+    current.rows.forEach(row => names.set(row.methodversionid, row.name));
+
+    await this.syncLinks(practice, 'method', {
+      current: new Map(current.rows.map(row => [row.methodversionid, true])),
+      desired,
+      names,
+      clear: { sql: 'DELETE FROM practiceMethod WHERE practiceVersionId = $1', params: [versionId] },
+      insert: { sql: 'INSERT INTO practiceMethod (methodVersionId, practiceVersionId) VALUES ($2, $1)', params: key => [versionId, key] }
+    });
+  }
+
+  async syncActivities(practice, versionId) {
+    const desired = new Map();
+    const names = new Map();
+    for (const activity of practice.activities) {
+      const id = await this.ensureNamed('Activity', activity.name, { description: activity.description });
+      desired.set(id, activity.sequence);
+      names.set(id, activity.name);
+    }
+
+    const current = await this.query(
+      `SELECT pva.activityId, pva.sequence, a.name FROM practiceVersionActivity pva
+       JOIN Activity a ON pva.activityId = a.id
+       WHERE pva.practiceVersionId = $1`,
+      [versionId]
+    );
+    current.rows.forEach(row => names.set(row.activityid, row.name));
+
+    await this.syncLinks(practice, 'activities', {
+      current: new Map(current.rows.map(row => [row.activityid, row.sequence])),
+      desired,
+      names,
+      clear: { sql: 'DELETE FROM practiceVersionActivity WHERE practiceVersionId = $1', params: [versionId] },
+      insert: {
+        sql: 'INSERT INTO practiceVersionActivity (practiceVersionId, activityId, sequence) VALUES ($1, $2, $3)',
+        params: (key, sequence) => [versionId, key, sequence]
+      }
+    });
+  }
+
+  async syncWorkProducts(practice, versionId) {
+    const desired = new Map();
+    const names = new Map();
+    for (const workProduct of practice.workProducts) {
+      const id = await this.ensureNamed('Workproduct', workProduct.name, { description: workProduct.description });
+      desired.set(id, workProduct.usage);
+      names.set(id, workProduct.name);
+    }
+
+    const current = await this.query(
+      `SELECT wp.workproductId, w.name, wp.usage FROM workproductPractice wp
+       JOIN Workproduct w ON wp.workproductId = w.id
+       WHERE wp.practiceVersionId = $1`,
+      [versionId]
+    );
+    current.rows.forEach(row => names.set(row.workproductid, row.name));
+
+    await this.syncLinks(practice, 'workProducts', {
+      current: new Map(current.rows.map(row => [row.workproductid, row.usage])),
+      desired,
+      names,
+      clear: { sql: 'DELETE FROM workproductPractice WHERE practiceVersionId = $1', params: [versionId] },
+      insert: {
+        sql: 'INSERT INTO workproductPractice (practiceVersionId, workproductId, usage) VALUES ($1, $2, $3)',
+        params: (key, usage) => [versionId, key, usage]
+      }
+    });
+  }
+
+  async syncRoles(practice, versionId) {
+    const desired = new Map();
+    const names = new Map();
+    for (const role of practice.roles) {
+      const id = await this.ensureNamed('Role', role.name);
+      desired.set(id, await this.roleUseTypeId(role.responsibility));
+      names.set(id, role.name);
+    }
+
+    const current = await this.query(
+      `SELECT ru.roleId, ru.typeId, r.name FROM roleUse ru
+       JOIN Role r ON ru.roleId = r.id
+       WHERE ru.practiceVersionId = $1`,
+      [versionId]
+    );
+    current.rows.forEach(row => names.set(row.roleid, row.name));
+
+    await this.syncLinks(practice, 'roles', {
+      current: new Map(current.rows.map(row => [row.roleid, row.typeid])),
+      desired,
+      names,
+      clear: { sql: 'DELETE FROM roleUse WHERE practiceVersionId = $1', params: [versionId] },
+      insert: {
+        sql: 'INSERT INTO roleUse (practiceVersionId, roleId, typeId) VALUES ($1, $2, $3)',
+        params: (key, typeId) => [versionId, key, typeId]
+      }
+    });
+  }
+
+  async syncMetrics(practice, versionId) {
+    const desired = new Map();
+    const names = new Map();
+    for (const metric of practice.metrics) {
+      const id = await this.ensureNamed('Metric', metric.name, { unit: metric.unit, formula: metric.formula });
+      desired.set(id, true);
+      names.set(id, metric.name);
+    }
+
+    const current = await this.query(
+      `SELECT mp.metricId, m.name FROM metricPractice mp
+       JOIN Metric m ON mp.metricId = m.id
+       WHERE mp.practiceVersionId = $1`,
+      [versionId]
+    );
+    current.rows.forEach(row => names.set(row.metricid, row.name));
+
+    await this.syncLinks(practice, 'metrics', {
+      current: new Map(current.rows.map(row => [row.metricid, true])),
+      desired,
+      names,
+      clear: { sql: 'DELETE FROM metricPractice WHERE practiceVersionId = $1', params: [versionId] },
+      insert: { sql: 'INSERT INTO metricPractice (metricId, practiceVersionId) VALUES ($2, $1)', params: key => [versionId, key] }
+    });
+  }
+
+  async desiredGuidelines(practice) {
+    const desired = new Map();
+    for (const guideline of practice.guidelines) {
+      desired.set(guideline.name, {
+        content: guideline.url,
+        typeId: guideline.type ? await this.ensureNamed('guidelineType', guideline.type) : null
+      });
+    }
+    return desired;
+  }
+
+  // Content written for the version, matched on its name and updated in place so row IDs survive
+  async syncOwned(practice, versionId, entity, table, desired) {
+    const columns = desired.size > 0 ? Object.keys(desired.values().next().value) : [];
+    const current = await this.query(
+      `SELECT id, name${columns.map(column => `, ${column}`).join('')} FROM ${table}
+       WHERE practiceVersionId = $1 ORDER BY id`,
+      [versionId]
+    );
+
+    const currentByName = new Map();
+    current.rows.forEach(row => {
+      if (currentByName.has(row.name)) {
+        // A repeated name is a leftover; keep the first row
+        currentByName.set(`${row.name}#${row.id}`, row);
+      } else {
+        currentByName.set(row.name, row);
+      }
+    });
+
+    for (const [name, row] of currentByName) {
+      if (!desired.has(name)) {
+        await this.query(`DELETE FROM ${table} WHERE id = $1`, [row.id]);
+        this.record(practice.name, entity, row.name, 'removed');
+      }
+    }
+
+    for (const [name, values] of desired) {
+      const row = currentByName.get(name);
+      if (!row) {
+        await this.query(
+          `INSERT INTO ${table} (practiceVersionId, name${columns.map(column => `, ${column}`).join('')}, lastUpdate, lastUpdateById)
+           VALUES ($1, $2${columns.map((column, index) => `, $${index + 3}`).join('')}, CURRENT_TIMESTAMP, $${columns.length + 3})`,
+          [versionId, name, ...columns.map(column => values[column]), this.personId]
+        );
+        this.record(practice.name, entity, name, 'added');
+      } else if (columns.some(column => String(row[column.toLowerCase()]) !== String(values[column]))) {
+        await this.query(
+          `UPDATE ${table} SET ${columns.map((column, index) => `${column} = $${index + 2}`).join(', ')},
+                  lastUpdate = CURRENT_TIMESTAMP, lastUpdateById = $${columns.length + 2}
+           WHERE id = $1`,
+          [row.id, ...columns.map(column => values[column]), this.personId]
+        );
+        this.record(practice.name, entity, name, 'updated');
+      }
+    }
+  }
+
+  async importAssociations(practice) {
+    if (this.results.get(practice.name).action === 'skipped') {
+      return;
+    }
+
+    const status = await this.reviewedStatus(practice.name);
+    if (status) {
+      await this.guardReviewed(practice, status, () => this.applyAssociations(practice));
+      return;
+    }
+    await this.applyAssociations(practice);
+  }
+
+  async applyAssociations(practice) {
+    const sourceId = this.versions.get(practice.name.toLowerCase());
+    const desired = new Map();
+    const names = new Map();
+
+    for (const association of practice.associations) {
+      let targetId = this.versions.get(association.target.toLowerCase());
+      if (!targetId) {
+        // Not in this import: link to the target's latest published version in the universe
+        const target = await this.query(
+          `SELECT pv.id FROM practiceVersion pv JOIN Practice p ON pv.practiceId = p.id
+           WHERE LOWER(p.name) = LOWER($1) AND pv.universeId = $2 AND pv.status = 'Published'
+           ORDER BY pv.publishedAt DESC NULLS LAST, pv.id DESC LIMIT 1`,
+          [association.target, this.universeId]
+        );
+        if (target.rows.length === 0) {
+          this.warnings.push({ practice: practice.name, message: `Associated practice "${association.target}" not found` });
+          continue;
+        }
+        targetId = target.rows[0].id;
+      }
+
+      const typeId = await this.ensureNamed('practiceAssociationType', association.type);
+      const key = `${targetId}:${typeId}`;
+      desired.set(key, true);
+      names.set(key, `${association.type} ${association.target}`);
+    }
+
+    const current = await this.query(
+      `SELECT pa.targetPracticeVersionId, pa.typeId, pat.name as typeName, p.name as targetName
+       FROM practiceAssociation pa
+       JOIN practiceAssociationType pat ON pa.typeId = pat.id
+       JOIN practiceVersion pv ON pa.targetPracticeVersionId = pv.id
+       JOIN Practice p ON pv.practiceId = p.id
+       WHERE pa.sourcePracticeVersionId = $1`,
+      [sourceId]
+    );
+    current.rows.forEach(row => names.set(`${row.targetpracticeversionid}:${row.typeid}`, `${row.typename} ${row.targetname}`));
+
+    await this.syncLinks(practice, 'associations', {
+      current: new Map(current.rows.map(row => [`${row.targetpracticeversionid}:${row.typeid}`, true])),
+      desired,
+      names,
+      clear: { sql: 'DELETE FROM practiceAssociation WHERE sourcePracticeVersionId = $1', params: [sourceId] },
+      insert: {
+        sql: 'INSERT INTO practiceAssociation (sourcePracticeVersionId, targetPracticeVersionId, typeId) VALUES ($1, $2, $3)',
+        params: key => [sourceId, ...key.split(':').map(Number)]
+      }
+    });
+
+    const result = this.results.get(practice.name);
+    if (result.action === 'unchanged' && result.changes.length > 0) {
+      result.action = 'updated';
+    }
+  }
+
+  report() {
+    const practices = Array.from(this.results.values());
+    return {
+      dryRun: this.dryRun,
+      practices,
+      references: this.references,
+      warnings: this.warnings,
+      summary: {
+        created: practices.filter(practice => practice.action === 'created').length,
+        updated: practices.filter(practice => practice.action === 'updated').length,
+        unchanged: practices.filter(practice => practice.action === 'unchanged').length,
+        skipped: practices.filter(practice => practice.action === 'skipped').length,
+        referencesCreated: this.references.created.length,
+        referencesUpdated: this.references.updated.length
+      }
+    };
+  }
+}
+
+PracticeCatalogueService.DEFAULT_VERSION_NAME = DEFAULT_VERSION_NAME;
+
+module.exports = PracticeCatalogueService;
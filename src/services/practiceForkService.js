@@ -0,0 +1,503 @@
+const pool = require('../config/database');
+const PracticeVersion = require('../models/PracticeVersion');
+const Universe = require('../models/Universe');
+const PracticeVersionDiffService = require('./practiceVersionDiffService');
+
+const ENTITY_TYPES = PracticeVersionDiffService.ENTITY_DEFINITIONS;
+
+// Content linked to a fork, replaced as a whole when a merge changes it
+const LINK_STATEMENTS = {
+  activities: {
+    clear: 'DELETE FROM practiceVersionActivity WHERE practiceVersionId = $1',
+    insert: 'INSERT INTO practiceVersionActivity (practiceVersionId, activityId, sequence) VALUES ($1, $2, $3)',
+    values: (item, index) => [item.activityId, index + 1]
+  },
+  roles: {
+    clear: 'DELETE FROM roleUse WHERE practiceVersionId = $1',
+    insert: 'INSERT INTO roleUse (practiceVersionId, roleId, typeId) VALUES ($1, $2, $3)',
+    values: item => [item.roleId, item.typeId || null]
+  },
+  workproducts: {
+    clear: 'DELETE FROM workproductPractice WHERE practiceVersionId = $1',
+    insert: 'INSERT INTO workproductPractice (practiceVersionId, workproductId, usage) VALUES ($1, $2, $3)',
+    values: item => [item.workproductId, item.usage || 'produces']
+  },
+  metrics: {
+    clear: 'DELETE FROM metricPractice WHERE practiceVersionId = $1',
+    insert: 'INSERT INTO metricPractice (practiceVersionId, metricId) VALUES ($1, $2)',
+    values: item => [item.metricId]
+  },
+  goals: {
+    clear: 'DELETE FROM practiceGoal WHERE practiceVersionId = $1',
+    insert: 'INSERT INTO practiceGoal (practiceVersionId, goalId) VALUES ($1, $2)',
+    values: item => [item.goalId]
+  }
+};
+
+// Content written for a fork, updated row by row so existing IDs survive a merge
+const OWNED_TABLES = {
+  guidelines: { table: 'Guideline', columns: ['name', 'description', 'content', 'typeId'] },
+  benefits: { table: 'Benefit', columns: ['name', 'description', 'content'] },
+  pitfalls: { table: 'Pitfall', columns: ['name', 'description', 'content'] },
+  completionCriteria: { table: 'completionCriteria', columns: ['name', 'description'] }
+};
+
+const RESOLUTIONS = ['upstream', 'fork'];
+
+class PracticeForkService {
+
+  /**
+   * Whether two versions of an entity are the same; absent on both sides counts as the same
+   * @param {Object|undefined} a - First entity
+   * @param {Object|undefined} b - Second entity
+   * @param {Array} fields - Fields to compare
+   * @returns {boolean} True when neither side differs
+   */
+  static sameEntity(a, b, fields) {
+    if (!a || !b) {
+      return !a && !b;
+    }
+    return PracticeVersionDiffService.diffFields(a, b, fields).length === 0;
+  }
+
+  /**
+   * Three-way merge of one entity type: upstream changes since the base are applied to
+   * the fork unless the fork changed the same entity differently, which is a conflict
+   * @param {string} type - Entity type (activities, roles, guidelines, ...)
+   * @param {Array} baseItems - Entities in the upstream version the fork was last merged with
+   * @param {Array} upstreamItems - Entities in the latest upstream version
+   * @param {Array} forkItems - Entities in the fork
+   * @param {Object} resolutions - 'upstream' or 'fork' keyed by "type:key", for conflicts
+   * @returns {Object} {items, changes, conflicts}
+   */
+  static mergeEntities(type, baseItems, upstreamItems, forkItems, resolutions = {}) {
+    const { key, fields } = ENTITY_TYPES[type];
+    const baseIndex = PracticeVersionDiffService.indexByKey(baseItems, key);
+    const upstreamIndex = PracticeVersionDiffService.indexByKey(upstreamItems, key);
+    const forkIndex = PracticeVersionDiffService.indexByKey(forkItems, key);
+
+    const items = [];
+    const changes = [];
+    const conflicts = [];
+
+    // Upstream content replaces the fork's, keeping the fork's row ID when it has one
+    const takeUpstream = (matchKey, upstream, fork) => {
+      if (upstream) {
+        const item = Object.assign({}, upstream);
+        delete item.id;
+        if (fork && fork.id) {
+          item.id = fork.id;
+        }
+        items.push(item);
+      }
+      changes.push({
+        type,
+        key: matchKey,
+        name: (upstream || fork).name,
+        action: !fork ? 'added' : !upstream ? 'removed' : 'updated'
+      });
+    };
+
+    const keys = Array.from(forkIndex.keys());
+    upstreamIndex.forEach((item, matchKey) => {
+      if (!forkIndex.has(matchKey)) {
+        keys.push(matchKey);
+      }
+    });
+
+    keys.forEach(matchKey => {
+      const base = baseIndex.get(matchKey);
+      const upstream = upstreamIndex.get(matchKey);
+      const fork = forkIndex.get(matchKey);
+
+      if (this.sameEntity(base, upstream, fields) || this.sameEntity(upstream, fork, fields)) {
+        // Nothing new upstream, or the fork already has the upstream change
+        if (fork) {
+          items.push(fork);
+        }
+        return;
+      }
+
+      if (this.sameEntity(base, fork, fields)) {
+        takeUpstream(matchKey, upstream, fork);
+        return;
+      }
+
+      const resolution = resolutions[`${type}:${matchKey}`] || null;
+      conflicts.push({
+        type,
+        key: matchKey,
+        name: (fork || upstream || base).name,
+        base: base || null,
+        upstream: upstream || null,
+        fork: fork || null,
+        resolution: RESOLUTIONS.includes(resolution) ? resolution : null
+      });
+
+      if (resolution === 'upstream') {
+        takeUpstream(matchKey, upstream, fork);
+      } else if (fork) {
+        items.push(fork);
+      }
+    });
+
+    return { items, changes, conflicts };
+  }
+
+  /**
+   * Three-way merge of every entity type between version snapshots
+   * @param {Object} base - Snapshot of the upstream version the fork was last merged with
+   * @param {Object} upstream - Snapshot of the latest upstream version
+   * @param {Object} fork - Snapshot of the fork
+   * @param {Object} resolutions - Conflict resolutions keyed by "type:key"
+   * @returns {Object} {entities, changes, conflicts, unresolved}
+   */
+  static mergeSnapshots(base, upstream, fork, resolutions = {}) {
+    const entities = {};
+    const changes = [];
+    const conflicts = [];
+
+    Object.keys(ENTITY_TYPES).forEach(type => {
+      const merged = this.mergeEntities(
+        type,
+        base.entities[type] || [],
+        upstream.entities[type] || [],
+        fork.entities[type] || [],
+        resolutions
+      );
+      entities[type] = merged.items;
+      changes.push(...merged.changes);
+      conflicts.push(...merged.conflicts);
+    });
+
+    return {
+      entities,
+      changes,
+      conflicts,
+      unresolved: conflicts.filter(conflict => !conflict.resolution).length
+    };
+  }
+
+  /**
+   * Number of entity changes in a changeset
+   * @param {Object} changeset - Result of PracticeVersionDiffService.diffSnapshots
+   * @returns {number} Added, removed and changed entities
+   */
+  static countChanges(changeset) {
+    return changeset.summary.added + changeset.summary.removed + changeset.summary.changed;
+  }
+
+  /**
+   * Copy a published version into a team universe as the team's own fork
+   * @param {number} practiceVersionId - The published version to fork
+   * @param {Team} team - The team receiving the fork
+   * @param {number} personId - The member creating the fork
+   * @param {Object} options - universeId, versionName (optional)
+   * @returns {PracticeVersion} The fork
+   */
+  static async fork(practiceVersionId, team, personId, options = {}) {
+    const source = await PracticeVersion.findById(practiceVersionId);
+    if (!source) {
+      throw new Error('Practice version not found');
+    }
+    if (source.status !== 'Published') {
+      throw new Error('Only published practice versions can be forked');
+    }
+
+    const universes = await Universe.findByTeamId(team.id);
+    if (universes.some(universe => universe.id === source.universeId)) {
+      throw new Error('Practice version already belongs to this team');
+    }
+
+    let universe;
+    if (options.universeId) {
+      universe = universes.find(u => u.id === parseInt(options.universeId));
+      if (!universe) {
+        throw new Error('Universe does not belong to this team');
+      }
+    } else {
+      universe = universes[0] || await Universe.create({
+        teamId: team.id,
+        name: `${team.name} Universe`,
+        description: `Practices tailored by ${team.name}`
+      });
+    }
+
+    const existing = await pool.query(
+      `SELECT id FROM practiceVersion
+       WHERE practiceId = $1 AND universeId = $2 AND forkedFromId IS NOT NULL
+         AND status <> 'Archived'`,
+      [source.practiceId, universe.id]
+    );
+    if (existing.rows.length > 0) {
+      throw new Error('Team already has a fork of this practice');
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO practiceVersion (practiceId, universeId, versionName, changeDescription, lastUpdate, lastUpdateById,
+                                      status, publishedAt, forkedFromId, baseVersionId)
+         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, $5, 'Published', CURRENT_TIMESTAMP, $6, $6)
+         RETURNING *`,
+        [
+          source.practiceId,
+          universe.id,
+          options.versionName || `${source.versionName} (${team.name})`,
+          `Forked from version "${source.versionName}"`,
+          personId,
+          source.id
+        ]
+      );
+      const fork = new PracticeVersion(result.rows[0]);
+
+      await PracticeVersionDiffService.copyContent(client, source.id, fork.id, personId);
+
+      // The fork takes the place of the upstream version in the team's universe
+      await client.query(
+        `UPDATE PracticeVersionUniverse SET isActive = false
+         WHERE practiceVersionId = $1 AND universeId = $2`,
+        [source.id, universe.id]
+      );
+      await client.query(
+        `INSERT INTO PracticeVersionUniverse (practiceVersionId, universeId, isActive)
+         VALUES ($1, $2, true)`,
+        [fork.id, universe.id]
+      );
+
+      await client.query('COMMIT');
+      return fork;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Latest published version of a practice in the universe a fork was taken from
+   * @param {PracticeVersion} base - The upstream version the fork was last merged with
+   * @returns {PracticeVersion} The latest upstream version, or the base when none is published
+   */
+  static async latestUpstream(base) {
+    const result = await pool.query(
+      `SELECT * FROM practiceVersion
+       WHERE practiceId = $1 AND universeId = $2 AND status = 'Published'
+       ORDER BY publishedAt DESC NULLS LAST, id DESC
+       LIMIT 1`,
+      [base.practiceId, base.universeId]
+    );
+
+    return result.rows.length > 0 ? new PracticeVersion(result.rows[0]) : base;
+  }
+
+  /**
+   * How far a fork is behind its upstream practice
+   * @param {PracticeVersion} fork - The team's fork
+   * @returns {Object} {base, upstream, behind, changeset}
+   */
+  static async upstreamStatus(fork) {
+    const base = fork.baseVersionId ? await PracticeVersion.findById(fork.baseVersionId) : null;
+    if (!base) {
+      // The upstream version was deleted; there is nothing left to track
+      return { base: null, upstream: null, behind: 0, changeset: null };
+    }
+
+    const upstream = await this.latestUpstream(base);
+    if (upstream.id === base.id) {
+      return { base: base.toJSON(), upstream: upstream.toJSON(), behind: 0, changeset: null };
+    }
+
+    const changeset = await PracticeVersionDiffService.compareVersions(base.id, upstream.id);
+    return {
+      base: base.toJSON(),
+      upstream: upstream.toJSON(),
+      behind: this.countChanges(changeset),
+      changeset
+    };
+  }
+
+  /**
+   * Forks kept by a team, with how many upstream changes each one is missing
+   * @param {number} teamId - The team ID
+   * @returns {Array} Forks with practiceName, universeName, forkedFromName and behind
+   */
+  static async findTeamForks(teamId) {
+    const result = await pool.query(
+      `SELECT pv.*, p.name as practiceName, u.name as universeName, src.versionName as forkedFromName
+       FROM practiceVersion pv
+       JOIN Practice p ON pv.practiceId = p.id
+       JOIN Universe u ON pv.universeId = u.id
+       LEFT JOIN practiceVersion src ON pv.forkedFromId = src.id
+       WHERE u.teamId = $1 AND (pv.forkedFromId IS NOT NULL OR pv.baseVersionId IS NOT NULL)
+       ORDER BY p.name, pv.id`,
+      [teamId]
+    );
+
+    const forks = [];
+    for (const row of result.rows) {
+      const fork = new PracticeVersion(row);
+      const status = await this.upstreamStatus(fork);
+      forks.push(Object.assign(fork.toJSON(), {
+        practiceName: row.practicename,
+        universeName: row.universename,
+        forkedFromName: row.forkedfromname,
+        upstream: status.upstream,
+        behind: status.behind
+      }));
+    }
+
+    return forks;
+  }
+
+  /**
+   * Find a fork kept in one of a team's universes
+   * @param {number} teamId - The team ID
+   * @param {number} forkId - The fork's practice version ID
+   * @returns {PracticeVersion|null} The fork, or null when the team has no such fork
+   */
+  static async findTeamFork(teamId, forkId) {
+    const result = await pool.query(
+      `SELECT pv.*
+       FROM practiceVersion pv
+       JOIN Universe u ON pv.universeId = u.id
+       WHERE pv.id = $1 AND u.teamId = $2
+         AND (pv.forkedFromId IS NOT NULL OR pv.baseVersionId IS NOT NULL)`,
+      [forkId, teamId]
+    );
+
+    return result.rows.length > 0 ? new PracticeVersion(result.rows[0]) : null;
+  }
+
+  /**
+   * Pull upstream changes into a fork. Nothing is written while conflicts are unresolved
+   * or when only a preview is asked for.
+   * @param {PracticeVersion} fork - The team's fork
+   * @param {number} personId - The member merging
+   * @param {Object} options - resolutions keyed by "type:key", dryRun
+   * @returns {Object} {base, upstream, changes, conflicts, unresolved, applied}
+   */
+  static async merge(fork, personId, { resolutions = {}, dryRun = false } = {}) {
+    const base = fork.baseVersionId ? await PracticeVersionDiffService.snapshot(fork.baseVersionId) : null;
+    if (!base) {
+      throw new Error('Fork has no upstream version to merge from');
+    }
+
+    const latest = await this.latestUpstream(new PracticeVersion(base.version));
+    const upstream = latest.id === base.version.id ? base : await PracticeVersionDiffService.snapshot(latest.id);
+    const current = await PracticeVersionDiffService.snapshot(fork.id);
+
+    const merge = this.mergeSnapshots(base, upstream, current, resolutions);
+    const outcome = {
+      base: base.version,
+      upstream: upstream.version,
+      changes: merge.changes,
+      conflicts: merge.conflicts,
+      unresolved: merge.unresolved,
+      applied: false
+    };
+
+    if (dryRun || merge.unresolved > 0) {
+      return outcome;
+    }
+
+    const changedTypes = new Set(merge.changes.map(change => change.type));
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      for (const type of changedTypes) {
+        if (LINK_STATEMENTS[type]) {
+          await this.replaceLinks(client, fork.id, type, merge.entities[type]);
+        } else {
+          await this.syncOwnedContent(client, fork.id, type, current.entities[type], merge.entities[type], personId);
+        }
+      }
+
+      await client.query(
+        `UPDATE practiceVersion
+         SET baseVersionId = $2, lastUpdate = CURRENT_TIMESTAMP, lastUpdateById = $3
+         WHERE id = $1`,
+        [fork.id, upstream.version.id, personId]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    fork.baseVersionId = upstream.version.id;
+    outcome.applied = true;
+    return outcome;
+  }
+
+  /**
+   * Replace the fork's links of one type with the merged list
+   * @param {Object} client - Connected pool client
+   * @param {number} forkId - The fork's practice version ID
+   * @param {string} type - activities, roles, workproducts, metrics or goals
+   * @param {Array} items - Merged entities
+   */
+  static async replaceLinks(client, forkId, type, items) {
+    const statements = LINK_STATEMENTS[type];
+    const ordered = type === 'activities'
+      ? items.slice().sort((a, b) => a.sequence - b.sequence)
+      : items;
+
+    await client.query(statements.clear, [forkId]);
+    for (let index = 0; index < ordered.length; index++) {
+      await client.query(statements.insert, [forkId, ...statements.values(ordered[index], index)]);
+    }
+  }
+
+  /**
+   * Apply merged content of one type to the fork's own rows: delete, update or insert
+   * @param {Object} client - Connected pool client
+   * @param {number} forkId - The fork's practice version ID
+   * @param {string} type - guidelines, benefits, pitfalls or completionCriteria
+   * @param {Array} currentItems - The fork's rows before the merge
+   * @param {Array} items - Merged entities
+   * @param {number} personId - Recorded as the last author of changed rows
+   */
+  static async syncOwnedContent(client, forkId, type, currentItems, items, personId) {
+    const { table, columns } = OWNED_TABLES[type];
+    const keptIds = new Set(items.filter(item => item.id).map(item => item.id));
+    const currentById = new Map(currentItems.map(item => [item.id, item]));
+
+    for (const item of currentItems) {
+      if (!keptIds.has(item.id)) {
+        await client.query(`DELETE FROM ${table} WHERE id = $1`, [item.id]);
+      }
+    }
+
+    for (const item of items) {
+      const values = columns.map(column => (item[column] === undefined ? null : item[column]));
+
+      if (!item.id) {
+        await client.query(
+          `INSERT INTO ${table} (practiceVersionId, ${columns.join(', ')}, lastUpdate, lastUpdateById)
+           VALUES ($1, ${columns.map((column, index) => `$${index + 2}`).join(', ')}, CURRENT_TIMESTAMP, $${columns.length + 2})`,
+          [forkId, ...values, personId]
+        );
+      } else if (!this.sameEntity(currentById.get(item.id), item, columns)) {
+        await client.query(
+          `UPDATE ${table}
+           SET ${columns.map((column, index) => `${column} = $${index + 2}`).join(', ')},
+               lastUpdate = CURRENT_TIMESTAMP, lastUpdateById = $${columns.length + 2}
+           WHERE id = $1`,
+          [item.id, ...values, personId]
+        );
+      }
+    }
+  }
+}
+
+PracticeForkService.RESOLUTIONS = RESOLUTIONS;
+
+module.exports = PracticeForkService;
@@ -0,0 +1,385 @@
+const pool = require('../config/database');
+
+// Only the first terms of a query are searched, each cut to a reasonable length
+const MAX_TERMS = 8;
+const MAX_TERM_LENGTH = 32;
+
+// Typo tolerance: shorter terms only match as prefixes, longer ones also match
+// words of the catalogue at least this similar (pg_trgm similarity)
+const MIN_FUZZY_TERM_LENGTH = 4;
+const MIN_SIMILARITY = 0.3;
+const MAX_EXPANSIONS = 3;
+
+const TERM_SEPARATOR = /[^\p{L}\p{N}]+/u;
+const PLAIN_WORD = /^[\p{L}\p{N}]+$/u;
+
+// ts_headline wraps matches in these markers; parseHeadline turns them into segments
+const HIGHLIGHT_START = '⟦';
+const HIGHLIGHT_END = '⟧';
+const HEADLINE_OPTIONS = `StartSel="${HIGHLIGHT_START}", StopSel="${HIGHLIGHT_END}", ` +
+  'MaxFragments=2, MaxWords=20, MinWords=8, FragmentDelimiter=" … "';
+
+// Latest published version of each practice; team forks stay out of public listings
+const LATEST_PUBLISHED_VERSIONS = `
+  latest AS (
+    SELECT DISTINCT ON (pv.practiceId) pv.*
+    FROM practiceVersion pv
+    WHERE pv.status = 'Published' AND pv.forkedFromId IS NULL
+    ORDER BY pv.practiceId, pv.publishedAt DESC NULLS LAST, pv.id DESC
+  )`;
+
+/**
+ * Search engine behind the practice list, /api/practices/search and the
+ * Practice model. Practices are matched on the content of their latest
+ * published version (see sql/add_practice_search.sql), ranked by relevance
+ * and returned with highlighted snippets.
+ */
+class PracticeSearchService {
+  /**
+   * Split a query into distinct lowercase terms
+   * @param {string} query - Text typed by the user
+   * @returns {Array<string>} Terms made of letters and digits only
+   */
+  static parseTerms(query) {
+    if (!query) {
+      return [];
+    }
+
+    const terms = String(query).toLowerCase()
+      .split(TERM_SEPARATOR)
+      .filter(term => term.length > 0)
+      .map(term => term.slice(0, MAX_TERM_LENGTH));
+
+    return Array.from(new Set(terms)).slice(0, MAX_TERMS);
+  }
+
+  /**
+   * Pick the catalogue words each term also stands for
+   * @param {Array<string>} terms - Parsed query terms
+   * @param {Array<Object>} candidates - {term, word, ndoc, similarity} rows from practiceSearchWord
+   * @returns {Object} Words per term: completions when the term starts a word, closest spellings otherwise
+   */
+  static chooseExpansions(terms, candidates) {
+    const expansions = {};
+
+    terms.forEach(term => {
+      const words = candidates.filter(candidate => candidate.term === term &&
+        typeof candidate.word === 'string' && PLAIN_WORD.test(candidate.word));
+
+      if (words.some(candidate => candidate.word.startsWith(term))) {
+        // Stemming can hide a partly typed word from the prefix match, so the most
+        // frequent completions are searched as well
+        expansions[term] = words
+          .filter(candidate => candidate.word.startsWith(term) && candidate.word !== term)
+          .sort((a, b) => (parseInt(b.ndoc) || 0) - (parseInt(a.ndoc) || 0) || a.word.localeCompare(b.word))
+          .slice(0, MAX_EXPANSIONS)
+          .map(candidate => candidate.word);
+      } else if (term.length >= MIN_FUZZY_TERM_LENGTH) {
+        expansions[term] = words
+          .filter(candidate => parseFloat(candidate.similarity) >= MIN_SIMILARITY)
+          .sort((a, b) => parseFloat(b.similarity) - parseFloat(a.similarity) || a.word.localeCompare(b.word))
+          .slice(0, MAX_EXPANSIONS)
+          .map(candidate => candidate.word);
+      } else {
+        expansions[term] = [];
+      }
+    });
+
+    return expansions;
+  }
+
+  /**
+   * Build the to_tsquery text: every term must match, either as a prefix or through one of its expansions
+   * @param {Array<string>} terms - Parsed query terms
+   * @param {Object} expansions - Words per term from chooseExpansions
+   * @returns {string|null} Query text, or null without terms
+   */
+  static buildTsQuery(terms, expansions = {}) {
+    if (terms.length === 0) {
+      return null;
+    }
+
+    return terms.map(term => {
+      const alternatives = [`${term}:*`, ...(expansions[term] || [])];
+      return alternatives.length > 1 ? `(${alternatives.join(' | ')})` : alternatives[0];
+    }).join(' & ');
+  }
+
+  /**
+   * Turn a ts_headline result into snippet segments
+   * @param {string} headline - Text with highlighted words between the highlight markers
+   * @returns {Array<Object>} {text, highlight} segments; their texts joined give the unmarked headline
+   */
+  static parseHeadline(headline) {
+    if (!headline) {
+      return [];
+    }
+
+    const segments = [];
+    headline.split(new RegExp(`(${HIGHLIGHT_START}[^${HIGHLIGHT_START}${HIGHLIGHT_END}]*${HIGHLIGHT_END})`, 'u'))
+      .forEach(part => {
+        const highlight = part.startsWith(HIGHLIGHT_START) && part.endsWith(HIGHLIGHT_END) && part.length > 1;
+        const text = part.split(HIGHLIGHT_START).join('').split(HIGHLIGHT_END).join('');
+        if (!text) {
+          return;
+        }
+
+        const previous = segments[segments.length - 1];
+        if (previous && previous.highlight === highlight) {
+          previous.text += text;
+        } else {
+          segments.push({ text, highlight });
+        }
+      });
+
+    return segments;
+  }
+
+  // Load completions and close spellings of the terms from the published catalogue
+  static async expandTerms(terms) {
+    if (terms.length === 0) {
+      return {};
+    }
+
+    const result = await pool.query(
+      `SELECT t.term, w.word, w.ndoc, similarity(w.word, t.term) as similarity
+       FROM unnest($1::text[]) AS t(term)
+       JOIN practiceSearchWord w ON w.word LIKE t.term || '%' OR w.word % t.term`,
+      [terms]
+    );
+
+    return this.chooseExpansions(terms, result.rows);
+  }
+
+  /**
+   * Turn a query into to_tsquery text
+   * @param {string} query - Text typed by the user
+   * @returns {string|null} Query text, or null when there is nothing to search
+   */
+  static async prepareQuery(query) {
+    const terms = this.parseTerms(query);
+    if (terms.length === 0) {
+      return null;
+    }
+
+    return this.buildTsQuery(terms, await this.expandTerms(terms));
+  }
+
+  /**
+   * Build the conditions shared by the search, its count and the facets.
+   * Expects the latest versions as pv, the practice as p, its type as pt and,
+   * when searching, the version's search document as d.
+   * @param {Object} filters - tsQuery, typeId, category (type name), goalId,
+   *   goalIds (any of them) and tagIds (practices must carry every tag)
+   * @returns {Object} {whereClause, params}
+   */
+  static buildFilters({ tsQuery, typeId, category, goalId, goalIds, tagIds } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (tsQuery) {
+      params.push(tsQuery);
+      conditions.push(`d.document @@ to_tsquery('english', $${params.length})`);
+    }
+
+    if (typeId) {
+      params.push(typeId);
+      conditions.push(`p.typeId = $${params.length}`);
+    }
+
+    if (category) {
+      params.push(category);
+      conditions.push(`LOWER(pt.name) = LOWER($${params.length})`);
+    }
+
+    if (goalId) {
+      params.push(goalId);
+      conditions.push(`EXISTS (
+        SELECT 1 FROM practiceGoal pg
+        WHERE pg.practiceVersionId = pv.id AND pg.goalId = $${params.length}
+      )`);
+    }
+
+    if (goalIds && goalIds.length > 0) {
+      params.push(goalIds);
+      conditions.push(`EXISTS (
+        SELECT 1 FROM practiceGoal pg
+        WHERE pg.practiceVersionId = pv.id AND pg.goalId = ANY($${params.length}::int[])
+      )`);
+    }
+
+    // Selecting several tags narrows the list to practices carrying all of them
+    if (tagIds && tagIds.length > 0) {
+      params.push(tagIds);
+      conditions.push(`(
+        SELECT COUNT(DISTINCT ptg.tagId) FROM practiceTag ptg
+        WHERE ptg.practiceId = p.id AND ptg.tagId = ANY($${params.length}::int[])
+      ) = ${new Set(tagIds).size}`);
+    }
+
+    return {
+      whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  // Practices with their latest published version, filtered by buildFilters
+  static matchingPractices(tsQuery, whereClause) {
+    return `
+      FROM latest pv
+      JOIN Practice p ON pv.practiceId = p.id
+      LEFT JOIN practiceType pt ON p.typeId = pt.id
+      ${tsQuery ? 'JOIN practiceVersionSearch d ON d.practiceVersionId = pv.id' : ''}
+      ${whereClause}
+    `;
+  }
+
+  static async countMatching(tsQuery, filters) {
+    const { whereClause, params } = this.buildFilters(Object.assign({}, filters, { tsQuery }));
+    const result = await pool.query(
+      `WITH ${LATEST_PUBLISHED_VERSIONS}
+       SELECT COUNT(*) as total
+       ${this.matchingPractices(tsQuery, whereClause)}`,
+      params
+    );
+    return parseInt(result.rows[0].total) || 0;
+  }
+
+  /**
+   * Search published practices
+   * @param {Object} options - query, the filters of buildFilters, limit and offset
+   * @returns {Object} {practices, totalCount}; with a query, practices are ranked and carry rank and snippet
+   */
+  static async search({ query, limit = 20, offset = 0, ...filters } = {}) {
+    const tsQuery = await this.prepareQuery(query);
+    const { whereClause, params } = this.buildFilters(Object.assign({}, filters, { tsQuery }));
+    let paramIndex = params.length + 1;
+
+    let relevance = '';
+    let orderBy = 'p.name ASC';
+    if (tsQuery) {
+      // Exact and leading name matches go first, then the weighted text rank decides
+      params.push(this.parseTerms(query).join(' '));
+      relevance = `,
+        ts_rank(d.document, to_tsquery('english', $1)) +
+          CASE
+            WHEN LOWER(p.name) = $${paramIndex} THEN 1
+            WHEN LOWER(p.name) LIKE $${paramIndex} || '%' THEN 0.5
+            ELSE 0
+          END as rank,
+        ts_headline('english', d.content, to_tsquery('english', $1), '${HEADLINE_OPTIONS}') as headline`;
+      orderBy = 'rank DESC, p.name ASC';
+      paramIndex++;
+    }
+
+    const result = await pool.query(
+      `WITH ${LATEST_PUBLISHED_VERSIONS}
+       SELECT
+         p.id,
+         p.name,
+         p.objective,
+         p.description,
+         p.typeId,
+         pt.name as typeName,
+         pv.id as versionId,
+         pv.versionName,
+         pv.lastUpdate,
+         COALESCE((
+           SELECT json_agg(json_build_object('id', t.id, 'name', t.name) ORDER BY t.name)
+           FROM practiceTag ptg JOIN Tag t ON ptg.tagId = t.id
+           WHERE ptg.practiceId = p.id
+         ), '[]') as tags,
+         COUNT(*) OVER() as total_count${relevance}
+       ${this.matchingPractices(tsQuery, whereClause)}
+       ORDER BY ${orderBy}
+       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+      [...params, limit, offset]
+    );
+
+    let totalCount = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+    if (result.rows.length === 0 && offset > 0) {
+      // Past the last page the window count is lost; the total is still needed for pagination
+      totalCount = await this.countMatching(tsQuery, filters);
+    }
+
+    const practices = tsQuery
+      ? result.rows.map(row => {
+        const { headline, ...practice } = row;
+        return Object.assign(practice, {
+          rank: parseFloat(row.rank) || 0,
+          snippet: this.parseHeadline(headline)
+        });
+      })
+      : result.rows;
+
+    return { practices, totalCount };
+  }
+
+  /**
+   * Count the published practices a search would return
+   * @param {Object} options - query and the filters of buildFilters
+   */
+  static async count({ query, ...filters } = {}) {
+    return this.countMatching(await this.prepareQuery(query), filters);
+  }
+
+  /**
+   * Count the practices matching a search per tag, type and goal.
+   * A count is the number of practices the list would show with that value added to the filters.
+   * @param {string} query - Text typed by the user
+   * @param {Object} filters - Filters of buildFilters
+   * @returns {Object} {tags, types, goals}; each entry has id, name and count, and tags carry their vocabulary
+   */
+  static async facets(query, filters = {}) {
+    const tsQuery = await this.prepareQuery(query);
+    const { whereClause, params } = this.buildFilters(Object.assign({}, filters, { tsQuery }));
+    const matching = `
+      WITH ${LATEST_PUBLISHED_VERSIONS},
+      matching AS (
+        SELECT p.id, p.typeId, pv.id as versionId
+        ${this.matchingPractices(tsQuery, whereClause)}
+      )`;
+
+    const [tags, types, goals] = await Promise.all([
+      pool.query(`
+        ${matching}
+        SELECT t.id, t.name, t.vocabularyId, tv.name as vocabularyName, COUNT(DISTINCT m.id) as count
+        FROM matching m
+        JOIN practiceTag ptg ON ptg.practiceId = m.id
+        JOIN Tag t ON ptg.tagId = t.id
+        LEFT JOIN tagVocabulary tv ON t.vocabularyId = tv.id
+        GROUP BY t.id, t.name, t.vocabularyId, tv.name
+        ORDER BY tv.name NULLS LAST, count DESC, t.name
+      `, params),
+      pool.query(`
+        ${matching}
+        SELECT pt.id, pt.name, COUNT(DISTINCT m.id) as count
+        FROM matching m
+        JOIN practiceType pt ON m.typeId = pt.id
+        GROUP BY pt.id, pt.name
+        ORDER BY count DESC, pt.name
+      `, params),
+      pool.query(`
+        ${matching}
+        SELECT g.id, g.name, COUNT(DISTINCT m.id) as count
+        FROM matching m
+        JOIN practiceGoal pg ON pg.practiceVersionId = m.versionId
+        JOIN Goal g ON pg.goalId = g.id
+        GROUP BY g.id, g.name
+        ORDER BY count DESC, g.name
+      `, params)
+    ]);
+
+    const toFacet = row => ({ id: row.id, name: row.name, count: parseInt(row.count) });
+    return {
+      tags: tags.rows.map(row => Object.assign(toFacet(row), {
+        vocabularyId: row.vocabularyid,
+        vocabularyName: row.vocabularyname
+      })),
+      types: types.rows.map(toFacet),
+      goals: goals.rows.map(toFacet)
+    };
+  }
+}
+
+module.exports = PracticeSearchService;
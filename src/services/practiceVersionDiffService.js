@@ -0,0 +1,318 @@
+const pool = require('../config/database');
+const PracticeVersion = require('../models/PracticeVersion');
+
+// Version fields compared between two versions
+const VERSION_FIELDS = ['versionName', 'changeDescription', 'universeId', 'status'];
+
+// How each kind of version content is matched and compared. Shared entities
+// linked to the version (activities, roles, ...) are matched on their ID;
+// content written for the version (guidelines, benefits, ...) on its name.
+const ENTITY_TYPES = {
+  activities: { key: 'activityId', fields: ['name', 'sequence'] },
+  roles: { key: 'roleId', fields: ['name', 'raciType'] },
+  workproducts: { key: 'workproductId', fields: ['name', 'usage'] },
+  guidelines: { key: 'name', fields: ['description', 'content', 'type'] },
+  benefits: { key: 'name', fields: ['description', 'content'] },
+  pitfalls: { key: 'name', fields: ['description', 'content'] },
+  completionCriteria: { key: 'name', fields: ['description'] },
+  metrics: { key: 'metricId', fields: ['name', 'unit'] },
+  goals: { key: 'goalId', fields: ['name'] }
+};
+
+const SNAPSHOT_QUERIES = {
+  activities: `SELECT pva.activityId, a.name, pva.sequence
+               FROM practiceVersionActivity pva
+               JOIN Activity a ON pva.activityId = a.id
+               WHERE pva.practiceVersionId = $1
+               ORDER BY pva.sequence`,
+  roles: `SELECT ru.roleId, r.name, ru.typeId, rut.name as raciType
+          FROM roleUse ru
+          JOIN Role r ON ru.roleId = r.id
+          LEFT JOIN roleUseType rut ON ru.typeId = rut.id
+          WHERE ru.practiceVersionId = $1
+          ORDER BY r.name`,
+  workproducts: `SELECT wp.workproductId, w.name, wp.usage
+                 FROM workproductPractice wp
+                 JOIN Workproduct w ON wp.workproductId = w.id
+                 WHERE wp.practiceVersionId = $1
+                 ORDER BY w.name`,
+  guidelines: `SELECT g.id, g.name, g.description, g.content, g.typeId, gt.name as type
+                FROM Guideline g
+                LEFT JOIN guidelineType gt ON g.typeId = gt.id
+                WHERE g.practiceVersionId = $1
+                ORDER BY g.name, g.id`,
+  benefits: `SELECT id, name, description, content FROM Benefit
+             WHERE practiceVersionId = $1 ORDER BY name, id`,
+  pitfalls: `SELECT id, name, description, content FROM Pitfall
+             WHERE practiceVersionId = $1 ORDER BY name, id`,
+  completionCriteria: `SELECT id, name, description FROM completionCriteria
+                       WHERE practiceVersionId = $1 ORDER BY name, id`,
+  metrics: `SELECT mp.metricId, m.name, m.unit
+            FROM metricPractice mp
+            JOIN Metric m ON mp.metricId = m.id
+            WHERE mp.practiceVersionId = $1
+            ORDER BY m.name`,
+  goals: `SELECT pg.goalId, g.name
+          FROM practiceGoal pg
+          JOIN Goal g ON pg.goalId = g.id
+          WHERE pg.practiceVersionId = $1
+          ORDER BY g.name`
+};
+
+// Postgres returns lowercase keys; map them back to the names used in changesets
+const COLUMN_NAMES = {
+  activityid: 'activityId',
+  roleid: 'roleId',
+  typeid: 'typeId',
+  racitype: 'raciType',
+  workproductid: 'workproductId',
+  metricid: 'metricId',
+  goalid: 'goalId'
+};
+
+const normalizeRow = (row) => {
+  const item = {};
+  Object.keys(row).forEach(column => {
+    item[COLUMN_NAMES[column] || column] = row[column] === undefined ? null : row[column];
+  });
+  return item;
+};
+
+// Content copied into a new version when one is restored or forked, as INSERT ... SELECT from $1 into $2;
+// rows that record who last updated them also take the person copying them as $3
+const COPY_STATEMENTS = [
+  `INSERT INTO practiceVersionActivity (practiceVersionId, activityId, sequence)
+   SELECT $2, activityId, sequence FROM practiceVersionActivity WHERE practiceVersionId = $1`,
+  `INSERT INTO roleUse (practiceVersionId, roleId, typeId)
+   SELECT $2, roleId, typeId FROM roleUse WHERE practiceVersionId = $1`,
+  `INSERT INTO workproductPractice (practiceVersionId, workproductId, usage)
+   SELECT $2, workproductId, usage FROM workproductPractice WHERE practiceVersionId = $1`,
+  `INSERT INTO metricPractice (metricId, practiceVersionId)
+   SELECT metricId, $2 FROM metricPractice WHERE practiceVersionId = $1`,
+  `INSERT INTO practiceGoal (practiceVersionId, goalId)
+   SELECT $2, goalId FROM practiceGoal WHERE practiceVersionId = $1`,
+  `INSERT INTO Guideline (practiceVersionId, name, description, content, typeId, lastUpdate, lastUpdateById)
+   SELECT $2, name, description, content, typeId, CURRENT_TIMESTAMP, $3 FROM Guideline WHERE practiceVersionId = $1`,
+  `INSERT INTO Benefit (practiceVersionId, name, description, content, lastUpdate, lastUpdateById)
+   SELECT $2, name, description, content, CURRENT_TIMESTAMP, $3 FROM Benefit WHERE practiceVersionId = $1`,
+  `INSERT INTO Pitfall (practiceVersionId, name, description, content, lastUpdate, lastUpdateById)
+   SELECT $2, name, description, content, CURRENT_TIMESTAMP, $3 FROM Pitfall WHERE practiceVersionId = $1`,
+  `INSERT INTO completionCriteria (practiceVersionId, name, description, lastUpdate, lastUpdateById)
+   SELECT $2, name, description, CURRENT_TIMESTAMP, $3 FROM completionCriteria WHERE practiceVersionId = $1`,
+  `INSERT INTO practiceTraitProfile (practiceVersionId, trait, weight, direction, rationale, lastUpdateById)
+   SELECT $2, trait, weight, direction, rationale, $3 FROM practiceTraitProfile WHERE practiceVersionId = $1`
+];
+
+class PracticeVersionDiffService {
+
+  /**
+   * Index items by their match key; repeated keys get an occurrence suffix (#2, #3, ...)
+   * @param {Array} items - Entities of one type
+   * @param {string} key - Property the entities are matched on
+   * @returns {Map} Entities keyed by match key
+   */
+  static indexByKey(items, key) {
+    const index = new Map();
+    const seen = new Map();
+
+    items.forEach(item => {
+      const base = String(item[key]);
+      const occurrence = (seen.get(base) || 0) + 1;
+      seen.set(base, occurrence);
+      index.set(occurrence > 1 ? `${base}#${occurrence}` : base, item);
+    });
+
+    return index;
+  }
+
+  /**
+   * Compare the listed fields of two objects
+   * @param {Object} from - Old values
+   * @param {Object} to - New values
+   * @param {Array} fields - Fields to compare
+   * @returns {Array} Changes as {field, from, to}
+   */
+  static diffFields(from, to, fields) {
+    return fields
+      .filter(field => String(from[field] === undefined ? null : from[field]) !==
+        String(to[field] === undefined ? null : to[field]))
+      .map(field => ({
+        field,
+        from: from[field] === undefined ? null : from[field],
+        to: to[field] === undefined ? null : to[field]
+      }));
+  }
+
+  /**
+   * Compare two lists of entities of the same type
+   * @param {Array} fromItems - Entities in the old version
+   * @param {Array} toItems - Entities in the new version
+   * @param {Object} definition - {key, fields} of the entity type
+   * @returns {Object} {added, removed, changed, unchanged}
+   */
+  static diffEntities(fromItems, toItems, { key, fields }) {
+    const fromIndex = this.indexByKey(fromItems, key);
+    const toIndex = this.indexByKey(toItems, key);
+
+    const added = [];
+    const removed = [];
+    const changed = [];
+    let unchanged = 0;
+
+    fromIndex.forEach((item, matchKey) => {
+      if (!toIndex.has(matchKey)) {
+        removed.push(item);
+        return;
+      }
+
+      const changes = this.diffFields(item, toIndex.get(matchKey), fields);
+      if (changes.length > 0) {
+        changed.push({ key: matchKey, name: toIndex.get(matchKey).name, from: item, to: toIndex.get(matchKey), changes });
+      } else {
+        unchanged++;
+      }
+    });
+
+    toIndex.forEach((item, matchKey) => {
+      if (!fromIndex.has(matchKey)) {
+        added.push(item);
+      }
+    });
+
+    return { added, removed, changed, unchanged };
+  }
+
+  /**
+   * Structured changeset between two version snapshots
+   * @param {Object} from - Snapshot of the old version
+   * @param {Object} to - Snapshot of the new version
+   * @returns {Object} {from, to, fields, entities, summary}
+   */
+  static diffSnapshots(from, to) {
+    const entities = {};
+    const summary = { added: 0, removed: 0, changed: 0, identical: true };
+
+    Object.keys(ENTITY_TYPES).forEach(type => {
+      entities[type] = this.diffEntities(from.entities[type] || [], to.entities[type] || [], ENTITY_TYPES[type]);
+      summary.added += entities[type].added.length;
+      summary.removed += entities[type].removed.length;
+      summary.changed += entities[type].changed.length;
+    });
+
+    const fields = this.diffFields(from.version, to.version, VERSION_FIELDS);
+    summary.fieldsChanged = fields.length;
+    summary.identical = fields.length === 0 && summary.added + summary.removed + summary.changed === 0;
+
+    return {
+      practiceId: to.version.practiceId,
+      from: { id: from.version.id, versionName: from.version.versionName, status: from.version.status },
+      to: { id: to.version.id, versionName: to.version.versionName, status: to.version.status },
+      fields,
+      entities,
+      summary
+    };
+  }
+
+  /**
+   * Load a version and all of its content
+   * @param {number} practiceVersionId - The practice version's ID
+   * @returns {Object|null} {version, entities} or null when the version does not exist
+   */
+  static async snapshot(practiceVersionId) {
+    const version = await PracticeVersion.findById(practiceVersionId);
+    if (!version) {
+      return null;
+    }
+
+    const entities = {};
+    for (const type of Object.keys(ENTITY_TYPES)) {
+      const result = await pool.query(SNAPSHOT_QUERIES[type], [version.id]);
+      entities[type] = result.rows.map(normalizeRow);
+    }
+
+    return { version: version.toJSON(), entities };
+  }
+
+  /**
+   * Compare two versions of the same practice
+   * @param {number} fromVersionId - The old version's ID
+   * @param {number} toVersionId - The new version's ID
+   * @returns {Object|null} Changeset, or null when either version does not exist
+   */
+  static async compareVersions(fromVersionId, toVersionId) {
+    const from = await this.snapshot(fromVersionId);
+    const to = await this.snapshot(toVersionId);
+
+    if (!from || !to) {
+      return null;
+    }
+    if (from.version.practiceId !== to.version.practiceId) {
+      throw new Error('Versions belong to different practices');
+    }
+
+    return this.diffSnapshots(from, to);
+  }
+
+  /**
+   * Copy all content of one version into another, inside the caller's transaction
+   * @param {Object} client - Connected pool client
+   * @param {number} sourceId - The version to copy from
+   * @param {number} targetId - The version to copy into
+   * @param {number} personId - Recorded as the author of copied content
+   */
+  static async copyContent(client, sourceId, targetId, personId) {
+    for (const statement of COPY_STATEMENTS) {
+      // Postgres rejects parameters a statement does not use
+      const params = statement.includes('$3') ? [sourceId, targetId, personId] : [sourceId, targetId];
+      await client.query(statement, params);
+    }
+  }
+
+  /**
+   * Copy an older version forward as a new draft version of the practice
+   * @param {number} practiceVersionId - The version to restore
+   * @param {number} personId - The expert restoring it
+   * @param {Object} options - versionName, changeDescription (optional)
+   * @returns {PracticeVersion} The new draft version
+   */
+  static async restoreAsNewVersion(practiceVersionId, personId, options = {}) {
+    const source = await PracticeVersion.findById(practiceVersionId);
+    if (!source) {
+      throw new Error('Practice version not found');
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO practiceVersion (practiceId, universeId, versionName, changeDescription, lastUpdate, lastUpdateById, status)
+         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, $5, 'Draft')
+         RETURNING *`,
+        [
+          source.practiceId,
+          source.universeId,
+          options.versionName || `${source.versionName} (restored)`,
+          options.changeDescription || `Restored from version "${source.versionName}"`,
+          personId
+        ]
+      );
+      const restored = new PracticeVersion(result.rows[0]);
+
+      await this.copyContent(client, source.id, restored.id, personId);
+
+      await client.query('COMMIT');
+      return restored;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+PracticeVersionDiffService.ENTITY_TYPES = Object.keys(ENTITY_TYPES);
+PracticeVersionDiffService.ENTITY_DEFINITIONS = ENTITY_TYPES;
+
+module.exports = PracticeVersionDiffService;
@@ -1,73 +1,28 @@
 const pool = require('../config/database');
+const PracticeSearchService = require('./practiceSearchService');
 
 class QueryOptimizationService {
   
   /**
-   * Simple practice search with basic filtering
+   * Practice search with filtering, ranking and snippets (see PracticeSearchService)
+   * @param {string} searchTerm - Text searched in the practices and their latest published version
+   * @param {Object} filters - typeId, category, goalId, goalIds and tagIds
+   * @param {Object} pagination - limit and offset
+   * @returns {Object} {practices, totalCount}
    */
   static async searchPracticesOptimized(searchTerm, filters = {}, pagination = {}) {
-    const { typeId, goalId, category } = filters;
     const { limit = 20, offset = 0 } = pagination;
-    
-    let whereConditions = [];
-    let params = [];
-    let paramIndex = 1;
-    
-    // Simple text search on name and description
-    if (searchTerm && searchTerm.trim()) {
-      whereConditions.push(`(
-        LOWER(p.name) LIKE LOWER($${paramIndex}) OR
-        LOWER(p.description) LIKE LOWER($${paramIndex})
-      )`);
-      params.push(`%${searchTerm.trim()}%`);
-      paramIndex++;
-    }
-    
-    // Type filter
-    if (typeId) {
-      whereConditions.push(`p.typeId = $${paramIndex}`);
-      params.push(typeId);
-      paramIndex++;
-    }
-    
-    // Goal filter (requires join with practice-goal association)
-    if (goalId) {
-      whereConditions.push(`EXISTS (
-        SELECT 1 FROM practiceGoal pg 
-        WHERE pg.practiceVersionId = pv.id AND pg.goalId = $${paramIndex}
-      )`);
-      params.push(goalId);
-      paramIndex++;
-    }
-    
-    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
-    
-    const query = `
-      SELECT
-        p.id,
-        p.name,
-        p.objective,
-        p.description,
-        p.typeId,
-        pv.id as versionId,
-        pv.versionName,
-        pv.lastUpdate,
-        COUNT(*) OVER() as total_count
-      FROM Practice p
-      INNER JOIN practiceVersion pv ON p.id = pv.practiceId
-      ${whereClause}
-      ORDER BY p.name ASC
-      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
-    `;
-    
-    params.push(limit, offset);
-    
-    const result = await pool.query(query, params);
-    
-    return {
-      practices: result.rows,
-      totalCount: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
-    };
+    return PracticeSearchService.search(Object.assign({}, filters, { query: searchTerm, limit, offset }));
+  }
+
+  /**
+   * Count the practices matching a search per tag, type and goal
+   * @param {string} searchTerm - Same search as searchPracticesOptimized
+   * @param {Object} filters - Same filters as searchPracticesOptimized
+   * @returns {Object} {tags, types, goals}
+   */
+  static async getPracticeFacets(searchTerm, filters = {}) {
+    return PracticeSearchService.facets(searchTerm, filters);
   }
   
   /**
@@ -123,8 +78,9 @@ class QueryOptimizationService {
         pv.versionName,
         pv.lastUpdate
       FROM Practice p
-      LEFT JOIN practiceVersion pv ON p.id = pv.practiceId
+      INNER JOIN practiceVersion pv ON p.id = pv.practiceId AND pv.status = 'Published' AND pv.forkedFromId IS NULL
       WHERE p.id = $1
+      ORDER BY pv.publishedAt DESC NULLS LAST, pv.versionTimestamp DESC
       LIMIT 1
     `;
     
@@ -134,7 +90,14 @@ class QueryOptimizationService {
       return null;
     }
     
-    return result.rows[0];
+    const practice = result.rows[0];
+    const criteria = await pool.query(
+      'SELECT id, name, description FROM completionCriteria WHERE practiceVersionId = $1 ORDER BY id',
+      [practice.versionid]
+    );
+    practice.completionCriteria = criteria.rows;
+    
+    return practice;
   }
   
   /**
@@ -5,21 +5,61 @@ const Practice = require('../models/Practice');
 const Goal = require('../models/Goal');
 const Context = require('../models/Context');
 const Recommendation = require('../models/Recommendation');
+const PracticeAssociation = require('../models/PracticeAssociation');
+const ExperienceFeedback = require('../models/ExperienceFeedback');
 const PersonalityService = require('./personalityService');
+const TeamAggregationService = require('./teamAggregationService');
+const ContextMatchingService = require('./contextMatchingService');
+
+const DEFAULT_STRATEGY = TeamAggregationService.DEFAULT_STRATEGY;
+
+const RANKING_MODES = ['affinity', 'hybrid'];
+
+// Hybrid ranking: feedback from an unrelated context still counts a little,
+// and feedback never outweighs affinity by more than MAX_FEEDBACK_WEIGHT.
+const MIN_CONTEXT_WEIGHT = 0.2;
+const MAX_FEEDBACK_WEIGHT = 0.6;
+// Context-weighted rating count at which feedback reaches half its maximum weight
+const FEEDBACK_HALF_WEIGHT_EVIDENCE = 2;
+
+const CONTEXT_STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'our', 'des', 'les', 'une', 'pour', 'avec',
+  'project', 'projet', 'team', 'equipe', 'équipe'
+]);
+
+// Significant words of a free-text project context
+function tokenizeContext(text) {
+  if (!text) {
+    return new Set();
+  }
+  const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return new Set(words.filter(word => word.length >= 3 && !CONTEXT_STOP_WORDS.has(word)));
+}
 
 class RecommendationService {
   /**
-   * Find alternative practices that cover the same OARs with higher team affinity
+   * Find alternative practices for a problematic practice. Explicit "replaces"
+   * links authored by experts come first; other practices covering the same
+   * OARs with a higher team affinity are inferred from goal overlap.
    * @param {number} practiceVersionId - The problematic practice version ID
    * @param {Array} teamMemberIds - Array of team member person IDs
-   * @param {number} minAffinityImprovement - Minimum affinity improvement required (default: 10)
-   * @returns {Array} Alternative practices with same objectives and higher affinity
+   * @param {number} minAffinityImprovement - Minimum affinity improvement required for inferred alternatives (default: 10)
+   * @param {Map} affinityMap - Precomputed team affinity statistics keyed by practice version ID (optional)
+   * @param {string} strategy - Aggregation strategy comparing the practices (default: average)
+   * @returns {Array} Alternative practices, explicit replacements first
    */
-  static async findAlternativePractices(practiceVersionId, teamMemberIds, minAffinityImprovement = 10) {
+  static async findAlternativePractices(practiceVersionId, teamMemberIds, minAffinityImprovement = 10, affinityMap = null, strategy = DEFAULT_STRATEGY) {
     try {
-      // Get the current practice's team affinity
-      const currentAffinity = await PersonalityService.calculateTeamAffinity(teamMemberIds, practiceVersionId);
-      
+      // Practices experts declared as replacing the current one
+      const links = (await PracticeAssociation.findAll({ practiceVersionId, type: 'replaces' }))
+        .filter(link => link.targetPracticeVersionId === parseInt(practiceVersionId));
+      const recommendableResult = links.length === 0 ? { rows: [] } : await pool.query(
+        `SELECT id FROM (${PracticeVersion.RECOMMENDABLE_VERSION_IDS}) recommendable WHERE id = ANY($1::int[])`,
+        [links.map(link => link.sourcePracticeVersionId)]
+      );
+      const recommendableIds = new Set(recommendableResult.rows.map(row => row.id));
+      const replacements = links.filter(link => recommendableIds.has(link.sourcePracticeVersionId));
+
       // Get the goals (OARs) covered by the current practice
       const goalsResult = await pool.query(`
         SELECT DISTINCT g.id, g.name, g.description
@@ -31,12 +71,12 @@ class RecommendationService {
       
       const currentGoals = goalsResult.rows;
       
-      if (currentGoals.length === 0) {
+      if (currentGoals.length === 0 && replacements.length === 0) {
         return [];
       }
       
       // Find other practices that cover the same goals
-      const alternativesResult = await pool.query(`
+      const alternativesResult = currentGoals.length === 0 ? { rows: [] } : await pool.query(`
         SELECT DISTINCT pv.id, pv.practiceId, p.name, p.description, p.objective
         FROM practiceVersion pv
         JOIN Practice p ON pv.practiceId = p.id
@@ -44,17 +84,59 @@ class RecommendationService {
         JOIN recommendationGoal rg ON r.id = rg.recommendationId
         WHERE rg.goalId = ANY($1::int[])
           AND pv.id != $2
+          AND pv.id IN (${PracticeVersion.RECOMMENDABLE_VERSION_IDS})
         GROUP BY pv.id, pv.practiceId, p.name, p.description, p.objective
         HAVING COUNT(DISTINCT rg.goalId) >= $3
       `, [currentGoals.map(g => g.id), practiceVersionId, Math.ceil(currentGoals.length * 0.7)]);
       
+      // Score the current practice and all alternatives in one pass
+      const statsByPractice = affinityMap || await PersonalityService.calculateTeamAffinityBatch(
+        teamMemberIds,
+        [
+          practiceVersionId,
+          ...replacements.map(link => link.sourcePracticeVersionId),
+          ...alternativesResult.rows.map(alt => alt.id)
+        ]
+      );
+      const affinityOf = (id) => statsByPractice.get(parseInt(id)) ||
+        PersonalityService.emptyTeamAffinity(teamMemberIds.length);
+      const currentAffinity = affinityOf(practiceVersionId);
+      const currentAggregation = TeamAggregationService.score(currentAffinity, strategy);
+
+      const explicit = replacements.map(link => {
+        const altAffinity = affinityOf(link.sourcePracticeVersionId);
+        const altAggregation = TeamAggregationService.score(altAffinity, strategy);
+        const improvement = Math.round((altAggregation.score - currentAggregation.score) * 100) / 100;
+        return {
+          practiceVersionId: link.sourcePracticeVersionId,
+          practiceId: link.sourcePracticeId,
+          name: link.sourceName,
+          currentAffinity: currentAffinity,
+          alternativeAffinity: altAffinity,
+          aggregation: altAggregation,
+          affinityImprovement: improvement,
+          sharedGoals: currentGoals,
+          explicit: true,
+          associationId: link.id,
+          recommended: true,
+          reason: `Expert-defined replacement for this practice (${improvement >= 0 ? '+' : ''}${Math.round(improvement)} affinity points)`
+        };
+      });
+      const explicitIds = new Set(explicit.map(alt => alt.practiceVersionId));
+
       const alternatives = [];
       
       for (const alt of alternativesResult.rows) {
-        const altAffinity = await PersonalityService.calculateTeamAffinity(teamMemberIds, alt.id);
+        if (explicitIds.has(alt.id)) {
+          continue;
+        }
+
+        const altAffinity = affinityOf(alt.id);
+        const altAggregation = TeamAggregationService.score(altAffinity, strategy);
+        const improvement = Math.round((altAggregation.score - currentAggregation.score) * 100) / 100;
         
-        // Only include if affinity is significantly better
-        if (altAffinity.average > currentAffinity.average + minAffinityImprovement) {
+        // Only include if the group score is significantly better and not vetoed
+        if (!altAggregation.vetoed && improvement > minAffinityImprovement) {
           alternatives.push({
             practiceVersionId: alt.id,
             practiceId: alt.practiceid,
@@ -63,24 +145,101 @@ class RecommendationService {
             objective: alt.objective,
             currentAffinity: currentAffinity,
             alternativeAffinity: altAffinity,
-            affinityImprovement: altAffinity.average - currentAffinity.average,
+            aggregation: altAggregation,
+            affinityImprovement: improvement,
             sharedGoals: currentGoals,
+            explicit: false,
             recommended: true,
-            reason: `Higher team affinity (+${Math.round(altAffinity.average - currentAffinity.average)} points)`
+            reason: `Higher team affinity (+${Math.round(improvement)} points)`
           });
         }
       }
       
-      // Sort by affinity improvement (descending)
+      // Sort by affinity improvement (descending), explicit replacements first
+      explicit.sort((a, b) => b.affinityImprovement - a.affinityImprovement);
       alternatives.sort((a, b) => b.affinityImprovement - a.affinityImprovement);
       
-      return alternatives;
+      return [...explicit, ...alternatives];
     } catch (error) {
       console.error('Error finding alternative practices:', error);
       throw error;
     }
   }
 
+  /**
+   * Check a set of active practices against typed practice associations
+   * @param {Array} activePracticeVersionIds - Practice version IDs active for the team
+   * @param {Array} associations - Practice associations touching those practices
+   * @returns {Array} Warnings for missing requirements, conflicts and redundant replacements
+   */
+  static findAssociationWarnings(activePracticeVersionIds, associations) {
+    const active = new Set(activePracticeVersionIds.map(id => parseInt(id)));
+    const warnings = [];
+
+    associations.forEach(link => {
+      const sourceActive = active.has(link.sourcePracticeVersionId);
+      const targetActive = active.has(link.targetPracticeVersionId);
+      const warning = {
+        associationId: link.id,
+        associationType: link.type,
+        practiceVersionId: link.sourcePracticeVersionId,
+        practiceId: link.sourcePracticeId,
+        practiceName: link.sourceName,
+        relatedPracticeVersionId: link.targetPracticeVersionId,
+        relatedPracticeId: link.targetPracticeId,
+        relatedPracticeName: link.targetName
+      };
+
+      if (link.type === 'requires' && sourceActive && !targetActive) {
+        warnings.push({
+          ...warning,
+          type: 'missing_requirement',
+          message: `${link.sourceName} requires ${link.targetName}, which is not active`
+        });
+      } else if (link.type === 'conflicts_with' && sourceActive && targetActive) {
+        warnings.push({
+          ...warning,
+          type: 'conflict',
+          message: `${link.sourceName} conflicts with ${link.targetName}`
+        });
+      } else if (link.type === 'replaces' && sourceActive && targetActive) {
+        warnings.push({
+          ...warning,
+          type: 'redundant',
+          message: `${link.sourceName} replaces ${link.targetName}; both are active`
+        });
+      }
+    });
+
+    return warnings;
+  }
+
+  /**
+   * Get association warnings for a set of active practices
+   * @param {Array} activePracticeVersionIds - Practice version IDs active for the team
+   * @returns {Array} Association warnings
+   */
+  static async getAssociationWarnings(activePracticeVersionIds) {
+    const associations = await PracticeAssociation.findForPracticeVersions(activePracticeVersionIds);
+    return this.findAssociationWarnings(activePracticeVersionIds, associations);
+  }
+
+  /**
+   * Get association warnings for the practices active in any of a team's universes
+   * @param {number} teamId - The team ID
+   * @returns {Array} Association warnings
+   */
+  static async getTeamAssociationWarnings(teamId) {
+    const activeResult = await pool.query(`
+      SELECT DISTINCT pvu.practiceVersionId
+      FROM PracticeVersionUniverse pvu
+      JOIN Universe u ON pvu.universeId = u.id
+      WHERE u.teamId = $1 AND pvu.isActive = true
+    `, [teamId]);
+
+    return this.getAssociationWarnings(activeResult.rows.map(row => row.practiceversionid));
+  }
+
   /**
    * Flag a practice as difficult for a team member
    * @param {number} personId - The person flagging the practice
@@ -111,24 +270,27 @@ class RecommendationService {
    * @param {Array} teamMemberIds - Array of team member person IDs
    * @param {number} contextId - Context ID for filtering recommendations
    * @param {Array} goalIds - Array of goal IDs to focus on (optional)
-   * @returns {Array} Context-filtered recommendations
+   * @param {string} strategy - Aggregation strategy producing the group score (default: average)
+   * @param {Object} contextProfile - Team context values keyed by indicator name (optional). Replaces
+   *   contextId: advice scoped to a context is kept when the context's indicators fit the profile
+   * @returns {Array} Context-filtered recommendations, with the contextMatch explanation when profiled
    */
-  static async getContextAwareRecommendations(teamMemberIds, contextId = null, goalIds = []) {
+  static async getContextAwareRecommendations(teamMemberIds, contextId = null, goalIds = [], strategy = DEFAULT_STRATEGY, contextProfile = null) {
     try {
       let query = `
         SELECT DISTINCT pv.id, pv.practiceId, p.name, p.description, p.objective,
-               r.description as recommendationText, r.typeId as recommendationType
+               r.description as recommendationText, r.typeId as recommendationType, r.contextId
         FROM practiceVersion pv
         JOIN Practice p ON pv.practiceId = p.id
         JOIN Recommendation r ON pv.id = r.practiceVersionId
-        WHERE 1=1
+        WHERE pv.id IN (${PracticeVersion.RECOMMENDABLE_VERSION_IDS})
       `;
       
       const params = [];
       let paramCount = 0;
       
       // Filter by context if provided
-      if (contextId) {
+      if (contextId && !contextProfile) {
         paramCount++;
         query += ` AND (r.contextId = $${paramCount} OR r.contextId IS NULL)`;
         params.push(contextId);
@@ -149,10 +311,27 @@ class RecommendationService {
       query += ` AND r.typeId = 1`;  // Assuming 1 = Helpful
       
       const result = await pool.query(query, params);
+
+      // Match the profile against the indicators of the contexts the advice is scoped to
+      let rows = result.rows;
+      let contextMatches = null;
+      if (contextProfile) {
+        const contextIds = Array.from(new Set(rows.filter(row => row.contextid).map(row => row.contextid)));
+        contextMatches = contextIds.length > 0
+          ? await ContextMatchingService.matchContexts(contextProfile, contextIds)
+          : new Map();
+        rows = rows.filter(row => !row.contextid || (contextMatches.get(row.contextid) || {}).applies);
+      }
+
+      const statsByPractice = await PersonalityService.calculateTeamAffinityBatch(
+        teamMemberIds,
+        rows.map(row => row.id)
+      );
       const recommendations = [];
       
-      for (const row of result.rows) {
-        const teamAffinity = await PersonalityService.calculateTeamAffinity(teamMemberIds, row.id);
+      for (const row of rows) {
+        const teamAffinity = statsByPractice.get(row.id);
+        const aggregation = TeamAggregationService.score(teamAffinity, strategy);
         
         recommendations.push({
           practiceVersionId: row.id,
@@ -163,13 +342,15 @@ class RecommendationService {
           recommendationText: row.recommendationtext,
           recommendationType: row.recommendationtype,
           teamAffinity: teamAffinity,
-          contextFiltered: contextId !== null,
-          recommended: teamAffinity.average >= 50
+          aggregation,
+          contextFiltered: contextId !== null || contextProfile !== null,
+          contextMatch: contextMatches && row.contextid ? contextMatches.get(row.contextid) : null,
+          recommended: !aggregation.vetoed && aggregation.score >= 50
         });
       }
       
-      // Sort by team affinity (descending)
-      recommendations.sort((a, b) => b.teamAffinity.average - a.teamAffinity.average);
+      // Sort by group score (descending), vetoed practices last
+      recommendations.sort(TeamAggregationService.compare);
       
       return recommendations;
     } catch (error) {
@@ -178,6 +359,122 @@ class RecommendationService {
     }
   }
 
+  /**
+   * Similarity of two free-text project contexts (Jaccard index of their significant words)
+   * @param {string} contextA - First project context
+   * @param {string} contextB - Second project context
+   * @returns {number} Similarity between 0 and 1
+   */
+  static contextSimilarity(contextA, contextB) {
+    const wordsA = tokenizeContext(contextA);
+    const wordsB = tokenizeContext(contextB);
+    if (wordsA.size === 0 || wordsB.size === 0) {
+      return 0;
+    }
+
+    let shared = 0;
+    wordsA.forEach(word => {
+      if (wordsB.has(word)) {
+        shared++;
+      }
+    });
+
+    return shared / (wordsA.size + wordsB.size - shared);
+  }
+
+  /**
+   * Blend team affinity with validated feedback ratings weighted by context similarity
+   * @param {Object} teamAffinity - Team affinity statistics of the practice
+   * @param {Array} ratings - Validated ratings as {rating, projectContext}
+   * @param {string|null} projectContext - The team's project context (optional)
+   * @param {number|null} groupScore - Group score from the aggregation strategy (defaults to the average)
+   * @returns {Object} Hybrid score (0-100) and the value and weight of each signal
+   */
+  static blendSignals(teamAffinity, ratings = [], projectContext = null, groupScore = null) {
+    let evidence = 0;
+    let weightedSum = 0;
+    let similarCount = 0;
+
+    ratings.forEach(({ rating, projectContext: feedbackContext }) => {
+      let weight = 1;
+      if (projectContext) {
+        const similarity = this.contextSimilarity(projectContext, feedbackContext);
+        weight = MIN_CONTEXT_WEIGHT + (1 - MIN_CONTEXT_WEIGHT) * similarity;
+        if (similarity > 0) {
+          similarCount++;
+        }
+      }
+      evidence += weight;
+      weightedSum += weight * rating;
+    });
+
+    const weightedRating = evidence > 0 ? weightedSum / evidence : null;
+    const feedbackScore = weightedRating !== null ? ((weightedRating - 1) / 4) * 100 : null;
+    const feedbackWeight = evidence > 0
+      ? MAX_FEEDBACK_WEIGHT * evidence / (evidence + FEEDBACK_HALF_WEIGHT_EVIDENCE)
+      : 0;
+    const affinityWeight = 1 - feedbackWeight;
+    const affinityScore = groupScore !== null ? groupScore : (teamAffinity ? teamAffinity.average : 0);
+    const score = affinityWeight * affinityScore + (feedbackScore !== null ? feedbackWeight * feedbackScore : 0);
+
+    return {
+      mode: 'hybrid',
+      score: Math.round(score * 100) / 100,
+      signals: {
+        teamAffinity: {
+          value: affinityScore,
+          weight: Math.round(affinityWeight * 1000) / 1000
+        },
+        experienceFeedback: {
+          value: feedbackScore !== null ? Math.round(feedbackScore * 100) / 100 : null,
+          weight: Math.round(feedbackWeight * 1000) / 1000,
+          weightedRating: weightedRating !== null ? Math.round(weightedRating * 10) / 10 : null,
+          ratingCount: ratings.length,
+          similarContextCount: projectContext ? similarCount : ratings.length
+        }
+      }
+    };
+  }
+
+  /**
+   * Rank recommendations by the hybrid score, using preloaded feedback ratings
+   * @param {Array} recommendations - Recommendations with a teamAffinity
+   * @param {Map} ratingsByPractice - Validated ratings keyed by practice version ID
+   * @param {string|null} projectContext - The team's project context (optional)
+   * @returns {Array} Recommendations with a ranking, sorted by hybrid score (descending), vetoed practices last
+   */
+  static rankHybrid(recommendations, ratingsByPractice, projectContext = null) {
+    const vetoed = (rec) => (rec.aggregation && rec.aggregation.vetoed ? 1 : 0);
+
+    return recommendations
+      .map(rec => {
+        const practiceVersionId = rec.practiceVersionId || (rec.practice && rec.practice.id);
+        return {
+          ...rec,
+          ranking: this.blendSignals(
+            rec.teamAffinity,
+            ratingsByPractice.get(practiceVersionId) || [],
+            projectContext,
+            rec.aggregation ? rec.aggregation.score : null
+          )
+        };
+      })
+      .sort((a, b) => (vetoed(a) - vetoed(b)) || (b.ranking.score - a.ranking.score));
+  }
+
+  /**
+   * Load validated feedback and rank recommendations by the hybrid score
+   * @param {Array} recommendations - Recommendations with a teamAffinity
+   * @param {string|null} projectContext - The team's project context (optional)
+   * @returns {Array} Recommendations with a ranking, sorted by hybrid score (descending)
+   */
+  static async applyHybridRanking(recommendations, projectContext = null) {
+    const ratingsByPractice = await ExperienceFeedback.findValidatedRatings(
+      recommendations.map(rec => rec.practiceVersionId || (rec.practice && rec.practice.id))
+    );
+    return this.rankHybrid(recommendations, ratingsByPractice, projectContext);
+  }
+
   /**
    * Get comprehensive recommendations for a team covering multiple scenarios
    * @param {Array} teamMemberIds - Array of team member person IDs
@@ -190,13 +487,23 @@ class RecommendationService {
       contextId = null,
       goalIds = [],
       includeDifficult = true,
-      includeAlternatives = true
+      includeAlternatives = true,
+      ranking = 'affinity',
+      projectContext = null,
+      strategy = DEFAULT_STRATEGY
     } = options;
+
+    if (!RANKING_MODES.includes(ranking)) {
+      throw new Error(`Ranking must be one of ${RANKING_MODES.join(', ')}`);
+    }
+    const aggregation = TeamAggregationService.describe(strategy);
     
     try {
       const report = {
         teamMemberIds,
         generatedAt: new Date(),
+        ranking: { mode: ranking },
+        aggregation,
         recommendations: {
           highAffinity: [],
           lowAffinity: [],
@@ -211,10 +518,15 @@ class RecommendationService {
         }
       };
       
+      // Score every practice once and share the statistics across all scenarios
+      const affinityMap = await PersonalityService.calculateTeamAffinityBatch(teamMemberIds);
+
       // Get basic team recommendations
       const basicRecommendations = await PersonalityService.getTeamPracticeRecommendations(
         teamMemberIds, 
-        minAffinityThreshold
+        minAffinityThreshold,
+        affinityMap,
+        strategy
       );
       
       report.recommendations.highAffinity = basicRecommendations.filter(r => r.recommended);
@@ -225,7 +537,8 @@ class RecommendationService {
         report.recommendations.contextAware = await this.getContextAwareRecommendations(
           teamMemberIds, 
           contextId, 
-          goalIds
+          goalIds,
+          strategy
         );
       }
       
@@ -234,12 +547,29 @@ class RecommendationService {
         for (const problematic of report.recommendations.lowAffinity) {
           const alternatives = await this.findAlternativePractices(
             problematic.practice.id,
-            teamMemberIds
+            teamMemberIds,
+            10,
+            affinityMap,
+            strategy
           );
           report.recommendations.alternatives.push(...alternatives);
         }
       }
       
+      // Re-rank every list by affinity blended with context-weighted feedback
+      if (ranking === 'hybrid') {
+        const lists = ['highAffinity', 'lowAffinity', 'contextAware'];
+        const ratingsByPractice = await ExperienceFeedback.findValidatedRatings([
+          ...new Set(lists.flatMap(list => report.recommendations[list]
+            .map(rec => rec.practiceVersionId || rec.practice.id)))
+        ]);
+        lists.forEach(list => {
+          report.recommendations[list] = this.rankHybrid(report.recommendations[list], ratingsByPractice, projectContext);
+        });
+        report.ranking.projectContext = projectContext;
+        report.ranking.maxFeedbackWeight = MAX_FEEDBACK_WEIGHT;
+      }
+
       // Generate summary
       report.summary.totalPractices = basicRecommendations.length;
       report.summary.recommendedCount = report.recommendations.highAffinity.length;
@@ -256,9 +586,10 @@ class RecommendationService {
   /**
    * Get flagged practices for a team with suggested alternatives
    * @param {Array} teamMemberIds - Array of team member person IDs
+   * @param {string} strategy - Aggregation strategy comparing alternatives (default: average)
    * @returns {Array} Flagged practices with alternatives
    */
-  static async getFlaggedPracticesWithAlternatives(teamMemberIds) {
+  static async getFlaggedPracticesWithAlternatives(teamMemberIds, strategy = DEFAULT_STRATEGY) {
     try {
       const flaggedResult = await pool.query(`
         SELECT DISTINCT pdf.practiceVersionId, pdf.reason, 
@@ -273,11 +604,17 @@ class RecommendationService {
       `, [teamMemberIds]);
       
       const flaggedPractices = [];
+      const affinityMap = flaggedResult.rows.length > 0
+        ? await PersonalityService.calculateTeamAffinityBatch(teamMemberIds)
+        : null;
       
       for (const flagged of flaggedResult.rows) {
         const alternatives = await this.findAlternativePractices(
           flagged.practiceversionid,
-          teamMemberIds
+          teamMemberIds,
+          10,
+          affinityMap,
+          strategy
         );
         
         flaggedPractices.push({
@@ -297,6 +634,234 @@ class RecommendationService {
       throw error;
     }
   }
+
+  /**
+   * Rank practice combinations that cover the goals with the best team affinity
+   * @param {Array} candidates - Practices as {practiceVersionId, goalIds, teamAffinity, aggregation}
+   * @param {Array} goalIds - Goal IDs the portfolio should cover
+   * @param {Object} options - maxPractices, mustKeep practice version IDs, limit
+   * @returns {Array} Portfolios ranked by coverage, then mean group score, then size
+   */
+  static rankPortfolios(candidates, goalIds, options = {}) {
+    const { maxPractices = 5, mustKeep = [], limit = 5 } = options;
+    const targetGoals = new Set(goalIds);
+    const byId = new Map(candidates.map(candidate => [candidate.practiceVersionId, candidate]));
+    const beamWidth = Math.max(limit * 3, 10);
+
+    // Group score from the aggregation strategy, the average when none was applied
+    const groupScore = (practice) => (practice.aggregation ? practice.aggregation.score : practice.teamAffinity.average);
+
+    const buildState = (ids) => {
+      const covered = new Set();
+      let affinityTotal = 0;
+      let scoreTotal = 0;
+      ids.forEach(id => {
+        const practice = byId.get(id);
+        practice.goalIds.forEach(goalId => {
+          if (targetGoals.has(goalId)) {
+            covered.add(goalId);
+          }
+        });
+        affinityTotal += practice.teamAffinity.average;
+        scoreTotal += groupScore(practice);
+      });
+      return {
+        ids,
+        covered,
+        averageAffinity: ids.length > 0 ? affinityTotal / ids.length : 0,
+        averageScore: ids.length > 0 ? scoreTotal / ids.length : 0
+      };
+    };
+
+    const compareStates = (a, b) =>
+      b.covered.size - a.covered.size ||
+      b.averageScore - a.averageScore ||
+      a.ids.length - b.ids.length;
+
+    // Beam search: grow the must-keep set one goal-covering practice at a time
+    const keep = mustKeep.filter(id => byId.has(id));
+    const seen = new Set();
+    const finished = [];
+    let beam = [buildState(keep)];
+    seen.add([...keep].sort((a, b) => a - b).join(','));
+
+    while (beam.length > 0) {
+      const next = [];
+
+      beam.forEach(state => {
+        let expanded = false;
+
+        if (state.ids.length < maxPractices && state.covered.size < targetGoals.size) {
+          candidates.forEach(candidate => {
+            if (state.ids.includes(candidate.practiceVersionId)) {
+              return;
+            }
+            if (!candidate.goalIds.some(goalId => targetGoals.has(goalId) && !state.covered.has(goalId))) {
+              return;
+            }
+
+            const ids = [...state.ids, candidate.practiceVersionId];
+            const key = [...ids].sort((a, b) => a - b).join(',');
+            if (seen.has(key)) {
+              return;
+            }
+            seen.add(key);
+            next.push(buildState(ids));
+            expanded = true;
+          });
+        }
+
+        if (!expanded) {
+          finished.push(state);
+        }
+      });
+
+      next.sort(compareStates);
+      beam = next.slice(0, beamWidth);
+    }
+
+    finished.sort(compareStates);
+
+    return finished.slice(0, limit).map(state => {
+      const practices = state.ids.map(id => byId.get(id));
+      const minimums = practices.map(practice => practice.teamAffinity.minimum);
+
+      return {
+        practices,
+        coveredGoalIds: goalIds.filter(goalId => state.covered.has(goalId)),
+        uncoveredGoalIds: goalIds.filter(goalId => !state.covered.has(goalId)),
+        coveragePercentage: goalIds.length > 0
+          ? Math.round((state.covered.size / goalIds.length) * 100)
+          : 100,
+        affinity: {
+          average: Math.round(state.averageAffinity * 100) / 100,
+          minimum: minimums.length > 0 ? Math.min(...minimums) : 0,
+          groupScore: Math.round(state.averageScore * 100) / 100
+        }
+      };
+    });
+  }
+
+  /**
+   * Build practice portfolios covering the team's goals (OARs) under constraints
+   * @param {Array} teamMemberIds - Array of team member person IDs
+   * @param {Object} options - maxPractices, mustKeep, excluded, minMemberAffinity, goalIds, limit, strategy
+   * @returns {Object} Ranked portfolios with their coverage and affinity trade-offs
+   */
+  static async optimizePracticePortfolio(teamMemberIds, options = {}) {
+    const {
+      maxPractices = 5,
+      mustKeep = [],
+      excluded = [],
+      minMemberAffinity = 0,
+      goalIds = [],
+      limit = 5,
+      strategy = DEFAULT_STRATEGY
+    } = options;
+
+    const aggregation = TeamAggregationService.describe(strategy);
+
+    if (mustKeep.length > maxPractices) {
+      throw new Error('Must-keep practices exceed the maximum number of practices');
+    }
+    if (mustKeep.some(id => excluded.includes(id))) {
+      throw new Error('A practice cannot be both kept and excluded');
+    }
+
+    try {
+      // Goals each practice version covers, from direct links and from its recommendations
+      const linksResult = await pool.query(`
+        SELECT pv.id, pv.practiceId, p.name,
+               ARRAY_AGG(DISTINCT links.goalId ORDER BY links.goalId) AS goalIds
+        FROM (
+          SELECT pg.practiceVersionId, pg.goalId FROM practiceGoal pg
+          UNION
+          SELECT r.practiceVersionId, rg.goalId
+          FROM recommendationGoal rg
+          JOIN Recommendation r ON rg.recommendationId = r.id
+        ) links
+        JOIN practiceVersion pv ON links.practiceVersionId = pv.id
+        JOIN Practice p ON pv.practiceId = p.id
+        WHERE pv.id IN (${PracticeVersion.RECOMMENDABLE_VERSION_IDS})
+        GROUP BY pv.id, pv.practiceId, p.name
+      `);
+
+      const goalsResult = goalIds.length > 0
+        ? await pool.query('SELECT id, name FROM Goal WHERE id = ANY($1::int[]) ORDER BY id', [goalIds])
+        : await pool.query('SELECT id, name FROM Goal ORDER BY id');
+      const goals = goalsResult.rows;
+
+      const statsByPractice = await PersonalityService.calculateTeamAffinityBatch(
+        teamMemberIds,
+        linksResult.rows.map(row => row.id)
+      );
+
+      const candidates = [];
+      const filteredOut = [];
+
+      linksResult.rows.forEach(row => {
+        const candidate = {
+          practiceVersionId: row.id,
+          practiceId: row.practiceid,
+          name: row.name,
+          goalIds: row.goalids,
+          teamAffinity: statsByPractice.get(row.id),
+          aggregation: TeamAggregationService.score(statsByPractice.get(row.id), strategy),
+          mustKeep: mustKeep.includes(row.id)
+        };
+
+        if (candidate.mustKeep) {
+          candidates.push(candidate);
+        } else if (excluded.includes(row.id)) {
+          filteredOut.push({ practiceVersionId: row.id, name: row.name, reason: 'excluded' });
+        } else if (candidate.teamAffinity.minimum < minMemberAffinity) {
+          filteredOut.push({ practiceVersionId: row.id, name: row.name, reason: 'below minimum member affinity' });
+        } else if (candidate.aggregation.vetoed) {
+          filteredOut.push({ practiceVersionId: row.id, name: row.name, reason: `vetoed by ${aggregation.label.toLowerCase()}` });
+        } else {
+          candidates.push(candidate);
+        }
+      });
+
+      const missingMustKeep = mustKeep.filter(id => !candidates.some(c => c.practiceVersionId === id));
+      if (missingMustKeep.length > 0) {
+        throw new Error(`Must-keep practices cover no goal: ${missingMustKeep.join(', ')}`);
+      }
+
+      const targetGoalIds = goals.map(goal => goal.id);
+      const portfolios = this.rankPortfolios(candidates, targetGoalIds, { maxPractices, mustKeep, limit });
+      const best = portfolios[0];
+
+      // Trade-offs are expressed against the top-ranked portfolio
+      portfolios.forEach((portfolio, index) => {
+        portfolio.rank = index + 1;
+        portfolio.tradeOff = {
+          coverageDelta: portfolio.coveredGoalIds.length - best.coveredGoalIds.length,
+          averageAffinityDelta: Math.round((portfolio.affinity.average - best.affinity.average) * 100) / 100,
+          minimumAffinityDelta: portfolio.affinity.minimum - best.affinity.minimum,
+          groupScoreDelta: Math.round((portfolio.affinity.groupScore - best.affinity.groupScore) * 100) / 100,
+          practiceCountDelta: portfolio.practices.length - best.practices.length
+        };
+      });
+
+      const reachable = new Set(candidates.flatMap(candidate => candidate.goalIds));
+
+      return {
+        teamMemberIds,
+        constraints: { maxPractices, mustKeep, excluded, minMemberAffinity },
+        aggregation,
+        goals,
+        unreachableGoals: goals.filter(goal => !reachable.has(goal.id)),
+        filteredOut,
+        portfolios
+      };
+    } catch (error) {
+      console.error('Error optimizing practice portfolio:', error);
+      throw error;
+    }
+  }
 }
 
+RecommendationService.RANKING_MODES = RANKING_MODES;
+
 module.exports = RecommendationService;
\ No newline at end of file
@@ -0,0 +1,162 @@
+// Strategies turning member affinities for a practice into one group score.
+// Each strategy reads the team affinity statistics (average, minimum, maximum,
+// standardDeviation) and may veto a practice that some member would suffer.
+const DEFAULT_STRATEGY = 'average';
+
+// Member affinity below which a practice counts as misery for that member
+const MISERY_THRESHOLD = 30;
+// Points removed per point of standard deviation by the fairness strategy
+const VARIANCE_PENALTY = 0.5;
+
+const strategies = new Map();
+
+class TeamAggregationService {
+
+  /**
+   * Register an aggregation strategy
+   * @param {string} name - Strategy name used in requests and team settings
+   * @param {Object} definition - {label, description, aggregate(teamAffinity, options)}
+   *   where aggregate returns {score} or {score, vetoed}
+   */
+  static register(name, definition) {
+    if (!name || !definition || typeof definition.aggregate !== 'function') {
+      throw new Error('Aggregation strategy needs a name and an aggregate function');
+    }
+
+    strategies.set(name, {
+      name,
+      label: definition.label || name,
+      description: definition.description || '',
+      aggregate: definition.aggregate
+    });
+  }
+
+  /**
+   * Names of the registered strategies
+   * @returns {Array} Strategy names
+   */
+  static names() {
+    return [...strategies.keys()];
+  }
+
+  /**
+   * Describe the registered strategies
+   * @returns {Array} Strategies as {name, label, description, default}
+   */
+  static list() {
+    return [...strategies.values()].map(({ name, label, description }) => ({
+      name,
+      label,
+      description,
+      default: name === DEFAULT_STRATEGY
+    }));
+  }
+
+  /**
+   * Check a strategy name against the registry
+   * @param {string} name - Strategy name
+   * @returns {Object} The strategy definition
+   */
+  static get(name) {
+    const strategy = strategies.get(name);
+    if (!strategy) {
+      throw new Error(`Aggregation strategy must be one of ${this.names().join(', ')}`);
+    }
+    return strategy;
+  }
+
+  /**
+   * Pick the strategy for a request: the requested one, else the team setting, else the default
+   * @param {string|null} requested - Strategy named in the request (optional)
+   * @param {Object|null} team - Team with an aggregationStrategy setting (optional)
+   * @returns {string} Registered strategy name
+   */
+  static resolve(requested = null, team = null) {
+    const name = requested || (team && team.aggregationStrategy) || DEFAULT_STRATEGY;
+    return this.get(name).name;
+  }
+
+  /**
+   * Describe the strategy an endpoint used, for its response
+   * @param {string} name - Strategy name
+   * @returns {Object} {strategy, label}
+   */
+  static describe(name) {
+    const strategy = this.get(name);
+    return { strategy: strategy.name, label: strategy.label };
+  }
+
+  /**
+   * Score one practice for the team with a strategy
+   * @param {Object} teamAffinity - Team affinity statistics of the practice
+   * @param {string} name - Strategy name (default: average)
+   * @param {Object} options - Strategy options (miseryThreshold, variancePenalty)
+   * @returns {Object} {strategy, score, vetoed}
+   */
+  static score(teamAffinity, name = DEFAULT_STRATEGY, options = {}) {
+    const strategy = this.get(name);
+    const stats = teamAffinity || { average: 0, minimum: 0, maximum: 0, standardDeviation: 0 };
+    const result = strategy.aggregate(stats, {
+      miseryThreshold: MISERY_THRESHOLD,
+      variancePenalty: VARIANCE_PENALTY,
+      ...options
+    });
+    const score = Math.min(100, Math.max(0, result.score || 0));
+
+    return {
+      strategy: strategy.name,
+      score: Math.round(score * 100) / 100,
+      vetoed: Boolean(result.vetoed)
+    };
+  }
+
+  /**
+   * Order items by their group score: vetoed practices last, then by score (descending)
+   * @param {Object} a - Item with an aggregation
+   * @param {Object} b - Item with an aggregation
+   * @returns {number} Sort comparison
+   */
+  static compare(a, b) {
+    return (a.aggregation.vetoed - b.aggregation.vetoed) || (b.aggregation.score - a.aggregation.score);
+  }
+}
+
+TeamAggregationService.register('average', {
+  label: 'Average',
+  description: 'Mean affinity of the members',
+  aggregate: (stats) => ({ score: stats.average })
+});
+
+TeamAggregationService.register('least_misery', {
+  label: 'Least misery',
+  description: 'Affinity of the least compatible member, so nobody is left behind',
+  aggregate: (stats) => ({ score: stats.minimum })
+});
+
+TeamAggregationService.register('most_pleasure', {
+  label: 'Most pleasure',
+  description: 'Affinity of the most enthusiastic member, who can champion the practice',
+  aggregate: (stats) => ({ score: stats.maximum })
+});
+
+TeamAggregationService.register('average_without_misery', {
+  label: 'Average without misery',
+  description: `Mean affinity, vetoing practices any member scores below ${MISERY_THRESHOLD}`,
+  aggregate: (stats, { miseryThreshold }) => ({
+    score: stats.average,
+    vetoed: stats.minimum < miseryThreshold
+  })
+});
+
+TeamAggregationService.register('fairness', {
+  label: 'Fairness',
+  description: `Mean affinity minus ${VARIANCE_PENALTY} point per point of standard deviation, favouring practices the team agrees on`,
+  aggregate: (stats, { variancePenalty }) => ({
+    score: stats.average - variancePenalty * (stats.standardDeviation || 0)
+  })
+});
+
+TeamAggregationService.DEFAULT_STRATEGY = DEFAULT_STRATEGY;
+TeamAggregationService.MISERY_THRESHOLD = MISERY_THRESHOLD;
+
+module.exports = TeamAggregationService;
@@ -0,0 +1,310 @@
+const pool = require('../config/database');
+const Team = require('../models/Team');
+const Person = require('../models/Person');
+const PracticeVersion = require('../models/PracticeVersion');
+const PersonPracticeAffinity = require('../models/PersonPracticeAffinity');
+const PracticeTraitProfile = require('../models/PracticeTraitProfile');
+const PersonalityService = require('./personalityService');
+const TeamAggregationService = require('./teamAggregationService');
+
+const TRAITS = ['o', 'c', 'e', 'a', 'n'];
+const MAX_CHANGES = 20;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class TeamSimulationService {
+
+  /**
+   * Aggregate member scores into team affinity statistics, as calculateTeamAffinityBatch does
+   * @param {Array} scores - Affinity scores of the members who have one
+   * @param {number} memberCount - Number of team members
+   * @returns {Object} Team affinity statistics
+   */
+  static aggregateScores(scores, memberCount) {
+    if (scores.length === 0) {
+      return PersonalityService.emptyTeamAffinity(memberCount);
+    }
+
+    const average = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    const variance = scores.reduce((sum, score) => sum + Math.pow(score - average, 2), 0) / scores.length;
+
+    return {
+      average: round(average),
+      minimum: Math.min(...scores),
+      maximum: Math.max(...scores),
+      standardDeviation: round(Math.sqrt(variance)),
+      memberCount,
+      individualScores: scores
+    };
+  }
+
+  /**
+   * Read a pasted Big Five profile. Scores are on the 0-1 scale used by
+   * stored profiles; a profile with any score above 1 is read as 0-100.
+   * @param {Object} profile - {o, c, e, a, n}
+   * @returns {Object} Profile with scores between 0 and 1
+   */
+  static normalizeProfile(profile) {
+    if (!profile || typeof profile !== 'object') {
+      throw new Error('Candidate profile must include o, c, e, a and n scores');
+    }
+
+    const raw = TRAITS.map(trait => profile[trait]);
+    if (raw.some(value => value === null || value === undefined || value === '' || isNaN(Number(value)))) {
+      throw new Error('Candidate profile must include o, c, e, a and n scores');
+    }
+    const values = raw.map(Number);
+
+    const scale = values.some(value => value > 1) ? 100 : 1;
+    if (values.some(value => value < 0 || value > scale)) {
+      throw new Error('Candidate profile scores must be between 0 and 1 (or 0 and 100)');
+    }
+
+    const normalized = {};
+    TRAITS.forEach((trait, index) => {
+      normalized[trait] = values[index] / scale;
+    });
+    return normalized;
+  }
+
+  /**
+   * Compare team affinity statistics before and after a change
+   * @param {Object} before - Team affinity statistics today
+   * @param {Object} after - Team affinity statistics in the scenario
+   * @param {string} strategy - Aggregation strategy producing the group score
+   * @param {number} minAffinityThreshold - Minimum group score to recommend a practice
+   * @returns {Object} {before, after, delta} with the group score and status on both sides
+   */
+  static comparePractice(before, after, strategy, minAffinityThreshold) {
+    const describe = (stats) => ({
+      average: stats.average,
+      minimum: stats.minimum,
+      maximum: stats.maximum,
+      standardDeviation: stats.standardDeviation,
+      groupScore: TeamAggregationService.score(stats, strategy).score,
+      status: PersonalityService.classifyTeamAffinity(stats, minAffinityThreshold, strategy)
+    });
+    const was = describe(before);
+    const will = describe(after);
+
+    return {
+      before: was,
+      after: will,
+      delta: {
+        average: round(will.average - was.average),
+        minimum: will.minimum - was.minimum,
+        standardDeviation: round(will.standardDeviation - was.standardDeviation),
+        groupScore: round(will.groupScore - was.groupScore)
+      }
+    };
+  }
+
+  /**
+   * Share of goals covered by at least one recommended practice
+   * @param {Array} goals - Goals as {id, name}
+   * @param {Map} goalIdsByPractice - Goal IDs keyed by practice version ID
+   * @param {Array} recommendedIds - Recommended practice version IDs
+   * @returns {Object} {coveredGoalIds, percentage}
+   */
+  static goalCoverage(goals, goalIdsByPractice, recommendedIds) {
+    const covered = new Set();
+    recommendedIds.forEach(id => {
+      (goalIdsByPractice.get(id) || []).forEach(goalId => covered.add(goalId));
+    });
+    const coveredGoalIds = goals.map(goal => goal.id).filter(id => covered.has(id));
+
+    return {
+      coveredGoalIds,
+      percentage: goals.length > 0 ? Math.round((coveredGoalIds.length / goals.length) * 100) : 0
+    };
+  }
+
+  /**
+   * Simulate adding and removing team members without persisting anything
+   * @param {number} teamId - The team's ID
+   * @param {Object} changes - add (person IDs or {name, profile} candidates), remove (person IDs),
+   *   strategy, minAffinityThreshold
+   * @param {Object} requester - The person running the simulation ({ personId, teamRole }); without
+   *   the team's manage permission they may only add people who share one of their teams
+   * @returns {Object} Per-practice deltas, recommendation line crossings and goal coverage change
+   */
+  static async simulateTeamChange(teamId, changes = {}, requester = {}) {
+    const { add = [], remove = [], minAffinityThreshold = 60 } = changes;
+
+    if (!Array.isArray(add) || !Array.isArray(remove)) {
+      throw new Error('Additions and removals must be arrays');
+    }
+    if (add.length + remove.length === 0) {
+      throw new Error('At least one addition or removal is required');
+    }
+    if (add.length + remove.length > MAX_CHANGES) {
+      throw new Error(`A simulation accepts at most ${MAX_CHANGES} changes`);
+    }
+
+    const team = await Team.findById(teamId);
+    if (!team) {
+      throw new Error('Team not found');
+    }
+    const strategy = TeamAggregationService.resolve(changes.strategy, team);
+
+    const members = await team.getMembers();
+    const currentIds = members.map(member => member.id);
+
+    const removedIds = remove.map(id => parseInt(id));
+    removedIds.forEach(id => {
+      if (isNaN(id)) {
+        throw new Error('Person IDs must be numbers');
+      }
+      if (!currentIds.includes(id)) {
+        throw new Error(`Person ${id} is not a team member`);
+      }
+    });
+
+    // Additions are existing people (by ID) or candidates with a pasted profile
+    const addedIds = [];
+    const candidates = [];
+    for (const entry of add) {
+      const personId = typeof entry === 'object' && entry !== null ? entry.personId : entry;
+
+      if (personId !== undefined && personId !== null) {
+        const id = parseInt(personId);
+        if (isNaN(id)) {
+          throw new Error('Person IDs must be numbers');
+        }
+        if (currentIds.includes(id) || addedIds.includes(id)) {
+          throw new Error(`Person ${id} is already a team member`);
+        }
+        // Stored affinities are personal: other people come in as candidates with a pasted profile.
+        // The same answer for unknown people keeps the check from revealing who has an account.
+        if (!Team.can(requester.teamRole, 'manage') &&
+            !(requester.personId && await Team.shareTeam(requester.personId, id))) {
+          throw new Error(`Person ${id} is not in any of your teams; add them as a candidate with a profile`);
+        }
+        const person = await Person.findById(id);
+        if (!person) {
+          throw new Error(`Person ${id} not found`);
+        }
+        addedIds.push(id);
+      } else {
+        candidates.push({
+          key: `candidate-${candidates.length + 1}`,
+          name: (entry && entry.name) || `Candidate ${candidates.length + 1}`,
+          profile: this.normalizeProfile(entry && entry.profile)
+        });
+      }
+    }
+
+    const scenarioIds = [...currentIds.filter(id => !removedIds.includes(id)), ...addedIds];
+    const scenarioCount = scenarioIds.length + candidates.length;
+
+    const practicesResult = await pool.query(
+      `SELECT pv.id, pv.practiceId, p.name
+       FROM practiceVersion pv
+       JOIN Practice p ON pv.practiceId = p.id
+       WHERE pv.id IN (${PracticeVersion.RECOMMENDABLE_VERSION_IDS})
+       ORDER BY pv.id`
+    );
+    const practiceVersionIds = practicesResult.rows.map(row => row.id);
+
+    // Stored scores of everyone involved, one per person and practice as in the team aggregates
+    const storedResult = await pool.query(
+      `SELECT DISTINCT ON (personId, practiceVersionId) personId, practiceVersionId, affinity
+       FROM personPracticeAffinity
+       WHERE personId = ANY($1::int[])
+       ORDER BY personId, practiceVersionId, id`,
+      [[...currentIds, ...addedIds]]
+    );
+    const storedScores = new Map();
+    storedResult.rows.forEach(row => {
+      if (!storedScores.has(row.practiceversionid)) {
+        storedScores.set(row.practiceversionid, new Map());
+      }
+      storedScores.get(row.practiceversionid).set(row.personid, row.affinity);
+    });
+
+    const traitProfiles = candidates.length > 0
+      ? await PracticeTraitProfile.findByPracticeVersionIds(practiceVersionIds)
+      : new Map();
+
+    const goalLinksResult = await pool.query(`
+      SELECT links.practiceVersionId, ARRAY_AGG(DISTINCT links.goalId) AS goalIds
+      FROM (
+        SELECT pg.practiceVersionId, pg.goalId FROM practiceGoal pg
+        UNION
+        SELECT r.practiceVersionId, rg.goalId
+        FROM recommendationGoal rg
+        JOIN Recommendation r ON rg.recommendationId = r.id
+      ) links
+      GROUP BY links.practiceVersionId
+    `);
+    const goalIdsByPractice = new Map(goalLinksResult.rows.map(row => [row.practiceversionid, row.goalids]));
+    const goals = (await pool.query('SELECT id, name FROM Goal ORDER BY id')).rows;
+
+    const scoresFor = (byPerson, personIds) => personIds
+      .filter(id => byPerson.has(id))
+      .map(id => byPerson.get(id));
+
+    const practices = practicesResult.rows.map(row => {
+      const byPerson = storedScores.get(row.id) || new Map();
+      const before = this.aggregateScores(scoresFor(byPerson, currentIds), currentIds.length);
+      const candidateScores = candidates.map(candidate =>
+        PersonPracticeAffinity.explainAffinity(candidate.profile, traitProfiles.get(row.id) || []).score
+      );
+      const after = this.aggregateScores(
+        [...scoresFor(byPerson, scenarioIds), ...candidateScores],
+        scenarioCount
+      );
+
+      return {
+        practiceVersionId: row.id,
+        practiceId: row.practiceid,
+        name: row.name,
+        ...this.comparePractice(before, after, strategy, minAffinityThreshold)
+      };
+    });
+
+    // Biggest changes first
+    practices.sort((a, b) => Math.abs(b.delta.groupScore) - Math.abs(a.delta.groupScore) ||
+      Math.abs(b.delta.minimum) - Math.abs(a.delta.minimum));
+
+    const crossings = practices
+      .filter(practice => practice.before.status !== practice.after.status)
+      .map(practice => ({
+        practiceVersionId: practice.practiceVersionId,
+        name: practice.name,
+        from: practice.before.status || 'neutral',
+        to: practice.after.status || 'neutral'
+      }));
+
+    const recommendedIds = (side) => practices
+      .filter(practice => practice[side].status === 'recommended')
+      .map(practice => practice.practiceVersionId);
+    const coverageBefore = this.goalCoverage(goals, goalIdsByPractice, recommendedIds('before'));
+    const coverageAfter = this.goalCoverage(goals, goalIdsByPractice, recommendedIds('after'));
+
+    return {
+      teamId: team.id,
+      aggregation: TeamAggregationService.describe(strategy),
+      minAffinityThreshold,
+      members: {
+        before: currentIds,
+        after: scenarioIds,
+        removed: removedIds,
+        added: addedIds,
+        candidates: candidates.map(({ key, name, profile }) => ({ key, name, profile }))
+      },
+      practices,
+      crossings,
+      goalCoverage: {
+        before: coverageBefore.percentage,
+        after: coverageAfter.percentage,
+        gained: goals.filter(goal => coverageAfter.coveredGoalIds.includes(goal.id) &&
+          !coverageBefore.coveredGoalIds.includes(goal.id)),
+        lost: goals.filter(goal => coverageBefore.coveredGoalIds.includes(goal.id) &&
+          !coverageAfter.coveredGoalIds.includes(goal.id))
+      }
+    };
+  }
+}
+
+module.exports = TeamSimulationService;
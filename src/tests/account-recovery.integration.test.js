@@ -0,0 +1,140 @@
+const request = require('supertest');
+const app = require('../server');
+const pool = require('../config/database');
+const Person = require('../models/Person');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const emailService = require('../services/emailService');
+
+describe('Account Recovery Integration Tests', () => {
+  const email = 'recovery@example.com';
+  let testUser, sendMail;
+
+  // Token from the last link of the given kind emailed to the test user by the mock transporter
+  const lastToken = (path) => {
+    const mails = sendMail.mock.calls.map(([options]) => options).filter(options => options.to === email);
+    const match = mails.map(mail => mail.text.match(new RegExp(`/${path}/(\\S+)`))).filter(Boolean).pop();
+    return match ? decodeURIComponent(match[1]) : null;
+  };
+
+  const login = async (password) => {
+    const agent = request.agent(app);
+    const response = await agent.post('/api/auth/login').send({ email, password });
+    return { agent, response };
+  };
+
+  beforeAll(async () => {
+    testUser = await Person.create({
+      name: 'Recovery User',
+      email,
+      password: 'password123'
+    });
+  });
+
+  beforeEach(() => {
+    sendMail = jest.spyOn(emailService.transporter, 'sendMail');
+  });
+
+  afterEach(() => {
+    sendMail.mockRestore();
+  });
+
+  afterAll(async () => {
+    await pool.query('DELETE FROM Person WHERE id = $1', [testUser.id]);
+  });
+
+  describe('Password Reset', () => {
+    it('should answer the same for known and unknown addresses', async () => {
+      const known = await request(app).post('/api/auth/forgot-password').send({ email });
+      const unknown = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+
+      expect(known.status).toBe(200);
+      expect(unknown.status).toBe(200);
+      expect(unknown.body).toEqual(known.body);
+      expect(lastToken('reset-password')).toBeTruthy();
+      expect(sendMail.mock.calls.some(([options]) => options.to === 'nobody@example.com')).toBe(false);
+    });
+
+    it('should reset the password once per link and only with the latest link', async () => {
+      await request(app).post('/api/auth/forgot-password').send({ email });
+      const oldToken = lastToken('reset-password');
+      await request(app).post('/api/auth/forgot-password').send({ email });
+      const token = lastToken('reset-password');
+
+      const stale = await request(app).post('/api/auth/reset-password')
+        .send({ token: oldToken, password: 'newpassword123', confirmPassword: 'newpassword123' });
+      expect(stale.status).toBe(400);
+
+      const { token: accessToken } = await PersonalAccessToken.create({
+        personId: testUser.id, name: 'Before reset', scopes: ['practices:read']
+      });
+
+      const tooShort = await request(app).post('/api/auth/reset-password')
+        .send({ token, password: 'short', confirmPassword: 'short' });
+      expect(tooShort.status).toBe(400);
+
+      const reset = await request(app).post('/api/auth/reset-password')
+        .send({ token, password: 'newpassword123', confirmPassword: 'newpassword123' });
+      expect(reset.status).toBe(200);
+
+      const reused = await request(app).post('/api/auth/reset-password')
+        .send({ token, password: 'otherpassword123', confirmPassword: 'otherpassword123' });
+      expect(reused.status).toBe(400);
+
+      expect((await login('password123')).response.status).toBe(401);
+      expect((await login('newpassword123')).response.status).toBe(200);
+      expect((await Person.findById(testUser.id)).isEmailVerified()).toBe(true);
+      expect(await PersonalAccessToken.authenticate(accessToken)).toBeNull();
+    });
+
+    it('should reject expired links', async () => {
+      await request(app).post('/api/auth/forgot-password').send({ email });
+      const token = lastToken('reset-password');
+      await pool.query(
+        `UPDATE accountToken SET expiresAt = CURRENT_TIMESTAMP - INTERVAL '1 minute' WHERE personId = $1 AND usedAt IS NULL`,
+        [testUser.id]
+      );
+
+      const response = await request(app).post('/api/auth/reset-password')
+        .send({ token, password: 'expiredpassword123', confirmPassword: 'expiredpassword123' });
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Password Change', () => {
+    it('should require the current password and log out other sessions', async () => {
+      const { agent } = await login('newpassword123');
+      const { agent: otherAgent } = await login('newpassword123');
+
+      const wrong = await agent.post('/api/auth/change-password')
+        .send({ currentPassword: 'wrongpassword', newPassword: 'changedpassword123', confirmPassword: 'changedpassword123' });
+      expect(wrong.status).toBe(401);
+
+      const changed = await agent.post('/api/auth/change-password')
+        .send({ currentPassword: 'newpassword123', newPassword: 'changedpassword123', confirmPassword: 'changedpassword123' });
+      expect(changed.status).toBe(200);
+      expect(sendMail.mock.calls.some(([options]) => options.to === email && options.subject === 'Your password was changed')).toBe(true);
+
+      expect((await agent.get('/api/auth/me')).status).toBe(200);
+      expect((await otherAgent.get('/api/auth/me')).status).toBe(401);
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app).post('/api/auth/change-password')
+        .send({ currentPassword: 'changedpassword123', newPassword: 'anotherpassword123', confirmPassword: 'anotherpassword123' });
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('Email Verification', () => {
+    it('should refuse to resend a link to a verified address', async () => {
+      const { agent } = await login('changedpassword123');
+      const response = await agent.post('/api/auth/resend-verification');
+      expect(response.status).toBe(409);
+    });
+
+    it('should reject unknown verification tokens', async () => {
+      const response = await request(app).post('/api/auth/verify-email').send({ token: 'not-a-token' });
+      expect(response.status).toBe(400);
+    });
+  });
+});
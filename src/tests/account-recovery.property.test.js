@@ -0,0 +1,205 @@
+const fc = require('fast-check');
+const Person = require('../models/Person');
+const AccountToken = require('../models/AccountToken');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const TeamInvitation = require('../models/TeamInvitation');
+const AccountRecoveryService = require('../services/accountRecoveryService');
+const emailService = require('../services/emailService');
+
+/**
+ * **Feature: agile-practice-repository, Property 41: Account links are single-use, bound to their address and outlived by no session**
+ * **Validates: Requirements 2.4**
+ */
+
+const personArbitrary = fc.record({
+  id: fc.integer({ min: 1, max: 100000 }),
+  name: fc.string({ minLength: 1, maxLength: 30 }),
+  email: fc.emailAddress()
+});
+
+describe('Account Recovery - Property Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Property 41: Account links are single-use, bound to their address and outlived by no session', () => {
+    it('should only keep sessions that logged in after the last password change', () => {
+      fc.assert(
+        fc.property(
+          fc.option(fc.date({ min: new Date('2020-01-01'), max: new Date('2030-01-01') }), { nil: null }),
+          fc.option(fc.integer({ min: -10 * 24 * 3600 * 1000, max: 10 * 24 * 3600 * 1000 }), { nil: undefined }),
+          (passwordChangedAt, offset) => {
+            const person = new Person({ id: 1, email: 'a@example.com', passwordChangedAt });
+            const authenticatedAt = passwordChangedAt && offset !== undefined
+              ? passwordChangedAt.getTime() + offset
+              : offset;
+
+            const expected = !passwordChangedAt || (offset !== undefined && offset >= 0);
+            expect(person.isSessionCurrent(authenticatedAt)).toBe(expected);
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+
+    it('should refuse new passwords shorter than the minimum', () => {
+      fc.assert(
+        fc.property(fc.string({ maxLength: 40 }), (password) => {
+          const error = Person.passwordError(password);
+          expect(error === null).toBe(password.length >= Person.MIN_PASSWORD_LENGTH);
+        }),
+        { numRuns: 200 }
+      );
+
+      expect(Person.passwordError(undefined)).not.toBeNull();
+      expect(Person.passwordError(12345678)).not.toBeNull();
+    });
+
+    it('should email a reset link whose token matches the stored hash', async () => {
+      await fc.assert(
+        fc.asyncProperty(personArbitrary, async (data) => {
+          let stored = null;
+          jest.spyOn(Person, 'findByEmail').mockResolvedValue(new Person({ ...data, passwordHash: 'hash' }));
+          jest.spyOn(AccountToken, 'create').mockImplementation(async (params) => {
+            const token = `token-${params.personId}-${Math.random().toString(36).slice(2)}`;
+            stored = { ...params, tokenHash: AccountToken.hashToken(token) };
+            return { token, accountToken: new AccountToken(stored) };
+          });
+          const sendMail = jest.spyOn(emailService.transporter, 'sendMail');
+
+          expect(await AccountRecoveryService.requestPasswordReset(data.email)).toBe(true);
+
+          expect(stored).toMatchObject({ personId: data.id, purpose: 'reset_password', email: data.email });
+          const lifetime = stored.expiresAt.getTime() - Date.now();
+          expect(lifetime).toBeGreaterThan(0);
+          expect(lifetime).toBeLessThanOrEqual(AccountRecoveryService.resetTtlMs());
+
+          const [mail] = sendMail.mock.calls[0];
+          expect(mail.to).toBe(data.email);
+          const token = decodeURIComponent(mail.text.match(/\/reset-password\/(\S+)/)[1]);
+          expect(AccountToken.hashToken(token)).toBe(stored.tokenHash);
+          expect(mail.text).not.toContain(stored.tokenHash);
+
+          jest.restoreAllMocks();
+        }),
+        { numRuns: 25 }
+      );
+    });
+
+    it('should answer unknown addresses and single sign-on accounts without creating a token or sending email', async () => {
+      jest.spyOn(Person, 'findByEmail').mockImplementation(async (email) =>
+        email === 'sso@example.com' ? new Person({ id: 1, email, passwordHash: null }) : null
+      );
+      const create = jest.spyOn(AccountToken, 'create');
+      const sendMail = jest.spyOn(emailService.transporter, 'sendMail');
+
+      for (const email of ['nobody@example.com', 'sso@example.com', '', undefined, 42]) {
+        expect(await AccountRecoveryService.requestPasswordReset(email)).toBe(false);
+      }
+      expect(create).not.toHaveBeenCalled();
+      expect(sendMail).not.toHaveBeenCalled();
+    });
+
+    it('should not verify an address the account no longer uses', async () => {
+      await fc.assert(
+        fc.asyncProperty(personArbitrary, fc.emailAddress(), async (data, sentTo) => {
+          jest.spyOn(AccountToken, 'consume').mockResolvedValue(new AccountToken({
+            id: 1, personId: data.id, purpose: 'verify_email', email: sentTo
+          }));
+          jest.spyOn(Person, 'findById').mockResolvedValue(new Person(data));
+          const markVerified = jest.spyOn(Person.prototype, 'markEmailVerified').mockImplementation(async function () {
+            this.emailVerifiedAt = new Date();
+            return this;
+          });
+          const acceptAll = jest.spyOn(TeamInvitation, 'acceptAllPendingForEmail').mockResolvedValue([]);
+          jest.spyOn(emailService, 'sendWelcomeEmail').mockResolvedValue(null);
+
+          const result = await AccountRecoveryService.verifyEmail('some-token');
+
+          const sameAddress = sentTo.toLowerCase() === data.email.toLowerCase();
+          expect(result !== null).toBe(sameAddress);
+          expect(markVerified).toHaveBeenCalledTimes(sameAddress ? 1 : 0);
+          expect(acceptAll).toHaveBeenCalledTimes(sameAddress ? 1 : 0);
+          if (sameAddress) {
+            expect(acceptAll).toHaveBeenCalledWith(data.email, data.id);
+          }
+
+          jest.restoreAllMocks();
+        }),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should check a new password before using up the reset link', async () => {
+      const consume = jest.spyOn(AccountToken, 'consume').mockResolvedValue(null);
+
+      await expect(AccountRecoveryService.resetPassword('some-token', 'short')).rejects.toThrow('Password must');
+      expect(consume).not.toHaveBeenCalled();
+
+      expect(await AccountRecoveryService.resetPassword('some-token', 'long enough password')).toBeNull();
+      expect(consume).toHaveBeenCalledWith('some-token', 'reset_password');
+    });
+
+    it('should revoke the person\'s access tokens when a reset link is used', async () => {
+      await fc.assert(
+        fc.asyncProperty(personArbitrary, async (data) => {
+          jest.spyOn(AccountToken, 'consume').mockResolvedValue(new AccountToken({
+            id: 1, personId: data.id, purpose: 'reset_password', email: data.email
+          }));
+          jest.spyOn(Person, 'findById').mockResolvedValue(new Person(data));
+          jest.spyOn(Person.prototype, 'setPassword').mockImplementation(async function () {
+            return this;
+          });
+          jest.spyOn(Person.prototype, 'markEmailVerified').mockImplementation(async function () {
+            return this;
+          });
+          jest.spyOn(AccountToken, 'invalidate').mockResolvedValue(0);
+          const revokeAll = jest.spyOn(PersonalAccessToken, 'revokeAllForPerson').mockResolvedValue(2);
+          jest.spyOn(emailService, 'sendPasswordChanged').mockResolvedValue(null);
+
+          const person = await AccountRecoveryService.resetPassword('some-token', 'long enough password');
+
+          expect(person.id).toBe(data.id);
+          expect(revokeAll).toHaveBeenCalledWith(data.id);
+
+          jest.restoreAllMocks();
+        }),
+        { numRuns: 25 }
+      );
+    });
+
+    it('should revoke the person\'s access tokens when their password is changed', async () => {
+      await fc.assert(
+        fc.asyncProperty(personArbitrary, async (data) => {
+          const person = new Person(data);
+          jest.spyOn(person, 'validatePassword').mockResolvedValue(true);
+          jest.spyOn(person, 'setPassword').mockResolvedValue(person);
+          jest.spyOn(AccountToken, 'invalidate').mockResolvedValue(0);
+          const revokeAll = jest.spyOn(PersonalAccessToken, 'revokeAllForPerson').mockResolvedValue(2);
+          jest.spyOn(emailService, 'sendPasswordChanged').mockResolvedValue(null);
+
+          await AccountRecoveryService.changePassword(person, 'old enough password', 'new enough password');
+
+          expect(revokeAll).toHaveBeenCalledWith(data.id);
+
+          jest.restoreAllMocks();
+        }),
+        { numRuns: 25 }
+      );
+    });
+
+    it('should hash tokens to a fixed-length digest and refuse unknown purposes', async () => {
+      fc.assert(
+        fc.property(fc.string(), fc.string(), (a, b) => {
+          expect(AccountToken.hashToken(a)).toMatch(/^[0-9a-f]{64}$/);
+          expect(AccountToken.hashToken(a) === AccountToken.hashToken(b)).toBe(a === b);
+        }),
+        { numRuns: 200 }
+      );
+
+      await expect(AccountToken.create({ personId: 1, purpose: 'login', email: 'a@example.com', expiresAt: new Date() }))
+        .rejects.toThrow('Invalid token purpose');
+      expect(await AccountToken.consume('', 'reset_password')).toBeNull();
+    });
+  });
+});
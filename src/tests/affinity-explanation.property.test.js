@@ -0,0 +1,71 @@
+const fc = require('fast-check');
+const BfProfile = require('../models/BfProfile');
+const PersonPracticeAffinity = require('../models/PersonPracticeAffinity');
+
+/**
+ * **Feature: agile-practice-repository, Property 22: Affinity explanation matches affinity score**
+ * **Validates: Requirements 11.1**
+ */
+
+const traitScore = fc.double({ min: 0, max: 1, noNaN: true });
+
+const bfProfileArbitrary = fc
+  .record({ o: traitScore, c: traitScore, e: traitScore, a: traitScore, n: traitScore })
+  .map(scores => new BfProfile({ id: 1, personId: 1, statusId: 3, ...scores }));
+
+const traitProfileArbitrary = fc.uniqueArray(
+  fc.record({
+    trait: fc.constantFrom('O', 'C', 'E', 'A', 'N'),
+    weight: fc.double({ min: 0, max: 1, noNaN: true }),
+    direction: fc.constantFrom(1, -1)
+  }),
+  { selector: demand => demand.trait, maxLength: 5 }
+);
+
+describe('Affinity Explanation - Property Tests', () => {
+  describe('Property 22: Affinity explanation matches affinity score', () => {
+    it('should explain every affinity as base score plus signed trait contributions', () => {
+      fc.assert(
+        fc.property(bfProfileArbitrary, traitProfileArbitrary, (bfProfile, traitProfile) => {
+          const explanation = PersonPracticeAffinity.explainAffinity(bfProfile, traitProfile);
+          const total = explanation.contributions.reduce(
+            (sum, item) => sum + item.contribution,
+            explanation.baseScore
+          );
+
+          expect(explanation.baseScore).toBe(PersonPracticeAffinity.BASE_AFFINITY);
+          expect(explanation.contributions).toHaveLength(traitProfile.length);
+          expect(Math.abs(total - explanation.rawScore)).toBeLessThan(0.05);
+          expect(explanation.score).toBe(PersonPracticeAffinity.calculateAffinity(bfProfile, traitProfile));
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should sign each contribution by the demand direction', () => {
+      fc.assert(
+        fc.property(bfProfileArbitrary, traitProfileArbitrary, (bfProfile, traitProfile) => {
+          const explanation = PersonPracticeAffinity.explainAffinity(bfProfile, traitProfile);
+
+          explanation.contributions.forEach(item => {
+            if (item.direction < 0) {
+              expect(item.contribution).toBeLessThanOrEqual(0);
+            } else {
+              expect(item.contribution).toBeGreaterThanOrEqual(0);
+            }
+          });
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should give the neutral score to practices without trait demands', () => {
+      fc.assert(
+        fc.property(bfProfileArbitrary, (bfProfile) => {
+          expect(PersonPracticeAffinity.calculateAffinity(bfProfile, [])).toBe(PersonPracticeAffinity.BASE_AFFINITY);
+        }),
+        { numRuns: 20 }
+      );
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const fc = require('fast-check');
+const AffinityJobService = require('../services/affinityJobService');
+const AffinityJob = require('../models/AffinityJob');
+
+/**
+ * **Feature: agile-practice-repository, Property 26: Queued affinity recalculation reports retries and progress**
+ * **Validates: Requirements 11.1**
+ */
+
+const jobArbitrary = fc.record({
+  jobType: fc.constantFrom(...AffinityJob.TYPES),
+  targetId: fc.integer({ min: 1, max: 50 }),
+  status: fc.constantFrom('queued', 'running', 'completed', 'failed'),
+  progress: fc.integer({ min: 0, max: 100 })
+}).map(data => new AffinityJob(data));
+
+describe('Affinity Job Queue - Property Tests', () => {
+  describe('Property 26: Queued affinity recalculation reports retries and progress', () => {
+    it('should back off exponentially between attempts up to a cap', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 1, max: 30 }), (attempt) => {
+          const delay = AffinityJobService.retryDelay(attempt);
+          const nextDelay = AffinityJobService.retryDelay(attempt + 1);
+
+          expect(delay).toBeGreaterThan(0);
+          expect(nextDelay).toBeGreaterThanOrEqual(delay);
+          expect(nextDelay).toBeLessThanOrEqual(delay * 2);
+          expect(nextDelay).toBeLessThanOrEqual(5 * 60 * 1000);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should report recomputing only while a job is queued or running', () => {
+      fc.assert(
+        fc.property(fc.array(jobArbitrary, { maxLength: 10 }), (jobs) => {
+          const status = AffinityJobService.summarizeJobs(jobs);
+          const pending = jobs.filter(job => job.status === 'queued' || job.status === 'running');
+
+          expect(status.recomputing).toBe(pending.length > 0);
+          expect(status.jobs).toEqual(pending);
+          if (!status.recomputing) {
+            expect(status.progress).toBe(100);
+          }
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should keep overall progress within the range of pending job progress', () => {
+      fc.assert(
+        fc.property(fc.array(jobArbitrary, { minLength: 1, maxLength: 10 }), (jobs) => {
+          const pending = jobs.filter(job => job.status === 'queued' || job.status === 'running');
+          fc.pre(pending.length > 0);
+
+          const { progress } = AffinityJobService.summarizeJobs(jobs);
+          const values = pending.map(job => job.progress);
+
+          expect(progress).toBeGreaterThanOrEqual(Math.min(...values));
+          expect(progress).toBeLessThanOrEqual(Math.max(...values));
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
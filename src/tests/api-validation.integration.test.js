@@ -171,11 +171,14 @@ describe('API Endpoint Validation Tests', () => {
         expect(response.body.success).toBe(true);
         expect(Array.isArray(response.body.data)).toBe(true);
         
-        // If results found, verify they contain the search term
+        // If results found, verify they contain the search term. The engine also matches
+        // version content and ignores punctuation ("standup" finds "Daily Stand-up"),
+        // so compare letters only and count highlighted snippet text as a match.
         if (response.body.data.length > 0) {
-          const hasMatchingResult = response.body.data.some(practice => 
-            practice.name.toLowerCase().includes(term.toLowerCase()) ||
-            practice.description.toLowerCase().includes(term.toLowerCase())
+          const letters = text => (text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+          const hasMatchingResult = response.body.data.some(practice =>
+            [practice.name, practice.objective, practice.description].some(text => letters(text).includes(letters(term))) ||
+            (practice.snippet || []).some(segment => segment.highlight)
           );
           expect(hasMatchingResult).toBe(true);
         }
@@ -402,6 +405,18 @@ describe('API Endpoint Validation Tests', () => {
       }
     });
 
+    test('GET /api/affinity/practice/:id/explanation - Unknown Practice Version', async () => {
+      for (const practiceVersionId of [999999999, 'not-a-version']) {
+        const response = await request(app)
+          .get(`/api/affinity/practice/${practiceVersionId}/explanation`)
+          .set('Cookie', authCookie)
+          .expect(404);
+
+        expect(response.body.success).toBe(false);
+        expect(response.body.error).toBe('Practice version not found');
+      }
+    });
+
     test('GET /api/affinity/user-affinities - Get User Affinities', async () => {
       const response = await request(app)
         .get('/api/affinity/user-affinities')
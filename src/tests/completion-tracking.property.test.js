@@ -0,0 +1,110 @@
+const fc = require('fast-check');
+const TeamIteration = require('../models/TeamIteration');
+
+/**
+ * **Feature: agile-practice-repository, Property 36: Completion rates count only tracked iterations with every criterion ticked**
+ * **Validates: Requirements 12.2**
+ */
+
+// Team iterations, oldest first, with the number of criteria ticked in each
+const teamArbitrary = fc.record({
+  criteriaCount: fc.integer({ min: 0, max: 6 }),
+  iterations: fc.array(fc.record({
+    checked: fc.integer({ min: 0, max: 8 }),
+    tracked: fc.boolean()
+  }), { maxLength: 10 })
+}).map(({ criteriaCount, iterations }) => ({
+  criteriaCount,
+  iterations: iterations.map((iteration, index) => ({ id: index + 1, name: `Sprint ${index + 1}` })),
+  checked: Object.fromEntries(iterations
+    .map((iteration, index) => [index + 1, Math.min(iteration.checked, criteriaCount)])
+    .filter(([, count]) => count > 0)),
+  tracked: iterations
+    .map((iteration, index) => (iteration.tracked ? String(index + 1) : null))
+    .filter(id => id !== null)
+}));
+
+describe('Completion Tracking - Property Tests', () => {
+  describe('Property 36: Completion rates count only tracked iterations with every criterion ticked', () => {
+    it('should count iterations from the first tracked one and agree with its own totals', () => {
+      fc.assert(
+        fc.property(teamArbitrary, ({ criteriaCount, iterations, checked, tracked }) => {
+          const summary = TeamIteration.summarizeCompletion(iterations, { criteriaCount, checked, tracked });
+          const first = iterations.findIndex(iteration => tracked.includes(String(iteration.id)));
+          const expected = first === -1 || criteriaCount === 0 ? 0 : iterations.length - first;
+
+          expect(summary.criteriaCount).toBe(criteriaCount);
+          expect(summary.iterationsTracked).toBe(expected);
+          expect(summary.iterations.map(result => result.iterationId))
+            .toEqual(iterations.slice(iterations.length - expected).map(iteration => iteration.id));
+          expect(summary.iterationsMet).toBe(summary.iterations.filter(result => result.met).length);
+
+          if (expected === 0) {
+            expect(summary.metRate).toBeNull();
+          } else {
+            expect(summary.metRate).toBe(Math.round((summary.iterationsMet / expected) * 100));
+            expect(summary.metRate).toBeGreaterThanOrEqual(0);
+            expect(summary.metRate).toBeLessThanOrEqual(100);
+          }
+        }),
+        { numRuns: 200 }
+      );
+    });
+
+    it('should only count an iteration as met when all its criteria are ticked', () => {
+      fc.assert(
+        fc.property(teamArbitrary, ({ criteriaCount, iterations, checked, tracked }) => {
+          const summary = TeamIteration.summarizeCompletion(iterations, { criteriaCount, checked, tracked });
+
+          summary.iterations.forEach(result => {
+            expect(result.checkedCount).toBe(checked[result.iterationId] || 0);
+            expect(result.checkedCount).toBeLessThanOrEqual(criteriaCount);
+            expect(result.met).toBe(result.checkedCount === criteriaCount);
+          });
+        }),
+        { numRuns: 200 }
+      );
+    });
+
+    it('should not report a rate for practices without criteria', () => {
+      const iterations = [{ id: 1, name: 'Sprint 1' }, { id: 2, name: 'Sprint 2' }];
+
+      expect(TeamIteration.summarizeCompletion(iterations, { criteriaCount: 0, tracked: [1, 2] })).toEqual({
+        criteriaCount: 0,
+        iterationsTracked: 0,
+        iterationsMet: 0,
+        metRate: null,
+        iterations: []
+      });
+    });
+
+    it('should accept well-formed iterations and reject ones that end before they start', () => {
+      const dateArbitrary = fc.date({ min: new Date('2020-01-01'), max: new Date('2030-12-31') })
+        .map(date => date.toISOString().slice(0, 10));
+
+      fc.assert(
+        fc.property(fc.string({ minLength: 1, maxLength: 64 }), dateArbitrary, dateArbitrary, (name, startDate, endDate) => {
+          fc.pre(name.trim().length > 0);
+
+          if (endDate < startDate) {
+            expect(() => TeamIteration.validate({ name, startDate, endDate }))
+              .toThrow('Iteration cannot end before it starts');
+          } else {
+            expect(TeamIteration.validate({ name, startDate, endDate }))
+              .toEqual({ name: name.trim(), startDate, endDate });
+          }
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should reject missing names, long names and malformed dates', () => {
+      expect(() => TeamIteration.validate({ name: '  ' })).toThrow('Iteration name is required');
+      expect(() => TeamIteration.validate({ name: 'x'.repeat(65) })).toThrow('at most 64 characters');
+      expect(() => TeamIteration.validate({ name: 'Sprint 1', startDate: '01/02/2026' }))
+        .toThrow('Invalid startDate, expected YYYY-MM-DD');
+      expect(TeamIteration.validate({ name: ' Sprint 1 ', endDate: '' }))
+        .toEqual({ name: 'Sprint 1', startDate: null, endDate: null });
+    });
+  });
+});
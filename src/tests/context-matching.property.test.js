@@ -0,0 +1,138 @@
+const fc = require('fast-check');
+const ContextMatchingService = require('../services/contextMatchingService');
+
+/**
+ * **Feature: agile-practice-repository, Property 37: Team context profiles match indicator values and ranges**
+ * **Validates: Requirements 13.1**
+ */
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '=': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+const indicator = (name, value, extra = {}) => ({ name, value, attributes: null, precision: 'Integer', ...extra });
+
+// Context indicators with a team value each, given or not
+const profileArbitrary = fc.array(fc.record({
+  name: fc.constantFrom('Team Size', 'Timezone Spread', 'Codebase Age', 'Test Coverage', 'Sprint Length'),
+  operator: fc.constantFrom(...Object.keys(OPERATORS)),
+  threshold: fc.integer({ min: 0, max: 20 }),
+  teamValue: fc.option(fc.integer({ min: 0, max: 20 }), { nil: null })
+}), { maxLength: 5 }).map(items => {
+  const seen = new Set();
+  return items.filter(item => !seen.has(item.name) && seen.add(item.name));
+});
+
+describe('Context Matching - Property Tests', () => {
+  describe('Property 37: Team context profiles match indicator values and ranges', () => {
+    it('should compare numeric values with the indicator condition', () => {
+      fc.assert(
+        fc.property(fc.constantFrom(...Object.keys(OPERATORS)), fc.integer({ min: -50, max: 50 }), fc.integer({ min: -50, max: 50 }),
+          (operator, threshold, value) => {
+            const result = ContextMatchingService.evaluate(indicator('Team Size', `${operator} ${threshold}`), String(value));
+
+            expect(result.outcome).toBe(OPERATORS[operator](value, threshold) ? 'matched' : 'conflicted');
+            expect(result.teamValue).toBe(String(value));
+          }),
+        { numRuns: 300 }
+      );
+    });
+
+    it('should treat ranges as inclusive whichever way the bounds are written', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 0, max: 30 }), fc.integer({ min: 0, max: 30 }), fc.integer({ min: 0, max: 30 }),
+          fc.constantFrom('..', '-', ' - ', ' to '), (a, b, value, separator) => {
+            const result = ContextMatchingService.evaluate(indicator('Team Size', `${a}${separator}${b}`), String(value));
+            const inside = value >= Math.min(a, b) && value <= Math.max(a, b);
+
+            expect(result.outcome).toBe(inside ? 'matched' : 'conflicted');
+          }),
+        { numRuns: 300 }
+      );
+    });
+
+    it('should match booleans and text alternatives without regard to case', () => {
+      const regulated = indicator('Regulatory Constraints', 'Yes', { precision: 'Boolean' });
+      const distribution = indicator('Team Distribution', 'Distributed|Hybrid', { precision: 'Text' });
+
+      expect(ContextMatchingService.evaluate(regulated, 'true').outcome).toBe('matched');
+      expect(ContextMatchingService.evaluate(regulated, 'No').outcome).toBe('conflicted');
+      expect(ContextMatchingService.evaluate(distribution, 'hybrid').outcome).toBe('matched');
+      expect(ContextMatchingService.evaluate(distribution, 'Co-located').outcome).toBe('conflicted');
+      expect(ContextMatchingService.evaluate(distribution, undefined).outcome).toBe('missing');
+      expect(ContextMatchingService.evaluate(indicator('Domain', null, { precision: 'Text' }), 'Banking').outcome).toBe('matched');
+    });
+
+    it('should explain every indicator once and only apply contexts without conflicts', () => {
+      fc.assert(
+        fc.property(profileArbitrary, (items) => {
+          const indicators = items.map(item => indicator(item.name, `${item.operator} ${item.threshold}`));
+          const values = {};
+          items.filter(item => item.teamValue !== null).forEach(item => {
+            values[item.name.toUpperCase()] = String(item.teamValue);
+          });
+
+          const match = ContextMatchingService.matchContext(indicators, values);
+          const explained = [...match.matched, ...match.conflicted, ...match.missing].map(item => item.indicator);
+
+          expect(explained.sort()).toEqual(items.map(item => item.name).sort());
+          expect(match.missing.map(item => item.indicator).sort())
+            .toEqual(items.filter(item => item.teamValue === null).map(item => item.name).sort());
+          expect(match.applies).toBe(match.conflicted.length === 0 && match.matched.length > 0);
+          expect(match.status).toBe(
+            match.conflicted.length > 0 ? 'conflicted'
+              : match.matched.length === 0 ? 'unknown'
+                : match.missing.length > 0 ? 'partial' : 'matched'
+          );
+          expect(match.score).toBeGreaterThanOrEqual(0);
+          expect(match.score).toBeLessThanOrEqual(1);
+          if (items.length > 0) {
+            expect(match.score).toBeCloseTo(match.matched.length / items.length, 2);
+          }
+        }),
+        { numRuns: 200 }
+      );
+    });
+
+    it('should normalize team values by indicator precision', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: -1000, max: 1000 }), (value) => {
+          const definition = { name: 'Team Size', kind: 'integer' };
+          expect(ContextMatchingService.normalizeValue(definition, ` ${value} `)).toBe(String(value));
+          expect(() => ContextMatchingService.normalizeValue(definition, `${value}.5`)).toThrow('expected a whole number');
+        }),
+        { numRuns: 100 }
+      );
+
+      expect(ContextMatchingService.normalizeValue({ name: 'Regulated', kind: 'boolean' }, true)).toBe('Yes');
+      expect(ContextMatchingService.normalizeValue({ name: 'Regulated', kind: 'boolean' }, 'no')).toBe('No');
+      expect(() => ContextMatchingService.normalizeValue({ name: 'Regulated', kind: 'boolean' }, 'maybe')).toThrow('expected Yes or No');
+      expect(ContextMatchingService.normalizeValue({ name: 'Coverage', kind: 'number' }, '42.50')).toBe('42.5');
+      expect(ContextMatchingService.normalizeValue({ name: 'Distribution', kind: 'text' }, '')).toBeNull();
+      expect(() => ContextMatchingService.normalizeValue({ name: 'Distribution', kind: 'text' }, 'x'.repeat(65)))
+        .toThrow('at most 64 characters');
+    });
+
+    it('should build one definition per indicator name with the text options of every context', () => {
+      const definitions = ContextMatchingService.buildDefinitions([
+        indicator('Timezone Spread', '> 4', { attributes: 'Hours', description: 'Max spread' }),
+        indicator('team distribution', 'Distributed|Hybrid', { precision: 'Text' }),
+        indicator('Team Distribution', 'co-located, hybrid', { precision: 'Text' }),
+        indicator('timezone spread', '<= 1', { attributes: 'Hours' }),
+        indicator('Regulatory Constraints', 'Yes', { precision: 'Boolean' }),
+        indicator('  ', 'Yes')
+      ]);
+
+      expect(definitions).toEqual([
+        { name: 'Regulatory Constraints', description: null, unit: null, precision: 'Boolean', kind: 'boolean', options: [] },
+        { name: 'team distribution', description: null, unit: null, precision: 'Text', kind: 'text', options: ['Distributed', 'Hybrid', 'co-located'] },
+        { name: 'Timezone Spread', description: 'Max spread', unit: 'Hours', precision: 'Integer', kind: 'integer', options: [] }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const fc = require('fast-check');
+const RecommendationService = require('../services/recommendationService');
+
+/**
+ * **Feature: agile-practice-repository, Property 25: Hybrid ranking blends affinity and feedback**
+ * **Validates: Requirements 6.4**
+ */
+
+const teamAffinityArbitrary = fc.integer({ min: 0, max: 100 }).map(average => ({ average }));
+
+const contextArbitrary = fc.constantFrom(
+  'E-commerce platform development',
+  'Legacy system refactoring',
+  'Mobile app development',
+  'Distributed team project',
+  'Startup MVP development',
+  null
+);
+
+const ratingsArbitrary = fc.array(
+  fc.record({ rating: fc.integer({ min: 1, max: 5 }), projectContext: contextArbitrary }),
+  { maxLength: 20 }
+);
+
+describe('Hybrid Ranking - Property Tests', () => {
+  describe('Property 25: Hybrid ranking blends affinity and feedback', () => {
+    it('should report signal weights that sum to 1 and a score within 0-100', () => {
+      fc.assert(
+        fc.property(teamAffinityArbitrary, ratingsArbitrary, contextArbitrary, (teamAffinity, ratings, context) => {
+          const ranking = RecommendationService.blendSignals(teamAffinity, ratings, context);
+          const { teamAffinity: affinity, experienceFeedback: feedback } = ranking.signals;
+
+          expect(Math.abs(affinity.weight + feedback.weight - 1)).toBeLessThan(0.002);
+          expect(feedback.weight).toBeLessThanOrEqual(0.6);
+          expect(ranking.score).toBeGreaterThanOrEqual(0);
+          expect(ranking.score).toBeLessThanOrEqual(100);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should fall back to the affinity score when there is no validated feedback', () => {
+      fc.assert(
+        fc.property(teamAffinityArbitrary, contextArbitrary, (teamAffinity, context) => {
+          const ranking = RecommendationService.blendSignals(teamAffinity, [], context);
+
+          expect(ranking.score).toBe(teamAffinity.average);
+          expect(ranking.signals.experienceFeedback.weight).toBe(0);
+          expect(ranking.signals.experienceFeedback.weightedRating).toBeNull();
+        }),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should keep the weighted rating within the range of the given ratings', () => {
+      fc.assert(
+        fc.property(teamAffinityArbitrary, ratingsArbitrary, contextArbitrary, (teamAffinity, ratings, context) => {
+          fc.pre(ratings.length > 0);
+          const { weightedRating } = RecommendationService.blendSignals(teamAffinity, ratings, context)
+            .signals.experienceFeedback;
+          const values = ratings.map(r => r.rating);
+
+          expect(weightedRating).toBeGreaterThanOrEqual(Math.min(...values) - 0.05);
+          expect(weightedRating).toBeLessThanOrEqual(Math.max(...values) + 0.05);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should weight feedback from a similar context more than from an unrelated one', () => {
+      const context = 'Legacy system refactoring';
+      const ranking = RecommendationService.blendSignals({ average: 50 }, [
+        { rating: 5, projectContext: 'Legacy system refactoring' },
+        { rating: 1, projectContext: 'Startup MVP development' }
+      ], context);
+
+      expect(ranking.signals.experienceFeedback.weightedRating).toBeGreaterThan(3);
+      expect(RecommendationService.contextSimilarity(context, context)).toBe(1);
+      expect(RecommendationService.contextSimilarity(context, 'Startup MVP development')).toBe(0);
+    });
+  });
+});
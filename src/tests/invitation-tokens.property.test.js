@@ -0,0 +1,112 @@
+const fc = require('fast-check');
+const InvitationService = require('../services/invitationService');
+const TeamInvitation = require('../models/TeamInvitation');
+
+/**
+ * **Feature: agile-practice-repository, Property 39: Invitation links only work unaltered, unexpired and for the invited person**
+ * **Validates: Requirements 3.2**
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+const invitationArbitrary = fc.record({
+  id: fc.integer({ min: 1, max: 100000 }),
+  teamId: fc.integer({ min: 1, max: 1000 }),
+  invitedEmail: fc.emailAddress(),
+  status: fc.constantFrom('pending', 'accepted', 'declined', 'revoked', 'expired'),
+  scope: fc.constantFrom(...TeamInvitation.SCOPES),
+  expiresInHours: fc.integer({ min: -48, max: 48 }).filter(hours => hours !== 0)
+});
+
+describe('Invitation Tokens - Property Tests', () => {
+  describe('Property 39: Invitation links only work unaltered, unexpired and for the invited person', () => {
+    it('should verify the tokens it creates until they expire', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 1, max: 1000000 }), fc.integer({ min: 1, max: 720 }), (invitationId, hours) => {
+          const now = new Date();
+          const expiresAt = new Date(now.getTime() + hours * HOUR);
+          const token = InvitationService.createToken(invitationId, expiresAt);
+
+          const check = InvitationService.verifyToken(token, now);
+          expect(check.valid).toBe(true);
+          expect(check.invitationId).toBe(invitationId);
+          expect(Math.abs(check.expiresAt.getTime() - expiresAt.getTime())).toBeLessThan(1000);
+
+          const later = InvitationService.verifyToken(token, new Date(expiresAt.getTime() + 1000));
+          expect(later).toMatchObject({ valid: false, reason: 'expired', invitationId });
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should reject any token that was altered', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 1, max: 1000000 }), fc.nat(), fc.constantFrom('0', '1', 'a', 'Z', '-', '_'),
+          (invitationId, position, replacement) => {
+            const token = InvitationService.createToken(invitationId, new Date(Date.now() + HOUR));
+            const index = position % token.length;
+            fc.pre(token[index] !== replacement && token[index] !== '.');
+
+            const altered = `${token.slice(0, index)}${replacement}${token.slice(index + 1)}`;
+            expect(InvitationService.verifyToken(altered).valid).toBe(false);
+          }),
+        { numRuns: 200 }
+      );
+
+      expect(InvitationService.verifyToken('').reason).toBe('malformed');
+      expect(InvitationService.verifyToken('12.34.abc').reason).toBe('malformed');
+      expect(InvitationService.verifyToken(undefined).reason).toBe('malformed');
+    });
+
+    it('should give every link its own token and hash', () => {
+      const expiresAt = new Date(Date.now() + HOUR);
+      const tokens = Array.from({ length: 50 }, () => InvitationService.createToken(7, expiresAt));
+
+      expect(new Set(tokens).size).toBe(tokens.length);
+      expect(new Set(tokens.map(token => InvitationService.hashToken(token))).size).toBe(tokens.length);
+      tokens.forEach(token => expect(InvitationService.hashToken(token)).toMatch(/^[0-9a-f]{64}$/));
+    });
+
+    it('should only let the invited person accept a pending, unexpired invitation', () => {
+      fc.assert(
+        fc.property(invitationArbitrary, fc.emailAddress(), fc.boolean(), (data, otherEmail, useInvitedEmail) => {
+          const now = new Date();
+          const invitation = new TeamInvitation({ ...data, expiresAt: new Date(now.getTime() + data.expiresInHours * HOUR) });
+          const email = useInvitedEmail ? data.invitedEmail.toUpperCase() : otherEmail;
+          const error = invitation.acceptanceError({ id: 1, email }, now);
+
+          const sameEmail = email.toLowerCase() === data.invitedEmail.toLowerCase();
+          const allowed = data.status === 'pending' && data.expiresInHours > 0 && (data.scope === 'link' || sameEmail);
+          expect(error === null).toBe(allowed);
+          expect(invitation.isOverdue(now)).toBe(data.expiresInHours < 0);
+          if (data.status !== 'pending') {
+            expect(error).toBe(`This invitation has already been ${data.status}`);
+          }
+        }),
+        { numRuns: 300 }
+      );
+    });
+
+    it('should keep invitation lifetimes between an hour and the maximum', () => {
+      fc.assert(
+        fc.property(fc.oneof(fc.integer({ min: -1000, max: 5000 }), fc.constant(null), fc.constant('abc')), (requested) => {
+          const hours = InvitationService.ttlHours(requested);
+          expect(hours).toBeGreaterThanOrEqual(1);
+          expect(hours).toBeLessThanOrEqual(InvitationService.MAX_TTL_HOURS);
+          if (Number.isInteger(requested) && requested >= 1 && requested <= InvitationService.MAX_TTL_HOURS) {
+            expect(hours).toBe(requested);
+          }
+        }),
+        { numRuns: 100 }
+      );
+
+      expect(InvitationService.ttlHours()).toBe(InvitationService.DEFAULT_TTL_HOURS);
+    });
+
+    it('should never expose the token hash', () => {
+      const invitation = new TeamInvitation({ id: 1, teamId: 2, invitedEmail: 'a@example.com', tokenHash: 'f'.repeat(64) });
+      expect(invitation.toJSON()).not.toHaveProperty('tokenHash');
+      expect(invitation.scope).toBe('email');
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const fc = require('fast-check');
+const MethodAnalysisService = require('../services/methodAnalysisService');
+
+/**
+ * **Feature: agile-practice-repository, Property 38: Method analysis finds every gap and overlap between its practices**
+ * **Validates: Requirements 14.1**
+ */
+
+const USAGES = ['produces', 'consumes', 'modifies'];
+const ROLE_USE_TYPES = ['Responsible (R)', 'Accountable (A)', 'Consulted (C)', 'Informed (I)', null];
+
+// A method of up to five practices, each linked to a few roles, work products, activities and goals
+const compositionArbitrary = fc.integer({ min: 1, max: 5 }).chain(practiceCount => {
+  const practiceVersionId = fc.integer({ min: 1, max: practiceCount });
+  return fc.record({
+    practiceIds: fc.array(fc.integer({ min: 1, max: 4 }), { minLength: practiceCount, maxLength: practiceCount }),
+    roles: fc.uniqueArray(fc.record({
+      practiceVersionId,
+      roleId: fc.integer({ min: 1, max: 4 }),
+      typeName: fc.constantFrom(...ROLE_USE_TYPES)
+    }), { selector: link => `${link.practiceVersionId}:${link.roleId}`, maxLength: 10 }),
+    workproducts: fc.uniqueArray(fc.record({
+      practiceVersionId,
+      workproductId: fc.integer({ min: 1, max: 5 }),
+      usage: fc.constantFrom(...USAGES)
+    }), { selector: link => `${link.practiceVersionId}:${link.workproductId}`, maxLength: 10 }),
+    activities: fc.uniqueArray(fc.record({
+      practiceVersionId,
+      activityId: fc.integer({ min: 1, max: 5 })
+    }), { selector: link => `${link.practiceVersionId}:${link.activityId}`, maxLength: 10 }),
+    goals: fc.uniqueArray(fc.record({
+      practiceVersionId,
+      goalId: fc.integer({ min: 1, max: 6 })
+    }), { selector: link => `${link.practiceVersionId}:${link.goalId}`, maxLength: 10 }),
+    goalCount: fc.integer({ min: 0, max: 6 })
+  }).map(({ practiceIds, roles, workproducts, activities, goals, goalCount }) => ({
+    practices: practiceIds.map((practiceId, index) => ({
+      practiceVersionId: index + 1,
+      practiceId,
+      name: `Practice ${practiceId} v${index + 1}`,
+      versionName: `v${index + 1}`
+    })),
+    roles: roles.map(link => ({ ...link, name: `Role ${link.roleId}` })),
+    workproducts: workproducts.map(link => ({ ...link, name: `Work product ${link.workproductId}` })),
+    activities: activities.map((link, index) => ({ ...link, name: `Activity ${link.activityId}`, sequence: index + 1 })),
+    goals: goals.map(link => ({ ...link, name: `Goal ${link.goalId}` })),
+    allGoals: Array.from({ length: goalCount }, (_, index) => ({ id: index + 1, name: `Goal ${index + 1}`, description: null }))
+  }));
+});
+
+const gapsOf = (analysis, type) => analysis.gaps.filter(gap => gap.type === type);
+const overlapsOf = (analysis, type) => analysis.overlaps.filter(overlap => overlap.type === type);
+const distinct = values => Array.from(new Set(values)).sort((a, b) => a - b);
+
+describe('Method Analysis - Property Tests', () => {
+  describe('Property 38: Method analysis finds every gap and overlap between its practices', () => {
+    it('should flag exactly the work products that are used but never produced', () => {
+      fc.assert(
+        fc.property(compositionArbitrary, (composition) => {
+          const analysis = MethodAnalysisService.analyze(composition);
+          const expected = distinct(composition.workproducts.map(link => link.workproductId)).filter(id =>
+            !composition.workproducts.some(link => link.workproductId === id && link.usage === 'produces'));
+
+          expect(gapsOf(analysis, 'unproduced_workproduct').map(gap => gap.workproductId).sort((a, b) => a - b))
+            .toEqual(expected);
+          analysis.workproducts.forEach(workproduct => {
+            const links = composition.workproducts.filter(link => link.workproductId === workproduct.workproductId);
+            expect(workproduct.producedBy.length + workproduct.consumedBy.length).toBe(links.length);
+          });
+        }),
+        { numRuns: 200 }
+      );
+    });
+
+    it('should flag exactly the roles that are never responsible or accountable', () => {
+      fc.assert(
+        fc.property(compositionArbitrary, (composition) => {
+          const analysis = MethodAnalysisService.analyze(composition);
+          const responsible = new Set(composition.roles
+            .filter(link => link.typeName === 'Responsible (R)' || link.typeName === 'Accountable (A)')
+            .map(link => link.roleId));
+          const expected = distinct(composition.roles.map(link => link.roleId)).filter(id => !responsible.has(id));
+
+          expect(gapsOf(analysis, 'role_without_responsibility').map(gap => gap.roleId).sort((a, b) => a - b))
+            .toEqual(expected);
+        }),
+        { numRuns: 200 }
+      );
+    });
+
+    it('should measure goal coverage against every goal and flag the uncovered ones', () => {
+      fc.assert(
+        fc.property(compositionArbitrary, (composition) => {
+          const analysis = MethodAnalysisService.analyze(composition);
+          const served = new Set(composition.goals.map(link => link.goalId));
+          const covered = composition.allGoals.filter(goal => served.has(goal.id));
+
+          expect(analysis.goalCoverage.total).toBe(composition.allGoals.length);
+          expect(analysis.goalCoverage.covered).toBe(covered.length);
+          expect(analysis.goalCoverage.coveragePercentage).toBe(composition.allGoals.length > 0
+            ? Math.round((covered.length / composition.allGoals.length) * 100)
+            : 0);
+          expect(gapsOf(analysis, 'uncovered_goal').map(gap => gap.goalId))
+            .toEqual(composition.allGoals.filter(goal => !served.has(goal.id)).map(goal => goal.id));
+        }),
+        { numRuns: 200 }
+      );
+    });
+
+    it('should report an overlap for every goal or activity shared by several practices', () => {
+      fc.assert(
+        fc.property(compositionArbitrary, (composition) => {
+          const analysis = MethodAnalysisService.analyze(composition);
+          const shared = (links, key, ids) => ids.filter(id => links.filter(link => link[key] === id).length > 1);
+
+          expect(overlapsOf(analysis, 'goal').map(overlap => overlap.goalId).sort((a, b) => a - b))
+            .toEqual(shared(composition.goals, 'goalId', composition.allGoals.map(goal => goal.id)));
+          expect(overlapsOf(analysis, 'activity').map(overlap => overlap.activityId).sort((a, b) => a - b))
+            .toEqual(shared(composition.activities, 'activityId', distinct(composition.activities.map(link => link.activityId))));
+          expect(overlapsOf(analysis, 'practice').map(overlap => overlap.practiceId).sort((a, b) => a - b))
+            .toEqual(shared(composition.practices, 'practiceId', distinct(composition.practices.map(practice => practice.practiceId))));
+          analysis.overlaps.forEach(overlap => expect(overlap.practices.length).toBeGreaterThan(1));
+        }),
+        { numRuns: 200 }
+      );
+    });
+
+    it('should average the scored practices and veto the method when any practice is vetoed', () => {
+      const scoresArbitrary = fc.array(fc.option(fc.array(fc.integer({ min: 0, max: 100 }), { minLength: 1, maxLength: 5 }), { nil: null }),
+        { minLength: 1, maxLength: 5 });
+
+      fc.assert(
+        fc.property(scoresArbitrary, fc.constantFrom('average', 'least_misery'), (scores, strategy) => {
+          const practices = scores.map((_, index) => ({ practiceVersionId: index + 1, name: `Practice ${index + 1}` }));
+          const statsByPractice = new Map(scores.map((values, index) => {
+            const list = values || [];
+            const average = list.length > 0 ? list.reduce((sum, value) => sum + value, 0) / list.length : 0;
+            return [index + 1, {
+              average,
+              minimum: list.length > 0 ? Math.min(...list) : 0,
+              maximum: list.length > 0 ? Math.max(...list) : 0,
+              standardDeviation: 0,
+              memberCount: 5,
+              individualScores: list
+            }];
+          }));
+
+          const affinity = MethodAnalysisService.methodAffinity(practices, statsByPractice, strategy);
+          const scored = affinity.practices.filter(practice => practice.scored);
+
+          expect(affinity.strategy).toBe(strategy);
+          expect(affinity.practices).toHaveLength(practices.length);
+          expect(affinity.scoredPractices).toBe(scores.filter(values => values !== null).length);
+          expect(affinity.vetoed).toBe(scored.some(practice => practice.aggregation.vetoed));
+          if (scored.length === 0) {
+            expect(affinity.score).toBe(0);
+            expect(affinity.weakestPractice).toBeNull();
+            expect(affinity.recommended).toBe(false);
+          } else {
+            const mean = scored.reduce((sum, practice) => sum + practice.aggregation.score, 0) / scored.length;
+            expect(affinity.score).toBeCloseTo(mean, 1);
+            expect(affinity.weakestPractice.score).toBe(Math.min(...scored.map(practice => practice.aggregation.score)));
+            expect(affinity.recommended).toBe(!affinity.vetoed && affinity.score >= 50);
+          }
+        }),
+        { numRuns: 200 }
+      );
+    });
+
+    it('should recognise responsibilities by role use type name', () => {
+      expect(MethodAnalysisService.isResponsibility('Responsible (R)')).toBe(true);
+      expect(MethodAnalysisService.isResponsibility('Accountable')).toBe(true);
+      expect(MethodAnalysisService.isResponsibility('Owner (A)')).toBe(true);
+      expect(MethodAnalysisService.isResponsibility('Consulted (C)')).toBe(false);
+      expect(MethodAnalysisService.isResponsibility('Informed (I)')).toBe(false);
+      expect(MethodAnalysisService.isResponsibility(null)).toBe(false);
+    });
+  });
+});
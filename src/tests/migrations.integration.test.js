@@ -0,0 +1,54 @@
+const pool = require('../config/database');
+
+// Builds a throwaway database from the schema, then applies the migrations to it twice
+describe('Database Migrations Integration Tests', () => {
+  const databaseName = `apr_migration_test_${Date.now()}`;
+  const savedDatabaseName = process.env.DB_NAME;
+  let freshPool, runMigrations, applyMigrations;
+
+  beforeAll(async () => {
+    await pool.query(`CREATE DATABASE ${databaseName}`);
+
+    // Load the migration scripts against a pool of the new database
+    process.env.DB_NAME = databaseName;
+    jest.isolateModules(() => {
+      freshPool = require('../config/database');
+      ({ runMigrations } = require('../database/migrate'));
+      ({ applyMigrations } = require('../database/applyMigrations'));
+    });
+  });
+
+  afterAll(async () => {
+    if (freshPool) {
+      await freshPool.end();
+    }
+    if (savedDatabaseName === undefined) {
+      delete process.env.DB_NAME;
+    } else {
+      process.env.DB_NAME = savedDatabaseName;
+    }
+    await pool.query(`DROP DATABASE IF EXISTS ${databaseName}`);
+  });
+
+  it('should apply every migration to a fresh database, and again on a re-run', async () => {
+    await runMigrations();
+    await applyMigrations();
+    await applyMigrations();
+
+    const tables = await freshPool.query(
+      `SELECT table_name FROM information_schema.tables
+       WHERE table_schema = 'public' AND table_name = ANY($1)`,
+      [['teaminvitation', 'personalaccesstoken', 'practiceversionsearch', 'practicesearchword']]
+    );
+    expect(tables.rows.map(row => row.table_name).sort())
+      .toEqual(['personalaccesstoken', 'practicesearchword', 'practiceversionsearch', 'teaminvitation']);
+
+    // The search triggers indexed the sample practices as they were inserted
+    const indexed = await freshPool.query(
+      `SELECT
+         (SELECT COUNT(*) FROM practiceVersion) AS versions,
+         (SELECT COUNT(*) FROM practiceVersionSearch) AS documents`
+    );
+    expect(indexed.rows[0].documents).toBe(indexed.rows[0].versions);
+  });
+});
@@ -0,0 +1,182 @@
+const request = require('supertest');
+const app = require('../server');
+const pool = require('../config/database');
+const Person = require('../models/Person');
+const OidcService = require('../services/oidcService');
+const { startOidcTestProvider } = require('./oidcTestProvider');
+
+const FRONTEND_URL = 'http://localhost:3001';
+const OIDC_ENV = ['OIDC_ISSUER', 'OIDC_CLIENT_ID', 'OIDC_CLIENT_SECRET', 'OIDC_ROLE_MAPPING', 'OIDC_PROVIDER_NAME', 'FRONTEND_URL'];
+
+describe('OIDC Login Integration Tests', () => {
+  let provider, localUser;
+  const savedEnv = {};
+  const emails = ['sso.expert@example.com', 'sso.local@example.com', 'sso.unverified@example.com'];
+
+  // Follow the redirects of a single sign-on login through the stand-in provider
+  const ssoLogin = async (agent, claims, { tamperState = false } = {}) => {
+    provider.setUser(claims);
+
+    const start = await agent.get('/api/auth/oidc/login?returnTo=/teams');
+    expect(start.status).toBe(302);
+    expect(start.headers.location.startsWith(`${provider.issuer}/authorize?`)).toBe(true);
+
+    const authorization = await fetch(start.headers.location, { redirect: 'manual' });
+    expect(authorization.status).toBe(302);
+    const callback = new URL(authorization.headers.get('location'));
+    if (tamperState) {
+      callback.searchParams.set('state', 'tampered');
+    }
+
+    return agent.get(`${callback.pathname}${callback.search}`);
+  };
+
+  const ssoError = (response) => new URL(response.headers.location).searchParams.get('ssoError');
+
+  beforeAll(async () => {
+    provider = await startOidcTestProvider({ clientId: 'apr-integration', clientSecret: 'integration-secret' });
+    OIDC_ENV.forEach(name => {
+      savedEnv[name] = process.env[name];
+    });
+    process.env.OIDC_ISSUER = provider.issuer;
+    process.env.OIDC_CLIENT_ID = 'apr-integration';
+    process.env.OIDC_CLIENT_SECRET = 'integration-secret';
+    process.env.OIDC_ROLE_MAPPING = 'apr-experts=Expert,apr-guests=Guest';
+    process.env.OIDC_PROVIDER_NAME = 'Company SSO';
+    process.env.FRONTEND_URL = FRONTEND_URL;
+
+    await pool.query('DELETE FROM Person WHERE email = ANY($1)', [emails]);
+    localUser = await Person.create({
+      name: 'Local User',
+      email: 'sso.local@example.com',
+      password: 'password123'
+    });
+  });
+
+  afterAll(async () => {
+    await provider.close();
+    OIDC_ENV.forEach(name => {
+      if (savedEnv[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = savedEnv[name];
+      }
+    });
+    await pool.query('DELETE FROM Person WHERE email = ANY($1)', [emails]);
+  });
+
+  it('should tell the login page which provider to offer', async () => {
+    const response = await request(app).get('/api/auth/oidc/config');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ success: true, enabled: true, providerName: 'Company SSO' });
+  });
+
+  it('should provision a new person with the role of their groups', async () => {
+    const agent = request.agent(app);
+    const claims = {
+      sub: 'expert-1',
+      email: 'sso.expert@example.com',
+      email_verified: true,
+      name: 'Sso Expert',
+      groups: ['apr-experts', 'everyone']
+    };
+
+    const callback = await ssoLogin(agent, claims);
+    expect(callback.status).toBe(302);
+    expect(callback.headers.location).toBe(`${FRONTEND_URL}/teams`);
+
+    const me = await agent.get('/api/auth/me');
+    expect(me.status).toBe(200);
+    expect(me.body.user).toMatchObject({
+      name: 'Sso Expert',
+      email: 'sso.expert@example.com',
+      roleId: 1,
+      hasPassword: false,
+      ssoLinked: true
+    });
+    expect(me.body.user.emailVerifiedAt).toBeTruthy();
+    expect(me.body.user).not.toHaveProperty('oidcSubject');
+
+    // The next login finds the same person and follows their new groups
+    const again = request.agent(app);
+    await ssoLogin(again, { ...claims, groups: ['apr-guests'] });
+    const meAgain = await again.get('/api/auth/me');
+    expect(meAgain.body.user.id).toBe(me.body.user.id);
+    expect(meAgain.body.user.roleId).toBe(4);
+  });
+
+  it('should not accept a password for an account created by single sign-on', async () => {
+    for (const password of ['', 'password123']) {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'sso.expert@example.com', password });
+
+      expect(response.body.success).toBe(false);
+    }
+  });
+
+  it('should link an existing account when the provider verified its email', async () => {
+    const agent = request.agent(app);
+
+    const callback = await ssoLogin(agent, {
+      sub: 'local-1',
+      email: 'sso.local@example.com',
+      email_verified: true,
+      name: 'Local User'
+    });
+    expect(callback.headers.location).toBe(`${FRONTEND_URL}/teams`);
+
+    const me = await agent.get('/api/auth/me');
+    expect(me.body.user).toMatchObject({ id: localUser.id, roleId: 2, hasPassword: true, ssoLinked: true });
+
+    // The local password keeps working next to single sign-on
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'sso.local@example.com', password: 'password123' });
+    expect(login.status).toBe(200);
+
+    // A second provider account cannot take over the linked account
+    const other = request.agent(app);
+    const refused = await ssoLogin(other, { sub: 'local-2', email: 'sso.local@example.com', email_verified: true });
+    expect(ssoError(refused)).toBe(OidcService.LOGIN_ERRORS.otherProvider);
+  });
+
+  it('should not link an existing account by an unverified email', async () => {
+    await Person.create({ name: 'Unverified', email: 'sso.unverified@example.com', password: 'password123' });
+    const agent = request.agent(app);
+
+    const callback = await ssoLogin(agent, {
+      sub: 'unverified-1',
+      email: 'sso.unverified@example.com',
+      email_verified: false
+    });
+
+    expect(callback.headers.location.startsWith(`${FRONTEND_URL}/login?`)).toBe(true);
+    expect(ssoError(callback)).toBe(OidcService.LOGIN_ERRORS.unverifiedEmail);
+    expect((await agent.get('/api/auth/me')).status).toBe(401);
+  });
+
+  it('should refuse a callback with a tampered state or no login in progress', async () => {
+    const agent = request.agent(app);
+
+    const tampered = await ssoLogin(agent, { sub: 'expert-1', email: 'sso.expert@example.com', email_verified: true }, { tamperState: true });
+    expect(ssoError(tampered)).toBe('Single sign-on failed');
+    expect((await agent.get('/api/auth/me')).status).toBe(401);
+
+    const unsolicited = await request(app).get('/api/auth/oidc/callback?code=abc&state=abc');
+    expect(ssoError(unsolicited)).toBe('Single sign-on failed');
+  });
+
+  it('should report single sign-on as unavailable when it is not configured', async () => {
+    delete process.env.OIDC_ISSUER;
+
+    try {
+      const config = await request(app).get('/api/auth/oidc/config');
+      expect(config.body).toMatchObject({ enabled: false, providerName: null });
+      expect((await request(app).get('/api/auth/oidc/login')).status).toBe(404);
+    } finally {
+      process.env.OIDC_ISSUER = provider.issuer;
+    }
+  });
+});
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const fc = require('fast-check');
+const Person = require('../models/Person');
+const TeamInvitation = require('../models/TeamInvitation');
+const OidcService = require('../services/oidcService');
+const { startOidcTestProvider } = require('./oidcTestProvider');
+
+/**
+ * **Feature: agile-practice-repository, Property 43: Single sign-on only logs in verified, intended ID tokens and links accounts by verified email**
+ * **Validates: Requirements 2.6**
+ */
+
+const CLIENT_ID = 'apr-test-client';
+const ROLE_MAPPING = 'apr-experts=Expert,apr-members=Team Member,apr-facilitators=Scrum Master,apr-guests=Guest';
+const GROUPS = ['apr-experts', 'apr-members', 'apr-facilitators', 'apr-guests', 'finance', 'everyone'];
+
+describe('OIDC Login - Property Tests', () => {
+  let provider;
+  const savedEnv = {};
+
+  beforeAll(async () => {
+    provider = await startOidcTestProvider({ clientId: CLIENT_ID });
+    ['OIDC_ISSUER', 'OIDC_CLIENT_ID', 'OIDC_ROLE_MAPPING', 'OIDC_GROUPS_CLAIM'].forEach(name => {
+      savedEnv[name] = process.env[name];
+    });
+    process.env.OIDC_ISSUER = provider.issuer;
+    process.env.OIDC_CLIENT_ID = CLIENT_ID;
+    process.env.OIDC_ROLE_MAPPING = ROLE_MAPPING;
+    delete process.env.OIDC_GROUPS_CLAIM;
+  });
+
+  afterAll(async () => {
+    Object.entries(savedEnv).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+    await provider.close();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const validClaims = (overrides = {}) => {
+    const now = Math.floor(Date.now() / 1000);
+    return { iss: provider.issuer, aud: CLIENT_ID, sub: 'user-1', iat: now, exp: now + 300, nonce: 'nonce-1', ...overrides };
+  };
+
+  describe('Property 43: Single sign-on only logs in verified, intended ID tokens and links accounts by verified email', () => {
+    it('should accept a well-formed ID token and refuse it once any checked claim changes', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.constantFrom('iss', 'aud', 'exp', 'nonce', 'sub', null),
+          async (changed) => {
+            const now = Math.floor(Date.now() / 1000);
+            const changes = {
+              iss: { iss: 'https://evil.example.com' },
+              aud: { aud: 'another-client' },
+              exp: { exp: now - 3600 },
+              nonce: { nonce: 'replayed' },
+              sub: { sub: undefined },
+              null: {}
+            };
+            const token = provider.signIdToken(validClaims(changes[changed]));
+
+            if (changed === null) {
+              const claims = await OidcService.verifyIdToken(token, 'nonce-1');
+              expect(claims.sub).toBe('user-1');
+            } else {
+              await expect(OidcService.verifyIdToken(token, 'nonce-1')).rejects.toThrow();
+            }
+          }
+        ),
+        { numRuns: 30 }
+      );
+    });
+
+    it('should refuse ID tokens whose signature or payload was altered', async () => {
+      const token = provider.signIdToken(validClaims());
+      const [header, payload, signature] = token.split('.');
+      const forgedPayload = Buffer.from(JSON.stringify(validClaims({ sub: 'admin' }))).toString('base64url');
+      const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const foreignSignature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+      const unsigned = `${Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url')}.${payload}.`;
+
+      await expect(OidcService.verifyIdToken(`${header}.${forgedPayload}.${signature}`, 'nonce-1')).rejects.toThrow('signature');
+      await expect(OidcService.verifyIdToken(`${header}.${payload}.${foreignSignature}`, 'nonce-1')).rejects.toThrow('signature');
+      await expect(OidcService.verifyIdToken(unsigned, 'nonce-1')).rejects.toThrow('Unsupported');
+      await expect(OidcService.verifyIdToken('not.a-token', 'nonce-1')).rejects.toThrow('Malformed');
+      await expect(OidcService.verifyIdToken(token, undefined)).rejects.toThrow('nonce');
+    });
+
+    it('should give the most privileged role among the mapped groups', () => {
+      fc.assert(
+        fc.property(fc.subarray(GROUPS), (groups) => {
+          const roleId = OidcService.roleFromClaims({ groups });
+          const mapped = groups.map(group => OidcService.parseRoleMapping(ROLE_MAPPING)[group]).filter(Boolean);
+
+          expect(roleId).toBe(mapped.length > 0 ? Math.min(...mapped) : null);
+        }),
+        { numRuns: 100 }
+      );
+
+      process.env.OIDC_GROUPS_CLAIM = 'realm_access.roles';
+      expect(OidcService.roleFromClaims({ realm_access: { roles: ['apr-guests'] } })).toBe(4);
+      expect(OidcService.roleFromClaims({ groups: ['apr-experts'] })).toBeNull();
+      delete process.env.OIDC_GROUPS_CLAIM;
+
+      expect(OidcService.parseRoleMapping('a=Expert, b = team member,c=Admin,=Guest')).toEqual({ a: 1, b: 2 });
+    });
+
+    it('should derive the PKCE challenge from the verifier and only return to client paths', () => {
+      fc.assert(
+        fc.property(fc.string(), (path) => {
+          const { verifier, challenge } = OidcService.createPkcePair();
+          expect(verifier).toMatch(/^[A-Za-z0-9_-]{43,128}$/);
+          expect(challenge).toBe(crypto.createHash('sha256').update(verifier).digest('base64url'));
+
+          const returnTo = OidcService.safeReturnPath(path);
+          expect(returnTo.startsWith('/')).toBe(true);
+          expect(returnTo.startsWith('//') || returnTo.startsWith('/\\')).toBe(false);
+        }),
+        { numRuns: 100 }
+      );
+
+      expect(OidcService.safeReturnPath('//evil.example.com')).toBe('/dashboard');
+      expect(OidcService.safeReturnPath('https://evil.example.com')).toBe('/dashboard');
+      expect(OidcService.safeReturnPath('/teams/4')).toBe('/teams/4');
+    });
+
+    it('should stop a callback whose state does not match before trading the code', async () => {
+      const exchange = jest.spyOn(OidcService, 'exchangeCode');
+      const { pending } = await OidcService.beginLogin('/teams');
+
+      await expect(OidcService.completeLogin(pending, { code: 'abc', state: 'forged' })).rejects.toThrow('state');
+      await expect(OidcService.completeLogin(undefined, { code: 'abc', state: pending.state })).rejects.toThrow('No single sign-on');
+      await expect(OidcService.completeLogin({ ...pending, startedAt: Date.now() - 60 * 60 * 1000 }, { code: 'abc', state: pending.state }))
+        .rejects.toThrow('No single sign-on');
+      expect(exchange).not.toHaveBeenCalled();
+    });
+
+    it('should link an existing account only when the provider verified its email', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.boolean(),
+          fc.boolean(),
+          fc.option(fc.constantFrom('other-subject'), { nil: null }),
+          fc.subarray(GROUPS),
+          async (accountExists, emailVerified, existingSubject, groups) => {
+            const existing = accountExists
+              ? new Person({ id: 7, email: 'ann@example.com', roleId: 2, passwordHash: 'hash', oidcSubject: existingSubject, emailVerifiedAt: new Date() })
+              : null;
+            jest.spyOn(Person, 'findByOidcSubject').mockResolvedValue(null);
+            jest.spyOn(Person, 'findByEmail').mockResolvedValue(existing);
+            const link = jest.spyOn(Person.prototype, 'linkOidc').mockImplementation(async function (issuer, subject) {
+              this.oidcIssuer = issuer;
+              this.oidcSubject = subject;
+              return this;
+            });
+            const setRole = jest.spyOn(Person.prototype, 'setRole').mockImplementation(async function (roleId) {
+              this.roleId = roleId;
+              return this;
+            });
+            const create = jest.spyOn(Person, 'createFromOidc').mockImplementation(async (params) =>
+              new Person({ id: 8, ...params, oidcSubject: params.subject })
+            );
+            jest.spyOn(Person.prototype, 'markEmailVerified').mockImplementation(async function () {
+              this.emailVerifiedAt = new Date();
+              return this;
+            });
+            jest.spyOn(TeamInvitation, 'acceptAllPendingForEmail').mockResolvedValue([]);
+
+            const claims = { sub: 'user-1', email: 'ann@example.com', email_verified: emailVerified, name: 'Ann', groups };
+            const roleId = OidcService.roleFromClaims(claims);
+            const resolving = OidcService.resolvePerson(claims);
+
+            if (accountExists && (!emailVerified || existingSubject)) {
+              await expect(resolving).rejects.toThrow(emailVerified ? OidcService.LOGIN_ERRORS.otherProvider : OidcService.LOGIN_ERRORS.unverifiedEmail);
+              expect(link).not.toHaveBeenCalled();
+            } else if (accountExists) {
+              const person = await resolving;
+              expect(person.id).toBe(7);
+              expect(link).toHaveBeenCalledWith(provider.issuer, 'user-1');
+              expect(person.roleId).toBe(roleId || 2);
+              expect(setRole).toHaveBeenCalledTimes(roleId && roleId !== 2 ? 1 : 0);
+            } else {
+              const person = await resolving;
+              expect(person.id).toBe(8);
+              expect(create).toHaveBeenCalledWith(expect.objectContaining({
+                email: 'ann@example.com', roleId: roleId || 2, issuer: provider.issuer, subject: 'user-1'
+              }));
+              expect(person.isEmailVerified()).toBe(emailVerified);
+            }
+            expect(create).toHaveBeenCalledTimes(accountExists ? 0 : 1);
+
+            jest.restoreAllMocks();
+          }
+        ),
+        { numRuns: 60 }
+      );
+    });
+
+    it('should refuse to provision a person without an email', async () => {
+      jest.spyOn(Person, 'findByOidcSubject').mockResolvedValue(null);
+      const create = jest.spyOn(Person, 'createFromOidc');
+
+      await expect(OidcService.resolvePerson({ sub: 'user-2', email_verified: true })).rejects.toThrow(OidcService.LOGIN_ERRORS.noEmail);
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const express = require('express');
+
+/**
+ * Stand-in OpenID Connect provider for the integration tests. It serves
+ * discovery, keys, an authorization endpoint that signs in whoever was set
+ * with setUser() without asking, and a token endpoint that checks the PKCE
+ * verifier and client secret before issuing an RS256 ID token.
+ */
+const startOidcTestProvider = async ({ clientId, clientSecret = '' }) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const codes = new Map();
+  let user = null;
+  let issuer = null;
+
+  const signIdToken = (claims) => {
+    const header = Buffer.from(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+    return `${header}.${payload}.${signature}`;
+  };
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, response_type, state, nonce, code_challenge, code_challenge_method } = req.query;
+    if (client_id !== clientId || response_type !== 'code' || code_challenge_method !== 'S256' || !code_challenge) {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+
+    const redirect = new URL(redirect_uri);
+    if (!user) {
+      redirect.searchParams.set('error', 'access_denied');
+    } else {
+      const code = crypto.randomBytes(16).toString('hex');
+      codes.set(code, { redirectUri: redirect_uri, challenge: code_challenge, nonce, claims: user });
+      redirect.searchParams.set('code', code);
+    }
+    redirect.searchParams.set('state', state);
+    res.redirect(redirect.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const { grant_type, code, redirect_uri, code_verifier } = req.body;
+    const grant = codes.get(code);
+    codes.delete(code);
+
+    if (clientSecret) {
+      const expected = `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`;
+      if (req.headers.authorization !== expected) {
+        return res.status(401).json({ error: 'invalid_client' });
+      }
+    }
+
+    const challenge = crypto.createHash('sha256').update(code_verifier || '').digest('base64url');
+    if (grant_type !== 'authorization_code' || !grant || grant.redirectUri !== redirect_uri || grant.challenge !== challenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    res.json({
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: signIdToken({ iss: issuer, aud: clientId, iat: now, exp: now + 300, nonce: grant.nonce, ...grant.claims })
+    });
+  });
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    signIdToken,
+    // Claims of the person signed in at the next authorization (sub, email, email_verified, name, groups...)
+    setUser(claims) {
+      user = claims;
+    },
+    close() {
+      return new Promise((resolve) => {
+        server.close(resolve);
+        // fetch keeps connections alive, which would hold close() open
+        server.closeAllConnections();
+      });
+    }
+  };
+};
+
+module.exports = { startOidcTestProvider };
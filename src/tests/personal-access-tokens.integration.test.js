@@ -0,0 +1,155 @@
+const request = require('supertest');
+const app = require('../server');
+const pool = require('../config/database');
+const Person = require('../models/Person');
+const Team = require('../models/Team');
+
+describe('Personal Access Tokens Integration Tests', () => {
+  let testUser, testTeam, testPracticeVersion, agent;
+
+  const createToken = async (scopes, extra = {}) => {
+    const response = await agent.post('/api/auth/tokens').send({ name: 'Sprint tooling', scopes, ...extra });
+    expect(response.status).toBe(201);
+    return response.body;
+  };
+
+  beforeAll(async () => {
+    testUser = await Person.create({
+      name: 'Token User',
+      email: 'tokenuser@example.com',
+      password: 'password123'
+    });
+
+    testTeam = await Team.create({
+      name: 'Token Team',
+      description: 'Team read by scripts',
+      creatorId: testUser.id
+    });
+
+    const practiceVersionResult = await pool.query('SELECT id FROM practiceVersion LIMIT 1');
+    testPracticeVersion = practiceVersionResult.rows[0];
+
+    agent = request.agent(app);
+    await agent
+      .post('/api/auth/login')
+      .send({ email: 'tokenuser@example.com', password: 'password123' });
+  });
+
+  afterAll(async () => {
+    await pool.query('DELETE FROM ExperienceFeedback WHERE personId = $1', [testUser.id]);
+    await pool.query('DELETE FROM teamMember WHERE teamId = $1', [testTeam.id]);
+    await pool.query('DELETE FROM Team WHERE id = $1', [testTeam.id]);
+    await pool.query('DELETE FROM Person WHERE id = $1', [testUser.id]);
+  });
+
+  describe('Token Management', () => {
+    it('should show a new token once and list it without the secret', async () => {
+      const { token, accessToken } = await createToken(['dashboard:read'], { expiresInDays: 30 });
+
+      expect(token).toMatch(/^apr_/);
+      expect(token.startsWith(accessToken.tokenPrefix)).toBe(true);
+      expect(accessToken.scopes).toEqual(['dashboard:read']);
+
+      const list = await agent.get('/api/auth/tokens');
+      expect(list.status).toBe(200);
+      expect(list.body.tokens.some(listed => listed.id === accessToken.id)).toBe(true);
+      expect(JSON.stringify(list.body)).not.toContain(token);
+      expect(list.body.scopes.map(scope => scope.name)).toEqual(
+        expect.arrayContaining(['practices:read', 'dashboard:read', 'feedback:write', 'expert:write'])
+      );
+    });
+
+    it('should reject tokens without a name, with unknown scopes or too long a lifetime', async () => {
+      const cases = [
+        { name: '', scopes: ['dashboard:read'] },
+        { name: 'CI', scopes: [] },
+        { name: 'CI', scopes: ['admin:all'] },
+        { name: 'CI', scopes: ['dashboard:read'], expiresInDays: 1000 }
+      ];
+
+      for (const body of cases) {
+        const response = await agent.post('/api/auth/tokens').send(body);
+        expect(response.status).toBe(400);
+        expect(response.body.success).toBe(false);
+      }
+    });
+  });
+
+  describe('Bearer Authentication', () => {
+    it('should read the team dashboard with a dashboard token and record its use', async () => {
+      const { token, accessToken } = await createToken(['dashboard:read']);
+      expect(accessToken.lastUsedAt).toBeNull();
+
+      const dashboard = await request(app)
+        .get(`/api/dashboard/teams/${testTeam.id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(dashboard.status).toBe(200);
+
+      const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+      expect(me.body.user.id).toBe(testUser.id);
+
+      const list = await agent.get('/api/auth/tokens');
+      expect(list.body.tokens.find(listed => listed.id === accessToken.id).lastUsedAt).not.toBeNull();
+    });
+
+    it('should refuse routes outside the token\'s scopes', async () => {
+      const { token } = await createToken(['practices:read']);
+
+      const dashboard = await request(app)
+        .get(`/api/dashboard/teams/${testTeam.id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(dashboard.status).toBe(403);
+      expect(dashboard.body.required).toContain('dashboard:read');
+
+      // Tokens cannot manage tokens or the account
+      const minted = await request(app)
+        .post('/api/auth/tokens')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Escalated', scopes: ['expert:write'] });
+      expect(minted.status).toBe(403);
+    });
+
+    it('should write feedback with a feedback token', async () => {
+      const { token } = await createToken(['feedback:write']);
+
+      const response = await request(app)
+        .post('/api/feedback')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          practiceVersionId: testPracticeVersion.id,
+          projectContext: 'Scripted sprint review',
+          feedbackText: 'Posted from sprint tooling',
+          rating: 4
+        });
+      expect(response.status).toBe(201);
+      expect(response.body.authorName).toBe(testUser.name);
+    });
+
+    it('should keep expert routes closed to non-experts with an expert token', async () => {
+      const { token } = await createToken(['expert:write']);
+
+      const response = await request(app)
+        .get('/api/expert/practices')
+        .set('Authorization', `Bearer ${token}`);
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('Insufficient permissions');
+    });
+
+    it('should stop accepting revoked, expired and unknown tokens', async () => {
+      const revoked = await createToken(['dashboard:read']);
+      expect((await agent.delete(`/api/auth/tokens/${revoked.accessToken.id}`)).status).toBe(200);
+      expect((await agent.delete(`/api/auth/tokens/${revoked.accessToken.id}`)).status).toBe(404);
+
+      const expired = await createToken(['dashboard:read']);
+      await pool.query(
+        `UPDATE personalAccessToken SET expiresAt = CURRENT_TIMESTAMP - INTERVAL '1 minute' WHERE id = $1`,
+        [expired.accessToken.id]
+      );
+
+      for (const token of [revoked.token, expired.token, 'apr_not-a-token']) {
+        const response = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+        expect(response.status).toBe(401);
+      }
+    });
+  });
+});
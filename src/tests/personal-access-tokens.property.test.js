@@ -0,0 +1,162 @@
+const fc = require('fast-check');
+const Person = require('../models/Person');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { requireAuth } = require('../middleware/auth');
+
+/**
+ * **Feature: agile-practice-repository, Property 42: Access tokens only reach the routes their scopes open**
+ * **Validates: Requirements 2.5**
+ */
+
+const SCOPE_NAMES = Object.keys(PersonalAccessToken.SCOPES);
+
+// Representative routes and the scopes that open them ([] = every token, null = no token)
+const ROUTES = [
+  { method: 'GET', path: '/api/practices', scopes: ['practices:read', 'expert:write'] },
+  { method: 'GET', path: '/api/practices/12/tags', scopes: ['practices:read', 'expert:write'] },
+  { method: 'GET', path: '/api/visualization/practice/3/card', scopes: ['practices:read'] },
+  { method: 'GET', path: '/api/dashboard/teams/4', scopes: ['dashboard:read'] },
+  { method: 'GET', path: '/api/recommendations/4/portfolio', scopes: ['dashboard:read'] },
+  { method: 'GET', path: '/api/methods/analysis/teams/4', scopes: ['practices:read', 'dashboard:read', 'expert:write'] },
+  { method: 'POST', path: '/api/affinity/team/4/simulate', scopes: ['dashboard:read'] },
+  { method: 'POST', path: '/api/affinity/team/4/recalculate', scopes: null },
+  { method: 'POST', path: '/api/feedback', scopes: ['feedback:write'] },
+  { method: 'DELETE', path: '/api/feedback/9', scopes: ['feedback:write'] },
+  { method: 'PUT', path: '/api/expert/guidelines/7', scopes: ['expert:write'] },
+  { method: 'POST', path: '/api/practices/12/versions', scopes: ['expert:write'] },
+  { method: 'PUT', path: '/api/affinity/practice/5', scopes: ['expert:write'] },
+  { method: 'POST', path: '/api/teams/4/invite', scopes: null },
+  { method: 'GET', path: '/api/expertise', scopes: null },
+  { method: 'GET', path: '/api/auth/me', scopes: [] },
+  { method: 'GET', path: '/api/auth/tokens', scopes: null },
+  { method: 'POST', path: '/api/auth/tokens', scopes: null },
+  { method: 'POST', path: '/api/auth/change-password', scopes: null }
+];
+
+const scopesArbitrary = fc.subarray(SCOPE_NAMES);
+
+// Run requireAuth for a bearer request and report how it answered
+const runRequireAuth = async (method, path, authorization) => {
+  const req = { method, originalUrl: `${path}?limit=5`, headers: { authorization }, session: {} };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  const next = jest.fn();
+
+  await requireAuth(req, res, next);
+  return { req, res, passed: next.mock.calls.length === 1 };
+};
+
+describe('Personal Access Tokens - Property Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Property 42: Access tokens only reach the routes their scopes open', () => {
+    it('should allow a route exactly when one of the token\'s scopes opens it', () => {
+      fc.assert(
+        fc.property(scopesArbitrary, fc.constantFrom(...ROUTES), (scopes, route) => {
+          const expected = route.scopes !== null &&
+            (route.scopes.length === 0 || route.scopes.some(scope => scopes.includes(scope)));
+
+          expect(PersonalAccessToken.allows(scopes, route.method, route.path)).toBe(expected);
+          expect(PersonalAccessToken.scopesFor(route.method, route.path).sort())
+            .toEqual((route.scopes || []).slice().sort());
+        }),
+        { numRuns: 300 }
+      );
+    });
+
+    it('should let a bearer request through exactly when its token is live and scoped for the route', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.option(scopesArbitrary, { nil: null }),
+          fc.constantFrom(...ROUTES),
+          fc.integer({ min: 1, max: 100000 }),
+          async (scopes, route, personId) => {
+            const authenticate = jest.spyOn(PersonalAccessToken, 'authenticate').mockResolvedValue(
+              scopes ? new PersonalAccessToken({ id: 1, personId, scopes }) : null
+            );
+            const findPerson = jest.spyOn(Person, 'findById').mockResolvedValue(new Person({ id: personId, roleId: 2 }));
+
+            const { req, res, passed } = await runRequireAuth(route.method, route.path, 'Bearer apr_secret');
+
+            expect(authenticate).toHaveBeenCalledWith('apr_secret');
+            if (!scopes) {
+              expect(res.statusCode).toBe(401);
+              expect(passed).toBe(false);
+            } else if (PersonalAccessToken.allows(scopes, route.method, route.path)) {
+              expect(passed).toBe(true);
+              expect(req.user.id).toBe(personId);
+              expect(req.accessToken.scopes).toEqual(scopes);
+            } else {
+              expect(passed).toBe(false);
+              expect(res.statusCode).toBe(403);
+              expect(res.body).toMatchObject({ error: 'Insufficient token scope', current: scopes });
+              expect(findPerson).not.toHaveBeenCalled();
+            }
+
+            jest.restoreAllMocks();
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should fall back to the session without a bearer token', async () => {
+      const authenticate = jest.spyOn(PersonalAccessToken, 'authenticate');
+
+      for (const authorization of [undefined, '', 'Basic dXNlcjpwYXNz', 'Bearer']) {
+        const { res, passed } = await runRequireAuth('GET', '/api/auth/me', authorization);
+        expect(passed).toBe(false);
+        expect(res.statusCode).toBe(401);
+        expect(res.body.error).toBe('Authentication required');
+      }
+      expect(authenticate).not.toHaveBeenCalled();
+    });
+
+    it('should accept only well-formed tokens', () => {
+      fc.assert(
+        fc.property(
+          fc.string({ maxLength: 120 }),
+          scopesArbitrary,
+          fc.oneof(fc.integer({ min: -10, max: 400 }), fc.constant(undefined), fc.constant(1.5)),
+          (name, scopes, expiresInDays) => {
+            const error = PersonalAccessToken.validationError({ name, scopes, expiresInDays });
+            const days = expiresInDays === undefined ? PersonalAccessToken.DEFAULT_TTL_DAYS : expiresInDays;
+            const valid = name.trim().length > 0 && name.trim().length <= 100 && scopes.length > 0 &&
+              Number.isInteger(days) && days >= 1 && days <= PersonalAccessToken.MAX_TTL_DAYS;
+
+            expect(error === null).toBe(valid);
+          }
+        ),
+        { numRuns: 300 }
+      );
+
+      expect(PersonalAccessToken.validationError({ name: 'CI', scopes: ['admin:all'] })).toBe('Unknown scope: admin:all');
+    });
+
+    it('should never expose the token hash and never look up foreign tokens', async () => {
+      const token = new PersonalAccessToken({
+        id: 1, personId: 2, name: 'Sprint tooling', tokenPrefix: 'apr_abcdefgh',
+        tokenHash: 'f'.repeat(64), scopes: ['dashboard:read'], expiresAt: new Date(Date.now() - 1000)
+      });
+      expect(token.toJSON()).not.toHaveProperty('tokenHash');
+      expect(token.toJSON().expired).toBe(true);
+
+      for (const value of ['', 'abc', 'Bearer apr_x', null, 42]) {
+        expect(await PersonalAccessToken.authenticate(value)).toBeNull();
+      }
+      expect(PersonalAccessToken.hashToken('apr_x')).toMatch(/^[0-9a-f]{64}$/);
+    });
+  });
+});
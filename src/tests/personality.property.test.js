@@ -4,6 +4,7 @@ const BfProfile = require('../models/BfProfile');
 const AffinitySurveyResults = require('../models/AffinitySurveyResults');
 const PersonPracticeAffinity = require('../models/PersonPracticeAffinity');
 const PersonalityService = require('../services/personalityService');
+const AffinityJobService = require('../services/affinityJobService');
 const Person = require('../models/Person');
 const Team = require('../models/Team');
 const PracticeVersion = require('../models/PracticeVersion');
@@ -315,8 +316,8 @@ describe('Personality Profiling - Property Tests', () => {
 
             await bfProfile.update(updatedScores);
 
-            // Wait a bit for async recalculation to complete
-            await new Promise(resolve => setTimeout(resolve, 100));
+            // Run the queued recalculation; outside the server's worker nothing drains the queue
+            await AffinityJobService.drain();
 
             // Check that affinities were recalculated
             const updatedAffinities = await PersonPracticeAffinity.findByPersonId(testPersonId);
@@ -384,6 +385,28 @@ describe('Personality Profiling - Property Tests', () => {
       );
     });
 
+    it('should skip a person deleted while their affinities are being recalculated', async () => {
+      const bfProfile = await BfProfile.create({
+        personId: testPersonId,
+        statusId: 3,
+        o: 0.5, c: 0.5, e: 0.5, a: 0.5, n: 0.5
+      });
+      const versions = await pool.query("SELECT id FROM practiceVersion WHERE status = 'Published' ORDER BY id LIMIT 3");
+
+      // The person leaves between two chunks of a queued recalculation
+      await pool.query("DELETE FROM bfProfile WHERE personId = $1", [testPersonId]);
+      await pool.query("DELETE FROM Person WHERE id = $1", [testPersonId]);
+      const deletedPersonId = testPersonId;
+      testPersonId = null;
+
+      const stored = await PersonPracticeAffinity.calculateAndStoreBatch(
+        deletedPersonId,
+        versions.rows.map(row => row.id),
+        bfProfile
+      );
+      expect(stored).toEqual([]);
+    });
+
     it('should maintain affinity consistency across multiple profile updates', async () => {
       await fc.assert(
         fc.asyncProperty(
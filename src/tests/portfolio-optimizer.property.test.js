@@ -0,0 +1,92 @@
+const fc = require('fast-check');
+const RecommendationService = require('../services/recommendationService');
+
+/**
+ * **Feature: agile-practice-repository, Property 23: Portfolios respect constraints and are ranked by coverage**
+ * **Validates: Requirements 6.2**
+ */
+
+const GOAL_IDS = [1, 2, 3, 4, 5, 6];
+
+const candidatesArbitrary = fc
+  .array(
+    fc.record({
+      goalIds: fc.uniqueArray(fc.constantFrom(...GOAL_IDS), { minLength: 1, maxLength: 3 }),
+      average: fc.integer({ min: 0, max: 100 }),
+      minimum: fc.integer({ min: 0, max: 100 })
+    }),
+    { minLength: 1, maxLength: 12 }
+  )
+  .map(items => items.map((item, index) => ({
+    practiceVersionId: index + 1,
+    goalIds: item.goalIds,
+    teamAffinity: { average: item.average, minimum: Math.min(item.minimum, item.average) }
+  })));
+
+describe('Portfolio Optimizer - Property Tests', () => {
+  describe('Property 23: Portfolios respect constraints and are ranked by coverage', () => {
+    it('should never exceed the maximum number of practices and always keep must-keep practices', () => {
+      fc.assert(
+        fc.property(candidatesArbitrary, fc.integer({ min: 1, max: 5 }), (candidates, maxPractices) => {
+          const mustKeep = candidates.slice(0, Math.min(maxPractices, 2)).map(c => c.practiceVersionId);
+          const portfolios = RecommendationService.rankPortfolios(candidates, GOAL_IDS, { maxPractices, mustKeep });
+
+          expect(portfolios.length).toBeGreaterThan(0);
+          portfolios.forEach(portfolio => {
+            const ids = portfolio.practices.map(p => p.practiceVersionId);
+            expect(ids.length).toBeLessThanOrEqual(maxPractices);
+            expect(new Set(ids).size).toBe(ids.length);
+            mustKeep.forEach(id => expect(ids).toContain(id));
+          });
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should report coverage consistent with the practices in each portfolio', () => {
+      fc.assert(
+        fc.property(candidatesArbitrary, (candidates) => {
+          const portfolios = RecommendationService.rankPortfolios(candidates, GOAL_IDS, { maxPractices: 4 });
+
+          portfolios.forEach(portfolio => {
+            const covered = new Set(portfolio.practices.flatMap(p => p.goalIds));
+            expect(portfolio.coveredGoalIds).toEqual(GOAL_IDS.filter(id => covered.has(id)));
+            expect(portfolio.uncoveredGoalIds).toEqual(GOAL_IDS.filter(id => !covered.has(id)));
+            expect(portfolio.coveragePercentage).toBe(Math.round((covered.size / GOAL_IDS.length) * 100));
+          });
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should rank portfolios by coverage first, then by average affinity', () => {
+      fc.assert(
+        fc.property(candidatesArbitrary, (candidates) => {
+          const portfolios = RecommendationService.rankPortfolios(candidates, GOAL_IDS, { maxPractices: 3, limit: 10 });
+
+          for (let i = 1; i < portfolios.length; i++) {
+            const previous = portfolios[i - 1];
+            const current = portfolios[i];
+            expect(previous.coveredGoalIds.length).toBeGreaterThanOrEqual(current.coveredGoalIds.length);
+            if (previous.coveredGoalIds.length === current.coveredGoalIds.length) {
+              expect(previous.affinity.average).toBeGreaterThanOrEqual(current.affinity.average);
+            }
+          }
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should cover every goal when a single practice covers them all', () => {
+      fc.assert(
+        fc.property(candidatesArbitrary, (candidates) => {
+          const all = { practiceVersionId: 999, goalIds: GOAL_IDS, teamAffinity: { average: 50, minimum: 40 } };
+          const portfolios = RecommendationService.rankPortfolios([...candidates, all], GOAL_IDS, { maxPractices: 2 });
+
+          expect(portfolios[0].coveragePercentage).toBe(100);
+        }),
+        { numRuns: 50 }
+      );
+    });
+  });
+});
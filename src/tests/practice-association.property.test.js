@@ -0,0 +1,87 @@
+const fc = require('fast-check');
+const RecommendationService = require('../services/recommendationService');
+const PracticeAssociation = require('../models/PracticeAssociation');
+
+/**
+ * **Feature: agile-practice-repository, Property 24: Association warnings follow typed practice links**
+ * **Validates: Requirements 6.3**
+ */
+
+const practiceVersionIdArbitrary = fc.integer({ min: 1, max: 8 });
+
+const associationsArbitrary = fc
+  .array(
+    fc.record({
+      sourcePracticeVersionId: practiceVersionIdArbitrary,
+      targetPracticeVersionId: practiceVersionIdArbitrary,
+      type: fc.constantFrom(...PracticeAssociation.TYPES)
+    }).filter(link => link.sourcePracticeVersionId !== link.targetPracticeVersionId),
+    { maxLength: 15 }
+  )
+  .map(links => links.map((link, index) => new PracticeAssociation({
+    id: index + 1,
+    ...link,
+    sourceName: `Practice ${link.sourcePracticeVersionId}`,
+    targetName: `Practice ${link.targetPracticeVersionId}`
+  })));
+
+const activeIdsArbitrary = fc.uniqueArray(practiceVersionIdArbitrary, { maxLength: 8 });
+
+describe('Practice Association - Property Tests', () => {
+  describe('Property 24: Association warnings follow typed practice links', () => {
+    it('should warn about every active practice whose required practice is not active', () => {
+      fc.assert(
+        fc.property(activeIdsArbitrary, associationsArbitrary, (activeIds, associations) => {
+          const warnings = RecommendationService.findAssociationWarnings(activeIds, associations);
+          const missing = associations.filter(link =>
+            link.type === 'requires' &&
+            activeIds.includes(link.sourcePracticeVersionId) &&
+            !activeIds.includes(link.targetPracticeVersionId)
+          );
+
+          expect(warnings.filter(w => w.type === 'missing_requirement').map(w => w.associationId))
+            .toEqual(missing.map(link => link.id));
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should only report conflicts and redundant replacements between active practices', () => {
+      fc.assert(
+        fc.property(activeIdsArbitrary, associationsArbitrary, (activeIds, associations) => {
+          const warnings = RecommendationService.findAssociationWarnings(activeIds, associations);
+
+          warnings
+            .filter(w => w.type === 'conflict' || w.type === 'redundant')
+            .forEach(warning => {
+              expect(activeIds).toContain(warning.practiceVersionId);
+              expect(activeIds).toContain(warning.relatedPracticeVersionId);
+            });
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should never warn about complementary or specialized practices', () => {
+      fc.assert(
+        fc.property(activeIdsArbitrary, associationsArbitrary, (activeIds, associations) => {
+          const warnings = RecommendationService.findAssociationWarnings(activeIds, associations);
+
+          warnings.forEach(warning => {
+            expect(['requires', 'conflicts_with', 'replaces']).toContain(warning.associationType);
+          });
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should give no warnings when no practice is active', () => {
+      fc.assert(
+        fc.property(associationsArbitrary, (associations) => {
+          expect(RecommendationService.findAssociationWarnings([], associations)).toEqual([]);
+        }),
+        { numRuns: 20 }
+      );
+    });
+  });
+});
@@ -33,10 +33,10 @@ describe('Practice Browsing and Search Integration Tests', () => {
         .expect(200);
 
       expect(response.body.success).toBe(true);
-      expect(response.body.data).toEqual(mockPractices);
+      expect(response.body.data).toEqual(mockPractices.map(practice => expect.objectContaining(practice)));
       expect(pool.query).toHaveBeenCalledWith(
-        expect.stringContaining('LOWER(p.name) LIKE LOWER($1) OR LOWER(p.description) LIKE LOWER($1)'),
-        expect.arrayContaining(['%daily%'])
+        expect.stringContaining("d.document @@ to_tsquery('english', $1)"),
+        expect.arrayContaining(['daily:*'])
       );
     });
 
@@ -54,7 +54,7 @@ describe('Practice Browsing and Search Integration Tests', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.data).toEqual(mockPractices);
       expect(pool.query).toHaveBeenCalledWith(
-        expect.stringContaining('recommendationGoal rg'),
+        expect.stringContaining('pg.goalId = $1'),
         expect.arrayContaining([1])
       );
     });
@@ -90,10 +90,10 @@ describe('Practice Browsing and Search Integration Tests', () => {
         .expect(200);
 
       expect(response.body.success).toBe(true);
-      expect(response.body.data).toEqual(mockPractices);
+      expect(response.body.data).toEqual(mockPractices.map(practice => expect.objectContaining(practice)));
       expect(pool.query).toHaveBeenCalledWith(
-        expect.stringContaining('p.typeId = $1'),
-        expect.arrayContaining([1, 2, '%daily%'])
+        expect.stringMatching(/to_tsquery\('english', \$1\)[\s\S]*p\.typeId = \$2[\s\S]*pg\.goalId = \$3/),
+        expect.arrayContaining(['daily:*', 1, 2])
       );
     });
   });
@@ -111,10 +111,11 @@ describe('Practice Browsing and Search Integration Tests', () => {
         .expect(200);
 
       expect(response.body.success).toBe(true);
-      expect(response.body.data).toEqual(mockPractices);
+      expect(response.body.data).toEqual(mockPractices.map(practice => expect.objectContaining(practice)));
+      expect(response.body.data[0].snippet).toEqual([]);
       expect(pool.query).toHaveBeenCalledWith(
-        expect.stringContaining('LOWER(p.name) LIKE LOWER($1) OR LOWER(p.description) LIKE LOWER($1)'),
-        expect.arrayContaining(['%standup%', 'standup%'])
+        expect.stringContaining("ts_headline('english', d.content, to_tsquery('english', $1)"),
+        expect.arrayContaining(['standup:*', 'standup'])
       );
     });
 
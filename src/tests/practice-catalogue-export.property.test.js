@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const fc = require('fast-check');
+const PracticeCatalogueService = require('../services/practiceCatalogueService');
+
+/**
+ * **Feature: agile-practice-repository, Property 33: Exported catalogues import back to the same content**
+ * **Validates: Requirements 8.7**
+ */
+
+const ROOT = path.join(__dirname, '..', '..');
+
+const nameArbitrary = fc.constantFrom('Plan', 'Review', 'Demo', 'Retro', 'Refine', 'Pair');
+const optionalTextArbitrary = fc.option(fc.constantFrom('Short text', 'Another sentence.', 'https://example.com'), { nil: null });
+const uniqueNamesArbitrary = fc.uniqueArray(nameArbitrary, { maxLength: 4 });
+
+// Normalized practices as the importer stores them and the exporter reads them back
+const practiceArbitrary = fc.record({
+  name: fc.constantFrom('Daily Scrum', 'Sprint Review', 'Pair Programming', 'Kanban Board'),
+  type: fc.option(fc.constantFrom('Planning Practice', 'Engineering Practice'), { nil: null }),
+  objective: optionalTextArbitrary,
+  description: optionalTextArbitrary,
+  goals: uniqueNamesArbitrary,
+  method: fc.option(fc.constantFrom('Scrum', 'XP', 'Kanban'), { nil: null }),
+  activities: fc.uniqueArray(
+    fc.record({ sequence: fc.integer({ min: 1, max: 20 }), name: nameArbitrary, description: optionalTextArbitrary }),
+    { selector: activity => activity.name, maxLength: 4 }
+  ).map(activities => {
+    const sequences = Array.from(new Set(activities.map(activity => activity.sequence))).sort((a, b) => a - b);
+    return activities.slice(0, sequences.length)
+      .map((activity, index) => ({ ...activity, sequence: sequences[index] }));
+  }),
+  workProducts: fc.uniqueArray(
+    fc.record({ name: nameArbitrary, description: optionalTextArbitrary, usage: fc.constantFrom('produces', 'consumes', 'modifies') }),
+    { selector: workProduct => workProduct.name, maxLength: 3 }
+  ),
+  completionCriteria: uniqueNamesArbitrary,
+  roles: fc.uniqueArray(
+    fc.record({
+      name: fc.constantFrom('Scrum Master', 'Product Owner', 'Developers'),
+      responsibility: fc.constantFrom('Responsible', 'Accountable', 'Consulted', 'Informed')
+    }),
+    { selector: role => role.name, maxLength: 3 }
+  ),
+  metrics: fc.uniqueArray(
+    fc.record({ name: nameArbitrary, unit: fc.option(fc.constantFrom('Days', 'Percentage'), { nil: null }), formula: optionalTextArbitrary }),
+    { selector: metric => metric.name, maxLength: 3 }
+  ),
+  guidelines: fc.uniqueArray(
+    fc.record({ name: nameArbitrary, url: optionalTextArbitrary, type: fc.option(fc.constantFrom('Guide', 'Book'), { nil: null }) }),
+    { selector: guideline => guideline.name, maxLength: 3 }
+  ),
+  benefits: uniqueNamesArbitrary,
+  pitfalls: uniqueNamesArbitrary,
+  associations: fc.array(
+    fc.record({
+      target: fc.constantFrom('Planning Poker', 'Backlog Refinement'),
+      type: fc.constantFrom('Dependency', 'Complementarity', 'Configuration', 'Equivalence')
+    }),
+    { maxLength: 3 }
+  )
+});
+
+const catalogueArbitrary = fc.uniqueArray(practiceArbitrary, { selector: practice => practice.name, maxLength: 4 });
+
+const roundTrip = (practices) => PracticeCatalogueService.parse(
+  PracticeCatalogueService.formatCatalogue(practices.map(practice => PracticeCatalogueService.toCatalogueEntry(practice))),
+  'export.json'
+);
+
+describe('Practice Catalogue Export - Property Tests', () => {
+  describe('Property 33: Exported catalogues import back to the same content', () => {
+    it('should validate and normalize exported practices back to the same practices', () => {
+      fc.assert(
+        fc.property(catalogueArbitrary, (practices) => {
+          const { practices: imported, errors } = roundTrip(practices);
+
+          expect(errors).toEqual([]);
+          expect(imported).toEqual(practices);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should export in the layout of practices_reference_v2.json', () => {
+      fc.assert(
+        fc.property(practiceArbitrary, (practice) => {
+          const entry = PracticeCatalogueService.toCatalogueEntry(practice);
+
+          expect(entry).not.toHaveProperty('tags');
+          expect(entry).not.toHaveProperty('parent_method');
+          expect(entry).not.toHaveProperty('benefits');
+          expect(entry).not.toHaveProperty('pitfalls');
+          Object.values(entry).forEach(value => {
+            expect(value).not.toBeNull();
+          });
+          if (practice.completionCriteria.length === 1) {
+            expect(entry.completion_criteria).toBe(practice.completionCriteria[0]);
+          }
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should round-trip the reference catalogue files', () => {
+      const files = ['practices_reference_v2.json', 'extra_practices_reference_v2.json']
+        .map(name => ({ name, content: fs.readFileSync(path.join(ROOT, name), 'utf8') }));
+      const { practices } = PracticeCatalogueService.parseFiles(files);
+
+      const { practices: imported, errors } = roundTrip(practices);
+
+      expect(errors).toEqual([]);
+      expect(imported).toEqual(practices);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+const pool = require('../config/database');
+const PracticeCatalogueService = require('../services/practiceCatalogueService');
+
+// Everything created here is named "Catalogue Test ..." and lives in throwaway universes
+const CATALOGUE = [
+  {
+    name: 'Catalogue Test Planning',
+    type: 'Catalogue Test Practice',
+    objective: 'Plan the iteration',
+    description: 'Pick the work for the next iteration.',
+    practice_goal: ['Catalogue Test Focus', 'Catalogue Test Alignment'],
+    method: 'Catalogue Test Method',
+    activities: [
+      { sequence: 1, name: 'Catalogue Test Estimate', description: 'Size the items.' },
+      { sequence: 2, name: 'Catalogue Test Commit' }
+    ],
+    work_products: [{ name: 'Catalogue Test Plan', description: 'Selected items.' }],
+    completion_criteria: 'The plan fits the capacity.',
+    roles: [
+      { role: 'Catalogue Test Owner', responsibility: 'Accountable' },
+      { role: 'Catalogue Test Developer', responsibility: 'Responsible' }
+    ],
+    metrics: [{ name: 'Catalogue Test Reliability', unit: 'Percentage', formula: 'Done / Planned * 100' }],
+    resources: {
+      guidelines: [{ name: 'Catalogue Test Guide', url: 'https://example.com/guide', type: 'Catalogue Test Type' }],
+      pitfalls: ['Planning beyond capacity.'],
+      benefits: ['Shared focus.', 'Fewer surprises.']
+    },
+    associated_practices: [{ target_practice: 'Catalogue Test Review', association_type: 'Complementarity' }]
+  },
+  {
+    name: 'Catalogue Test Review',
+    objective: 'Inspect the increment',
+    practice_goal: ['Catalogue Test Focus'],
+    method: 'Catalogue Test Method',
+    completion_criteria: ['Feedback is recorded.', 'The backlog is updated.'],
+    roles: [{ role: 'Catalogue Test Owner', responsibility: 'Responsible' }],
+    associated_practices: [{ target_practice: 'Catalogue Test Planning', association_type: 'Dependency' }]
+  }
+];
+
+async function cleanupCatalogueTestData() {
+  const versions = `SELECT pv.id FROM practiceVersion pv JOIN Practice p ON pv.practiceId = p.id
+                    WHERE p.name LIKE 'Catalogue Test%'`;
+  await pool.query(`DELETE FROM practiceAssociation WHERE sourcePracticeVersionId IN (${versions}) OR targetPracticeVersionId IN (${versions})`);
+  for (const table of ['practiceGoal', 'practiceMethod', 'practiceVersionActivity', 'workproductPractice', 'roleUse',
+    'metricPractice', 'Guideline', 'Benefit', 'Pitfall', 'completionCriteria', 'PracticeVersionUniverse']) {
+    await pool.query(`DELETE FROM ${table} WHERE practiceVersionId IN (${versions})`);
+  }
+  await pool.query(`DELETE FROM practiceVersion WHERE id IN (${versions})`);
+  await pool.query(`DELETE FROM methodVersion WHERE methodId IN (SELECT id FROM Method WHERE name LIKE 'Catalogue Test%')`);
+  for (const table of ['Practice', 'practiceType', 'Goal', 'Method', 'Activity', 'Workproduct', 'Role', 'Metric', 'guidelineType']) {
+    await pool.query(`DELETE FROM ${table} WHERE name LIKE 'Catalogue Test%'`);
+  }
+  await pool.query(`DELETE FROM Universe WHERE name LIKE 'Catalogue Test%'`);
+}
+
+describe('Practice Catalogue Export Integration Tests', () => {
+  let sourceUniverseId;
+
+  beforeAll(async () => {
+    await cleanupCatalogueTestData();
+
+    const universe = await pool.query(
+      `INSERT INTO Universe (teamId, name, description)
+       VALUES (1, 'Catalogue Test Source', 'Export source') RETURNING id`
+    );
+    sourceUniverseId = universe.rows[0].id;
+
+    const { practices, errors } = PracticeCatalogueService.parse(JSON.stringify(CATALOGUE), 'catalogue.json');
+    expect(errors).toEqual([]);
+    // Versions published by this import are filled in completely, associations included
+    const report = await PracticeCatalogueService.importPractices(practices, { universeId: sourceUniverseId, status: 'Published' });
+    expect(report.summary.created).toBe(practices.length);
+    expect(report.warnings).toEqual([]);
+  });
+
+  afterAll(async () => {
+    await cleanupCatalogueTestData();
+  });
+
+  it('should export the imported practices with all their linked entities', async () => {
+    const { practices, warnings } = await PracticeCatalogueService.exportPractices({ universeId: sourceUniverseId });
+
+    expect(warnings).toEqual([]);
+    const expected = PracticeCatalogueService.parse(JSON.stringify(CATALOGUE), 'catalogue.json').practices;
+    const exported = PracticeCatalogueService.parse(PracticeCatalogueService.formatCatalogue(practices), 'export.json').practices;
+
+    // The database keeps goals and the other link tables unordered; the export sorts them by name
+    const sortNames = practice => Object.assign({}, practice, {
+      goals: practice.goals.slice().sort(),
+      roles: practice.roles.slice().sort((a, b) => a.name.localeCompare(b.name))
+    });
+    expect(exported.map(sortNames)).toEqual(expected.map(sortNames));
+  });
+
+  it('should import drafts by default and leave published versions to review', async () => {
+    const changed = CATALOGUE.map(entry => Object.assign({}, entry, { completion_criteria: ['Catalogue Test criterion changed.'] }));
+    const { practices } = PracticeCatalogueService.parse(JSON.stringify(changed), 'changed.json');
+
+    const report = await PracticeCatalogueService.importPractices(practices, { universeId: sourceUniverseId });
+    expect(report.summary.skipped).toBe(practices.length);
+    expect(report.warnings.map(warning => warning.practice)).toEqual(expect.arrayContaining(practices.map(practice => practice.name)));
+
+    const { practices: exported } = await PracticeCatalogueService.exportPractices({ universeId: sourceUniverseId });
+    expect(JSON.stringify(exported)).not.toContain('Catalogue Test criterion changed.');
+
+    const drafts = await PracticeCatalogueService.importPractices(practices, {
+      universeId: sourceUniverseId,
+      versionName: 'Catalogue Test Proposal'
+    });
+    expect(drafts.summary.updated + drafts.summary.created).toBe(practices.length);
+    const statuses = await pool.query(
+      `SELECT DISTINCT pv.status FROM practiceVersion pv
+       WHERE pv.universeId = $1 AND pv.versionName = 'Catalogue Test Proposal'`,
+      [sourceUniverseId]
+    );
+    expect(statuses.rows.map(row => row.status)).toEqual(['Draft']);
+  });
+
+  it('should filter the export by method, type and goal', async () => {
+    const byType = await PracticeCatalogueService.exportPractices({ universeId: sourceUniverseId, type: 'Catalogue Test Practice' });
+    expect(byType.practices.map(practice => practice.name)).toEqual(['Catalogue Test Planning']);
+
+    const byGoal = await PracticeCatalogueService.exportPractices({ universeId: sourceUniverseId, goal: 'catalogue test focus' });
+    expect(byGoal.practices.map(practice => practice.name)).toEqual(['Catalogue Test Planning', 'Catalogue Test Review']);
+
+    const byMethod = await PracticeCatalogueService.exportPractices({ method: 'Catalogue Test Method' });
+    expect(byMethod.practices).toHaveLength(2);
+
+    const none = await PracticeCatalogueService.exportPractices({ universeId: sourceUniverseId, goal: 'Catalogue Test Missing' });
+    expect(none.practices).toEqual([]);
+  });
+
+  // Runs last: it clears every catalogue test row so nothing is matched by name on import
+  it('should reproduce the same content when an export is imported into an empty database', async () => {
+    const source = await PracticeCatalogueService.exportPractices({ universeId: sourceUniverseId });
+    const { practices, errors } = PracticeCatalogueService.parse(
+      PracticeCatalogueService.formatCatalogue(source.practices), 'export.json'
+    );
+    expect(errors).toEqual([]);
+
+    await cleanupCatalogueTestData();
+    const leftovers = await pool.query(
+      `SELECT (SELECT COUNT(*) FROM Practice WHERE name LIKE 'Catalogue Test%')
+            + (SELECT COUNT(*) FROM Goal WHERE name LIKE 'Catalogue Test%')
+            + (SELECT COUNT(*) FROM Method WHERE name LIKE 'Catalogue Test%')
+            + (SELECT COUNT(*) FROM Role WHERE name LIKE 'Catalogue Test%') AS count`
+    );
+    expect(parseInt(leftovers.rows[0].count)).toBe(0);
+
+    const universe = await pool.query(
+      `INSERT INTO Universe (teamId, name, description)
+       VALUES (1, 'Catalogue Test Target', 'Empty import target') RETURNING id`
+    );
+    const targetUniverseId = universe.rows[0].id;
+
+    const report = await PracticeCatalogueService.importPractices(practices, { universeId: targetUniverseId, status: 'Published' });
+    expect(report.warnings).toEqual([]);
+    expect(report.summary.created).toBe(practices.length);
+
+    const target = await PracticeCatalogueService.exportPractices({ universeId: targetUniverseId });
+    expect(target.practices).toEqual(source.practices);
+
+    // Importing the export again changes nothing
+    const again = await PracticeCatalogueService.importPractices(practices, { universeId: targetUniverseId, status: 'Published' });
+    expect(again.summary.unchanged).toBe(practices.length);
+  });
+});
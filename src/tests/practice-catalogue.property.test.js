@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const fc = require('fast-check');
+const PracticeCatalogueService = require('../services/practiceCatalogueService');
+const { parseWithLocations } = require('../utils/jsonLocator');
+
+/**
+ * **Feature: agile-practice-repository, Property 32: Catalogue imports are validated with precise locations and are idempotent**
+ * **Validates: Requirements 8.6**
+ */
+
+const ROOT = path.join(__dirname, '..', '..');
+const CATALOGUE_FILES = ['practices_reference_v2.json', 'extra_practices_reference_v2.json'];
+
+const nameArbitrary = fc.constantFrom('Daily Scrum', 'Sprint Review', 'Pair Programming', 'Kanban Board', 'Retrospective');
+
+const practiceArbitrary = fc.record({
+  name: nameArbitrary,
+  objective: fc.constantFrom('Inspect progress', 'Share knowledge', ''),
+  activities: fc.uniqueArray(
+    fc.record({ sequence: fc.integer({ min: 1, max: 9 }), name: fc.constantFrom('Plan', 'Review', 'Demo', 'Refine') }),
+    { selector: activity => activity.name, maxLength: 4 }
+  ).map(activities => activities.map((activity, index) => ({ ...activity, sequence: index + 1 }))),
+  roles: fc.uniqueArray(
+    fc.record({
+      role: fc.constantFrom('Scrum Master', 'Product Owner', 'Developer'),
+      responsibility: fc.constantFrom('Responsible', 'Accountable', 'Consulted', 'Informed')
+    }),
+    { selector: role => role.role, maxLength: 3 }
+  ),
+  benefits: fc.array(fc.constantFrom('Faster feedback', 'Shared ownership'), { maxLength: 2 })
+});
+
+const catalogueArbitrary = fc.uniqueArray(practiceArbitrary, { selector: practice => practice.name, minLength: 1, maxLength: 4 });
+
+// Pretty-printed the way the reference files are
+const format = (catalogue) => JSON.stringify(catalogue, null, 2);
+
+describe('Practice Catalogue - Property Tests', () => {
+  describe('Property 32: Catalogue imports are validated with precise locations and are idempotent', () => {
+    it('should parse JSON exactly like JSON.parse and locate every value', () => {
+      fc.assert(
+        fc.property(catalogueArbitrary, (catalogue) => {
+          const content = format(catalogue);
+          const lines = content.split('\n');
+          const { value, locate } = parseWithLocations(content);
+
+          expect(value).toEqual(JSON.parse(content));
+          catalogue.forEach((practice, index) => {
+            const { line, column } = locate([index, 'name']);
+            expect(lines[line - 1].slice(column - 1)).toBe(`${JSON.stringify(practice.name)},`);
+          });
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should report the line and column of an invalid value', () => {
+      fc.assert(
+        fc.property(catalogueArbitrary, fc.nat(), (catalogue, pick) => {
+          const index = pick % catalogue.length;
+          const broken = catalogue.map((practice, position) => (
+            position === index ? { ...practice, roles: [{ role: 'Coach', responsibility: 'Supportive' }] } : practice
+          ));
+          const content = format(broken);
+
+          const { practices, errors } = PracticeCatalogueService.parse(content, 'broken.json');
+          expect(practices).toEqual([]);
+          expect(errors).toHaveLength(1);
+          expect(errors[0]).toMatchObject({ file: 'broken.json', path: `${index}.roles.0.responsibility` });
+
+          const line = content.split('\n')[errors[0].line - 1];
+          expect(line.slice(errors[0].column - 1)).toBe('"Supportive"');
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should report an empty diff when the desired rows are already stored', () => {
+      fc.assert(
+        fc.property(fc.array(fc.tuple(fc.string(), fc.option(fc.string())), { maxLength: 8 }), (entries) => {
+          const rows = new Map(entries);
+          expect(PracticeCatalogueService.diffKeyed(rows, new Map(rows))).toEqual({ added: [], removed: [], updated: [] });
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should account for every key as added, removed or updated', () => {
+      const keyed = fc.array(fc.tuple(fc.constantFrom('a', 'b', 'c', 'd', 'e'), fc.integer({ min: 0, max: 2 })), { maxLength: 5 })
+        .map(entries => new Map(entries));
+
+      fc.assert(
+        fc.property(keyed, keyed, (current, desired) => {
+          const { added, removed, updated } = PracticeCatalogueService.diffKeyed(current, desired);
+
+          added.forEach(key => expect(current.has(key)).toBe(false));
+          removed.forEach(key => expect(desired.has(key)).toBe(false));
+          updated.forEach(key => expect(current.get(key)).not.toBe(desired.get(key)));
+          expect(added.length + updated.length).toBeLessThanOrEqual(desired.size);
+          expect(removed.length + updated.length).toBeLessThanOrEqual(current.size);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should report syntax errors with their position', () => {
+      const { errors } = PracticeCatalogueService.parse('[\n  { "name": "Daily Scrum" }\n  { "name": "Retro" }\n]', 'bad.json');
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toMatchObject({ file: 'bad.json', line: 3, column: 3 });
+      expect(PracticeCatalogueService.formatError(errors[0])).toMatch(/^bad\.json:3:3 /);
+    });
+
+    it('should bring both catalogue layouts to the same shape', () => {
+      const main = PracticeCatalogueService.normalizePractice({
+        name: 'Spike',
+        practice_goal: ['Reduce risk'],
+        method: 'XP',
+        associated_practices: [{ target_practice: 'Planning Game', association_type: 'Enabler' }],
+        resources: { guidelines: [{ name: 'Timebox it', url: '' }], benefits: ['Early learning'], pitfalls: [] }
+      });
+      const extra = PracticeCatalogueService.normalizePractice({
+        name: 'Spike',
+        tags: ['Reduce risk'],
+        parent_method: 'XP',
+        associated_practices: [{ target_practice: 'Planning Game', association_type: 'Complementarity' }],
+        benefits: ['Early learning'],
+        resources: [{ name: 'Timebox it' }]
+      });
+
+      expect(extra).toEqual(main);
+      expect(main.associations).toEqual([{ target: 'Planning Game', type: 'Complementarity' }]);
+      expect(main.guidelines).toEqual([{ name: 'Timebox it', url: null, type: null }]);
+    });
+
+    it('should flag a practice defined in two files', () => {
+      const content = format([{ name: 'Daily Scrum' }]);
+      const { practices, errors } = PracticeCatalogueService.parseFiles([
+        { name: 'one.json', content },
+        { name: 'two.json', content }
+      ]);
+
+      expect(practices).toEqual([]);
+      expect(errors).toEqual([expect.objectContaining({ file: 'two.json', line: 3, column: 13 })]);
+    });
+
+    it('should accept the reference catalogue files', () => {
+      const files = CATALOGUE_FILES.map(name => ({ name, content: fs.readFileSync(path.join(ROOT, name), 'utf8') }));
+      const { practices, errors } = PracticeCatalogueService.parseFiles(files);
+
+      expect(errors).toEqual([]);
+      expect(practices.length).toBeGreaterThan(0);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+const request = require('supertest');
+const app = require('../server');
+const pool = require('../config/database');
+const Person = require('../models/Person');
+const Team = require('../models/Team');
+const cacheService = require('../services/cacheService');
+const { cleanupTestData, cleanupTestTeams } = require('./testUtils');
+
+// The upstream practice followed by the merge test is named "Fork Merge Test ..."
+async function cleanupForkMergeTestData() {
+  const versions = `SELECT pv.id FROM practiceVersion pv JOIN Practice p ON pv.practiceId = p.id
+                    WHERE p.name LIKE 'Fork Merge Test%'`;
+  for (const table of ['PracticeVersionUniverse', 'personPracticeAffinity', 'practiceVersionActivity', 'Benefit']) {
+    await pool.query(`DELETE FROM ${table} WHERE practiceVersionId IN (${versions})`);
+  }
+  await pool.query(`DELETE FROM practiceVersion WHERE id IN (${versions})`);
+  await pool.query(`DELETE FROM Practice WHERE name LIKE 'Fork Merge Test%'`);
+  await pool.query(`DELETE FROM Activity WHERE name LIKE 'Fork Merge Test%'`);
+}
+
+describe('Practice Fork Integration Tests', () => {
+  let testUser, testTeam, agent;
+
+  beforeAll(async () => {
+    await cleanupTestData('forkvisibility_%');
+    await cleanupTestTeams('Fork Visibility%');
+    await cleanupForkMergeTestData();
+
+    testUser = await Person.create({
+      name: 'Fork Visibility User',
+      email: `forkvisibility_${Date.now()}@example.com`,
+      password: 'password123'
+    });
+
+    testTeam = await Team.create({
+      name: `Fork Visibility Team ${Date.now()}`,
+      description: 'Team tailoring a practice',
+      creatorId: testUser.id
+    });
+
+    agent = request.agent(app);
+    await agent
+      .post('/api/auth/login')
+      .send({ email: testUser.email, password: 'password123' });
+  });
+
+  afterAll(async () => {
+    await cleanupForkMergeTestData();
+    await cleanupTestData('forkvisibility_%');
+    await cleanupTestTeams('Fork Visibility%');
+  });
+
+  it('should keep a team fork out of the public practice views', async () => {
+    const list = await request(app).get('/api/practices/versions/published?limit=1');
+    expect(list.status).toBe(200);
+    const practiceId = list.body.data[0].practiceId;
+
+    await cacheService.invalidatePracticeCache(practiceId);
+    const before = await request(app).get(`/api/practices/${practiceId}`);
+    expect(before.status).toBe(200);
+
+    const forked = await agent
+      .post(`/api/teams/${testTeam.id}/forks`)
+      .send({ practiceVersionId: before.body.data.versionid });
+    expect(forked.status).toBe(201);
+    const forkId = forked.body.data.id;
+
+    await cacheService.invalidatePracticeCache(practiceId);
+    const after = await request(app).get(`/api/practices/${practiceId}`);
+    expect(after.status).toBe(200);
+    expect(after.body.data.versionid).toBe(before.body.data.versionid);
+    expect(after.body.data.versionname).toBe(before.body.data.versionname);
+
+    const published = await request(app).get('/api/practices/versions/published?limit=1000');
+    expect(published.body.data.some(version => version.id === forkId)).toBe(false);
+
+    const activities = await request(app).get(`/api/practices/versions/${forkId}/activities`);
+    expect(activities.status).toBe(404);
+
+    // The team still sees its own fork
+    const teamForks = await agent.get(`/api/teams/${testTeam.id}/forks`);
+    expect(teamForks.body.data.some(fork => fork.id === forkId)).toBe(true);
+  });
+
+  it('should show upstream changes to a fork and merge them in', async () => {
+    const practice = await pool.query(
+      `INSERT INTO Practice (name, objective) VALUES ('Fork Merge Test Practice', 'Follow upstream') RETURNING id`
+    );
+    const practiceId = practice.rows[0].id;
+    const activity = await pool.query(`INSERT INTO Activity (name) VALUES ('Fork Merge Test Activity') RETURNING id`);
+    const publish = async (versionName, publishedAt) => {
+      const version = await pool.query(
+        `INSERT INTO practiceVersion (practiceId, universeId, versionName, status, publishedAt)
+         VALUES ($1, 1, $2, 'Published', $3) RETURNING id`,
+        [practiceId, versionName, publishedAt]
+      );
+      const versionId = version.rows[0].id;
+      await pool.query(
+        'INSERT INTO practiceVersionActivity (practiceVersionId, activityId, sequence) VALUES ($1, $2, 1)',
+        [versionId, activity.rows[0].id]
+      );
+      await pool.query(
+        `INSERT INTO Benefit (practiceVersionId, name, description) VALUES ($1, 'Fork Merge Test focus', 'Less context switching')`,
+        [versionId]
+      );
+      return versionId;
+    };
+
+    const v1 = await publish('Fork Merge Test v1', new Date(Date.now() - 60000));
+    const forked = await agent.post(`/api/teams/${testTeam.id}/forks`).send({ practiceVersionId: v1 });
+    expect(forked.status).toBe(201);
+    const forkId = forked.body.data.id;
+
+    const upToDate = await agent.get(`/api/teams/${testTeam.id}/forks/${forkId}/upstream`);
+    expect(upToDate.status).toBe(200);
+    expect(upToDate.body.data.behind).toBe(0);
+
+    // Upstream publishes a version with one more benefit
+    const v2 = await publish('Fork Merge Test v2', new Date());
+    await pool.query(
+      `INSERT INTO Benefit (practiceVersionId, name, description) VALUES ($1, 'Fork Merge Test flow', 'Work keeps moving')`,
+      [v2]
+    );
+
+    const behind = await agent.get(`/api/teams/${testTeam.id}/forks/${forkId}/upstream`);
+    expect(behind.status).toBe(200);
+    expect(behind.body.data.upstream.id).toBe(v2);
+    expect(behind.body.data.behind).toBe(1);
+
+    const preview = await agent.post(`/api/teams/${testTeam.id}/forks/${forkId}/merge`).send({ dryRun: true });
+    expect(preview.status).toBe(200);
+    expect(preview.body.data).toMatchObject({ applied: false, unresolved: 0 });
+
+    const merged = await agent.post(`/api/teams/${testTeam.id}/forks/${forkId}/merge`).send({});
+    expect(merged.status).toBe(200);
+    expect(merged.body.data.applied).toBe(true);
+    expect(merged.body.data.changes).toEqual([
+      expect.objectContaining({ type: 'benefits', name: 'Fork Merge Test flow', action: 'added' })
+    ]);
+
+    const benefits = await pool.query(
+      'SELECT name FROM Benefit WHERE practiceVersionId = $1 ORDER BY name',
+      [forkId]
+    );
+    expect(benefits.rows.map(row => row.name)).toEqual(['Fork Merge Test flow', 'Fork Merge Test focus']);
+
+    const caughtUp = await agent.get(`/api/teams/${testTeam.id}/forks/${forkId}/upstream`);
+    expect(caughtUp.body.data.behind).toBe(0);
+  });
+});
@@ -0,0 +1,140 @@
+const fc = require('fast-check');
+const PracticeForkService = require('../services/practiceForkService');
+const PracticeVersionDiffService = require('../services/practiceVersionDiffService');
+
+/**
+ * **Feature: agile-practice-repository, Property 31: Merging upstream changes keeps team edits and reports conflicts**
+ * **Validates: Requirements 8.5**
+ */
+
+const nameArbitrary = fc.constantFrom('Plan', 'Review', 'Demo', 'Retro', 'Refine', 'Pair');
+
+const activitiesArbitrary = fc.uniqueArray(
+  fc.record({ activityId: fc.integer({ min: 1, max: 6 }), name: nameArbitrary, sequence: fc.integer({ min: 1, max: 6 }) }),
+  { selector: item => item.activityId, maxLength: 5 }
+);
+const rolesArbitrary = fc.uniqueArray(
+  fc.record({ roleId: fc.integer({ min: 1, max: 5 }), name: nameArbitrary, raciType: fc.constantFrom('Responsible (R)', 'Accountable (A)', null) }),
+  { selector: item => item.roleId, maxLength: 4 }
+);
+const guidelinesArbitrary = fc.uniqueArray(
+  fc.record({ name: nameArbitrary, description: fc.constantFrom('short', 'long', null), content: fc.constant(null), type: fc.constant(null) }),
+  { selector: item => item.name, maxLength: 4 }
+);
+
+const snapshotArbitrary = fc.record({
+  activities: activitiesArbitrary,
+  roles: rolesArbitrary,
+  guidelines: guidelinesArbitrary
+}).map(entities => ({ version: { id: 1, practiceId: 1 }, entities }));
+
+const ENTITY_TYPES = ['activities', 'roles', 'guidelines'];
+
+describe('Practice Fork - Property Tests', () => {
+  describe('Property 31: Merging upstream changes keeps team edits and reports conflicts', () => {
+    it('should leave an untouched fork identical to upstream after merging', () => {
+      fc.assert(
+        fc.property(snapshotArbitrary, snapshotArbitrary, (base, upstream) => {
+          const merge = PracticeForkService.mergeSnapshots(base, upstream, base);
+          const merged = { version: upstream.version, entities: merge.entities };
+
+          expect(merge.conflicts).toEqual([]);
+          expect(PracticeVersionDiffService.diffSnapshots(upstream, merged).summary.identical).toBe(true);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should keep the fork unchanged when nothing changed upstream', () => {
+      fc.assert(
+        fc.property(snapshotArbitrary, snapshotArbitrary, (base, fork) => {
+          const merge = PracticeForkService.mergeSnapshots(base, base, fork);
+
+          expect(merge.changes).toEqual([]);
+          expect(merge.conflicts).toEqual([]);
+          ENTITY_TYPES.forEach(type => {
+            expect(merge.entities[type]).toEqual(fork.entities[type]);
+          });
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should only report conflicts for entities changed differently on both sides', () => {
+      fc.assert(
+        fc.property(snapshotArbitrary, snapshotArbitrary, snapshotArbitrary, (base, upstream, fork) => {
+          const merge = PracticeForkService.mergeSnapshots(base, upstream, fork);
+          const upstreamDiff = PracticeVersionDiffService.diffSnapshots(base, upstream);
+          const forkDiff = PracticeVersionDiffService.diffSnapshots(base, fork);
+
+          merge.conflicts.forEach(conflict => {
+            const { fields } = PracticeVersionDiffService.ENTITY_DEFINITIONS[conflict.type];
+            expect(PracticeForkService.sameEntity(conflict.base || undefined, conflict.upstream || undefined, fields)).toBe(false);
+            expect(PracticeForkService.sameEntity(conflict.base || undefined, conflict.fork || undefined, fields)).toBe(false);
+            expect(PracticeForkService.sameEntity(conflict.upstream || undefined, conflict.fork || undefined, fields)).toBe(false);
+            expect(conflict.resolution).toBeNull();
+          });
+
+          // Every conflict and every applied change stems from an upstream change
+          expect(merge.changes.length + merge.conflicts.length)
+            .toBeLessThanOrEqual(PracticeForkService.countChanges(upstreamDiff));
+          expect(merge.conflicts.length).toBeLessThanOrEqual(PracticeForkService.countChanges(forkDiff));
+          expect(merge.unresolved).toBe(merge.conflicts.length);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should settle conflicts with the chosen side', () => {
+      fc.assert(
+        fc.property(snapshotArbitrary, snapshotArbitrary, snapshotArbitrary, fc.constantFrom('upstream', 'fork'),
+          (base, upstream, fork, side) => {
+            const preview = PracticeForkService.mergeSnapshots(base, upstream, fork);
+            const resolutions = {};
+            preview.conflicts.forEach(conflict => {
+              resolutions[`${conflict.type}:${conflict.key}`] = side;
+            });
+
+            const merge = PracticeForkService.mergeSnapshots(base, upstream, fork, resolutions);
+            expect(merge.unresolved).toBe(0);
+
+            merge.conflicts.forEach(conflict => {
+              const { key, fields } = PracticeVersionDiffService.ENTITY_DEFINITIONS[conflict.type];
+              const merged = PracticeVersionDiffService.indexByKey(merge.entities[conflict.type], key).get(conflict.key);
+              const chosen = conflict[side] || undefined;
+              expect(PracticeForkService.sameEntity(merged, chosen, fields)).toBe(true);
+            });
+          }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should report a guideline edited on both sides as a conflict', () => {
+      const base = [{ id: 1, name: 'Timebox', description: '15 minutes', content: null, type: null }];
+      const upstream = [{ id: 7, name: 'Timebox', description: '10 minutes', content: null, type: null }];
+      const fork = [{ id: 3, name: 'Timebox', description: '20 minutes', content: null, type: null }];
+
+      const preview = PracticeForkService.mergeEntities('guidelines', base, upstream, fork);
+      expect(preview.conflicts).toHaveLength(1);
+      expect(preview.conflicts[0]).toMatchObject({ type: 'guidelines', key: 'Timebox', resolution: null });
+      expect(preview.items).toEqual(fork);
+
+      // Taking the upstream text keeps the fork's row
+      const resolved = PracticeForkService.mergeEntities('guidelines', base, upstream, fork, { 'guidelines:Timebox': 'upstream' });
+      expect(resolved.items).toEqual([{ id: 3, name: 'Timebox', description: '10 minutes', content: null, type: null }]);
+      expect(resolved.changes).toEqual([{ type: 'guidelines', key: 'Timebox', name: 'Timebox', action: 'updated' }]);
+    });
+
+    it('should add upstream activities and keep activities the team removed out', () => {
+      const base = [{ activityId: 1, name: 'Plan', sequence: 1 }, { activityId: 2, name: 'Review', sequence: 2 }];
+      const upstream = [...base, { activityId: 3, name: 'Demo', sequence: 3 }];
+      const fork = [{ activityId: 1, name: 'Plan', sequence: 1 }];
+
+      const merge = PracticeForkService.mergeEntities('activities', base, upstream, fork);
+
+      expect(merge.conflicts).toEqual([]);
+      expect(merge.items.map(item => item.activityId)).toEqual([1, 3]);
+      expect(merge.changes).toEqual([{ type: 'activities', key: '3', name: 'Demo', action: 'added' }]);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const request = require('supertest');
+const app = require('../server');
+const pool = require('../config/database');
+const Person = require('../models/Person');
+const { cleanupTestData } = require('./testUtils');
+
+// Everything created here is named "Lifecycle Test ..." or uses lifecycletest_ emails
+async function cleanupLifecycleTestData() {
+  const versions = `SELECT pv.id FROM practiceVersion pv JOIN Practice p ON pv.practiceId = p.id
+                    WHERE p.name LIKE 'Lifecycle Test%'`;
+  for (const table of ['practiceVersionTransition', 'personPracticeAffinity', 'practiceVersionActivity', 'roleUse',
+    'practiceGoal', 'completionCriteria', 'Benefit']) {
+    await pool.query(`DELETE FROM ${table} WHERE practiceVersionId IN (${versions})`);
+  }
+  await pool.query(`DELETE FROM practiceVersion WHERE id IN (${versions})`);
+  await pool.query(`DELETE FROM Practice WHERE name LIKE 'Lifecycle Test%'`);
+  for (const table of ['Activity', 'Role', 'Goal']) {
+    await pool.query(`DELETE FROM ${table} WHERE name LIKE 'Lifecycle Test%'`);
+  }
+  await cleanupTestData('lifecycletest_%');
+}
+
+describe('Practice Version Lifecycle Integration Tests', () => {
+  let author, reviewer, practiceId, versionId;
+
+  const loginExpert = async (name) => {
+    const email = `lifecycletest_${name.toLowerCase()}_${Date.now()}@example.com`;
+    const person = await Person.create({ name: `Lifecycle Test ${name}`, email, password: 'password123' });
+    await pool.query('UPDATE Person SET roleId = 1 WHERE id = $1', [person.id]);
+
+    const agent = request.agent(app);
+    const login = await agent.post('/api/auth/login').send({ email, password: 'password123' });
+    expect(login.status).toBe(200);
+    return { id: person.id, agent };
+  };
+
+  const moveTo = (expert, status) => expert.agent
+    .put(`/api/expert/practices/${practiceId}/versions/${versionId}/status`)
+    .send({ status, comment: `To ${status}` });
+
+  beforeAll(async () => {
+    await cleanupLifecycleTestData();
+    author = await loginExpert('Author');
+    reviewer = await loginExpert('Reviewer');
+
+    const practice = await pool.query(
+      `INSERT INTO Practice (name, objective) VALUES ('Lifecycle Test Practice', 'Review before publishing') RETURNING id`
+    );
+    practiceId = practice.rows[0].id;
+    const version = await pool.query(
+      `INSERT INTO practiceVersion (practiceId, universeId, versionName, lastUpdateById)
+       VALUES ($1, 1, 'Lifecycle Test v1', $2) RETURNING id`,
+      [practiceId, author.id]
+    );
+    versionId = version.rows[0].id;
+
+    // Everything a version needs before it can go to review
+    const activity = await pool.query(`INSERT INTO Activity (name) VALUES ('Lifecycle Test Activity') RETURNING id`);
+    const role = await pool.query(`INSERT INTO Role (name) VALUES ('Lifecycle Test Role') RETURNING id`);
+    const goal = await pool.query(`INSERT INTO Goal (name) VALUES ('Lifecycle Test Goal') RETURNING id`);
+    await pool.query(
+      'INSERT INTO practiceVersionActivity (practiceVersionId, activityId, sequence) VALUES ($1, $2, 1)',
+      [versionId, activity.rows[0].id]
+    );
+    await pool.query('INSERT INTO roleUse (practiceVersionId, roleId) VALUES ($1, $2)', [versionId, role.rows[0].id]);
+    await pool.query('INSERT INTO practiceGoal (practiceVersionId, goalId) VALUES ($1, $2)', [versionId, goal.rows[0].id]);
+    await pool.query(
+      `INSERT INTO completionCriteria (practiceVersionId, name) VALUES ($1, 'Lifecycle Test criterion')`,
+      [versionId]
+    );
+    await pool.query(
+      `INSERT INTO Benefit (practiceVersionId, name, description) VALUES ($1, 'Lifecycle Test benefit', 'Fewer surprises')`,
+      [versionId]
+    );
+  });
+
+  afterAll(async () => {
+    await cleanupLifecycleTestData();
+  });
+
+  it('should publish a version submitted by one expert once a second expert signs it off', async () => {
+    const submitted = await moveTo(author, 'In Review');
+    expect(submitted.status).toBe(200);
+    expect(submitted.body.data).toMatchObject({ status: 'In Review', submittedById: author.id });
+
+    const selfApproved = await moveTo(author, 'Published');
+    expect(selfApproved.status).toBe(400);
+    expect(selfApproved.body.error).toContain('sign-off');
+
+    const published = await moveTo(reviewer, 'Published');
+    expect(published.status).toBe(200);
+    expect(published.body.data).toMatchObject({ status: 'Published', submittedById: author.id, reviewedById: reviewer.id });
+
+    const stored = await pool.query(
+      'SELECT submittedAt, publishedAt FROM practiceVersion WHERE id = $1',
+      [versionId]
+    );
+    expect(stored.rows[0].submittedat).toBeTruthy();
+    expect(stored.rows[0].publishedat).toBeTruthy();
+
+    const history = await pool.query(
+      `SELECT fromStatus, toStatus, personId FROM practiceVersionTransition
+       WHERE practiceVersionId = $1 ORDER BY id`,
+      [versionId]
+    );
+    expect(history.rows).toEqual([
+      { fromstatus: 'Draft', tostatus: 'In Review', personid: author.id },
+      { fromstatus: 'In Review', tostatus: 'Published', personid: reviewer.id }
+    ]);
+
+    const deprecated = await moveTo(author, 'Deprecated');
+    expect(deprecated.status).toBe(200);
+    expect(deprecated.body.data.status).toBe('Deprecated');
+  });
+
+  it('should restore a deprecated version as a new draft carrying its content', async () => {
+    const response = await reviewer.agent
+      .post(`/api/expert/practices/${practiceId}/versions/${versionId}/restore`)
+      .send({ versionName: 'Lifecycle Test v2' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toMatchObject({
+      practiceId,
+      versionName: 'Lifecycle Test v2',
+      status: 'Draft',
+      lastUpdateById: reviewer.id
+    });
+
+    const restoredId = response.body.data.id;
+    expect(restoredId).not.toBe(versionId);
+
+    const content = await pool.query(
+      `SELECT
+         (SELECT COUNT(*)::int FROM practiceVersionActivity WHERE practiceVersionId = $1) AS activities,
+         (SELECT COUNT(*)::int FROM roleUse WHERE practiceVersionId = $1) AS roles,
+         (SELECT COUNT(*)::int FROM practiceGoal WHERE practiceVersionId = $1) AS goals,
+         (SELECT COUNT(*)::int FROM completionCriteria WHERE practiceVersionId = $1) AS criteria`,
+      [restoredId]
+    );
+    expect(content.rows[0]).toEqual({ activities: 1, roles: 1, goals: 1, criteria: 1 });
+
+    // Copied rows that record an author are attributed to the expert restoring them
+    const benefits = await pool.query(
+      'SELECT name, lastUpdateById FROM Benefit WHERE practiceVersionId = $1',
+      [restoredId]
+    );
+    expect(benefits.rows).toEqual([{ name: 'Lifecycle Test benefit', lastupdatebyid: reviewer.id }]);
+  });
+});
@@ -0,0 +1,131 @@
+const fc = require('fast-check');
+const pool = require('../config/database');
+const PracticeVersion = require('../models/PracticeVersion');
+const PersonalityService = require('../services/personalityService');
+
+/**
+ * **Feature: agile-practice-repository, Property 29: Practice versions follow the publication lifecycle**
+ * **Validates: Requirements 8.3**
+ */
+
+const statusArbitrary = fc.constantFrom(...PracticeVersion.STATUSES);
+const countsArbitrary = fc.record({
+  activities: fc.integer({ min: 0, max: 5 }),
+  roles: fc.integer({ min: 0, max: 5 }),
+  goals: fc.integer({ min: 0, max: 5 }),
+  completionCriteria: fc.integer({ min: 0, max: 5 })
+});
+const readyCounts = { activities: 2, roles: 1, goals: 3, completionCriteria: 1 };
+
+describe('Practice Lifecycle - Property Tests', () => {
+  describe('Property 29: Practice versions follow the publication lifecycle', () => {
+    it('should accept exactly the allowed moves between statuses', () => {
+      fc.assert(
+        fc.property(statusArbitrary, statusArbitrary, (from, to) => {
+          const attempt = () => PracticeVersion.validateTransition({
+            from,
+            to,
+            personId: 2,
+            submittedById: 1,
+            readiness: PracticeVersion.checkReadiness(readyCounts)
+          });
+
+          if (PracticeVersion.allowedTransitions(from).includes(to)) {
+            expect(attempt).not.toThrow();
+          } else {
+            expect(attempt).toThrow(`Cannot move practice version from ${from} to ${to}`);
+          }
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should only publish drafts through review, and never leave Archived', () => {
+      expect(PracticeVersion.allowedTransitions('Draft')).not.toContain('Published');
+      expect(PracticeVersion.allowedTransitions('In Review')).toContain('Published');
+      expect(PracticeVersion.allowedTransitions('Archived')).toEqual([]);
+      expect(() => PracticeVersion.validateTransition({ from: 'Draft', to: 'Live', personId: 1 }))
+        .toThrow('Status must be one of');
+    });
+
+    it('should report a version ready only when every check has content', () => {
+      fc.assert(
+        fc.property(countsArbitrary, (counts) => {
+          const readiness = PracticeVersion.checkReadiness(counts);
+          const missing = PracticeVersion.READINESS_CHECKS.filter(check => counts[check] === 0);
+
+          expect(readiness.missing).toEqual(missing);
+          expect(readiness.ready).toBe(missing.length === 0);
+          expect(readiness.counts).toEqual(counts);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should block review and publication of incomplete versions', () => {
+      fc.assert(
+        fc.property(countsArbitrary, (counts) => {
+          const readiness = PracticeVersion.checkReadiness(counts);
+          fc.pre(!readiness.ready);
+
+          expect(() => PracticeVersion.validateTransition({ from: 'Draft', to: 'In Review', personId: 1, readiness }))
+            .toThrow(`missing ${readiness.missing.join(', ')}`);
+          expect(() => PracticeVersion.validateTransition({
+            from: 'In Review', to: 'Published', personId: 2, submittedById: 1, readiness
+          })).toThrow('Practice version is not ready');
+
+          // Retiring a version does not depend on its content
+          expect(() => PracticeVersion.validateTransition({ from: 'Draft', to: 'Archived', personId: 1, readiness }))
+            .not.toThrow();
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should require a second expert to sign off a version in review', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 1, max: 100 }), fc.integer({ min: 1, max: 100 }), (submitterId, reviewerId) => {
+          const attempt = () => PracticeVersion.validateTransition({
+            from: 'In Review',
+            to: 'Published',
+            personId: reviewerId,
+            submittedById: submitterId,
+            readiness: PracticeVersion.checkReadiness(readyCounts)
+          });
+
+          if (submitterId === reviewerId) {
+            expect(attempt).toThrow('Publishing requires sign-off by an expert other than the one who submitted the version');
+          } else {
+            expect(attempt).not.toThrow();
+          }
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should only recommend the latest shared published version of each practice', async () => {
+      const query = jest.spyOn(pool, 'query').mockResolvedValue({ rows: [] });
+      const findAll = jest.spyOn(PracticeVersion, 'findAll');
+      const candidates = [1, 2, 3].map(id => new PracticeVersion({ id, practiceId: id, status: 'Published' }));
+      jest.spyOn(PracticeVersion, 'findRecommendable').mockResolvedValue(candidates);
+      const batch = jest.spyOn(PersonalityService, 'calculateTeamAffinityBatch').mockResolvedValue(new Map());
+
+      await PersonalityService.getTeamPracticeRecommendations([1, 2], 0);
+
+      expect(findAll).not.toHaveBeenCalled();
+      expect(batch).toHaveBeenCalledWith([1, 2], [1, 2, 3]);
+      expect(PracticeVersion.RECOMMENDABLE_VERSION_IDS).toContain("rv.status = 'Published'");
+      expect(PracticeVersion.RECOMMENDABLE_VERSION_IDS).toContain('rv.forkedFromId IS NULL');
+
+      // Affinities also stay current for the versions the person's teams use, forks included
+      query.mockResolvedValue({ rows: [{ id: 4 }, { id: 9 }] });
+      expect(await PracticeVersion.findAffinityTargetIds(7)).toEqual([4, 9]);
+      const [sql, params] = query.mock.calls[query.mock.calls.length - 1];
+      expect(sql).toContain(PracticeVersion.RECOMMENDABLE_VERSION_IDS);
+      expect(sql).toContain('tm.personId = $1');
+      expect(params).toEqual([7]);
+
+      jest.restoreAllMocks();
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const pool = require('../config/database');
+const PracticeSearchService = require('../services/practiceSearchService');
+
+// Everything created here is named "Search Index Test ..." and uses words no real practice contains
+async function cleanupSearchTestData() {
+  const versions = `SELECT pv.id FROM practiceVersion pv JOIN Practice p ON pv.practiceId = p.id
+                    WHERE p.name LIKE 'Search Index Test%'`;
+  await pool.query(`DELETE FROM practiceVersionActivity WHERE practiceVersionId IN (${versions})`);
+  await pool.query(`DELETE FROM Benefit WHERE practiceVersionId IN (${versions})`);
+  await pool.query(`DELETE FROM practiceVersion WHERE id IN (${versions})`);
+  await pool.query(`DELETE FROM Practice WHERE name LIKE 'Search Index Test%'`);
+  await pool.query(`DELETE FROM Activity WHERE name LIKE 'Search Index Test%'`);
+  await pool.query(`DELETE FROM Universe WHERE name LIKE 'Search Index Test%'`);
+}
+
+const searchNames = async (query) =>
+  (await PracticeSearchService.search({ query })).practices.map(practice => practice.name);
+
+const wordCount = async (word) => {
+  const result = await pool.query('SELECT ndoc FROM practiceSearchWord WHERE word = $1', [word]);
+  return result.rows.length > 0 ? result.rows[0].ndoc : 0;
+};
+
+describe('Practice Search Index Integration Tests', () => {
+  let universeId, practiceId, versionId;
+
+  beforeAll(async () => {
+    await cleanupSearchTestData();
+
+    const universe = await pool.query(
+      `INSERT INTO Universe (teamId, name, description)
+       VALUES (1, 'Search Index Test Universe', 'Search index fixtures') RETURNING id`
+    );
+    universeId = universe.rows[0].id;
+
+    const practice = await pool.query(
+      `INSERT INTO Practice (name, objective, description)
+       VALUES ('Search Index Test Quorbling', 'Try the quorbling ritual', 'A practice built around quorbling.')
+       RETURNING id`
+    );
+    practiceId = practice.rows[0].id;
+
+    const version = await pool.query(
+      `INSERT INTO practiceVersion (practiceId, universeId, versionName, status)
+       VALUES ($1, $2, 'Search Index Test v1', 'Draft') RETURNING id`,
+      [practiceId, universeId]
+    );
+    versionId = version.rows[0].id;
+  });
+
+  afterAll(async () => {
+    await cleanupSearchTestData();
+  });
+
+  it('should index a draft without offering its words to searches', async () => {
+    const indexed = await pool.query(
+      'SELECT practiceId, isPublic FROM practiceVersionSearch WHERE practiceVersionId = $1',
+      [versionId]
+    );
+    expect(indexed.rows).toEqual([{ practiceid: practiceId, ispublic: false }]);
+
+    expect(await wordCount('quorbling')).toBe(0);
+    expect(await searchNames('quorbling')).toEqual([]);
+  });
+
+  it('should make a version searchable as soon as it is published', async () => {
+    await pool.query(
+      `UPDATE practiceVersion SET status = 'Published', publishedAt = CURRENT_TIMESTAMP WHERE id = $1`,
+      [versionId]
+    );
+
+    expect(await wordCount('quorbling')).toBe(1);
+    expect(await searchNames('quorbling')).toEqual(['Search Index Test Quorbling']);
+    // Misspellings are corrected against the stored vocabulary
+    expect(await searchNames('quorblng')).toEqual(['Search Index Test Quorbling']);
+  });
+
+  it('should follow changes to the version content and the shared entities it uses', async () => {
+    const activity = await pool.query(
+      `INSERT INTO Activity (name, description)
+       VALUES ('Search Index Test Frobnicate', 'Frobnicate the backlog') RETURNING id`
+    );
+    await pool.query(
+      'INSERT INTO practiceVersionActivity (practiceVersionId, activityId, sequence) VALUES ($1, $2, 1)',
+      [versionId, activity.rows[0].id]
+    );
+    expect(await searchNames('frobnicate')).toEqual(['Search Index Test Quorbling']);
+
+    await pool.query(
+      `UPDATE Activity SET name = 'Search Index Test Zindle', description = 'Zindle the backlog' WHERE id = $1`,
+      [activity.rows[0].id]
+    );
+    expect(await searchNames('frobnicate')).toEqual([]);
+    expect(await searchNames('zindle')).toEqual(['Search Index Test Quorbling']);
+    expect(await wordCount('frobnicate')).toBe(0);
+
+    await pool.query(
+      `INSERT INTO Benefit (practiceVersionId, name, description)
+       VALUES ($1, 'Search Index Test Benefit', 'Plenty of glimmerwick')`,
+      [versionId]
+    );
+    expect(await searchNames('glimmerwick')).toEqual(['Search Index Test Quorbling']);
+  });
+
+  it('should drop the words of a version once it is no longer published', async () => {
+    await pool.query(`UPDATE practiceVersion SET status = 'Deprecated' WHERE id = $1`, [versionId]);
+
+    expect(await wordCount('quorbling')).toBe(0);
+    expect(await wordCount('zindle')).toBe(0);
+    expect(await searchNames('quorbling')).toEqual([]);
+  });
+});
@@ -0,0 +1,150 @@
+const fc = require('fast-check');
+const PracticeSearchService = require('../services/practiceSearchService');
+
+/**
+ * **Feature: agile-practice-repository, Property 35: Search tolerates prefixes and typos and highlights what matched**
+ * **Validates: Requirements 6.1**
+ */
+
+const VOCABULARY = ['retrospective', 'planning', 'standup', 'backlog', 'refinement',
+  'estimation', 'velocity', 'burndown', 'kanban', 'pairing', 'review', 'increment'];
+
+// pg_trgm similarity: shared trigrams over all trigrams of both padded words
+const trigrams = (word) => {
+  const padded = `  ${word} `;
+  const set = new Set();
+  for (let i = 0; i < padded.length - 2; i++) {
+    set.add(padded.slice(i, i + 3));
+  }
+  return set;
+};
+const similarity = (a, b) => {
+  const ta = trigrams(a);
+  const tb = trigrams(b);
+  const shared = Array.from(ta).filter(trigram => tb.has(trigram)).length;
+  return shared / (ta.size + tb.size - shared);
+};
+
+// Rows the practiceSearchWord query returns for the terms
+const candidatesFor = (terms) => terms.flatMap(term => VOCABULARY
+  .filter(word => word.startsWith(term) || similarity(word, term) >= 0.3)
+  .map((word, index) => ({ term, word, ndoc: String(index + 1), similarity: String(similarity(word, term)) })));
+
+const expand = (terms) => PracticeSearchService.chooseExpansions(terms, candidatesFor(terms));
+
+const typoArbitrary = fc.record({
+  word: fc.constantFrom(...VOCABULARY.filter(word => word.length >= 6)),
+  position: fc.nat(),
+  letter: fc.constantFrom(...'abcdefghijklmnopqrstuvwxyz')
+}).map(({ word, position, letter }) => {
+  const index = position % word.length;
+  return { word, term: word.slice(0, index) + letter + word.slice(index + 1) };
+});
+
+describe('Practice Search - Property Tests', () => {
+  describe('Property 35: Search tolerates prefixes and typos and highlights what matched', () => {
+    it('should split queries into a bounded set of safe lowercase terms', () => {
+      fc.assert(
+        fc.property(fc.string({ maxLength: 400 }), (query) => {
+          const terms = PracticeSearchService.parseTerms(query);
+
+          expect(terms.length).toBeLessThanOrEqual(8);
+          expect(new Set(terms).size).toBe(terms.length);
+          terms.forEach(term => {
+            expect(term).toMatch(/^[\p{L}\p{N}]{1,32}$/u);
+            expect(term).toBe(term.toLowerCase());
+          });
+        }),
+        { numRuns: 200 }
+      );
+    });
+
+    it('should require every term and only use tsquery operators between them', () => {
+      fc.assert(
+        fc.property(fc.array(fc.constantFrom('plan', 'retro', 'daily', 'pair', 'velocty', 'x'), { minLength: 1, maxLength: 5 }), (words) => {
+          const terms = PracticeSearchService.parseTerms(words.join(' '));
+          const tsQuery = PracticeSearchService.buildTsQuery(terms, expand(terms));
+          const groups = tsQuery.split(' & ');
+
+          expect(groups).toHaveLength(terms.length);
+          groups.forEach((group, index) => {
+            expect(group).toMatch(/^(\([\p{L}\p{N}:* |]+\)|[\p{L}\p{N}]+:\*)$/u);
+            expect(group.replace(/[()]/g, '').split(' | ')[0]).toBe(`${terms[index]}:*`);
+          });
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should complete partly typed words of the catalogue', () => {
+      fc.assert(
+        fc.property(fc.constantFrom(...VOCABULARY), fc.integer({ min: 1, max: 12 }), (word, length) => {
+          const term = word.slice(0, length);
+          const expansions = expand([term])[term];
+
+          expect(expansions.length).toBeLessThanOrEqual(3);
+          expansions.forEach(expansion => {
+            expect(expansion.startsWith(term)).toBe(true);
+          });
+          expect(PracticeSearchService.buildTsQuery([term], { [term]: expansions })).toContain(`${term}:*`);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should find a catalogue word from a term with one wrong letter', () => {
+      fc.assert(
+        fc.property(typoArbitrary, ({ word, term }) => {
+          fc.pre(term !== word && !VOCABULARY.some(other => other.startsWith(term)));
+
+          const expansions = expand([term])[term];
+
+          expect(expansions).toContain(word);
+          expect(expansions.length).toBeLessThanOrEqual(3);
+        }),
+        { numRuns: 200 }
+      );
+    });
+
+    it('should not correct short terms', () => {
+      expect(expand(['xyz'])).toEqual({ xyz: [] });
+      expect(PracticeSearchService.buildTsQuery(['xyz'], expand(['xyz']))).toBe('xyz:*');
+    });
+
+    it('should turn headlines into segments that keep the text and mark the matches', () => {
+      const fragmentArbitrary = fc.record({
+        text: fc.string({ minLength: 1, maxLength: 20 }),
+        highlight: fc.boolean()
+      });
+
+      fc.assert(
+        fc.property(fc.array(fragmentArbitrary, { maxLength: 8 }), (fragments) => {
+          const clean = fragments.map(fragment => ({ text: fragment.text.replace(/[⟦⟧]/g, ''), highlight: fragment.highlight }))
+            .filter(fragment => fragment.text.length > 0);
+          const headline = clean.map(fragment => (fragment.highlight ? `⟦${fragment.text}⟧` : fragment.text)).join('');
+
+          const segments = PracticeSearchService.parseHeadline(headline);
+
+          expect(segments.map(segment => segment.text).join('')).toBe(clean.map(fragment => fragment.text).join(''));
+          expect(segments.filter(segment => segment.highlight).map(segment => segment.text).join(''))
+            .toBe(clean.filter(fragment => fragment.highlight).map(fragment => fragment.text).join(''));
+          segments.forEach((segment, index) => {
+            expect(segment.text.length).toBeGreaterThan(0);
+            if (index > 0) {
+              expect(segment.highlight).not.toBe(segments[index - 1].highlight);
+            }
+          });
+        }),
+        { numRuns: 200 }
+      );
+    });
+
+    it('should drop stray highlight markers from the content', () => {
+      expect(PracticeSearchService.parseHeadline('Use ⟦retro⟧ notes ⟧ and ⟦ boards')).toEqual([
+        { text: 'Use ', highlight: false },
+        { text: 'retro', highlight: true },
+        { text: ' notes  and  boards', highlight: false }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const fc = require('fast-check');
+const PracticeSearchService = require('../services/practiceSearchService');
+
+/**
+ * **Feature: agile-practice-repository, Property 34: Tag facets narrow the practice list to practices carrying every selected tag**
+ * **Validates: Requirements 7.2**
+ */
+
+const filtersArbitrary = fc.record({
+  tsQuery: fc.option(fc.constantFrom('daily:*', '(review:* | reviews)', 'sprint:* & plan:*'), { nil: undefined }),
+  typeId: fc.option(fc.integer({ min: 1, max: 5 }), { nil: undefined }),
+  goalId: fc.option(fc.integer({ min: 1, max: 5 }), { nil: undefined }),
+  tagIds: fc.array(fc.integer({ min: 1, max: 8 }), { maxLength: 5 })
+});
+
+// Evaluate the tag condition the way PostgreSQL would for one practice's tags
+const matchesTagCondition = (whereClause, params, practiceTagIds) => {
+  const match = whereClause.match(/tagId = ANY\(\$(\d+)::int\[\]\)\s*\) = (\d+)/);
+  if (!match) {
+    return true;
+  }
+  const selected = params[parseInt(match[1]) - 1];
+  const carried = new Set(practiceTagIds.filter(id => selected.includes(id)));
+  return carried.size === parseInt(match[2]);
+};
+
+describe('Practice Tags - Property Tests', () => {
+  describe('Property 34: Tag facets narrow the practice list to practices carrying every selected tag', () => {
+    it('should number every placeholder once per parameter', () => {
+      fc.assert(
+        fc.property(filtersArbitrary, (filters) => {
+          const { whereClause, params } = PracticeSearchService.buildFilters(filters);
+          const placeholders = new Set((whereClause.match(/\$\d+/g) || []).map(placeholder => parseInt(placeholder.slice(1))));
+
+          expect(Array.from(placeholders).sort((a, b) => a - b)).toEqual(params.map((param, index) => index + 1));
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should only keep practices that carry all selected tags', () => {
+      fc.assert(
+        fc.property(filtersArbitrary, fc.array(fc.integer({ min: 1, max: 8 }), { maxLength: 6 }), (filters, practiceTagIds) => {
+          const { whereClause, params } = PracticeSearchService.buildFilters(filters);
+          const expected = filters.tagIds.every(id => practiceTagIds.includes(id));
+
+          expect(matchesTagCondition(whereClause, params, practiceTagIds)).toBe(expected);
+        }),
+        { numRuns: 200 }
+      );
+    });
+
+    it('should never widen the list when a tag is added to the selection', () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.integer({ min: 1, max: 8 }), { maxLength: 4 }),
+          fc.integer({ min: 1, max: 8 }),
+          fc.array(fc.integer({ min: 1, max: 8 }), { maxLength: 6 }),
+          (tagIds, extraTagId, practiceTagIds) => {
+            const before = PracticeSearchService.buildFilters({ tagIds });
+            const after = PracticeSearchService.buildFilters({ tagIds: [...tagIds, extraTagId] });
+
+            if (matchesTagCondition(after.whereClause, after.params, practiceTagIds)) {
+              expect(matchesTagCondition(before.whereClause, before.params, practiceTagIds)).toBe(true);
+            }
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+  });
+});
@@ -0,0 +1,119 @@
+const fc = require('fast-check');
+const BfProfile = require('../models/BfProfile');
+const PracticeTraitProfile = require('../models/PracticeTraitProfile');
+const PersonPracticeAffinity = require('../models/PersonPracticeAffinity');
+
+/**
+ * **Feature: agile-practice-repository, Property 44: Affinity follows the practice's trait-demand profile**
+ * **Validates: Requirements 11.1**
+ */
+
+const TRAITS = ['O', 'C', 'E', 'A', 'N'];
+const traitScore = fc.double({ min: 0, max: 1, noNaN: true });
+
+const bfProfileArbitrary = fc
+  .record({ o: traitScore, c: traitScore, e: traitScore, a: traitScore, n: traitScore })
+  .map(scores => new BfProfile({ id: 1, personId: 1, statusId: 3, ...scores }));
+
+const demandArbitrary = fc.record({
+  trait: fc.constantFrom(...TRAITS),
+  weight: fc.double({ min: 0, max: 1, noNaN: true }),
+  direction: fc.constantFrom(1, -1)
+});
+
+const traitProfileArbitrary = fc.uniqueArray(demandArbitrary, { selector: demand => demand.trait, maxLength: 5 });
+
+describe('Practice Trait Profile - Property Tests', () => {
+  describe('Property 44: Affinity follows the practice\'s trait-demand profile', () => {
+    it('should accept every profile with known, distinct traits, weights in 0-1 and a +1/-1 direction', () => {
+      fc.assert(
+        fc.property(traitProfileArbitrary, (traitProfile) => {
+          expect(() => PracticeTraitProfile.validate(traitProfile)).not.toThrow();
+        }),
+        { numRuns: 100 }
+      );
+
+      expect(() => PracticeTraitProfile.validate([{ trait: 'O', weight: 0.5 }])).not.toThrow();
+    });
+
+    it('should refuse weights outside 0-1, other directions and repeated traits', () => {
+      fc.assert(
+        fc.property(
+          traitProfileArbitrary.filter(traitProfile => traitProfile.length > 0),
+          fc.oneof(
+            fc.double({ min: 1.0001, max: 100, noNaN: true }),
+            fc.double({ min: -100, max: -0.0001, noNaN: true }),
+            fc.constant('heavy')
+          ),
+          fc.integer({ min: -5, max: 5 }).filter(direction => direction !== 1 && direction !== -1),
+          (traitProfile, badWeight, badDirection) => {
+            const [first, ...rest] = traitProfile;
+
+            expect(() => PracticeTraitProfile.validate([{ ...first, weight: badWeight }, ...rest]))
+              .toThrow('Trait weight must be between 0 and 1');
+            expect(() => PracticeTraitProfile.validate([{ ...first, direction: badDirection }, ...rest]))
+              .toThrow('Trait direction must be 1 or -1');
+            expect(() => PracticeTraitProfile.validate([...traitProfile, { ...first }]))
+              .toThrow(`Trait ${first.trait} is listed more than once`);
+          }
+        ),
+        { numRuns: 100 }
+      );
+
+      expect(() => PracticeTraitProfile.validate([{ trait: 'X', weight: 0.5 }])).toThrow('Trait must be one of');
+      expect(() => PracticeTraitProfile.validate({ trait: 'O', weight: 0.5 })).toThrow('must be an array');
+    });
+
+    it('should move the neutral score by each demand\'s signed, weighted trait score', () => {
+      fc.assert(
+        fc.property(bfProfileArbitrary, traitProfileArbitrary, (bfProfile, traitProfile) => {
+          const expected = traitProfile.reduce(
+            (sum, demand) => sum + demand.direction * demand.weight * bfProfile[demand.trait.toLowerCase()] * 100,
+            PersonPracticeAffinity.BASE_AFFINITY
+          );
+
+          expect(PersonPracticeAffinity.calculateAffinity(bfProfile, traitProfile))
+            .toBe(Math.max(0, Math.min(100, Math.round(expected))));
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should rise with a demanded trait and fall with a trait the practice counts against', () => {
+      fc.assert(
+        fc.property(
+          bfProfileArbitrary,
+          demandArbitrary,
+          traitScore,
+          (bfProfile, demand, higherBy) => {
+            const key = demand.trait.toLowerCase();
+            const stronger = new BfProfile({
+              ...bfProfile,
+              [key]: Math.min(1, bfProfile[key] + higherBy)
+            });
+            const before = PersonPracticeAffinity.calculateAffinity(bfProfile, [demand]);
+            const after = PersonPracticeAffinity.calculateAffinity(stronger, [demand]);
+
+            if (demand.direction > 0) {
+              expect(after).toBeGreaterThanOrEqual(before);
+            } else {
+              expect(after).toBeLessThanOrEqual(before);
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should not score a person whose Big Five profile is incomplete', () => {
+      fc.assert(
+        fc.property(traitProfileArbitrary, (traitProfile) => {
+          const pending = new BfProfile({ id: 1, personId: 1, statusId: 1, o: 0.5, c: null, e: null, a: null, n: null });
+          expect(PersonPracticeAffinity.calculateAffinity(pending, traitProfile)).toBe(0);
+          expect(PersonPracticeAffinity.calculateAffinity(null, traitProfile)).toBe(0);
+        }),
+        { numRuns: 20 }
+      );
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const fc = require('fast-check');
+const PracticeVersionDiffService = require('../services/practiceVersionDiffService');
+
+/**
+ * **Feature: agile-practice-repository, Property 30: Version diffs account for every entity**
+ * **Validates: Requirements 8.4**
+ */
+
+const nameArbitrary = fc.constantFrom('Plan', 'Review', 'Demo', 'Retro', 'Refine', 'Pair');
+
+// Snapshot entities with unique IDs or names, as the database returns them
+const snapshotArbitrary = fc.record({
+  activities: fc.uniqueArray(
+    fc.record({ activityId: fc.integer({ min: 1, max: 8 }), name: nameArbitrary, sequence: fc.integer({ min: 1, max: 8 }) }),
+    { selector: item => item.activityId, maxLength: 6 }
+  ),
+  roles: fc.uniqueArray(
+    fc.record({ roleId: fc.integer({ min: 1, max: 6 }), name: nameArbitrary, raciType: fc.constantFrom('Responsible (R)', 'Accountable (A)', null) }),
+    { selector: item => item.roleId, maxLength: 5 }
+  ),
+  guidelines: fc.uniqueArray(
+    fc.record({ name: nameArbitrary, description: fc.constantFrom('short', 'long', null), content: fc.constant(null), type: fc.constant(null) }),
+    { selector: item => item.name, maxLength: 5 }
+  ),
+  goals: fc.uniqueArray(
+    fc.record({ goalId: fc.integer({ min: 1, max: 6 }), name: nameArbitrary }),
+    { selector: item => item.goalId, maxLength: 5 }
+  )
+}).map(entities => ({
+  version: { id: 1, practiceId: 1, versionName: 'v1', changeDescription: null, universeId: 1, status: 'Draft' },
+  entities
+}));
+
+describe('Practice Version Diff - Property Tests', () => {
+  describe('Property 30: Version diffs account for every entity', () => {
+    it('should report no change between a version and itself', () => {
+      fc.assert(
+        fc.property(snapshotArbitrary, (snapshot) => {
+          const changeset = PracticeVersionDiffService.diffSnapshots(snapshot, snapshot);
+
+          expect(changeset.summary.identical).toBe(true);
+          expect(changeset.fields).toEqual([]);
+          Object.keys(snapshot.entities).forEach(type => {
+            expect(changeset.entities[type].unchanged).toBe(snapshot.entities[type].length);
+          });
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should classify every entity as added, removed, changed or unchanged', () => {
+      fc.assert(
+        fc.property(snapshotArbitrary, snapshotArbitrary, (from, to) => {
+          const changeset = PracticeVersionDiffService.diffSnapshots(from, to);
+
+          Object.keys(from.entities).forEach(type => {
+            const { added, removed, changed, unchanged } = changeset.entities[type];
+            expect(removed.length + changed.length + unchanged).toBe(from.entities[type].length);
+            expect(added.length + changed.length + unchanged).toBe(to.entities[type].length);
+          });
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should mirror added and removed entities when the comparison is reversed', () => {
+      fc.assert(
+        fc.property(snapshotArbitrary, snapshotArbitrary, (a, b) => {
+          const forward = PracticeVersionDiffService.diffSnapshots(a, b);
+          const backward = PracticeVersionDiffService.diffSnapshots(b, a);
+
+          expect(backward.summary.added).toBe(forward.summary.removed);
+          expect(backward.summary.removed).toBe(forward.summary.added);
+          expect(backward.summary.changed).toBe(forward.summary.changed);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should report a reordered activity as a sequence change', () => {
+      const from = [{ activityId: 1, name: 'Plan', sequence: 1 }, { activityId: 2, name: 'Review', sequence: 2 }];
+      const to = [{ activityId: 1, name: 'Plan', sequence: 2 }, { activityId: 2, name: 'Review', sequence: 1 }];
+
+      const diff = PracticeVersionDiffService.diffEntities(from, to, { key: 'activityId', fields: ['name', 'sequence'] });
+
+      expect(diff.added).toEqual([]);
+      expect(diff.removed).toEqual([]);
+      expect(diff.changed.map(item => item.changes)).toEqual([
+        [{ field: 'sequence', from: 1, to: 2 }],
+        [{ field: 'sequence', from: 2, to: 1 }]
+      ]);
+    });
+
+    it('should match repeated names by occurrence', () => {
+      const from = [{ name: 'Tip', description: 'a' }, { name: 'Tip', description: 'b' }];
+      const to = [{ name: 'Tip', description: 'a' }];
+
+      const diff = PracticeVersionDiffService.diffEntities(from, to, { key: 'name', fields: ['description'] });
+
+      expect(diff.unchanged).toBe(1);
+      expect(diff.removed).toEqual([{ name: 'Tip', description: 'b' }]);
+    });
+  });
+});
@@ -68,7 +68,7 @@ describe('Practice and Method Integration Tests', () => {
       expect(version.lastUpdateById).toBe(versionData.lastUpdateById);
     });
 
-    it('should publish practice versions', async () => {
+    it('should only publish practice versions through review', async () => {
       const practice = await Practice.create({
         name: `Test Retrospective ${Date.now()}`,
         objective: 'Improve team processes'
@@ -83,8 +83,38 @@ describe('Practice and Method Integration Tests', () => {
 
       expect(version.status).toBe('Draft');
 
-      await version.publish();
-      expect(version.status).toBe('Published');
+      await expect(version.publish(1)).rejects.toThrow('Cannot move practice version from Draft to Published');
+
+      // An empty version is not ready for review
+      await expect(version.submitForReview(1)).rejects.toThrow('Practice version is not ready');
+
+      const stored = await PracticeVersion.findById(version.id);
+      expect(stored.status).toBe('Draft');
+      expect(await stored.getHistory()).toEqual([]);
+    });
+
+    it('should archive a draft and record the change', async () => {
+      const practice = await Practice.create({
+        name: `Test Archived Practice ${Date.now()}`,
+        objective: 'Try an idea'
+      });
+
+      const version = await PracticeVersion.create({
+        practiceId: practice.id,
+        universeId: 1,
+        versionName: 'Test v1.0',
+        lastUpdateById: 1
+      });
+
+      await version.transition('Archived', 1, 'Abandoned idea');
+      expect(version.status).toBe('Archived');
+
+      const history = await version.getHistory();
+      expect(history).toHaveLength(1);
+      expect(history[0]).toMatchObject({ fromStatus: 'Draft', toStatus: 'Archived', personId: 1, comment: 'Abandoned idea' });
+
+      const published = await PracticeVersion.findPublished({ limit: 1000 });
+      expect(published.find(pv => pv.id === version.id)).toBeUndefined();
     });
   });
 
@@ -0,0 +1,113 @@
+const fc = require('fast-check');
+const PersonalityService = require('../services/personalityService');
+
+/**
+ * **Feature: agile-practice-repository, Property 21: Keyed Big Five survey scoring**
+ * **Validates: Requirements 10.1**
+ */
+
+const traitArbitrary = fc.constantFrom('O', 'C', 'E', 'A', 'N');
+
+// Keyed response on a Likert scale of 5 or 7 points
+const keyedResponseArbitrary = fc
+  .record({
+    trait: traitArbitrary,
+    isReversed: fc.boolean(),
+    weight: fc.double({ min: 0.1, max: 3, noNaN: true }),
+    scaleMax: fc.constantFrom(5, 7)
+  })
+  .chain(key => fc.integer({ min: 1, max: key.scaleMax }).map(result => ({
+    ...key,
+    scaleMin: 1,
+    result
+  })));
+
+describe('Survey Scoring - Property Tests', () => {
+  describe('Property 21: Keyed Big Five survey scoring', () => {
+    it('should keep every trait score within 0-1 for any keyed responses', () => {
+      fc.assert(
+        fc.property(fc.array(keyedResponseArbitrary, { maxLength: 50 }), (responses) => {
+          const scores = PersonalityService.scoreBigFive(responses);
+
+          ['o', 'c', 'e', 'a', 'n'].forEach(dimension => {
+            expect(scores[dimension]).toBeGreaterThanOrEqual(0);
+            expect(scores[dimension]).toBeLessThanOrEqual(1);
+            expect(isNaN(scores[dimension])).toBe(false);
+          });
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should score each trait as the weighted mean of its answers over the item range', () => {
+      fc.assert(
+        fc.property(fc.array(keyedResponseArbitrary, { minLength: 1, maxLength: 30 }), (responses) => {
+          const scores = PersonalityService.scoreBigFive(responses);
+
+          ['o', 'c', 'e', 'a', 'n'].forEach(dimension => {
+            const items = responses.filter(response => response.trait.toLowerCase() === dimension);
+            if (items.length === 0) {
+              expect(scores[dimension]).toBe(0);
+              return;
+            }
+
+            const weighted = items.reduce((sum, item) => {
+              const keyed = item.isReversed ? item.scaleMin + item.scaleMax - item.result : item.result;
+              return sum + item.weight * (keyed - item.scaleMin) / (item.scaleMax - item.scaleMin);
+            }, 0);
+            const totalWeight = items.reduce((sum, item) => sum + item.weight, 0);
+            expect(scores[dimension]).toBeCloseTo(weighted / totalWeight, 10);
+          });
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should span the whole 0-1 range from the lowest to the highest keyed answer', () => {
+      fc.assert(
+        fc.property(traitArbitrary, fc.constantFrom(5, 7), fc.boolean(), (trait, scaleMax, isReversed) => {
+          const dimension = trait.toLowerCase();
+          const lowest = isReversed ? scaleMax : 1;
+          const highest = isReversed ? 1 : scaleMax;
+
+          expect(PersonalityService.scoreBigFive([{ trait, result: lowest, isReversed, scaleMin: 1, scaleMax }])[dimension]).toBe(0);
+          expect(PersonalityService.scoreBigFive([{ trait, result: highest, isReversed, scaleMin: 1, scaleMax }])[dimension]).toBe(1);
+        }),
+        { numRuns: 50 }
+      );
+
+      expect(PersonalityService.scoreBigFive([{ trait: 'O', result: 3, scaleMin: 1, scaleMax: 5 }]).o).toBe(0.5);
+    });
+
+    it('should mirror reverse-keyed answers within the item range', () => {
+      fc.assert(
+        fc.property(traitArbitrary, fc.integer({ min: 1, max: 5 }), (trait, result) => {
+          const direct = PersonalityService.scoreBigFive([{ trait, result, isReversed: false }]);
+          const reversed = PersonalityService.scoreBigFive([{ trait, result: 6 - result, isReversed: true }]);
+
+          const dimension = trait.toLowerCase();
+          expect(reversed[dimension]).toBeCloseTo(direct[dimension], 10);
+        }),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should weight items within a trait', () => {
+      const scores = PersonalityService.scoreBigFive([
+        { trait: 'A', result: 5, weight: 3 },
+        { trait: 'A', result: 1, weight: 1 }
+      ]);
+
+      expect(scores.a).toBeCloseTo((3 * 1 + 1 * 0) / 4, 10);
+    });
+
+    it('should ignore items without a scoring key', () => {
+      const scores = PersonalityService.scoreBigFive([
+        { trait: null, result: 5 },
+        { result: 4 }
+      ]);
+
+      expect(scores).toEqual({ o: 0, c: 0, e: 0, a: 0, n: 0 });
+    });
+  });
+});
@@ -2,6 +2,7 @@ const request = require('supertest');
 const app = require('../server');
 const pool = require('../config/database');
 const cacheService = require('../services/cacheService');
+const PersonalityService = require('../services/personalityService');
 const { cleanupTestData } = require('./testUtils');
 
 describe('System Performance Integration Tests', () => {
@@ -276,6 +277,74 @@ describe('System Performance Integration Tests', () => {
     });
   });
 
+  describe('Team Affinity Performance', () => {
+
+    test('Team affinity statistics are computed in one set-based query', async () => {
+      const people = await pool.query('SELECT id FROM person ORDER BY id LIMIT 10');
+      const memberIds = people.rows.map(row => row.id);
+
+      const querySpy = jest.spyOn(pool, 'query');
+      const startTime = Date.now();
+
+      try {
+        const recommendations = await PersonalityService.getTeamPracticeRecommendations(memberIds, 0);
+        const duration = Date.now() - startTime;
+
+        // One query for the practice versions, one for all members' affinities
+        expect(querySpy.mock.calls.length).toBeLessThanOrEqual(2);
+        expect(duration).toBeLessThan(500); // Should not grow with members x practices
+
+        recommendations.forEach(rec => {
+          expect(rec.teamAffinity).toHaveProperty('average');
+          expect(rec.teamAffinity).toHaveProperty('minimum');
+          expect(rec.teamAffinity).toHaveProperty('maximum');
+          expect(rec.teamAffinity).toHaveProperty('standardDeviation');
+        });
+
+        console.log(`Team affinity for ${memberIds.length} members: ${querySpy.mock.calls.length} queries, ${duration}ms`);
+      } finally {
+        querySpy.mockRestore();
+      }
+    });
+
+    test('Team Recommendation Endpoints Performance', async () => {
+      // A session of its own: the shared cookie is logged out by the authentication timings
+      const agent = request.agent(app);
+      const loginResponse = await agent
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: 'TestPassword123!' });
+      expect(loginResponse.status).toBe(200);
+
+      const teamResponse = await agent
+        .post('/api/teams')
+        .send({
+          name: `Performance Affinity Team ${Date.now()}`,
+          description: 'Team for affinity performance testing'
+        })
+        .expect(201);
+
+      const teamId = teamResponse.body.data.id;
+      const endpoints = [
+        `/api/affinity/team/${teamId}/recommendations`,
+        `/api/recommendations/${teamId}`,
+        `/api/recommendations/comprehensive?teamMemberIds=${testUser.id}`
+      ];
+
+      for (const endpoint of endpoints) {
+        const startTime = Date.now();
+
+        await agent
+          .get(endpoint)
+          .expect(200);
+
+        const duration = Date.now() - startTime;
+        expect(duration).toBeLessThan(1000); // Latency budget for team affinity endpoints
+
+        console.log(`GET ${endpoint}: ${duration}ms`);
+      }
+    });
+  });
+
   describe('Concurrent User Simulation', () => {
     
     test('Multiple Concurrent Users - Read Operations', async () => {
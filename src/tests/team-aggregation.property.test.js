@@ -0,0 +1,95 @@
+const fc = require('fast-check');
+const TeamAggregationService = require('../services/teamAggregationService');
+
+/**
+ * **Feature: agile-practice-repository, Property 27: Team aggregation strategies bound the group score**
+ * **Validates: Requirements 11.2**
+ */
+
+// Team affinity statistics built from individual member scores
+const teamAffinityArbitrary = fc
+  .array(fc.integer({ min: 0, max: 100 }), { minLength: 1, maxLength: 8 })
+  .map(scores => {
+    const average = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    const variance = scores.reduce((sum, score) => sum + Math.pow(score - average, 2), 0) / scores.length;
+    return {
+      average: Math.round(average * 100) / 100,
+      minimum: Math.min(...scores),
+      maximum: Math.max(...scores),
+      standardDeviation: Math.round(Math.sqrt(variance) * 100) / 100,
+      memberCount: scores.length,
+      individualScores: scores
+    };
+  });
+
+describe('Team Aggregation - Property Tests', () => {
+  describe('Property 27: Team aggregation strategies bound the group score', () => {
+    it('should order least misery, average and most pleasure scores', () => {
+      fc.assert(
+        fc.property(teamAffinityArbitrary, (teamAffinity) => {
+          const leastMisery = TeamAggregationService.score(teamAffinity, 'least_misery').score;
+          const average = TeamAggregationService.score(teamAffinity, 'average').score;
+          const mostPleasure = TeamAggregationService.score(teamAffinity, 'most_pleasure').score;
+
+          expect(leastMisery).toBe(teamAffinity.minimum);
+          expect(mostPleasure).toBe(teamAffinity.maximum);
+          expect(leastMisery).toBeLessThanOrEqual(average);
+          expect(average).toBeLessThanOrEqual(mostPleasure);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should keep every strategy score within 0-100 and never above the average for fairness', () => {
+      fc.assert(
+        fc.property(teamAffinityArbitrary, (teamAffinity) => {
+          TeamAggregationService.names().forEach(name => {
+            const { score, strategy } = TeamAggregationService.score(teamAffinity, name);
+            expect(strategy).toBe(name);
+            expect(score).toBeGreaterThanOrEqual(0);
+            expect(score).toBeLessThanOrEqual(100);
+          });
+
+          expect(TeamAggregationService.score(teamAffinity, 'fairness').score)
+            .toBeLessThanOrEqual(teamAffinity.average);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should veto under average without misery exactly when a member is below the misery threshold', () => {
+      fc.assert(
+        fc.property(teamAffinityArbitrary, (teamAffinity) => {
+          const aggregation = TeamAggregationService.score(teamAffinity, 'average_without_misery');
+
+          expect(aggregation.vetoed).toBe(teamAffinity.minimum < TeamAggregationService.MISERY_THRESHOLD);
+          expect(aggregation.score).toBe(teamAffinity.average);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should sort vetoed practices after the others', () => {
+      fc.assert(
+        fc.property(fc.array(teamAffinityArbitrary, { maxLength: 10 }), (affinities) => {
+          const ranked = affinities
+            .map(teamAffinity => ({ aggregation: TeamAggregationService.score(teamAffinity, 'average_without_misery') }))
+            .sort(TeamAggregationService.compare);
+
+          const firstVetoed = ranked.findIndex(item => item.aggregation.vetoed);
+          if (firstVetoed >= 0) {
+            ranked.slice(firstVetoed).forEach(item => expect(item.aggregation.vetoed).toBe(true));
+          }
+        }),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should prefer the requested strategy, then the team setting, then the default', () => {
+      expect(TeamAggregationService.resolve('least_misery', { aggregationStrategy: 'fairness' })).toBe('least_misery');
+      expect(TeamAggregationService.resolve(null, { aggregationStrategy: 'fairness' })).toBe('fairness');
+      expect(TeamAggregationService.resolve()).toBe('average');
+      expect(() => TeamAggregationService.resolve('median')).toThrow('Aggregation strategy must be one of');
+    });
+  });
+});
@@ -4,6 +4,8 @@ const pool = require('../config/database');
 const Person = require('../models/Person');
 const Team = require('../models/Team');
 const TeamInvitation = require('../models/TeamInvitation');
+const InvitationService = require('../services/invitationService');
+const emailService = require('../services/emailService');
 
 describe('Team Invitations Integration Tests', () => {
   let testUser, testTeam, agent;
@@ -55,7 +57,7 @@ describe('Team Invitations Integration Tests', () => {
       expect(response.body.data.invitedEmail).toBe('newmember@example.com');
     });
 
-    it('should add existing user immediately to team', async () => {
+    it('should invite existing users instead of adding them without their consent', async () => {
       // Create another user
       const existingUser = await Person.create({
         name: 'Existing User',
@@ -71,12 +73,12 @@ describe('Team Invitations Integration Tests', () => {
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
-      expect(response.body.message).toBe('User added to team immediately (existing account)');
-      expect(response.body.data.addedImmediately).toBe(true);
+      expect(response.body.message).toBe('Invitation sent successfully');
+      expect(response.body.data.invitation.status).toBe('pending');
 
-      // Verify user is now a team member
+      // The user only joins once they accept
       const isMember = await testTeam.isMember(existingUser.id);
-      expect(isMember).toBe(true);
+      expect(isMember).toBe(false);
 
       // Clean up
       await pool.query('DELETE FROM teamMember WHERE personId = $1', [existingUser.id]);
@@ -133,8 +135,92 @@ describe('Team Invitations Integration Tests', () => {
     });
   });
 
+  describe('Invitation links', () => {
+    let invitee, inviteeAgent;
+
+    beforeAll(async () => {
+      invitee = await Person.create({
+        name: 'Invitee',
+        email: 'invitee@example.com',
+        password: 'password123'
+      });
+      inviteeAgent = request.agent(app);
+      await inviteeAgent
+        .post('/api/auth/login')
+        .send({ email: 'invitee@example.com', password: 'password123' });
+    });
+
+    afterAll(async () => {
+      await pool.query('DELETE FROM teamMember WHERE personId = $1', [invitee.id]);
+      await pool.query('DELETE FROM Person WHERE id = $1', [invitee.id]);
+    });
+
+    const invite = async (email = 'invitee@example.com') => {
+      const invitation = await TeamInvitation.create({ teamId: testTeam.id, inviterPersonId: testUser.id, invitedEmail: email });
+      return InvitationService.issue(invitation);
+    };
+
+    it('should show the invitation behind a link and let the invited person accept it once', async () => {
+      const { token } = await invite();
+
+      const preview = await request(app).get(`/api/invitations/${token}`);
+      expect(preview.status).toBe(200);
+      expect(preview.body.data.teamName).toBe('Test Team');
+      expect(preview.body.data.status).toBe('pending');
+
+      const accepted = await inviteeAgent.post(`/api/invitations/${token}/accept`);
+      expect(accepted.status).toBe(200);
+      expect(await testTeam.isMember(invitee.id)).toBe(true);
+
+      const again = await inviteeAgent.post(`/api/invitations/${token}/accept`);
+      expect(again.status).toBe(409);
+
+      await pool.query('DELETE FROM teamMember WHERE teamId = $1 AND personId = $2', [testTeam.id, invitee.id]);
+    });
+
+    it('should refuse email invitations accepted from another account', async () => {
+      const { token } = await invite('someone.else@example.com');
+
+      const response = await inviteeAgent.post(`/api/invitations/${token}/accept`);
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('This invitation was sent to another email address');
+    });
+
+    it('should let the invitee decline and the team revoke', async () => {
+      const { token } = await invite('decliner@example.com');
+      const declined = await request(app).post(`/api/invitations/${token}/decline`);
+      expect(declined.status).toBe(200);
+      expect(declined.body.data.invitation.status).toBe('declined');
+
+      const { invitation, token: revokedToken } = await invite('revoked@example.com');
+      const revoked = await agent.delete(`/api/teams/${testTeam.id}/invitations/${invitation.id}`);
+      expect(revoked.status).toBe(200);
+      expect(revoked.body.data.invitation.status).toBe('revoked');
+
+      const accepted = await inviteeAgent.post(`/api/invitations/${revokedToken}/accept`);
+      expect(accepted.status).toBe(409);
+    });
+
+    it('should invalidate the previous link on resend and reject forged links', async () => {
+      const { invitation, token } = await invite('resent@example.com');
+      await agent.post(`/api/teams/${testTeam.id}/invite/${invitation.id}/resend`);
+
+      expect((await request(app).get(`/api/invitations/${token}`)).status).toBe(404);
+      expect((await request(app).get(`/api/invitations/${token.slice(0, -2)}xx`)).status).toBe(404);
+    });
+
+    it('should expire overdue invitations when swept', async () => {
+      const { invitation, token } = await invite('late@example.com');
+      await pool.query(`UPDATE teamInvitation SET expiresAt = CURRENT_TIMESTAMP - INTERVAL '1 hour' WHERE id = $1`, [invitation.id]);
+
+      expect(await InvitationService.sweep()).toBeGreaterThanOrEqual(1);
+      expect((await TeamInvitation.findById(invitation.id)).status).toBe('expired');
+      expect((await request(app).get(`/api/invitations/${token}`)).status).toBe(410);
+    });
+  });
+
   describe('User Registration with Pending Invitations', () => {
-    it('should automatically add user to teams when registering with invited email', async () => {
+    it('should add the user to the inviting teams once they verify their email', async () => {
       // Create invitation
       await TeamInvitation.create({
         teamId: testTeam.id,
@@ -142,7 +228,8 @@ describe('Team Invitations Integration Tests', () => {
         invitedEmail: 'autoregister@example.com'
       });
 
-      // Register user with invited email
+      // Register user with invited email, keeping the link sent by the mock transporter
+      const sendMail = jest.spyOn(emailService.transporter, 'sendMail');
       const response = await request(app)
         .post('/api/auth/register')
         .send({
@@ -154,13 +241,23 @@ describe('Team Invitations Integration Tests', () => {
 
       expect(response.status).toBe(201);
       expect(response.body.success).toBe(true);
-      expect(response.body.joinedTeams).toBeDefined();
-      expect(response.body.joinedTeams.length).toBeGreaterThan(0);
+      expect(response.body.verificationSent).toBe(true);
 
-      // Verify user is team member
+      // Not a member until the address is verified
       const newUser = await Person.findByEmail('autoregister@example.com');
-      const isMember = await testTeam.isMember(newUser.id);
-      expect(isMember).toBe(true);
+      expect(await testTeam.isMember(newUser.id)).toBe(false);
+
+      const mail = sendMail.mock.calls.map(([options]) => options).find(options => options.to === 'autoregister@example.com');
+      const token = decodeURIComponent(mail.text.match(/\/verify-email\/(\S+)/)[1]);
+      sendMail.mockRestore();
+
+      const verified = await request(app).post('/api/auth/verify-email').send({ token });
+      expect(verified.status).toBe(200);
+      expect(verified.body.joinedTeams.length).toBeGreaterThan(0);
+      expect(await testTeam.isMember(newUser.id)).toBe(true);
+
+      // The link only works once
+      expect((await request(app).post('/api/auth/verify-email').send({ token })).status).toBe(400);
 
       // Clean up
       await pool.query('DELETE FROM teamMember WHERE personId = $1', [newUser.id]);
@@ -0,0 +1,108 @@
+const fc = require('fast-check');
+const Team = require('../models/Team');
+const { requireTeamPermission } = require('../middleware/auth');
+
+/**
+ * **Feature: agile-practice-repository, Property 40: Team permissions follow the members' team roles**
+ * **Validates: Requirements 3.3**
+ */
+
+const permissionArbitrary = fc.constantFrom(...Object.keys(Team.PERMISSIONS));
+const roleArbitrary = fc.constantFrom(...Team.ROLES);
+
+// Run the middleware for a request and report how it answered
+const runMiddleware = async (permission, teamId) => {
+  const req = { params: { teamId: String(teamId) }, user: { id: 1 } };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  const next = jest.fn();
+
+  await requireTeamPermission(permission)(req, res, next);
+  return { req, res, passed: next.mock.calls.length === 1 };
+};
+
+describe('Team Roles - Property Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Property 40: Team permissions follow the members\' team roles', () => {
+    it('should grant a more privileged role everything a less privileged one has', () => {
+      fc.assert(
+        fc.property(roleArbitrary, roleArbitrary, permissionArbitrary, (role, otherRole, permission) => {
+          const higher = Team.ROLES.indexOf(role) <= Team.ROLES.indexOf(otherRole) ? role : otherRole;
+          const lower = higher === role ? otherRole : role;
+
+          if (Team.can(lower, permission)) {
+            expect(Team.can(higher, permission)).toBe(true);
+          }
+        }),
+        { numRuns: 100 }
+      );
+
+      Team.ROLES.forEach(role => expect(Team.can(role, 'view')).toBe(true));
+      expect(Object.keys(Team.PERMISSIONS).filter(permission => Team.can('observer', permission))).toEqual(['view']);
+      expect(Team.ROLES.filter(role => Team.can(role, 'manageMembers'))).toEqual(['owner']);
+      expect(() => Team.can('owner', 'deleteEverything')).toThrow('Unknown team permission');
+    });
+
+    it('should let a request through exactly when the user\'s team role grants the permission', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 1, max: 100000 }),
+          fc.option(roleArbitrary, { nil: null }),
+          permissionArbitrary,
+          async (teamId, role, permission) => {
+            jest.spyOn(Team, 'findById').mockResolvedValue(new Team({ id: teamId, name: 'Team' }));
+            jest.spyOn(Team.prototype, 'getRole').mockResolvedValue(role);
+
+            const { req, res, passed } = await runMiddleware(permission, teamId);
+
+            if (!role) {
+              expect(passed).toBe(false);
+              expect(res.statusCode).toBe(403);
+              expect(res.body.error).toBe('Access denied - not a team member');
+            } else if (Team.can(role, permission)) {
+              expect(passed).toBe(true);
+              expect(req.team.id).toBe(teamId);
+              expect(req.teamRole).toBe(role);
+            } else {
+              expect(passed).toBe(false);
+              expect(res.statusCode).toBe(403);
+              expect(res.body).toMatchObject({ error: 'Insufficient team permissions', current: role });
+            }
+
+            jest.restoreAllMocks();
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should answer 404 for unknown or malformed teams', async () => {
+      jest.spyOn(Team, 'findById').mockResolvedValue(null);
+
+      for (const teamId of [99999, 'abc']) {
+        const { res, passed } = await runMiddleware('view', teamId);
+        expect(passed).toBe(false);
+        expect(res.statusCode).toBe(404);
+        expect(res.body.error).toBe('Team not found');
+      }
+      expect(Team.findById).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse to build a middleware for an unknown permission', () => {
+      expect(() => requireTeamPermission('deleteEverything')).toThrow('Unknown team permission');
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const fc = require('fast-check');
+const Team = require('../models/Team');
+const Person = require('../models/Person');
+const TeamSimulationService = require('../services/teamSimulationService');
+const PersonalityService = require('../services/personalityService');
+
+/**
+ * **Feature: agile-practice-repository, Property 28: Team composition simulation reports consistent deltas**
+ * **Validates: Requirements 11.2**
+ */
+
+const scoresArbitrary = fc.array(fc.integer({ min: 0, max: 100 }), { minLength: 1, maxLength: 8 });
+const strategyArbitrary = fc.constantFrom('average', 'least_misery', 'most_pleasure', 'average_without_misery', 'fairness');
+
+describe('Team Simulation - Property Tests', () => {
+  describe('Property 28: Team composition simulation reports consistent deltas', () => {
+    it('should aggregate member scores into bounded team statistics', () => {
+      fc.assert(
+        fc.property(scoresArbitrary, (scores) => {
+          const stats = TeamSimulationService.aggregateScores(scores, scores.length);
+
+          expect(stats.minimum).toBe(Math.min(...scores));
+          expect(stats.maximum).toBe(Math.max(...scores));
+          expect(stats.average).toBeGreaterThanOrEqual(stats.minimum);
+          expect(stats.average).toBeLessThanOrEqual(stats.maximum);
+          expect(stats.standardDeviation).toBeGreaterThanOrEqual(0);
+          expect(stats.standardDeviation).toBeLessThanOrEqual((stats.maximum - stats.minimum) / 2 + 0.01);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should report deltas equal to the difference between the two sides', () => {
+      fc.assert(
+        fc.property(scoresArbitrary, scoresArbitrary, strategyArbitrary, (current, added, strategy) => {
+          const before = TeamSimulationService.aggregateScores(current, current.length);
+          const after = TeamSimulationService.aggregateScores([...current, ...added], current.length + added.length);
+          const comparison = TeamSimulationService.comparePractice(before, after, strategy, 60);
+
+          expect(comparison.delta.minimum).toBe(after.minimum - before.minimum);
+          expect(Math.abs(comparison.delta.average - (after.average - before.average))).toBeLessThan(0.011);
+          // Adding members can only lower the minimum
+          expect(comparison.delta.minimum).toBeLessThanOrEqual(0);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should classify both sides with the recommendation rule', () => {
+      fc.assert(
+        fc.property(scoresArbitrary, scoresArbitrary, strategyArbitrary, (current, scenario, strategy) => {
+          const before = TeamSimulationService.aggregateScores(current, current.length);
+          const after = TeamSimulationService.aggregateScores(scenario, scenario.length);
+          const comparison = TeamSimulationService.comparePractice(before, after, strategy, 60);
+
+          expect(comparison.before.status).toBe(PersonalityService.classifyTeamAffinity(before, 60, strategy));
+          expect(comparison.after.status).toBe(PersonalityService.classifyTeamAffinity(after, 60, strategy));
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should report no change when the composition is the same', () => {
+      fc.assert(
+        fc.property(scoresArbitrary, strategyArbitrary, (scores, strategy) => {
+          const stats = TeamSimulationService.aggregateScores(scores, scores.length);
+          const { delta, before, after } = TeamSimulationService.comparePractice(stats, stats, strategy, 60);
+
+          expect(delta).toEqual({ average: 0, minimum: 0, standardDeviation: 0, groupScore: 0 });
+          expect(after.status).toBe(before.status);
+        }),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should read pasted profiles on the 0-1 or 0-100 scale', () => {
+      fc.assert(
+        fc.property(
+          fc.record({
+            o: fc.integer({ min: 0, max: 100 }),
+            c: fc.integer({ min: 0, max: 100 }),
+            e: fc.integer({ min: 0, max: 100 }),
+            a: fc.integer({ min: 2, max: 100 }),
+            n: fc.integer({ min: 0, max: 100 })
+          }),
+          (profile) => {
+            const normalized = TeamSimulationService.normalizeProfile(profile);
+            Object.keys(profile).forEach(trait => {
+              expect(normalized[trait]).toBeCloseTo(profile[trait] / 100, 10);
+            });
+          }
+        ),
+        { numRuns: 50 }
+      );
+
+      expect(TeamSimulationService.normalizeProfile({ o: 0.5, c: 1, e: 0, a: 0.2, n: 0.9 }).c).toBe(1);
+      expect(() => TeamSimulationService.normalizeProfile({ o: 0.5, c: 0.5 }))
+        .toThrow('Candidate profile must include o, c, e, a and n scores');
+      expect(() => TeamSimulationService.normalizeProfile({ o: 50, c: 150, e: 0, a: 20, n: 90 }))
+        .toThrow('Candidate profile scores must be between 0 and 1 (or 0 and 100)');
+    });
+
+    it('should only add existing people for team managers or people sharing a team with the requester', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.constantFrom(...Team.ROLES),
+          fc.boolean(),
+          async (teamRole, sharesTeam) => {
+            const team = new Team({ id: 1, name: 'Simulated' });
+            jest.spyOn(Team, 'findById').mockResolvedValue(team);
+            jest.spyOn(team, 'getMembers').mockResolvedValue([{ id: 10 }, { id: 11 }]);
+            jest.spyOn(Team, 'shareTeam').mockResolvedValue(sharesTeam);
+            const findPerson = jest.spyOn(Person, 'findById').mockResolvedValue(null);
+
+            const simulating = TeamSimulationService.simulateTeamChange(1, { add: [99] }, { personId: 10, teamRole });
+
+            if (Team.can(teamRole, 'manage') || sharesTeam) {
+              await expect(simulating).rejects.toThrow('Person 99 not found');
+              expect(findPerson).toHaveBeenCalledWith(99);
+            } else {
+              await expect(simulating).rejects.toThrow('Person 99 is not in any of your teams');
+              expect(findPerson).not.toHaveBeenCalled();
+            }
+
+            jest.restoreAllMocks();
+          }
+        ),
+        { numRuns: 20 }
+      );
+    });
+  });
+});
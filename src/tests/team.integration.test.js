@@ -1,6 +1,8 @@
 const request = require('supertest');
 const app = require('../server');
 const pool = require('../config/database');
+const emailService = require('../services/emailService');
+const Team = require('../models/Team');
 const { cleanupTestData, cleanupTestTeams } = require('./testUtils');
 
 describe('Team Management Integration Tests', () => {
@@ -172,7 +174,7 @@ describe('Team Management Integration Tests', () => {
       teamId = teamResponse.body.team.id;
     });
 
-    it('should allow user to join team', async () => {
+    it('should allow an invited user to join team through the invitation link', async () => {
       // Create another user
       const newUserResponse = await request(app)
         .post('/api/auth/register')
@@ -192,9 +194,18 @@ describe('Team Management Integration Tests', () => {
 
       const newUserCookie = newUserLogin.headers['set-cookie'];
 
+      // Invite the user; the link is only in the email
+      const sendInvitation = jest.spyOn(emailService, 'sendTeamInvitation');
+      await request(app)
+        .post(`/api/teams/${teamId}/invite`)
+        .set('Cookie', authCookie)
+        .send({ email: newUserResponse.body.user.email });
+      const token = decodeURIComponent(sendInvitation.mock.calls[0][0].invitationUrl.split('/invitations/')[1]);
+      sendInvitation.mockRestore();
+
       // Join the team
       const joinResponse = await request(app)
-        .post(`/api/teams/${teamId}/join`)
+        .post(`/api/invitations/${token}/accept`)
         .set('Cookie', newUserCookie);
 
       expect(joinResponse.status).toBe(200);
@@ -206,7 +217,171 @@ describe('Team Management Integration Tests', () => {
         .set('Cookie', newUserCookie);
 
       expect(teamDetailsResponse.status).toBe(200);
-      expect(teamDetailsResponse.body.members).toHaveLength(2);
+      expect(teamDetailsResponse.body.data.members).toHaveLength(2);
+    });
+  });
+
+  describe('Team Roles', () => {
+    let teamId;
+    let member;
+    let memberCookie;
+
+    beforeEach(async () => {
+      const teamResponse = await request(app)
+        .post('/api/teams')
+        .set('Cookie', authCookie)
+        .send({
+          name: `Test Roles Team ${Date.now()}`,
+          description: 'Team for testing team roles'
+        });
+
+      expect(teamResponse.body.team.role).toBe('owner');
+      teamId = teamResponse.body.team.id;
+
+      const memberResponse = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Test Member',
+          email: `test_member_${Date.now()}@example.com`,
+          password: 'password123',
+          confirmPassword: 'password123'
+        });
+      member = memberResponse.body.user;
+
+      const memberLogin = await request(app)
+        .post('/api/auth/login')
+        .send({ email: member.email, password: 'password123' });
+      memberCookie = memberLogin.headers['set-cookie'];
+
+      await (await Team.findById(teamId)).addMember(member.id);
+    });
+
+    it('should let only owners and facilitators invite', async () => {
+      const refused = await request(app)
+        .post(`/api/teams/${teamId}/invite`)
+        .set('Cookie', memberCookie)
+        .send({ email: `test_invitee_${Date.now()}@example.com` });
+
+      expect(refused.status).toBe(403);
+      expect(refused.body.error).toBe('Insufficient team permissions');
+      expect(refused.body.current).toBe('member');
+
+      const promoted = await request(app)
+        .put(`/api/teams/${teamId}/members/${member.id}`)
+        .set('Cookie', authCookie)
+        .send({ role: 'facilitator' });
+      expect(promoted.status).toBe(200);
+
+      const invited = await request(app)
+        .post(`/api/teams/${teamId}/invite`)
+        .set('Cookie', memberCookie)
+        .send({ email: `test_invitee_${Date.now()}@example.com` });
+      expect(invited.status).toBe(200);
+    });
+
+    it('should keep observers to read-only access', async () => {
+      await request(app)
+        .put(`/api/teams/${teamId}/members/${member.id}`)
+        .set('Cookie', authCookie)
+        .send({ role: 'observer' })
+        .expect(200);
+
+      const details = await request(app)
+        .get(`/api/teams/${teamId}`)
+        .set('Cookie', memberCookie);
+      expect(details.status).toBe(200);
+      expect(details.body.data.role).toBe('observer');
+
+      const recalculate = await request(app)
+        .post(`/api/affinity/team/${teamId}/recalculate`)
+        .set('Cookie', memberCookie);
+      expect(recalculate.status).toBe(403);
+
+      const universe = await request(app)
+        .post(`/api/teams/${teamId}/universes`)
+        .set('Cookie', memberCookie)
+        .send({ name: 'Observer Universe' });
+      expect(universe.status).toBe(403);
+    });
+
+    it('should keep team recommendations to the team', async () => {
+      const outsiderResponse = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Test Outsider',
+          email: `test_outsider_${Date.now()}@example.com`,
+          password: 'password123',
+          confirmPassword: 'password123'
+        });
+      const outsiderLogin = await request(app)
+        .post('/api/auth/login')
+        .send({ email: outsiderResponse.body.user.email, password: 'password123' });
+      const outsiderCookie = outsiderLogin.headers['set-cookie'];
+
+      for (const path of [`/api/recommendations/${teamId}`, `/api/recommendations/${teamId}/portfolio`]) {
+        const refused = await request(app).get(path).set('Cookie', outsiderCookie);
+        expect(refused.status).toBe(403);
+
+        const allowed = await request(app).get(path).set('Cookie', memberCookie);
+        expect(allowed.status).toBe(200);
+      }
+    });
+
+    it('should only let the owner change roles or remove members', async () => {
+      const promoteSelf = await request(app)
+        .put(`/api/teams/${teamId}/members/${member.id}`)
+        .set('Cookie', memberCookie)
+        .send({ role: 'facilitator' });
+      expect(promoteSelf.status).toBe(403);
+
+      const makeOwner = await request(app)
+        .put(`/api/teams/${teamId}/members/${member.id}`)
+        .set('Cookie', authCookie)
+        .send({ role: 'owner' });
+      expect(makeOwner.status).toBe(400);
+
+      const removeOwner = await request(app)
+        .delete(`/api/teams/${teamId}/members/${userId}`)
+        .set('Cookie', memberCookie);
+      expect(removeOwner.status).toBe(403);
+
+      const removed = await request(app)
+        .delete(`/api/teams/${teamId}/members/${member.id}`)
+        .set('Cookie', authCookie);
+      expect(removed.status).toBe(200);
+
+      const details = await request(app)
+        .get(`/api/teams/${teamId}`)
+        .set('Cookie', memberCookie);
+      expect(details.status).toBe(403);
+    });
+
+    it('should transfer ownership before the owner leaves', async () => {
+      const leave = await request(app)
+        .delete(`/api/teams/${teamId}/leave`)
+        .set('Cookie', authCookie);
+      expect(leave.status).toBe(409);
+
+      const transfer = await request(app)
+        .post(`/api/teams/${teamId}/transfer-ownership`)
+        .set('Cookie', authCookie)
+        .send({ personId: member.id });
+      expect(transfer.status).toBe(200);
+
+      const team = await Team.findById(teamId);
+      expect(await team.getRole(member.id)).toBe('owner');
+      expect(await team.getRole(userId)).toBe('facilitator');
+
+      const transferBack = await request(app)
+        .post(`/api/teams/${teamId}/transfer-ownership`)
+        .set('Cookie', authCookie)
+        .send({ personId: member.id });
+      expect(transferBack.status).toBe(403);
+
+      await request(app)
+        .delete(`/api/teams/${teamId}/leave`)
+        .set('Cookie', authCookie)
+        .expect(200);
     });
   });
 
@@ -2,6 +2,7 @@ const request = require('supertest');
 const app = require('../server');
 const pool = require('../config/database');
 const cacheService = require('../services/cacheService');
+const emailService = require('../services/emailService');
 const { cleanupTestData, cleanupTestTeams, cleanupTestPractices } = require('./testUtils');
 
 describe('Complete System Integration Tests', () => {
@@ -206,7 +207,7 @@ describe('Complete System Integration Tests', () => {
   });
 
   describe('Team Collaboration Workflow', () => {
-    let secondUser, secondUserCookie;
+    let secondUser, secondUserCookie, invitationToken;
 
     test('1. Second User Registration and Login', async () => {
       const userData = {
@@ -241,6 +242,7 @@ describe('Complete System Integration Tests', () => {
         message: 'Join our integration test team!'
       };
 
+      const sendInvitation = jest.spyOn(emailService, 'sendTeamInvitation');
       const response = await request(app)
         .post(`/api/teams/${testTeam.id}/invite`)
         .set('Cookie', authCookie)
@@ -248,11 +250,13 @@ describe('Complete System Integration Tests', () => {
         .expect(200);
 
       expect(response.body.success).toBe(true);
+      invitationToken = decodeURIComponent(sendInvitation.mock.calls[0][0].invitationUrl.split('/invitations/')[1]);
+      sendInvitation.mockRestore();
     });
 
     test('3. Second User Joins Team', async () => {
       const response = await request(app)
-        .post(`/api/teams/${testTeam.id}/join`)
+        .post(`/api/invitations/${invitationToken}/accept`)
         .set('Cookie', secondUserCookie)
         .expect(200);
 
@@ -0,0 +1,183 @@
+/**
+ * JSON parsing that remembers where every value starts, so validation errors
+ * can point at a line and column of the original file.
+ */
+
+const pathKey = (path) => JSON.stringify(path);
+
+const NUMBER_PATTERN = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+const LITERALS = { true: true, false: false, null: null };
+
+/**
+ * Parse JSON text and record the position of each value
+ * @param {string} text - JSON document
+ * @returns {Object} {value, locate} where locate(path) returns {line, column} of the value at path,
+ *   or of its nearest ancestor when the path does not exist (e.g. a missing property)
+ * @throws {SyntaxError} With line and column properties when the text is not valid JSON
+ */
+function parseWithLocations(text) {
+  const locations = new Map();
+  let pos = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+  let line = 1;
+  let column = 1;
+
+  const fail = (message) => {
+    const error = new SyntaxError(`${message} at line ${line}, column ${column}`);
+    error.line = line;
+    error.column = column;
+    throw error;
+  };
+
+  const advance = () => {
+    if (text[pos] === '\n') {
+      line++;
+      column = 1;
+    } else {
+      column++;
+    }
+    pos++;
+  };
+
+  const skipWhitespace = () => {
+    while (pos < text.length && ' \t\n\r'.includes(text[pos])) {
+      advance();
+    }
+  };
+
+  const expect = (char) => {
+    if (text[pos] !== char) {
+      fail(pos < text.length ? `Expected '${char}' but found '${text[pos]}'` : `Expected '${char}' but reached end of input`);
+    }
+    advance();
+  };
+
+  const parseString = () => {
+    const start = pos;
+    const startColumn = column;
+    advance();
+    while (pos < text.length && text[pos] !== '"') {
+      if (text[pos] === '\n') {
+        fail('Unterminated string');
+      }
+      if (text[pos] === '\\') {
+        advance();
+      }
+      advance();
+    }
+    if (pos >= text.length) {
+      fail('Unterminated string');
+    }
+    advance();
+
+    try {
+      return JSON.parse(text.slice(start, pos));
+    } catch (error) {
+      column = startColumn;
+      return fail('Invalid string');
+    }
+  };
+
+  const parseValue = (path) => {
+    skipWhitespace();
+    locations.set(pathKey(path), { line, column });
+
+    const char = text[pos];
+    if (char === '{') {
+      return parseObject(path);
+    }
+    if (char === '[') {
+      return parseArray(path);
+    }
+    if (char === '"') {
+      return parseString();
+    }
+
+    NUMBER_PATTERN.lastIndex = pos;
+    const number = NUMBER_PATTERN.exec(text);
+    if (number) {
+      for (let i = 0; i < number[0].length; i++) {
+        advance();
+      }
+      return Number(number[0]);
+    }
+
+    const literal = Object.keys(LITERALS).find(word => text.startsWith(word, pos));
+    if (literal) {
+      for (let i = 0; i < literal.length; i++) {
+        advance();
+      }
+      return LITERALS[literal];
+    }
+
+    return fail(pos < text.length ? `Unexpected character '${char}'` : 'Unexpected end of input');
+  };
+
+  const parseObject = (path) => {
+    const object = {};
+    advance();
+    skipWhitespace();
+    if (text[pos] === '}') {
+      advance();
+      return object;
+    }
+
+    for (;;) {
+      skipWhitespace();
+      if (text[pos] !== '"') {
+        fail('Expected a property name');
+      }
+      const key = parseString();
+      skipWhitespace();
+      expect(':');
+      object[key] = parseValue(path.concat(key));
+      skipWhitespace();
+      if (text[pos] === ',') {
+        advance();
+        continue;
+      }
+      expect('}');
+      return object;
+    }
+  };
+
+  const parseArray = (path) => {
+    const array = [];
+    advance();
+    skipWhitespace();
+    if (text[pos] === ']') {
+      advance();
+      return array;
+    }
+
+    for (;;) {
+      array.push(parseValue(path.concat(array.length)));
+      skipWhitespace();
+      if (text[pos] === ',') {
+        advance();
+        continue;
+      }
+      expect(']');
+      return array;
+    }
+  };
+
+  const value = parseValue([]);
+  skipWhitespace();
+  if (pos < text.length) {
+    fail('Unexpected content after the JSON value');
+  }
+
+  const locate = (path) => {
+    for (let length = path.length; length >= 0; length--) {
+      const location = locations.get(pathKey(path.slice(0, length)));
+      if (location) {
+        return location;
+      }
+    }
+    return { line: 1, column: 1 };
+  };
+
+  return { value, locate };
+}
+
+module.exports = { parseWithLocations };